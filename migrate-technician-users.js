@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+/**
+ * Migration Script: Link Technicians to User Logins
+ *
+ * Technicians and users used to be separate identities. This script links
+ * each unlinked technician to the user account with the same email address,
+ * then re-points feedback (which used to reference technicians) at the
+ * linked user.
+ *
+ * Usage: node migrate-technician-users.js
+ */
+
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const path = require('path');
+
+// Load environment variables
+dotenv.config({ path: path.resolve(__dirname, '.env'), override: true });
+
+// Import models
+const Technician = require('./src/server/models/Technician');
+const User = require('./src/server/models/User');
+const Feedback = require('./src/server/models/Feedback');
+
+// MongoDB connection
+const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/phoenixcrm';
+
+async function connectToDatabase() {
+  try {
+    await mongoose.connect(MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+async function linkTechnicians() {
+  console.log('🔍 Linking technicians to users by email...');
+
+  const technicians = await Technician.find({ user: { $exists: false }, email: { $exists: true, $ne: null } });
+  let linked = 0;
+
+  for (const technician of technicians) {
+    const user = await User.findOne({ email: technician.email });
+    if (!user) {
+      console.log(`   ⚠️  No user with email ${technician.email} for ${technician.name}`);
+      continue;
+    }
+
+    const alreadyLinked = await Technician.exists({ user: user._id });
+    if (alreadyLinked) {
+      console.log(`   ⚠️  ${user.email} is already linked to another technician, skipping ${technician.name}`);
+      continue;
+    }
+
+    technician.user = user._id;
+    await technician.save();
+    linked++;
+    console.log(`   ✅ ${technician.name} → ${user.email}`);
+  }
+
+  console.log(`🔗 Linked ${linked} of ${technicians.length} technicians`);
+}
+
+async function migrateFeedback() {
+  console.log('\n🔍 Re-pointing feedback from technicians to users...');
+
+  // Read raw ids so entries that still point at a technician are found
+  const entries = await Feedback.collection.find({}, { projection: { user: 1 } }).toArray();
+  let updated = 0;
+  let unmatched = 0;
+
+  for (const entry of entries) {
+    if (!entry.user) continue;
+    if (await User.exists({ _id: entry.user })) continue; // Already a user
+
+    const technician = await Technician.findById(entry.user).select('name user');
+    if (!technician || !technician.user) {
+      unmatched++;
+      continue;
+    }
+
+    await Feedback.collection.updateOne({ _id: entry._id }, { $set: { user: technician.user } });
+    updated++;
+  }
+
+  console.log(`✅ Updated ${updated} feedback entries`);
+  if (unmatched > 0) {
+    console.log(`⚠️  ${unmatched} entries belong to technicians without a linked login. Link them and run this script again.`);
+  }
+}
+
+async function main() {
+  try {
+    await connectToDatabase();
+    await linkTechnicians();
+    await migrateFeedback();
+  } catch (error) {
+    console.error('❌ Script failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the migration
+main();
@@ -2,6 +2,8 @@
 require('dotenv').config();
 const mongoose = require('mongoose');
 const app = require('./src/server/app');
+const reminderScheduler = require('./src/server/services/reminderScheduler');
+const notificationService = require('./src/server/services/notificationService');
 
 // Constants
 const PORT = process.env.PORT || 5000;
@@ -34,6 +36,10 @@ mongoose
       console.log(`Server running in ${process.env.NODE_ENV} mode on port ${PORT}`);
     });
 
+    // Reminders and follow-ups, and retries for failed sends
+    reminderScheduler.start();
+    notificationService.start();
+
     // Handle unhandled promise rejections - close server gracefully
     process.on('unhandledRejection', (err) => {
       console.error('UNHANDLED REJECTION! 💥 Shutting down...');
@@ -46,6 +52,8 @@ mongoose
     // Handle SIGTERM
     process.on('SIGTERM', () => {
       console.log('👋 SIGTERM RECEIVED. Shutting down gracefully');
+      reminderScheduler.stop();
+      notificationService.stop();
       server.close(() => {
         console.log('💥 Process terminated!');
       });
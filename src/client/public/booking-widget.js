@@ -0,0 +1,22 @@
+// Embeds the online booking page on another website. Paste where the form should appear:
+// <script src="https://your-crm-address/booking-widget.js" async></script>
+// The site must be listed in BOOKING_EMBED_ORIGINS on the server.
+(function () {
+  var script = document.currentScript;
+  if (!script) return;
+
+  var origin = new URL(script.src).origin;
+  var iframe = document.createElement('iframe');
+  iframe.src = origin + '/book?embed=1';
+  iframe.title = 'Book an appointment';
+  iframe.style.width = '100%';
+  iframe.style.border = '0';
+  iframe.style.height = (script.getAttribute('data-height') || 900) + 'px';
+  script.parentNode.insertBefore(iframe, script);
+
+  // The booking page reports its height as it changes
+  window.addEventListener('message', function (event) {
+    if (event.origin !== origin || !event.data || event.data.type !== 'booking-widget:height') return;
+    iframe.style.height = event.data.height + 'px';
+  });
+})();
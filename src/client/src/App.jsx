@@ -25,16 +25,30 @@ import WorkOrderForm from './pages/WorkOrders/WorkOrderForm';
 import AppointmentList from './pages/Appointments/AppointmentList';
 import AppointmentDetail from './pages/Appointments/AppointmentDetail';
 import AppointmentForm from './pages/Appointments/AppointmentForm';
+import BookingRequestsPage from './pages/Appointments/BookingRequestsPage';
+import OnlineBookingPage from './pages/Appointments/OnlineBookingPage';
 import InvoiceGenerator from './pages/Invoices/InvoiceGenerator';
 import InvoiceDetail from './pages/Invoices/InvoiceDetail'; // Added InvoiceDetail
 import InvoiceList from './pages/Invoices/InvoiceList';
 import Login from './pages/Auth/Login';
 import Register from './pages/Auth/Register';
+import EstimateApprovalPage from './pages/Estimates/EstimateApprovalPage';
+import InspectionReportPage from './pages/Inspections/InspectionReportPage';
+import WorkOrderStatusPage from './pages/WorkOrders/WorkOrderStatusPage';
 
 
 // New Pages for Sidebar
 import TechniciansPage from './pages/Technicians/TechniciansPage';
+import TechnicianEfficiencyPage from './pages/Technicians/TechnicianEfficiencyPage';
+import TechnicianSchedulePage from './pages/Technicians/TechnicianSchedulePage';
 import AdminPage from './pages/Admin/AdminPage';
+import ShopSettingsPage from './pages/Admin/ShopSettingsPage';
+import InspectionTemplatesPage from './pages/Admin/InspectionTemplatesPage';
+import BaysPage from './pages/Admin/BaysPage';
+import ScheduledJobsPage from './pages/Admin/ScheduledJobsPage';
+import NotificationsPage from './pages/Admin/NotificationsPage';
+import MessageTemplatesPage from './pages/Admin/MessageTemplatesPage';
+import MessagesPage from './pages/Messages/MessagesPage';
 import SettingsPage from './pages/Settings/SettingsPage';
 import FeedbackAdminPage from './pages/Feedback/FeedbackAdminPage'; // Import new FeedbackAdminPage
 
@@ -42,6 +56,12 @@ import FeedbackAdminPage from './pages/Feedback/FeedbackAdminPage'; // Import ne
 import PartsList from './pages/Parts/PartsList';
 import PartsForm from './pages/Parts/PartsForm';
 
+// Purchase Order Pages
+import PurchaseOrderList from './pages/PurchaseOrders/PurchaseOrderList';
+import PurchaseOrderForm from './pages/PurchaseOrders/PurchaseOrderForm';
+import PurchaseOrderDetail from './pages/PurchaseOrders/PurchaseOrderDetail';
+import PurchaseOrderReceive from './pages/PurchaseOrders/PurchaseOrderReceive';
+
 // Technician Portal Pages
 import TechnicianPortal from './pages/TechnicianPortal/TechnicianPortal';
 import TechnicianChecklist from './pages/TechnicianPortal/TechnicianChecklist';
@@ -49,102 +69,136 @@ import TechnicianWorkOrderDetail from './pages/TechnicianPortal/TechnicianWorkOr
 
 // Auth Context
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { SettingsProvider } from './contexts/SettingsContext';
 
 // Private Route Component
-const PrivateRoute = ({ children }) => {
-  const { isAuthenticated, loading } = useAuth();
+// Optionally pass resource/action to also require a role permission
+const PrivateRoute = ({ children, resource, action = 'read' }) => {
+  const { isAuthenticated, loading, can } = useAuth();
 
   if (loading) {
     return <div className="flex justify-center items-center h-screen">Loading...</div>;
   }
 
-  return isAuthenticated ? children : <Navigate to="/login" />;
+  if (!isAuthenticated) {
+    return <Navigate to="/login" />;
+  }
+
+  if (resource && !can(resource, action)) {
+    return <Navigate to="/" replace />;
+  }
+
+  return children;
 };
 
 const App = () => {
   return (
     <AuthProvider>
-      <Router>
-        <Routes>
-          {/* Auth Routes */}
-          <Route path="/login" element={<Login />} />
-          <Route path="/register" element={<Register />} />
+      <SettingsProvider>
+        <Router>
+          <Routes>
+            {/* Auth Routes */}
+            <Route path="/login" element={<Login />} />
+
+            {/* Public customer pages (token links and online booking, no login) */}
+            <Route path="/estimates/approve/:token" element={<EstimateApprovalPage />} />
+            <Route path="/inspections/report/:token" element={<InspectionReportPage />} />
+            <Route path="/status/:token" element={<WorkOrderStatusPage />} />
+            <Route path="/book" element={<OnlineBookingPage />} />
           
-          {/* App Routes with Layout */}
-          <Route path="/*" element={
-            <PrivateRoute>
-              <div className="flex h-screen bg-gray-100">
-                {/* Mobile: Sidebar overlay, Desktop: Fixed sidebar */}
-                <Sidebar />
-                <div className="flex flex-col flex-1 overflow-hidden min-w-0">
-                  <Navbar />
-                  <main className="flex-1 overflow-y-auto p-2 sm:p-4">
-                    <Routes>
-                      <Route path="/" element={<Dashboard />} />
+            {/* App Routes with Layout */}
+            <Route path="/*" element={
+              <PrivateRoute>
+                <div className="flex h-screen bg-gray-100">
+                  {/* Mobile: Sidebar overlay, Desktop: Fixed sidebar */}
+                  <Sidebar />
+                  <div className="flex flex-col flex-1 overflow-hidden min-w-0">
+                    <Navbar />
+                    <main className="flex-1 overflow-y-auto p-2 sm:p-4">
+                      <Routes>
+                        <Route path="/" element={<Dashboard />} />
                       
-                      {/* Customer Routes */}
-                      <Route path="/customers" element={<CustomerList />} />
-                      <Route path="/customers/new" element={<CustomerForm />} />
-                      <Route path="/customers/:id" element={<CustomerDetail />} />
-                      <Route path="/customers/:id/edit" element={<CustomerForm />} />
+                        {/* Customer Routes */}
+                        <Route path="/customers" element={<PrivateRoute resource="customers"><CustomerList /></PrivateRoute>} />
+                        <Route path="/customers/new" element={<PrivateRoute resource="customers" action="create"><CustomerForm /></PrivateRoute>} />
+                        <Route path="/customers/:id" element={<PrivateRoute resource="customers"><CustomerDetail /></PrivateRoute>} />
+                        <Route path="/customers/:id/edit" element={<PrivateRoute resource="customers" action="update"><CustomerForm /></PrivateRoute>} />
                       
-                      {/* Vehicle Routes */}
-                      <Route path="/vehicles" element={<VehicleList />} />
-                      <Route path="/vehicles/new" element={<VehicleForm />} />
-                      <Route path="/vehicles/:id" element={<VehicleDetail />} />
-                      <Route path="/vehicles/:id/edit" element={<VehicleForm />} />
+                        {/* Vehicle Routes */}
+                        <Route path="/vehicles" element={<PrivateRoute resource="vehicles"><VehicleList /></PrivateRoute>} />
+                        <Route path="/vehicles/new" element={<PrivateRoute resource="vehicles" action="create"><VehicleForm /></PrivateRoute>} />
+                        <Route path="/vehicles/:id" element={<PrivateRoute resource="vehicles"><VehicleDetail /></PrivateRoute>} />
+                        <Route path="/vehicles/:id/edit" element={<PrivateRoute resource="vehicles" action="update"><VehicleForm /></PrivateRoute>} />
                       
-                      {/* Work Order Routes */}
-                      <Route path="/work-orders" element={<WorkOrderList />} />
-                      <Route path="/work-orders/new" element={<WorkOrderForm />} />
-                      <Route path="/work-orders/:id" element={<WorkOrderDetail />} />
-                      <Route path="/work-orders/:id/edit" element={<WorkOrderForm />} />
+                        {/* Work Order Routes */}
+                        <Route path="/work-orders" element={<PrivateRoute resource="workOrders"><WorkOrderList /></PrivateRoute>} />
+                        <Route path="/work-orders/new" element={<PrivateRoute resource="workOrders" action="create"><WorkOrderForm /></PrivateRoute>} />
+                        <Route path="/work-orders/:id" element={<PrivateRoute resource="workOrders"><WorkOrderDetail /></PrivateRoute>} />
+                        <Route path="/work-orders/:id/edit" element={<PrivateRoute resource="workOrders" action="update"><WorkOrderForm /></PrivateRoute>} />
                       
-                      {/* Appointment Routes */}
-                      <Route path="/appointments" element={<AppointmentList />} />
-                      <Route path="/appointments/new" element={<AppointmentForm />} />
-                      <Route path="/appointments/:id" element={<AppointmentDetail />} />
-                      <Route path="/appointments/:id/edit" element={<AppointmentForm />} />
+                        {/* Appointment Routes */}
+                        <Route path="/appointments" element={<PrivateRoute resource="appointments"><AppointmentList /></PrivateRoute>} />
+                        <Route path="/messages" element={<PrivateRoute resource="messages"><MessagesPage /></PrivateRoute>} />
+                        <Route path="/appointments/booking-requests" element={<PrivateRoute resource="appointments"><BookingRequestsPage /></PrivateRoute>} />
+                        <Route path="/appointments/new" element={<PrivateRoute resource="appointments" action="create"><AppointmentForm /></PrivateRoute>} />
+                        <Route path="/appointments/:id" element={<PrivateRoute resource="appointments"><AppointmentDetail /></PrivateRoute>} />
+                        <Route path="/appointments/:id/edit" element={<PrivateRoute resource="appointments" action="update"><AppointmentForm /></PrivateRoute>} />
                       
-                      {/* Invoice Routes */}
-                      <Route path="/invoices" element={<InvoiceList />} />
-                      <Route path="/invoices/new" element={<InvoiceGenerator />} />
-                      <Route path="/invoices/new/:id" element={<InvoiceGenerator />} />
-                      <Route path="/invoices/generate" element={<InvoiceGenerator />} />
-                      <Route path="/invoices/:id" element={<InvoiceDetail />} /> {/* Added InvoiceDetail Route */}
-
-                      {/* Technician Routes */}
-                      <Route path="/technicians" element={<TechniciansPage />} />
+                        {/* Invoice Routes */}
+                        <Route path="/invoices" element={<PrivateRoute resource="invoices"><InvoiceList /></PrivateRoute>} />
+                        <Route path="/invoices/new" element={<PrivateRoute resource="invoices" action="create"><InvoiceGenerator /></PrivateRoute>} />
+                        <Route path="/invoices/new/:id" element={<PrivateRoute resource="invoices" action="create"><InvoiceGenerator /></PrivateRoute>} />
+                        <Route path="/invoices/generate" element={<PrivateRoute resource="invoices" action="create"><InvoiceGenerator /></PrivateRoute>} />
+                        <Route path="/invoices/:id" element={<PrivateRoute resource="invoices"><InvoiceDetail /></PrivateRoute>} /> {/* Added InvoiceDetail Route */}
+
+                        {/* Technician Routes */}
+                        <Route path="/technicians" element={<PrivateRoute resource="technicians" action="update"><TechniciansPage /></PrivateRoute>} />
+                        <Route path="/technicians/efficiency" element={<PrivateRoute resource="timeEntries" action="report"><TechnicianEfficiencyPage /></PrivateRoute>} />
+                        <Route path="/technicians/schedule" element={<PrivateRoute resource="timeOff"><TechnicianSchedulePage /></PrivateRoute>} />
                       
-                      {/* Admin Routes */}
-                      <Route path="/admin" element={<AdminPage />} />
-
-                      {/* Feedback Admin Route */}
-                      <Route path="/feedback" element={<FeedbackAdminPage />} />
-
-                      {/* Parts Routes */}
-                      <Route path="/parts" element={<PartsList />} />
-                      <Route path="/parts/new" element={<PartsForm />} />
-                      <Route path="/parts/:id/edit" element={<PartsForm />} />
-
-                      {/* Technician Portal Routes */}
-                      <Route path="/technician-portal" element={<TechnicianPortal />} />
-                      <Route path="/technician-portal/checklist/:id" element={<TechnicianChecklist />} />
-                      <Route path="/technician-portal/work-orders/:id" element={<TechnicianWorkOrderDetail />} />
-
-                      {/* Settings Routes */}
-                      <Route path="/settings" element={<SettingsPage />} />
+                        {/* Admin Routes */}
+                        <Route path="/admin" element={<PrivateRoute resource="users"><AdminPage /></PrivateRoute>} />
+                        <Route path="/admin/users/new" element={<PrivateRoute resource="users" action="create"><Register /></PrivateRoute>} />
+                        <Route path="/admin/settings" element={<PrivateRoute resource="settings" action="update"><ShopSettingsPage /></PrivateRoute>} />
+                        <Route path="/admin/inspection-templates" element={<PrivateRoute resource="inspectionTemplates" action="update"><InspectionTemplatesPage /></PrivateRoute>} />
+                        <Route path="/admin/bays" element={<PrivateRoute resource="bays" action="update"><BaysPage /></PrivateRoute>} />
+                        <Route path="/admin/jobs" element={<PrivateRoute resource="jobs"><ScheduledJobsPage /></PrivateRoute>} />
+                        <Route path="/admin/notifications" element={<PrivateRoute resource="notifications"><NotificationsPage /></PrivateRoute>} />
+                        <Route path="/admin/message-templates" element={<PrivateRoute resource="messageTemplates" action="update"><MessageTemplatesPage /></PrivateRoute>} />
+
+                        {/* Feedback Admin Route */}
+                        <Route path="/feedback" element={<PrivateRoute resource="feedback"><FeedbackAdminPage /></PrivateRoute>} />
+
+                        {/* Parts Routes */}
+                        <Route path="/parts" element={<PrivateRoute resource="parts"><PartsList /></PrivateRoute>} />
+                        <Route path="/parts/new" element={<PrivateRoute resource="parts" action="create"><PartsForm /></PrivateRoute>} />
+                        <Route path="/parts/:id/edit" element={<PrivateRoute resource="parts" action="update"><PartsForm /></PrivateRoute>} />
+
+                        {/* Purchase Order Routes */}
+                        <Route path="/purchase-orders" element={<PrivateRoute resource="purchaseOrders"><PurchaseOrderList /></PrivateRoute>} />
+                        <Route path="/purchase-orders/new" element={<PrivateRoute resource="purchaseOrders" action="create"><PurchaseOrderForm /></PrivateRoute>} />
+                        <Route path="/purchase-orders/:id" element={<PrivateRoute resource="purchaseOrders"><PurchaseOrderDetail /></PrivateRoute>} />
+                        <Route path="/purchase-orders/:id/receive" element={<PrivateRoute resource="purchaseOrders" action="update"><PurchaseOrderReceive /></PrivateRoute>} />
+
+                        {/* Technician Portal Routes */}
+                        <Route path="/technician-portal" element={<PrivateRoute resource="workOrders" action="update"><TechnicianPortal /></PrivateRoute>} />
+                        <Route path="/technician-portal/checklist/:id" element={<PrivateRoute resource="workOrders" action="update"><TechnicianChecklist /></PrivateRoute>} />
+                        <Route path="/technician-portal/work-orders/:id" element={<PrivateRoute resource="workOrders" action="update"><TechnicianWorkOrderDetail /></PrivateRoute>} />
+
+                        {/* Settings Routes */}
+                        <Route path="/settings" element={<SettingsPage />} />
                       
-                      {/* Fallback - Redirect to Dashboard */}
-                      <Route path="*" element={<Navigate to="/" replace />} />
-                    </Routes>
-                  </main>
+                        {/* Fallback - Redirect to Dashboard */}
+                        <Route path="*" element={<Navigate to="/" replace />} />
+                      </Routes>
+                    </main>
+                  </div>
                 </div>
-              </div>
-            </PrivateRoute>
-          } />
-        </Routes>
-      </Router>
+              </PrivateRoute>
+            } />
+          </Routes>
+        </Router>
+      </SettingsProvider>
     </AuthProvider>
   );
 };
@@ -1,38 +1,20 @@
-import React, { useState, useEffect } from 'react';
-import SelectInput from './SelectInput';
+import React, { useState } from 'react';
 import TextArea from './TextArea';
 import Button from './Button';
-import technicianService from '../../services/technicianService';
 import { Link } from 'react-router-dom'; // Import Link
 import feedbackService from '../../services/feedbackService';
+import { useAuth } from '../../contexts/AuthContext';
 
 const FeedbackButton = () => {
+  const { can } = useAuth();
   const [isOpen, setIsOpen] = useState(false);
-  const [technicians, setTechnicians] = useState([]);
+  // Feedback is recorded against the logged-in user
   const [feedbackData, setFeedbackData] = useState({
-    user: '',
     feedbackText: '',
   });
   const [message, setMessage] = useState('');
   const [messageType, setMessageType] = useState(''); // 'success' or 'error'
 
-  useEffect(() => {
-    const fetchTechnicians = async () => {
-      try {
-        const response = await technicianService.getAllTechnicians();
-        setTechnicians(response.data.data.technicians.map(tech => ({
-          value: tech._id,
-          label: tech.name
-        })));
-      } catch (error) {
-        console.error('Error fetching technicians:', error);
-        setMessage('Failed to load technicians.');
-        setMessageType('error');
-      }
-    };
-    fetchTechnicians();
-  }, []);
-
   const handleChange = (e) => {
     const { name, value } = e.target;
     setFeedbackData(prevData => ({
@@ -46,8 +28,8 @@ const FeedbackButton = () => {
     setMessage('');
     setMessageType('');
 
-    if (!feedbackData.user || !feedbackData.feedbackText) {
-      setMessage('Please select a user and enter feedback text.');
+    if (!feedbackData.feedbackText) {
+      setMessage('Please enter feedback text.');
       setMessageType('error');
       return;
     }
@@ -56,7 +38,7 @@ const FeedbackButton = () => {
       await feedbackService.createFeedback(feedbackData);
       setMessage('Feedback submitted successfully!');
       setMessageType('success');
-      setFeedbackData({ user: '', feedbackText: '' }); // Clear form
+      setFeedbackData({ feedbackText: '' }); // Clear form
       setTimeout(() => setIsOpen(false), 2000); // Close popover after 2 seconds
     } catch (error) {
       console.error('Error submitting feedback:', error);
@@ -84,16 +66,6 @@ const FeedbackButton = () => {
           </button>
           <h3 className="text-lg font-semibold mb-4">Submit Feedback</h3>
           <form onSubmit={handleSubmit}>
-            <div className="mb-4">
-              <SelectInput
-                label="User"
-                name="user"
-                options={technicians}
-                value={feedbackData.user}
-                onChange={handleChange}
-                required
-              />
-            </div>
             <div className="mb-4">
               <TextArea
                 label="Feedback"
@@ -113,11 +85,13 @@ const FeedbackButton = () => {
               Submit
             </Button>
           </form>
-          <div className="text-center mt-4">
-            <Link to="/feedback" className="text-blue-600 hover:underline" onClick={() => setIsOpen(false)}>
-              View All Feedback
-            </Link>
-          </div>
+          {can('feedback', 'read') && (
+            <div className="text-center mt-4">
+              <Link to="/feedback" className="text-blue-600 hover:underline" onClick={() => setIsOpen(false)}>
+                View All Feedback
+              </Link>
+            </div>
+          )}
         </div>
       )}
     </div>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect } from 'react';
 import Button from './Button';
+import PhotoAnnotator from './PhotoAnnotator';
 
 const FileThumbnail = ({ file }) => {
   const [thumbnailUrl, setThumbnailUrl] = useState(null);
@@ -13,6 +14,13 @@ const FileThumbnail = ({ file }) => {
         return;
       }
 
+      // The media list includes a small thumbnail URL; older responses did not
+      if (file.thumbnailUrl) {
+        setThumbnailUrl(file.thumbnailUrl);
+        setLoading(false);
+        return;
+      }
+
       try {
         const response = await fetch(`/api/media/${file._id}/signed-url`);
         const data = await response.json();
@@ -30,7 +38,7 @@ const FileThumbnail = ({ file }) => {
     };
 
     loadThumbnail();
-  }, [file._id, file.fileName]);
+  }, [file._id, file.fileName, file.thumbnailUrl]);
 
   const isImageFile = (fileName) => {
     const extension = fileName.split('.').pop().toLowerCase();
@@ -86,9 +94,14 @@ const FileThumbnail = ({ file }) => {
   );
 };
 
-const FileList = ({ files, onDelete, onShare, loading = false }) => {
+// Photo types the server can draw annotations on
+const ANNOTATABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'];
+
+const FileList = ({ files, onDelete, onShare, onRevokeShare, onAnnotate, loading = false }) => {
   const [sharingFile, setSharingFile] = useState(null);
-  const [shareEmail, setShareEmail] = useState('');
+  const [annotatingFile, setAnnotatingFile] = useState(null);
+  const [shareChannel, setShareChannel] = useState('Email');
+  const [shareTo, setShareTo] = useState('');
 
   const formatFileSize = (bytes) => {
     if (bytes === 0) return '0 Bytes';
@@ -120,23 +133,46 @@ const FileList = ({ files, onDelete, onShare, loading = false }) => {
     }
   };
 
+  const closeShare = () => {
+    setSharingFile(null);
+    setShareChannel('Email');
+    setShareTo('');
+  };
+
   const handleShare = async (fileId) => {
-    if (!shareEmail) {
-      alert('Please enter an email address');
+    if (!shareTo) {
+      alert(shareChannel === 'SMS' ? 'Please enter a mobile number' : 'Please enter an email address');
       return;
     }
     
     try {
-      await onShare(fileId, shareEmail);
-      setSharingFile(null);
-      setShareEmail('');
+      await onShare(fileId, shareChannel, shareTo);
+      closeShare();
       alert('File shared successfully!');
     } catch (error) {
       console.error('Share failed:', error);
-      alert('Failed to share file. Please try again.');
+      alert(error.response?.data?.message || 'Failed to share file. Please try again.');
+    }
+  };
+
+  const handleRevokeShare = async (fileId, shareId) => {
+    if (!window.confirm('Turn off this link? The recipient will no longer be able to open the file.')) return;
+
+    try {
+      await onRevokeShare(fileId, shareId);
+    } catch (error) {
+      console.error('Revoke failed:', error);
+      alert('Failed to turn off the link. Please try again.');
     }
   };
 
+  // Links are active until they expire or are turned off
+  const getShareState = (share) => {
+    if (share.revokedAt) return { label: 'Turned off', className: 'bg-gray-100 text-gray-500' };
+    if (share.expiresAt && new Date(share.expiresAt) < new Date()) return { label: 'Expired', className: 'bg-gray-100 text-gray-500' };
+    return { label: null, className: 'bg-green-100 text-green-800' };
+  };
+
   const handleView = async (fileId, fileName) => {
     try {
       // Get signed URL for viewing
@@ -223,6 +259,11 @@ const FileList = ({ files, onDelete, onShare, loading = false }) => {
                     minute: '2-digit'
                   })}</p>
                   {file.uploadedBy && <p>By: {file.uploadedBy}</p>}
+                  {file.annotations?.shapes?.length > 0 && (
+                    <p className="text-primary-700">
+                      <i className="fas fa-pen mr-1"></i>Annotated - customers see the marked-up copy
+                    </p>
+                  )}
                   {file.notes && <p className="text-gray-700 mt-1">"{file.notes}"</p>}
                 </div>
               </div>
@@ -243,6 +284,15 @@ const FileList = ({ files, onDelete, onShare, loading = false }) => {
               >
                 Download
               </Button>
+              {onAnnotate && ANNOTATABLE_TYPES.includes(file.fileType) && (
+                <Button
+                  onClick={() => setAnnotatingFile(file)}
+                  variant="outline"
+                  size="sm"
+                >
+                  Annotate
+                </Button>
+              )}
               <Button
                 onClick={() => setSharingFile(file._id)}
                 variant="outline"
@@ -266,54 +316,98 @@ const FileList = ({ files, onDelete, onShare, loading = false }) => {
             </div>
           </div>
 
-          {file.isShared && file.sharedWith && file.sharedWith.length > 0 && (
+          {file.sharedWith && file.sharedWith.length > 0 && (
             <div className="mt-3 pt-3 border-t border-gray-100">
               <p className="text-xs text-gray-500 mb-1">Shared with:</p>
               <div className="flex flex-wrap gap-1">
-                {file.sharedWith.map((share, index) => (
-                  <span key={index} className="inline-flex items-center px-2 py-1 text-xs bg-green-100 text-green-800 rounded">
-                    {share.email}
-                  </span>
-                ))}
+                {file.sharedWith.map((share, index) => {
+                  const state = getShareState(share);
+                  return (
+                    <span
+                      key={share._id || index}
+                      className={`inline-flex items-center px-2 py-1 text-xs rounded ${state.className}`}
+                      title={share.expiresAt ? `Expires ${new Date(share.expiresAt).toLocaleString()}` : undefined}
+                    >
+                      <i className={`fas ${share.channel === 'SMS' ? 'fa-comment' : 'fa-envelope'} mr-1`}></i>
+                      {share.email || share.phone}
+                      {share.viewCount > 0 && ` · ${share.viewCount} view${share.viewCount === 1 ? '' : 's'}`}
+                      {state.label && ` · ${state.label}`}
+                      {!state.label && onRevokeShare && share._id && (
+                        <button
+                          type="button"
+                          className="ml-1 hover:text-red-600"
+                          title="Turn off link"
+                          onClick={() => handleRevokeShare(file._id, share._id)}
+                        >
+                          <i className="fas fa-times"></i>
+                        </button>
+                      )}
+                    </span>
+                  );
+                })}
               </div>
             </div>
           )}
         </div>
       ))}
 
+      {annotatingFile && (
+        <PhotoAnnotator
+          file={annotatingFile}
+          onClose={() => setAnnotatingFile(null)}
+          onSaved={onAnnotate}
+        />
+      )}
+
       {/* Share Modal */}
       {sharingFile && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
           <div className="bg-white rounded-lg p-6 max-w-md w-full">
             <h3 className="text-lg font-bold text-gray-900 mb-4">Share File</h3>
             <div className="space-y-4">
+              <div className="flex space-x-4 text-sm">
+                {[['Email', 'Email'], ['SMS', 'Text Message']].map(([value, label]) => (
+                  <label key={value} className="flex items-center">
+                    <input
+                      type="radio"
+                      name="shareChannel"
+                      value={value}
+                      checked={shareChannel === value}
+                      onChange={() => {
+                        setShareChannel(value);
+                        setShareTo('');
+                      }}
+                      className="mr-2"
+                    />
+                    {label}
+                  </label>
+                ))}
+              </div>
               <div>
                 <label className="block text-sm font-medium text-gray-700 mb-1">
-                  Email Address
+                  {shareChannel === 'SMS' ? 'Mobile Number' : 'Email Address'}
                 </label>
                 <input
-                  type="email"
-                  value={shareEmail}
-                  onChange={(e) => setShareEmail(e.target.value)}
-                  placeholder="Enter email address..."
+                  type={shareChannel === 'SMS' ? 'tel' : 'email'}
+                  value={shareTo}
+                  onChange={(e) => setShareTo(e.target.value)}
+                  placeholder={shareChannel === 'SMS' ? 'Enter mobile number...' : 'Enter email address...'}
                   className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
                 />
+                <p className="text-xs text-gray-500 mt-1">The link works for 3 days and can be turned off at any time.</p>
               </div>
             </div>
             <div className="mt-6 flex justify-end space-x-3">
               <Button
                 variant="light"
-                onClick={() => {
-                  setSharingFile(null);
-                  setShareEmail('');
-                }}
+                onClick={closeShare}
               >
                 Cancel
               </Button>
               <Button
                 variant="primary"
                 onClick={() => handleShare(sharingFile)}
-                disabled={!shareEmail}
+                disabled={!shareTo}
               >
                 Share File
               </Button>
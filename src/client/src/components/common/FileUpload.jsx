@@ -1,50 +1,75 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Button from './Button';
 
-const FileUpload = ({ 
-  onFileUpload, 
-  workOrderId, 
-  vehicleId, 
-  customerId, 
-  accept = "*/*", 
+// Most files sent in one request; larger selections go up in several batches
+const BATCH_SIZE = 50;
+
+let nextEntryId = 0;
+
+const FileUpload = ({
+  onFileUpload,
+  workOrderId,
+  vehicleId,
+  customerId,
+  accept = "*/*",
   maxFileSize = 10 * 1024 * 1024, // 10MB default
   allowedTypes = ['Pre-Inspection', 'Diagnostic', 'Parts Receipt', 'Post-Inspection', 'Customer Document', 'Other']
 }) => {
   const [uploading, setUploading] = useState(false);
   const [dragOver, setDragOver] = useState(false);
-  const [selectedFile, setSelectedFile] = useState(null);
-  const [filePreview, setFilePreview] = useState(null);
-  const [notes, setNotes] = useState('');
-  const [type, setType] = useState('Other');
-
-  const generateThumbnail = (file) => {
-    if (file.type.startsWith('image/')) {
-      const reader = new FileReader();
-      reader.onload = (e) => {
-        setFilePreview(e.target.result);
+  // One entry per selected file: { id, file, preview, type, notes, status, progress, error }
+  // status is pending, uploading, processing, done or failed
+  const [entries, setEntries] = useState([]);
+  const [defaultType, setDefaultType] = useState('Other');
+  const [summary, setSummary] = useState(null);
+  const entriesRef = useRef(entries);
+  entriesRef.current = entries;
+
+  // Release image previews when the form goes away
+  useEffect(() => () => {
+    entriesRef.current.forEach(entry => entry.preview && URL.revokeObjectURL(entry.preview));
+  }, []);
+
+  const updateEntries = (ids, changes) => {
+    setEntries(current => current.map(entry => (
+      ids.includes(entry.id) ? { ...entry, ...(typeof changes === 'function' ? changes(entry) : changes) } : entry
+    )));
+  };
+
+  const handleFilesSelect = (files) => {
+    const added = files.map(file => {
+      const tooLarge = file.size > maxFileSize;
+      return {
+        id: ++nextEntryId,
+        file,
+        preview: file.type.startsWith('image/') && !tooLarge ? URL.createObjectURL(file) : null,
+        type: defaultType,
+        notes: '',
+        status: tooLarge ? 'failed' : 'pending',
+        progress: 0,
+        error: tooLarge ? `Larger than ${Math.round(maxFileSize / 1024 / 1024)}MB` : null
       };
-      reader.readAsDataURL(file);
-    } else {
-      setFilePreview(null);
-    }
+    });
+
+    setSummary(null);
+    setEntries(current => [...current, ...added]);
   };
 
-  const handleFileSelect = (file) => {
-    if (file.size > maxFileSize) {
-      alert(`File size must be less than ${Math.round(maxFileSize / 1024 / 1024)}MB`);
-      return;
-    }
-    setSelectedFile(file);
-    generateThumbnail(file);
+  const removeEntries = (shouldRemove) => {
+    setEntries(current => current.filter(entry => {
+      if (!shouldRemove(entry)) return true;
+      if (entry.preview) URL.revokeObjectURL(entry.preview);
+      return false;
+    }));
   };
 
   const handleDrop = (e) => {
     e.preventDefault();
     setDragOver(false);
-    
+
     const files = Array.from(e.dataTransfer.files);
     if (files.length > 0) {
-      handleFileSelect(files[0]);
+      handleFilesSelect(files);
     }
   };
 
@@ -61,41 +86,94 @@ const FileUpload = ({
   const handleFileInputChange = (e) => {
     const files = Array.from(e.target.files);
     if (files.length > 0) {
-      handleFileSelect(files[0]);
+      handleFilesSelect(files);
     }
+    // Allow picking the same files again
+    e.target.value = '';
   };
 
-  const handleUpload = async () => {
-    if (!selectedFile) return;
+  const handleDefaultTypeChange = (value) => {
+    setDefaultType(value);
+    // Apply to every file that has not been uploaded yet
+    setEntries(current => current.map(entry => (entry.status === 'done' ? entry : { ...entry, type: value })));
+  };
 
-    setUploading(true);
+  // Send one batch and mark each file done or failed from the server's report
+  const uploadBatch = async (batch) => {
+    const ids = batch.map(entry => entry.id);
+    updateEntries(ids, { status: 'uploading', progress: 0, error: null });
+
+    const formData = new FormData();
+    batch.forEach(entry => formData.append('files', entry.file));
+    formData.append('details', JSON.stringify(batch.map(entry => ({ type: entry.type, notes: entry.notes }))));
+    formData.append('workOrder', workOrderId);
+    formData.append('vehicle', vehicleId);
+    formData.append('customer', customerId);
+
+    // The request sends the files in order, so the bytes sent so far show how far along each file is
+    const offsets = [];
+    batch.reduce((start, entry) => {
+      offsets.push(start);
+      return start + entry.file.size;
+    }, 0);
+    const batchSize = offsets.length ? offsets[offsets.length - 1] + batch[batch.length - 1].file.size : 0;
+
+    const handleProgress = (event) => {
+      const sent = event.total ? (event.loaded / event.total) * batchSize : 0;
+      setEntries(current => current.map(entry => {
+        const index = ids.indexOf(entry.id);
+        if (index === -1) return entry;
+        const progress = entry.file.size
+          ? Math.min(100, Math.max(0, Math.round(((sent - offsets[index]) / entry.file.size) * 100)))
+          : 100;
+        return { ...entry, progress, status: progress === 100 ? 'processing' : 'uploading' };
+      }));
+    };
+
+    let result;
     try {
-      const formData = new FormData();
-      formData.append('file', selectedFile);
-      formData.append('workOrder', workOrderId);
-      formData.append('vehicle', vehicleId);
-      formData.append('customer', customerId);
-      formData.append('type', type);
-      formData.append('notes', notes);
-      formData.append('uploadedBy', 'User'); // You might want to get this from auth context
-
-      await onFileUpload(formData);
-      
-      // Reset form
-      setSelectedFile(null);
-      setFilePreview(null);
-      setNotes('');
-      setType('Other');
-      
-      // Reset file input
-      const fileInput = document.getElementById('file-input');
-      if (fileInput) fileInput.value = '';
-      
+      result = await onFileUpload(formData, handleProgress);
     } catch (error) {
       console.error('Upload failed:', error);
-      alert('Upload failed. Please try again.');
+      // The server still reports per-file problems when none of the files could be stored
+      result = error.response?.data?.data;
+      if (!result?.failed) {
+        const message = error.response?.data?.message || 'Upload failed. Please try again.';
+        updateEntries(ids, { status: 'failed', error: message });
+        return { uploaded: 0, failed: batch.length };
+      }
+      result = { data: result };
+    }
+
+    const failures = new Map((result.data?.failed || []).map(failure => [failure.index, failure.message]));
+    batch.forEach((entry, index) => {
+      updateEntries([entry.id], failures.has(index)
+        ? { status: 'failed', error: failures.get(index) }
+        : { status: 'done', progress: 100, error: null });
+    });
+
+    return { uploaded: batch.length - failures.size, failed: failures.size };
+  };
+
+  const handleUpload = async () => {
+    // Failed files are sent again unless they were too large to send at all
+    const queue = entries.filter(entry => (
+      entry.status === 'pending' || (entry.status === 'failed' && entry.file.size <= maxFileSize)
+    ));
+    if (queue.length === 0) return;
+
+    setUploading(true);
+    setSummary(null);
+    const totals = { uploaded: 0, failed: 0 };
+    try {
+      for (let start = 0; start < queue.length; start += BATCH_SIZE) {
+        const { uploaded, failed } = await uploadBatch(queue.slice(start, start + BATCH_SIZE));
+        totals.uploaded += uploaded;
+        totals.failed += failed;
+      }
     } finally {
       setUploading(false);
+      setSummary(totals);
     }
   };
 
@@ -130,14 +208,43 @@ const FileUpload = ({
     }
   };
 
+  const renderStatus = (entry) => {
+    switch (entry.status) {
+      case 'uploading':
+      case 'processing':
+        return (
+          <div className="w-full">
+            <div className="h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div className="h-2 bg-primary-600 transition-all" style={{ width: `${entry.progress}%` }}></div>
+            </div>
+            <p className="text-xs text-gray-500 mt-1">
+              {entry.status === 'processing' ? 'Processing...' : `Uploading ${entry.progress}%`}
+            </p>
+          </div>
+        );
+      case 'done':
+        return <p className="text-xs text-green-700"><i className="fas fa-check mr-1"></i>Uploaded</p>;
+      case 'failed':
+        return <p className="text-xs text-red-700"><i className="fas fa-exclamation-circle mr-1"></i>{entry.error}</p>;
+      default:
+        return null;
+    }
+  };
+
+  const waitingCount = entries.filter(entry => (
+    entry.status === 'pending' || (entry.status === 'failed' && entry.file.size <= maxFileSize)
+  )).length;
+  const hasFinished = entries.some(entry => entry.status === 'done' || entry.status === 'failed');
+  const selectClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500';
+
   return (
     <div className="space-y-4">
       {/* File Drop Zone */}
       <div
         className={`
           border-2 border-dashed rounded-lg p-6 text-center transition-colors
-          ${dragOver 
-            ? 'border-primary-500 bg-primary-50' 
+          ${dragOver
+            ? 'border-primary-500 bg-primary-50'
             : 'border-gray-300 hover:border-gray-400'
           }
         `}
@@ -151,109 +258,149 @@ const FileUpload = ({
           className="hidden"
           onChange={handleFileInputChange}
           accept={accept}
+          multiple
         />
-        
-        {selectedFile ? (
-          <div className="space-y-2">
-            <div className="flex items-center justify-center space-x-3">
-              {filePreview ? (
-                <img 
-                  src={filePreview} 
-                  alt="File preview" 
-                  className="w-16 h-16 object-cover rounded-lg border border-gray-200"
-                />
-              ) : (
-                <span className="text-2xl">{getFileIcon(selectedFile.name)}</span>
-              )}
-              <div className="text-left">
-                <p className="font-medium text-gray-900">{selectedFile.name}</p>
-                <p className="text-sm text-gray-500">{formatFileSize(selectedFile.size)}</p>
-              </div>
-            </div>
+
+        <div className="space-y-2">
+          <div className="text-gray-500">
+            <svg className="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48">
+              <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" strokeWidth={2} strokeLinecap="round" strokeLinejoin="round" />
+            </svg>
+          </div>
+          <div>
+            <p className="text-lg font-medium text-gray-900">Drop files here, or</p>
             <Button
               variant="outline"
-              size="sm"
-              onClick={() => {
-                setSelectedFile(null);
-                setFilePreview(null);
-                document.getElementById('file-input').value = '';
-              }}
+              onClick={() => document.getElementById('file-input').click()}
+              disabled={uploading}
             >
-              Remove File
+              Browse Files
             </Button>
           </div>
-        ) : (
-          <div className="space-y-2">
-            <div className="text-gray-500">
-              <svg className="mx-auto h-12 w-12 text-gray-400" stroke="currentColor" fill="none" viewBox="0 0 48 48">
-                <path d="M28 8H12a4 4 0 00-4 4v20m32-12v8m0 0v8a4 4 0 01-4 4H12a4 4 0 01-4-4v-4m32-4l-3.172-3.172a4 4 0 00-5.656 0L28 28M8 32l9.172-9.172a4 4 0 015.656 0L28 28m0 0l4 4m4-24h8m-4-4v8m-12 4h.02" strokeWidth={2} strokeLinecap="round" strokeLinejoin="round" />
-              </svg>
+          <p className="text-sm text-gray-500">
+            Select as many files as you need. Maximum file size: {Math.round(maxFileSize / 1024 / 1024)}MB
+          </p>
+        </div>
+      </div>
+
+      {entries.length > 0 && (
+        <>
+          <div className="flex flex-wrap items-end justify-between gap-4">
+            <div className="w-full md:w-64">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Document Type for All
+              </label>
+              <select
+                value={defaultType}
+                onChange={(e) => handleDefaultTypeChange(e.target.value)}
+                disabled={uploading}
+                className={selectClassName}
+              >
+                {allowedTypes.map((typeOption) => (
+                  <option key={typeOption} value={typeOption}>
+                    {typeOption}
+                  </option>
+                ))}
+              </select>
             </div>
-            <div>
-              <p className="text-lg font-medium text-gray-900">Drop files here, or</p>
+            {hasFinished && !uploading && (
               <Button
                 variant="outline"
-                onClick={() => document.getElementById('file-input').click()}
+                size="sm"
+                onClick={() => removeEntries(entry => entry.status === 'done' || entry.status === 'failed')}
               >
-                Browse Files
+                Clear Finished
               </Button>
-            </div>
-            <p className="text-sm text-gray-500">
-              Maximum file size: {Math.round(maxFileSize / 1024 / 1024)}MB
-            </p>
+            )}
           </div>
-        )}
-      </div>
 
-      {/* File Details Form */}
-      {selectedFile && (
-        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Document Type
-            </label>
-            <select
-              value={type}
-              onChange={(e) => setType(e.target.value)}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+          {/* File Details */}
+          <ul className="divide-y divide-gray-100 border border-gray-200 rounded-lg">
+            {entries.map(entry => (
+              <li key={entry.id} className="p-3 grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+                <div className="md:col-span-4 flex items-center space-x-3 min-w-0">
+                  {entry.preview ? (
+                    <img
+                      src={entry.preview}
+                      alt="File preview"
+                      className="w-12 h-12 object-cover rounded-lg border border-gray-200 flex-shrink-0"
+                    />
+                  ) : (
+                    <span className="text-2xl w-12 text-center flex-shrink-0">{getFileIcon(entry.file.name)}</span>
+                  )}
+                  <div className="min-w-0">
+                    <p className="font-medium text-gray-900 truncate">{entry.file.name}</p>
+                    <p className="text-sm text-gray-500">{formatFileSize(entry.file.size)}</p>
+                  </div>
+                </div>
+                <div className="md:col-span-3">
+                  <select
+                    value={entry.type}
+                    onChange={(e) => updateEntries([entry.id], { type: e.target.value })}
+                    disabled={uploading || entry.status === 'done'}
+                    className={selectClassName}
+                  >
+                    {allowedTypes.map((typeOption) => (
+                      <option key={typeOption} value={typeOption}>
+                        {typeOption}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+                <div className="md:col-span-3">
+                  {entry.status === 'pending' || entry.status === 'failed' ? (
+                    <input
+                      type="text"
+                      value={entry.notes}
+                      onChange={(e) => updateEntries([entry.id], { notes: e.target.value })}
+                      placeholder="Notes (optional)"
+                      disabled={uploading}
+                      className={selectClassName}
+                    />
+                  ) : (
+                    entry.notes && <p className="text-sm text-gray-700 truncate">"{entry.notes}"</p>
+                  )}
+                </div>
+                <div className="md:col-span-2 flex items-center justify-end space-x-2">
+                  {renderStatus(entry)}
+                  {!uploading && entry.status !== 'done' && (
+                    <button
+                      type="button"
+                      className="text-gray-400 hover:text-red-600"
+                      title="Remove file"
+                      onClick={() => removeEntries(item => item.id === entry.id)}
+                    >
+                      <i className="fas fa-times"></i>
+                    </button>
+                  )}
+                </div>
+              </li>
+            ))}
+          </ul>
+
+          {summary && (
+            <div className={`px-4 py-3 rounded text-sm border ${summary.failed ? 'bg-yellow-100 border-yellow-400 text-yellow-800' : 'bg-green-100 border-green-400 text-green-800'}`}>
+              {summary.uploaded} file{summary.uploaded === 1 ? '' : 's'} uploaded
+              {summary.failed > 0 && `, ${summary.failed} failed. Fix or remove the failed files and upload again to retry.`}
+            </div>
+          )}
+
+          {/* Upload Button */}
+          <div className="flex justify-end">
+            <Button
+              onClick={handleUpload}
+              disabled={uploading || waitingCount === 0}
+              variant="primary"
             >
-              {allowedTypes.map((typeOption) => (
-                <option key={typeOption} value={typeOption}>
-                  {typeOption}
-                </option>
-              ))}
-            </select>
-          </div>
-          
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-1">
-              Notes (optional)
-            </label>
-            <input
-              type="text"
-              value={notes}
-              onChange={(e) => setNotes(e.target.value)}
-              placeholder="Add a description..."
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
-            />
+              {uploading
+                ? 'Uploading...'
+                : `Upload ${waitingCount} File${waitingCount === 1 ? '' : 's'}`}
+            </Button>
           </div>
-        </div>
-      )}
-
-      {/* Upload Button */}
-      {selectedFile && (
-        <div className="flex justify-end">
-          <Button
-            onClick={handleUpload}
-            disabled={uploading}
-            variant="primary"
-          >
-            {uploading ? 'Uploading...' : 'Upload Document'}
-          </Button>
-        </div>
+        </>
       )}
     </div>
   );
 };
 
-export default FileUpload;
\ No newline at end of file
+export default FileUpload;
@@ -0,0 +1,324 @@
+import React, { useState, useEffect, useRef } from 'react';
+import Button from './Button';
+import MediaService from '../../services/mediaService';
+
+const TOOLS = [
+  { value: 'arrow', label: 'Arrow', icon: 'fa-long-arrow-alt-right' },
+  { value: 'circle', label: 'Circle', icon: 'fa-circle' },
+  { value: 'text', label: 'Text', icon: 'fa-font' },
+  { value: 'blur', label: 'Blur', icon: 'fa-eye-slash' }
+];
+
+const COLORS = ['#ff0000', '#ffd400', '#00c853', '#ffffff'];
+
+// Drags shorter than this (as a fraction of the photo) are treated as stray clicks
+const MIN_SIZE = 0.01;
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+// Same proportions the server uses when it draws the annotated copy
+const getScale = (width) => ({
+  stroke: Math.max(3, Math.round(width * 0.006)),
+  fontSize: Math.max(14, Math.round(width * 0.035))
+});
+
+// Circles and blurred areas are stored by their top-left corner and size
+const toBox = (start, end) => ({
+  x: Math.min(start.x, end.x),
+  y: Math.min(start.y, end.y),
+  width: Math.abs(end.x - start.x),
+  height: Math.abs(end.y - start.y)
+});
+
+// Draw arrows, circles, text and blurred areas over a photo.
+// Shapes are saved with the photo and drawn into the copies customers see;
+// the original upload is never changed.
+const PhotoAnnotator = ({ file, onClose, onSaved }) => {
+  const svgRef = useRef(null);
+  const [image, setImage] = useState(null);
+  const [shapes, setShapes] = useState([]);
+  const [tool, setTool] = useState('arrow');
+  const [color, setColor] = useState(COLORS[0]);
+  const [draft, setDraft] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchAnnotations = async () => {
+      try {
+        const response = await MediaService.getAnnotations(file._id);
+        const { annotations, imageUrl, width, height } = response.data;
+        setShapes(annotations.shapes || []);
+        setImage({ url: imageUrl, width, height });
+      } catch (err) {
+        console.error('Error loading annotations:', err);
+        setError(err.response?.data?.message || 'Failed to load the photo.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchAnnotations();
+  }, [file._id]);
+
+  // Older photos have no stored size; use the image's own once it loads
+  const handleImageLoad = (e) => {
+    if (image.width && image.height) return;
+    const { naturalWidth, naturalHeight } = e.target;
+    setImage(current => ({ ...current, width: naturalWidth, height: naturalHeight }));
+  };
+
+  const getPoint = (e) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width),
+      y: clamp((e.clientY - rect.top) / rect.height)
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (saving) return;
+    e.preventDefault();
+    const point = getPoint(e);
+
+    if (tool === 'text') {
+      const text = window.prompt('Text to add:');
+      if (text && text.trim()) {
+        setShapes(current => [...current, { type: 'text', x: point.x, y: point.y, text: text.trim().slice(0, 200), color }]);
+      }
+      return;
+    }
+
+    svgRef.current.setPointerCapture(e.pointerId);
+    setDraft({ type: tool, start: point, end: point });
+  };
+
+  const handlePointerMove = (e) => {
+    if (!draft) return;
+    e.preventDefault();
+    const point = getPoint(e);
+    setDraft(current => ({ ...current, end: point }));
+  };
+
+  const handlePointerUp = () => {
+    if (!draft) return;
+    const shape = draftToShape(draft);
+    setDraft(null);
+
+    const size = shape.type === 'arrow'
+      ? Math.hypot(shape.x2 - shape.x, shape.y2 - shape.y)
+      : Math.min(shape.width, shape.height);
+    if (size >= MIN_SIZE) {
+      setShapes(current => [...current, shape]);
+    }
+  };
+
+  const draftToShape = ({ type, start, end }) => {
+    if (type === 'arrow') {
+      return { type, x: start.x, y: start.y, x2: end.x, y2: end.y, color };
+    }
+    if (type === 'blur') {
+      return { type, ...toBox(start, end) };
+    }
+    return { type, ...toBox(start, end), color };
+  };
+
+  const handleSave = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      await MediaService.saveAnnotations(file._id, shapes);
+      if (onSaved) await onSaved();
+      onClose();
+    } catch (err) {
+      console.error('Error saving annotations:', err);
+      setError(err.response?.data?.message || 'Failed to save annotations. Please try again.');
+      setSaving(false);
+    }
+  };
+
+  const renderShape = (shape, key) => {
+    const { width, height } = image;
+    const { stroke, fontSize } = getScale(width);
+
+    if (shape.type === 'arrow') {
+      const x1 = shape.x * width;
+      const y1 = shape.y * height;
+      const x2 = shape.x2 * width;
+      const y2 = shape.y2 * height;
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = stroke * 5;
+      const wing = (offset) => `${x2 - head * Math.cos(angle + offset)},${y2 - head * Math.sin(angle + offset)}`;
+      return (
+        <g key={key}>
+          <line x1={x1} y1={y1} x2={x2} y2={y2} stroke={shape.color} strokeWidth={stroke} strokeLinecap="round" />
+          <polygon points={`${x2},${y2} ${wing(0.45)} ${wing(-0.45)}`} fill={shape.color} />
+        </g>
+      );
+    }
+    if (shape.type === 'circle') {
+      const rx = (shape.width * width) / 2;
+      const ry = (shape.height * height) / 2;
+      return (
+        <ellipse
+          key={key}
+          cx={shape.x * width + rx}
+          cy={shape.y * height + ry}
+          rx={rx}
+          ry={ry}
+          fill="none"
+          stroke={shape.color}
+          strokeWidth={stroke}
+        />
+      );
+    }
+    if (shape.type === 'text') {
+      return (
+        <text
+          key={key}
+          x={shape.x * width}
+          y={shape.y * height}
+          fontFamily="sans-serif"
+          fontWeight="bold"
+          fontSize={fontSize}
+          fill={shape.color}
+          stroke="#000000"
+          strokeWidth={Math.max(1, Math.round(fontSize / 12))}
+          paintOrder="stroke"
+        >
+          {shape.text}
+        </text>
+      );
+    }
+    if (shape.type === 'blur') {
+      // A blurred copy of the photo shown only inside the area
+      const clipId = `annotation-blur-${key}`;
+      return (
+        <g key={key}>
+          <clipPath id={clipId}>
+            <rect x={shape.x * width} y={shape.y * height} width={shape.width * width} height={shape.height * height} />
+          </clipPath>
+          <image
+            href={image.url}
+            width={width}
+            height={height}
+            filter="url(#annotation-blur)"
+            clipPath={`url(#${clipId})`}
+          />
+          <rect
+            x={shape.x * width}
+            y={shape.y * height}
+            width={shape.width * width}
+            height={shape.height * height}
+            fill="none"
+            stroke="#ffffff"
+            strokeWidth={1}
+            strokeDasharray="6 4"
+            vectorEffect="non-scaling-stroke"
+          />
+        </g>
+      );
+    }
+    return null;
+  };
+
+  const ready = image && image.width && image.height;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-lg p-6 max-w-4xl w-full max-h-[95vh] overflow-y-auto">
+        <div className="flex justify-between items-center mb-4">
+          <h3 className="text-lg font-bold text-gray-900">Annotate Photo</h3>
+          <span className="text-sm text-gray-500 truncate ml-4">{file.fileName}</span>
+        </div>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          {TOOLS.map(option => (
+            <Button
+              key={option.value}
+              variant={tool === option.value ? 'primary' : 'outline'}
+              size="sm"
+              onClick={() => setTool(option.value)}
+            >
+              <i className={`fas ${option.icon} mr-1`}></i>
+              {option.label}
+            </Button>
+          ))}
+          <div className="flex items-center gap-1 ml-2">
+            {COLORS.map(value => (
+              <button
+                key={value}
+                type="button"
+                title={value}
+                onClick={() => setColor(value)}
+                disabled={tool === 'blur'}
+                className={`w-6 h-6 rounded-full border-2 ${color === value ? 'border-gray-900' : 'border-gray-300'} disabled:opacity-40`}
+                style={{ backgroundColor: value }}
+              />
+            ))}
+          </div>
+          <div className="flex gap-2 ml-auto">
+            <Button variant="outline" size="sm" onClick={() => setShapes(current => current.slice(0, -1))} disabled={!shapes.length || saving}>
+              Undo
+            </Button>
+            <Button variant="outline" size="sm" onClick={() => setShapes([])} disabled={!shapes.length || saving}>
+              Clear All
+            </Button>
+          </div>
+        </div>
+
+        <div className="bg-gray-100 rounded flex justify-center">
+          {loading && <p className="py-16 text-gray-600">Loading photo...</p>}
+          {image && !ready && (
+            <img src={image.url} alt={file.fileName} onLoad={handleImageLoad} className="max-h-[65vh]" />
+          )}
+          {ready && (
+            <svg
+              ref={svgRef}
+              viewBox={`0 0 ${image.width} ${image.height}`}
+              className="max-w-full max-h-[65vh] cursor-crosshair select-none"
+              style={{ touchAction: 'none', aspectRatio: `${image.width} / ${image.height}` }}
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={() => setDraft(null)}
+            >
+              <defs>
+                <filter id="annotation-blur">
+                  <feGaussianBlur stdDeviation={Math.max(8, Math.round(image.width * 0.015))} />
+                </filter>
+              </defs>
+              <image href={image.url} width={image.width} height={image.height} />
+              {shapes.filter(shape => shape.type === 'blur').map((shape, index) => renderShape(shape, `blur-${index}`))}
+              {shapes.filter(shape => shape.type !== 'blur').map((shape, index) => renderShape(shape, `shape-${index}`))}
+              {draft && renderShape(draftToShape(draft), 'draft')}
+            </svg>
+          )}
+        </div>
+
+        <p className="text-xs text-gray-500 mt-2">
+          Drag on the photo to draw, or click to place text. Customers see the annotated photo in shared links,
+          texts and the status page; the original is kept unchanged.
+        </p>
+
+        <div className="mt-6 flex justify-end space-x-3">
+          <Button variant="light" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button variant="primary" onClick={handleSave} disabled={!ready || saving}>
+            {saving ? 'Saving...' : 'Save Annotations'}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PhotoAnnotator;
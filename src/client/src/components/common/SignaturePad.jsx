@@ -0,0 +1,89 @@
+import React, { useRef, useEffect, useState } from 'react';
+
+// Canvas for drawing a signature with a mouse, pen or finger
+// Calls onChange with a PNG data URL after each stroke, or null when cleared
+const SignaturePad = ({ onChange, height = 160, disabled = false }) => {
+  const canvasRef = useRef(null);
+  const drawingRef = useRef(false);
+  const [hasSignature, setHasSignature] = useState(false);
+
+  // Match the canvas resolution to its displayed size so strokes line up with the pointer
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const ratio = window.devicePixelRatio || 1;
+    canvas.width = canvas.offsetWidth * ratio;
+    canvas.height = height * ratio;
+
+    const context = canvas.getContext('2d');
+    context.scale(ratio, ratio);
+    context.lineWidth = 2;
+    context.lineCap = 'round';
+    context.lineJoin = 'round';
+    context.strokeStyle = '#111827';
+  }, [height]);
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+  };
+
+  const handlePointerDown = (e) => {
+    if (disabled) return;
+    e.preventDefault();
+    canvasRef.current.setPointerCapture(e.pointerId);
+    drawingRef.current = true;
+
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    context.beginPath();
+    context.moveTo(x, y);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!drawingRef.current) return;
+    e.preventDefault();
+
+    const context = canvasRef.current.getContext('2d');
+    const { x, y } = getPoint(e);
+    context.lineTo(x, y);
+    context.stroke();
+  };
+
+  const handlePointerUp = () => {
+    if (!drawingRef.current) return;
+    drawingRef.current = false;
+    setHasSignature(true);
+    onChange(canvasRef.current.toDataURL('image/png'));
+  };
+
+  const handleClear = () => {
+    const canvas = canvasRef.current;
+    canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+    setHasSignature(false);
+    onChange(null);
+  };
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        style={{ height, touchAction: 'none' }}
+        className={`w-full border border-gray-300 rounded-md ${disabled ? 'bg-gray-100' : 'bg-white cursor-crosshair'}`}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      />
+      <div className="flex justify-between items-center mt-1 text-xs text-gray-500">
+        <span>{hasSignature ? 'Signed' : 'Sign above'}</span>
+        {hasSignature && !disabled && (
+          <button type="button" onClick={handleClear} className="text-primary-600 hover:text-primary-800">
+            Clear
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SignaturePad;
@@ -5,11 +5,19 @@ import moment from 'moment-timezone';
 import Card from '../common/Card';
 import Button from '../common/Button';
 import AppointmentService from '../../services/appointmentService';
-import { formatDateTimeToET } from '../../utils/formatters';
+import BayService from '../../services/bayService';
+import { useSettings } from '../../contexts/SettingsContext';
+import { formatDateTimeToET, getShopTimezone } from '../../utils/formatters';
+
+// Statuses that no longer occupy a bay
+const INACTIVE_STATUSES = ['Cancelled', 'No-Show'];
 
 const AppointmentCalendar = () => {
   const [appointments, setAppointments] = useState([]);
   const [currentWeek, setCurrentWeek] = useState(moment());
+  const [view, setView] = useState('week'); // 'week' or 'bays'
+  const [currentDay, setCurrentDay] = useState(moment.tz(getShopTimezone()));
+  const [bays, setBays] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showWeekends, setShowWeekends] = useState(false);
@@ -17,14 +25,33 @@ const AppointmentCalendar = () => {
   const [selectedAppointment, setSelectedAppointment] = useState(null);
   const [popoverPosition, setPopoverPosition] = useState({ x: 0, y: 0 });
   const navigate = useNavigate();
+  const { settings } = useSettings();
+
+  useEffect(() => {
+    const fetchBays = async () => {
+      try {
+        const response = await BayService.getAllBays();
+        setBays(response.data.bays || []);
+      } catch (err) {
+        console.error('Error fetching bays:', err);
+      }
+    };
+
+    fetchBays();
+  }, []);
 
   // Make sure currentWeek is included in the dependency array
   useEffect(() => {
     const fetchWeekAppointments = async () => {
       try {
         setLoading(true);
-        const startDate = currentWeek.clone().startOf('week').format('YYYY-MM-DD');
-        const endDate = currentWeek.clone().endOf('week').format('YYYY-MM-DD');
+        // The bay view shows one day; the week view the whole week
+        const startDate = view === 'bays'
+          ? currentDay.format('YYYY-MM-DD')
+          : currentWeek.clone().startOf('week').format('YYYY-MM-DD');
+        const endDate = view === 'bays'
+          ? currentDay.format('YYYY-MM-DD')
+          : currentWeek.clone().endOf('week').format('YYYY-MM-DD');
         
         const response = await AppointmentService.getAppointmentsByDateRange(startDate, endDate);
         const weekAppointments = response.data.appointments || [];
@@ -36,7 +63,9 @@ const AppointmentCalendar = () => {
           return day === 0 || day === 6; // Sunday = 0, Saturday = 6
         });
         
-        setShowWeekends(hasWeekendAppointments);
+        if (view === 'week') {
+          setShowWeekends(hasWeekendAppointments);
+        }
         setLoading(false);
       } catch (err) {
         console.error('Error fetching appointments:', err);
@@ -46,17 +75,26 @@ const AppointmentCalendar = () => {
     };
 
     fetchWeekAppointments();
-  }, [currentWeek]); // fetchWeekAppointments is now defined inside useEffect
+  }, [currentWeek, currentDay, view]); // fetchWeekAppointments is now defined inside useEffect
 
   const navigateToPreviousWeek = () => {
+    if (view === 'bays') {
+      setCurrentDay(currentDay.clone().subtract(1, 'day'));
+      return;
+    }
     setCurrentWeek(currentWeek.clone().subtract(1, 'week'));
   };
 
   const navigateToNextWeek = () => {
+    if (view === 'bays') {
+      setCurrentDay(currentDay.clone().add(1, 'day'));
+      return;
+    }
     setCurrentWeek(currentWeek.clone().add(1, 'week'));
   };
 
   const navigateToCurrentWeek = () => {
+    setCurrentDay(moment.tz(getShopTimezone()));
     setCurrentWeek(moment());
   };
 
@@ -125,7 +163,7 @@ const AppointmentCalendar = () => {
     return appointments
       .filter(appointment => {
         // Convert appointment.startTime (UTC) to ET for date comparison
-        const appointmentDateET = moment.utc(appointment.startTime).tz('America/New_York').format('YYYY-MM-DD');
+        const appointmentDateET = moment.utc(appointment.startTime).tz(getShopTimezone()).format('YYYY-MM-DD');
         // Filter out appointments linked to "Invoiced" work orders
         return appointmentDateET === day.format('YYYY-MM-DD') && appointment.workOrder?.status !== 'Repair Complete - Invoiced';
       })
@@ -137,6 +175,120 @@ const AppointmentCalendar = () => {
     return formatDateTimeToET(dateTimeString, 'h:mm A');
   };
 
+  // Opening and closing time for a day, from the shop's business hours
+  const getDayWindow = (day) => {
+    const hours = (settings.businessHours || []).find(entry => entry.day === day.day());
+    const date = day.format('YYYY-MM-DD');
+    const open = hours && !hours.closed && hours.open ? hours.open : '08:00';
+    const close = hours && !hours.closed && hours.close ? hours.close : '18:00';
+    return {
+      start: moment.tz(`${date} ${open}`, 'YYYY-MM-DD HH:mm', getShopTimezone()),
+      end: moment.tz(`${date} ${close}`, 'YYYY-MM-DD HH:mm', getShopTimezone())
+    };
+  };
+
+  // One lane per bay, plus lanes for inactive bays still booked today and for unassigned appointments
+  const getBayLanes = (dayAppointments) => {
+    const lanes = bays.map(bay => ({ key: bay._id, name: bay.name, type: bay.type, appointments: [] }));
+    const unassigned = { key: 'none', name: 'No Bay', type: '', appointments: [] };
+
+    dayAppointments.forEach(appointment => {
+      if (!appointment.bay) {
+        unassigned.appointments.push(appointment);
+        return;
+      }
+      let lane = lanes.find(entry => entry.key === appointment.bay._id);
+      if (!lane) {
+        lane = { key: appointment.bay._id, name: appointment.bay.name, type: appointment.bay.type, appointments: [] };
+        lanes.push(lane);
+      }
+      lane.appointments.push(appointment);
+    });
+
+    return unassigned.appointments.length > 0 ? [...lanes, unassigned] : lanes;
+  };
+
+  const renderBayLanes = () => {
+    const dayAppointments = getAppointmentsForDay(currentDay)
+      .filter(appointment => !INACTIVE_STATUSES.includes(appointment.status));
+    const lanes = getBayLanes(dayAppointments);
+    const { start, end } = getDayWindow(currentDay);
+    const span = Math.max(end.diff(start, 'minutes'), 60);
+
+    // Position as a percentage of the business day, clipped to its edges
+    const toPercent = (time) => Math.min(100, Math.max(0, (moment.utc(time).diff(start, 'minutes') / span) * 100));
+
+    const hourMarks = [];
+    for (let mark = start.clone().startOf('hour'); mark.isBefore(end); mark.add(1, 'hour')) {
+      if (!mark.isBefore(start)) hourMarks.push(mark.clone());
+    }
+
+    if (lanes.length === 0) {
+      return (
+        <div className="flex items-center justify-center h-32 text-gray-400 text-sm">
+          No bays set up. Add bays under Administration to see the lane view.
+        </div>
+      );
+    }
+
+    return (
+      <div className="overflow-x-auto">
+        <div className="min-w-[720px]">
+          <div className="flex">
+            <div className="w-32 flex-shrink-0"></div>
+            <div className="relative flex-1 h-6 border-b border-gray-200">
+              {hourMarks.map(mark => (
+                <span
+                  key={mark.format('HH')}
+                  className="absolute text-xs text-gray-500 -translate-x-1/2 transform"
+                  style={{ left: `${(mark.diff(start, 'minutes') / span) * 100}%` }}
+                >
+                  {mark.format('h A')}
+                </span>
+              ))}
+            </div>
+          </div>
+
+          {lanes.map(lane => (
+            <div key={lane.key} className="flex border-b border-gray-100">
+              <div className="w-32 flex-shrink-0 py-2 pr-2">
+                <p className="text-sm font-medium text-gray-900 truncate">{lane.name}</p>
+                {lane.type && <p className="text-xs text-gray-500">{lane.type}</p>}
+              </div>
+              <div className="relative flex-1 h-16 bg-gray-50">
+                {hourMarks.map(mark => (
+                  <div
+                    key={mark.format('HH')}
+                    className="absolute top-0 bottom-0 border-l border-gray-200"
+                    style={{ left: `${(mark.diff(start, 'minutes') / span) * 100}%` }}
+                  ></div>
+                ))}
+                {lane.appointments.map(appointment => {
+                  const left = toPercent(appointment.startTime);
+                  const width = Math.max(toPercent(appointment.endTime) - left, 2);
+                  return (
+                    <div
+                      key={appointment._id}
+                      onClick={(e) => handleAppointmentClick(appointment, e)}
+                      className="absolute top-1 bottom-1 bg-white border border-primary-300 rounded shadow-sm px-2 py-1 overflow-hidden cursor-pointer hover:bg-primary-50"
+                      style={{ left: `${left}%`, width: `${width}%` }}
+                      title={`${formatTime(appointment.startTime)} - ${formatTime(appointment.endTime)} ${appointment.serviceType}`}
+                    >
+                      <p className="text-xs font-bold truncate">
+                        {formatTime(appointment.startTime)} {appointment.technician?.name || 'Unassigned'}
+                      </p>
+                      <p className="text-xs text-gray-600 truncate">{appointment.serviceType}</p>
+                    </div>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+    );
+  };
+
   // Get a consistent display class for the technician name
   const getTechnicianDisplayClass = () => {
     return 'bg-indigo-100 text-indigo-800'; // Consistent style for technician
@@ -166,9 +318,15 @@ const AppointmentCalendar = () => {
 
   return (
     <Card 
-      title={`Appointments: ${currentWeek.format('MMMM D')} - ${currentWeek.clone().endOf(showWeekends ? 'week' : 'week').subtract(showWeekends ? 0 : 2, 'days').format('MMMM D, YYYY')}`}
+      title={view === 'bays'
+        ? `Bays: ${currentDay.format('dddd, MMMM D, YYYY')}`
+        : `Appointments: ${currentWeek.format('MMMM D')} - ${currentWeek.clone().endOf(showWeekends ? 'week' : 'week').subtract(showWeekends ? 0 : 2, 'days').format('MMMM D, YYYY')}`}
       headerActions={
         <div className="flex space-x-2">
+          <Button onClick={() => setView(view === 'bays' ? 'week' : 'bays')} variant="outline" size="sm">
+            <i className={`fas ${view === 'bays' ? 'fa-calendar-week' : 'fa-warehouse'} mr-1`}></i>
+            {view === 'bays' ? 'Week' : 'Bays'}
+          </Button>
           <Button onClick={navigateToPreviousWeek} variant="outline" size="sm">
             <i className="fas fa-chevron-left mr-1"></i> Prev
           </Button>
@@ -181,6 +339,7 @@ const AppointmentCalendar = () => {
         </div>
       }
     >
+      {view === 'bays' ? renderBayLanes() : (
       <div className="overflow-x-auto">
         <div className="grid grid-cols-5 gap-1" style={{ gridTemplateColumns: `repeat(${days.length}, minmax(160px, 1fr))` }}>
           {/* Calendar Headers */}
@@ -244,6 +403,7 @@ const AppointmentCalendar = () => {
           })}
         </div>
       </div>
+      )}
 
       {/* Simple Action Popover */}
       {actionMenuOpen && selectedAppointment && (
@@ -0,0 +1,84 @@
+import React from 'react';
+
+export const ITEM_STATUS_OPTIONS = [
+  { value: 'good', label: 'Good', classes: 'bg-green-100 text-green-800', activeClasses: 'bg-green-600 text-white' },
+  { value: 'attention', label: 'Needs Attention', classes: 'bg-yellow-100 text-yellow-800', activeClasses: 'bg-yellow-500 text-white' },
+  { value: 'urgent', label: 'Urgent', classes: 'bg-red-100 text-red-800', activeClasses: 'bg-red-600 text-white' }
+];
+
+export const InspectionStatusBadge = ({ status }) => {
+  const option = ITEM_STATUS_OPTIONS.find(entry => entry.value === status);
+  return (
+    <span className={`inline-block px-2 py-1 text-xs rounded-full ${option ? option.classes : 'bg-gray-100 text-gray-600'}`}>
+      {option ? option.label : 'Not checked'}
+    </span>
+  );
+};
+
+const formatMeasurements = (measurements = []) => measurements
+  .filter(measurement => measurement.value !== undefined && measurement.value !== null)
+  .map(measurement => `${measurement.label ? `${measurement.label}: ` : ''}${measurement.value}${measurement.unit || ''}`)
+  .join(', ');
+
+// Read-only inspection results grouped by category, most urgent first within each group
+// Used by the staff work order view, the technician portal and the customer report
+const InspectionResults = ({ inspection, showCounts = true }) => {
+  const order = { urgent: 0, attention: 1, good: 2 };
+  const categories = inspection.items.reduce((groups, item) => {
+    const category = item.category || 'General';
+    if (!groups[category]) groups[category] = [];
+    groups[category].push(item);
+    return groups;
+  }, {});
+
+  return (
+    <div>
+      {showCounts && inspection.statusCounts && (
+        <div className="flex flex-wrap gap-2 mb-4 text-sm">
+          <span className="px-3 py-1 rounded-full bg-red-100 text-red-800">{inspection.statusCounts.urgent} urgent</span>
+          <span className="px-3 py-1 rounded-full bg-yellow-100 text-yellow-800">{inspection.statusCounts.attention} need attention</span>
+          <span className="px-3 py-1 rounded-full bg-green-100 text-green-800">{inspection.statusCounts.good} good</span>
+        </div>
+      )}
+
+      {Object.entries(categories).map(([category, items]) => (
+        <div key={category} className="mb-4">
+          <h4 className="text-sm font-semibold text-gray-700 uppercase tracking-wide mb-2">{category}</h4>
+          <ul className="divide-y divide-gray-100">
+            {[...items]
+              .sort((a, b) => (order[a.status] ?? 3) - (order[b.status] ?? 3))
+              .map(item => (
+                <li key={item._id} className="py-2">
+                  <div className="flex justify-between items-start gap-2">
+                    <div>
+                      <p className="font-medium text-gray-900">{item.name}</p>
+                      {formatMeasurements(item.measurements) && (
+                        <p className="text-sm text-gray-600">{formatMeasurements(item.measurements)}</p>
+                      )}
+                      {item.notes && <p className="text-sm text-gray-600 whitespace-pre-line">{item.notes}</p>}
+                    </div>
+                    <InspectionStatusBadge status={item.status} />
+                  </div>
+                  {item.photos?.length > 0 && (
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {item.photos.filter(photo => photo.url).map(photo => (
+                        <a key={photo._id} href={photo.url} target="_blank" rel="noopener noreferrer">
+                          <img src={photo.thumbnailUrl || photo.url} alt={photo.fileName} className="h-20 w-20 object-cover rounded border border-gray-200" />
+                        </a>
+                      ))}
+                    </div>
+                  )}
+                </li>
+              ))}
+          </ul>
+        </div>
+      ))}
+
+      {inspection.summary && (
+        <div className="mt-2 text-sm text-gray-700 whitespace-pre-line">{inspection.summary}</div>
+      )}
+    </div>
+  );
+};
+
+export default InspectionResults;
@@ -87,12 +87,6 @@ const Navbar = ({ onMobileMenuToggle }) => {
                 >
                   Login
                 </Link>
-                <Link
-                  to="/register"
-                  className="bg-primary-600 text-white rounded-md py-1.5 px-2 sm:py-2 sm:px-4 hover:bg-primary-700 transition text-xs sm:text-sm font-medium"
-                >
-                  Register
-                </Link>
               </div>
             )}
           </div>
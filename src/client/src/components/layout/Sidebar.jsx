@@ -5,7 +5,7 @@ import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 
 const Sidebar = () => {
-  const { isAuthenticated, user } = useAuth(); // Assuming user object is available in AuthContext
+  const { isAuthenticated, currentUser: user, can } = useAuth();
   const [collapsed, setCollapsed] = useState(false);
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
   const [isMobile, setIsMobile] = useState(false);
@@ -63,22 +63,26 @@ const Sidebar = () => {
     return null;
   }
 
+  // Items with a resource are only shown to roles allowed to perform the action on it
   const primaryNavigationItems = [
     { name: 'Dashboard', path: '/', icon: 'fas fa-tachometer-alt' },
-    { name: 'Customers', path: '/customers', icon: 'fas fa-users' },
-    { name: 'Vehicles', path: '/vehicles', icon: 'fas fa-car' },
-    { name: 'Work Orders', path: '/work-orders', icon: 'fas fa-clipboard-list' },
-    { name: 'Technician Portal', path: '/technician-portal', icon: 'fas fa-wrench' },
-    { name: 'Appointments', path: '/appointments', icon: 'fas fa-calendar-alt' },
-    { name: 'Parts', path: '/parts', icon: 'fas fa-cogs' },
-    { name: 'Invoices', path: '/invoices', icon: 'fas fa-file-invoice-dollar' },
-  ];
+    { name: 'Customers', path: '/customers', icon: 'fas fa-users', resource: 'customers' },
+    { name: 'Vehicles', path: '/vehicles', icon: 'fas fa-car', resource: 'vehicles' },
+    { name: 'Work Orders', path: '/work-orders', icon: 'fas fa-clipboard-list', resource: 'workOrders' },
+    { name: 'Technician Portal', path: '/technician-portal', icon: 'fas fa-wrench', resource: 'workOrders', action: 'update' },
+    { name: 'Appointments', path: '/appointments', icon: 'fas fa-calendar-alt', resource: 'appointments' },
+    { name: 'Messages', path: '/messages', icon: 'fas fa-comments', resource: 'messages' },
+    { name: 'Parts', path: '/parts', icon: 'fas fa-cogs', resource: 'parts' },
+    { name: 'Purchase Orders', path: '/purchase-orders', icon: 'fas fa-truck', resource: 'purchaseOrders' },
+    { name: 'Invoices', path: '/invoices', icon: 'fas fa-file-invoice-dollar', resource: 'invoices' },
+  ].filter(item => !item.resource || can(item.resource, item.action));
 
   const secondaryNavigationItems = [
-    { name: 'Technicians', path: '/technicians', icon: 'fas fa-hard-hat' },
-    { name: 'Administration', path: '/admin', icon: 'fas fa-shield-alt' },
+    { name: 'Technicians', path: '/technicians', icon: 'fas fa-hard-hat', resource: 'technicians', action: 'update' },
+    { name: 'Tech Schedule', path: '/technicians/schedule', icon: 'fas fa-calendar-check', resource: 'timeOff' },
+    { name: 'Administration', path: '/admin', icon: 'fas fa-shield-alt', resource: 'users' },
     { name: 'Settings', path: '/settings', icon: 'fas fa-sliders-h' },
-  ];
+  ].filter(item => !item.resource || can(item.resource, item.action));
 
   // Get user initial - using a placeholder if user or user.name is not available
   const userInitial = user && user.name ? user.name.charAt(0).toUpperCase() : (user && user.email ? user.email.charAt(0).toUpperCase() : 'U');
@@ -0,0 +1,86 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import MessageThread from './MessageThread';
+import MessageService from '../../services/messageService';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Text messages with one customer, for the customer and work order screens.
+// Replies sent from a work order are tagged with it.
+const CustomerMessagesCard = ({ customer, workOrderId }) => {
+  const { can } = useAuth();
+  const [conversation, setConversation] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canRead = can('messages', 'read');
+  const customerId = customer?._id;
+
+  const fetchMessages = useCallback(async () => {
+    try {
+      const response = await MessageService.getCustomerConversation(customerId);
+      let thread = response.data.conversation;
+      if (thread && thread.unreadCount > 0) {
+        thread = (await MessageService.markRead(thread._id)).data.conversation;
+      }
+      setConversation(thread);
+      setMessages(response.data.messages);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load text messages.');
+    } finally {
+      setLoading(false);
+    }
+  }, [customerId]);
+
+  useEffect(() => {
+    if (canRead && customerId) fetchMessages();
+  }, [canRead, customerId, fetchMessages]);
+
+  if (!canRead || !customer) return null;
+
+  const handleSend = async (body) => {
+    const response = await MessageService.sendMessage({ customerId, workOrderId, body });
+    setConversation(response.data.conversation);
+    if (response.data.message) {
+      setMessages(prev => [...prev, response.data.message]);
+    }
+  };
+
+  return (
+    <Card
+      title="Text Messages"
+      headerActions={
+        <div className="flex gap-2">
+          <Button variant="outline" size="sm" onClick={fetchMessages} title="Check for new messages">
+            <i className="fas fa-sync-alt"></i>
+          </Button>
+          {conversation && (
+            <Button variant="outline" size="sm" to={`/messages?conversation=${conversation._id}`}>
+              Open in Inbox
+            </Button>
+          )}
+        </div>
+      }
+    >
+      {loading ? (
+        <p className="text-center py-4 text-gray-500">Loading messages...</p>
+      ) : error ? (
+        <p className="text-center py-4 text-red-600">{error}</p>
+      ) : (
+        <MessageThread
+          messages={messages}
+          onSend={handleSend}
+          canReply={can('messages', 'create') && !!customer.phone}
+          disabledReason={!customer.phone ? 'Add a mobile number to text this customer.' : null}
+        />
+      )}
+      {customer.communicationPreference && customer.communicationPreference !== 'SMS' && (
+        <p className="mt-2 text-xs text-yellow-700">This customer prefers {customer.communicationPreference} contact.</p>
+      )}
+    </Card>
+  );
+};
+
+export default CustomerMessagesCard;
@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import Button from '../common/Button';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+// SMS segments are 160 characters; longer texts are split and cost more
+const SEGMENT_LENGTH = 160;
+
+// Text message bubbles with a reply box underneath
+// onSend(body) should resolve once the message is sent, or throw to keep the draft
+const MessageThread = ({ messages, onSend, canReply = true, disabledReason, heightClass = 'h-80' }) => {
+  const [draft, setDraft] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const bottomRef = useRef(null);
+
+  useEffect(() => {
+    if (bottomRef.current) bottomRef.current.scrollIntoView({ block: 'nearest' });
+  }, [messages.length]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    try {
+      setSending(true);
+      setError(null);
+      await onSend(draft.trim());
+      setDraft('');
+    } catch (err) {
+      setError(err.response?.data?.message || 'The message could not be sent.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className={`${heightClass} overflow-y-auto bg-gray-50 rounded-md p-3 space-y-3`}>
+        {messages.length === 0 ? (
+          <p className="text-center py-4 text-gray-500 text-sm">No messages yet.</p>
+        ) : (
+          messages.map(message => {
+            const outbound = message.direction === 'Outbound';
+            return (
+              <div key={message._id} className={`flex ${outbound ? 'justify-end' : 'justify-start'}`}>
+                <div className={`max-w-[80%] rounded-lg px-3 py-2 text-sm ${outbound ? 'bg-primary-600 text-white' : 'bg-white border border-gray-200 text-gray-800'}`}>
+                  {message.body && <p className="whitespace-pre-line break-words">{message.body}</p>}
+                  {(message.mediaUrls || []).map(url => (
+                    <a key={url} href={url} target="_blank" rel="noopener noreferrer" className={`block text-xs underline ${outbound ? 'text-white' : 'text-primary-600'}`}>
+                      <i className="fas fa-image mr-1"></i>Picture
+                    </a>
+                  ))}
+                  <p className={`mt-1 text-xs ${outbound ? 'text-primary-100' : 'text-gray-500'}`}>
+                    {formatDateTimeToET(message.createdAt, 'MMM D, h:mm A')}
+                    {outbound && (message.sentBy ? ` · ${message.sentBy}` : ' · Automatic')}
+                    {message.workOrder && (
+                      <>
+                        {' · '}
+                        <Link to={`/work-orders/${message.workOrder._id}`} className="underline">Work order</Link>
+                      </>
+                    )}
+                  </p>
+                </div>
+              </div>
+            );
+          })
+        )}
+        <div ref={bottomRef}></div>
+      </div>
+
+      {error && <p className="mt-2 text-sm text-red-600">{error}</p>}
+
+      {canReply ? (
+        <form onSubmit={handleSubmit} className="mt-3">
+          <textarea
+            value={draft}
+            onChange={(e) => setDraft(e.target.value)}
+            rows={2}
+            maxLength={1600}
+            placeholder="Type a text message..."
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm text-sm"
+          />
+          <div className="flex justify-between items-center mt-2">
+            <span className="text-xs text-gray-500">
+              {draft.length} characters{draft.length > SEGMENT_LENGTH && ` · ${Math.ceil(draft.length / 153)} texts`}
+            </span>
+            <Button type="submit" variant="primary" size="sm" disabled={sending || !draft.trim()}>
+              {sending ? 'Sending...' : 'Send'}
+            </Button>
+          </div>
+        </form>
+      ) : (
+        disabledReason && <p className="mt-3 text-sm text-gray-500">{disabledReason}</p>
+      )}
+    </div>
+  );
+};
+
+export default MessageThread;
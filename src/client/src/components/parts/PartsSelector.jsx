@@ -65,6 +65,7 @@ const PartsSelector = ({ onPartSelect, onClose }) => {
 
   const handlePartSelect = (part) => {
     onPartSelect({
+      part: part._id,
       name: part.name,
       partNumber: part.partNumber,
       price: part.price,
@@ -195,7 +196,7 @@ const PartsSelector = ({ onPartSelect, onClose }) => {
                         </span>
                       </div>
                       
-                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm text-gray-600">
+                      <div className="grid grid-cols-2 md:grid-cols-5 gap-4 text-sm text-gray-600">
                         <div>
                           <span className="font-medium">Part #:</span>
                           <div>{part.partNumber}</div>
@@ -214,6 +215,13 @@ const PartsSelector = ({ onPartSelect, onClose }) => {
                             {formatCurrency(part.price)}
                           </div>
                         </div>
+                        <div>
+                          <span className="font-medium">In Stock:</span>
+                          <div className={(part.quantityOnHand || 0) > 0 ? 'text-gray-900' : 'text-red-600'}>
+                            {part.quantityOnHand ?? 0}
+                            {part.binLocation && <span className="text-xs text-gray-500"> (Bin {part.binLocation})</span>}
+                          </div>
+                        </div>
                       </div>
 
                       {part.warranty && (
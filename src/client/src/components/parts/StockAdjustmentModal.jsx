@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Modal from '../common/Modal';
+import Input from '../common/Input';
+import SelectInput from '../common/SelectInput';
+import partService from '../../services/partService';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const MOVEMENT_OPTIONS = [
+  { value: 'Received', label: 'Received (add stock)' },
+  { value: 'Returned', label: 'Returned to shelf (add stock)' },
+  { value: 'Adjusted', label: 'Adjustment (count correction, damage, etc.)' }
+];
+
+const StockAdjustmentModal = ({ part, isOpen, onClose, onAdjusted }) => {
+  const [type, setType] = useState('Received');
+  const [quantity, setQuantity] = useState('');
+  const [reason, setReason] = useState('');
+  const [movements, setMovements] = useState([]);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (!isOpen || !part) return;
+
+    setType('Received');
+    setQuantity('');
+    setReason('');
+    setError(null);
+
+    const fetchMovements = async () => {
+      try {
+        const response = await partService.getStockMovements(part._id, 10);
+        setMovements(response.data.data.movements);
+      } catch (err) {
+        console.error('Error fetching stock movements:', err);
+        setMovements([]);
+      }
+    };
+
+    fetchMovements();
+  }, [isOpen, part]);
+
+  const handleSave = async () => {
+    const amount = parseInt(quantity);
+
+    if (isNaN(amount) || amount === 0) {
+      setError('Enter a quantity other than 0.');
+      return;
+    }
+    if (type !== 'Adjusted' && amount < 0) {
+      setError('Received and returned quantities must be positive.');
+      return;
+    }
+    if (type === 'Adjusted' && !reason.trim()) {
+      setError('Enter a reason for the adjustment.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+      const response = await partService.adjustStock(part._id, { type, quantity: amount, reason });
+      onAdjusted(response.data.data.part);
+      onClose();
+    } catch (err) {
+      console.error('Error adjusting stock:', err);
+      setError(err.response?.data?.message || 'Failed to update stock.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!part) return null;
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={onClose}
+      title={`Adjust Stock: ${part.name}`}
+      size="lg"
+      actions={[
+        { label: 'Cancel', variant: 'light', onClick: onClose },
+        { label: saving ? 'Saving...' : 'Save', variant: 'primary', onClick: handleSave }
+      ]}
+    >
+      <div className="space-y-4">
+        <p className="text-sm text-gray-600">
+          #{part.partNumber} &middot; On hand: <span className="font-medium text-gray-900">{part.quantityOnHand ?? 0}</span>
+          {part.binLocation && <> &middot; Bin {part.binLocation}</>}
+        </p>
+
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-2 rounded text-sm">
+            {error}
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <SelectInput
+            label="Movement"
+            name="type"
+            options={MOVEMENT_OPTIONS}
+            value={type}
+            onChange={(e) => setType(e.target.value)}
+            required
+          />
+          <Input
+            label={type === 'Adjusted' ? 'Quantity (+/-)' : 'Quantity'}
+            name="quantity"
+            type="number"
+            step="1"
+            value={quantity}
+            onChange={(e) => setQuantity(e.target.value)}
+            placeholder={type === 'Adjusted' ? '-1' : '1'}
+            required
+          />
+        </div>
+        <Input
+          label="Reason"
+          name="reason"
+          value={reason}
+          onChange={(e) => setReason(e.target.value)}
+          placeholder={type === 'Adjusted' ? 'Cycle count, damaged, etc.' : 'Optional'}
+          required={type === 'Adjusted'}
+        />
+
+        <div>
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Recent Movements</h4>
+          {movements.length === 0 ? (
+            <p className="text-sm text-gray-500">No stock movements recorded yet.</p>
+          ) : (
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1 pr-2 font-medium">Date</th>
+                  <th className="py-1 pr-2 font-medium">Type</th>
+                  <th className="py-1 pr-2 font-medium text-right">Qty</th>
+                  <th className="py-1 pr-2 font-medium text-right">After</th>
+                  <th className="py-1 font-medium">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {movements.map(movement => (
+                  <tr key={movement._id}>
+                    <td className="py-1 pr-2 whitespace-nowrap">{formatDateTimeToET(movement.createdAt)}</td>
+                    <td className="py-1 pr-2">{movement.type}</td>
+                    <td className={`py-1 pr-2 text-right ${movement.quantity < 0 ? 'text-red-600' : 'text-green-600'}`}>
+                      {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                    </td>
+                    <td className="py-1 pr-2 text-right">{movement.quantityAfter}</td>
+                    <td className="py-1 text-gray-600">
+                      {movement.workOrder && (
+                        <Link to={`/work-orders/${movement.workOrder._id}`} className="text-primary-600 hover:text-primary-800 mr-1">
+                          Work Order
+                        </Link>
+                      )}
+                      {movement.reason}
+                      {movement.performedByName && <span className="text-gray-400"> &middot; {movement.performedByName}</span>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </Modal>
+  );
+};
+
+export default StockAdjustmentModal;
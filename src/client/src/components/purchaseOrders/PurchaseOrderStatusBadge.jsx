@@ -0,0 +1,17 @@
+import React from 'react';
+
+const STATUS_CLASSES = {
+  'Draft': 'bg-gray-100 text-gray-800',
+  'Ordered': 'bg-blue-100 text-blue-800',
+  'Partially Received': 'bg-yellow-100 text-yellow-800',
+  'Received': 'bg-green-100 text-green-800',
+  'Cancelled': 'bg-red-100 text-red-800'
+};
+
+const PurchaseOrderStatusBadge = ({ status }) => (
+  <span className={`inline-block px-2 py-1 text-xs rounded-full ${STATUS_CLASSES[status] || 'bg-gray-100 text-gray-800'}`}>
+    {status}
+  </span>
+);
+
+export default PurchaseOrderStatusBadge;
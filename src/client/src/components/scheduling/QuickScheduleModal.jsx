@@ -1,13 +1,14 @@
 // src/client/src/components/scheduling/QuickScheduleModal.jsx - Fixed import issues
 import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import moment from 'moment-timezone';
 import Button from '../common/Button';
 import Input from '../common/Input';
 import SelectInput from '../common/SelectInput';
 import AppointmentService from '../../services/appointmentService';
 import WorkOrderService from '../../services/workOrderService';
 import technicianService from '../../services/technicianService'; // Import technician service
-import { formatDateForInput, getTodayForInput } from '../../utils/formatters';
+import { formatDateForInput, getTodayForInput, getShopTimezone, formatDateTimeToET } from '../../utils/formatters';
 
 /**
  * Quick Schedule Modal Component
@@ -25,6 +26,9 @@ const QuickScheduleModal = ({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const [workOrder, setWorkOrder] = useState(null);
+  const [hasConflict, setHasConflict] = useState(false);
+  const [overrideConflicts, setOverrideConflicts] = useState(false);
+  const [availability, setAvailability] = useState(null);
   const [technicianOptionsList, setTechnicianOptionsList] = useState([{ value: '', label: 'Loading Technicians...' }]);
   const [scheduleData, setScheduleData] = useState({
     date: initialDate ? formatDateForInput(initialDate) : getTodayForInput(),
@@ -90,6 +94,38 @@ const QuickScheduleModal = ({
     loadWorkOrder();
   }, [workOrderId]);
 
+  // Offer only the chosen technician's open start times for the day and duration
+  useEffect(() => {
+    const { technician, date, duration } = scheduleData;
+    const minutes = Math.round(parseFloat(duration) * 60);
+    if (!isOpen || !technician || !date || !(minutes >= 5 && minutes <= 1440)) {
+      setAvailability(null);
+      return;
+    }
+
+    const fetchAvailability = async () => {
+      try {
+        const response = await technicianService.getAvailability(technician, { from: date, to: date, duration: minutes });
+        const [day] = response.data.data.days;
+        setAvailability({ unavailableReason: day?.unavailableReason || null, slots: day?.slots || [] });
+      } catch (err) {
+        console.error('Error fetching technician availability:', err);
+        setAvailability(null);
+      }
+    };
+
+    fetchAvailability();
+  }, [isOpen, scheduleData.technician, scheduleData.date, scheduleData.duration]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Keep the start time on an open slot when the slots change
+  useEffect(() => {
+    if (!availability || availability.slots.length === 0) return;
+    const times = availability.slots.map(slot => formatDateTimeToET(slot, 'HH:mm'));
+    if (!times.includes(scheduleData.startTime)) {
+      setScheduleData(prev => ({ ...prev, startTime: times[0] }));
+    }
+  }, [availability]); // eslint-disable-line react-hooks/exhaustive-deps
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setScheduleData(prev => ({
@@ -108,14 +144,9 @@ const QuickScheduleModal = ({
       setLoading(true);
       setError(null);
       
-      // Calculate end time based on start time and duration
-      const [hours, minutes] = scheduleData.startTime.split(':').map(Number);
-      const startDate = new Date(scheduleData.date);
-      startDate.setHours(hours, minutes, 0, 0);
-      
-      const endDate = new Date(startDate);
-      endDate.setHours(startDate.getHours() + Math.floor(scheduleData.duration));
-      endDate.setMinutes(startDate.getMinutes() + (scheduleData.duration % 1) * 60);
+      // Calculate end time based on start time and duration, in shop time
+      const startDate = moment.tz(`${scheduleData.date} ${scheduleData.startTime}`, 'YYYY-MM-DD HH:mm', getShopTimezone());
+      const endDate = startDate.clone().add(parseFloat(scheduleData.duration) * 60, 'minutes');
       
       // Create direct appointment from work order data
       const workOrderResponse = await WorkOrderService.getWorkOrder(workOrderId);
@@ -144,7 +175,8 @@ const QuickScheduleModal = ({
         endTime: endDate.toISOString(),
         technician: scheduleData.technician,
         notes: scheduleData.notes,
-        status: 'Scheduled'
+        status: 'Scheduled',
+        overrideConflicts
       };
       
       // Create the appointment directly
@@ -165,7 +197,9 @@ const QuickScheduleModal = ({
       navigate(`/appointments/${result.data.appointment._id}`);
     } catch (err) {
       console.error('Error scheduling appointment:', err);
-      setError('Failed to schedule appointment. Please try again.');
+      // 409 means the technician or bay is already booked
+      setHasConflict(err.response?.status === 409);
+      setError(err.response?.data?.message || 'Failed to schedule appointment. Please try again.');
       setLoading(false);
     }
   };
@@ -220,15 +254,34 @@ const QuickScheduleModal = ({
                   onChange={handleInputChange}
                   required
                 />
-                <Input
-                  label="Start Time"
-                  name="startTime"
-                  type="time"
-                  value={scheduleData.startTime}
-                  onChange={handleInputChange}
-                  required
-                />
+                {availability ? (
+                  <SelectInput
+                    label="Start Time"
+                    name="startTime"
+                    options={availability.slots.map(slot => ({
+                      value: formatDateTimeToET(slot, 'HH:mm'),
+                      label: formatDateTimeToET(slot, 'h:mm A')
+                    }))}
+                    value={scheduleData.startTime}
+                    onChange={handleInputChange}
+                    required
+                  />
+                ) : (
+                  <Input
+                    label="Start Time"
+                    name="startTime"
+                    type="time"
+                    value={scheduleData.startTime}
+                    onChange={handleInputChange}
+                    required
+                  />
+                )}
               </div>
+              {availability && availability.slots.length === 0 && (
+                <p className="-mt-2 text-sm text-red-600">
+                  {availability.unavailableReason || 'No open slots for this technician on this day'}
+                </p>
+              )}
               
               <div className="grid grid-cols-2 gap-4">
                 <Input
@@ -263,6 +316,18 @@ const QuickScheduleModal = ({
                 ></textarea>
               </div>
             </div>
+
+            {hasConflict && (
+              <label className="mt-4 flex items-center text-sm text-gray-900">
+                <input
+                  type="checkbox"
+                  checked={overrideConflicts}
+                  onChange={(e) => setOverrideConflicts(e.target.checked)}
+                  className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                Book anyway, ignoring the conflict
+              </label>
+            )}
             
             <div className="mt-6 flex justify-end space-x-3">
               <Button
@@ -9,6 +9,7 @@ import Button from '../../common/Button';
 import Input from '../../common/Input';
 import TextArea from '../../common/TextArea';
 import SelectInput from '../../common/SelectInput';
+import { useSettings } from '../../../contexts/SettingsContext';
 
 const AppointmentSchema = Yup.object().shape({
   startDate: Yup.string().required('Start date is required'),
@@ -21,10 +22,10 @@ const AppointmentSchema = Yup.object().shape({
 
 const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, onError, setLoading, loading }) => {
   const [technicians, setTechnicians] = useState([]);
-  const [hasConflicts, setHasConflicts] = useState(false);
-  const [conflictMessage, setConflictMessage] = useState('');
+  const [conflicts, setConflicts] = useState([]);
 
-  const AMERICA_NEW_YORK = 'America/New_York';
+  const { settings } = useSettings();
+  const shopTimezone = settings.timezone;
 
   // Fetch technicians
   useEffect(() => {
@@ -62,30 +63,27 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
 
   const timeOptions = generateTimeOptions();
 
+  const serviceType = workOrder?.services?.map(s => s.description).join(', ') || workOrder?.serviceRequested;
+
+  // Check technician and bay availability; returns true if there are conflicts
   const checkForConflicts = async (values) => {
-    if (!values.startDate || !values.startTime || !values.endDate || !values.endTime || !values.technician) {
-      setHasConflicts(false);
-      setConflictMessage('');
+    if (!values.startDate || !values.startTime || !values.endDate || !values.endTime) {
+      setConflicts([]);
       return false;
     }
 
     try {
-      const startDateTime = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
-      const endDateTime = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
+      const startDateTime = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
+      const endDateTime = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
 
       const response = await AppointmentService.checkConflicts({
         startTime: startDateTime,
         endTime: endDateTime,
-        technician: values.technician
+        technician: values.technician,
+        serviceType
       });
 
-      setHasConflicts(response.data.hasConflicts);
-      setConflictMessage(
-        response.data.hasConflicts 
-          ? `Found ${response.data.conflicts?.length || 1} scheduling conflict(s).`
-          : ''
-      );
-      
+      setConflicts(response.data.conflicts || []);
       return response.data.hasConflicts;
     } catch (err) {
       console.error('Error checking conflicts:', err);
@@ -94,23 +92,31 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
   };
 
   const handleCreateAppointment = async (values, { setSubmitting }) => {
+    // Conflicts block booking unless the user chooses to book anyway
+    const conflictsFound = await checkForConflicts(values);
+    if (conflictsFound && !values.overrideConflicts) {
+      setSubmitting(false);
+      return;
+    }
+
     try {
       setLoading(true);
 
       // Convert date/time to UTC for server
-      const startTimeForServer = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
-      const endTimeForServer = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
+      const startTimeForServer = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
+      const endTimeForServer = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
 
       const appointmentData = {
         customer: customer._id,
         vehicle: vehicle._id,
         workOrder: workOrder._id,
-        serviceType: workOrder.services?.map(s => s.description).join(', ') || workOrder.serviceRequested,
+        serviceType,
         startTime: startTimeForServer,
         endTime: endTimeForServer,
         technician: values.technician,
         notes: values.notes,
-        status: 'Scheduled'
+        status: 'Scheduled',
+        overrideConflicts: values.overrideConflicts
       };
 
       const response = await AppointmentService.createAppointment(appointmentData);
@@ -121,7 +127,7 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
       onAppointmentCreate(response.data.appointment);
     } catch (err) {
       console.error('Error creating appointment:', err);
-      onError('Failed to create appointment. Please try again.');
+      onError(err.response?.data?.message || 'Failed to create appointment. Please try again.');
       setSubmitting(false);
     } finally {
       setLoading(false);
@@ -153,7 +159,7 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
   };
 
   const calculateEndTime = (startDate, startTime, durationHours) => {
-    const startMoment = moment.tz(`${startDate} ${startTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK);
+    const startMoment = moment.tz(`${startDate} ${startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone);
     const endMoment = startMoment.clone().add(durationHours, 'hours');
     return {
       date: endMoment.format('YYYY-MM-DD'),
@@ -170,7 +176,7 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
   ];
 
   // Initial form values
-  const nowET = moment.tz(AMERICA_NEW_YORK);
+  const nowET = moment.tz(shopTimezone);
   nowET.minutes(Math.ceil(nowET.minutes() / 15) * 15).seconds(0).milliseconds(0);
   const estimatedDuration = estimateAppointmentDuration(workOrder);
   const endTime = calculateEndTime(
@@ -224,13 +230,17 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
       </div>
 
       {/* Conflict Warning */}
-      {hasConflicts && (
+      {conflicts.length > 0 && (
         <div className="bg-yellow-50 border border-yellow-200 text-yellow-800 px-4 py-3 rounded-lg">
           <div className="flex items-center">
             <i className="fas fa-exclamation-triangle mr-2"></i>
             <div>
               <p className="font-medium">Scheduling Conflict</p>
-              <p className="text-sm">{conflictMessage}</p>
+              <ul className="text-sm list-disc ml-5">
+                {conflicts.map((conflict, index) => (
+                  <li key={index}>{conflict.message}</li>
+                ))}
+              </ul>
             </div>
           </div>
         </div>
@@ -243,7 +253,8 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
           endDate: endTime.date,
           endTime: endTime.time,
           technician: '',
-          notes: workOrder?.diagnosticNotes || ''
+          notes: workOrder?.diagnosticNotes || '',
+          overrideConflicts: false
         }}
         validationSchema={AppointmentSchema}
         onSubmit={handleCreateAppointment}
@@ -293,14 +304,12 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
                       setFieldValue('endTime', newEnd.time);
                       
                       // Check for conflicts
-                      if (values.technician) {
-                        checkForConflicts({
-                          ...values,
-                          startTime: newTime,
-                          endDate: newEnd.date,
-                          endTime: newEnd.time
-                        });
-                      }
+                      checkForConflicts({
+                        ...values,
+                        startTime: newTime,
+                        endDate: newEnd.date,
+                        endTime: newEnd.time
+                      });
                     }}
                     onBlur={handleBlur}
                     error={errors.startTime}
@@ -321,9 +330,7 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
                         const newDate = e.target.value;
                         setFieldValue('endDate', newDate);
                         
-                        if (values.technician) {
-                          checkForConflicts({ ...values, endDate: newDate });
-                        }
+                        checkForConflicts({ ...values, endDate: newDate });
                       }}
                       onBlur={handleBlur}
                       error={errors.endDate}
@@ -341,9 +348,7 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
                       const newTime = e.target.value;
                       setFieldValue('endTime', newTime);
                       
-                      if (values.technician) {
-                        checkForConflicts({ ...values, endTime: newTime });
-                      }
+                      checkForConflicts({ ...values, endTime: newTime });
                     }}
                     onBlur={handleBlur}
                     error={errors.endTime}
@@ -364,9 +369,7 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
                 const newTech = e.target.value;
                 setFieldValue('technician', newTech);
                 
-                if (newTech && values.startDate && values.startTime && values.endDate && values.endTime) {
-                  checkForConflicts({ ...values, technician: newTech });
-                }
+                checkForConflicts({ ...values, technician: newTech });
               }}
               onBlur={handleBlur}
               error={errors.technician}
@@ -386,6 +389,19 @@ const AppointmentStep = ({ customer, vehicle, workOrder, onAppointmentCreate, on
               placeholder="Any special instructions or notes for this appointment..."
             />
 
+            {conflicts.length > 0 && (
+              <label className="flex items-center text-sm text-gray-900">
+                <input
+                  type="checkbox"
+                  name="overrideConflicts"
+                  checked={values.overrideConflicts}
+                  onChange={handleChange}
+                  className="h-4 w-4 mr-2 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                />
+                Book anyway, ignoring the conflicts above
+              </label>
+            )}
+
             {/* Submit Button */}
             <div className="flex justify-end pt-4">
               <Button
@@ -0,0 +1,91 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import NotificationService from '../../services/notificationService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const STATUS_CLASSES = {
+  Queued: 'bg-blue-100 text-blue-800',
+  Sending: 'bg-yellow-100 text-yellow-800',
+  Sent: 'bg-gray-100 text-gray-700',
+  Delivered: 'bg-green-100 text-green-800',
+  Failed: 'bg-red-100 text-red-800'
+};
+
+// Every text and email sent to the customer about this work order:
+// status updates, estimates, invoices and replies
+const CustomerUpdatesCard = ({ workOrderId, status }) => {
+  const { can } = useAuth();
+  const [notifications, setNotifications] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const canRead = can('notifications', 'read');
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      const response = await NotificationService.getNotifications({ workOrder: workOrderId });
+      setNotifications(response.data.notifications);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load customer updates.');
+    } finally {
+      setLoading(false);
+    }
+  }, [workOrderId]);
+
+  // Reload when the status changes, since that can send an update
+  useEffect(() => {
+    if (canRead && workOrderId) fetchNotifications();
+  }, [canRead, workOrderId, status, fetchNotifications]);
+
+  if (!canRead) return null;
+
+  return (
+    <Card
+      title="Customer Updates"
+      headerActions={
+        <Button variant="outline" size="sm" onClick={fetchNotifications} title="Refresh">
+          <i className="fas fa-sync-alt"></i>
+        </Button>
+      }
+    >
+      {loading ? (
+        <p className="text-center py-4 text-gray-500">Loading updates...</p>
+      ) : error ? (
+        <p className="text-center py-4 text-red-600">{error}</p>
+      ) : notifications.length === 0 ? (
+        <p className="text-center py-4 text-gray-500">Nothing has been sent to the customer about this work order.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {notifications.map(notification => (
+            <li key={notification._id} className="py-2 flex justify-between gap-3">
+              <div className="min-w-0">
+                <p className="text-sm text-gray-900">
+                  <i className={`fas ${notification.channel === 'SMS' ? 'fa-comment' : 'fa-envelope'} mr-1 text-gray-400`}></i>
+                  {notification.template}
+                </p>
+                <p className="text-xs text-gray-500 truncate">
+                  {notification.channel === 'SMS' ? notification.payload?.body : notification.payload?.subject}
+                </p>
+                <p className="text-xs text-gray-500">
+                  {formatDateTimeToET(notification.createdAt, 'MMM D, h:mm A')} to {notification.recipient}
+                  {notification.sentBy && ` by ${notification.sentBy}`}
+                </p>
+                {notification.status === 'Failed' && notification.lastError && (
+                  <p className="text-xs text-red-600">{notification.lastError}</p>
+                )}
+              </div>
+              <span className={`self-start inline-block px-2 py-0.5 text-xs rounded-full ${STATUS_CLASSES[notification.status]}`}>
+                {notification.status}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </Card>
+  );
+};
+
+export default CustomerUpdatesCard;
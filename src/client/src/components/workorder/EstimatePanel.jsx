@@ -0,0 +1,318 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import Input from '../common/Input';
+import Modal from '../common/Modal';
+import SelectInput from '../common/SelectInput';
+import TextArea from '../common/TextArea';
+import SignaturePad from '../common/SignaturePad';
+import EstimateService from '../../services/estimateService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency, formatDateTimeToET } from '../../utils/formatters';
+
+const STATUS_CLASSES = {
+  'Sent': 'bg-blue-100 text-blue-800',
+  'Viewed': 'bg-indigo-100 text-indigo-800',
+  'Approved': 'bg-green-100 text-green-800',
+  'Partially Approved': 'bg-yellow-100 text-yellow-800',
+  'Declined': 'bg-red-100 text-red-800',
+  'Superseded': 'bg-gray-100 text-gray-800'
+};
+
+const DECISION_CLASSES = {
+  Approved: 'text-green-700',
+  Declined: 'text-red-700',
+  Pending: 'text-gray-500'
+};
+
+// Estimates for a work order: create, send the approval link, and record in-person/phone approvals
+// onWorkOrderChange is called after declined lines are taken off the work order
+const EstimatePanel = ({ workOrder, onWorkOrderChange }) => {
+  const { can } = useAuth();
+  const [estimates, setEstimates] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [info, setInfo] = useState(null);
+  const [createModalOpen, setCreateModalOpen] = useState(false);
+  const [approvalModalOpen, setApprovalModalOpen] = useState(false);
+  const [message, setMessage] = useState('');
+  const [decisions, setDecisions] = useState({});
+  const [typedName, setTypedName] = useState('');
+  const [method, setMethod] = useState('In Person');
+  const [signature, setSignature] = useState(null);
+  const [sending, setSending] = useState(false);
+
+  const fetchEstimates = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await EstimateService.getEstimates({ workOrder: workOrder._id });
+      setEstimates(response.data.estimates);
+    } catch (err) {
+      console.error('Error fetching estimates:', err);
+      setError('Failed to load estimates.');
+    } finally {
+      setLoading(false);
+    }
+  }, [workOrder._id]);
+
+  useEffect(() => {
+    fetchEstimates();
+  }, [fetchEstimates]);
+
+  const canUpdate = can('estimates', 'update');
+  const current = estimates[0];
+  const isOpen = current && ['Sent', 'Viewed'].includes(current.status) && new Date(current.expiresAt) > new Date();
+  const hasLines = workOrder.parts.length > 0 || workOrder.labor.length > 0;
+
+  const handleCreate = async () => {
+    try {
+      setError(null);
+      await EstimateService.createEstimate({ workOrder: workOrder._id, message });
+      setCreateModalOpen(false);
+      setMessage('');
+      setInfo('Estimate created. Send the link to the customer or record their approval.');
+      fetchEstimates();
+    } catch (err) {
+      console.error('Error creating estimate:', err);
+      setError(err.response?.data?.message || 'Failed to create estimate.');
+      setCreateModalOpen(false);
+    }
+  };
+
+  const handleSend = async (channel) => {
+    try {
+      setSending(true);
+      setError(null);
+      await EstimateService.sendEstimate(current._id, channel);
+      setInfo(`Estimate sent by ${channel === 'sms' ? 'text message' : 'email'}.`);
+    } catch (err) {
+      console.error('Error sending estimate:', err);
+      setError(err.response?.data?.message || 'Failed to send estimate.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(current.approvalUrl);
+      setInfo('Approval link copied.');
+    } catch (err) {
+      window.prompt('Copy the approval link:', current.approvalUrl);
+    }
+  };
+
+  const openApprovalModal = () => {
+    setDecisions(current.lines.reduce((map, line) => ({ ...map, [line._id]: 'Approved' }), {}));
+    setTypedName(current.customer?.name || '');
+    setMethod('In Person');
+    setSignature(null);
+    setApprovalModalOpen(true);
+  };
+
+  const handleRecordApproval = async () => {
+    try {
+      setError(null);
+      await EstimateService.recordApproval(current._id, {
+        decisions,
+        typedName,
+        method,
+        signature: method === 'In Person' ? signature : undefined
+      });
+      setApprovalModalOpen(false);
+      setInfo('Customer response recorded.');
+      fetchEstimates();
+      if (onWorkOrderChange) onWorkOrderChange();
+    } catch (err) {
+      console.error('Error recording approval:', err);
+      setError(err.response?.data?.message || 'Failed to record approval.');
+      setApprovalModalOpen(false);
+    }
+  };
+
+  return (
+    <Card
+      title="Estimate"
+      headerActions={can('estimates', 'create') && hasLines && (
+        <Button variant="outline" size="sm" onClick={() => setCreateModalOpen(true)}>
+          {current ? 'New Estimate' : 'Create Estimate'}
+        </Button>
+      )}
+    >
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+          {error}
+        </div>
+      )}
+      {info && (
+        <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded mb-4 text-sm">
+          {info}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-center py-4 text-gray-500">Loading estimates...</p>
+      ) : !current ? (
+        <p className="text-center py-4 text-gray-500">
+          {hasLines
+            ? 'No estimate yet. Create one to get the customer\'s approval before ordering parts or starting repairs.'
+            : 'Add parts or labor to build an estimate.'}
+        </p>
+      ) : (
+        <div>
+          <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+            <div>
+              <span className="font-medium text-gray-900">{current.estimateNumber}</span>
+              <span className={`ml-2 inline-block px-2 py-1 text-xs rounded-full ${STATUS_CLASSES[current.status]}`}>
+                {current.status}
+              </span>
+              {!current.approval && new Date(current.expiresAt) < new Date() && (
+                <span className="ml-1 inline-block px-2 py-1 text-xs rounded-full bg-orange-100 text-orange-800">Expired</span>
+              )}
+              <p className="text-xs text-gray-500">
+                Created {formatDateTimeToET(current.createdAt)}
+                {current.createdByName && ` by ${current.createdByName}`}
+                {current.viewedAt && ` · Viewed ${formatDateTimeToET(current.viewedAt)}`}
+              </p>
+            </div>
+            {isOpen && canUpdate && (
+              <div className="flex flex-wrap gap-2">
+                <Button variant="light" size="sm" onClick={handleCopyLink}>Copy Link</Button>
+                <Button variant="outline" size="sm" onClick={() => handleSend('email')} disabled={sending || !current.customer?.email}>
+                  Email
+                </Button>
+                <Button variant="outline" size="sm" onClick={() => handleSend('sms')} disabled={sending || !current.customer?.phone}>
+                  Text
+                </Button>
+                <Button variant="primary" size="sm" onClick={openApprovalModal}>Record Approval</Button>
+              </div>
+            )}
+          </div>
+
+          <ul className="divide-y divide-gray-100 text-sm">
+            {current.lines.map(line => (
+              <li key={line._id} className="py-1 flex justify-between">
+                <span>
+                  {line.description}
+                  <span className="text-gray-500"> ({line.type === 'Labor' ? `${line.quantity} hr` : `x${line.quantity}`})</span>
+                </span>
+                <span>
+                  {formatCurrency(line.total)}
+                  <span className={`ml-3 ${DECISION_CLASSES[line.decision]}`}>{line.decision}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+          <div className="mt-2 text-right text-sm">
+            <p>Estimate total: {formatCurrency(current.totals.total)}</p>
+            {current.approval && (
+              <p className="font-medium text-gray-900">Approved total: {formatCurrency(current.approvedTotals.total)}</p>
+            )}
+          </div>
+
+          {current.approval && (
+            <div className="mt-4 border-t border-gray-200 pt-3 text-sm">
+              <p className="font-medium text-gray-900 mb-1">Authorization</p>
+              <p className="text-gray-700">
+                {current.approval.typedName} &middot; {current.approval.method} &middot; {formatDateTimeToET(current.approval.submittedAt)}
+              </p>
+              {current.approval.ipAddress && (
+                <p className="text-xs text-gray-500">IP {current.approval.ipAddress}</p>
+              )}
+              {current.approval.recordedByName && (
+                <p className="text-xs text-gray-500">Recorded by {current.approval.recordedByName}</p>
+              )}
+              {current.approval.signature && (
+                <img src={current.approval.signature} alt="Customer signature" className="mt-2 h-20 border border-gray-200 rounded bg-white" />
+              )}
+            </div>
+          )}
+
+          {estimates.length > 1 && (
+            <p className="mt-3 text-xs text-gray-500">
+              Earlier: {estimates.slice(1).map(estimate => `${estimate.estimateNumber} (${estimate.status})`).join(', ')}
+            </p>
+          )}
+        </div>
+      )}
+
+      <Modal
+        isOpen={createModalOpen}
+        onClose={() => setCreateModalOpen(false)}
+        title="Create Estimate"
+        actions={[
+          { label: 'Cancel', variant: 'light', onClick: () => setCreateModalOpen(false) },
+          { label: 'Create Estimate', variant: 'primary', onClick: handleCreate }
+        ]}
+      >
+        <p className="text-sm text-gray-600 mb-4">
+          The estimate is a copy of the current parts and labor ({formatCurrency(workOrder.totalEstimate)} before tax).
+          {isOpen && ' The open estimate will be replaced and its link will stop working.'}
+        </p>
+        <TextArea
+          label="Message to Customer"
+          name="estimateMessage"
+          rows={3}
+          value={message}
+          onChange={(e) => setMessage(e.target.value)}
+        />
+      </Modal>
+
+      {current && (
+        <Modal
+          isOpen={approvalModalOpen}
+          onClose={() => setApprovalModalOpen(false)}
+          title={`Record Approval - ${current.estimateNumber}`}
+          size="lg"
+          actions={[
+            { label: 'Cancel', variant: 'light', onClick: () => setApprovalModalOpen(false) },
+            { label: 'Save Response', variant: 'primary', onClick: handleRecordApproval }
+          ]}
+        >
+          <ul className="divide-y divide-gray-100 text-sm mb-4">
+            {current.lines.map(line => (
+              <li key={line._id} className="py-2 flex justify-between items-center gap-2">
+                <span>{line.description} &middot; {formatCurrency(line.total)}</span>
+                <select
+                  value={decisions[line._id] || 'Approved'}
+                  onChange={(e) => setDecisions(prev => ({ ...prev, [line._id]: e.target.value }))}
+                  className="px-2 py-1 border border-gray-300 rounded-md"
+                >
+                  <option value="Approved">Approved</option>
+                  <option value="Declined">Declined</option>
+                </select>
+              </li>
+            ))}
+          </ul>
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+            <Input
+              label="Authorized By"
+              name="typedName"
+              value={typedName}
+              onChange={(e) => setTypedName(e.target.value)}
+              required
+            />
+            <SelectInput
+              label="Method"
+              name="method"
+              value={method}
+              onChange={(e) => setMethod(e.target.value)}
+              options={[
+                { value: 'In Person', label: 'In Person' },
+                { value: 'Phone', label: 'Phone' }
+              ]}
+            />
+          </div>
+          {method === 'In Person' && (
+            <>
+              <p className="block text-sm font-medium text-gray-700 mb-1">Customer Signature</p>
+              <SignaturePad onChange={setSignature} />
+            </>
+          )}
+        </Modal>
+      )}
+    </Card>
+  );
+};
+
+export default EstimatePanel;
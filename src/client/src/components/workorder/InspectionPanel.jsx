@@ -0,0 +1,100 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import InspectionResults from '../inspections/InspectionResults';
+import InspectionService from '../../services/inspectionService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+// Vehicle inspection results for a work order, with the customer report link
+const InspectionPanel = ({ workOrder }) => {
+  const { can } = useAuth();
+  const [inspection, setInspection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [info, setInfo] = useState(null);
+
+  const fetchInspection = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await InspectionService.getInspections({ workOrder: workOrder._id });
+      setInspection(response.data.inspections[0] || null);
+    } catch (err) {
+      console.error('Error fetching inspection:', err);
+      setError('Failed to load inspection.');
+    } finally {
+      setLoading(false);
+    }
+  }, [workOrder._id]);
+
+  useEffect(() => {
+    fetchInspection();
+  }, [fetchInspection]);
+
+  const handleShare = async () => {
+    try {
+      setError(null);
+      const response = await InspectionService.shareInspection(inspection._id);
+      const { reportUrl } = response.data;
+      setInspection(prev => ({ ...prev, reportUrl }));
+      try {
+        await navigator.clipboard.writeText(reportUrl);
+        setInfo('Report link copied. Send it to the customer by email or text.');
+      } catch (err) {
+        window.prompt('Copy the report link:', reportUrl);
+      }
+    } catch (err) {
+      console.error('Error sharing inspection:', err);
+      setError(err.response?.data?.message || 'Failed to create report link.');
+    }
+  };
+
+  const canUpdate = can('inspections', 'update');
+
+  return (
+    <Card
+      title="Vehicle Inspection"
+      headerActions={canUpdate && (
+        inspection?.status === 'Completed' ? (
+          <Button variant="outline" size="sm" onClick={handleShare}>
+            {inspection.reportUrl ? 'Copy Report Link' : 'Share Report'}
+          </Button>
+        ) : (
+          <Button variant="outline" size="sm" to={`/technician-portal/checklist/${workOrder._id}`}>
+            {inspection ? 'Continue Inspection' : 'Start Inspection'}
+          </Button>
+        )
+      )}
+    >
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+          {error}
+        </div>
+      )}
+      {info && (
+        <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded mb-4 text-sm">
+          {info}
+        </div>
+      )}
+
+      {loading ? (
+        <p className="text-center py-4 text-gray-500">Loading inspection...</p>
+      ) : !inspection ? (
+        <p className="text-center py-4 text-gray-500">No inspection has been started for this work order.</p>
+      ) : (
+        <div>
+          <p className="text-xs text-gray-500 mb-3">
+            {inspection.templateName}
+            {inspection.status === 'Completed'
+              ? ` · Completed ${formatDateTimeToET(inspection.completedAt)}${inspection.completedByName ? ` by ${inspection.completedByName}` : ''}`
+              : ' · In Progress'}
+            {inspection.mileage ? ` · ${inspection.mileage.toLocaleString()} miles` : ''}
+          </p>
+          <InspectionResults inspection={inspection} />
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default InspectionPanel;
@@ -0,0 +1,56 @@
+import React from 'react';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const StatusHistoryTimeline = ({ history = [] }) => {
+  // Most recent change first
+  const entries = [...history].sort(
+    (a, b) => new Date(b.changedAt) - new Date(a.changedAt)
+  );
+
+  if (entries.length === 0) {
+    return (
+      <div className="text-center py-6 text-gray-500">
+        No status changes recorded yet.
+      </div>
+    );
+  }
+
+  return (
+    <ol className="relative border-l border-gray-200 ml-3">
+      {entries.map((entry, index) => (
+        <li key={entry._id || index} className="mb-6 ml-6">
+          <span className={`absolute -left-3 flex items-center justify-center w-6 h-6 rounded-full ring-4 ring-white ${
+            entry.override ? 'bg-red-100' : 'bg-primary-100'
+          }`}>
+            <i className={`fas ${entry.override ? 'fa-exclamation' : 'fa-check'} text-xs ${
+              entry.override ? 'text-red-600' : 'text-primary-600'
+            }`}></i>
+          </span>
+          <div className="flex flex-wrap items-center gap-2 mb-1">
+            {entry.from && (
+              <>
+                <span className="text-sm text-gray-500">{entry.from}</span>
+                <i className="fas fa-arrow-right text-xs text-gray-400"></i>
+              </>
+            )}
+            <span className="text-sm font-medium text-gray-900">{entry.to}</span>
+            {entry.override && (
+              <span className="inline-flex items-center px-2 py-0.5 text-xs rounded-full bg-red-100 text-red-800">
+                Admin override
+              </span>
+            )}
+          </div>
+          <p className="text-xs text-gray-500">
+            {formatDateTimeToET(entry.changedAt)}
+            {entry.changedByName && ` by ${entry.changedByName}`}
+          </p>
+          {entry.note && (
+            <p className="mt-1 text-sm text-gray-700">{entry.note}</p>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+export default StatusHistoryTimeline;
@@ -0,0 +1,110 @@
+import React, { useState } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import WorkOrderService from '../../services/workOrderService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+// The customer's status page link: copy it, extend it or turn it off.
+// Status texts and emails create or extend the link on their own.
+const StatusLinkCard = ({ workOrder, onWorkOrderChange }) => {
+  const { can } = useAuth();
+  const [error, setError] = useState(null);
+  const [info, setInfo] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  if (!can('workOrders', 'share')) return null;
+
+  const link = workOrder.statusLink;
+  const isActive = !!(link?.token && new Date(link.expiresAt) > new Date());
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      setInfo('Status link copied. Send it to the customer by email or text.');
+    } catch (err) {
+      window.prompt('Copy the status link:', url);
+    }
+  };
+
+  const handleCreate = async () => {
+    try {
+      setWorking(true);
+      setError(null);
+      const response = await WorkOrderService.createStatusLink(workOrder._id);
+      await copyLink(response.data.url);
+      onWorkOrderChange();
+    } catch (err) {
+      console.error('Error creating status link:', err);
+      setError(err.response?.data?.message || 'Failed to create status link.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleRevoke = async () => {
+    if (!window.confirm('Turn off this status link? The customer will no longer be able to open it.')) return;
+
+    try {
+      setWorking(true);
+      setError(null);
+      setInfo(null);
+      await WorkOrderService.revokeStatusLink(workOrder._id);
+      onWorkOrderChange();
+    } catch (err) {
+      console.error('Error revoking status link:', err);
+      setError(err.response?.data?.message || 'Failed to turn off status link.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <Card
+      title="Customer Status Page"
+      headerActions={
+        <div className="flex gap-2">
+          {isActive && (
+            <Button variant="outline" size="sm" onClick={() => copyLink(`${window.location.origin}/status/${link.token}`)}>
+              Copy Link
+            </Button>
+          )}
+          <Button variant="outline" size="sm" onClick={handleCreate} disabled={working}>
+            {isActive ? 'Extend' : 'Create Link'}
+          </Button>
+        </div>
+      }
+    >
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+          {error}
+        </div>
+      )}
+      {info && (
+        <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded mb-4 text-sm">
+          {info}
+        </div>
+      )}
+
+      {isActive ? (
+        <div className="text-sm text-gray-700 space-y-1">
+          <p>Works until {formatDateTimeToET(link.expiresAt)}</p>
+          <p className="text-gray-500">
+            {link.viewCount
+              ? `Opened ${link.viewCount} time${link.viewCount === 1 ? '' : 's'}, last ${formatDateTimeToET(link.lastViewedAt)}`
+              : 'Not opened yet'}
+          </p>
+          <button type="button" className="text-red-600 hover:underline text-sm" onClick={handleRevoke} disabled={working}>
+            Turn off link
+          </button>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          {link?.token ? 'The status link has expired.' : 'No status link yet.'} One is sent with the next status text or email.
+        </p>
+      )}
+    </Card>
+  );
+};
+
+export default StatusLinkCard;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import Card from '../common/Card';
+import Button from '../common/Button';
+import SelectInput from '../common/SelectInput';
+import technicianService from '../../services/technicianService';
+import TimeEntryService from '../../services/timeEntryService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const formatHours = (hours) => `${(hours || 0).toFixed(2)} hr`;
+
+const formatElapsed = (since) => {
+  const minutes = Math.max(0, Math.floor((Date.now() - new Date(since)) / 60000));
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+// Clock a technician in and out of a work order, pause, or switch here from another job
+// Also shows billed vs. actual hours for each labor line
+// Technicians always use their own linked profile; office staff can pick anyone
+const TimeClockCard = ({ workOrder }) => {
+  const { currentUser, technician: ownTechnician } = useAuth();
+  const isTechnician = currentUser?.role === 'technician';
+  const [technicians, setTechnicians] = useState([]);
+  const [technicianId, setTechnicianId] = useState(
+    ownTechnician?._id || (isTechnician ? '' : workOrder.assignedTechnician?._id) || ''
+  );
+  const [laborLine, setLaborLine] = useState('');
+  const [openEntry, setOpenEntry] = useState(null);
+  const [summary, setSummary] = useState(null);
+  const [working, setWorking] = useState(false);
+  const [error, setError] = useState(null);
+  const [, setTick] = useState(0);
+
+  useEffect(() => {
+    if (isTechnician) return;
+
+    const fetchTechnicians = async () => {
+      try {
+        const response = await technicianService.getAllTechnicians(true);
+        setTechnicians(response.data.data.technicians);
+      } catch (err) {
+        console.error('Error fetching technicians:', err);
+      }
+    };
+
+    fetchTechnicians();
+  }, [isTechnician]);
+
+  const fetchSummary = useCallback(async () => {
+    try {
+      const response = await TimeEntryService.getLaborSummary(workOrder._id);
+      setSummary(response.data);
+    } catch (err) {
+      console.error('Error fetching labor summary:', err);
+    }
+  }, [workOrder._id]);
+
+  const fetchStatus = useCallback(async () => {
+    if (!technicianId) {
+      setOpenEntry(null);
+      return;
+    }
+    try {
+      const response = await TimeEntryService.getClockStatus(technicianId);
+      setOpenEntry(response.data.entry);
+    } catch (err) {
+      console.error('Error fetching clock status:', err);
+      setError('Failed to load clock status.');
+    }
+  }, [technicianId]);
+
+  useEffect(() => {
+    fetchStatus();
+  }, [fetchStatus]);
+
+  useEffect(() => {
+    fetchSummary();
+  }, [fetchSummary]);
+
+  // Keep the elapsed time current while clocked in
+  useEffect(() => {
+    if (!openEntry) return undefined;
+    const timer = setInterval(() => setTick(tick => tick + 1), 60000);
+    return () => clearInterval(timer);
+  }, [openEntry]);
+
+  const onThisJob = openEntry && openEntry.workOrder?._id === workOrder._id;
+
+  const runAction = async (action) => {
+    try {
+      setWorking(true);
+      setError(null);
+      await action();
+      await Promise.all([fetchStatus(), fetchSummary()]);
+    } catch (err) {
+      console.error('Time clock error:', err);
+      setError(err.response?.data?.message || 'Time clock action failed.');
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  const handleClockIn = (switchJobs = false) => runAction(() => TimeEntryService.clockIn({
+    technician: technicianId,
+    workOrder: workOrder._id,
+    laborLine: laborLine || undefined,
+    switch: switchJobs
+  }));
+
+  const handleClockOut = (reason) => runAction(() => TimeEntryService.clockOut(technicianId, reason));
+
+  const laborOptions = [
+    { value: '', label: 'General (no specific labor line)' },
+    ...workOrder.labor.map(line => ({ value: line._id, label: `${line.description} (${line.hours} hr billed)` }))
+  ];
+  const openLaborLine = onThisJob && workOrder.labor.find(line => line._id === openEntry.laborLine);
+
+  return (
+    <Card title="Time Clock">
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4 text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+        {isTechnician ? (
+          <div className="mb-4">
+            <p className="block text-sm font-medium text-gray-700 mb-1">Technician</p>
+            <p className="py-2 text-gray-900">
+              {ownTechnician ? ownTechnician.name : 'Your login is not linked to a technician profile.'}
+            </p>
+          </div>
+        ) : (
+          <SelectInput
+            label="Technician"
+            name="timeClockTechnician"
+            value={technicianId}
+            onChange={(e) => setTechnicianId(e.target.value)}
+            options={[
+              { value: '', label: 'Select technician' },
+              ...technicians.map(technician => ({ value: technician._id, label: technician.name }))
+            ]}
+          />
+        )}
+        {!onThisJob && (
+          <SelectInput
+            label="Labor Line"
+            name="timeClockLaborLine"
+            value={laborLine}
+            onChange={(e) => setLaborLine(e.target.value)}
+            options={laborOptions}
+          />
+        )}
+      </div>
+
+      {technicianId && (
+        <div className="mb-4">
+          {onThisJob ? (
+            <div className="flex flex-wrap items-center justify-between gap-3 bg-green-50 border border-green-200 rounded-lg p-3">
+              <div className="text-sm text-green-800">
+                <p className="font-medium">
+                  <i className="fas fa-clock mr-2"></i>
+                  Clocked in {formatElapsed(openEntry.clockIn)}
+                </p>
+                <p>
+                  Since {formatDateTimeToET(openEntry.clockIn)}
+                  {openLaborLine && ` · ${openLaborLine.description}`}
+                </p>
+              </div>
+              <div className="flex gap-2">
+                <Button variant="light" size="sm" onClick={() => handleClockOut('Pause')} disabled={working}>
+                  <i className="fas fa-pause mr-1"></i>Pause
+                </Button>
+                <Button variant="danger" size="sm" onClick={() => handleClockOut('Clock Out')} disabled={working}>
+                  Clock Out
+                </Button>
+              </div>
+            </div>
+          ) : openEntry ? (
+            <div className="flex flex-wrap items-center justify-between gap-3 bg-yellow-50 border border-yellow-200 rounded-lg p-3">
+              <p className="text-sm text-yellow-800">
+                Clocked in on work order #{openEntry.workOrder?._id?.slice(-6)} since {formatDateTimeToET(openEntry.clockIn)}
+              </p>
+              <Button variant="primary" size="sm" onClick={() => handleClockIn(true)} disabled={working}>
+                <i className="fas fa-exchange-alt mr-1"></i>Switch to This Job
+              </Button>
+            </div>
+          ) : (
+            <Button variant="primary" onClick={() => handleClockIn(false)} disabled={working}>
+              <i className="fas fa-play mr-2"></i>Clock In
+            </Button>
+          )}
+        </div>
+      )}
+
+      {summary && (summary.lines.length > 0 || summary.totals.actualHours > 0) && (
+        <div className="border-t border-gray-200 pt-3">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-1 pr-2 font-medium">Labor</th>
+                <th className="py-1 pr-2 font-medium text-right">Billed</th>
+                <th className="py-1 font-medium text-right">Actual</th>
+              </tr>
+            </thead>
+            <tbody>
+              {summary.lines.map(line => (
+                <tr key={line._id}>
+                  <td className="py-1 pr-2">{line.description}</td>
+                  <td className="py-1 pr-2 text-right">{formatHours(line.billedHours)}</td>
+                  <td className="py-1 text-right">{formatHours(line.actualHours)}</td>
+                </tr>
+              ))}
+              {summary.unassignedHours > 0 && (
+                <tr className="text-gray-500">
+                  <td className="py-1 pr-2">General</td>
+                  <td className="py-1 pr-2 text-right">-</td>
+                  <td className="py-1 text-right">{formatHours(summary.unassignedHours)}</td>
+                </tr>
+              )}
+              <tr className="font-medium border-t border-gray-200">
+                <td className="py-1 pr-2">Total</td>
+                <td className="py-1 pr-2 text-right">{formatHours(summary.totals.billedHours)}</td>
+                <td className="py-1 text-right">{formatHours(summary.totals.actualHours)}</td>
+              </tr>
+            </tbody>
+          </table>
+          {summary.technicians.length > 0 && (
+            <p className="text-xs text-gray-500 mt-2">
+              {summary.technicians.map(entry => `${entry.name}: ${formatHours(entry.hours)}`).join(' · ')}
+            </p>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default TimeClockCard;
@@ -7,6 +7,8 @@ export const useAuth = () => useContext(AuthContext);
 
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
+  const [technician, setTechnician] = useState(null); // Technician profile linked to this login
+  const [permissions, setPermissions] = useState({});
   const [token, setToken] = useState(localStorage.getItem('token'));
   const [loading, setLoading] = useState(true);
 
@@ -15,6 +17,8 @@ export const AuthProvider = ({ children }) => {
     localStorage.removeItem('token');
     setToken(null);
     setCurrentUser(null);
+    setTechnician(null);
+    setPermissions({});
     delete axios.defaults.headers.common['Authorization'];
   };
 
@@ -24,6 +28,10 @@ export const AuthProvider = ({ children }) => {
       try {
         const res = await axios.get('/api/users/me');
         setCurrentUser(res.data.data.user);
+        setTechnician(res.data.data.technician || null);
+        // Load the role's allowed actions so routes and navigation can be filtered
+        const permRes = await axios.get('/api/users/me/permissions');
+        setPermissions(permRes.data.data.permissions);
         setLoading(false);
       } catch (err) {
         console.error('Error fetching user:', err);
@@ -35,6 +43,7 @@ export const AuthProvider = ({ children }) => {
     // Set token in axios defaults
     if (token) {
       axios.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+      setLoading(true);
       fetchCurrentUser();
     } else {
       setLoading(false);
@@ -59,26 +68,27 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  // Register function
+  // Create a staff login (admins only); the admin stays logged in as themselves
   const register = async (userData) => {
     try {
       const res = await axios.post('/api/users/signup', userData);
-      const { token, data } = res.data;
-      
-      // Save token to local storage
-      localStorage.setItem('token', token);
-      setToken(token);
-      setCurrentUser(data.user);
-      
-      return data.user;
+      return res.data.data.user;
     } catch (err) {
       console.error('Registration error:', err);
       throw err;
     }
   };
 
+  // Check whether the current user's role may perform an action on a resource
+  const can = (resource, action = 'read') => {
+    return (permissions[resource] || []).includes(action);
+  };
+
   const value = {
     currentUser,
+    technician,
+    permissions,
+    can,
     loading,
     login,
     logout,
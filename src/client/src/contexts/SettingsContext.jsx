@@ -0,0 +1,80 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import settingsService from '../services/settingsService';
+import { useAuth } from './AuthContext';
+import { setShopTimezone } from '../utils/formatters';
+
+// Used until the shop settings have loaded
+export const DEFAULT_SETTINGS = {
+  businessName: '',
+  businessAddressLine1: '',
+  businessAddressLine2: '',
+  businessPhone: '',
+  businessEmail: '',
+  businessWebsite: '',
+  businessLogo: '',
+  defaultLaborRate: 75,
+  taxRates: [],
+  defaultTaxRate: 0,
+  invoiceTerms: '',
+  defaultPaymentTerms: 'Due on Receipt',
+  timezone: 'America/New_York',
+  businessHours: [],
+  holidays: [],
+  bayRules: [],
+  defaultBayType: '',
+  onlineBooking: { enabled: false, services: [], leadTimeHours: 2, maxDaysAhead: 30, instructions: '' },
+  reminders: { enabled: true, offsetsHours: [24, 2], followUpEnabled: true, followUpDays: 3 }
+};
+
+const SettingsContext = createContext({ settings: DEFAULT_SETTINGS, loading: true });
+
+export const useSettings = () => useContext(SettingsContext);
+
+export const SettingsProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [loading, setLoading] = useState(true);
+
+  const applySettings = (newSettings) => {
+    setSettings({ ...DEFAULT_SETTINGS, ...newSettings });
+    setShopTimezone(newSettings.timezone);
+  };
+
+  const refreshSettings = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await settingsService.getSettings();
+      applySettings(response.data.data.settings);
+    } catch (err) {
+      console.error('Error fetching shop settings:', err);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (isAuthenticated) {
+      refreshSettings();
+    }
+  }, [isAuthenticated, refreshSettings]);
+
+  // Save changes and share the result with the rest of the app
+  const updateSettings = async (settingsData) => {
+    const response = await settingsService.updateSettings(settingsData);
+    applySettings(response.data.data.settings);
+    return response.data.data.settings;
+  };
+
+  const value = {
+    settings,
+    loading,
+    refreshSettings,
+    updateSettings
+  };
+
+  return (
+    <SettingsContext.Provider value={value}>
+      {children}
+    </SettingsContext.Provider>
+  );
+};
@@ -14,11 +14,13 @@ const AdminPage = () => {
           <div className="p-6">
             <h3 className="text-lg font-medium text-gray-900 mb-2">User Management</h3>
             <p className="text-sm text-gray-600 mb-4">
-              Manage user accounts, roles, and permissions
+              Create staff logins and choose each one's role
             </p>
-            <Button variant="outline" size="sm" disabled>
-              Coming Soon
-            </Button>
+            <Link to="/admin/users/new">
+              <Button variant="primary" size="sm">
+                Add Staff Login
+              </Button>
+            </Link>
           </div>
         </Card>
 
@@ -29,9 +31,86 @@ const AdminPage = () => {
             <p className="text-sm text-gray-600 mb-4">
               Configure tax rates, business information, and system preferences
             </p>
-            <Button variant="outline" size="sm" disabled>
-              Coming Soon
-            </Button>
+            <Link to="/admin/settings">
+              <Button variant="primary" size="sm">
+                Edit Settings
+              </Button>
+            </Link>
+          </div>
+        </Card>
+
+        {/* Inspection Templates */}
+        <Card>
+          <div className="p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Inspection Templates</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Configure the checklist items and measurements technicians record
+            </p>
+            <Link to="/admin/inspection-templates">
+              <Button variant="primary" size="sm">
+                Edit Templates
+              </Button>
+            </Link>
+          </div>
+        </Card>
+
+        {/* Bays */}
+        <Card>
+          <div className="p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Bays & Lifts</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Set up service bays and which services need which kind of bay
+            </p>
+            <Link to="/admin/bays">
+              <Button variant="primary" size="sm">
+                Manage Bays
+              </Button>
+            </Link>
+          </div>
+        </Card>
+
+        {/* Reminders & Follow-Ups */}
+        <Card>
+          <div className="p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Reminders & Follow-Ups</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Set when automatic reminders go out and review upcoming and failed messages
+            </p>
+            <Link to="/admin/jobs">
+              <Button variant="primary" size="sm">
+                View Schedule
+              </Button>
+            </Link>
+          </div>
+        </Card>
+
+        {/* Notification Outbox */}
+        <Card>
+          <div className="p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Notification Outbox</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              See every text and email sent, delivery status, and retry failures
+            </p>
+            <Link to="/admin/notifications">
+              <Button variant="primary" size="sm">
+                View Outbox
+              </Button>
+            </Link>
+          </div>
+        </Card>
+
+        {/* Message Templates */}
+        <Card>
+          <div className="p-6">
+            <h3 className="text-lg font-medium text-gray-900 mb-2">Message Templates</h3>
+            <p className="text-sm text-gray-600 mb-4">
+              Edit the texts and emails sent to customers, and choose which statuses send an update
+            </p>
+            <Link to="/admin/message-templates">
+              <Button variant="primary" size="sm">
+                Edit Templates
+              </Button>
+            </Link>
           </div>
         </Card>
 
@@ -0,0 +1,280 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import SelectInput from '../../components/common/SelectInput';
+import BayService from '../../services/bayService';
+import { useSettings } from '../../contexts/SettingsContext';
+
+const EMPTY_BAY = { name: '', type: 'Lift', sortOrder: 0, notes: '', isActive: true };
+
+const toFormData = (bay) => (bay
+  ? { name: bay.name, type: bay.type, sortOrder: bay.sortOrder || 0, notes: bay.notes || '', isActive: bay.isActive }
+  : { ...EMPTY_BAY });
+
+// Bays and lifts, plus the rules that decide which bay type each service needs
+const BaysPage = () => {
+  const { settings, updateSettings } = useSettings();
+  const [bays, setBays] = useState([]);
+  const [bayTypes, setBayTypes] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [formData, setFormData] = useState(toFormData(null));
+  const [rules, setRules] = useState([]);
+  const [defaultBayType, setDefaultBayType] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchBays = async () => {
+    try {
+      setLoading(true);
+      const response = await BayService.getAllBays({ all: true });
+      setBays(response.data.bays);
+      setBayTypes(response.data.bayTypes);
+    } catch (err) {
+      console.error('Error fetching bays:', err);
+      setError('Failed to load bays.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchBays();
+  }, []);
+
+  useEffect(() => {
+    setRules((settings.bayRules || []).map(rule => ({ ...rule })));
+    setDefaultBayType(settings.defaultBayType || '');
+  }, [settings.bayRules, settings.defaultBayType]);
+
+  const selectBay = (bay) => {
+    setSelectedId(bay ? bay._id : null);
+    setFormData(toFormData(bay));
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setSaving(true);
+      const payload = { ...formData, sortOrder: parseInt(formData.sortOrder, 10) || 0 };
+      const response = selectedId
+        ? await BayService.updateBay(selectedId, payload)
+        : await BayService.createBay(payload);
+      await fetchBays();
+      selectBay(response.data.bay);
+      setSuccess('Bay saved.');
+    } catch (err) {
+      console.error('Error saving bay:', err);
+      setError(err.response?.data?.message || 'Failed to save bay.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeactivate = async () => {
+    if (!window.confirm(`Take "${formData.name}" out of service? Existing appointments keep their bay.`)) return;
+
+    try {
+      const response = await BayService.deactivateBay(selectedId);
+      await fetchBays();
+      selectBay(response.data.bay);
+    } catch (err) {
+      console.error('Error deactivating bay:', err);
+      setError(err.response?.data?.message || 'Failed to update bay.');
+    }
+  };
+
+  const updateRule = (index, field, value) => {
+    setRules(prev => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+
+  const handleSaveRules = async () => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setSaving(true);
+      await updateSettings({
+        bayRules: rules.filter(rule => rule.keyword.trim()),
+        defaultBayType
+      });
+      setSuccess('Service rules saved.');
+    } catch (err) {
+      console.error('Error saving bay rules:', err);
+      setError(err.response?.data?.message || 'Failed to save service rules.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const typeOptions = bayTypes.map(type => ({ value: type, label: type }));
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-semibold text-gray-800">Bays & Lifts</h1>
+        <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Admin
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="alert">
+          <p>{success}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card
+          title="Bays"
+          headerActions={
+            <Button variant="outline" size="sm" onClick={() => selectBay(null)}>
+              <i className="fas fa-plus mr-1"></i>New
+            </Button>
+          }
+        >
+          {loading ? (
+            <p className="text-center py-4 text-gray-500">Loading bays...</p>
+          ) : bays.length === 0 ? (
+            <p className="text-center py-4 text-gray-500">No bays yet. Appointments are not limited by bay until you add some.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {bays.map(bay => (
+                <li key={bay._id}>
+                  <button
+                    type="button"
+                    onClick={() => selectBay(bay)}
+                    className={`w-full text-left py-2 px-2 rounded ${bay._id === selectedId ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <span className="font-medium text-gray-900">{bay.name}</span>
+                    {!bay.isActive && (
+                      <span className="ml-2 inline-block px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Out of service</span>
+                    )}
+                    <p className="text-xs text-gray-500">{bay.type}</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        <div className="lg:col-span-2 space-y-6">
+          <form onSubmit={handleSubmit}>
+            <Card title={selectedId ? 'Edit Bay' : 'New Bay'}>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                <Input label="Name" name="name" value={formData.name} onChange={handleChange} placeholder="Lift 1" required />
+                <SelectInput label="Type" name="type" value={formData.type} onChange={handleChange} options={typeOptions} required />
+                <Input label="Calendar Order" name="sortOrder" type="number" value={formData.sortOrder} onChange={handleChange} />
+                <Input label="Notes" name="notes" value={formData.notes} onChange={handleChange} placeholder="10,000 lb two-post" />
+              </div>
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input type="checkbox" name="isActive" checked={formData.isActive} onChange={handleChange} className="mr-2" />
+                In service
+              </label>
+
+              <div className="flex justify-between mt-6">
+                <div>
+                  {selectedId && formData.isActive && (
+                    <Button type="button" variant="danger" onClick={handleDeactivate}>Take Out of Service</Button>
+                  )}
+                </div>
+                <Button type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Bay'}
+                </Button>
+              </div>
+            </Card>
+          </form>
+
+          <Card title="Service Rules">
+            <p className="text-sm text-gray-600 mb-4">
+              When an appointment's service type contains a keyword, it needs a bay of that type. The first matching rule wins.
+            </p>
+            <table className="min-w-full text-sm mb-4">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1 pr-2 font-medium">Keyword</th>
+                  <th className="py-1 pr-2 font-medium">Bay Type</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {rules.map((rule, index) => (
+                  <tr key={index}>
+                    <td className="pr-2 py-1">
+                      <input
+                        value={rule.keyword}
+                        onChange={(e) => updateRule(index, 'keyword', e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                        placeholder="alignment"
+                      />
+                    </td>
+                    <td className="pr-2 py-1">
+                      <select
+                        value={rule.bayType}
+                        onChange={(e) => updateRule(index, 'bayType', e.target.value)}
+                        className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                      >
+                        {bayTypes.map(type => (
+                          <option key={type} value={type}>{type}</option>
+                        ))}
+                      </select>
+                    </td>
+                    <td className="py-1">
+                      <button type="button" onClick={() => setRules(prev => prev.filter((_, i) => i !== index))} className="px-1 text-red-600" title="Remove rule">
+                        <i className="fas fa-trash"></i>
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <Button type="button" variant="outline" size="sm" onClick={() => setRules(prev => [...prev, { keyword: '', bayType: bayTypes[0] || 'Lift' }])}>
+              <i className="fas fa-plus mr-1"></i>Add Rule
+            </Button>
+
+            <div className="mt-4 md:w-1/2">
+              <label htmlFor="defaultBayType" className="block text-sm font-medium text-gray-700 mb-1">Everything Else Needs</label>
+              <select
+                id="defaultBayType"
+                value={defaultBayType}
+                onChange={(e) => setDefaultBayType(e.target.value)}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm bg-white"
+              >
+                <option value="">No bay</option>
+                {bayTypes.map(type => (
+                  <option key={type} value={type}>{type}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex justify-end mt-6">
+              <Button type="button" variant="primary" onClick={handleSaveRules} disabled={saving}>
+                {saving ? 'Saving...' : 'Save Rules'}
+              </Button>
+            </div>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BaysPage;
@@ -0,0 +1,320 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import TextArea from '../../components/common/TextArea';
+import InspectionService from '../../services/inspectionService';
+
+const EMPTY_ITEM = { name: '', category: '', measurementType: 'none', measurementLabels: '', required: true };
+
+// Measurement labels are edited as a comma separated list
+const toFormData = (template) => ({
+  name: template?.name || '',
+  description: template?.description || '',
+  isDefault: template?.isDefault || false,
+  active: template ? template.active : true,
+  items: template
+    ? template.items.map(item => ({ ...item, measurementLabels: (item.measurementLabels || []).join(', ') }))
+    : [{ ...EMPTY_ITEM }]
+});
+
+const InspectionTemplatesPage = () => {
+  const [templates, setTemplates] = useState([]);
+  const [measurementTypes, setMeasurementTypes] = useState({});
+  const [selectedId, setSelectedId] = useState(null);
+  const [formData, setFormData] = useState(toFormData(null));
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await InspectionService.getTemplates();
+      setTemplates(response.data.templates);
+      setMeasurementTypes(response.data.measurementTypes);
+      return response.data.templates;
+    } catch (err) {
+      console.error('Error fetching inspection templates:', err);
+      setError('Failed to load inspection templates.');
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates().then(loaded => {
+      if (loaded.length > 0) selectTemplate(loaded[0]);
+    });
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const selectTemplate = (template) => {
+    setSelectedId(template ? template._id : null);
+    setFormData(toFormData(template));
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const updateItem = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      items: prev.items.map((item, i) => (i === index ? { ...item, [field]: value } : item))
+    }));
+  };
+
+  const moveItem = (index, offset) => {
+    setFormData(prev => {
+      const items = [...prev.items];
+      const [item] = items.splice(index, 1);
+      items.splice(index + offset, 0, item);
+      return { ...prev, items };
+    });
+  };
+
+  const addItem = () => {
+    setFormData(prev => ({ ...prev, items: [...prev.items, { ...EMPTY_ITEM }] }));
+  };
+
+  const removeItem = (index) => {
+    setFormData(prev => ({ ...prev, items: prev.items.filter((_, i) => i !== index) }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (formData.items.length === 0 || formData.items.some(item => !item.name.trim())) {
+      setError('Every item needs a name, and a template needs at least one item.');
+      return;
+    }
+
+    const payload = {
+      ...formData,
+      items: formData.items.map(item => ({
+        name: item.name,
+        category: item.category || 'General',
+        measurementType: item.measurementType,
+        measurementLabels: item.measurementType === 'none'
+          ? []
+          : item.measurementLabels.split(',').map(label => label.trim()).filter(Boolean),
+        required: item.required
+      }))
+    };
+
+    try {
+      setSaving(true);
+      const response = selectedId
+        ? await InspectionService.updateTemplate(selectedId, payload)
+        : await InspectionService.createTemplate(payload);
+      await fetchTemplates();
+      selectTemplate(response.data.template);
+      setSuccess('Template saved. Inspections already started keep their original items.');
+    } catch (err) {
+      console.error('Error saving inspection template:', err);
+      setError(err.response?.data?.message || 'Failed to save template.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${formData.name}" template?`)) return;
+
+    try {
+      await InspectionService.deleteTemplate(selectedId);
+      const loaded = await fetchTemplates();
+      selectTemplate(loaded[0] || null);
+    } catch (err) {
+      console.error('Error deleting inspection template:', err);
+      setError(err.response?.data?.message || 'Failed to delete template.');
+    }
+  };
+
+  const measurementOptions = Object.entries(measurementTypes).map(([value, type]) => ({
+    value,
+    label: type.unit ? `${type.label} (${type.unit})` : type.label
+  }));
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-semibold text-gray-800">Inspection Templates</h1>
+        <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Admin
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="alert">
+          <p>{success}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card
+          title="Templates"
+          headerActions={
+            <Button variant="outline" size="sm" onClick={() => selectTemplate(null)}>
+              <i className="fas fa-plus mr-1"></i>New
+            </Button>
+          }
+        >
+          {loading ? (
+            <p className="text-center py-4 text-gray-500">Loading templates...</p>
+          ) : (
+            <ul className="divide-y divide-gray-100">
+              {templates.map(template => (
+                <li key={template._id}>
+                  <button
+                    type="button"
+                    onClick={() => selectTemplate(template)}
+                    className={`w-full text-left py-2 px-2 rounded ${template._id === selectedId ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <span className="font-medium text-gray-900">{template.name}</span>
+                    {template.isDefault && (
+                      <span className="ml-2 inline-block px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">Default</span>
+                    )}
+                    {!template.active && (
+                      <span className="ml-2 inline-block px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Inactive</span>
+                    )}
+                    <p className="text-xs text-gray-500">{template.items.length} items</p>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        <div className="lg:col-span-2">
+          <form onSubmit={handleSubmit}>
+            <Card title={selectedId ? 'Edit Template' : 'New Template'}>
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                <Input label="Name" name="name" value={formData.name} onChange={handleChange} required />
+                <div className="flex items-center gap-6 mb-4 md:mt-6">
+                  <label className="inline-flex items-center text-sm text-gray-700">
+                    <input type="checkbox" name="isDefault" checked={formData.isDefault} onChange={handleChange} className="mr-2" />
+                    Default template
+                  </label>
+                  <label className="inline-flex items-center text-sm text-gray-700">
+                    <input type="checkbox" name="active" checked={formData.active} onChange={handleChange} className="mr-2" />
+                    Active
+                  </label>
+                </div>
+              </div>
+              <TextArea label="Description" name="description" rows={2} value={formData.description} onChange={handleChange} />
+
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="text-sm font-medium text-gray-700">Items</h4>
+                <Button type="button" variant="outline" size="sm" onClick={addItem}>
+                  <i className="fas fa-plus mr-1"></i>Add Item
+                </Button>
+              </div>
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600">
+                      <th className="py-1 pr-2 font-medium">Name</th>
+                      <th className="py-1 pr-2 font-medium">Category</th>
+                      <th className="py-1 pr-2 font-medium">Measurement</th>
+                      <th className="py-1 pr-2 font-medium">Readings</th>
+                      <th className="py-1 pr-2 font-medium text-center">Required</th>
+                      <th className="py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {formData.items.map((item, index) => (
+                      <tr key={index} className="align-top">
+                        <td className="pr-2 py-1">
+                          <input
+                            value={item.name}
+                            onChange={(e) => updateItem(index, 'name', e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                            placeholder="Front Brakes"
+                          />
+                        </td>
+                        <td className="pr-2 py-1">
+                          <input
+                            value={item.category}
+                            onChange={(e) => updateItem(index, 'category', e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                            placeholder="Brakes"
+                          />
+                        </td>
+                        <td className="pr-2 py-1">
+                          <select
+                            value={item.measurementType}
+                            onChange={(e) => updateItem(index, 'measurementType', e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                          >
+                            {measurementOptions.map(option => (
+                              <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                          </select>
+                        </td>
+                        <td className="pr-2 py-1">
+                          <input
+                            value={item.measurementLabels}
+                            onChange={(e) => updateItem(index, 'measurementLabels', e.target.value)}
+                            className="w-full px-2 py-1 border border-gray-300 rounded-md"
+                            placeholder="Left, Right"
+                            disabled={item.measurementType === 'none'}
+                          />
+                        </td>
+                        <td className="pr-2 py-1 text-center">
+                          <input
+                            type="checkbox"
+                            checked={item.required}
+                            onChange={(e) => updateItem(index, 'required', e.target.checked)}
+                            className="mt-2"
+                          />
+                        </td>
+                        <td className="py-1 whitespace-nowrap">
+                          <button type="button" onClick={() => moveItem(index, -1)} disabled={index === 0} className="px-1 text-gray-500 disabled:opacity-30" title="Move up">
+                            <i className="fas fa-arrow-up"></i>
+                          </button>
+                          <button type="button" onClick={() => moveItem(index, 1)} disabled={index === formData.items.length - 1} className="px-1 text-gray-500 disabled:opacity-30" title="Move down">
+                            <i className="fas fa-arrow-down"></i>
+                          </button>
+                          <button type="button" onClick={() => removeItem(index)} className="px-1 text-red-600" title="Remove item">
+                            <i className="fas fa-trash"></i>
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <div className="flex justify-between mt-6">
+                <div>
+                  {selectedId && !formData.isDefault && (
+                    <Button type="button" variant="danger" onClick={handleDelete}>Delete</Button>
+                  )}
+                </div>
+                <Button type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Template'}
+                </Button>
+              </div>
+            </Card>
+          </form>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default InspectionTemplatesPage;
@@ -0,0 +1,378 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import MessageTemplateService from '../../services/messageTemplateService';
+
+const NEW_STATUS_UPDATE = { event: 'status-update', channel: 'SMS', status: '', subject: '', body: '', active: true };
+
+const toFormData = (template) => (template
+  ? {
+    event: template.event,
+    channel: template.channel,
+    status: template.status || '',
+    subject: template.subject || '',
+    body: template.body,
+    active: template.active
+  }
+  : { ...NEW_STATUS_UPDATE });
+
+// Texts longer than 160 characters are billed as several messages
+const smsSegments = (text) => (text.length <= 160 ? 1 : Math.ceil(text.length / 153));
+
+const MessageTemplatesPage = () => {
+  const [templates, setTemplates] = useState([]);
+  const [events, setEvents] = useState({});
+  const [placeholders, setPlaceholders] = useState({});
+  const [statuses, setStatuses] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+  const [formData, setFormData] = useState(toFormData(null));
+  const [preview, setPreview] = useState(null);
+  const [testTo, setTestTo] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const bodyRef = useRef(null);
+
+  const fetchTemplates = async () => {
+    try {
+      setLoading(true);
+      const response = await MessageTemplateService.getTemplates();
+      setTemplates(response.data.templates);
+      setEvents(response.data.events);
+      setPlaceholders(response.data.placeholders);
+      setStatuses(response.data.statuses);
+      return response.data.templates;
+    } catch (err) {
+      console.error('Error fetching message templates:', err);
+      setError('Failed to load message templates.');
+      return [];
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTemplates().then(loaded => {
+      if (loaded.length > 0) selectTemplate(loaded[0]);
+    });
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Re-render the preview shortly after the admin stops typing
+  useEffect(() => {
+    if (!formData.body) {
+      setPreview(null);
+      return undefined;
+    }
+    const timeoutId = setTimeout(async () => {
+      try {
+        const response = await MessageTemplateService.previewTemplate(formData);
+        setPreview(response.data.preview);
+      } catch (err) {
+        console.error('Error previewing message template:', err);
+      }
+    }, 400);
+    return () => clearTimeout(timeoutId);
+  }, [formData]);
+
+  const selectTemplate = (template) => {
+    setSelectedId(template ? template._id : null);
+    setFormData(toFormData(template));
+    setError(null);
+    setSuccess(null);
+  };
+
+  const handleChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFormData(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  // Put a placeholder where the cursor is in the message text
+  const insertPlaceholder = (path) => {
+    const textarea = bodyRef.current;
+    const tag = `{{${path}}}`;
+    const start = textarea ? textarea.selectionStart : formData.body.length;
+    const end = textarea ? textarea.selectionEnd : formData.body.length;
+    setFormData(prev => ({ ...prev, body: prev.body.slice(0, start) + tag + prev.body.slice(end) }));
+    if (textarea) {
+      setTimeout(() => {
+        textarea.focus();
+        textarea.setSelectionRange(start + tag.length, start + tag.length);
+      }, 0);
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setSaving(true);
+      const response = selectedId
+        ? await MessageTemplateService.updateTemplate(selectedId, formData)
+        : await MessageTemplateService.createTemplate(formData);
+      await fetchTemplates();
+      selectTemplate(response.data.template);
+      setSuccess('Template saved.');
+    } catch (err) {
+      console.error('Error saving message template:', err);
+      setError(err.response?.data?.message || 'Failed to save template.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete the "${formData.status}" status update? Customers will no longer get this update.`)) return;
+
+    try {
+      await MessageTemplateService.deleteTemplate(selectedId);
+      const loaded = await fetchTemplates();
+      selectTemplate(loaded[0] || null);
+    } catch (err) {
+      console.error('Error deleting message template:', err);
+      setError(err.response?.data?.message || 'Failed to delete template.');
+    }
+  };
+
+  const handleSendTest = async () => {
+    setError(null);
+    setSuccess(null);
+
+    try {
+      setSending(true);
+      await MessageTemplateService.sendTest({ ...formData, to: testTo });
+      setSuccess(`Test ${formData.channel === 'SMS' ? 'text' : 'email'} sent to ${testTo}.`);
+    } catch (err) {
+      console.error('Error sending test message:', err);
+      setError(err.response?.data?.message || 'Failed to send the test message.');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const event = events[formData.event];
+  const available = Object.entries(placeholders)
+    .filter(([path]) => event && event.records.includes(path.split('.')[0]));
+  // Statuses that do not have a status update yet
+  const openStatuses = statuses.filter(status =>
+    !templates.some(template => template.event === 'status-update' && template.channel === formData.channel && template.status === status)
+  );
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-semibold text-gray-800">Message Templates</h1>
+        <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Admin
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="alert">
+          <p>{success}</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card
+          title="Templates"
+          headerActions={
+            <Button variant="outline" size="sm" onClick={() => selectTemplate(null)}>
+              <i className="fas fa-plus mr-1"></i>Status Update
+            </Button>
+          }
+        >
+          {loading ? (
+            <p className="text-center py-4 text-gray-500">Loading templates...</p>
+          ) : (
+            Object.entries(events).map(([key, entry]) => (
+              <div key={key} className="mb-4">
+                <h4 className="text-xs font-semibold uppercase text-gray-500 mb-1">{entry.label}</h4>
+                <ul className="divide-y divide-gray-100">
+                  {templates.filter(template => template.event === key).map(template => (
+                    <li key={template._id}>
+                      <button
+                        type="button"
+                        onClick={() => selectTemplate(template)}
+                        className={`w-full text-left py-2 px-2 rounded ${template._id === selectedId ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                      >
+                        <i className={`fas ${template.channel === 'SMS' ? 'fa-comment' : 'fa-envelope'} mr-2 text-gray-400`}></i>
+                        <span className="text-gray-900">{template.status || template.channel}</span>
+                        {!template.active && (
+                          <span className="ml-2 inline-block px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-600">Off</span>
+                        )}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))
+          )}
+        </Card>
+
+        <div className="lg:col-span-2 space-y-6">
+          <form onSubmit={handleSubmit}>
+            <Card title={selectedId ? `${event?.label || ''} (${formData.channel})` : 'New Status Update'}>
+              {selectedId ? (
+                formData.status && <p className="text-sm text-gray-600 mb-4">Sent when a work order moves to <strong>{formData.status}</strong>.</p>
+              ) : (
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                  <div className="mb-4">
+                    <label htmlFor="channel" className="block text-sm font-medium text-gray-700 mb-1">Send by</label>
+                    <select
+                      id="channel"
+                      name="channel"
+                      value={formData.channel}
+                      onChange={handleChange}
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                    >
+                      {(event?.channels || []).map(channel => (
+                        <option key={channel} value={channel}>{channel === 'SMS' ? 'Text message' : 'Email'}</option>
+                      ))}
+                    </select>
+                  </div>
+                  <div className="mb-4">
+                    <label htmlFor="status" className="block text-sm font-medium text-gray-700 mb-1">
+                      Work order status<span className="text-red-500 ml-1">*</span>
+                    </label>
+                    <select
+                      id="status"
+                      name="status"
+                      value={formData.status}
+                      onChange={handleChange}
+                      className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                      required
+                    >
+                      <option value="">Choose a status</option>
+                      {openStatuses.map(status => (
+                        <option key={status} value={status}>{status}</option>
+                      ))}
+                    </select>
+                  </div>
+                </div>
+              )}
+
+              {formData.channel === 'Email' && (
+                <Input label="Subject" name="subject" value={formData.subject} onChange={handleChange} required />
+              )}
+
+              <div className="mb-2">
+                <label htmlFor="body" className="block text-sm font-medium text-gray-700 mb-1">
+                  {formData.channel === 'SMS' ? 'Text message' : 'Email body'}<span className="text-red-500 ml-1">*</span>
+                </label>
+                <textarea
+                  id="body"
+                  name="body"
+                  ref={bodyRef}
+                  rows={formData.channel === 'SMS' ? 4 : 10}
+                  value={formData.body}
+                  onChange={handleChange}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500 font-mono text-sm"
+                  required
+                />
+                {formData.channel === 'SMS' ? (
+                  <p className="text-xs text-gray-500 mt-1">
+                    {(preview?.body || formData.body).length} characters with sample values · {smsSegments(preview?.body || formData.body)} text{smsSegments(preview?.body || formData.body) > 1 ? 's' : ''}
+                  </p>
+                ) : (
+                  <p className="text-xs text-gray-500 mt-1">Leave a blank line between paragraphs.</p>
+                )}
+              </div>
+
+              <div className="mb-4">
+                <p className="text-xs text-gray-500 mb-1">Insert a placeholder:</p>
+                <div className="flex flex-wrap gap-1">
+                  {available.map(([path, description]) => (
+                    <button
+                      key={path}
+                      type="button"
+                      onClick={() => insertPlaceholder(path)}
+                      title={description}
+                      className="px-2 py-0.5 text-xs rounded bg-gray-100 text-gray-700 hover:bg-gray-200 font-mono"
+                    >
+                      {`{{${path}}}`}
+                    </button>
+                  ))}
+                </div>
+              </div>
+
+              <label className="inline-flex items-center text-sm text-gray-700">
+                <input type="checkbox" name="active" checked={formData.active} onChange={handleChange} className="mr-2" />
+                {event?.perStatus ? `${formData.channel === 'SMS' ? 'Text' : 'Email'} customers when a work order reaches this status` : 'Send this message'}
+              </label>
+
+              <div className="flex justify-between mt-6">
+                <div>
+                  {selectedId && event?.perStatus && (
+                    <Button type="button" variant="danger" onClick={handleDelete}>Delete</Button>
+                  )}
+                </div>
+                <Button type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Template'}
+                </Button>
+              </div>
+            </Card>
+          </form>
+
+          <Card title="Preview">
+            <p className="text-xs text-gray-500 mb-3">Filled in with sample customer, vehicle and appointment details.</p>
+            {preview?.errors?.length > 0 && (
+              <div className="mb-3 bg-red-100 border-l-4 border-red-500 text-red-700 p-3 text-sm" role="alert">
+                {preview.errors.map(message => <p key={message}>{message}</p>)}
+              </div>
+            )}
+            {preview?.missing?.length > 0 && (
+              <div className="mb-3 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-3 text-sm" role="alert">
+                <p>No value for {preview.missing.map(path => `{{${path}}}`).join(', ')}. Messages using it will not be sent until it has one.</p>
+              </div>
+            )}
+            {preview ? (
+              <div className="bg-gray-50 border border-gray-200 rounded-md p-4 text-sm text-gray-900">
+                {preview.subject && <p className="font-medium mb-2">Subject: {preview.subject}</p>}
+                <p className="whitespace-pre-wrap">{preview.body}</p>
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">Type a message to see the preview.</p>
+            )}
+
+            <div className="flex flex-wrap items-end gap-2 mt-4">
+              <div className="flex-1 min-w-[200px]">
+                <label htmlFor="testTo" className="block text-sm font-medium text-gray-700 mb-1">
+                  Send a test to
+                </label>
+                <input
+                  id="testTo"
+                  type={formData.channel === 'SMS' ? 'tel' : 'email'}
+                  value={testTo}
+                  onChange={(e) => setTestTo(e.target.value)}
+                  placeholder={formData.channel === 'SMS' ? 'Your mobile number' : 'Your email address'}
+                  className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                />
+              </div>
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleSendTest}
+                disabled={sending || !testTo || !formData.body || preview?.errors?.length > 0}
+              >
+                {sending ? 'Sending...' : 'Send Test'}
+              </Button>
+            </div>
+          </Card>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessageTemplatesPage;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import NotificationService from '../../services/notificationService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const STATUSES = ['Queued', 'Sending', 'Sent', 'Delivered', 'Failed'];
+
+const STATUS_CLASSES = {
+  Queued: 'bg-blue-100 text-blue-800',
+  Sending: 'bg-yellow-100 text-yellow-800',
+  Sent: 'bg-gray-100 text-gray-700',
+  Delivered: 'bg-green-100 text-green-800',
+  Failed: 'bg-red-100 text-red-800'
+};
+
+// Every text and email the shop has sent, with retries and delivery receipts
+const NotificationsPage = () => {
+  const { can } = useAuth();
+  const [status, setStatus] = useState('');
+  const [channel, setChannel] = useState('');
+  const [page, setPage] = useState(1);
+  const [notifications, setNotifications] = useState([]);
+  const [counts, setCounts] = useState({});
+  const [totalPages, setTotalPages] = useState(1);
+  const [outbox, setOutbox] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const fetchNotifications = useCallback(async () => {
+    try {
+      setLoading(true);
+      const params = { page };
+      if (status) params.status = status;
+      if (channel) params.channel = channel;
+      const response = await NotificationService.getNotifications(params);
+      setNotifications(response.data.notifications);
+      setCounts(response.data.counts);
+      setTotalPages(response.data.totalPages || 1);
+      setOutbox(response.data.outbox);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching notifications:', err);
+      setError('Failed to load the notification outbox.');
+    } finally {
+      setLoading(false);
+    }
+  }, [status, channel, page]);
+
+  useEffect(() => {
+    fetchNotifications();
+  }, [fetchNotifications]);
+
+  const handleRetry = async (notification) => {
+    try {
+      setWorkingId(notification._id);
+      setError(null);
+      const response = await NotificationService.retryNotification(notification._id);
+      const updated = response.data.notification;
+      setNotifications(prev => prev.map(entry => (entry._id === updated._id ? updated : entry)));
+    } catch (err) {
+      console.error('Error retrying notification:', err);
+      setError(err.response?.data?.message || 'Failed to retry the notification.');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const changeFilter = (setter) => (e) => {
+    setter(e.target.value);
+    setPage(1);
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-semibold text-gray-800">Notification Outbox</h1>
+        <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Admin
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {outbox && ['file', 'console'].some(name => name === outbox.smsProvider || name === outbox.emailProvider) && (
+        <div className="mb-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4" role="alert">
+          <p>
+            Running with local providers (SMS: {outbox.smsProvider}, email: {outbox.emailProvider}). Messages are saved on the server, not delivered to customers.
+          </p>
+        </div>
+      )}
+
+      <Card
+        title="Messages"
+        headerActions={
+          <Button variant="outline" size="sm" onClick={fetchNotifications}>
+            <i className="fas fa-sync-alt mr-1"></i>Refresh
+          </Button>
+        }
+      >
+        <div className="flex flex-wrap gap-3 items-center mb-4">
+          <select value={status} onChange={changeFilter(setStatus)} className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+            <option value="">All statuses</option>
+            {STATUSES.map(entry => (
+              <option key={entry} value={entry}>{entry}{counts[entry] ? ` (${counts[entry]})` : ''}</option>
+            ))}
+          </select>
+          <select value={channel} onChange={changeFilter(setChannel)} className="px-3 py-2 border border-gray-300 rounded-md text-sm">
+            <option value="">SMS and email</option>
+            <option value="SMS">SMS</option>
+            <option value="Email">Email</option>
+          </select>
+          {outbox?.lastRunAt && (
+            <span className="text-xs text-gray-500">Retries last checked {formatDateTimeToET(outbox.lastRunAt, 'h:mm:ss A')}</span>
+          )}
+        </div>
+
+        {loading ? (
+          <p className="text-center py-4 text-gray-500">Loading messages...</p>
+        ) : notifications.length === 0 ? (
+          <p className="text-center py-4 text-gray-500">No messages match.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600 border-b">
+                  <th className="py-2 pr-2 font-medium">Created</th>
+                  <th className="py-2 pr-2 font-medium">Message</th>
+                  <th className="py-2 pr-2 font-medium">To</th>
+                  <th className="py-2 pr-2 font-medium">Status</th>
+                  <th className="py-2"></th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {notifications.map(notification => (
+                  <tr key={notification._id} className="align-top">
+                    <td className="py-2 pr-2 whitespace-nowrap">{formatDateTimeToET(notification.createdAt, 'MMM D, h:mm A')}</td>
+                    <td className="py-2 pr-2">
+                      <p className="text-gray-900">
+                        <i className={`fas ${notification.channel === 'SMS' ? 'fa-comment' : 'fa-envelope'} mr-1 text-gray-400`}></i>
+                        {notification.template}
+                      </p>
+                      <p className="text-xs text-gray-500 max-w-md truncate">
+                        {notification.channel === 'SMS' ? notification.payload?.body : notification.payload?.subject}
+                      </p>
+                    </td>
+                    <td className="py-2 pr-2">
+                      {notification.customer ? (
+                        <Link to={`/customers/${notification.customer._id}`} className="text-primary-600 hover:text-primary-800">
+                          {notification.customer.name}
+                        </Link>
+                      ) : null}
+                      <p className="text-xs text-gray-500">{notification.recipient}</p>
+                    </td>
+                    <td className="py-2 pr-2">
+                      <span className={`inline-block px-2 py-0.5 text-xs rounded-full ${STATUS_CLASSES[notification.status]}`}>
+                        {notification.status}
+                      </span>
+                      <p className="text-xs text-gray-500">
+                        {notification.provider}{notification.attempts > 1 && ` · ${notification.attempts} attempts`}
+                      </p>
+                      {notification.status === 'Queued' && notification.nextAttemptAt && (
+                        <p className="text-xs text-gray-500">Next try {formatDateTimeToET(notification.nextAttemptAt, 'h:mm A')}</p>
+                      )}
+                      {notification.lastError && notification.status !== 'Delivered' && notification.status !== 'Sent' && (
+                        <p className="text-xs text-red-600">{notification.lastError}</p>
+                      )}
+                    </td>
+                    <td className="py-2 text-right">
+                      {can('notifications', 'update') && notification.status === 'Failed' && (
+                        <Button variant="outline" size="sm" onClick={() => handleRetry(notification)} disabled={workingId === notification._id}>
+                          Retry
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="flex justify-between items-center mt-4">
+            <Button variant="outline" size="sm" onClick={() => setPage(page - 1)} disabled={page <= 1}>Previous</Button>
+            <span className="text-sm text-gray-600">Page {page} of {totalPages}</span>
+            <Button variant="outline" size="sm" onClick={() => setPage(page + 1)} disabled={page >= totalPages}>Next</Button>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default NotificationsPage;
@@ -0,0 +1,310 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import JobService from '../../services/jobService';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const VIEWS = [
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'recent', label: 'Sent & Skipped' }
+];
+
+const STATUS_CLASSES = {
+  Pending: 'bg-blue-100 text-blue-800',
+  Running: 'bg-yellow-100 text-yellow-800',
+  Sent: 'bg-green-100 text-green-800',
+  Skipped: 'bg-gray-100 text-gray-600',
+  Failed: 'bg-red-100 text-red-800'
+};
+
+const toReminderForm = (reminders = {}) => ({
+  enabled: !!reminders.enabled,
+  offsetsHours: (reminders.offsetsHours || []).join(', '),
+  followUpEnabled: !!reminders.followUpEnabled,
+  followUpDays: reminders.followUpDays || 3
+});
+
+// Automatic appointment reminders and follow-ups: what is queued, what failed, and when they go out
+const ScheduledJobsPage = () => {
+  const { can } = useAuth();
+  const { settings, updateSettings } = useSettings();
+  const [view, setView] = useState('upcoming');
+  const [jobs, setJobs] = useState([]);
+  const [counts, setCounts] = useState({ upcoming: 0, failed: 0 });
+  const [runner, setRunner] = useState(null);
+  const [reminderForm, setReminderForm] = useState(toReminderForm(settings.reminders));
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  const canManage = can('jobs', 'update');
+  const canEditSettings = can('settings', 'update');
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await JobService.getJobs(view);
+      setJobs(response.data.jobs);
+      setCounts(response.data.counts);
+      setRunner(response.data.runner);
+    } catch (err) {
+      console.error('Error fetching scheduled jobs:', err);
+      setError('Failed to load scheduled messages.');
+    } finally {
+      setLoading(false);
+    }
+  }, [view]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  useEffect(() => {
+    setReminderForm(toReminderForm(settings.reminders));
+  }, [settings.reminders]);
+
+  const handleJobAction = async (job, action) => {
+    if (action === 'cancel' && !window.confirm('Cancel this message? It will not be sent.')) return;
+
+    try {
+      setWorkingId(job._id);
+      setError(null);
+      setSuccess(null);
+      if (action === 'retry') {
+        await JobService.retryJob(job._id);
+        setSuccess('Queued to send on the next run.');
+      } else {
+        await JobService.cancelJob(job._id);
+      }
+      await fetchJobs();
+    } catch (err) {
+      console.error(`Error trying to ${action} job:`, err);
+      setError(err.response?.data?.message || `Failed to ${action} the message.`);
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  const handleReminderChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setReminderForm(prev => ({ ...prev, [name]: type === 'checkbox' ? checked : value }));
+  };
+
+  const handleSaveReminders = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    const offsetsHours = reminderForm.offsetsHours
+      .split(',')
+      .map(value => parseInt(value, 10))
+      .filter(value => value > 0);
+
+    try {
+      setSaving(true);
+      await updateSettings({
+        reminders: {
+          enabled: reminderForm.enabled,
+          offsetsHours: [...new Set(offsetsHours)].sort((a, b) => b - a),
+          followUpEnabled: reminderForm.followUpEnabled,
+          followUpDays: parseInt(reminderForm.followUpDays, 10) || 3
+        }
+      });
+      setSuccess('Reminder settings saved. New jobs are planned on the next run.');
+    } catch (err) {
+      console.error('Error saving reminder settings:', err);
+      setError(err.response?.data?.message || 'Failed to save reminder settings.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-semibold text-gray-800">Reminders & Follow-Ups</h1>
+        <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Admin
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="alert">
+          <p>{success}</p>
+        </div>
+      )}
+      {runner && !runner.running && (
+        <div className="mb-4 bg-yellow-100 border-l-4 border-yellow-500 text-yellow-700 p-4" role="alert">
+          <p>The job runner is not running on this server, so nothing will be sent from here.</p>
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <div className="lg:col-span-2">
+          <Card
+            title="Scheduled Messages"
+            headerActions={
+              <Button variant="outline" size="sm" onClick={fetchJobs}>
+                <i className="fas fa-sync-alt mr-1"></i>Refresh
+              </Button>
+            }
+          >
+            <div className="flex gap-2 mb-4">
+              {VIEWS.map(entry => (
+                <Button key={entry.value} variant={entry.value === view ? 'primary' : 'outline'} size="sm" onClick={() => setView(entry.value)}>
+                  {entry.label}
+                  {entry.value !== 'recent' && counts[entry.value] > 0 && ` (${counts[entry.value]})`}
+                </Button>
+              ))}
+            </div>
+
+            {loading ? (
+              <p className="text-center py-4 text-gray-500">Loading messages...</p>
+            ) : jobs.length === 0 ? (
+              <p className="text-center py-4 text-gray-500">
+                {view === 'upcoming' ? 'Nothing queued. Reminders are planned as appointments come within range.' : 'Nothing here.'}
+              </p>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-600 border-b">
+                      <th className="py-2 pr-2 font-medium">{view === 'upcoming' ? 'Sends' : 'Finished'}</th>
+                      <th className="py-2 pr-2 font-medium">Message</th>
+                      <th className="py-2 pr-2 font-medium">Customer</th>
+                      <th className="py-2 pr-2 font-medium">Status</th>
+                      <th className="py-2"></th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100">
+                    {jobs.map(job => {
+                      const appointment = job.appointment;
+                      const customer = appointment?.customer;
+                      return (
+                        <tr key={job._id} className="align-top">
+                          <td className="py-2 pr-2 whitespace-nowrap">
+                            {formatDateTimeToET(view === 'upcoming' ? job.runAt : job.completedAt, 'MMM D, h:mm A')}
+                          </td>
+                          <td className="py-2 pr-2">
+                            <p className="text-gray-900">{job.type === 'Appointment Reminder' ? 'Reminder' : 'Follow-up'} · {job.label}</p>
+                            {appointment ? (
+                              <Link to={`/appointments/${appointment._id}`} className="text-xs text-primary-600 hover:text-primary-800">
+                                {appointment.serviceType} · {formatDateTimeToET(appointment.startTime, 'MMM D, h:mm A')}
+                              </Link>
+                            ) : (
+                              <p className="text-xs text-gray-500">Appointment deleted</p>
+                            )}
+                          </td>
+                          <td className="py-2 pr-2">
+                            {customer ? (
+                              <>
+                                <p>{customer.name}</p>
+                                <p className="text-xs text-gray-500">Prefers {customer.communicationPreference}</p>
+                              </>
+                            ) : '-'}
+                          </td>
+                          <td className="py-2 pr-2">
+                            <span className={`inline-block px-2 py-0.5 text-xs rounded-full ${STATUS_CLASSES[job.status]}`}>
+                              {job.status}{job.channel && ` · ${job.channel}`}
+                            </span>
+                            {job.attempts > 1 && <p className="text-xs text-gray-500">{job.attempts} attempts</p>}
+                            {job.skipReason && <p className="text-xs text-gray-500">{job.skipReason}</p>}
+                            {job.lastError && job.status !== 'Sent' && <p className="text-xs text-red-600">{job.lastError}</p>}
+                          </td>
+                          <td className="py-2 text-right whitespace-nowrap">
+                            {canManage && job.status === 'Pending' && (
+                              <Button variant="light" size="sm" onClick={() => handleJobAction(job, 'cancel')} disabled={workingId === job._id}>
+                                Cancel
+                              </Button>
+                            )}
+                            {canManage && ['Failed', 'Skipped'].includes(job.status) && (
+                              <Button variant="outline" size="sm" onClick={() => handleJobAction(job, 'retry')} disabled={workingId === job._id}>
+                                Retry
+                              </Button>
+                            )}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {runner?.lastRunAt && (
+              <p className="mt-4 text-xs text-gray-500">
+                Last run {formatDateTimeToET(runner.lastRunAt, 'MMM D, h:mm:ss A')}
+                {runner.lastError && <span className="text-red-600"> - {runner.lastError}</span>}
+              </p>
+            )}
+          </Card>
+        </div>
+
+        <form onSubmit={handleSaveReminders}>
+          <Card title="Settings">
+            <p className="text-sm text-gray-600 mb-4">
+              Messages go by text or email according to each customer's communication preference. Customers who prefer phone calls or no contact are skipped.
+            </p>
+            <label className="flex items-center text-sm text-gray-700 mb-2">
+              <input type="checkbox" name="enabled" checked={reminderForm.enabled} onChange={handleReminderChange} disabled={!canEditSettings} className="mr-2" />
+              Send appointment reminders
+            </label>
+            <div className="mb-4">
+              <label htmlFor="offsetsHours" className="block text-sm font-medium text-gray-700 mb-1">Hours Before Appointment</label>
+              <input
+                id="offsetsHours"
+                name="offsetsHours"
+                value={reminderForm.offsetsHours}
+                onChange={handleReminderChange}
+                disabled={!canEditSettings || !reminderForm.enabled}
+                placeholder="24, 2"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+              />
+              <p className="text-xs text-gray-500 mt-1">Comma separated, up to 3 reminders.</p>
+            </div>
+
+            <label className="flex items-center text-sm text-gray-700 mb-2">
+              <input type="checkbox" name="followUpEnabled" checked={reminderForm.followUpEnabled} onChange={handleReminderChange} disabled={!canEditSettings} className="mr-2" />
+              Send a follow-up after completed visits
+            </label>
+            <div className="mb-4">
+              <label htmlFor="followUpDays" className="block text-sm font-medium text-gray-700 mb-1">Days After Visit</label>
+              <input
+                id="followUpDays"
+                name="followUpDays"
+                type="number"
+                min="1"
+                max="60"
+                value={reminderForm.followUpDays}
+                onChange={handleReminderChange}
+                disabled={!canEditSettings || !reminderForm.followUpEnabled}
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm"
+              />
+            </div>
+
+            {canEditSettings && (
+              <div className="flex justify-end">
+                <Button type="submit" variant="primary" disabled={saving}>
+                  {saving ? 'Saving...' : 'Save Settings'}
+                </Button>
+              </div>
+            )}
+          </Card>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledJobsPage;
@@ -0,0 +1,485 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment-timezone';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import SelectInput from '../../components/common/SelectInput';
+import TextArea from '../../components/common/TextArea';
+import { useSettings } from '../../contexts/SettingsContext';
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const PAYMENT_TERMS_OPTIONS = [
+  { value: 'Due on Receipt', label: 'Due on Receipt' },
+  { value: 'Net 15', label: 'Net 15' },
+  { value: 'Net 30', label: 'Net 30' },
+  { value: 'Net 60', label: 'Net 60' }
+];
+
+const TIMEZONE_OPTIONS = moment.tz.names()
+  .filter(name => name.includes('/') && !name.startsWith('Etc/'))
+  .map(name => ({ value: name, label: name.replace(/_/g, ' ') }));
+
+// Pick the editable fields out of the settings document
+const toFormData = (settings) => ({
+  businessName: settings.businessName || '',
+  businessAddressLine1: settings.businessAddressLine1 || '',
+  businessAddressLine2: settings.businessAddressLine2 || '',
+  businessPhone: settings.businessPhone || '',
+  businessEmail: settings.businessEmail || '',
+  businessWebsite: settings.businessWebsite || '',
+  businessLogo: settings.businessLogo || '',
+  defaultLaborRate: settings.defaultLaborRate ?? '',
+  taxRates: (settings.taxRates || []).map(({ name, rate, isDefault }) => ({ name, rate, isDefault })),
+  invoiceTerms: settings.invoiceTerms || '',
+  defaultPaymentTerms: settings.defaultPaymentTerms || 'Due on Receipt',
+  timezone: settings.timezone || 'America/New_York',
+  businessHours: DAYS_OF_WEEK.map((_, day) => {
+    const hours = (settings.businessHours || []).find(entry => entry.day === day);
+    return {
+      day,
+      open: hours?.open || '08:00',
+      close: hours?.close || '17:00',
+      closed: hours?.closed || false
+    };
+  }),
+  holidays: (settings.holidays || []).map(({ date, name }) => ({ date, name })),
+  onlineBooking: {
+    enabled: settings.onlineBooking?.enabled || false,
+    services: (settings.onlineBooking?.services || []).map(({ name, duration, description }) => ({ name, duration, description: description || '' })),
+    leadTimeHours: settings.onlineBooking?.leadTimeHours ?? 2,
+    maxDaysAhead: settings.onlineBooking?.maxDaysAhead ?? 30,
+    instructions: settings.onlineBooking?.instructions || ''
+  }
+});
+
+const ShopSettingsPage = () => {
+  const { settings, loading, updateSettings } = useSettings();
+  const [formData, setFormData] = useState(toFormData(settings));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+
+  useEffect(() => {
+    setFormData(toFormData(settings));
+  }, [settings]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const updateTaxRate = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      taxRates: prev.taxRates.map((taxRate, i) => {
+        if (field === 'isDefault') {
+          return { ...taxRate, isDefault: i === index };
+        }
+        return i === index ? { ...taxRate, [field]: value } : taxRate;
+      })
+    }));
+  };
+
+  const addTaxRate = () => {
+    setFormData(prev => ({
+      ...prev,
+      taxRates: [...prev.taxRates, { name: '', rate: 0, isDefault: prev.taxRates.length === 0 }]
+    }));
+  };
+
+  const removeTaxRate = (index) => {
+    setFormData(prev => ({
+      ...prev,
+      taxRates: prev.taxRates.filter((_, i) => i !== index)
+    }));
+  };
+
+  const updateBusinessHours = (day, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      businessHours: prev.businessHours.map(hours =>
+        hours.day === day ? { ...hours, [field]: value } : hours
+      )
+    }));
+  };
+
+  const updateHoliday = (index, field, value) => {
+    setFormData(prev => ({
+      ...prev,
+      holidays: prev.holidays.map((holiday, i) => (i === index ? { ...holiday, [field]: value } : holiday))
+    }));
+  };
+
+  const addHoliday = () => {
+    setFormData(prev => ({ ...prev, holidays: [...prev.holidays, { date: '', name: '' }] }));
+  };
+
+  const removeHoliday = (index) => {
+    setFormData(prev => ({ ...prev, holidays: prev.holidays.filter((_, i) => i !== index) }));
+  };
+
+  const updateOnlineBooking = (field, value) => {
+    setFormData(prev => ({ ...prev, onlineBooking: { ...prev.onlineBooking, [field]: value } }));
+  };
+
+  const updateBookableService = (index, field, value) => {
+    updateOnlineBooking('services', formData.onlineBooking.services.map((service, i) => (
+      i === index ? { ...service, [field]: value } : service
+    )));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setSuccess(null);
+
+    if (formData.taxRates.some(taxRate => !taxRate.name)) {
+      setError('Every tax rate needs a name.');
+      return;
+    }
+    if (formData.holidays.some(holiday => !holiday.date || !holiday.name)) {
+      setError('Every holiday needs a date and a name.');
+      return;
+    }
+    if (formData.onlineBooking.services.some(service => !service.name || !(parseInt(service.duration, 10) >= 15))) {
+      setError('Every bookable service needs a name and a duration of at least 15 minutes.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      await updateSettings({
+        ...formData,
+        defaultLaborRate: parseFloat(formData.defaultLaborRate) || 0,
+        taxRates: formData.taxRates.map(taxRate => ({
+          ...taxRate,
+          rate: parseFloat(taxRate.rate) || 0
+        })),
+        holidays: [...formData.holidays].sort((a, b) => a.date.localeCompare(b.date)),
+        onlineBooking: {
+          ...formData.onlineBooking,
+          services: formData.onlineBooking.services.map(service => ({ ...service, duration: parseInt(service.duration, 10) })),
+          leadTimeHours: parseFloat(formData.onlineBooking.leadTimeHours) || 0,
+          maxDaysAhead: parseInt(formData.onlineBooking.maxDaysAhead, 10) || 30
+        }
+      });
+      setSuccess('Settings saved.');
+    } catch (err) {
+      console.error('Error saving shop settings:', err);
+      setError(err.response?.data?.message || 'Failed to save settings.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <div className="flex justify-center items-center h-48"><p className="text-gray-600">Loading settings...</p></div>;
+  }
+
+  return (
+    <div className="p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-semibold text-gray-800">System Settings</h1>
+        <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Admin
+        </Link>
+      </div>
+
+      {error && (
+        <div className="mb-4 bg-red-100 border-l-4 border-red-500 text-red-700 p-4" role="alert">
+          <p>{error}</p>
+        </div>
+      )}
+      {success && (
+        <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="alert">
+          <p>{success}</p>
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit} className="space-y-6">
+        <Card title="Business Information">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+            <Input label="Business Name" name="businessName" value={formData.businessName} onChange={handleChange} required />
+            <Input label="Phone" name="businessPhone" value={formData.businessPhone} onChange={handleChange} />
+            <Input label="Address Line 1" name="businessAddressLine1" value={formData.businessAddressLine1} onChange={handleChange} />
+            <Input label="Address Line 2" name="businessAddressLine2" value={formData.businessAddressLine2} onChange={handleChange} />
+            <Input label="Email" name="businessEmail" type="email" value={formData.businessEmail} onChange={handleChange} />
+            <Input label="Website" name="businessWebsite" value={formData.businessWebsite} onChange={handleChange} />
+            <Input label="Logo URL" name="businessLogo" value={formData.businessLogo} onChange={handleChange} />
+          </div>
+        </Card>
+
+        <Card title="Billing">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+            <Input
+              label="Default Labor Rate ($/hr)"
+              name="defaultLaborRate"
+              type="number"
+              min="0"
+              step="0.01"
+              value={formData.defaultLaborRate}
+              onChange={handleChange}
+            />
+            <SelectInput
+              label="Default Payment Terms"
+              name="defaultPaymentTerms"
+              options={PAYMENT_TERMS_OPTIONS}
+              value={formData.defaultPaymentTerms}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="mb-4">
+            <div className="flex justify-between items-center mb-2">
+              <h4 className="text-sm font-medium text-gray-700">Tax Rates</h4>
+              <Button type="button" variant="outline" size="sm" onClick={addTaxRate}>
+                <i className="fas fa-plus mr-1"></i>Add Tax Rate
+              </Button>
+            </div>
+            {formData.taxRates.length === 0 ? (
+              <p className="text-sm text-gray-500">No tax rates configured. Invoices will default to 0% tax.</p>
+            ) : (
+              <table className="min-w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-600">
+                    <th className="py-1 pr-2 font-medium">Name</th>
+                    <th className="py-1 pr-2 font-medium">Rate (%)</th>
+                    <th className="py-1 pr-2 font-medium text-center">Default</th>
+                    <th className="py-1"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {formData.taxRates.map((taxRate, index) => (
+                    <tr key={index}>
+                      <td className="pr-2">
+                        <Input
+                          name={`taxRateName${index}`}
+                          value={taxRate.name}
+                          onChange={(e) => updateTaxRate(index, 'name', e.target.value)}
+                          placeholder="Sales Tax"
+                        />
+                      </td>
+                      <td className="pr-2 w-32">
+                        <Input
+                          name={`taxRateRate${index}`}
+                          type="number"
+                          min="0"
+                          max="100"
+                          step="0.001"
+                          value={taxRate.rate}
+                          onChange={(e) => updateTaxRate(index, 'rate', e.target.value)}
+                        />
+                      </td>
+                      <td className="pr-2 text-center">
+                        <input
+                          type="radio"
+                          name="defaultTaxRate"
+                          checked={!!taxRate.isDefault}
+                          onChange={() => updateTaxRate(index, 'isDefault', true)}
+                        />
+                      </td>
+                      <td className="text-right">
+                        <button type="button" className="text-red-600 hover:text-red-800 text-xs" onClick={() => removeTaxRate(index)}>
+                          Remove
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <TextArea
+            label="Invoice Terms & Warranty"
+            name="invoiceTerms"
+            rows={4}
+            value={formData.invoiceTerms}
+            onChange={handleChange}
+          />
+        </Card>
+
+        <Card title="Scheduling">
+          <SelectInput
+            label="Timezone"
+            name="timezone"
+            options={TIMEZONE_OPTIONS}
+            value={formData.timezone}
+            onChange={handleChange}
+            required
+          />
+
+          <h4 className="text-sm font-medium text-gray-700 mb-2">Business Hours</h4>
+          <div className="space-y-2">
+            {formData.businessHours.map(hours => (
+              <div key={hours.day} className="flex flex-wrap items-center gap-3 text-sm">
+                <span className="w-24 font-medium text-gray-700">{DAYS_OF_WEEK[hours.day]}</span>
+                <label className="flex items-center gap-1 text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={hours.closed}
+                    onChange={(e) => updateBusinessHours(hours.day, 'closed', e.target.checked)}
+                  />
+                  Closed
+                </label>
+                {!hours.closed && (
+                  <>
+                    <input
+                      type="time"
+                      value={hours.open}
+                      onChange={(e) => updateBusinessHours(hours.day, 'open', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                    <span className="text-gray-500">to</span>
+                    <input
+                      type="time"
+                      value={hours.close}
+                      onChange={(e) => updateBusinessHours(hours.day, 'close', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md"
+                    />
+                  </>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="flex justify-between items-center mt-6 mb-2">
+            <h4 className="text-sm font-medium text-gray-700">Holidays</h4>
+            <Button type="button" variant="outline" size="sm" onClick={addHoliday}>
+              <i className="fas fa-plus mr-1"></i>Add Holiday
+            </Button>
+          </div>
+          {formData.holidays.length === 0 ? (
+            <p className="text-sm text-gray-500">No holidays. Appointments can be booked on any open day.</p>
+          ) : (
+            <div className="space-y-2">
+              {formData.holidays.map((holiday, index) => (
+                <div key={index} className="flex flex-wrap items-center gap-3 text-sm">
+                  <input
+                    type="date"
+                    value={holiday.date}
+                    onChange={(e) => updateHoliday(index, 'date', e.target.value)}
+                    className="px-2 py-1 border border-gray-300 rounded-md"
+                  />
+                  <input
+                    value={holiday.name}
+                    onChange={(e) => updateHoliday(index, 'name', e.target.value)}
+                    className="flex-1 px-2 py-1 border border-gray-300 rounded-md"
+                    placeholder="Thanksgiving"
+                  />
+                  <button type="button" className="text-red-600 hover:text-red-800 text-xs" onClick={() => removeHoliday(index)}>
+                    Remove
+                  </button>
+                </div>
+              ))}
+            </div>
+          )}
+        </Card>
+
+        <Card title="Online Booking">
+          <label className="inline-flex items-center text-sm text-gray-700 mb-4">
+            <input
+              type="checkbox"
+              checked={formData.onlineBooking.enabled}
+              onChange={(e) => updateOnlineBooking('enabled', e.target.checked)}
+              className="mr-2"
+            />
+            Let customers book online
+          </label>
+          <p className="text-sm text-gray-600 mb-4">
+            Customers book at <a href="/book" target="_blank" rel="noopener noreferrer" className="text-primary-600 hover:text-primary-800">{window.location.origin}/book</a>.
+            To put the booking form on your website, add{' '}
+            <code className="px-1 bg-gray-100 rounded">{`<script src="${window.location.origin}/booking-widget.js" async></script>`}</code>{' '}
+            where it should appear. New bookings wait under Appointments &gt; Online Requests until someone confirms them.
+          </p>
+
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+            <Input
+              label="Minimum Notice (hours)"
+              name="leadTimeHours"
+              type="number"
+              min="0"
+              value={formData.onlineBooking.leadTimeHours}
+              onChange={(e) => updateOnlineBooking('leadTimeHours', e.target.value)}
+            />
+            <Input
+              label="Book Up To (days ahead)"
+              name="maxDaysAhead"
+              type="number"
+              min="1"
+              max="90"
+              value={formData.onlineBooking.maxDaysAhead}
+              onChange={(e) => updateOnlineBooking('maxDaysAhead', e.target.value)}
+            />
+          </div>
+          <TextArea
+            label="Note Shown on the Booking Page"
+            name="bookingInstructions"
+            value={formData.onlineBooking.instructions}
+            onChange={(e) => updateOnlineBooking('instructions', e.target.value)}
+            rows={2}
+            placeholder="Drop-offs before 8 AM can use the key box by the door."
+          />
+
+          <div className="flex justify-between items-center mb-2">
+            <h4 className="text-sm font-medium text-gray-700">Bookable Services</h4>
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => updateOnlineBooking('services', [...formData.onlineBooking.services, { name: '', duration: 60, description: '' }])}
+            >
+              <i className="fas fa-plus mr-1"></i>Add Service
+            </Button>
+          </div>
+          <div className="space-y-2">
+            {formData.onlineBooking.services.map((service, index) => (
+              <div key={index} className="flex flex-wrap items-center gap-3 text-sm">
+                <input
+                  value={service.name}
+                  onChange={(e) => updateBookableService(index, 'name', e.target.value)}
+                  className="flex-1 min-w-[10rem] px-2 py-1 border border-gray-300 rounded-md"
+                  placeholder="Oil Change"
+                />
+                <input
+                  type="number"
+                  min="15"
+                  step="15"
+                  value={service.duration}
+                  onChange={(e) => updateBookableService(index, 'duration', e.target.value)}
+                  className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                  title="Minutes"
+                />
+                <span className="text-gray-500">min</span>
+                <input
+                  value={service.description}
+                  onChange={(e) => updateBookableService(index, 'description', e.target.value)}
+                  className="flex-1 min-w-[12rem] px-2 py-1 border border-gray-300 rounded-md"
+                  placeholder="Description (optional)"
+                />
+                <button
+                  type="button"
+                  className="text-red-600 hover:text-red-800 text-xs"
+                  onClick={() => updateOnlineBooking('services', formData.onlineBooking.services.filter((_, i) => i !== index))}
+                >
+                  Remove
+                </button>
+              </div>
+            ))}
+          </div>
+        </Card>
+
+        <div className="flex justify-end">
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Save Settings'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ShopSettingsPage;
@@ -4,7 +4,7 @@ import moment from 'moment-timezone';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import AppointmentService from '../../services/appointmentService';
-import { formatDateTimeToET } from '../../utils/formatters';
+import { formatDateTimeToET, getShopTimezone } from '../../utils/formatters';
 
 const AppointmentDetail = () => {
   const { id } = useParams();
@@ -79,8 +79,8 @@ const AppointmentDetail = () => {
     if (!startTime || !endTime) return '';
     
     // Convert UTC times from server to ET moment objects
-    const startET = moment.utc(startTime).tz('America/New_York');
-    const endET = moment.utc(endTime).tz('America/New_York');
+    const startET = moment.utc(startTime).tz(getShopTimezone());
+    const endET = moment.utc(endTime).tz(getShopTimezone());
     
     const diffMs = endET.diff(startET);
     const duration = moment.duration(diffMs);
@@ -178,6 +178,27 @@ const AppointmentDetail = () => {
               <p className="text-sm text-gray-500">Technician</p>
               <p className="font-medium">{appointment.technician?.name || 'Not Assigned'}</p>
             </div>
+            <div>
+              <p className="text-sm text-gray-500">Bay</p>
+              <p className="font-medium">{appointment.bay ? `${appointment.bay.name} (${appointment.bay.type})` : 'Not Assigned'}</p>
+            </div>
+            {appointment.onlineBooking?.reviewStatus && (
+              <div>
+                <p className="text-sm text-gray-500">Booked Online</p>
+                <p className="font-medium">
+                  {appointment.onlineBooking.reviewStatus === 'Pending' ? (
+                    <Link to="/appointments/booking-requests" className="text-primary-600 hover:text-primary-800 hover:underline">
+                      Waiting for review
+                    </Link>
+                  ) : (
+                    `${appointment.onlineBooking.reviewStatus} by ${appointment.onlineBooking.reviewedBy}`
+                  )}
+                </p>
+                <p className="text-sm text-gray-600">
+                  {appointment.onlineBooking.name} · {appointment.onlineBooking.phone} · {appointment.onlineBooking.vehicleDescription}
+                </p>
+              </div>
+            )}
           </div>
         </Card>
 
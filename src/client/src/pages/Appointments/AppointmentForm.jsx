@@ -13,6 +13,9 @@ import AppointmentService from '../../services/appointmentService';
 import CustomerService from '../../services/customerService';
 import WorkOrderService from '../../services/workOrderService';
 import technicianService from '../../services/technicianService';
+import BayService from '../../services/bayService';
+import { useSettings } from '../../contexts/SettingsContext';
+import { formatDateTimeToET } from '../../utils/formatters';
 
 const AppointmentSchema = Yup.object().shape({
   customer: Yup.string().required('Customer is required'),
@@ -27,7 +30,8 @@ const AppointmentSchema = Yup.object().shape({
   endDate: Yup.string().required('End date is required'),
   endTime: Yup.string().required('End time is required'),
   status: Yup.string().required('Status is required'),
-  technician: Yup.string()
+  technician: Yup.string(),
+  bay: Yup.string()
 });
 
 const AppointmentForm = () => {
@@ -40,13 +44,16 @@ const AppointmentForm = () => {
   const [customers, setCustomers] = useState([]);
   const [vehicles, setVehicles] = useState([]);
   const [technicians, setTechnicians] = useState([]);
+  const [bays, setBays] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
-  const [hasConflicts, setHasConflicts] = useState(false);
-  const [conflictMessage, setConflictMessage] = useState('');
+  const [conflicts, setConflicts] = useState([]);
+  const [suggestedBay, setSuggestedBay] = useState(null);
+  const [availability, setAvailability] = useState(null);
   const [workOrderContext, setWorkOrderContext] = useState(null);
 
-  const AMERICA_NEW_YORK = 'America/New_York';
+  const { settings } = useSettings();
+  const shopTimezone = settings.timezone;
 
   // Helper to format moment objects for form fields
   const formatDateForField = (momentDate) => momentDate.format('YYYY-MM-DD');
@@ -63,10 +70,12 @@ const AppointmentForm = () => {
     endDate: '',   // Will be set in useEffect
     endTime: '',   // Will be set in useEffect
     technician: '',
+    bay: '',
     status: 'Scheduled',
     notes: '',
     workOrder: '',
-    createWorkOrder: false
+    createWorkOrder: false,
+    overrideConflicts: false
   });
 
   const generateTimeOptions = () => {
@@ -125,7 +134,7 @@ const AppointmentForm = () => {
       setError(null);
 
       // Define nowET and laterTimeET inside the effect
-      const nowET = moment.tz(AMERICA_NEW_YORK);
+      const nowET = moment.tz(shopTimezone);
       nowET.minutes(Math.ceil(nowET.minutes() / 15) * 15).seconds(0).milliseconds(0);
       const laterTimeET = nowET.clone().add(1, 'hour');
 
@@ -136,6 +145,9 @@ const AppointmentForm = () => {
         const technicianListResponse = await technicianService.getAllTechnicians(true);
         setTechnicians(technicianListResponse.data.data.technicians || []);
 
+        const bayListResponse = await BayService.getAllBays();
+        setBays(bayListResponse.data.bays || []);
+
         // Default initial values based on current date/time
         let currentInitialValues = {
             customer: '',
@@ -146,10 +158,12 @@ const AppointmentForm = () => {
             endDate: formatDateForField(laterTimeET),   // Use laterTimeET defined in effect
             endTime: formatTimeForField(laterTimeET),   // Use laterTimeET defined in effect
             technician: '',
+            bay: '',
             status: 'Scheduled',
             notes: '',
             workOrder: workOrderIdFromEffect || '', // Use param from effect
-            createWorkOrder: false
+            createWorkOrder: false,
+            overrideConflicts: false
         };
 
         if (id) { 
@@ -167,11 +181,12 @@ const AppointmentForm = () => {
             customer: apptCustomerId || '',
             vehicle: appt.vehicle?._id || appt.vehicle || '',
             serviceType: appt.serviceType || '',
-            startDate: formatDateForField(moment.utc(appt.startTime).tz(AMERICA_NEW_YORK)),
-            startTime: formatTimeForField(moment.utc(appt.startTime).tz(AMERICA_NEW_YORK)),
-            endDate: formatDateForField(moment.utc(appt.endTime).tz(AMERICA_NEW_YORK)),
-            endTime: formatTimeForField(moment.utc(appt.endTime).tz(AMERICA_NEW_YORK)),
+            startDate: formatDateForField(moment.utc(appt.startTime).tz(shopTimezone)),
+            startTime: formatTimeForField(moment.utc(appt.startTime).tz(shopTimezone)),
+            endDate: formatDateForField(moment.utc(appt.endTime).tz(shopTimezone)),
+            endTime: formatTimeForField(moment.utc(appt.endTime).tz(shopTimezone)),
             technician: appt.technician?._id || appt.technician || '',
+            bay: appt.bay?._id || appt.bay || '',
             status: appt.status || 'Scheduled',
             notes: appt.notes || '',
             workOrder: appt.workOrder?._id || appt.workOrder || '',
@@ -235,23 +250,59 @@ const AppointmentForm = () => {
     await fetchVehiclesForCustomer(customerId);
   };
 
-  const checkForConflicts = async (values) => {
-    const startDateTime = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
-    const endDateTime = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
+  // Load the technician's open start times for the start date, sized to the current appointment length
+  const fetchAvailability = async (values) => {
+    if (!values.technician || !values.startDate) {
+      setAvailability(null);
+      return;
+    }
+    const start = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone);
+    const end = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', shopTimezone);
+    const minutes = end.diff(start, 'minutes');
+    const duration = minutes >= 5 && minutes <= 1440 ? minutes : 60;
 
-    if (!values.startDate || !values.startTime || !values.endDate || !values.endTime || !values.technician) {
-      setHasConflicts(false);
-      setConflictMessage('');
+    try {
+      const response = await technicianService.getAvailability(values.technician, {
+        from: values.startDate,
+        to: values.startDate,
+        duration,
+        ...(id ? { excludeAppointment: id } : {})
+      });
+      const [day] = response.data.data.days;
+      setAvailability({
+        unavailableReason: day?.unavailableReason || null,
+        slots: (day?.slots || []).map(slot => moment.utc(slot).tz(shopTimezone).format('HH:mm'))
+      });
+    } catch (err) {
+      console.error('Error fetching technician availability:', err);
+      setAvailability(null);
+    }
+  };
+
+  useEffect(() => {
+    fetchAvailability(initialValues);
+  }, [initialValues]); // eslint-disable-line react-hooks/exhaustive-deps
+
+  // Check technician and bay availability; returns true if there are conflicts
+  const checkForConflicts = async (values) => {
+    if (!values.startDate || !values.startTime || !values.endDate || !values.endTime) {
+      setConflicts([]);
+      setSuggestedBay(null);
       return false;
     }
+    const startDateTime = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
+    const endDateTime = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
+
     try {
       const response = await AppointmentService.checkConflicts({
         startTime: startDateTime,
         endTime: endDateTime,
-        technician: values.technician
+        technician: values.technician,
+        bay: values.bay,
+        serviceType: values.serviceType
       }, id ? { appointmentId: id } : {});
-      setHasConflicts(response.data.hasConflicts);
-      setConflictMessage(response.data.hasConflicts ? (response.data.conflicts?.length > 0 ? `Found ${response.data.conflicts.length} scheduling conflict(s).` : 'Scheduling conflict detected.') : '');
+      setConflicts(response.data.conflicts || []);
+      setSuggestedBay(values.bay ? null : response.data.bay);
       return response.data.hasConflicts;
     } catch (err) {
       setError('Failed to check conflicts.');
@@ -261,8 +312,8 @@ const AppointmentForm = () => {
 
   const handleSubmit = async (values, { setSubmitting }) => {
     // Combine date and time, then format as ISO string (UTC) for the server
-    const startTimeForServer = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
-    const endTimeForServer = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK).toISOString();
+    const startTimeForServer = moment.tz(`${values.startDate} ${values.startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
+    const endTimeForServer = moment.tz(`${values.endDate} ${values.endTime}`, 'YYYY-MM-DD HH:mm', shopTimezone).toISOString();
 
     const formattedValues = {
       ...values,
@@ -272,8 +323,12 @@ const AppointmentForm = () => {
     delete formattedValues.startDate;
     delete formattedValues.endDate;
 
-    // Call checkForConflicts to update the warning message, but don't block submission
-    await checkForConflicts(values); 
+    // Conflicts block saving unless the user chooses to book anyway
+    const conflictsFound = await checkForConflicts(values);
+    if (conflictsFound && !values.overrideConflicts) {
+      setSubmitting(false);
+      return;
+    }
 
     try {
       if (id) {
@@ -319,7 +374,7 @@ const AppointmentForm = () => {
   };
 
   const calculateEndTime = (startDate, startTime, durationHours) => {
-    const startMoment = moment.tz(`${startDate} ${startTime}`, 'YYYY-MM-DD HH:mm', AMERICA_NEW_YORK);
+    const startMoment = moment.tz(`${startDate} ${startTime}`, 'YYYY-MM-DD HH:mm', shopTimezone);
     const endMoment = startMoment.clone().add(durationHours, 'hours');
     return {
       date: formatDateForField(endMoment),
@@ -341,7 +396,13 @@ const AppointmentForm = () => {
     { value: 'In Progress', label: 'In Progress' }, { value: 'Completed', label: 'Completed' },
     { value: 'Cancelled', label: 'Cancelled' }, { value: 'No-Show', label: 'No-Show' }
   ];
+  const bayOptions = [{ value: '', label: 'Assign Automatically' }, ...bays.map(b => ({ value: b._id, label: `${b.name} (${b.type})` }))];
   const technicianOptions = [{ value: '', label: 'Select Technician (Optional)' }, ...technicians.map(t => ({ value: t._id, label: `${t.name}${t.specialization ? ` (${t.specialization})` : ''}` }))];
+  // With a technician chosen, only offer the start times they have open; keep the current value so edits don't lose it
+  const getStartTimeOptions = (currentTime) => {
+    if (!availability) return timeOptions;
+    return timeOptions.filter(option => option.value === currentTime || availability.slots.includes(option.value));
+  };
   const validateTimes = (startD, startT, endD, endT) => !startD || !startT || !endD || !endT || new Date(`${startD}T${startT}`) < new Date(`${endD}T${endT}`);
 
   return (
@@ -358,7 +419,19 @@ const AppointmentForm = () => {
       </div>
 
       {error && <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">{error}</div>}
-      {hasConflicts && <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4"><p className="font-medium">Warning: Scheduling Conflict</p><p>{conflictMessage}</p></div>}
+      {conflicts.length > 0 && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-4">
+          <p className="font-medium">Warning: Scheduling Conflict</p>
+          <ul className="list-disc ml-5 text-sm">
+            {conflicts.map((conflict, index) => (
+              <li key={index}>
+                {conflict.message}
+                {conflict.appointment && ` (${formatDateTimeToET(conflict.appointment.startTime, 'h:mm A')} - ${formatDateTimeToET(conflict.appointment.endTime, 'h:mm A')})`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
 
       <Card>
         <Formik
@@ -386,21 +459,24 @@ const AppointmentForm = () => {
                     <div>
                       <div className="mb-4">
                         <label className="block text-sm font-medium text-gray-700 mb-1">Start Date <span className="text-red-500">*</span></label>
-                        <Input type="date" name="startDate" value={values.startDate} onChange={(e) => { const newDate = e.target.value; setFieldValue('startDate', newDate); if (new Date(newDate) > new Date(values.endDate)) setFieldValue('endDate', newDate); }} onBlur={handleBlur} error={errors.startDate} touched={touched.startDate} required />
+                        <Input type="date" name="startDate" value={values.startDate} onChange={(e) => { const newDate = e.target.value; setFieldValue('startDate', newDate); const newEndDate = new Date(newDate) > new Date(values.endDate) ? newDate : values.endDate; setFieldValue('endDate', newEndDate); fetchAvailability({...values, startDate: newDate, endDate: newEndDate}); }} onBlur={handleBlur} error={errors.startDate} touched={touched.startDate} required />
                       </div>
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">Start Time <span className="text-red-500">*</span></label>
-                        <SelectInput name="startTime" options={timeOptions} value={values.startTime} onChange={(e) => { const newTime = e.target.value; setFieldValue('startTime', newTime); const duration = workOrderContext ? estimateAppointmentDuration(workOrderContext) : 1; const newEnd = calculateEndTime(values.startDate, newTime, duration); setFieldValue('endDate', newEnd.date); setFieldValue('endTime', newEnd.time); if (values.technician) checkForConflicts({...values, startTime: newTime, endDate: newEnd.date, endTime: newEnd.time }); }} onBlur={handleBlur} error={errors.startTime} touched={touched.startTime} required />
+                        <SelectInput name="startTime" options={getStartTimeOptions(values.startTime)} value={values.startTime} onChange={(e) => { const newTime = e.target.value; setFieldValue('startTime', newTime); const duration = workOrderContext ? estimateAppointmentDuration(workOrderContext) : 1; const newEnd = calculateEndTime(values.startDate, newTime, duration); setFieldValue('endDate', newEnd.date); setFieldValue('endTime', newEnd.time); checkForConflicts({...values, startTime: newTime, endDate: newEnd.date, endTime: newEnd.time }); }} onBlur={handleBlur} error={errors.startTime} touched={touched.startTime} required />
+                        {availability && (availability.unavailableReason || availability.slots.length === 0) && (
+                          <p className="-mt-3 mb-4 text-xs text-red-600">{availability.unavailableReason || 'No open slots for this technician on this day'}</p>
+                        )}
                       </div>
                     </div>
                     <div>
                       <div className="mb-4">
                         <label className="block text-sm font-medium text-gray-700 mb-1">End Date <span className="text-red-500">*</span></label>
-                        <Input type="date" name="endDate" value={values.endDate} min={values.startDate} onChange={(e) => { const newDate = e.target.value; setFieldValue('endDate', newDate); if (values.technician) checkForConflicts({...values, endDate: newDate}); }} onBlur={handleBlur} error={errors.endDate} touched={touched.endDate} required />
+                        <Input type="date" name="endDate" value={values.endDate} min={values.startDate} onChange={(e) => { const newDate = e.target.value; setFieldValue('endDate', newDate); checkForConflicts({...values, endDate: newDate}); fetchAvailability({...values, endDate: newDate}); }} onBlur={handleBlur} error={errors.endDate} touched={touched.endDate} required />
                       </div>
                       <div>
                         <label className="block text-sm font-medium text-gray-700 mb-1">End Time <span className="text-red-500">*</span></label>
-                        <SelectInput name="endTime" options={timeOptions} value={values.endTime} onChange={(e) => { const newTime = e.target.value; setFieldValue('endTime', newTime); if (values.technician) checkForConflicts({...values, endTime: newTime}); }} onBlur={handleBlur} error={errors.endTime} touched={touched.endTime} required />
+                        <SelectInput name="endTime" options={timeOptions} value={values.endTime} onChange={(e) => { const newTime = e.target.value; setFieldValue('endTime', newTime); checkForConflicts({...values, endTime: newTime}); fetchAvailability({...values, endTime: newTime}); }} onBlur={handleBlur} error={errors.endTime} touched={touched.endTime} required />
                       </div>
                     </div>
                   </div>
@@ -408,7 +484,11 @@ const AppointmentForm = () => {
                 </div>
                 
                 <div>
-                  <SelectInput label="Technician" name="technician" options={technicianOptions} value={values.technician} onChange={(e) => { const newTech = e.target.value; setFieldValue('technician', newTech); if (values.startDate && values.startTime && values.endDate && values.endTime) checkForConflicts({...values, technician: newTech}); }} onBlur={handleBlur} error={errors.technician} touched={touched.technician} />
+                  <SelectInput label="Technician" name="technician" options={technicianOptions} value={values.technician} onChange={(e) => { const newTech = e.target.value; setFieldValue('technician', newTech); checkForConflicts({...values, technician: newTech}); fetchAvailability({...values, technician: newTech}); }} onBlur={handleBlur} error={errors.technician} touched={touched.technician} />
+                </div>
+                <div>
+                  <SelectInput label="Bay" name="bay" options={bayOptions} value={values.bay} onChange={(e) => { const newBay = e.target.value; setFieldValue('bay', newBay); checkForConflicts({...values, bay: newBay}); }} onBlur={handleBlur} error={errors.bay} touched={touched.bay} />
+                  {!values.bay && suggestedBay && <p className="-mt-3 mb-4 text-xs text-gray-500">Will be booked in {suggestedBay.name}</p>}
                 </div>
                 <div>
                   <SelectInput label="Status" name="status" options={statusOptions} value={values.status} onChange={handleChange} onBlur={handleBlur} error={errors.status} touched={touched.status} required />
@@ -417,6 +497,13 @@ const AppointmentForm = () => {
                   <TextArea label="Notes" name="notes" value={values.notes} onChange={handleChange} onBlur={handleBlur} error={errors.notes} touched={touched.notes} rows={4} />
                 </div>
                 
+                {conflicts.length > 0 && (
+                  <div className="md:col-span-2 flex items-center">
+                    <input type="checkbox" id="overrideConflicts" name="overrideConflicts" checked={values.overrideConflicts} onChange={handleChange} className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded" />
+                    <label htmlFor="overrideConflicts" className="ml-2 block text-sm text-gray-900">Book anyway, ignoring the conflicts above</label>
+                  </div>
+                )}
+
                 {!id && !workOrderContext && (
                   <div className="md:col-span-2 flex items-center">
                     <input type="checkbox" id="createWorkOrder" name="createWorkOrder" checked={values.createWorkOrder} onChange={handleChange} className="h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded" />
@@ -8,6 +8,7 @@ import SelectInput from '../../components/common/SelectInput';
 import AppointmentService from '../../services/appointmentService';
 import WorkOrderService from '../../services/workOrderService';
 import technicianService from '../../services/technicianService'; // Import technician service
+import BookingService from '../../services/bookingService';
 import { formatDateTimeToET, getTodayForInput, formatDateForInput } from '../../utils/formatters';
 
 const AppointmentList = () => {
@@ -25,6 +26,7 @@ const AppointmentList = () => {
   const [technicianFilterOptions, setTechnicianFilterOptions] = useState([{ value: '', label: 'Loading Technicians...' }]);
   const [searchParams] = useSearchParams();
   const [appointmentActionModal, setAppointmentActionModal] = useState(false);
+  const [pendingBookingCount, setPendingBookingCount] = useState(0);
   
   // Get filter parameters from URL
   const customerParam = searchParams.get('customer');
@@ -48,6 +50,18 @@ const AppointmentList = () => {
     fetchTechOptions();
   }, []);
 
+  useEffect(() => {
+    const fetchPendingBookings = async () => {
+      try {
+        const response = await BookingService.getBookingRequests('Pending');
+        setPendingBookingCount(response.results);
+      } catch (err) {
+        console.error('Error fetching online booking requests:', err);
+      }
+    };
+    fetchPendingBookings();
+  }, []);
+
   useEffect(() => {
     const fetchData = async () => {
       try {
@@ -126,9 +140,17 @@ const AppointmentList = () => {
     <div className="container mx-auto">
       <div className="flex justify-between items-center mb-6">
         <h1 className="text-2xl font-bold text-gray-800">Appointments</h1>
-        <Button onClick={handleCreateAppointmentClick} variant="primary">
-          Schedule Appointment
-        </Button>
+        <div className="flex gap-2">
+          <Button to="/appointments/booking-requests" variant="outline">
+            <i className="fas fa-globe mr-2"></i>Online Requests
+            {pendingBookingCount > 0 && (
+              <span className="ml-2 inline-block px-2 py-0.5 text-xs rounded-full bg-red-600 text-white">{pendingBookingCount}</span>
+            )}
+          </Button>
+          <Button onClick={handleCreateAppointmentClick} variant="primary">
+            Schedule Appointment
+          </Button>
+        </div>
       </div>
 
       {error && (
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import BookingService from '../../services/bookingService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+const REVIEW_TABS = ['Pending', 'Approved', 'Declined'];
+
+// Staff queue for appointments customers booked on the public booking page
+const BookingRequestsPage = () => {
+  const { can } = useAuth();
+  const [reviewStatus, setReviewStatus] = useState('Pending');
+  const [appointments, setAppointments] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [workingId, setWorkingId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const canReview = can('appointments', 'update');
+
+  const fetchRequests = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await BookingService.getBookingRequests(reviewStatus);
+      setAppointments(response.data.appointments);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching booking requests:', err);
+      setError('Failed to load online booking requests.');
+    } finally {
+      setLoading(false);
+    }
+  }, [reviewStatus]);
+
+  useEffect(() => {
+    fetchRequests();
+  }, [fetchRequests]);
+
+  const handleReview = async (appointment, decision) => {
+    if (decision === 'decline' && !window.confirm('Decline this booking? The appointment will be cancelled.')) return;
+
+    try {
+      setWorkingId(appointment._id);
+      setError(null);
+      await BookingService.reviewBooking(appointment._id, decision, notes[appointment._id] || '');
+      setAppointments(prev => prev.filter(entry => entry._id !== appointment._id));
+    } catch (err) {
+      console.error('Error reviewing booking:', err);
+      setError(err.response?.data?.message || 'Failed to update the booking.');
+    } finally {
+      setWorkingId(null);
+    }
+  };
+
+  return (
+    <div className="container mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Online Booking Requests</h1>
+        <Button to="/appointments" variant="light">Back to Appointments</Button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="flex gap-2 mb-4">
+        {REVIEW_TABS.map(tab => (
+          <Button key={tab} variant={tab === reviewStatus ? 'primary' : 'outline'} size="sm" onClick={() => setReviewStatus(tab)}>
+            {tab}
+          </Button>
+        ))}
+      </div>
+
+      {loading ? (
+        <p className="text-center py-4 text-gray-500">Loading requests...</p>
+      ) : appointments.length === 0 ? (
+        <Card>
+          <p className="text-center py-4 text-gray-500">
+            {reviewStatus === 'Pending' ? 'No online bookings waiting for review.' : `No ${reviewStatus.toLowerCase()} online bookings.`}
+          </p>
+        </Card>
+      ) : (
+        <div className="space-y-4">
+          {appointments.map(appointment => {
+            const booking = appointment.onlineBooking;
+            return (
+              <Card key={appointment._id}>
+                <div className="flex flex-col md:flex-row md:justify-between gap-4">
+                  <div className="space-y-1 text-sm text-gray-700">
+                    <p className="text-base font-medium text-gray-900">
+                      <Link to={`/appointments/${appointment._id}`} className="text-primary-600 hover:text-primary-800">
+                        {appointment.serviceType}
+                      </Link>
+                      {' · '}{formatDateTimeToET(appointment.startTime, 'ddd, MMM D, h:mm A')}
+                    </p>
+                    <p>
+                      <span className="font-medium">{booking.name}</span> · {booking.phone}{booking.email && ` · ${booking.email}`}
+                    </p>
+                    <p>
+                      {booking.newCustomer ? (
+                        <span className="inline-block px-2 py-0.5 text-xs rounded-full bg-blue-100 text-blue-800">New customer</span>
+                      ) : (
+                        <>
+                          Matched{' '}
+                          <Link to={`/customers/${appointment.customer?._id}`} className="text-primary-600 hover:text-primary-800">
+                            {appointment.customer?.name}
+                          </Link>
+                          {appointment.customer?.name !== booking.name && (
+                            <span className="ml-2 text-xs text-yellow-700">Name on file differs</span>
+                          )}
+                        </>
+                      )}
+                    </p>
+                    <p>Vehicle: {booking.vehicleDescription}</p>
+                    {booking.concern && <p className="whitespace-pre-line">Concern: {booking.concern}</p>}
+                    <p className="text-xs text-gray-500">
+                      Booked {formatDateTimeToET(booking.submittedAt)}
+                      {appointment.bay && ` · ${appointment.bay.name}`}
+                      {appointment.technician ? ` · ${appointment.technician.name}` : ' · No technician yet'}
+                    </p>
+                    {booking.reviewedBy && (
+                      <p className="text-xs text-gray-500">
+                        {booking.reviewStatus} by {booking.reviewedBy} on {formatDateTimeToET(booking.reviewedAt)}
+                        {booking.reviewNote && ` - ${booking.reviewNote}`}
+                      </p>
+                    )}
+                  </div>
+
+                  {canReview && booking.reviewStatus === 'Pending' && (
+                    <div className="md:w-64 space-y-2">
+                      <input
+                        type="text"
+                        value={notes[appointment._id] || ''}
+                        onChange={(e) => setNotes(prev => ({ ...prev, [appointment._id]: e.target.value }))}
+                        placeholder="Note (optional)"
+                        className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+                      />
+                      <div className="flex gap-2">
+                        <Button variant="primary" size="sm" onClick={() => handleReview(appointment, 'approve')} disabled={workingId === appointment._id}>
+                          Confirm
+                        </Button>
+                        <Button variant="danger" size="sm" onClick={() => handleReview(appointment, 'decline')} disabled={workingId === appointment._id}>
+                          Decline
+                        </Button>
+                        <Button variant="light" size="sm" to={`/appointments/${appointment._id}/edit`}>
+                          Edit
+                        </Button>
+                      </div>
+                    </div>
+                  )}
+                </div>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BookingRequestsPage;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { useSearchParams } from 'react-router-dom';
+import moment from 'moment-timezone';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import TextArea from '../../components/common/TextArea';
+import BookingService from '../../services/bookingService';
+
+const DAYS_PER_PAGE = 7;
+const EMPTY_DETAILS = { name: '', phone: '', email: '', year: '', make: '', model: '', concern: '' };
+
+// Public booking page - no login required. With ?embed=1 it drops the page
+// chrome and reports its height so booking-widget.js can size the iframe.
+const OnlineBookingPage = () => {
+  const [searchParams] = useSearchParams();
+  const embedded = searchParams.get('embed') === '1';
+  const containerRef = useRef(null);
+  const [options, setOptions] = useState(null);
+  const [service, setService] = useState(null);
+  const [weekStart, setWeekStart] = useState(null);
+  const [days, setDays] = useState([]);
+  const [slotsVersion, setSlotsVersion] = useState(0);
+  const [date, setDate] = useState(null);
+  const [slot, setSlot] = useState(null);
+  const [details, setDetails] = useState(EMPTY_DETAILS);
+  const [booking, setBooking] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchOptions = async () => {
+      try {
+        const response = await BookingService.getBookingOptions();
+        setOptions(response.data);
+        setWeekStart(response.data.firstDate);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Online booking could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchOptions();
+  }, []);
+
+  useEffect(() => {
+    if (!service || !weekStart) return;
+
+    const fetchSlots = async () => {
+      try {
+        setLoadingSlots(true);
+        const response = await BookingService.getBookingSlots(service.name, weekStart, DAYS_PER_PAGE);
+        const fetchedDays = response.data.days;
+        setDays(fetchedDays);
+        const firstOpen = fetchedDays.find(day => day.slots.length > 0);
+        setDate(firstOpen ? firstOpen.date : null);
+        setSlot(null);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Open times could not be loaded.');
+      } finally {
+        setLoadingSlots(false);
+      }
+    };
+
+    fetchSlots();
+  }, [service, weekStart, slotsVersion]);
+
+  // Let the embedding page resize the iframe to fit
+  useEffect(() => {
+    if (!embedded || !containerRef.current || !window.ResizeObserver) return undefined;
+    const observer = new ResizeObserver(() => {
+      window.parent.postMessage({ type: 'booking-widget:height', height: containerRef.current.scrollHeight }, '*');
+    });
+    observer.observe(containerRef.current);
+    return () => observer.disconnect();
+  }, [embedded, loading]);
+
+  const handleDetailChange = (e) => {
+    const { name, value } = e.target;
+    setDetails(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!slot) {
+      setError('Please choose a time.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await BookingService.createBooking({
+        service: service.name,
+        startTime: slot,
+        name: details.name,
+        phone: details.phone,
+        email: details.email,
+        vehicle: { year: details.year, make: details.make, model: details.model },
+        concern: details.concern
+      });
+      setBooking(response.data.booking);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Your booking could not be completed. Please try again.');
+      // The time was taken while the customer was typing; show what is still open
+      if (err.response?.status === 409) {
+        setSlotsVersion(version => version + 1);
+      }
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const timezone = options?.timezone;
+  const formatSlot = (value, format) => moment.utc(value).tz(timezone).format(format);
+  const shiftWeek = (amount) => {
+    const next = moment(weekStart).add(amount * DAYS_PER_PAGE, 'days');
+    const first = moment(options.firstDate);
+    setWeekStart((next.isBefore(first) ? first : next).format('YYYY-MM-DD'));
+  };
+  const selectedDay = days.find(day => day.date === date);
+
+  const pageClass = embedded ? 'p-2' : 'min-h-screen bg-gray-50 py-8 px-4';
+
+  if (loading) {
+    return (
+      <div className={`${pageClass} flex justify-center items-center`}>
+        <p>Loading...</p>
+      </div>
+    );
+  }
+
+  if (!options) {
+    return (
+      <div className={`${pageClass} flex justify-center items-center`}>
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded max-w-md">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className={pageClass} ref={containerRef}>
+      <div className="max-w-3xl mx-auto">
+        {!embedded && (
+          <div className="text-center mb-6">
+            {options.businessLogo && <img src={options.businessLogo} alt={options.businessName} className="h-16 mx-auto mb-2 object-contain" />}
+            <h1 className="text-2xl font-bold text-gray-800">{options.businessName || 'Book an Appointment'}</h1>
+            {options.businessPhone && <p className="text-sm text-gray-600">{options.businessPhone}</p>}
+          </div>
+        )}
+
+        {booking ? (
+          <Card title="You're Booked">
+            <div className="text-gray-700 space-y-2">
+              <p>
+                Thanks, {details.name}. We have you down for <strong>{booking.service}</strong> on{' '}
+                <strong>{formatSlot(booking.startTime, 'dddd, MMMM D [at] h:mm A')}</strong>.
+              </p>
+              <p>Your reference is <strong>{booking.reference}</strong>. We will confirm your appointment shortly.</p>
+              {options.businessPhone && <p className="text-sm text-gray-600">Need to change it? Call us at {options.businessPhone}.</p>}
+            </div>
+          </Card>
+        ) : (
+          <>
+            {options.instructions && (
+              <p className="mb-4 text-sm text-gray-700 whitespace-pre-line">{options.instructions}</p>
+            )}
+            {error && (
+              <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+                {error}
+              </div>
+            )}
+
+            <Card title="1. Choose a Service" className="mb-6">
+              <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+                {options.services.map(entry => (
+                  <button
+                    key={entry.name}
+                    type="button"
+                    onClick={() => { setService(entry); setError(null); }}
+                    className={`text-left border rounded-lg p-3 ${service?.name === entry.name ? 'border-primary-600 bg-primary-50' : 'border-gray-200 hover:border-gray-400'}`}
+                  >
+                    <p className="font-medium text-gray-900">{entry.name}</p>
+                    <p className="text-xs text-gray-500">About {entry.duration >= 60 ? `${entry.duration / 60} hr` : `${entry.duration} min`}</p>
+                    {entry.description && <p className="text-sm text-gray-600 mt-1">{entry.description}</p>}
+                  </button>
+                ))}
+              </div>
+            </Card>
+
+            {service && (
+              <Card
+                title="2. Pick a Time"
+                className="mb-6"
+                headerActions={
+                  <div className="flex gap-2">
+                    <Button type="button" variant="outline" size="sm" onClick={() => shiftWeek(-1)} disabled={weekStart <= options.firstDate}>
+                      <i className="fas fa-chevron-left"></i>
+                    </Button>
+                    <Button type="button" variant="outline" size="sm" onClick={() => shiftWeek(1)} disabled={moment(weekStart).add(DAYS_PER_PAGE, 'days').format('YYYY-MM-DD') > options.lastDate}>
+                      <i className="fas fa-chevron-right"></i>
+                    </Button>
+                  </div>
+                }
+              >
+                {loadingSlots ? (
+                  <p className="text-center py-4 text-gray-500">Finding open times...</p>
+                ) : (
+                  <>
+                    <div className="grid grid-cols-4 sm:grid-cols-7 gap-2 mb-4">
+                      {days.map(day => (
+                        <button
+                          key={day.date}
+                          type="button"
+                          onClick={() => { setDate(day.date); setSlot(null); }}
+                          disabled={day.slots.length === 0}
+                          className={`rounded-md border px-2 py-2 text-center text-sm ${
+                            day.date === date
+                              ? 'border-primary-600 bg-primary-600 text-white'
+                              : day.slots.length === 0 ? 'border-gray-100 text-gray-300' : 'border-gray-200 text-gray-700 hover:border-gray-400'
+                          }`}
+                        >
+                          <span className="block font-medium">{moment(day.date).format('ddd')}</span>
+                          <span className="block">{moment(day.date).format('MMM D')}</span>
+                        </button>
+                      ))}
+                    </div>
+
+                    {selectedDay ? (
+                      <div className="grid grid-cols-3 sm:grid-cols-5 gap-2">
+                        {selectedDay.slots.map(value => (
+                          <button
+                            key={value}
+                            type="button"
+                            onClick={() => setSlot(value)}
+                            className={`rounded-md border px-2 py-2 text-sm ${value === slot ? 'border-primary-600 bg-primary-600 text-white' : 'border-gray-200 text-gray-700 hover:border-gray-400'}`}
+                          >
+                            {formatSlot(value, 'h:mm A')}
+                          </button>
+                        ))}
+                      </div>
+                    ) : (
+                      <p className="text-center py-4 text-gray-500">No open times this week. Try the next week{options.businessPhone ? ` or call us at ${options.businessPhone}` : ''}.</p>
+                    )}
+                  </>
+                )}
+              </Card>
+            )}
+
+            {slot && (
+              <form onSubmit={handleSubmit}>
+                <Card title="3. Your Details">
+                  <p className="text-sm text-gray-600 mb-4">
+                    {service.name} on {formatSlot(slot, 'dddd, MMMM D [at] h:mm A')}
+                  </p>
+                  <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+                    <Input label="Name" name="name" value={details.name} onChange={handleDetailChange} required />
+                    <Input label="Mobile Phone" name="phone" type="tel" value={details.phone} onChange={handleDetailChange} placeholder="315-555-0123" required />
+                    <Input label="Email (optional)" name="email" type="email" value={details.email} onChange={handleDetailChange} />
+                    <div></div>
+                    <Input label="Vehicle Year" name="year" type="number" value={details.year} onChange={handleDetailChange} placeholder="2018" required />
+                    <Input label="Make" name="make" value={details.make} onChange={handleDetailChange} placeholder="Honda" required />
+                    <Input label="Model" name="model" value={details.model} onChange={handleDetailChange} placeholder="Civic" required />
+                  </div>
+                  <TextArea
+                    label="What's going on? (optional)"
+                    name="concern"
+                    value={details.concern}
+                    onChange={handleDetailChange}
+                    rows={3}
+                    placeholder="Squeal from the front when braking"
+                  />
+                  <div className="flex justify-end mt-4">
+                    <Button type="submit" variant="primary" disabled={submitting}>
+                      {submitting ? 'Booking...' : 'Book Appointment'}
+                    </Button>
+                  </div>
+                </Card>
+              </form>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default OnlineBookingPage;
@@ -1,5 +1,5 @@
 import React, { useState } from 'react';
-import { useNavigate, Link } from 'react-router-dom';
+import { Link } from 'react-router-dom';
 import { Formik, Form } from 'formik';
 import * as Yup from 'yup';
 import Card from '../../components/common/Card';
@@ -26,17 +26,20 @@ const RegisterSchema = Yup.object().shape({
 });
 
 const Register = () => {
-  const navigate = useNavigate();
   const { register } = useAuth();
   const [error, setError] = useState(null);
+  const [created, setCreated] = useState(null);
 
-  const handleSubmit = async (values, { setSubmitting }) => {
+  const handleSubmit = async (values, { setSubmitting, resetForm }) => {
     try {
-      await register(values);
-      navigate('/');
+      setError(null);
+      const user = await register(values);
+      setCreated(user);
+      resetForm();
     } catch (err) {
       console.error('Registration error:', err);
-      setError('Failed to register. Please try again.');
+      setError(err.response?.data?.message || 'Failed to create the account. Please try again.');
+    } finally {
       setSubmitting(false);
     }
   };
@@ -49,17 +52,23 @@ const Register = () => {
   ];
 
   return (
-    <div className="min-h-screen flex items-center justify-center bg-gray-50 py-12 px-4 sm:px-6 lg:px-8">
+    <div className="flex justify-center py-6 px-4 sm:px-6 lg:px-8">
       <div className="max-w-md w-full space-y-8">
         <div>
           <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
-            Create New Account
+            Add Staff Login
           </h2>
           <p className="mt-2 text-center text-sm text-gray-600">
-            Register for Auto Repair Shop CRM
+            The new user signs in with this email and password
           </p>
         </div>
         
+        {created && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded">
+            Created a {created.role} login for {created.name}.
+          </div>
+        )}
+        
         {error && (
           <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded">
             {error}
@@ -151,7 +160,7 @@ const Register = () => {
                     className="w-full"
                     disabled={isSubmitting}
                   >
-                    {isSubmitting ? 'Registering...' : 'Register'}
+                    {isSubmitting ? 'Creating...' : 'Create Login'}
                   </Button>
                 </div>
               </Form>
@@ -160,9 +169,8 @@ const Register = () => {
           
           <div className="mt-4 text-center">
             <p className="text-sm text-gray-600">
-              Already have an account?{' '}
-              <Link to="/login" className="text-primary-600 hover:text-primary-800">
-                Sign in
+              <Link to="/admin" className="text-primary-600 hover:text-primary-800">
+                Back to Administration
               </Link>
             </p>
           </div>
@@ -4,6 +4,7 @@ import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import CustomerService from '../../services/customerService';
 import WorkOrderService from '../../services/workOrderService';
+import CustomerMessagesCard from '../../components/messages/CustomerMessagesCard';
 
 const CustomerDetail = () => {
   const { id } = useParams();
@@ -269,6 +270,10 @@ const CustomerDetail = () => {
         </Card>
       </div>
 
+      <div className="mt-6">
+        <CustomerMessagesCard customer={customer} />
+      </div>
+
       {/* Delete Confirmation Modal */}
       {deleteModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
@@ -0,0 +1,239 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import SignaturePad from '../../components/common/SignaturePad';
+import EstimateService from '../../services/estimateService';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+
+const sumLines = (lines, taxRate) => {
+  const subtotal = lines.reduce((total, line) => total + line.total, 0);
+  const tax = Math.round(subtotal * taxRate) / 100;
+  return { subtotal, tax, total: subtotal + tax };
+};
+
+// Public page the customer opens from the estimate link - no login required
+const EstimateApprovalPage = () => {
+  const { token } = useParams();
+  const [estimate, setEstimate] = useState(null);
+  const [decisions, setDecisions] = useState({});
+  const [typedName, setTypedName] = useState('');
+  const [signature, setSignature] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchEstimate = async () => {
+      try {
+        const response = await EstimateService.getPublicEstimate(token);
+        setEstimate(response.data.estimate);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.message || 'This estimate could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchEstimate();
+  }, [token]);
+
+  const setDecision = (lineId, decision) => {
+    setDecisions(prev => ({ ...prev, [lineId]: decision }));
+  };
+
+  const setAll = (decision) => {
+    setDecisions(estimate.lines.reduce((map, line) => ({ ...map, [line._id]: decision }), {}));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (estimate.lines.some(line => !decisions[line._id])) {
+      setError('Please approve or decline every item.');
+      return;
+    }
+    if (!typedName.trim()) {
+      setError('Please type your full name.');
+      return;
+    }
+    if (!signature) {
+      setError('Please sign in the signature box.');
+      return;
+    }
+
+    try {
+      setSubmitting(true);
+      const response = await EstimateService.submitDecision(token, { decisions, typedName, signature });
+      setEstimate(response.data.estimate);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Your response could not be submitted. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50">
+        <p>Loading estimate...</p>
+      </div>
+    );
+  }
+
+  if (!estimate) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50 px-4">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded max-w-md">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  const { shop, vehicle } = estimate;
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : '';
+  const decided = !!estimate.approval;
+  const lineDecision = (line) => (decided ? line.decision : decisions[line._id]);
+  const selectedTotals = sumLines(
+    estimate.lines.filter(line => lineDecision(line) === 'Approved'),
+    estimate.taxRate
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="text-center mb-6">
+          {shop.logo && <img src={shop.logo} alt={shop.name} className="h-16 mx-auto mb-2 object-contain" />}
+          <h1 className="text-2xl font-bold text-gray-800">{shop.name || 'Estimate'}</h1>
+          {(shop.phone || shop.email) && (
+            <p className="text-sm text-gray-600">{[shop.phone, shop.email].filter(Boolean).join(' · ')}</p>
+          )}
+        </div>
+
+        <Card title={`Estimate ${estimate.estimateNumber}`} className="mb-6">
+          <div className="text-sm text-gray-700 space-y-1">
+            {estimate.customer && <p>Prepared for {estimate.customer.name}</p>}
+            {vehicleLabel && <p>Vehicle: {vehicleLabel}</p>}
+            <p>Date: {formatDate(estimate.createdAt)}</p>
+          </div>
+          {estimate.message && (
+            <p className="mt-4 text-sm text-gray-700 whitespace-pre-line">{estimate.message}</p>
+          )}
+        </Card>
+
+        {decided && (
+          <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-6">
+            Thank you, {estimate.approval.typedName}. Your response was recorded on {formatDate(estimate.approval.submittedAt, { hour: 'numeric', minute: '2-digit' })}.
+            {estimate.status !== 'Declined' && ' We will get started on the approved work.'}
+          </div>
+        )}
+        {!decided && !estimate.isOpen && (
+          <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-6">
+            This estimate has expired. Please contact us for an updated estimate.
+          </div>
+        )}
+        {error && (
+          <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-6">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit}>
+          <Card
+            title="Recommended Work"
+            className="mb-6"
+            headerActions={estimate.isOpen && (
+              <div className="flex gap-2">
+                <Button type="button" variant="outline" size="sm" onClick={() => setAll('Approved')}>Approve All</Button>
+                <Button type="button" variant="light" size="sm" onClick={() => setAll('Declined')}>Decline All</Button>
+              </div>
+            )}
+          >
+            <ul className="divide-y divide-gray-200">
+              {estimate.lines.map(line => {
+                const decision = lineDecision(line);
+                return (
+                  <li key={line._id} className="py-3 flex flex-wrap justify-between items-center gap-2">
+                    <div>
+                      <p className="font-medium text-gray-900">{line.description}</p>
+                      <p className="text-xs text-gray-500">
+                        {line.type === 'Labor'
+                          ? `${line.quantity} hr @ ${formatCurrency(line.unitPrice)}`
+                          : `${line.quantity} x ${formatCurrency(line.unitPrice)}`}
+                        {line.partNumber && ` · PN ${line.partNumber}`}
+                      </p>
+                    </div>
+                    <div className="flex items-center gap-3">
+                      <span className="font-medium text-gray-900">{formatCurrency(line.total)}</span>
+                      {estimate.isOpen ? (
+                        <div className="flex rounded-md overflow-hidden border border-gray-300 text-sm">
+                          <button
+                            type="button"
+                            onClick={() => setDecision(line._id, 'Approved')}
+                            className={`px-3 py-1 ${decision === 'Approved' ? 'bg-green-600 text-white' : 'bg-white text-gray-700'}`}
+                          >
+                            Approve
+                          </button>
+                          <button
+                            type="button"
+                            onClick={() => setDecision(line._id, 'Declined')}
+                            className={`px-3 py-1 border-l border-gray-300 ${decision === 'Declined' ? 'bg-red-600 text-white' : 'bg-white text-gray-700'}`}
+                          >
+                            Decline
+                          </button>
+                        </div>
+                      ) : (
+                        <span className={`text-sm ${decision === 'Approved' ? 'text-green-700' : decision === 'Declined' ? 'text-red-700' : 'text-gray-500'}`}>
+                          {decision}
+                        </span>
+                      )}
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+
+            <div className="mt-4 border-t border-gray-200 pt-3 text-sm space-y-1 text-right">
+              <p className="text-gray-600">Estimate total: {formatCurrency(estimate.totals.total)}</p>
+              <p>Approved subtotal: {formatCurrency(selectedTotals.subtotal)}</p>
+              {estimate.taxRate > 0 && <p>Tax ({estimate.taxRate}%): {formatCurrency(selectedTotals.tax)}</p>}
+              <p className="text-lg font-semibold text-gray-900">Approved total: {formatCurrency(selectedTotals.total)}</p>
+            </div>
+          </Card>
+
+          {estimate.isOpen && (
+            <Card title="Authorization" className="mb-6">
+              <p className="text-sm text-gray-600 mb-4">
+                By signing, I authorize the approved work above and agree to pay the approved total.
+                Declined items will not be performed; we will keep them on file as recommendations for a future visit.
+              </p>
+              <Input
+                label="Full Name"
+                name="typedName"
+                value={typedName}
+                onChange={(e) => setTypedName(e.target.value)}
+                required
+              />
+              <p className="block text-sm font-medium text-gray-700 mb-1">Signature</p>
+              <SignaturePad onChange={setSignature} />
+              {estimate.expiresAt && (
+                <p className="mt-3 text-xs text-gray-500">This estimate is valid until {formatDate(estimate.expiresAt)}.</p>
+              )}
+              <div className="mt-4 flex justify-end">
+                <Button type="submit" variant="primary" disabled={submitting}>
+                  {submitting ? 'Submitting...' : 'Submit Response'}
+                </Button>
+              </div>
+            </Card>
+          )}
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default EstimateApprovalPage;
@@ -1,44 +1,34 @@
 import React, { useState, useEffect } from 'react';
 import feedbackService from '../../services/feedbackService';
-import technicianService from '../../services/technicianService';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import TextArea from '../../components/common/TextArea';
-import SelectInput from '../../components/common/SelectInput';
 
 const FeedbackAdminPage = () => {
   const [feedbackEntries, setFeedbackEntries] = useState([]);
   const [archivedFeedback, setArchivedFeedback] = useState([]);
   const [showArchived, setShowArchived] = useState(false);
-  const [technicians, setTechnicians] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [currentFeedback, setCurrentFeedback] = useState(null); // For edit/create
+  // New feedback is recorded against the logged-in user
   const [formData, setFormData] = useState({
-    user: '',
     feedbackText: '',
   });
 
   useEffect(() => {
-    fetchFeedbackAndTechnicians();
+    fetchFeedback();
   }, []);
 
-  const fetchFeedbackAndTechnicians = async () => {
+  const fetchFeedback = async () => {
     try {
       setLoading(true);
-      const [feedbackResponse, techniciansResponse] = await Promise.all([
-        feedbackService.getAllFeedback(),
-        technicianService.getAllTechnicians()
-      ]);
+      const feedbackResponse = await feedbackService.getAllFeedback();
 
       const allFeedback = feedbackResponse.data.feedback;
       setFeedbackEntries(allFeedback.filter(f => !f.archived));
       setArchivedFeedback(allFeedback.filter(f => f.archived).sort((a, b) => new Date(b.archivedAt) - new Date(a.archivedAt)));
-      setTechnicians(techniciansResponse.data.data.technicians.map(tech => ({
-        value: tech._id,
-        label: tech.name
-      })));
       setLoading(false);
     } catch (err) {
       setError('Failed to fetch data.');
@@ -54,14 +44,13 @@ const FeedbackAdminPage = () => {
 
   const handleCreateClick = () => {
     setCurrentFeedback(null);
-    setFormData({ user: '', feedbackText: '' });
+    setFormData({ feedbackText: '' });
     setIsModalOpen(true);
   };
 
   const handleEditClick = (feedback) => {
     setCurrentFeedback(feedback);
     setFormData({
-      user: feedback.user._id,
       feedbackText: feedback.feedbackText,
     });
     setIsModalOpen(true);
@@ -71,7 +60,7 @@ const FeedbackAdminPage = () => {
     if (window.confirm('Are you sure you want to delete this feedback entry?')) {
       try {
         await feedbackService.deleteFeedback(id);
-        fetchFeedbackAndTechnicians(); // Refresh list
+        fetchFeedback(); // Refresh list
       } catch (err) {
         setError('Failed to delete feedback.');
         console.error(err);
@@ -83,7 +72,7 @@ const FeedbackAdminPage = () => {
     if (window.confirm('Are you sure you want to archive this feedback entry?')) {
       try {
         await feedbackService.archiveFeedback(id);
-        fetchFeedbackAndTechnicians(); // Refresh list
+        fetchFeedback(); // Refresh list
       } catch (err) {
         setError('Failed to archive feedback.');
         console.error(err);
@@ -97,7 +86,7 @@ const FeedbackAdminPage = () => {
         // TODO: Implement restore functionality in feedbackService and backend
         // await feedbackService.restoreFeedback(id);
         alert('Restore functionality not yet implemented.');
-        fetchFeedbackAndTechnicians(); // Refresh list
+        fetchFeedback(); // Refresh list
       } catch (err) {
         setError('Failed to restore feedback.');
         console.error(err);
@@ -114,7 +103,7 @@ const FeedbackAdminPage = () => {
         await feedbackService.createFeedback(formData);
       }
       setIsModalOpen(false);
-      fetchFeedbackAndTechnicians(); // Refresh list
+      fetchFeedback(); // Refresh list
     } catch (err) {
       setError('Failed to save feedback.');
       console.error(err);
@@ -213,16 +202,6 @@ const FeedbackAdminPage = () => {
           <Card className="w-full max-w-lg p-6">
             <h2 className="text-xl font-bold mb-4">{currentFeedback ? 'Edit Feedback' : 'Add Feedback'}</h2>
             <form onSubmit={handleModalSubmit}>
-              <div className="mb-4">
-                <SelectInput
-                  label="User"
-                  name="user"
-                  options={technicians}
-                  value={formData.user}
-                  onChange={handleInputChange}
-                  required
-                />
-              </div>
               <div className="mb-4">
                 <TextArea
                   label="Feedback Text"
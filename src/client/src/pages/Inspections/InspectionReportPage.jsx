@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import InspectionResults from '../../components/inspections/InspectionResults';
+import InspectionService from '../../services/inspectionService';
+import { formatDate } from '../../utils/formatters';
+
+// Public page the customer opens from the inspection report link - no login required
+const InspectionReportPage = () => {
+  const { token } = useParams();
+  const [inspection, setInspection] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchInspection = async () => {
+      try {
+        const response = await InspectionService.getPublicInspection(token);
+        setInspection(response.data.inspection);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.message || 'This inspection report could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchInspection();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50">
+        <p>Loading inspection report...</p>
+      </div>
+    );
+  }
+
+  if (!inspection) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50 px-4">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded max-w-md">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  const { shop, vehicle } = inspection;
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : '';
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="text-center mb-6">
+          {shop.logo && <img src={shop.logo} alt={shop.name} className="h-16 mx-auto mb-2 object-contain" />}
+          <h1 className="text-2xl font-bold text-gray-800">{shop.name || 'Vehicle Inspection'}</h1>
+          {(shop.phone || shop.email) && (
+            <p className="text-sm text-gray-600">{[shop.phone, shop.email].filter(Boolean).join(' · ')}</p>
+          )}
+        </div>
+
+        <Card title={inspection.templateName || 'Vehicle Inspection'} className="mb-6">
+          <div className="text-sm text-gray-700 space-y-1">
+            {inspection.customer && <p>Prepared for {inspection.customer.name}</p>}
+            {vehicleLabel && (
+              <p>Vehicle: {vehicleLabel}{vehicle.licensePlate && ` (${vehicle.licensePlate})`}</p>
+            )}
+            {inspection.mileage && <p>Mileage: {inspection.mileage.toLocaleString()}</p>}
+            {inspection.completedAt && (
+              <p>
+                Inspected {formatDate(inspection.completedAt)}
+                {inspection.completedByName && ` by ${inspection.completedByName}`}
+              </p>
+            )}
+          </div>
+        </Card>
+
+        <Card title="Results" className="mb-6">
+          <InspectionResults inspection={inspection} />
+        </Card>
+
+        <p className="text-center text-sm text-gray-500">
+          Questions about your inspection? {shop.phone ? `Call us at ${shop.phone}.` : 'Contact the shop.'}
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default InspectionReportPage;
@@ -3,6 +3,12 @@ import { useParams, Link } from 'react-router-dom';
 import invoiceService from '../../services/invoiceService';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
+import Modal from '../../components/common/Modal';
+import Input from '../../components/common/Input';
+import TextArea from '../../components/common/TextArea';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
+import { formatDateTimeToET } from '../../utils/formatters';
 import InvoiceDisplay from '../../components/invoice/InvoiceDisplay'; // Import the new component
 
 // formatCurrency is now imported, so local definition is removed.
@@ -10,18 +16,16 @@ import InvoiceDisplay from '../../components/invoice/InvoiceDisplay'; // Import
 const InvoiceDetail = () => {
   const { id } = useParams();
   const [invoice, setInvoice] = useState(null);
-  // Business settings (can be centralized later if needed)
-  const settings = {
-    businessName: 'Phoenix Automotive Group, Inc.',
-    businessAddressLine1: '201 Ford St',
-    businessAddressLine2: 'Newark NY 14513',
-    businessPhone: '315-830-0008',
-    businessEmail: 'phxautosalvage@gmail.com',
-    businessWebsite: 'www.phxautogroup.com',
-    businessLogo: '/phxLogo.svg' // This path needs to be updated if used differently
-  };
+  const { settings } = useSettings();
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [downloadingPdf, setDownloadingPdf] = useState(false);
+  const [emailModalOpen, setEmailModalOpen] = useState(false);
+  const [emailForm, setEmailForm] = useState({ email: '', message: '' });
+  const [sendingEmail, setSendingEmail] = useState(false);
+  const [emailError, setEmailError] = useState(null);
+  const [emailSuccess, setEmailSuccess] = useState(null);
+  const { can } = useAuth();
   const printableRef = useRef();
 
   useEffect(() => {
@@ -76,6 +80,57 @@ const InvoiceDetail = () => {
     }
   };
   
+  const handleDownloadPdf = async () => {
+    try {
+      setDownloadingPdf(true);
+      const pdfBlob = await invoiceService.generatePDF(id);
+      const url = window.URL.createObjectURL(new Blob([pdfBlob], { type: 'application/pdf' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `Invoice_${invoice?.invoiceNumber || id}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (err) {
+      console.error(`Error downloading PDF for invoice ${id}:`, err);
+      setError('Failed to generate invoice PDF.');
+    } finally {
+      setDownloadingPdf(false);
+    }
+  };
+
+  const openEmailModal = () => {
+    setEmailForm({ email: invoice?.customer?.email || '', message: '' });
+    setEmailError(null);
+    setEmailModalOpen(true);
+  };
+
+  const handleSendEmail = async () => {
+    if (!emailForm.email) {
+      setEmailError('Please enter an email address.');
+      return;
+    }
+    try {
+      setSendingEmail(true);
+      setEmailError(null);
+      const response = await invoiceService.sendViaEmail(id, emailForm);
+      // Keep populated customer/vehicle from the original fetch
+      setInvoice(prev => ({
+        ...prev,
+        status: response.data.invoice.status,
+        emailSends: response.data.invoice.emailSends
+      }));
+      setEmailSuccess(response.message || `Invoice sent to ${emailForm.email}`);
+      setEmailModalOpen(false);
+    } catch (err) {
+      console.error(`Error emailing invoice ${id}:`, err);
+      setEmailError(err.response?.data?.message || 'Failed to send invoice email.');
+    } finally {
+      setSendingEmail(false);
+    }
+  };
+
   // renderInvoiceContent is removed, InvoiceDisplay will be used instead.
 
   if (loading) {
@@ -141,11 +196,24 @@ const InvoiceDetail = () => {
           <Button onClick={handlePrint} className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700">
             <i className="fas fa-print mr-2"></i>Print Invoice
           </Button>
+          <Button onClick={handleDownloadPdf} disabled={downloadingPdf} className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700">
+            <i className="fas fa-file-pdf mr-2"></i>{downloadingPdf ? 'Generating...' : 'Download PDF'}
+          </Button>
+          {can('invoices', 'update') && (
+            <Button onClick={openEmailModal} className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700">
+              <i className="fas fa-envelope mr-2"></i>Email Invoice
+            </Button>
+          )}
           <Link to="/admin" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
             Back to Admin
           </Link>
         </div>
       </div>
+      {emailSuccess && (
+        <div className="mb-4 bg-green-100 border-l-4 border-green-500 text-green-700 p-4" role="alert">
+          <p>{emailSuccess}</p>
+        </div>
+      )}
       <Card>
         {/* Use the new InvoiceDisplay component with preprocessed data */}
         {invoice && (
@@ -156,6 +224,48 @@ const InvoiceDetail = () => {
           />
         )}
       </Card>
+      {invoice.emailSends && invoice.emailSends.length > 0 && (
+        <Card title="Email History" className="mt-6">
+          <ul className="divide-y divide-gray-200">
+            {[...invoice.emailSends].reverse().map((send, index) => (
+              <li key={send._id || index} className="py-2 flex justify-between text-sm">
+                <span>
+                  <i className="fas fa-envelope text-gray-400 mr-2"></i>
+                  {send.recipient}
+                </span>
+                <span className="text-gray-500">{formatDateTimeToET(send.sentAt)}</span>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+      <Modal
+        isOpen={emailModalOpen}
+        onClose={() => setEmailModalOpen(false)}
+        title={`Email Invoice ${invoice.invoiceNumber}`}
+        actions={[
+          { label: 'Cancel', variant: 'light', onClick: () => setEmailModalOpen(false) },
+          { label: sendingEmail ? 'Sending...' : 'Send', variant: 'primary', onClick: handleSendEmail }
+        ]}
+      >
+        {emailError && <p className="mb-3 text-sm text-red-600">{emailError}</p>}
+        <Input
+          label="Recipient Email"
+          name="email"
+          type="email"
+          value={emailForm.email}
+          onChange={(e) => setEmailForm({ ...emailForm, email: e.target.value })}
+          required
+        />
+        <TextArea
+          label="Message (optional)"
+          name="message"
+          rows={3}
+          value={emailForm.message}
+          onChange={(e) => setEmailForm({ ...emailForm, message: e.target.value })}
+        />
+        <p className="text-xs text-gray-500">The invoice PDF will be attached.</p>
+      </Modal>
     </div>
   );
 };
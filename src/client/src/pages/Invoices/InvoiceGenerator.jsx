@@ -13,6 +13,7 @@ import SelectInput from '../../components/common/SelectInput';
 import InvoiceDisplay from '../../components/invoice/InvoiceDisplay'; // Import the new component
 // formatCurrency is now imported from utils/formatters, so local definition is removed.
 import { formatCurrency, getTodayForInput } from '../../utils/formatters';
+import { useSettings } from '../../contexts/SettingsContext';
 
 
 const InvoiceGenerator = () => {
@@ -21,6 +22,7 @@ const InvoiceGenerator = () => {
   const workOrderIdParam = searchParams.get('workOrder');
   const navigate = useNavigate();
   const printTemplateRef = useRef(null);
+  const { settings, loading: settingsLoading } = useSettings();
 
   // Main states
   const [workOrders, setWorkOrders] = useState([]);
@@ -35,8 +37,8 @@ const InvoiceGenerator = () => {
     invoiceNumber: '',
     invoiceDate: getTodayForInput(),
     customerNotes: '',
-    terms: 'All services and repairs are guaranteed for 90 days or 3,000 miles, whichever comes first. Payment is due upon receipt unless other arrangements are made.',
-    taxRate: 8.0,
+    terms: settings.invoiceTerms,
+    taxRate: settings.defaultTaxRate,
     parts: [],
     labor: []
   });
@@ -46,16 +48,16 @@ const InvoiceGenerator = () => {
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('invoice'); // 'invoice' or 'preview'
 
-  // Business settings
-  const settings = {
-    businessName: 'Phoenix Automotive Group, Inc.',
-    businessAddressLine1: '201 Ford St',
-    businessAddressLine2: 'Newark NY 14513',
-    businessPhone: '315-830-0008',
-    businessEmail: 'phxautosalvage@gmail.com',
-    businessWebsite: 'www.phxautogroup.com',
-    businessLogo: '/phxLogo.svg' // This path needs to be updated
-  };
+  // Apply the shop's invoice defaults once settings have loaded
+  useEffect(() => {
+    if (!settingsLoading) {
+      setInvoiceData(prev => ({
+        ...prev,
+        terms: settings.invoiceTerms,
+        taxRate: settings.defaultTaxRate
+      }));
+    }
+  }, [settingsLoading, settings.invoiceTerms, settings.defaultTaxRate]);
 
   // Enhanced loadWorkOrder function
   const loadWorkOrder = async (workOrderId) => {
@@ -291,7 +293,7 @@ const InvoiceGenerator = () => {
       ...prev,
       labor: [
         ...prev.labor,
-        { _id: `labor-new-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`, description: '', hours: 1, rate: settings.defaultLaborRate || 100, total: (settings.defaultLaborRate || 100) * 1 }
+        { _id: `labor-new-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`, description: '', hours: 1, rate: settings.defaultLaborRate, total: settings.defaultLaborRate * 1 }
       ]
     }));
   };
@@ -0,0 +1,208 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import MessageThread from '../../components/messages/MessageThread';
+import MessageService from '../../services/messageService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
+
+// How often the inbox checks for new texts
+const POLL_INTERVAL_MS = 30 * 1000;
+
+const formatPhone = (phone) => (phone && phone.length === 10 ? `${phone.slice(0, 3)}-${phone.slice(3, 6)}-${phone.slice(6)}` : phone);
+
+// Two-way text message inbox: every thread with customers (and unknown numbers), newest first
+const MessagesPage = () => {
+  const { can } = useAuth();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const selectedId = searchParams.get('conversation');
+  const [conversations, setConversations] = useState([]);
+  const [unreadTotal, setUnreadTotal] = useState(0);
+  const [search, setSearch] = useState('');
+  const [unreadOnly, setUnreadOnly] = useState(false);
+  const [selected, setSelected] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingThread, setLoadingThread] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const params = {};
+      if (search.trim()) params.search = search.trim();
+      if (unreadOnly) params.unread = true;
+      const response = await MessageService.getConversations(params);
+      setConversations(response.data.conversations);
+      setUnreadTotal(response.data.unreadTotal);
+      setError(null);
+    } catch (err) {
+      setError('Failed to load messages.');
+    } finally {
+      setLoading(false);
+    }
+  }, [search, unreadOnly]);
+
+  const fetchThread = useCallback(async (quiet = false) => {
+    if (!selectedId) return;
+
+    try {
+      if (!quiet) setLoadingThread(true);
+      const response = await MessageService.getConversation(selectedId);
+      let conversation = response.data.conversation;
+      if (conversation.unreadCount > 0) {
+        conversation = (await MessageService.markRead(conversation._id)).data.conversation;
+        setConversations(prev => prev.map(entry => (entry._id === conversation._id ? { ...entry, unreadCount: 0 } : entry)));
+      }
+      setSelected(conversation);
+      setMessages(response.data.messages);
+    } catch (err) {
+      setError('Failed to load this conversation.');
+    } finally {
+      setLoadingThread(false);
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    const timeout = setTimeout(fetchConversations, 300);
+    return () => clearTimeout(timeout);
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    if (!selectedId) {
+      setSelected(null);
+      setMessages([]);
+      return;
+    }
+    fetchThread();
+  }, [selectedId, fetchThread]);
+
+  // Pick up new texts without a reload
+  useEffect(() => {
+    const interval = setInterval(() => {
+      fetchConversations();
+      fetchThread(true);
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchConversations, fetchThread]);
+
+  const handleSend = async (body) => {
+    const response = await MessageService.sendMessage({ conversationId: selected._id, body });
+    if (response.data.message) {
+      setMessages(prev => [...prev, response.data.message]);
+    }
+    fetchConversations();
+  };
+
+  return (
+    <div className="container mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">
+          Messages
+          {unreadTotal > 0 && (
+            <span className="ml-2 align-middle inline-block px-2 py-0.5 text-xs rounded-full bg-red-600 text-white">{unreadTotal} unread</span>
+          )}
+        </h1>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        <Card>
+          <div className="space-y-2 mb-3">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="Search name or phone"
+              className="block w-full px-3 py-2 border border-gray-300 rounded-md text-sm"
+            />
+            <label className="inline-flex items-center text-sm text-gray-700">
+              <input type="checkbox" checked={unreadOnly} onChange={(e) => setUnreadOnly(e.target.checked)} className="mr-2" />
+              Unread only
+            </label>
+          </div>
+
+          {loading ? (
+            <p className="text-center py-4 text-gray-500">Loading messages...</p>
+          ) : conversations.length === 0 ? (
+            <p className="text-center py-4 text-gray-500">No conversations.</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 max-h-[32rem] overflow-y-auto">
+              {conversations.map(conversation => (
+                <li key={conversation._id}>
+                  <button
+                    type="button"
+                    onClick={() => setSearchParams({ conversation: conversation._id })}
+                    className={`w-full text-left py-2 px-2 rounded ${conversation._id === selectedId ? 'bg-primary-50' : 'hover:bg-gray-50'}`}
+                  >
+                    <div className="flex justify-between items-baseline">
+                      <span className={`text-gray-900 ${conversation.unreadCount > 0 ? 'font-bold' : 'font-medium'}`}>
+                        {conversation.customer?.name || formatPhone(conversation.phone)}
+                      </span>
+                      <span className="text-xs text-gray-500 ml-2 whitespace-nowrap">
+                        {formatDateTimeToET(conversation.lastMessageAt, 'MMM D, h:mm A')}
+                      </span>
+                    </div>
+                    <p className={`text-sm truncate ${conversation.unreadCount > 0 ? 'text-gray-900' : 'text-gray-500'}`}>
+                      {conversation.lastDirection === 'Outbound' && 'You: '}{conversation.lastMessagePreview}
+                    </p>
+                    {conversation.unreadCount > 0 && (
+                      <span className="inline-block mt-1 px-2 py-0.5 text-xs rounded-full bg-red-600 text-white">{conversation.unreadCount} new</span>
+                    )}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </Card>
+
+        <div className="lg:col-span-2">
+          {!selectedId ? (
+            <Card>
+              <p className="text-center py-8 text-gray-500">Choose a conversation to read and reply.</p>
+            </Card>
+          ) : loadingThread || !selected ? (
+            <Card>
+              <p className="text-center py-8 text-gray-500">Loading conversation...</p>
+            </Card>
+          ) : (
+            <Card
+              title={selected.customer?.name || formatPhone(selected.phone)}
+              headerActions={
+                selected.customer ? (
+                  <Button variant="outline" size="sm" to={`/customers/${selected.customer._id}`}>View Customer</Button>
+                ) : (
+                  <Button variant="outline" size="sm" to="/customers/new">Add Customer</Button>
+                )
+              }
+            >
+              <p className="text-sm text-gray-600 mb-3">
+                {formatPhone(selected.phone)}
+                {selected.customer && ` · Prefers ${selected.customer.communicationPreference}`}
+                {!selected.customer && (
+                  <span className="ml-2 text-yellow-700">Not matched to a customer.</span>
+                )}
+              </p>
+              <MessageThread
+                messages={messages}
+                onSend={handleSend}
+                canReply={can('messages', 'create')}
+                heightClass="h-[28rem]"
+              />
+              <p className="mt-3 text-xs text-gray-500">
+                Replying about a job? Reply from its <Link to="/work-orders" className="text-primary-600 hover:text-primary-800">work order</Link> to link the message to it.
+              </p>
+            </Card>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MessagesPage;
@@ -34,7 +34,17 @@ const PartSchema = Yup.object().shape({
   notes: Yup.string()
     .max(500, 'Notes cannot exceed 500 characters'),
   url: Yup.string()
-    .url('Please enter a valid URL')
+    .url('Please enter a valid URL'),
+  binLocation: Yup.string()
+    .max(50, 'Bin location cannot exceed 50 characters'),
+  quantityOnHand: Yup.number()
+    .integer('Quantity must be a whole number'),
+  minimumQuantity: Yup.number()
+    .integer('Minimum quantity must be a whole number')
+    .min(0, 'Minimum quantity cannot be negative'),
+  reorderQuantity: Yup.number()
+    .integer('Reorder quantity must be a whole number')
+    .min(0, 'Reorder quantity cannot be negative')
 });
 
 const PartsForm = () => {
@@ -58,6 +68,10 @@ const PartsForm = () => {
     warranty: '',
     notes: '',
     url: '',
+    binLocation: '',
+    quantityOnHand: '',
+    minimumQuantity: '',
+    reorderQuantity: '',
     isActive: true
   };
 
@@ -122,6 +136,10 @@ const PartsForm = () => {
         warranty: part.warranty || '',
         notes: part.notes || '',
         url: part.url || '',
+        binLocation: part.binLocation || '',
+        quantityOnHand: part.quantityOnHand?.toString() || '0',
+        minimumQuantity: part.minimumQuantity?.toString() || '',
+        reorderQuantity: part.reorderQuantity?.toString() || '',
         isActive: part.isActive !== undefined ? part.isActive : true
       });
       
@@ -138,9 +156,18 @@ const PartsForm = () => {
       const partData = {
         ...values,
         price: parseFloat(values.price),
-        cost: parseFloat(values.cost)
+        cost: parseFloat(values.cost),
+        minimumQuantity: parseInt(values.minimumQuantity) || 0,
+        reorderQuantity: parseInt(values.reorderQuantity) || 0
       };
 
+      // Stock on hand is only set when the part is created; after that it moves through the ledger
+      if (isEditing) {
+        delete partData.quantityOnHand;
+      } else {
+        partData.quantityOnHand = parseInt(values.quantityOnHand) || 0;
+      }
+
       if (isEditing) {
         await partService.updatePart(id, partData);
       } else {
@@ -363,6 +390,72 @@ const PartsForm = () => {
                 </div>
               </div>
 
+              {/* Inventory */}
+              <div className="mt-6 space-y-4">
+                <h3 className="text-lg font-medium text-gray-900 border-b pb-2">
+                  Inventory
+                </h3>
+                <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+                  <Input
+                    label={isEditing ? 'On Hand' : 'Starting Quantity'}
+                    name="quantityOnHand"
+                    type="number"
+                    step="1"
+                    value={values.quantityOnHand}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={errors.quantityOnHand}
+                    touched={touched.quantityOnHand}
+                    disabled={isEditing}
+                    placeholder="0"
+                  />
+
+                  <Input
+                    label="Bin Location"
+                    name="binLocation"
+                    value={values.binLocation}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={errors.binLocation}
+                    touched={touched.binLocation}
+                    placeholder="A-3-2"
+                  />
+
+                  <Input
+                    label="Minimum Quantity"
+                    name="minimumQuantity"
+                    type="number"
+                    step="1"
+                    min="0"
+                    value={values.minimumQuantity}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={errors.minimumQuantity}
+                    touched={touched.minimumQuantity}
+                    placeholder="0"
+                  />
+
+                  <Input
+                    label="Reorder Quantity"
+                    name="reorderQuantity"
+                    type="number"
+                    step="1"
+                    min="0"
+                    value={values.reorderQuantity}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    error={errors.reorderQuantity}
+                    touched={touched.reorderQuantity}
+                    placeholder="0"
+                  />
+                </div>
+                <p className="text-xs text-gray-500">
+                  {isEditing
+                    ? 'Use Adjust Stock on the parts list to receive, return or correct stock.'
+                    : 'Parts at or below the minimum quantity show up in the low-stock view. Leave it at 0 for parts you do not stock.'}
+                </p>
+              </div>
+
               {/* Notes */}
               <div className="mt-6">
                 <TextArea
@@ -4,7 +4,9 @@ import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import Input from '../../components/common/Input';
 import SelectInput from '../../components/common/SelectInput';
+import StockAdjustmentModal from '../../components/parts/StockAdjustmentModal';
 import partService from '../../services/partService';
+import { useAuth } from '../../contexts/AuthContext';
 
 const PartsList = () => {
   const [parts, setParts] = useState([]);
@@ -15,7 +17,10 @@ const PartsList = () => {
   const [vendorFilter, setVendorFilter] = useState('');
   const [brandFilter, setBrandFilter] = useState('');
   const [statusFilter, setStatusFilter] = useState('active');
+  const [stockFilter, setStockFilter] = useState('all');
   const [isSearching, setIsSearching] = useState(false);
+  const [adjustingPart, setAdjustingPart] = useState(null);
+  const { can } = useAuth();
   
   // Filter options
   const [categories, setCategories] = useState([]);
@@ -31,17 +36,21 @@ const PartsList = () => {
 
   // Get filter parameters from URL
   const categoryParam = searchParams.get('category');
+  const stockParam = searchParams.get('stock');
 
   useEffect(() => {
     fetchFilterOptions();
     if (categoryParam) {
       setCategoryFilter(categoryParam);
     }
-  }, [categoryParam]);
+    if (stockParam === 'low') {
+      setStockFilter('low');
+    }
+  }, [categoryParam, stockParam]);
 
   useEffect(() => {
     fetchParts();
-  }, [categoryFilter, vendorFilter, brandFilter, statusFilter]);
+  }, [categoryFilter, vendorFilter, brandFilter, statusFilter, stockFilter]);
 
   const fetchFilterOptions = async () => {
     try {
@@ -74,6 +83,7 @@ const PartsList = () => {
       if (vendorFilter) params.vendor = vendorFilter;
       if (brandFilter) params.brand = brandFilter;
       if (statusFilter !== 'all') params.isActive = statusFilter === 'active';
+      if (stockFilter === 'low') params.lowStock = 'true';
       if (searchQuery) params.search = searchQuery;
 
       const response = await partService.getAllParts(params);
@@ -98,8 +108,15 @@ const PartsList = () => {
     setVendorFilter('');
     setBrandFilter('');
     setStatusFilter('active');
+    setStockFilter('all');
+  };
+
+  const handleStockAdjusted = (updatedPart) => {
+    setParts(prev => prev.map(part => part._id === updatedPart._id ? { ...part, ...updatedPart } : part));
   };
 
+  const isLowStock = (part) => part.minimumQuantity > 0 && (part.quantityOnHand || 0) <= part.minimumQuantity;
+
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
@@ -164,6 +181,11 @@ const PartsList = () => {
     { value: 'all', label: 'All Parts' }
   ];
 
+  const stockOptions = [
+    { value: 'all', label: 'All Stock Levels' },
+    { value: 'low', label: 'Low Stock Only' }
+  ];
+
   return (
     <div className="container mx-auto">
       <div className="flex justify-between items-center mb-6">
@@ -204,7 +226,7 @@ const PartsList = () => {
             </Button>
           </div>
 
-          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+          <div className="grid grid-cols-1 md:grid-cols-5 gap-4">
             <SelectInput
               name="category"
               options={categoryOptions}
@@ -229,6 +251,12 @@ const PartsList = () => {
               value={statusFilter}
               onChange={(e) => setStatusFilter(e.target.value)}
             />
+            <SelectInput
+              name="stock"
+              options={stockOptions}
+              value={stockFilter}
+              onChange={(e) => setStockFilter(e.target.value)}
+            />
           </div>
 
           <div className="flex justify-between items-center">
@@ -270,6 +298,9 @@ const PartsList = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Pricing
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                    Stock
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                     Status
                   </th>
@@ -329,6 +360,25 @@ const PartsList = () => {
                         </div>
                       </div>
                     </td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <div className={`text-sm font-medium ${isLowStock(part) ? 'text-red-700' : 'text-gray-900'}`}>
+                        {part.quantityOnHand ?? 0} on hand
+                      </div>
+                      {part.binLocation && (
+                        <div className="text-xs text-gray-500">Bin {part.binLocation}</div>
+                      )}
+                      {part.minimumQuantity > 0 && (
+                        <div className="text-xs text-gray-500">
+                          Min {part.minimumQuantity}
+                          {part.reorderQuantity > 0 && ` / Reorder ${part.reorderQuantity}`}
+                        </div>
+                      )}
+                      {isLowStock(part) && (
+                        <span className="inline-block mt-1 px-2 py-1 text-xs rounded-full bg-red-100 text-red-800">
+                          Low Stock
+                        </span>
+                      )}
+                    </td>
                     <td className="px-6 py-4 whitespace-nowrap">
                       {getStatusBadge(part.isActive)}
                     </td>
@@ -341,6 +391,15 @@ const PartsList = () => {
                         >
                           View
                         </Button>
+                        {can('parts', 'update') && (
+                          <Button
+                            onClick={() => setAdjustingPart(part)}
+                            variant="outline"
+                            size="sm"
+                          >
+                            Adjust Stock
+                          </Button>
+                        )}
                         <Button
                           to={`/parts/${part._id}/edit`}
                           variant="outline"
@@ -384,6 +443,13 @@ const PartsList = () => {
           </div>
         )}
       </Card>
+
+      <StockAdjustmentModal
+        part={adjustingPart}
+        isOpen={!!adjustingPart}
+        onClose={() => setAdjustingPart(null)}
+        onAdjusted={handleStockAdjusted}
+      />
     </div>
   );
 };
@@ -0,0 +1,307 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import Modal from '../../components/common/Modal';
+import PurchaseOrderStatusBadge from '../../components/purchaseOrders/PurchaseOrderStatusBadge';
+import PurchaseOrderService from '../../services/purchaseOrderService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency, formatDate, formatDateTimeToET } from '../../utils/formatters';
+
+// Expected dates are calendar dates, stored as UTC midnight
+const formatExpectedDate = (date) => formatDate(date, { month: 'short', timeZone: 'UTC' });
+
+const PurchaseOrderDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const [purchaseOrder, setPurchaseOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [orderModalOpen, setOrderModalOpen] = useState(false);
+  const [cancelModalOpen, setCancelModalOpen] = useState(false);
+  const [expectedDate, setExpectedDate] = useState('');
+  const [vendorOrderNumber, setVendorOrderNumber] = useState('');
+  const [cancelReason, setCancelReason] = useState('');
+
+  useEffect(() => {
+    fetchPurchaseOrder();
+  }, [id]);
+
+  const fetchPurchaseOrder = async () => {
+    try {
+      setLoading(true);
+      const response = await PurchaseOrderService.getPurchaseOrder(id);
+      setPurchaseOrder(response.data.purchaseOrder);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching purchase order:', err);
+      setError('Failed to load purchase order. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const openOrderModal = () => {
+    setExpectedDate(purchaseOrder.expectedDate ? purchaseOrder.expectedDate.slice(0, 10) : '');
+    setVendorOrderNumber(purchaseOrder.vendorOrderNumber || '');
+    setOrderModalOpen(true);
+  };
+
+  const handlePlaceOrder = async () => {
+    try {
+      const response = await PurchaseOrderService.placeOrder(id, { expectedDate, vendorOrderNumber });
+      setPurchaseOrder(response.data.purchaseOrder);
+      setOrderModalOpen(false);
+    } catch (err) {
+      console.error('Error placing purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to place purchase order.');
+      setOrderModalOpen(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    try {
+      const response = await PurchaseOrderService.cancelPurchaseOrder(id, cancelReason);
+      setPurchaseOrder(response.data.purchaseOrder);
+      setCancelModalOpen(false);
+    } catch (err) {
+      console.error('Error cancelling purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to cancel purchase order.');
+      setCancelModalOpen(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm(`Delete draft ${purchaseOrder.poNumber}?`)) return;
+
+    try {
+      await PurchaseOrderService.deletePurchaseOrder(id);
+      navigate('/purchase-orders');
+    } catch (err) {
+      console.error('Error deleting purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to delete purchase order.');
+    }
+  };
+
+  const describeWorkOrder = (workOrder) => {
+    const vehicle = workOrder.vehicle
+      ? `${workOrder.vehicle.year || ''} ${workOrder.vehicle.make || ''} ${workOrder.vehicle.model || ''}`.trim()
+      : '';
+    return [workOrder.customer?.name, vehicle].filter(Boolean).join(' - ') || 'Work Order';
+  };
+
+  const itemName = (itemId) => {
+    const item = purchaseOrder.items.find(entry => entry._id === itemId);
+    return item ? item.name : 'Removed item';
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto flex justify-center items-center h-48">
+        <p>Loading purchase order...</p>
+      </div>
+    );
+  }
+
+  if (!purchaseOrder) {
+    return (
+      <div className="container mx-auto">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error || 'Purchase order not found.'}
+        </div>
+      </div>
+    );
+  }
+
+  const canUpdate = can('purchaseOrders', 'update');
+  const isOpen = ['Ordered', 'Partially Received'].includes(purchaseOrder.status);
+  const nothingReceived = purchaseOrder.items.every(item => item.quantityReceived === 0);
+
+  return (
+    <div className="container mx-auto">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            {purchaseOrder.poNumber}
+            <span className="ml-3 align-middle"><PurchaseOrderStatusBadge status={purchaseOrder.status} /></span>
+          </h1>
+          <p className="text-gray-600">{purchaseOrder.vendor}</p>
+        </div>
+        <div className="flex flex-wrap gap-2">
+          <Button to="/purchase-orders" variant="light">Back</Button>
+          {purchaseOrder.status === 'Draft' && canUpdate && (
+            <Button variant="primary" onClick={openOrderModal}>Mark as Ordered</Button>
+          )}
+          {purchaseOrder.status === 'Draft' && can('purchaseOrders', 'delete') && (
+            <Button variant="danger" onClick={handleDelete}>Delete Draft</Button>
+          )}
+          {isOpen && canUpdate && (
+            <Button to={`/purchase-orders/${id}/receive`} variant="primary">Receive Items</Button>
+          )}
+          {isOpen && nothingReceived && canUpdate && (
+            <Button variant="outline" onClick={() => setCancelModalOpen(true)}>Cancel Order</Button>
+          )}
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <Card title="Order Details" className="mb-6">
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+          <div>
+            <p className="text-gray-500">Vendor Order #</p>
+            <p className="font-medium">{purchaseOrder.vendorOrderNumber || '-'}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Ordered</p>
+            <p className="font-medium">{purchaseOrder.orderedAt ? formatDateTimeToET(purchaseOrder.orderedAt) : '-'}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Expected</p>
+            <p className="font-medium">{purchaseOrder.expectedDate ? formatExpectedDate(purchaseOrder.expectedDate) : '-'}</p>
+          </div>
+          <div>
+            <p className="text-gray-500">Total</p>
+            <p className="font-medium">{formatCurrency(purchaseOrder.total)}</p>
+          </div>
+        </div>
+        {purchaseOrder.notes && (
+          <p className="mt-4 text-sm text-gray-700 whitespace-pre-line">{purchaseOrder.notes}</p>
+        )}
+        {purchaseOrder.createdByName && (
+          <p className="mt-2 text-xs text-gray-500">
+            Created by {purchaseOrder.createdByName} on {formatDateTimeToET(purchaseOrder.createdAt)}
+          </p>
+        )}
+      </Card>
+
+      <Card title="Items" className="mb-6">
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Part</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">For</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Ordered</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Received</th>
+                <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Cost</th>
+                <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Status</th>
+              </tr>
+            </thead>
+            <tbody className="bg-white divide-y divide-gray-200">
+              {purchaseOrder.items.map(item => (
+                <tr key={item._id}>
+                  <td className="px-4 py-2">
+                    <div className="font-medium text-gray-900">{item.name}</div>
+                    {item.partNumber && <div className="text-xs text-gray-500">PN: {item.partNumber}</div>}
+                  </td>
+                  <td className="px-4 py-2 text-sm">
+                    {item.workOrder ? (
+                      <Link to={`/work-orders/${item.workOrder._id}`} className="text-primary-600 hover:text-primary-800">
+                        {describeWorkOrder(item.workOrder)}
+                      </Link>
+                    ) : (
+                      <span className="text-gray-500">Stock</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-right text-sm">{item.quantityOrdered}</td>
+                  <td className="px-4 py-2 text-right text-sm">{item.quantityReceived}</td>
+                  <td className="px-4 py-2 text-right text-sm">{formatCurrency(item.cost)}</td>
+                  <td className="px-4 py-2 text-sm">
+                    {item.quantityReceived >= item.quantityOrdered ? (
+                      <span className="text-green-700">Received</span>
+                    ) : item.backordered ? (
+                      <span className="text-orange-700">
+                        Backordered{item.expectedDate && ` until ${formatExpectedDate(item.expectedDate)}`}
+                      </span>
+                    ) : item.quantityReceived > 0 ? (
+                      <span className="text-yellow-700">{item.quantityOrdered - item.quantityReceived} outstanding</span>
+                    ) : (
+                      <span className="text-gray-500">
+                        {item.expectedDate ? `Expected ${formatExpectedDate(item.expectedDate)}` : 'Waiting'}
+                      </span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </Card>
+
+      {purchaseOrder.receipts?.length > 0 && (
+        <Card title="Deliveries">
+          <ul className="divide-y divide-gray-100">
+            {purchaseOrder.receipts.map(receipt => (
+              <li key={receipt._id} className="py-2 text-sm">
+                <p className="text-gray-900">
+                  {formatDateTimeToET(receipt.receivedAt)}
+                  {receipt.receivedByName && <span className="text-gray-500"> by {receipt.receivedByName}</span>}
+                </p>
+                <p className="text-gray-600">
+                  {receipt.items.map(entry => `${entry.quantity} x ${itemName(entry.item)}`).join(', ')}
+                </p>
+                {receipt.notes && <p className="text-gray-500">{receipt.notes}</p>}
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      <Modal
+        isOpen={orderModalOpen}
+        onClose={() => setOrderModalOpen(false)}
+        title={`Mark ${purchaseOrder.poNumber} as Ordered`}
+        actions={[
+          { label: 'Cancel', variant: 'light', onClick: () => setOrderModalOpen(false) },
+          { label: 'Mark as Ordered', variant: 'primary', onClick: handlePlaceOrder }
+        ]}
+      >
+        <p className="text-sm text-gray-600 mb-4">
+          The parts on this order will show as ordered on their work orders.
+        </p>
+        <Input
+          label="Vendor Order #"
+          name="vendorOrderNumber"
+          value={vendorOrderNumber}
+          onChange={(e) => setVendorOrderNumber(e.target.value)}
+        />
+        <Input
+          label="Expected Delivery"
+          name="expectedDate"
+          type="date"
+          value={expectedDate}
+          onChange={(e) => setExpectedDate(e.target.value)}
+        />
+      </Modal>
+
+      <Modal
+        isOpen={cancelModalOpen}
+        onClose={() => setCancelModalOpen(false)}
+        title={`Cancel ${purchaseOrder.poNumber}`}
+        actions={[
+          { label: 'Keep Order', variant: 'light', onClick: () => setCancelModalOpen(false) },
+          { label: 'Cancel Order', variant: 'danger', onClick: handleCancel }
+        ]}
+      >
+        <p className="text-sm text-gray-600 mb-4">
+          The parts on this order go back to the parts-to-order list.
+        </p>
+        <Input
+          label="Reason"
+          name="cancelReason"
+          value={cancelReason}
+          onChange={(e) => setCancelReason(e.target.value)}
+        />
+      </Modal>
+    </div>
+  );
+};
+
+export default PurchaseOrderDetail;
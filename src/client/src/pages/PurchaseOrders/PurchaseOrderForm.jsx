@@ -0,0 +1,297 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import TextArea from '../../components/common/TextArea';
+import PartsSelector from '../../components/parts/PartsSelector';
+import PurchaseOrderService from '../../services/purchaseOrderService';
+import partService from '../../services/partService';
+import { formatCurrency } from '../../utils/formatters';
+
+const emptyLine = () => ({ part: '', name: '', partNumber: '', quantityOrdered: 1, cost: 0 });
+
+// New stock purchase order. Work order parts are ordered from the Parts to Order list instead.
+const PurchaseOrderForm = () => {
+  const navigate = useNavigate();
+  const [vendor, setVendor] = useState('');
+  const [expectedDate, setExpectedDate] = useState('');
+  const [notes, setNotes] = useState('');
+  const [items, setItems] = useState([emptyLine()]);
+  const [vendors, setVendors] = useState([]);
+  const [partsSelectorOpen, setPartsSelectorOpen] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [info, setInfo] = useState(null);
+
+  useEffect(() => {
+    const fetchVendors = async () => {
+      try {
+        const response = await partService.getVendors();
+        setVendors(response.data.data.vendors);
+      } catch (err) {
+        console.error('Error fetching vendors:', err);
+      }
+    };
+
+    fetchVendors();
+  }, []);
+
+  const updateItem = (index, field, value) => {
+    setItems(prev => prev.map((item, i) => (i === index ? { ...item, [field]: value } : item)));
+  };
+
+  const removeItem = (index) => {
+    setItems(prev => prev.filter((_, i) => i !== index));
+  };
+
+  // Drop the blank starter line once real lines are added
+  const appendItems = (newItems) => {
+    setItems(prev => [...prev.filter(item => item.name), ...newItems]);
+  };
+
+  const handleCatalogPart = async (selectedPart) => {
+    try {
+      const response = await partService.getPart(selectedPart.part);
+      const part = response.data.data.part;
+      if (!vendor) setVendor(part.vendor);
+      appendItems([{
+        part: part._id,
+        name: part.name,
+        partNumber: part.partNumber,
+        quantityOrdered: part.reorderQuantity || 1,
+        cost: part.cost || 0
+      }]);
+    } catch (err) {
+      console.error('Error loading part:', err);
+      setError('Failed to load the selected part.');
+    }
+  };
+
+  // Add every low-stock catalog part from this vendor at its reorder quantity
+  const handleAddLowStock = async () => {
+    if (!vendor) {
+      setError('Enter a vendor first.');
+      return;
+    }
+
+    try {
+      setError(null);
+      const response = await partService.getLowStockParts();
+      const lowStock = response.data.data.parts.filter(part =>
+        part.vendor.toLowerCase() === vendor.trim().toLowerCase() &&
+        !items.some(item => item.part === part._id)
+      );
+
+      if (lowStock.length === 0) {
+        setInfo(`No low-stock parts from ${vendor}.`);
+        return;
+      }
+
+      setInfo(null);
+      appendItems(lowStock.map(part => ({
+        part: part._id,
+        name: part.name,
+        partNumber: part.partNumber,
+        quantityOrdered: part.reorderQuantity || Math.max(part.minimumQuantity - part.quantityOnHand, 1),
+        cost: part.cost || 0
+      })));
+    } catch (err) {
+      console.error('Error fetching low stock parts:', err);
+      setError('Failed to load low-stock parts.');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    const lines = items.filter(item => item.name.trim());
+
+    if (!vendor.trim()) {
+      setError('Vendor is required.');
+      return;
+    }
+    if (lines.length === 0) {
+      setError('Add at least one item.');
+      return;
+    }
+    if (lines.some(item => !(parseInt(item.quantityOrdered, 10) > 0))) {
+      setError('Every item needs a quantity of at least 1.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      const response = await PurchaseOrderService.createPurchaseOrder({
+        vendor: vendor.trim(),
+        expectedDate: expectedDate || undefined,
+        notes,
+        items: lines.map(item => ({
+          part: item.part || undefined,
+          name: item.name.trim(),
+          partNumber: item.partNumber,
+          quantityOrdered: parseInt(item.quantityOrdered, 10),
+          cost: parseFloat(item.cost) || 0
+        }))
+      });
+      navigate(`/purchase-orders/${response.data.purchaseOrder._id}`);
+    } catch (err) {
+      console.error('Error creating purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to create purchase order.');
+      setSaving(false);
+    }
+  };
+
+  const total = items.reduce((sum, item) => sum + (parseFloat(item.cost) || 0) * (parseInt(item.quantityOrdered, 10) || 0), 0);
+
+  return (
+    <div className="container mx-auto">
+      <div className="mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">New Purchase Order</h1>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {info && (
+        <div className="bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded mb-4">
+          {info}
+        </div>
+      )}
+
+      <form onSubmit={handleSubmit}>
+        <Card title="Order" className="mb-6">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-x-4">
+            <Input
+              label="Vendor"
+              name="vendor"
+              value={vendor}
+              onChange={(e) => setVendor(e.target.value)}
+              list="po-vendors-list"
+              required
+            />
+            <datalist id="po-vendors-list">
+              {vendors.map(name => <option key={name} value={name} />)}
+            </datalist>
+            <Input
+              label="Expected Delivery"
+              name="expectedDate"
+              type="date"
+              value={expectedDate}
+              onChange={(e) => setExpectedDate(e.target.value)}
+            />
+          </div>
+          <TextArea
+            label="Notes"
+            name="notes"
+            rows={2}
+            value={notes}
+            onChange={(e) => setNotes(e.target.value)}
+          />
+        </Card>
+
+        <Card
+          title="Items"
+          className="mb-6"
+          headerActions={
+            <div className="flex flex-wrap gap-2">
+              <Button type="button" variant="outline" size="sm" onClick={handleAddLowStock}>
+                Add Low-Stock Parts
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={() => setPartsSelectorOpen(true)}>
+                Add From Catalog
+              </Button>
+              <Button type="button" variant="outline" size="sm" onClick={() => setItems(prev => [...prev, emptyLine()])}>
+                Add Line
+              </Button>
+            </div>
+          }
+        >
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="py-1 pr-2 font-medium">Part</th>
+                  <th className="py-1 pr-2 font-medium">Part #</th>
+                  <th className="py-1 pr-2 font-medium w-24">Qty</th>
+                  <th className="py-1 pr-2 font-medium w-32">Unit Cost</th>
+                  <th className="py-1"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {items.map((item, index) => (
+                  <tr key={index}>
+                    <td className="pr-2">
+                      <Input
+                        name={`itemName${index}`}
+                        value={item.name}
+                        onChange={(e) => updateItem(index, 'name', e.target.value)}
+                        disabled={!!item.part}
+                        placeholder="Part name"
+                      />
+                    </td>
+                    <td className="pr-2">
+                      <Input
+                        name={`itemPartNumber${index}`}
+                        value={item.partNumber}
+                        onChange={(e) => updateItem(index, 'partNumber', e.target.value)}
+                        disabled={!!item.part}
+                      />
+                    </td>
+                    <td className="pr-2">
+                      <Input
+                        name={`itemQuantity${index}`}
+                        type="number"
+                        min="1"
+                        step="1"
+                        value={item.quantityOrdered}
+                        onChange={(e) => updateItem(index, 'quantityOrdered', e.target.value)}
+                      />
+                    </td>
+                    <td className="pr-2">
+                      <Input
+                        name={`itemCost${index}`}
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        value={item.cost}
+                        onChange={(e) => updateItem(index, 'cost', e.target.value)}
+                      />
+                    </td>
+                    <td className="text-right">
+                      <button type="button" className="text-red-600 hover:text-red-800 text-xs" onClick={() => removeItem(index)}>
+                        Remove
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          <p className="mt-2 text-right text-sm font-medium text-gray-900">Total: {formatCurrency(total)}</p>
+        </Card>
+
+        <div className="flex justify-end space-x-3">
+          <Button type="button" variant="light" onClick={() => navigate('/purchase-orders')}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={saving}>
+            {saving ? 'Saving...' : 'Create Draft'}
+          </Button>
+        </div>
+      </form>
+
+      {partsSelectorOpen && (
+        <PartsSelector
+          onPartSelect={handleCatalogPart}
+          onClose={() => setPartsSelectorOpen(false)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default PurchaseOrderForm;
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import SelectInput from '../../components/common/SelectInput';
+import PurchaseOrderStatusBadge from '../../components/purchaseOrders/PurchaseOrderStatusBadge';
+import PurchaseOrderService from '../../services/purchaseOrderService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency, formatDate } from '../../utils/formatters';
+
+const STATUS_FILTERS = [
+  { value: 'open', label: 'Open (Ordered / Partially Received)' },
+  { value: 'Draft', label: 'Draft' },
+  { value: 'Received', label: 'Received' },
+  { value: 'Cancelled', label: 'Cancelled' },
+  { value: 'all', label: 'All Purchase Orders' }
+];
+
+// Expected dates are calendar dates, stored as UTC midnight
+const formatExpectedDate = (date) => formatDate(date, { month: 'short', timeZone: 'UTC' });
+
+const PurchaseOrderList = () => {
+  const [purchaseOrders, setPurchaseOrders] = useState([]);
+  const [unorderedParts, setUnorderedParts] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('open');
+  const [loading, setLoading] = useState(true);
+  const [creatingVendor, setCreatingVendor] = useState(null);
+  const [error, setError] = useState(null);
+  const { can } = useAuth();
+  const navigate = useNavigate();
+
+  useEffect(() => {
+    fetchPurchaseOrders();
+  }, [statusFilter]);
+
+  useEffect(() => {
+    fetchUnorderedParts();
+  }, []);
+
+  const fetchPurchaseOrders = async () => {
+    try {
+      setLoading(true);
+      const filters = {};
+      if (statusFilter === 'open') filters.open = 'true';
+      else if (statusFilter !== 'all') filters.status = statusFilter;
+
+      const response = await PurchaseOrderService.getAllPurchaseOrders(filters);
+      setPurchaseOrders(response.data.purchaseOrders);
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching purchase orders:', err);
+      setError('Failed to load purchase orders. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const fetchUnorderedParts = async () => {
+    try {
+      const response = await PurchaseOrderService.getUnorderedParts();
+      setUnorderedParts(response.data.vendors);
+    } catch (err) {
+      console.error('Error fetching unordered parts:', err);
+    }
+  };
+
+  // Start a draft purchase order with every unordered work order part for a vendor
+  const handleCreateForVendor = async (group) => {
+    try {
+      setCreatingVendor(group.vendor);
+      const response = await PurchaseOrderService.createPurchaseOrder({
+        vendor: group.vendor,
+        items: group.parts.map(part => ({
+          workOrder: part.workOrder._id,
+          workOrderPart: part.workOrderPart,
+          quantityOrdered: part.quantity
+        }))
+      });
+      navigate(`/purchase-orders/${response.data.purchaseOrder._id}`);
+    } catch (err) {
+      console.error('Error creating purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to create purchase order.');
+      setCreatingVendor(null);
+    }
+  };
+
+  const describeWorkOrder = (workOrder) => {
+    const vehicle = workOrder.vehicle
+      ? `${workOrder.vehicle.year || ''} ${workOrder.vehicle.make || ''} ${workOrder.vehicle.model || ''}`.trim()
+      : '';
+    return [workOrder.customer?.name, vehicle].filter(Boolean).join(' - ') || 'Work Order';
+  };
+
+  return (
+    <div className="container mx-auto">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold text-gray-800">Purchase Orders</h1>
+        {can('purchaseOrders', 'create') && (
+          <Button to="/purchase-orders/new" variant="primary">
+            New Purchase Order
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {unorderedParts.length > 0 && (
+        <Card title="Parts to Order" className="mb-6">
+          <div className="space-y-4">
+            {unorderedParts.map(group => (
+              <div key={group.vendor || 'no-vendor'} className="border border-gray-200 rounded-lg p-4">
+                <div className="flex justify-between items-center mb-2">
+                  <h3 className="font-medium text-gray-900">
+                    {group.vendor || 'No vendor assigned'}
+                    <span className="ml-2 text-sm text-gray-500">
+                      {group.parts.length} part{group.parts.length === 1 ? '' : 's'}
+                    </span>
+                  </h3>
+                  {group.vendor && can('purchaseOrders', 'create') && (
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      onClick={() => handleCreateForVendor(group)}
+                      disabled={creatingVendor !== null}
+                    >
+                      {creatingVendor === group.vendor ? 'Creating...' : 'Create Purchase Order'}
+                    </Button>
+                  )}
+                </div>
+                {!group.vendor && (
+                  <p className="text-xs text-gray-500 mb-2">
+                    Set a vendor on these parts in the work order before ordering them.
+                  </p>
+                )}
+                <ul className="text-sm text-gray-700 divide-y divide-gray-100">
+                  {group.parts.map(part => (
+                    <li key={part.workOrderPart} className="py-1 flex justify-between">
+                      <span>
+                        {part.quantity} x {part.name}
+                        {part.partNumber && <span className="text-gray-500"> ({part.partNumber})</span>}
+                      </span>
+                      <Link to={`/work-orders/${part.workOrder._id}`} className="text-primary-600 hover:text-primary-800">
+                        {describeWorkOrder(part.workOrder)}
+                      </Link>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
+      <Card>
+        <div className="mb-4 max-w-sm">
+          <SelectInput
+            name="status"
+            options={STATUS_FILTERS}
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          />
+        </div>
+
+        {loading ? (
+          <div className="flex justify-center items-center h-48">
+            <p>Loading purchase orders...</p>
+          </div>
+        ) : purchaseOrders.length === 0 ? (
+          <div className="text-center py-6 text-gray-500">
+            <p>No purchase orders found.</p>
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">PO #</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Vendor</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Status</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Items</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Total</th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">Expected</th>
+                  <th className="px-6 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">Actions</th>
+                </tr>
+              </thead>
+              <tbody className="bg-white divide-y divide-gray-200">
+                {purchaseOrders.map(purchaseOrder => (
+                  <tr key={purchaseOrder._id} className="hover:bg-gray-50">
+                    <td className="px-6 py-4 whitespace-nowrap font-medium text-gray-900">
+                      {purchaseOrder.poNumber}
+                      {purchaseOrder.vendorOrderNumber && (
+                        <div className="text-xs text-gray-500">Vendor #{purchaseOrder.vendorOrderNumber}</div>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{purchaseOrder.vendor}</td>
+                    <td className="px-6 py-4 whitespace-nowrap">
+                      <PurchaseOrderStatusBadge status={purchaseOrder.status} />
+                      {purchaseOrder.hasBackorders && (
+                        <span className="ml-1 inline-block px-2 py-1 text-xs rounded-full bg-orange-100 text-orange-800">
+                          Backordered
+                        </span>
+                      )}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {purchaseOrder.items.reduce((total, item) => total + item.quantityReceived, 0)}
+                      {' / '}
+                      {purchaseOrder.items.reduce((total, item) => total + item.quantityOrdered, 0)} received
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">{formatCurrency(purchaseOrder.total)}</td>
+                    <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
+                      {purchaseOrder.expectedDate ? formatExpectedDate(purchaseOrder.expectedDate) : '-'}
+                    </td>
+                    <td className="px-6 py-4 whitespace-nowrap text-right text-sm font-medium">
+                      <div className="flex justify-end space-x-2">
+                        <Button to={`/purchase-orders/${purchaseOrder._id}`} variant="outline" size="sm">
+                          View
+                        </Button>
+                        {['Ordered', 'Partially Received'].includes(purchaseOrder.status) && can('purchaseOrders', 'update') && (
+                          <Button to={`/purchase-orders/${purchaseOrder._id}/receive`} variant="primary" size="sm">
+                            Receive
+                          </Button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default PurchaseOrderList;
@@ -0,0 +1,282 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import TextArea from '../../components/common/TextArea';
+import PurchaseOrderStatusBadge from '../../components/purchaseOrders/PurchaseOrderStatusBadge';
+import PurchaseOrderService from '../../services/purchaseOrderService';
+import WorkOrderService from '../../services/workOrderService';
+
+// Receive screen: enter what arrived for each line; anything short can be flagged as backordered
+const PurchaseOrderReceive = () => {
+  const { id } = useParams();
+  const [purchaseOrder, setPurchaseOrder] = useState(null);
+  const [lines, setLines] = useState({});
+  const [notes, setNotes] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const [suggestions, setSuggestions] = useState([]);
+  const [movedWorkOrders, setMovedWorkOrders] = useState([]);
+
+  useEffect(() => {
+    fetchPurchaseOrder();
+  }, [id]);
+
+  // One editable line per item still waiting on a delivery
+  const buildLines = (order) => {
+    const nextLines = {};
+    order.items
+      .filter(item => item.quantityReceived < item.quantityOrdered)
+      .forEach(item => {
+        nextLines[item._id] = {
+          quantity: item.quantityOrdered - item.quantityReceived,
+          backordered: item.backordered || false,
+          expectedDate: item.expectedDate ? item.expectedDate.slice(0, 10) : ''
+        };
+      });
+    return nextLines;
+  };
+
+  const fetchPurchaseOrder = async () => {
+    try {
+      setLoading(true);
+      const response = await PurchaseOrderService.getPurchaseOrder(id);
+      setPurchaseOrder(response.data.purchaseOrder);
+      setLines(buildLines(response.data.purchaseOrder));
+      setError(null);
+    } catch (err) {
+      console.error('Error fetching purchase order:', err);
+      setError('Failed to load purchase order. Please try again later.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const updateLine = (itemId, field, value) => {
+    setLines(prev => ({
+      ...prev,
+      [itemId]: { ...prev[itemId], [field]: value }
+    }));
+  };
+
+  const handleReceive = async () => {
+    try {
+      setSaving(true);
+      setError(null);
+      setSuccess(null);
+
+      const items = Object.entries(lines).map(([item, line]) => ({
+        item,
+        quantity: parseInt(line.quantity, 10) || 0,
+        backordered: line.backordered,
+        expectedDate: line.expectedDate
+      }));
+
+      const response = await PurchaseOrderService.receivePurchaseOrder(id, { items, notes });
+      setPurchaseOrder(response.data.purchaseOrder);
+      setLines(buildLines(response.data.purchaseOrder));
+      setSuggestions(response.data.suggestions || []);
+      setNotes('');
+      setSuccess(response.data.purchaseOrder.status === 'Received'
+        ? 'All items on this order have been received.'
+        : 'Delivery recorded. Outstanding items stay on the order.');
+    } catch (err) {
+      console.error('Error receiving purchase order:', err);
+      setError(err.response?.data?.message || 'Failed to record delivery.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMoveToPartsReceived = async (workOrderId) => {
+    try {
+      await WorkOrderService.updateStatus(workOrderId, 'Parts Received', {
+        note: `All parts received (${purchaseOrder.poNumber})`
+      });
+      setMovedWorkOrders(prev => [...prev, workOrderId]);
+    } catch (err) {
+      console.error('Error updating work order status:', err);
+      setError(err.response?.data?.message || 'Failed to update work order status.');
+    }
+  };
+
+  const describeWorkOrder = (workOrder) => {
+    const vehicle = workOrder.vehicle
+      ? `${workOrder.vehicle.year || ''} ${workOrder.vehicle.make || ''} ${workOrder.vehicle.model || ''}`.trim()
+      : '';
+    return [workOrder.customer?.name, vehicle].filter(Boolean).join(' - ') || 'Work Order';
+  };
+
+  if (loading) {
+    return (
+      <div className="container mx-auto flex justify-center items-center h-48">
+        <p>Loading purchase order...</p>
+      </div>
+    );
+  }
+
+  if (!purchaseOrder) {
+    return (
+      <div className="container mx-auto">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error || 'Purchase order not found.'}
+        </div>
+      </div>
+    );
+  }
+
+  const outstandingItems = purchaseOrder.items.filter(item => item.quantityReceived < item.quantityOrdered);
+  const canReceive = ['Ordered', 'Partially Received'].includes(purchaseOrder.status);
+
+  return (
+    <div className="container mx-auto">
+      <div className="flex flex-wrap justify-between items-center gap-2 mb-6">
+        <div>
+          <h1 className="text-2xl font-bold text-gray-800">
+            Receive {purchaseOrder.poNumber}
+            <span className="ml-3 align-middle"><PurchaseOrderStatusBadge status={purchaseOrder.status} /></span>
+          </h1>
+          <p className="text-gray-600">{purchaseOrder.vendor}</p>
+        </div>
+        <Button to={`/purchase-orders/${id}`} variant="light">Back to Order</Button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+      {success && (
+        <div className="bg-green-100 border border-green-400 text-green-700 px-4 py-3 rounded mb-4">
+          {success}
+        </div>
+      )}
+
+      {suggestions.length > 0 && (
+        <Card title="Work Orders Ready" className="mb-6">
+          <p className="text-sm text-gray-600 mb-3">
+            Every part on these work orders has now been received.
+          </p>
+          <ul className="divide-y divide-gray-100">
+            {suggestions.map(({ workOrder, suggestedStatus }) => (
+              <li key={workOrder._id} className="py-2 flex flex-wrap justify-between items-center gap-2">
+                <div className="text-sm">
+                  <Link to={`/work-orders/${workOrder._id}`} className="text-primary-600 hover:text-primary-800 font-medium">
+                    {describeWorkOrder(workOrder)}
+                  </Link>
+                  <span className="text-gray-500"> &middot; {workOrder.status}</span>
+                </div>
+                {movedWorkOrders.includes(workOrder._id) ? (
+                  <span className="text-sm text-green-700">Moved to {suggestedStatus}</span>
+                ) : (
+                  <Button variant="success" size="sm" onClick={() => handleMoveToPartsReceived(workOrder._id)}>
+                    Move to {suggestedStatus}
+                  </Button>
+                )}
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
+      <Card title="Items">
+        {!canReceive || outstandingItems.length === 0 ? (
+          <p className="text-center py-6 text-gray-500">
+            {purchaseOrder.status === 'Draft'
+              ? 'This order has not been placed yet.'
+              : 'Nothing left to receive on this order.'}
+          </p>
+        ) : (
+          <>
+            <div className="overflow-x-auto">
+              <table className="min-w-full divide-y divide-gray-200">
+                <thead className="bg-gray-50">
+                  <tr>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Part</th>
+                    <th className="px-4 py-2 text-right text-xs font-medium text-gray-500 uppercase">Outstanding</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Receiving Now</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Backordered</th>
+                    <th className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">Expected</th>
+                  </tr>
+                </thead>
+                <tbody className="bg-white divide-y divide-gray-200">
+                  {outstandingItems.map(item => {
+                    const line = lines[item._id] || {};
+                    const outstanding = item.quantityOrdered - item.quantityReceived;
+                    const shortShipped = (parseInt(line.quantity, 10) || 0) < outstanding;
+
+                    return (
+                      <tr key={item._id}>
+                        <td className="px-4 py-2">
+                          <div className="font-medium text-gray-900">{item.name}</div>
+                          {item.partNumber && <div className="text-xs text-gray-500">PN: {item.partNumber}</div>}
+                          {item.workOrder && (
+                            <div className="text-xs text-gray-500">For {describeWorkOrder(item.workOrder)}</div>
+                          )}
+                        </td>
+                        <td className="px-4 py-2 text-right text-sm">{outstanding}</td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="number"
+                            min="0"
+                            max={outstanding}
+                            step="1"
+                            value={line.quantity}
+                            onChange={(e) => updateLine(item._id, 'quantity', e.target.value)}
+                            className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                          />
+                        </td>
+                        <td className="px-4 py-2">
+                          <label className="flex items-center text-sm text-gray-700">
+                            <input
+                              type="checkbox"
+                              checked={line.backordered || false}
+                              disabled={!shortShipped}
+                              onChange={(e) => updateLine(item._id, 'backordered', e.target.checked)}
+                              className="mr-2 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                            />
+                            Rest backordered
+                          </label>
+                        </td>
+                        <td className="px-4 py-2">
+                          <input
+                            type="date"
+                            value={line.expectedDate || ''}
+                            disabled={!shortShipped}
+                            onChange={(e) => updateLine(item._id, 'expectedDate', e.target.value)}
+                            className="px-2 py-1 border border-gray-300 rounded-md"
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="mt-4">
+              <TextArea
+                label="Delivery Notes"
+                name="notes"
+                rows={2}
+                value={notes}
+                onChange={(e) => setNotes(e.target.value)}
+                placeholder="Packing slip number, damaged boxes, etc."
+              />
+            </div>
+
+            <div className="mt-4 flex justify-end">
+              <Button variant="primary" onClick={handleReceive} disabled={saving}>
+                {saving ? 'Saving...' : 'Record Delivery'}
+              </Button>
+            </div>
+          </>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default PurchaseOrderReceive;
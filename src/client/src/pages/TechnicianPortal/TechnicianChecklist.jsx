@@ -2,149 +2,194 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
+import SelectInput from '../../components/common/SelectInput';
+import { ITEM_STATUS_OPTIONS } from '../../components/inspections/InspectionResults';
 import WorkOrderService from '../../services/workOrderService';
-import VehicleService from '../../services/vehicleService';
-import workOrderNotesService from '../../services/workOrderNotesService';
-import { getTodayForInput } from '../../utils/formatters';
+import InspectionService from '../../services/inspectionService';
+import MediaService from '../../services/mediaService';
+
+// Editable copy of the inspection items, keyed by item id
+const toItemState = (inspection) => inspection.items.reduce((state, item) => ({
+  ...state,
+  [item._id]: {
+    status: item.status || '',
+    notes: item.notes || '',
+    measurements: item.measurements.map(measurement => ({
+      label: measurement.label,
+      unit: measurement.unit,
+      value: measurement.value ?? ''
+    }))
+  }
+}), {});
 
 const TechnicianChecklist = () => {
   const { id } = useParams();
   const navigate = useNavigate();
   const [workOrder, setWorkOrder] = useState(null);
+  const [inspection, setInspection] = useState(null);
+  const [templates, setTemplates] = useState([]);
+  const [measurementTypes, setMeasurementTypes] = useState({});
+  const [selectedTemplate, setSelectedTemplate] = useState('');
+  const [items, setItems] = useState({});
+  const [mileage, setMileage] = useState('');
+  const [summary, setSummary] = useState('');
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [submitting, setSubmitting] = useState(false);
-
-  // Checklist state
-  const [checklist, setChecklist] = useState({
-    currentMileage: {
-      completed: false,
-      value: '',
-      required: true
-    }
-  });
-
-  // Vehicle inspection checklist
-  const [vehicleInspection, setVehicleInspection] = useState({
-    engineOil: { status: '', required: true },
-    engineCoolant: { status: '', required: true },
-    brakeFluidLevel: { status: '', required: true },
-    frontBrakes: { status: '', required: true },
-    rearBrakes: { status: '', required: true },
-    frontTires: { status: '', depth: '', required: true },
-    rearTires: { status: '', depth: '', required: true }
-  });
+  const [savingProgress, setSavingProgress] = useState(false);
+  const [uploadingItem, setUploadingItem] = useState(null);
 
   useEffect(() => {
-    fetchWorkOrder();
+    fetchData();
   }, [id]); // eslint-disable-line react-hooks/exhaustive-deps
 
-  const fetchWorkOrder = async () => {
+  const loadInspection = (loaded, fetchedWorkOrder) => {
+    setInspection(loaded);
+    setItems(toItemState(loaded));
+    setSummary(loaded.summary || '');
+    const knownMileage = loaded.mileage ?? fetchedWorkOrder.vehicle?.currentMileage;
+    setMileage(knownMileage ? knownMileage.toString() : '');
+  };
+
+  const fetchData = async () => {
     try {
       setLoading(true);
-      const response = await WorkOrderService.getWorkOrder(id);
-      const fetchedWorkOrder = response.data.workOrder;
+      const [workOrderResponse, inspectionsResponse, templatesResponse] = await Promise.all([
+        WorkOrderService.getWorkOrder(id),
+        InspectionService.getInspections({ workOrder: id }),
+        InspectionService.getTemplates({ active: 'true' })
+      ]);
+      const fetchedWorkOrder = workOrderResponse.data.workOrder;
+      const inspections = inspectionsResponse.data.inspections;
+      const activeTemplates = templatesResponse.data.templates;
       setWorkOrder(fetchedWorkOrder);
-      
-      // Check if checklist has already been completed for this work order
-      try {
-        const notesResponse = await workOrderNotesService.getNotes(id);
-        const notes = notesResponse?.data?.notes || [];
-        
-        // Look for a vehicle inspection checklist note
-        const hasInspectionChecklist = notes.some(note => 
-          note.content && note.content.includes('Vehicle Inspection Checklist:')
-        );
-        
-        if (hasInspectionChecklist) {
-          // Checklist already completed, redirect to work order detail
-          console.log('Checklist already completed for this work order, redirecting...');
-          navigate(`/technician-portal/work-orders/${id}`);
-          return;
-        }
-      } catch (notesErr) {
-        console.warn('Could not check for existing checklist, proceeding with checklist:', notesErr);
+      setTemplates(activeTemplates);
+      setMeasurementTypes(templatesResponse.data.measurementTypes);
+
+      // Inspection already done for this work order - go straight to the work
+      if (inspections.some(entry => entry.status === 'Completed')) {
+        navigate(`/technician-portal/work-orders/${id}`);
+        return;
       }
-      
-      // Pre-populate current mileage if available
-      if (fetchedWorkOrder.vehicle?.currentMileage) {
-        setChecklist(prev => ({
-          ...prev,
-          currentMileage: {
-            ...prev.currentMileage,
-            value: fetchedWorkOrder.vehicle.currentMileage.toString()
-          }
-        }));
+
+      const inProgress = inspections.find(entry => entry.status === 'In Progress');
+      if (inProgress) {
+        loadInspection(inProgress, fetchedWorkOrder);
+      } else if (activeTemplates.length === 1) {
+        const response = await InspectionService.createInspection(id, activeTemplates[0]._id);
+        loadInspection(response.data.inspection, fetchedWorkOrder);
+      } else {
+        const defaultTemplate = activeTemplates.find(template => template.isDefault) || activeTemplates[0];
+        setSelectedTemplate(defaultTemplate ? defaultTemplate._id : '');
       }
     } catch (err) {
-      console.error('Error fetching work order:', err);
+      console.error('Error loading inspection:', err);
       setError('Failed to load work order details. Please try again later.');
     } finally {
       setLoading(false);
     }
   };
 
-  const handleChecklistChange = (item, field, value) => {
-    setChecklist(prev => ({
-      ...prev,
-      [item]: {
-        ...prev[item],
-        [field]: value,
-        // Auto-complete if value is entered and it's not the note field
-        completed: field === 'value' ? !!value.trim() : 
-                  field === 'note' ? prev[item].completed :
-                  field === 'completed' ? value : prev[item].completed
-      }
-    }));
+  const handleStartInspection = async () => {
+    try {
+      setLoading(true);
+      const response = await InspectionService.createInspection(id, selectedTemplate);
+      loadInspection(response.data.inspection, workOrder);
+    } catch (err) {
+      console.error('Error starting inspection:', err);
+      setError(err.response?.data?.message || 'Failed to start inspection.');
+    } finally {
+      setLoading(false);
+    }
   };
 
+  // Same thresholds as the server: the lowest reading decides
+  const suggestStatus = (measurementType, measurements) => {
+    const thresholds = measurementTypes[measurementType];
+    const values = measurements
+      .map(measurement => parseFloat(measurement.value))
+      .filter(value => !isNaN(value) && value >= 0);
+    if (!thresholds || thresholds.urgentAt === undefined || values.length === 0) return '';
+
+    const lowest = Math.min(...values);
+    if (lowest <= thresholds.urgentAt) return 'urgent';
+    if (lowest <= thresholds.attentionAt) return 'attention';
+    return 'good';
+  };
+
+  const updateItem = (itemId, changes) => {
+    setItems(prev => ({ ...prev, [itemId]: { ...prev[itemId], ...changes } }));
+  };
 
-  // Function to correlate tire depth with condition
-  const getTireConditionFromDepth = (depth) => {
-    const numericDepth = parseFloat(depth);
-    if (isNaN(numericDepth) || numericDepth < 0) return '';
-    
-    if (numericDepth <= 3) {
-      return 'Replace ASAP';
-    } else if (numericDepth < 6) {
-      return 'Replace Soon';
-    } else {
-      return 'Good Condition';
+  const handleMeasurementChange = (item, index, value) => {
+    const measurements = items[item._id].measurements.map((measurement, i) =>
+      (i === index ? { ...measurement, value } : measurement)
+    );
+    const suggested = suggestStatus(item.measurementType, measurements);
+    updateItem(item._id, { measurements, ...(suggested ? { status: suggested } : {}) });
+  };
+
+  const buildUpdate = () => ({
+    mileage: mileage.trim() ? parseInt(mileage, 10) : '',
+    summary,
+    items: inspection.items.map(item => ({
+      _id: item._id,
+      status: items[item._id].status,
+      notes: items[item._id].notes,
+      measurements: items[item._id].measurements.map(({ label, value }) => ({ label, value }))
+    }))
+  });
+
+  const handlePhotoUpload = async (item, file) => {
+    if (!file) return;
+
+    try {
+      setUploadingItem(item._id);
+      const formData = new FormData();
+      formData.append('file', file);
+      formData.append('workOrder', id);
+      if (workOrder.vehicle?._id) formData.append('vehicle', workOrder.vehicle._id);
+      if (workOrder.customer?._id) formData.append('customer', workOrder.customer._id);
+      formData.append('type', 'Pre-Inspection');
+      formData.append('notes', `Inspection: ${item.name}`);
+
+      const uploadResponse = await MediaService.uploadMedia(formData);
+      const response = await InspectionService.addItemPhoto(inspection._id, item._id, uploadResponse.data.media._id);
+      setInspection(response.data.inspection);
+    } catch (err) {
+      console.error('Error uploading inspection photo:', err);
+      setError('Failed to upload photo. Please try again.');
+    } finally {
+      setUploadingItem(null);
     }
   };
 
-  const handleVehicleInspectionChange = (item, field, value) => {
-    setVehicleInspection(prev => {
-      const updatedItem = { ...prev[item], [field]: value };
-      
-      // If it's a tire and we're updating the depth, auto-set the condition
-      if ((item === 'frontTires' || item === 'rearTires') && field === 'depth') {
-        const autoCondition = getTireConditionFromDepth(value);
-        if (autoCondition) {
-          updatedItem.status = autoCondition;
-        }
-      }
-      
-      return {
-        ...prev,
-        [item]: updatedItem
-      };
-    });
+  const handleRemovePhoto = async (item, photoId) => {
+    try {
+      const response = await InspectionService.removeItemPhoto(inspection._id, item._id, photoId);
+      setInspection(response.data.inspection);
+    } catch (err) {
+      console.error('Error removing inspection photo:', err);
+      setError('Failed to remove photo.');
+    }
   };
 
   const isChecklistComplete = () => {
-    // Check if mileage has a value (since we removed the checkbox)
-    const mileageComplete = checklist.currentMileage.value && checklist.currentMileage.value.trim();
-    
-    const vehicleInspectionComplete = Object.entries(vehicleInspection).every(([key, item]) => {
-      if (!item.required) return true;
-      if (item.status === '') return false;
-      // For tires, also require depth measurement
-      if ((key === 'frontTires' || key === 'rearTires') && item.depth === '') return false;
-      return true;
-    });
-
-    return mileageComplete && vehicleInspectionComplete;
+    if (!inspection || !mileage.trim()) return false;
+    return inspection.items.every(item => !item.required || items[item._id]?.status);
+  };
+
+  const handleSaveProgress = async () => {
+    try {
+      setSavingProgress(true);
+      const response = await InspectionService.updateInspection(inspection._id, buildUpdate());
+      setInspection(response.data.inspection);
+    } catch (err) {
+      console.error('Error saving inspection:', err);
+      setError('Failed to save inspection. Please try again.');
+    } finally {
+      setSavingProgress(false);
+    }
   };
 
   const handleSubmitChecklist = async () => {
@@ -155,45 +200,13 @@ const TechnicianChecklist = () => {
 
     try {
       setSubmitting(true);
-
-      // 1. Update vehicle mileage if provided
-      if (checklist.currentMileage.value && checklist.currentMileage.value.trim()) {
-        await VehicleService.addMileageRecord(workOrder.vehicle._id, {
-          date: getTodayForInput(),
-          mileage: parseInt(checklist.currentMileage.value),
-          notes: `Recorded from Work Order #${workOrder._id.slice(-6)} Pre-Work Checklist`
-        });
-      }
-
-      // 2. Add vehicle inspection checklist as a note
-      const inspectionItems = [];
-      Object.entries(vehicleInspection).forEach(([key, item]) => {
-        if (item.status) {
-          const itemName = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-          let itemText = `${itemName}: ${item.status}`;
-          
-          // Add depth measurement for tires
-          if ((key === 'frontTires' || key === 'rearTires') && item.depth) {
-            itemText += ` (Depth: ${item.depth}/32")`;
-          }
-          
-          inspectionItems.push(itemText);
-        }
-      });
-
-      if (inspectionItems.length > 0) {
-        const inspectionNote = `Vehicle Inspection Checklist:\n\n${inspectionItems.join('\n')}`;
-        await workOrderNotesService.createNote(id, {
-          content: inspectionNote,
-          isCustomerFacing: true // Customer-facing note
-        });
-      }
-
-      // 3. Navigate to work order detail
+      await InspectionService.updateInspection(inspection._id, buildUpdate());
+      // Completing also records the mileage on the vehicle
+      await InspectionService.completeInspection(inspection._id);
       navigate(`/technician-portal/work-orders/${id}`);
     } catch (err) {
       console.error('Error submitting checklist:', err);
-      setError('Failed to submit checklist. Please try again.');
+      setError(err.response?.data?.message || 'Failed to submit checklist. Please try again.');
     } finally {
       setSubmitting(false);
     }
@@ -207,7 +220,7 @@ const TechnicianChecklist = () => {
     );
   }
 
-  if (error) {
+  if (error && !workOrder) {
     return (
       <div className="container mx-auto">
         <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
@@ -233,6 +246,13 @@ const TechnicianChecklist = () => {
     );
   }
 
+  const checkedCount = inspection
+    ? inspection.items.filter(item => items[item._id]?.status).length
+    : 0;
+  const requiredCount = inspection
+    ? inspection.items.filter(item => item.required).length
+    : 0;
+
   return (
     <div className="container mx-auto">
       <div className="mb-6">
@@ -253,14 +273,20 @@ const TechnicianChecklist = () => {
         </p>
       </div>
 
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
       {/* Work Order Summary */}
       <Card title="Work Order Summary" className="mb-6">
         <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
           <div>
             <p className="text-sm text-gray-500">Service</p>
             <p className="font-medium">
-              {workOrder.services && workOrder.services.length > 0 
-                ? workOrder.services[0].description 
+              {workOrder.services && workOrder.services.length > 0
+                ? workOrder.services[0].description
                 : workOrder.serviceRequested || 'No Description'}
             </p>
           </div>
@@ -271,8 +297,8 @@ const TechnicianChecklist = () => {
           <div>
             <p className="text-sm text-gray-500">Vehicle</p>
             <p className="font-medium">
-              {workOrder.vehicle ? 
-                `${workOrder.vehicle.year} ${workOrder.vehicle.make} ${workOrder.vehicle.model}` : 
+              {workOrder.vehicle ?
+                `${workOrder.vehicle.year} ${workOrder.vehicle.make} ${workOrder.vehicle.model}` :
                 'No Vehicle Assigned'
               }
             </p>
@@ -287,12 +313,34 @@ const TechnicianChecklist = () => {
         </div>
       </Card>
 
-      {/* Checklist Items */}
-      <Card title="Required Checklist Items">
-        <div className="space-y-6">
-          {/* Current Mileage */}
-          <div className="border border-gray-200 rounded-lg p-4">
-            <div>
+      {!inspection ? (
+        <Card title="Choose Inspection" className="mb-6">
+          {templates.length === 0 ? (
+            <p className="text-gray-500">No inspection templates are active. Ask an admin to set one up.</p>
+          ) : (
+            <div className="flex flex-wrap items-end gap-3">
+              <div className="w-full sm:w-72">
+                <SelectInput
+                  label="Inspection Template"
+                  name="template"
+                  value={selectedTemplate}
+                  onChange={(e) => setSelectedTemplate(e.target.value)}
+                  options={templates.map(template => ({ value: template._id, label: template.name }))}
+                />
+              </div>
+              <div className="mb-4">
+                <Button variant="primary" onClick={handleStartInspection} disabled={!selectedTemplate}>
+                  Start Inspection
+                </Button>
+              </div>
+            </div>
+          )}
+        </Card>
+      ) : (
+        <>
+          {/* Checklist Items */}
+          <Card title="Required Checklist Items" className="mb-6">
+            <div className="border border-gray-200 rounded-lg p-4">
               <label className="block text-sm font-medium text-gray-900 mb-2">
                 Current Mileage <span className="text-red-500">*</span>
               </label>
@@ -300,8 +348,8 @@ const TechnicianChecklist = () => {
                 <input
                   type="number"
                   placeholder="Enter current mileage"
-                  value={checklist.currentMileage.value}
-                  onChange={(e) => handleChecklistChange('currentMileage', 'value', e.target.value)}
+                  value={mileage}
+                  onChange={(e) => setMileage(e.target.value)}
                   className="w-48 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
                   min="0"
                 />
@@ -316,152 +364,179 @@ const TechnicianChecklist = () => {
                 Record the current odometer reading to track vehicle usage
               </p>
             </div>
-          </div>
+          </Card>
 
-        </div>
-      </Card>
+          {/* Vehicle Inspection */}
+          <Card title={inspection.templateName || 'Vehicle Inspection'} className="mb-6">
+            <div className="space-y-4">
+              {inspection.items.map(item => {
+                const state = items[item._id] || { status: '', notes: '', measurements: [] };
+                const measurementType = measurementTypes[item.measurementType];
 
-      {/* Vehicle Inspection Checklist */}
-      <Card title="Vehicle Inspection Checklist" className="mb-6">
-        <div className="space-y-4">
-          {Object.entries(vehicleInspection).map(([key, item]) => {
-            const displayName = key.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase());
-            const isTire = key === 'frontTires' || key === 'rearTires';
-            
-            return (
-              <div key={key} className="border border-gray-200 rounded-lg p-4">
-                <div className="flex items-center justify-between">
-                  <div className="flex-1">
-                    <h4 className="text-sm font-medium text-gray-900 mb-2">
-                      {displayName} <span className="text-red-500">*</span>
-                    </h4>
-                  </div>
-                  <div className="flex space-x-2">
-                    <button
-                      type="button"
-                      onClick={() => handleVehicleInspectionChange(key, 'status', 'Good Condition')}
-                      className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
-                        item.status === 'Good Condition'
-                          ? 'bg-green-600 text-white shadow-md'
-                          : 'bg-green-100 text-green-800 hover:bg-green-200 border border-green-300'
-                      }`}
-                    >
-                      Good Condition
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => handleVehicleInspectionChange(key, 'status', 'Replace Soon')}
-                      className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
-                        item.status === 'Replace Soon'
-                          ? 'bg-yellow-600 text-white shadow-md'
-                          : 'bg-yellow-100 text-yellow-800 hover:bg-yellow-200 border border-yellow-300'
-                      }`}
-                    >
-                      Replace Soon
-                    </button>
-                    <button
-                      type="button"
-                      onClick={() => handleVehicleInspectionChange(key, 'status', 'Replace ASAP')}
-                      className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
-                        item.status === 'Replace ASAP'
-                          ? 'bg-red-600 text-white shadow-md'
-                          : 'bg-red-100 text-red-800 hover:bg-red-200 border border-red-300'
-                      }`}
-                    >
-                      Replace ASAP
-                    </button>
-                  </div>
-                </div>
-                
-                {/* Tire depth input for tires */}
-                {isTire && (
-                  <div className="mt-3">
-                    <label className="block text-sm font-medium text-gray-700 mb-2">
-                      Tread Depth <span className="text-red-500">*</span>
-                    </label>
-                    <div className="flex items-center space-x-2">
-                      <input
-                        type="number"
-                        placeholder="Enter depth"
-                        value={item.depth}
-                        onChange={(e) => handleVehicleInspectionChange(key, 'depth', e.target.value)}
-                        className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
-                        min="0"
-                        max="32"
-                        step="0.5"
-                      />
-                      <span className="text-sm text-gray-500">/32"</span>
-                      <span className="text-xs text-gray-400">
-                        (0-3/32": Replace ASAP, 4-5/32": Replace Soon, 6+/32": Good Condition)
-                      </span>
+                return (
+                  <div key={item._id} className="border border-gray-200 rounded-lg p-4">
+                    <div className="flex flex-wrap items-center justify-between gap-2">
+                      <div>
+                        <h4 className="text-sm font-medium text-gray-900">
+                          {item.name} {item.required && <span className="text-red-500">*</span>}
+                        </h4>
+                        {item.category && <p className="text-xs text-gray-500">{item.category}</p>}
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        {ITEM_STATUS_OPTIONS.map(option => (
+                          <button
+                            key={option.value}
+                            type="button"
+                            onClick={() => updateItem(item._id, { status: option.value })}
+                            className={`px-4 py-2 text-sm font-medium rounded-md transition-colors ${
+                              state.status === option.value ? `${option.activeClasses} shadow-md` : `${option.classes} border border-gray-200`
+                            }`}
+                          >
+                            {option.label}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {state.measurements.length > 0 && (
+                      <div className="mt-3">
+                        <label className="block text-sm font-medium text-gray-700 mb-2">
+                          {measurementType?.label || 'Measurement'}
+                        </label>
+                        <div className="flex flex-wrap items-center gap-3">
+                          {state.measurements.map((measurement, index) => (
+                            <div key={index} className="flex items-center space-x-2">
+                              {measurement.label && <span className="text-sm text-gray-600">{measurement.label}</span>}
+                              <input
+                                type="number"
+                                value={measurement.value}
+                                onChange={(e) => handleMeasurementChange(item, index, e.target.value)}
+                                className="w-24 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                                min="0"
+                                step="0.5"
+                              />
+                              <span className="text-sm text-gray-500">{measurement.unit}</span>
+                            </div>
+                          ))}
+                        </div>
+                        {measurementType?.urgentAt !== undefined && (
+                          <p className="text-xs text-gray-400 mt-1">
+                            {measurementType.urgentAt}{measurementType.unit} or less: Urgent, {measurementType.attentionAt}{measurementType.unit} or less: Needs Attention
+                          </p>
+                        )}
+                      </div>
+                    )}
+
+                    <textarea
+                      rows={2}
+                      placeholder="Notes for this item (optional)"
+                      value={state.notes}
+                      onChange={(e) => updateItem(item._id, { notes: e.target.value })}
+                      className="mt-3 w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+                    />
+
+                    <div className="mt-2 flex flex-wrap items-center gap-2">
+                      {item.photos.map(photo => (
+                        <div key={photo._id} className="relative">
+                          {photo.url && (
+                            <img src={photo.url} alt={photo.fileName} className="h-16 w-16 object-cover rounded border border-gray-200" />
+                          )}
+                          <button
+                            type="button"
+                            onClick={() => handleRemovePhoto(item, photo._id)}
+                            className="absolute -top-2 -right-2 bg-white rounded-full text-red-600 text-xs px-1 shadow"
+                            title="Remove photo"
+                          >
+                            <i className="fas fa-times"></i>
+                          </button>
+                        </div>
+                      ))}
+                      <label className="cursor-pointer inline-flex items-center px-3 py-2 text-sm border border-gray-300 rounded-md text-gray-700 hover:bg-gray-50">
+                        <i className="fas fa-camera mr-2"></i>
+                        {uploadingItem === item._id ? 'Uploading...' : 'Add Photo'}
+                        <input
+                          type="file"
+                          accept="image/*"
+                          capture="environment"
+                          className="hidden"
+                          disabled={uploadingItem !== null}
+                          onChange={(e) => {
+                            handlePhotoUpload(item, e.target.files[0]);
+                            e.target.value = '';
+                          }}
+                        />
+                      </label>
                     </div>
                   </div>
-                )}
-                
-                {item.status && (
-                  <div className="mt-2">
-                    <span className={`inline-flex items-center px-2 py-1 rounded-full text-xs font-medium ${
-                      item.status === 'Good Condition' ? 'bg-green-100 text-green-800' :
-                      item.status === 'Replace Soon' ? 'bg-yellow-100 text-yellow-800' :
-                      'bg-red-100 text-red-800'
-                    }`}>
-                      Status: {item.status}
-                      {isTire && item.depth && ` - Depth: ${item.depth}/32"`}
-                    </span>
-                  </div>
-                )}
-              </div>
-            );
-          })}
-        </div>
+                );
+              })}
+            </div>
 
-        {/* Progress Summary */}
-        <div className="mt-6 pt-6 border-t border-gray-200">
-          <div className="flex items-center justify-between">
-            <div className="text-sm text-gray-600">
-              <div>
-                Current Mileage: {Object.values(checklist).filter(item => item.completed).length} of {Object.values(checklist).filter(item => item.required).length} completed
-              </div>
-              <div>
-                Vehicle Inspection: {Object.values(vehicleInspection).filter(item => item.status !== '').length} of {Object.values(vehicleInspection).filter(item => item.required).length} completed
-              </div>
+            <div className="mt-6">
+              <label className="block text-sm font-medium text-gray-700 mb-1">
+                Summary for Customer
+              </label>
+              <textarea
+                rows={3}
+                placeholder="Overall findings shown on the customer's inspection report (optional)"
+                value={summary}
+                onChange={(e) => setSummary(e.target.value)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-primary-500 focus:border-primary-500"
+              />
             </div>
-            <div className="flex space-x-3">
-              <Button
-                onClick={() => navigate('/technician-portal')}
-                variant="outline"
-              >
-                Cancel
-              </Button>
-              <Button
-                onClick={handleSubmitChecklist}
-                disabled={!isChecklistComplete() || submitting}
-                variant="primary"
-              >
-                {submitting ? (
-                  <>
-                    <i className="fas fa-spinner fa-spin mr-2"></i>
-                    Processing...
-                  </>
-                ) : (
-                  <>
-                    <i className="fas fa-check mr-2"></i>
-                    Complete Checklist & Continue
-                  </>
-                )}
-              </Button>
+
+            {/* Progress Summary */}
+            <div className="mt-6 pt-6 border-t border-gray-200">
+              <div className="flex flex-wrap items-center justify-between gap-3">
+                <div className="text-sm text-gray-600">
+                  <div>Current Mileage: {mileage.trim() ? 'recorded' : 'required'}</div>
+                  <div>Vehicle Inspection: {checkedCount} of {inspection.items.length} checked ({requiredCount} required)</div>
+                </div>
+                <div className="flex space-x-3">
+                  <Button
+                    onClick={() => navigate('/technician-portal')}
+                    variant="outline"
+                  >
+                    Cancel
+                  </Button>
+                  <Button
+                    onClick={handleSaveProgress}
+                    disabled={savingProgress}
+                    variant="light"
+                  >
+                    {savingProgress ? 'Saving...' : 'Save Progress'}
+                  </Button>
+                  <Button
+                    onClick={handleSubmitChecklist}
+                    disabled={!isChecklistComplete() || submitting}
+                    variant="primary"
+                  >
+                    {submitting ? (
+                      <>
+                        <i className="fas fa-spinner fa-spin mr-2"></i>
+                        Processing...
+                      </>
+                    ) : (
+                      <>
+                        <i className="fas fa-check mr-2"></i>
+                        Complete Checklist & Continue
+                      </>
+                    )}
+                  </Button>
+                </div>
+              </div>
+              {!isChecklistComplete() && (
+                <p className="text-sm text-amber-600 mt-2">
+                  <i className="fas fa-exclamation-triangle mr-1"></i>
+                  Please complete all required items before proceeding
+                </p>
+              )}
             </div>
-          </div>
-          {!isChecklistComplete() && (
-            <p className="text-sm text-amber-600 mt-2">
-              <i className="fas fa-exclamation-triangle mr-1"></i>
-              Please complete all required items before proceeding
-            </p>
-          )}
-        </div>
-      </Card>
+          </Card>
+        </>
+      )}
     </div>
   );
 };
 
-export default TechnicianChecklist;
\ No newline at end of file
+export default TechnicianChecklist;
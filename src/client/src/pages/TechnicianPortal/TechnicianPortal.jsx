@@ -4,28 +4,41 @@ import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import WorkOrderService from '../../services/workOrderService';
 import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET } from '../../utils/formatters';
 
 const TechnicianPortal = () => {
   const navigate = useNavigate();
-  const { user } = useAuth();
+  const { currentUser, technician, can } = useAuth();
   const [inspectionWorkOrders, setInspectionWorkOrders] = useState([]);
   const [repairWorkOrders, setRepairWorkOrders] = useState([]);
+  const [appointments, setAppointments] = useState([]);
+  const [notice, setNotice] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
 
   useEffect(() => {
     fetchAssignedWorkOrders();
-  }, []);
+  }, [technician]); // eslint-disable-line react-hooks/exhaustive-deps
 
   const fetchAssignedWorkOrders = async () => {
     try {
       setLoading(true);
-      // For now, get all work orders - in the future this will be filtered by assigned technician
-      const response = await WorkOrderService.getAllWorkOrders();
-      
-      // Filter work orders assigned to current user (when auth is implemented)
-      // For now, show all work orders
-      const workOrders = response.data.workOrders || [];
+      setNotice(null);
+
+      let workOrders = [];
+      if (technician) {
+        // Only the work assigned to this login's technician profile
+        const response = await WorkOrderService.getMyWorkOrders();
+        workOrders = response.data.workOrders || [];
+        setAppointments(response.data.appointments || []);
+      } else if (can('workOrders', 'create')) {
+        // Office staff without a technician profile see the whole shop
+        const response = await WorkOrderService.getAllWorkOrders();
+        workOrders = response.data.workOrders || [];
+        setNotice('Your login is not linked to a technician profile, so all work orders are shown.');
+      } else {
+        setNotice('Your login is not linked to a technician profile. Ask an admin to link it to see your assigned work.');
+      }
       
       // Filter inspection/diag work orders (only scheduled and in progress, not completed)
       const inspectionStatuses = [
@@ -220,10 +233,16 @@ const TechnicianPortal = () => {
           Technician Portal
         </h1>
         <div className="text-sm text-gray-600">
-          Welcome, {user?.name || 'Technician'}
+          Welcome, {technician?.name || currentUser?.name || 'Technician'}
         </div>
       </div>
 
+      {notice && (
+        <div className="bg-yellow-100 border border-yellow-400 text-yellow-700 px-4 py-3 rounded mb-6">
+          {notice}
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4 mb-6">
         {/* Summary Cards */}
         <Card title="Total Work Orders">
@@ -254,6 +273,28 @@ const TechnicianPortal = () => {
         </Card>
       </div>
 
+      {appointments.length > 0 && (
+        <Card title="Upcoming Appointments" className="mb-6">
+          <ul className="divide-y divide-gray-100">
+            {appointments.map(appointment => (
+              <li key={appointment._id} className="py-3 flex flex-wrap justify-between gap-2">
+                <div>
+                  <p className="font-medium text-gray-900">{appointment.serviceType}</p>
+                  <p className="text-sm text-gray-600">
+                    {appointment.customer?.name || 'Unknown Customer'}
+                    {appointment.vehicle && ` · ${appointment.vehicle.year} ${appointment.vehicle.make} ${appointment.vehicle.model}`}
+                  </p>
+                </div>
+                <div className="text-sm text-gray-600 text-right">
+                  <p>{formatDateTimeToET(appointment.startTime)}</p>
+                  <p className="text-xs">{appointment.status}</p>
+                </div>
+              </li>
+            ))}
+          </ul>
+        </Card>
+      )}
+
       {/* Inspection/Diagnostics Section */}
       <Card title="Inspection & Diagnostics" className="mb-6">
         {inspectionWorkOrders.length === 0 ? (
@@ -9,10 +9,15 @@ import workOrderNotesService from '../../services/workOrderNotesService';
 import MediaService from '../../services/mediaService';
 import FileUpload from '../../components/common/FileUpload';
 import FileList from '../../components/common/FileList';
+import InspectionResults from '../../components/inspections/InspectionResults';
+import TimeClockCard from '../../components/workorder/TimeClockCard';
+import InspectionService from '../../services/inspectionService';
+import { useSettings } from '../../contexts/SettingsContext';
 
 const TechnicianWorkOrderDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { settings } = useSettings();
   const [workOrder, setWorkOrder] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -29,6 +34,10 @@ const TechnicianWorkOrderDetail = () => {
   // File attachment state
   const [attachedFiles, setAttachedFiles] = useState([]);
   const [filesLoading, setFilesLoading] = useState(false);
+  const [downloadingZip, setDownloadingZip] = useState(false);
+
+  // Vehicle inspection for this work order (latest first)
+  const [inspection, setInspection] = useState(null);
 
   useEffect(() => {
     const fetchWorkOrderData = async () => {
@@ -85,11 +94,22 @@ const TechnicianWorkOrderDetail = () => {
     }
   }, [id]);
 
-  // Fetch work order notes and files
+  const fetchInspection = useCallback(async () => {
+    try {
+      const response = await InspectionService.getInspections({ workOrder: id });
+      setInspection(response.data.inspections[0] || null);
+    } catch (err) {
+      console.error('Error fetching inspection:', err);
+      setInspection(null);
+    }
+  }, [id]);
+
+  // Fetch work order notes, files and inspection
   useEffect(() => {
     if (workOrder) {
       fetchNotes();
       fetchAttachedFiles();
+      fetchInspection();
     }
   }, [workOrder, fetchNotes]);
 
@@ -146,16 +166,38 @@ const TechnicianWorkOrderDetail = () => {
 
 
   // File handling functions
-  const handleFileUpload = async (formData) => {
+  // Uploads a batch of files; the result lists any files that could not be stored
+  const handleFileUpload = async (formData, onUploadProgress) => {
     try {
-      await MediaService.uploadMedia(formData);
+      const result = await MediaService.uploadMediaBatch(formData, onUploadProgress);
       await fetchAttachedFiles();
+      return result;
     } catch (error) {
       console.error('File upload failed:', error);
       throw error;
     }
   };
 
+  const handleDownloadZip = async () => {
+    try {
+      setDownloadingZip(true);
+      const zipBlob = await MediaService.downloadWorkOrderZip(workOrder._id);
+      const url = window.URL.createObjectURL(new Blob([zipBlob], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `WorkOrder_${workOrder._id}_Media.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('ZIP download failed:', error);
+      alert('Failed to download the files. Please try again.');
+    } finally {
+      setDownloadingZip(false);
+    }
+  };
+
   const handleFileDelete = async (fileId) => {
     try {
       await MediaService.deleteMedia(fileId);
@@ -166,9 +208,13 @@ const TechnicianWorkOrderDetail = () => {
     }
   };
 
-  const handleFileShare = async (fileId, email) => {
+  const handleFileShare = async (fileId, channel, recipient) => {
     try {
-      await MediaService.shareMediaViaEmail(fileId, email);
+      if (channel === 'SMS') {
+        await MediaService.shareMediaViaSMS(fileId, recipient);
+      } else {
+        await MediaService.shareMediaViaEmail(fileId, recipient);
+      }
       await fetchAttachedFiles();
     } catch (error) {
       console.error('File sharing failed:', error);
@@ -176,6 +222,16 @@ const TechnicianWorkOrderDetail = () => {
     }
   };
 
+  const handleShareRevoke = async (fileId, shareId) => {
+    try {
+      await MediaService.revokeShare(fileId, shareId);
+      await fetchAttachedFiles();
+    } catch (error) {
+      console.error('Share revoke failed:', error);
+      throw error;
+    }
+  };
+
   // Format currency
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat('en-US', {
@@ -214,13 +270,10 @@ const TechnicianWorkOrderDetail = () => {
     const completableStatuses = ['Inspection In Progress', 'Repair In Progress'];
     if (!completableStatuses.includes(workOrder.status)) return false;
     
-    // For inspections, require at least one non-system note
+    // For inspections, require a completed vehicle inspection and at least one non-system note
     if (workOrder.status === 'Inspection In Progress') {
-      const nonSystemNotes = notes.filter(note => 
-        !note.content.includes('Vehicle Inspection Checklist:') && 
-        note.createdBy !== 'System'
-      );
-      return nonSystemNotes.length > 0;
+      const nonSystemNotes = notes.filter(note => note.createdBy !== 'System');
+      return inspection?.status === 'Completed' && nonSystemNotes.length > 0;
     }
     
     // For repairs, no additional requirements
@@ -243,7 +296,7 @@ const TechnicianWorkOrderDetail = () => {
   const handleCompleteService = async () => {
     if (!canCompleteService()) {
       if (workOrder.status === 'Inspection In Progress') {
-        alert('Please add at least one progress note before marking the inspection as complete.');
+        alert('Please complete the vehicle inspection and add at least one progress note before marking the inspection as complete.');
       }
       return;
     }
@@ -309,7 +362,7 @@ const TechnicianWorkOrderDetail = () => {
   }, 0);
   
   const subtotalWithoutTax = partsCost + laborCost;
-  const taxRate = 0.08;
+  const taxRate = (settings.defaultTaxRate || 0) / 100;
   const totalWithTax = subtotalWithoutTax * (1 + taxRate);
 
   return (
@@ -437,7 +490,7 @@ const TechnicianWorkOrderDetail = () => {
                 <span>{formatCurrency(subtotalWithoutTax)}</span>
               </div>
               <div className="flex justify-between font-medium">
-                <span>Tax ({taxRate * 100}%):</span>
+                <span>Tax ({settings.defaultTaxRate || 0}%):</span>
                 <span>{formatCurrency(subtotalWithoutTax * taxRate)}</span>
               </div>
             </div>
@@ -451,6 +504,25 @@ const TechnicianWorkOrderDetail = () => {
 
       {/* Work Order Notes Section */}
       <div className="space-y-6">
+        <TimeClockCard workOrder={workOrder} />
+
+        {(inspection || workOrder.status === 'Inspection In Progress') && (
+          <Card
+            title={`Vehicle Inspection${inspection?.status === 'In Progress' ? ' (In Progress)' : ''}`}
+            headerActions={inspection?.status !== 'Completed' && (
+              <Button to={`/technician-portal/checklist/${id}`} variant="outline" size="sm">
+                {inspection ? 'Continue Inspection' : 'Start Inspection'}
+              </Button>
+            )}
+          >
+            {inspection ? (
+              <InspectionResults inspection={inspection} />
+            ) : (
+              <p className="text-center py-4 text-gray-500">The vehicle inspection has not been started.</p>
+            )}
+          </Card>
+        )}
+
         <Card title="Work Order Notes & Progress">
           <div className="space-y-4">
             {/* Add New Note Form */}
@@ -787,19 +859,31 @@ const TechnicianWorkOrderDetail = () => {
                   Attached Files ({attachedFiles.length})
                 </h4>
                 {attachedFiles.length > 0 && (
-                  <Button
-                    onClick={() => fetchAttachedFiles()}
-                    variant="outline"
-                    size="sm"
-                  >
-                    Refresh
-                  </Button>
+                  <div className="flex space-x-2">
+                    <Button
+                      onClick={handleDownloadZip}
+                      variant="outline"
+                      size="sm"
+                      disabled={downloadingZip}
+                    >
+                      {downloadingZip ? 'Preparing ZIP...' : 'Download All (ZIP)'}
+                    </Button>
+                    <Button
+                      onClick={() => fetchAttachedFiles()}
+                      variant="outline"
+                      size="sm"
+                    >
+                      Refresh
+                    </Button>
+                  </div>
                 )}
               </div>
               <FileList
                 files={attachedFiles}
                 onDelete={handleFileDelete}
                 onShare={handleFileShare}
+                onRevokeShare={handleShareRevoke}
+                onAnnotate={fetchAttachedFiles}
                 loading={filesLoading}
               />
             </div>
@@ -821,10 +905,15 @@ const TechnicianWorkOrderDetail = () => {
                         Inspection Requirements
                       </h4>
                       <p className="text-sm text-blue-700 mt-1">
-                        Before completing the inspection, please add at least one progress note documenting your findings, 
-                        recommendations, or diagnostic results.
+                        Before completing the inspection, please finish the vehicle inspection and add at least one progress
+                        note documenting your findings, recommendations, or diagnostic results.
                       </p>
-                      {!canCompleteService() && (
+                      {inspection?.status !== 'Completed' && (
+                        <p className="text-sm text-red-600 mt-2 font-medium">
+                          ⚠️ Vehicle inspection not completed
+                        </p>
+                      )}
+                      {!notes.some(note => note.createdBy !== 'System') && (
                         <p className="text-sm text-red-600 mt-2 font-medium">
                           ⚠️ Missing required progress note
                         </p>
@@ -0,0 +1,126 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import moment from 'moment-timezone';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import TimeEntryService from '../../services/timeEntryService';
+
+const efficiencyClass = (efficiency) => {
+  if (efficiency === null) return 'text-gray-500';
+  if (efficiency >= 100) return 'text-green-700';
+  if (efficiency >= 80) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+// Billed (flagged) hours vs. clocked hours per technician for a date range
+const TechnicianEfficiencyPage = () => {
+  const [from, setFrom] = useState(moment().startOf('month').format('YYYY-MM-DD'));
+  const [to, setTo] = useState(moment().format('YYYY-MM-DD'));
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const fetchReport = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const response = await TimeEntryService.getEfficiencyReport({ from, to });
+      setReport(response.data);
+    } catch (err) {
+      console.error('Error fetching efficiency report:', err);
+      setError(err.response?.data?.message || 'Failed to load efficiency report.');
+    } finally {
+      setLoading(false);
+    }
+  }, [from, to]);
+
+  useEffect(() => {
+    fetchReport();
+  }, []); // eslint-disable-line react-hooks/exhaustive-deps
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    fetchReport();
+  };
+
+  return (
+    <div className="p-4 md:p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl md:text-3xl font-semibold text-gray-800">Technician Efficiency</h1>
+        <Link to="/technicians" className="px-4 py-2 bg-gray-200 text-gray-800 rounded hover:bg-gray-300">
+          Back to Technicians
+        </Link>
+      </div>
+
+      <Card className="mb-6">
+        <form onSubmit={handleSubmit} className="flex flex-wrap items-end gap-4">
+          <div className="w-44">
+            <Input label="From" name="from" type="date" value={from} onChange={(e) => setFrom(e.target.value)} />
+          </div>
+          <div className="w-44">
+            <Input label="To" name="to" type="date" value={to} onChange={(e) => setTo(e.target.value)} />
+          </div>
+          <div className="mb-4">
+            <Button type="submit" variant="primary" disabled={loading}>Run Report</Button>
+          </div>
+        </form>
+        <p className="text-xs text-gray-500">
+          Billed hours come from labor lines, shared between the technicians who clocked time on them. Efficiency is billed hours divided by worked hours.
+        </p>
+      </Card>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <Card title="Results">
+        {loading ? (
+          <p className="text-center py-4 text-gray-500">Loading report...</p>
+        ) : !report || report.technicians.length === 0 ? (
+          <p className="text-center py-4 text-gray-500">No clocked time in this date range.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500 uppercase tracking-wider">Technician</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase tracking-wider">Work Orders</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase tracking-wider">Worked</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase tracking-wider">Billed</th>
+                  <th className="px-4 py-2 text-right font-medium text-gray-500 uppercase tracking-wider">Efficiency</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200">
+                {report.technicians.map(row => (
+                  <tr key={row.technician || row.name}>
+                    <td className="px-4 py-2 font-medium text-gray-900">{row.name}</td>
+                    <td className="px-4 py-2 text-right">{row.workOrders}</td>
+                    <td className="px-4 py-2 text-right">{row.workedHours.toFixed(2)} hr</td>
+                    <td className="px-4 py-2 text-right">{row.billedHours.toFixed(2)} hr</td>
+                    <td className={`px-4 py-2 text-right font-medium ${efficiencyClass(row.efficiency)}`}>
+                      {row.efficiency === null ? '-' : `${row.efficiency}%`}
+                    </td>
+                  </tr>
+                ))}
+                <tr className="bg-gray-50 font-medium">
+                  <td className="px-4 py-2">Total</td>
+                  <td className="px-4 py-2"></td>
+                  <td className="px-4 py-2 text-right">{report.totals.workedHours.toFixed(2)} hr</td>
+                  <td className="px-4 py-2 text-right">{report.totals.billedHours.toFixed(2)} hr</td>
+                  <td className={`px-4 py-2 text-right ${efficiencyClass(report.totals.efficiency)}`}>
+                    {report.totals.efficiency === null ? '-' : `${report.totals.efficiency}%`}
+                  </td>
+                </tr>
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default TechnicianEfficiencyPage;
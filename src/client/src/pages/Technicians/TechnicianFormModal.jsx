@@ -1,8 +1,12 @@
 import React, { useState, useEffect } from 'react';
 import Input from '../../components/common/Input';
 import TextArea from '../../components/common/TextArea';
+import SelectInput from '../../components/common/SelectInput';
 import Button from '../../components/common/Button';
 import technicianService from '../../services/technicianService';
+import AuthService from '../../services/authService';
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
 const TechnicianFormModal = ({ technician, onClose, onSave }) => {
   const [formData, setFormData] = useState({
@@ -12,11 +16,27 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
     specialization: '',
     hourlyRate: '',
     notes: '',
+    user: '',
     isActive: true,
   });
+  const [shifts, setShifts] = useState([]);
+  const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
 
+  // Login accounts the technician can be linked to
+  useEffect(() => {
+    const fetchUsers = async () => {
+      try {
+        const response = await AuthService.getUsers();
+        setUsers(response.data.users);
+      } catch (err) {
+        console.error('Error fetching users:', err);
+      }
+    };
+    fetchUsers();
+  }, []);
+
   useEffect(() => {
     if (technician) {
       setFormData({
@@ -26,8 +46,10 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
         specialization: technician.specialization || '',
         hourlyRate: technician.hourlyRate || '',
         notes: technician.notes || '',
+        user: technician.user?._id || technician.user || '',
         isActive: technician.isActive !== undefined ? technician.isActive : true,
       });
+      setShifts((technician.shifts || []).map(shift => ({ ...shift })));
     } else {
       // Reset for new technician
       setFormData({
@@ -37,8 +59,10 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
         specialization: '',
         hourlyRate: '',
         notes: '',
+        user: '',
         isActive: true,
       });
+      setShifts([]);
     }
   }, [technician]);
 
@@ -50,6 +74,18 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
     }));
   };
 
+  const updateShift = (index, field, value) => {
+    setShifts(prev => prev.map((shift, i) => (i === index ? { ...shift, [field]: value } : shift)));
+  };
+
+  // New shifts copy the last one onto the next day
+  const addShift = () => {
+    setShifts(prev => {
+      const last = prev[prev.length - 1];
+      return [...prev, last ? { ...last, day: (last.day + 1) % 7 } : { day: 1, start: '08:00', end: '17:00' }];
+    });
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -61,6 +97,11 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
       setLoading(false);
       return;
     }
+    if (shifts.some(shift => !shift.start || !shift.end || shift.end <= shift.start)) {
+      setError('Each shift needs an end time after its start time.');
+      setLoading(false);
+      return;
+    }
     
     // Ensure hourlyRate is a number or empty string (which will be omitted)
     const payload = {
@@ -73,6 +114,11 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
             delete payload[key];
         }
     });
+    payload.shifts = shifts.map(shift => ({ ...shift, day: Number(shift.day) }));
+    // Clearing the login on an existing technician unlinks it
+    if (technician && technician._id && !formData.user) {
+      payload.user = null;
+    }
 
 
     try {
@@ -131,6 +177,21 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
               placeholder="e.g., john.doe@example.com"
             />
           </div>
+          <div className="mb-4">
+            <SelectInput
+              label="Login Account"
+              name="user"
+              value={formData.user}
+              onChange={handleChange}
+              options={[
+                { value: '', label: 'Not linked' },
+                ...users.map(user => ({ value: user._id, label: `${user.name} (${user.email})` }))
+              ]}
+            />
+            <p className="text-xs text-gray-500 -mt-3">
+              The technician portal, time clock, notes and feedback use this login
+            </p>
+          </div>
           <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
             <Input
               label="Specialization"
@@ -161,6 +222,50 @@ const TechnicianFormModal = ({ technician, onClose, onSave }) => {
             />
           </div>
           
+          <div className="mb-4">
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-sm font-medium text-gray-700">Weekly Shifts</h3>
+              <Button type="button" variant="outline" size="sm" onClick={addShift}>
+                <i className="fas fa-plus mr-1"></i>Add Shift
+              </Button>
+            </div>
+            {shifts.length === 0 ? (
+              <p className="text-xs text-gray-500">No shifts set. This technician can be booked during the shop's business hours.</p>
+            ) : (
+              <div className="space-y-2">
+                {shifts.map((shift, index) => (
+                  <div key={index} className="flex items-center gap-2">
+                    <select
+                      value={shift.day}
+                      onChange={(e) => updateShift(index, 'day', Number(e.target.value))}
+                      className="flex-1 px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    >
+                      {DAYS_OF_WEEK.map((day, dayIndex) => (
+                        <option key={day} value={dayIndex}>{day}</option>
+                      ))}
+                    </select>
+                    <input
+                      type="time"
+                      value={shift.start}
+                      onChange={(e) => updateShift(index, 'start', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    />
+                    <span className="text-gray-500 text-sm">to</span>
+                    <input
+                      type="time"
+                      value={shift.end}
+                      onChange={(e) => updateShift(index, 'end', e.target.value)}
+                      className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+                    />
+                    <button type="button" onClick={() => setShifts(prev => prev.filter((_, i) => i !== index))} className="px-1 text-red-600" title="Remove shift">
+                      <i className="fas fa-trash"></i>
+                    </button>
+                  </div>
+                ))}
+              </div>
+            )}
+          </div>
+
           {technician && ( // Only show isActive toggle when editing
             <div className="mb-6">
               <label className="flex items-center">
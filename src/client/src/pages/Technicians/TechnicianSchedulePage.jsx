@@ -0,0 +1,264 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import moment from 'moment-timezone';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import Input from '../../components/common/Input';
+import SelectInput from '../../components/common/SelectInput';
+import technicianService from '../../services/technicianService';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatDateTimeToET, getShopTimezone } from '../../utils/formatters';
+
+const EMPTY_TIME_OFF = { technician: '', type: 'Vacation', start: '', end: '', reason: '' };
+
+// Hours left to book in a day's open windows
+const openHours = (day) => day.windows.reduce(
+  (total, window) => total + moment(window.end).diff(moment(window.start), 'minutes') / 60,
+  0
+);
+
+// Weekly roster of technician shifts, time off and holidays
+const TechnicianSchedulePage = () => {
+  const { can } = useAuth();
+  const [weekStart, setWeekStart] = useState(moment.tz(getShopTimezone()).startOf('week'));
+  const [technicians, setTechnicians] = useState([]);
+  const [schedules, setSchedules] = useState({});
+  const [timeOff, setTimeOff] = useState([]);
+  const [timeOffTypes, setTimeOffTypes] = useState([]);
+  const [formData, setFormData] = useState(EMPTY_TIME_OFF);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canManageTimeOff = can('timeOff', 'create');
+
+  const fetchSchedules = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+      const techResponse = await technicianService.getAllTechnicians(true);
+      const activeTechnicians = techResponse.data.data.technicians || [];
+      setTechnicians(activeTechnicians);
+
+      const from = weekStart.format('YYYY-MM-DD');
+      const to = weekStart.clone().add(6, 'days').format('YYYY-MM-DD');
+      const responses = await Promise.all(activeTechnicians.map(technician =>
+        technicianService.getAvailability(technician._id, { from, to })
+      ));
+      setSchedules(Object.fromEntries(responses.map((response, index) => [
+        activeTechnicians[index]._id,
+        response.data.data.days
+      ])));
+    } catch (err) {
+      console.error('Error fetching technician schedules:', err);
+      setError('Failed to load technician schedules.');
+    } finally {
+      setLoading(false);
+    }
+  }, [weekStart]);
+
+  const fetchTimeOff = async () => {
+    try {
+      const response = await technicianService.getTimeOff();
+      setTimeOff(response.data.data.timeOff);
+      setTimeOffTypes(response.data.data.types);
+    } catch (err) {
+      console.error('Error fetching time off:', err);
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedules();
+  }, [fetchSchedules]);
+
+  useEffect(() => {
+    fetchTimeOff();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleAddTimeOff = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (!formData.technician || !formData.start || !formData.end) {
+      setError('Choose a technician and when the time off starts and ends.');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      // datetime-local values are shop time; the server reads them in the shop timezone
+      await technicianService.createTimeOff(formData.technician, {
+        type: formData.type,
+        reason: formData.reason,
+        start: formData.start,
+        end: formData.end
+      });
+      setFormData(EMPTY_TIME_OFF);
+      await Promise.all([fetchTimeOff(), fetchSchedules()]);
+    } catch (err) {
+      console.error('Error adding time off:', err);
+      setError(err.response?.data?.message || 'Failed to add time off.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDeleteTimeOff = async (entry) => {
+    if (!window.confirm(`Remove ${entry.technician?.name || 'this'} time off?`)) return;
+
+    try {
+      await technicianService.deleteTimeOff(entry._id);
+      await Promise.all([fetchTimeOff(), fetchSchedules()]);
+    } catch (err) {
+      console.error('Error removing time off:', err);
+      setError(err.response?.data?.message || 'Failed to remove time off.');
+    }
+  };
+
+  const days = Array.from({ length: 7 }, (_, index) => weekStart.clone().add(index, 'days'));
+  const today = moment.tz(getShopTimezone()).format('YYYY-MM-DD');
+
+  return (
+    <div className="p-4 md:p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl md:text-3xl font-semibold text-gray-800">Technician Schedule</h1>
+        <div className="flex space-x-2">
+          <Button variant="outline" size="sm" onClick={() => setWeekStart(weekStart.clone().subtract(1, 'week'))}>
+            <i className="fas fa-chevron-left mr-1"></i> Prev
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setWeekStart(moment.tz(getShopTimezone()).startOf('week'))}>
+            This Week
+          </Button>
+          <Button variant="outline" size="sm" onClick={() => setWeekStart(weekStart.clone().add(1, 'week'))}>
+            Next <i className="fas fa-chevron-right ml-1"></i>
+          </Button>
+        </div>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      <Card title={`Week of ${weekStart.format('MMMM D, YYYY')}`} className="mb-6">
+        {loading ? (
+          <p className="text-center py-4 text-gray-500">Loading schedules...</p>
+        ) : technicians.length === 0 ? (
+          <p className="text-center py-4 text-gray-500">No active technicians.</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full text-sm">
+              <thead>
+                <tr className="bg-gray-50">
+                  <th className="px-3 py-2 text-left font-medium text-gray-600">Technician</th>
+                  {days.map(day => (
+                    <th
+                      key={day.format('YYYY-MM-DD')}
+                      className={`px-3 py-2 text-center font-medium ${day.format('YYYY-MM-DD') === today ? 'text-primary-600' : 'text-gray-600'}`}
+                    >
+                      {day.format('ddd M/D')}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {technicians.map(technician => (
+                  <tr key={technician._id}>
+                    <td className="px-3 py-2 font-medium text-gray-900 whitespace-nowrap">
+                      {technician.name}
+                      {(!technician.shifts || technician.shifts.length === 0) && (
+                        <p className="text-xs font-normal text-gray-500">Shop hours</p>
+                      )}
+                    </td>
+                    {(schedules[technician._id] || []).map(day => (
+                      <td key={day.date} className="px-2 py-2 text-center align-top">
+                        {day.unavailableReason ? (
+                          <span className={`inline-block px-2 py-0.5 rounded text-xs ${day.unavailableReason === 'Not scheduled' ? 'bg-gray-100 text-gray-500' : 'bg-red-100 text-red-700'}`}>
+                            {day.unavailableReason}
+                          </span>
+                        ) : (
+                          <>
+                            {day.shifts.map(shift => (
+                              <p key={shift.start} className="text-xs text-gray-800">
+                                {formatDateTimeToET(shift.start, 'h:mm')}-{formatDateTimeToET(shift.end, 'h:mm A')}
+                              </p>
+                            ))}
+                            <p className="text-xs text-gray-500">{openHours(day).toFixed(1)} hr open</p>
+                          </>
+                        )}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </Card>
+
+      <Card title="Upcoming Time Off">
+        {canManageTimeOff && (
+          <form onSubmit={handleAddTimeOff} className="grid grid-cols-1 md:grid-cols-6 gap-x-4 items-end mb-4">
+            <div className="md:col-span-2">
+              <SelectInput
+                label="Technician"
+                name="technician"
+                value={formData.technician}
+                onChange={handleChange}
+                options={technicians.map(technician => ({ value: technician._id, label: technician.name }))}
+                required
+              />
+            </div>
+            <SelectInput
+              label="Type"
+              name="type"
+              value={formData.type}
+              onChange={handleChange}
+              options={timeOffTypes.map(type => ({ value: type, label: type }))}
+            />
+            <Input label="Starts" name="start" type="datetime-local" value={formData.start} onChange={handleChange} required />
+            <Input label="Ends" name="end" type="datetime-local" value={formData.end} onChange={handleChange} required />
+            <Input label="Note" name="reason" value={formData.reason} onChange={handleChange} placeholder="Family trip" />
+            <div className="md:col-span-6 flex justify-end mb-4">
+              <Button type="submit" variant="primary" disabled={saving}>
+                {saving ? 'Adding...' : 'Add Time Off'}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {timeOff.length === 0 ? (
+          <p className="text-center py-4 text-gray-500">No time off booked.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {timeOff.map(entry => (
+              <li key={entry._id} className="py-2 flex justify-between items-center">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {entry.technician?.name || 'Unknown'} · {entry.type}
+                    {entry.reason && <span className="font-normal text-gray-600"> · {entry.reason}</span>}
+                  </p>
+                  <p className="text-sm text-gray-600">
+                    {formatDateTimeToET(entry.start)} to {formatDateTimeToET(entry.end)}
+                  </p>
+                </div>
+                {canManageTimeOff && (
+                  <button type="button" onClick={() => handleDeleteTimeOff(entry)} className="text-red-600 hover:text-red-800 text-sm">
+                    Remove
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </Card>
+    </div>
+  );
+};
+
+export default TechnicianSchedulePage;
@@ -89,13 +89,21 @@ const TechniciansPage = () => {
     <div className="p-4 md:p-6">
       <div className="flex flex-col sm:flex-row justify-between items-center mb-6 gap-4">
         <h1 className="text-2xl md:text-3xl font-semibold text-gray-800">Technicians Management</h1>
-        <Button 
-          onClick={handleAddTechnician} 
-          className="bg-primary-600 hover:bg-primary-700 text-white"
-          disabled={loading}
-        >
-          <i className="fas fa-plus mr-2"></i>Add Technician
-        </Button>
+        <div className="flex gap-2">
+          <Button to="/technicians/schedule" variant="outline">
+            <i className="fas fa-calendar-check mr-2"></i>Schedule
+          </Button>
+          <Button to="/technicians/efficiency" variant="outline">
+            <i className="fas fa-stopwatch mr-2"></i>Efficiency Report
+          </Button>
+          <Button 
+            onClick={handleAddTechnician} 
+            className="bg-primary-600 hover:bg-primary-700 text-white"
+            disabled={loading}
+          >
+            <i className="fas fa-plus mr-2"></i>Add Technician
+          </Button>
+        </div>
       </div>
       
       {error && <p className="text-red-500 bg-red-100 p-3 rounded mb-4">Error: {error}</p>}
@@ -125,6 +133,7 @@ const TechniciansPage = () => {
                 <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider sm:px-6">Phone</th>
                 <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden md:table-cell sm:px-6">Email</th>
                 <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden lg:table-cell sm:px-6">Specialization</th>
+                <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider hidden lg:table-cell sm:px-6">Login</th>
                 <th scope="col" className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider sm:px-6">Status</th>
                 <th scope="col" className="relative px-4 py-3 sm:px-6">
                   <span className="sr-only">Actions</span>
@@ -138,6 +147,7 @@ const TechniciansPage = () => {
                   <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500 sm:px-6">{tech.phone || '-'}</td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500 hidden md:table-cell sm:px-6">{tech.email || '-'}</td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500 hidden lg:table-cell sm:px-6">{tech.specialization || '-'}</td>
+                  <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-500 hidden lg:table-cell sm:px-6">{tech.user?.email || 'Not linked'}</td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm sm:px-6">
                     <span className={`px-2 inline-flex text-xs leading-5 font-semibold rounded-full ${
                       tech.isActive ? 'bg-green-100 text-green-800' : 'bg-red-100 text-red-800'
@@ -4,11 +4,13 @@ import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import VehicleService from '../../services/vehicleService';
 import AppointmentService from '../../services/appointmentService';
-import { getTodayForInput, parseLocalDate } from '../../utils/formatters';
+import { useAuth } from '../../contexts/AuthContext';
+import { formatCurrency, getTodayForInput, parseLocalDate } from '../../utils/formatters';
 
 const VehicleDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { can } = useAuth();
   const [vehicle, setVehicle] = useState(null);
   const [customer, setCustomer] = useState(null);
   const [serviceHistory, setServiceHistory] = useState([]);
@@ -173,6 +175,22 @@ const VehicleDetail = () => {
     );
   }
 
+  // Mark a declined estimate item as done or no longer needed
+  const handleUpdateRecommendation = async (recommendationId, status) => {
+    try {
+      const response = await VehicleService.updateRecommendation(id, recommendationId, { status });
+      setVehicle(prev => ({
+        ...prev,
+        deferredRecommendations: prev.deferredRecommendations.map(recommendation =>
+          recommendation._id === recommendationId ? response.data.recommendation : recommendation
+        )
+      }));
+    } catch (err) {
+      console.error('Error updating recommendation:', err);
+      setError(err.response?.data?.message || 'Failed to update recommendation.');
+    }
+  };
+
   // Format date for display
   const formatDate = (dateString) => {
     if (!dateString) return '';
@@ -186,6 +204,9 @@ const VehicleDetail = () => {
     return new Intl.NumberFormat().format(mileage) + ' miles';
   };
 
+  const openRecommendations = (vehicle.deferredRecommendations || [])
+    .filter(recommendation => recommendation.status === 'Open');
+
   return (
     <div className="container mx-auto">
       <div className="mb-6 flex justify-between items-center">
@@ -420,6 +441,47 @@ const VehicleDetail = () => {
         </Card>
       </div>
 
+      {/* Work the customer declined on an estimate */}
+      {openRecommendations.length > 0 && (
+        <Card title="Deferred Recommendations" className="mt-6">
+          <div className="divide-y divide-gray-200">
+            {openRecommendations.map(recommendation => (
+              <div key={recommendation._id} className="py-3 flex flex-wrap justify-between items-center gap-2">
+                <div>
+                  <p className="font-medium text-gray-900">
+                    {recommendation.description}
+                    {recommendation.partNumber && (
+                      <span className="text-sm text-gray-500"> ({recommendation.partNumber})</span>
+                    )}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    Declined {formatDate(recommendation.declinedAt)}
+                    {recommendation.estimatedCost > 0 && ` · Est. ${formatCurrency(recommendation.estimatedCost)}`}
+                  </p>
+                </div>
+                <div className="flex space-x-2">
+                  {recommendation.workOrder && (
+                    <Button to={`/work-orders/${recommendation.workOrder}`} variant="light" size="sm">
+                      Work Order
+                    </Button>
+                  )}
+                  {can('vehicles', 'update') && (
+                    <>
+                      <Button variant="outline" size="sm" onClick={() => handleUpdateRecommendation(recommendation._id, 'Completed')}>
+                        Completed
+                      </Button>
+                      <Button variant="light" size="sm" onClick={() => handleUpdateRecommendation(recommendation._id, 'Dismissed')}>
+                        Dismiss
+                      </Button>
+                    </>
+                  )}
+                </div>
+              </div>
+            ))}
+          </div>
+        </Card>
+      )}
+
       {/* Delete Confirmation Modal */}
       {deleteModalOpen && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
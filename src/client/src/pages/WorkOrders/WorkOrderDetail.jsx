@@ -11,12 +11,25 @@ import PartsSelector from '../../components/parts/PartsSelector';
 import SplitWorkOrderModal from '../../components/workorder/SplitWorkOrderModal';
 import FileUpload from '../../components/common/FileUpload';
 import FileList from '../../components/common/FileList';
+import StatusHistoryTimeline from '../../components/workorder/StatusHistoryTimeline';
+import EstimatePanel from '../../components/workorder/EstimatePanel';
+import InspectionPanel from '../../components/workorder/InspectionPanel';
+import CustomerMessagesCard from '../../components/messages/CustomerMessagesCard';
+import CustomerUpdatesCard from '../../components/workorder/CustomerUpdatesCard';
+import StatusLinkCard from '../../components/workorder/StatusLinkCard';
+import { useAuth } from '../../contexts/AuthContext';
+import { useSettings } from '../../contexts/SettingsContext';
 // technicianService import removed as it's no longer needed for a dropdown
 
 const WorkOrderDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
+  const { currentUser } = useAuth();
+  const { settings } = useSettings();
+  const isAdmin = currentUser?.role === 'admin';
   const [workOrder, setWorkOrder] = useState(null);
+  const [allowedTransitions, setAllowedTransitions] = useState([]);
+  const [statusOverride, setStatusOverride] = useState(false);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [statusUpdateLoading, setStatusUpdateLoading] = useState(false);
@@ -38,6 +51,7 @@ const WorkOrderDetail = () => {
   // File attachment state
   const [attachedFiles, setAttachedFiles] = useState([]);
   const [filesLoading, setFilesLoading] = useState(false);
+  const [downloadingZip, setDownloadingZip] = useState(false);
   
   const [editingPart, setEditingPart] = useState(null);
   const [editingLabor, setEditingLabor] = useState(null);
@@ -55,7 +69,7 @@ const WorkOrderDetail = () => {
   const [newLabor, setNewLabor] = useState({
     description: '',
     hours: 1,
-    rate: 75
+    rate: settings.defaultLaborRate
   });
 
   useEffect(() => {
@@ -65,6 +79,7 @@ const WorkOrderDetail = () => {
         const workOrderResponse = await WorkOrderService.getWorkOrder(id);
         const fetchedWorkOrder = workOrderResponse.data.workOrder;
         setWorkOrder(fetchedWorkOrder);
+        setAllowedTransitions(workOrderResponse.data.allowedTransitions || []);
         // setSelectedTechnician, technicianService.getAllTechnicians, and setTechnicians calls removed.
         setLoading(false);
       } catch (err) {
@@ -77,6 +92,17 @@ const WorkOrderDetail = () => {
     fetchWorkOrderData(); // Call renamed function
   }, [id]);
 
+  // Reload after changes made elsewhere (e.g. declined estimate lines removed)
+  const refreshWorkOrder = async () => {
+    try {
+      const response = await WorkOrderService.getWorkOrder(id);
+      setWorkOrder(response.data.workOrder);
+      setAllowedTransitions(response.data.allowedTransitions || []);
+    } catch (err) {
+      console.error('Error refreshing work order:', err);
+    }
+  };
+
   const fetchNotes = useCallback(async () => {
     try {
       setNotesLoading(true);
@@ -178,6 +204,22 @@ const WorkOrderDetail = () => {
     const newStatus = e.target.value;
     if (!newStatus || newStatus === workOrder.status) return;
 
+    // Transitions outside the workflow need an admin override with a reason
+    const statusOptionsPayload = {};
+    if (!allowedTransitions.includes(newStatus)) {
+      if (!isAdmin || !statusOverride) {
+        e.target.value = workOrder.status;
+        return;
+      }
+      const reason = window.prompt(`"${workOrder.status}" → "${newStatus}" is outside the normal workflow.\n\nEnter a reason for this override:`);
+      if (!reason || !reason.trim()) {
+        e.target.value = workOrder.status;
+        return;
+      }
+      statusOptionsPayload.override = true;
+      statusOptionsPayload.note = reason.trim();
+    }
+
     // Special handling for "Parts Received" status
     if (newStatus === 'Parts Received') {
       const partsCount = workOrder.parts?.length || 0;
@@ -186,34 +228,37 @@ const WorkOrderDetail = () => {
         const unreceivedParts = workOrder.parts.filter(part => !part.received);
         const unreceivedCount = unreceivedParts.length;
         
-        let confirmMessage = `Changing status to "Parts Received" will automatically mark ALL ${partsCount} parts as received.\n\n`;
-        
+        // Parts are marked received as purchase orders are received, so only warn about the stragglers
         if (unreceivedCount > 0) {
-          confirmMessage += `This will mark ${unreceivedCount} parts that are currently NOT marked as received:\n`;
+          let confirmMessage = `${unreceivedCount} of ${partsCount} parts are NOT marked as received yet:\n`;
           unreceivedParts.slice(0, 3).forEach(part => {
             confirmMessage += `• ${part.name}\n`;
           });
           if (unreceivedCount > 3) {
             confirmMessage += `• ...and ${unreceivedCount - 3} more\n`;
           }
-          confirmMessage += '\n';
-        }
-        
-        confirmMessage += 'Are you sure all parts have been received and you want to proceed?';
-        
-        const confirmed = window.confirm(confirmMessage);
-        if (!confirmed) {
-          // Reset the select dropdown to previous value
-          e.target.value = workOrder.status;
-          return;
+          confirmMessage += '\nMove the work order to "Parts Received" anyway?';
+          
+          const confirmed = window.confirm(confirmMessage);
+          if (!confirmed) {
+            // Reset the select dropdown to previous value
+            e.target.value = workOrder.status;
+            return;
+          }
         }
       }
     }
 
+    await applyStatusChange(newStatus, statusOptionsPayload);
+  };
+
+  const applyStatusChange = async (newStatus, statusOptionsPayload = {}) => {
     try {
       setStatusUpdateLoading(true);
-      const response = await WorkOrderService.updateStatus(id, newStatus); 
+      const response = await WorkOrderService.updateStatus(id, newStatus, statusOptionsPayload); 
       setWorkOrder(response.data.workOrder);
+      setAllowedTransitions(response.data.allowedTransitions || []);
+      setStatusOverride(false);
       
       // Show notification if status changed to "Parts Received"
       if (newStatus === 'Parts Received') {
@@ -243,7 +288,8 @@ const WorkOrderDetail = () => {
       setStatusUpdateLoading(false);
     } catch (err) {
       console.error('Error updating status:', err);
-      setError('Failed to update status. Please try again later.');
+      const errorMessage = err.response?.data?.message || 'Failed to update status. Please try again later.';
+      setError(errorMessage);
       setStatusUpdateLoading(false);
     }
   };
@@ -321,7 +367,7 @@ const WorkOrderDetail = () => {
     setNewLabor({
       description: '',
       hours: 1,
-      rate: 75
+      rate: settings.defaultLaborRate
     });
     setLaborModalOpen(true);
   };
@@ -410,7 +456,7 @@ const WorkOrderDetail = () => {
       setNewLabor({
         description: '',
         hours: 1,
-        rate: 75
+        rate: settings.defaultLaborRate
       });
     } catch (err) {
       console.error('Error adding labor:', err);
@@ -437,7 +483,7 @@ const WorkOrderDetail = () => {
       setNewLabor({
         description: '',
         hours: 1,
-        rate: 75
+        rate: settings.defaultLaborRate
       });
     } catch (err) {
       console.error('Error updating labor:', err);
@@ -485,16 +531,38 @@ const WorkOrderDetail = () => {
   };
 
   // File handling functions
-  const handleFileUpload = async (formData) => {
+  // Uploads a batch of files; the result lists any files that could not be stored
+  const handleFileUpload = async (formData, onUploadProgress) => {
     try {
-      await MediaService.uploadMedia(formData);
+      const result = await MediaService.uploadMediaBatch(formData, onUploadProgress);
       await fetchAttachedFiles(); // Refresh the file list
+      return result;
     } catch (error) {
       console.error('File upload failed:', error);
       throw error;
     }
   };
 
+  const handleDownloadZip = async () => {
+    try {
+      setDownloadingZip(true);
+      const zipBlob = await MediaService.downloadWorkOrderZip(workOrder._id);
+      const url = window.URL.createObjectURL(new Blob([zipBlob], { type: 'application/zip' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `WorkOrder_${workOrder._id}_Media.zip`;
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('ZIP download failed:', error);
+      alert('Failed to download the files. Please try again.');
+    } finally {
+      setDownloadingZip(false);
+    }
+  };
+
   const handleFileDelete = async (fileId) => {
     try {
       await MediaService.deleteMedia(fileId);
@@ -505,9 +573,13 @@ const WorkOrderDetail = () => {
     }
   };
 
-  const handleFileShare = async (fileId, email) => {
+  const handleFileShare = async (fileId, channel, recipient) => {
     try {
-      await MediaService.shareMediaViaEmail(fileId, email);
+      if (channel === 'SMS') {
+        await MediaService.shareMediaViaSMS(fileId, recipient);
+      } else {
+        await MediaService.shareMediaViaEmail(fileId, recipient);
+      }
       await fetchAttachedFiles(); // Refresh the file list to show shared status
     } catch (error) {
       console.error('File sharing failed:', error);
@@ -515,6 +587,16 @@ const WorkOrderDetail = () => {
     }
   };
 
+  const handleShareRevoke = async (fileId, shareId) => {
+    try {
+      await MediaService.revokeShare(fileId, shareId);
+      await fetchAttachedFiles();
+    } catch (error) {
+      console.error('Share revoke failed:', error);
+      throw error;
+    }
+  };
+
   const generateInvoice = () => {
     // Navigate to the invoice generator with this work order ID as a search param
     navigate(`/invoices/generate?workOrder=${id}`);
@@ -656,6 +738,24 @@ const WorkOrderDetail = () => {
         </div>
       </div>
 
+      {/* Suggest the next status once every part is in, rather than forcing it */}
+      {workOrder.parts?.length > 0 &&
+        workOrder.parts.every(part => part.received) &&
+        workOrder.status !== 'Parts Received' &&
+        allowedTransitions.includes('Parts Received') && (
+        <div className="mb-6 bg-green-50 border border-green-300 text-green-800 px-4 py-3 rounded flex flex-wrap justify-between items-center gap-2">
+          <span>All parts for this work order have been received.</span>
+          <Button
+            variant="success"
+            size="sm"
+            onClick={() => applyStatusChange('Parts Received', { note: 'All parts received' })}
+            disabled={statusUpdateLoading}
+          >
+            Move to Parts Received
+          </Button>
+        </div>
+      )}
+
       <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-6">
         <Card title="Customer & Vehicle">
           <div className="space-y-2">
@@ -749,11 +849,26 @@ const WorkOrderDetail = () => {
               <div className="mt-1">
                 <SelectInput
                   name="status"
-                  options={statusOptions}
+                  options={statusOptions.filter(option =>
+                    option.value === workOrder.status ||
+                    allowedTransitions.includes(option.value) ||
+                    (isAdmin && statusOverride)
+                  )}
                   value={workOrder.status}
                   onChange={handleStatusChange}
                   disabled={statusUpdateLoading}
                 />
+                {isAdmin && (
+                  <label className="flex items-center mt-2">
+                    <input
+                      type="checkbox"
+                      checked={statusOverride}
+                      onChange={(e) => setStatusOverride(e.target.checked)}
+                      className="mr-2 h-4 w-4 text-primary-600 focus:ring-primary-500 border-gray-300 rounded"
+                    />
+                    <span className="text-xs text-gray-600">Override workflow (admin)</span>
+                  </label>
+                )}
               </div>
             </div>
             {/* Appointment Link Section */}
@@ -826,6 +941,16 @@ const WorkOrderDetail = () => {
             </div>
           </div>
         </Card>
+
+        <InspectionPanel workOrder={workOrder} />
+
+        <EstimatePanel workOrder={workOrder} onWorkOrderChange={refreshWorkOrder} />
+
+        <CustomerMessagesCard customer={workOrder.customer} workOrderId={workOrder._id} />
+
+        <CustomerUpdatesCard workOrderId={workOrder._id} status={workOrder.status} />
+
+        <StatusLinkCard workOrder={workOrder} onWorkOrderChange={refreshWorkOrder} />
       </div>
 
       {/* Work Order Notes Section */}
@@ -1086,6 +1211,11 @@ const WorkOrderDetail = () => {
                             PN: {part.partNumber}
                           </div>
                         )}
+                        {part.part && (
+                          <div className="text-xs text-blue-600">
+                            From inventory
+                          </div>
+                        )}
                       </td>
                       <td className="px-4 py-2 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
@@ -1104,7 +1234,13 @@ const WorkOrderDetail = () => {
                       </td>
                       <td className="px-4 py-2 whitespace-nowrap">
                         <div className="text-sm text-gray-900">
-                          {part.purchaseOrderNumber}
+                          {part.purchaseOrder ? (
+                            <Link to={`/purchase-orders/${part.purchaseOrder}`} className="text-primary-600 hover:text-primary-800">
+                              {part.purchaseOrderNumber || 'View PO'}
+                            </Link>
+                          ) : (
+                            part.purchaseOrderNumber
+                          )}
                         </div>
                       </td>
                       <td className="px-4 py-2 whitespace-nowrap">
@@ -1243,12 +1379,17 @@ const WorkOrderDetail = () => {
           )}
         </Card>
 
+        {/* Status History Section */}
+        <Card title="Status History">
+          <StatusHistoryTimeline history={workOrder.statusHistory} />
+        </Card>
+
         {/* File Attachments Section */}
         <Card title="Attached Documents">
           <div className="space-y-6">
             {/* Upload Section */}
             <div>
-              <h4 className="text-lg font-medium text-gray-900 mb-4">Upload New Document</h4>
+              <h4 className="text-lg font-medium text-gray-900 mb-4">Upload Documents</h4>
               <FileUpload
                 onFileUpload={handleFileUpload}
                 workOrderId={workOrder._id}
@@ -1265,19 +1406,31 @@ const WorkOrderDetail = () => {
                   Documents ({attachedFiles.length})
                 </h4>
                 {attachedFiles.length > 0 && (
-                  <Button
-                    onClick={() => fetchAttachedFiles()}
-                    variant="outline"
-                    size="sm"
-                  >
-                    Refresh
-                  </Button>
+                  <div className="flex space-x-2">
+                    <Button
+                      onClick={handleDownloadZip}
+                      variant="outline"
+                      size="sm"
+                      disabled={downloadingZip}
+                    >
+                      {downloadingZip ? 'Preparing ZIP...' : 'Download All (ZIP)'}
+                    </Button>
+                    <Button
+                      onClick={() => fetchAttachedFiles()}
+                      variant="outline"
+                      size="sm"
+                    >
+                      Refresh
+                    </Button>
+                  </div>
                 )}
               </div>
               <FileList
                 files={attachedFiles}
                 onDelete={handleFileDelete}
                 onShare={handleFileShare}
+                onRevokeShare={handleShareRevoke}
+                onAnnotate={fetchAttachedFiles}
                 loading={filesLoading}
               />
             </div>
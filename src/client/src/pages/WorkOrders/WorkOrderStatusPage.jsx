@@ -0,0 +1,183 @@
+import React, { useState, useEffect } from 'react';
+import { useParams } from 'react-router-dom';
+import Card from '../../components/common/Card';
+import WorkOrderService from '../../services/workOrderService';
+import { formatCurrency, formatDate, formatDateTimeToET } from '../../utils/formatters';
+
+// Public page the customer opens from the status link in their texts and emails - no login required
+const WorkOrderStatusPage = () => {
+  const { token } = useParams();
+  const [workOrder, setWorkOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchStatus = async () => {
+      try {
+        const response = await WorkOrderService.getPublicStatus(token);
+        setWorkOrder(response.data.workOrder);
+        setError(null);
+      } catch (err) {
+        setError(err.response?.data?.message || 'This status page could not be loaded.');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchStatus();
+  }, [token]);
+
+  if (loading) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50">
+        <p>Loading status...</p>
+      </div>
+    );
+  }
+
+  if (!workOrder) {
+    return (
+      <div className="min-h-screen flex justify-center items-center bg-gray-50 px-4">
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded max-w-md">
+          {error}
+        </div>
+      </div>
+    );
+  }
+
+  const { shop, vehicle, estimate, invoice } = workOrder;
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : '';
+  const photos = workOrder.media.filter(item => item.url);
+
+  return (
+    <div className="min-h-screen bg-gray-50 py-8 px-4">
+      <div className="max-w-3xl mx-auto">
+        <div className="text-center mb-6">
+          {shop.logo && <img src={shop.logo} alt={shop.name} className="h-16 mx-auto mb-2 object-contain" />}
+          <h1 className="text-2xl font-bold text-gray-800">{shop.name || 'Work Order Status'}</h1>
+          {(shop.phone || shop.email) && (
+            <p className="text-sm text-gray-600">{[shop.phone, shop.email].filter(Boolean).join(' · ')}</p>
+          )}
+        </div>
+
+        <Card title={vehicleLabel || 'Your Vehicle'} className="mb-6">
+          <div className="text-sm text-gray-700 space-y-1">
+            {workOrder.customer && <p>Prepared for {workOrder.customer.name}</p>}
+            {vehicle?.licensePlate && <p>License plate: {vehicle.licensePlate}</p>}
+            {workOrder.date && <p>Checked in {formatDate(workOrder.date)}</p>}
+          </div>
+          <div className="mt-4">
+            <p className="text-xs uppercase tracking-wide text-gray-500">Current status</p>
+            <p className="text-xl font-semibold text-primary-700">{workOrder.status}</p>
+          </div>
+          {workOrder.services.length > 0 && (
+            <div className="mt-4">
+              <p className="text-xs uppercase tracking-wide text-gray-500 mb-1">Services</p>
+              <ul className="list-disc list-inside text-sm text-gray-700">
+                {workOrder.services.map((service, index) => (
+                  <li key={index}>{service}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </Card>
+
+        {workOrder.statusHistory.length > 0 && (
+          <Card title="Progress" className="mb-6">
+            <ol className="space-y-2">
+              {[...workOrder.statusHistory].reverse().map((entry, index) => (
+                <li key={index} className="flex justify-between text-sm">
+                  <span className={index === 0 ? 'font-medium text-gray-900' : 'text-gray-600'}>{entry.status}</span>
+                  <span className="text-gray-500">{formatDateTimeToET(entry.changedAt, 'MMM D, h:mm A')}</span>
+                </li>
+              ))}
+            </ol>
+          </Card>
+        )}
+
+        {workOrder.notes.length > 0 && (
+          <Card title="Updates from the Shop" className="mb-6">
+            <ul className="divide-y divide-gray-100">
+              {workOrder.notes.map(note => (
+                <li key={note._id} className="py-2">
+                  <p className="text-sm text-gray-800 whitespace-pre-line">{note.content}</p>
+                  <p className="text-xs text-gray-500">{formatDateTimeToET(note.createdAt, 'MMM D, h:mm A')}</p>
+                </li>
+              ))}
+            </ul>
+          </Card>
+        )}
+
+        {photos.length > 0 && (
+          <Card title="Photos and Files" className="mb-6">
+            <div className="grid grid-cols-2 sm:grid-cols-3 gap-3">
+              {photos.map(item => (
+                <a key={item._id} href={item.url} target="_blank" rel="noopener noreferrer" className="block">
+                  {item.fileType?.startsWith('image/') ? (
+                    <img src={item.thumbnailUrl || item.url} alt={item.notes || item.fileName} className="w-full h-32 object-cover rounded" />
+                  ) : (
+                    <div className="w-full h-32 flex flex-col items-center justify-center rounded bg-gray-100 text-gray-600">
+                      <i className="fas fa-file text-2xl mb-1"></i>
+                      <span className="text-xs px-2 truncate max-w-full">{item.fileName}</span>
+                    </div>
+                  )}
+                  {item.notes && <p className="text-xs text-gray-600 mt-1">{item.notes}</p>}
+                </a>
+              ))}
+            </div>
+          </Card>
+        )}
+
+        {estimate && (
+          <Card title={`Estimate ${estimate.estimateNumber}`} className="mb-6">
+            <div className="flex justify-between items-center text-sm">
+              <div>
+                <p className="text-gray-700">Status: {estimate.status}</p>
+                <p className="text-gray-700">Total: {formatCurrency(estimate.total)}</p>
+              </div>
+              {estimate.approvalUrl && (
+                <a
+                  href={estimate.approvalUrl}
+                  className="px-4 py-2 rounded bg-primary-600 text-white font-medium hover:bg-primary-700"
+                >
+                  Review and Approve
+                </a>
+              )}
+            </div>
+          </Card>
+        )}
+
+        {invoice && (
+          <Card title={`Invoice ${invoice.invoiceNumber}`} className="mb-6">
+            <div className="text-sm text-gray-700 space-y-1">
+              <div className="flex justify-between">
+                <span>Total</span>
+                <span>{formatCurrency(invoice.total)}</span>
+              </div>
+              <div className="flex justify-between">
+                <span>Paid</span>
+                <span>{formatCurrency(invoice.amountPaid)}</span>
+              </div>
+              <div className="flex justify-between font-semibold text-gray-900 border-t pt-1">
+                <span>Amount Due</span>
+                <span>{formatCurrency(invoice.amountDue)}</span>
+              </div>
+              {invoice.amountDue > 0 && invoice.dueDate && (
+                <p className="text-gray-500">Due {formatDate(invoice.dueDate)}</p>
+              )}
+            </div>
+          </Card>
+        )}
+
+        <p className="text-center text-sm text-gray-500">
+          Questions about your vehicle? {shop.phone ? `Call us at ${shop.phone}.` : 'Contact the shop.'}
+        </p>
+        <p className="text-center text-xs text-gray-400 mt-1">
+          This link works until {formatDate(workOrder.expiresAt)}.
+        </p>
+      </div>
+    </div>
+  );
+};
+
+export default WorkOrderStatusPage;
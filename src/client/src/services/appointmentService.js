@@ -86,10 +86,10 @@ const AppointmentService = {
     }
   },
 
-  // Check for scheduling conflicts
-  checkConflicts: async (appointmentData) => {
+  // Check technician and bay availability; pass { appointmentId } to ignore the appointment being edited
+  checkConflicts: async (appointmentData, params = {}) => {
     try {
-      const response = await API.post('/appointments/check-conflicts', appointmentData);
+      const response = await API.post('/appointments/check-conflicts', appointmentData, { params });
       return response.data;
     } catch (error) {
       console.error('Error checking for appointment conflicts:', error);
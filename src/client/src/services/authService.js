@@ -45,6 +45,17 @@ const AuthService = {
     }
   },
 
+  // Get all user accounts (admin only)
+  getUsers: async () => {
+    try {
+      const response = await API.get('/users');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching users:', error);
+      throw error;
+    }
+  },
+
   // Update current user info
   updateUserInfo: async (userData) => {
     try {
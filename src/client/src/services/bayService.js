@@ -0,0 +1,49 @@
+import API from './api';
+
+const BayService = {
+  // Get bays (active only unless { all: true } or { isActive: false })
+  getAllBays: async (params = {}) => {
+    try {
+      const response = await API.get('/bays', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching bays:', error);
+      throw error;
+    }
+  },
+
+  // Create a bay
+  createBay: async (bayData) => {
+    try {
+      const response = await API.post('/bays', bayData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating bay:', error);
+      throw error;
+    }
+  },
+
+  // Update a bay
+  updateBay: async (id, bayData) => {
+    try {
+      const response = await API.patch(`/bays/${id}`, bayData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating bay ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Take a bay out of service
+  deactivateBay: async (id) => {
+    try {
+      const response = await API.delete(`/bays/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deactivating bay ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default BayService;
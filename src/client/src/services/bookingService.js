@@ -0,0 +1,61 @@
+import API from './api';
+
+const BookingService = {
+  // Public: shop details and the services that can be booked online
+  getBookingOptions: async () => {
+    try {
+      const response = await API.get('/public/booking');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching booking options:', error);
+      throw error;
+    }
+  },
+
+  // Public: open start times for a service, starting on `from` (YYYY-MM-DD) for up to 7 days
+  getBookingSlots: async (service, from, days = 1) => {
+    try {
+      const response = await API.get('/public/booking/slots', { params: { service, from, days } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching booking slots:', error);
+      throw error;
+    }
+  },
+
+  // Public: book an appointment
+  // data: { service, startTime, name, phone, email, vehicle: { year, make, model }, concern }
+  createBooking: async (data) => {
+    try {
+      const response = await API.post('/public/booking', data);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating booking:', error);
+      throw error;
+    }
+  },
+
+  // Online bookings waiting for (or past) staff review
+  getBookingRequests: async (reviewStatus = 'Pending') => {
+    try {
+      const response = await API.get('/appointments/booking-requests', { params: { reviewStatus } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching booking requests:', error);
+      throw error;
+    }
+  },
+
+  // Approve (confirm) or decline (cancel) an online booking
+  reviewBooking: async (id, decision, note = '') => {
+    try {
+      const response = await API.patch(`/appointments/${id}/review`, { decision, note });
+      return response.data;
+    } catch (error) {
+      console.error(`Error reviewing booking ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default BookingService;
@@ -0,0 +1,86 @@
+import API from './api';
+
+const EstimateService = {
+  // Get estimates, optionally for one work order
+  getEstimates: async (filters = {}) => {
+    try {
+      const response = await API.get('/estimates', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching estimates:', error);
+      throw error;
+    }
+  },
+
+  // Get a single estimate
+  getEstimate: async (id) => {
+    try {
+      const response = await API.get(`/estimates/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching estimate with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Create an estimate from a work order's parts and labor
+  // data: { workOrder, message, expiresInDays }
+  createEstimate: async (data) => {
+    try {
+      const response = await API.post('/estimates', data);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating estimate:', error);
+      throw error;
+    }
+  },
+
+  // Send the approval link to the customer
+  // channel: 'email' or 'sms'
+  sendEstimate: async (id, channel) => {
+    try {
+      const response = await API.post(`/estimates/${id}/send`, { channel });
+      return response.data;
+    } catch (error) {
+      console.error(`Error sending estimate ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Record an approval taken in person or over the phone
+  // data: { decisions: { lineId: 'Approved' | 'Declined' }, typedName, method, signature }
+  recordApproval: async (id, data) => {
+    try {
+      const response = await API.post(`/estimates/${id}/approval`, data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error recording approval for estimate ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Public: get an estimate by its approval token
+  getPublicEstimate: async (token) => {
+    try {
+      const response = await API.get(`/public/estimates/${token}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching estimate:', error);
+      throw error;
+    }
+  },
+
+  // Public: submit the customer's decisions and signature
+  // data: { decisions: { lineId: 'Approved' | 'Declined' }, typedName, signature }
+  submitDecision: async (token, data) => {
+    try {
+      const response = await API.post(`/public/estimates/${token}/decision`, data);
+      return response.data;
+    } catch (error) {
+      console.error('Error submitting estimate decision:', error);
+      throw error;
+    }
+  }
+};
+
+export default EstimateService;
@@ -0,0 +1,150 @@
+import API from './api';
+
+const InspectionService = {
+  // Get inspection templates and the measurement types they can use
+  getTemplates: async (filters = {}) => {
+    try {
+      const response = await API.get('/inspections/templates', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching inspection templates:', error);
+      throw error;
+    }
+  },
+
+  // Create an inspection template
+  createTemplate: async (templateData) => {
+    try {
+      const response = await API.post('/inspections/templates', templateData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating inspection template:', error);
+      throw error;
+    }
+  },
+
+  // Update an inspection template
+  updateTemplate: async (id, templateData) => {
+    try {
+      const response = await API.patch(`/inspections/templates/${id}`, templateData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating inspection template ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Delete an inspection template
+  deleteTemplate: async (id) => {
+    try {
+      const response = await API.delete(`/inspections/templates/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting inspection template ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Get inspections
+  // filters: { workOrder, vehicle, status }
+  getInspections: async (filters = {}) => {
+    try {
+      const response = await API.get('/inspections', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching inspections:', error);
+      throw error;
+    }
+  },
+
+  // Get a single inspection
+  getInspection: async (id) => {
+    try {
+      const response = await API.get(`/inspections/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching inspection with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Start an inspection on a work order (uses the default template if none is given)
+  createInspection: async (workOrderId, templateId) => {
+    try {
+      const response = await API.post('/inspections', { workOrder: workOrderId, template: templateId });
+      return response.data;
+    } catch (error) {
+      console.error('Error starting inspection:', error);
+      throw error;
+    }
+  },
+
+  // Save item results, mileage and summary
+  // data: { items: [{ _id, status, measurements, notes }], mileage, summary }
+  updateInspection: async (id, data) => {
+    try {
+      const response = await API.patch(`/inspections/${id}`, data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating inspection ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Mark an inspection complete
+  completeInspection: async (id) => {
+    try {
+      const response = await API.post(`/inspections/${id}/complete`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error completing inspection ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Attach an uploaded media file to an inspection item
+  addItemPhoto: async (id, itemId, mediaId) => {
+    try {
+      const response = await API.post(`/inspections/${id}/items/${itemId}/photos`, { media: mediaId });
+      return response.data;
+    } catch (error) {
+      console.error('Error adding inspection photo:', error);
+      throw error;
+    }
+  },
+
+  // Detach a photo from an inspection item
+  removeItemPhoto: async (id, itemId, mediaId) => {
+    try {
+      const response = await API.delete(`/inspections/${id}/items/${itemId}/photos/${mediaId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error removing inspection photo:', error);
+      throw error;
+    }
+  },
+
+  // Get the customer report link for a completed inspection
+  shareInspection: async (id) => {
+    try {
+      const response = await API.post(`/inspections/${id}/share`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error sharing inspection ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Public: customer report by share token
+  getPublicInspection: async (token) => {
+    try {
+      const response = await API.get(`/public/inspections/${token}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching inspection report:', error);
+      throw error;
+    }
+  }
+};
+
+export default InspectionService;
@@ -0,0 +1,40 @@
+import API from './api';
+
+const JobService = {
+  // Scheduled reminders and follow-ups; view is upcoming, failed or recent
+  getJobs: async (view = 'upcoming', type = '') => {
+    try {
+      const params = { view };
+      if (type) params.type = type;
+      const response = await API.get('/jobs', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching scheduled jobs:', error);
+      throw error;
+    }
+  },
+
+  // Queue a failed or skipped job to send again
+  retryJob: async (id) => {
+    try {
+      const response = await API.post(`/jobs/${id}/retry`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error retrying job ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Cancel a job that has not been sent
+  cancelJob: async (id) => {
+    try {
+      const response = await API.post(`/jobs/${id}/cancel`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error cancelling job ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default JobService;
@@ -16,6 +16,37 @@ const MediaService = {
     }
   },
 
+  // Upload several files in one request; formData carries files, details and the shared IDs.
+  // onUploadProgress receives axios progress events while the files are sent.
+  // Resolves with the stored media and the files that failed, even when only some were stored.
+  uploadMediaBatch: async (formData, onUploadProgress) => {
+    try {
+      const response = await API.post('/media/upload/batch', formData, {
+        headers: {
+          'Content-Type': 'multipart/form-data'
+        },
+        onUploadProgress
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error uploading media batch:', error);
+      throw error;
+    }
+  },
+
+  // Download all of a work order's files as a ZIP
+  downloadWorkOrderZip: async (workOrderId) => {
+    try {
+      const response = await API.get(`/media/work-orders/${workOrderId}/zip`, {
+        responseType: 'blob'
+      });
+      return response.data;
+    } catch (error) {
+      console.error(`Error downloading files for work order ${workOrderId}:`, error);
+      throw error;
+    }
+  },
+
   // Get all media
   getAllMedia: async (filters = {}) => {
     try {
@@ -69,14 +100,58 @@ const MediaService = {
   },
 
   // Share media via email
-  shareMediaViaEmail: async (id, email) => {
+  shareMediaViaEmail: async (id, email, expiresInHours) => {
     try {
-      const response = await API.post(`/media/${id}/share`, { email });
+      const response = await API.post(`/media/${id}/share`, { email, expiresInHours });
       return response.data;
     } catch (error) {
       console.error(`Error sharing media with ID ${id} via email:`, error);
       throw error;
     }
+  },
+
+  // Share media by text (images go as MMS)
+  shareMediaViaSMS: async (id, phone, expiresInHours) => {
+    try {
+      const response = await API.post(`/media/${id}/share-sms`, { phone, expiresInHours });
+      return response.data;
+    } catch (error) {
+      console.error(`Error sharing media with ID ${id} via SMS:`, error);
+      throw error;
+    }
+  },
+
+  // Turn off a share link
+  revokeShare: async (id, shareId) => {
+    try {
+      const response = await API.delete(`/media/${id}/shares/${shareId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error revoking share ${shareId} for media with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Get a photo's annotations and the plain image to draw them on
+  getAnnotations: async (id) => {
+    try {
+      const response = await API.get(`/media/${id}/annotations`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching annotations for media with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Save a photo's annotations (an empty list removes them)
+  saveAnnotations: async (id, shapes) => {
+    try {
+      const response = await API.put(`/media/${id}/annotations`, { shapes });
+      return response.data;
+    } catch (error) {
+      console.error(`Error saving annotations for media with ID ${id}:`, error);
+      throw error;
+    }
   }
 };
 
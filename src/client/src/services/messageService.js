@@ -0,0 +1,59 @@
+import API from './api';
+
+const MessageService = {
+  // Message threads, newest activity first; params: { search, unread, page }
+  getConversations: async (params = {}) => {
+    try {
+      const response = await API.get('/messages/conversations', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+      throw error;
+    }
+  },
+
+  // A thread and its messages
+  getConversation: async (id) => {
+    try {
+      const response = await API.get(`/messages/conversations/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching conversation ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // The thread for a customer's phone number (conversation is null if there is none yet)
+  getCustomerConversation: async (customerId) => {
+    try {
+      const response = await API.get(`/messages/customer/${customerId}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching messages for customer ${customerId}:`, error);
+      throw error;
+    }
+  },
+
+  markRead: async (id) => {
+    try {
+      const response = await API.post(`/messages/conversations/${id}/read`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error marking conversation ${id} read:`, error);
+      throw error;
+    }
+  },
+
+  // Text a customer; data: { conversationId | customerId, workOrderId, body }
+  sendMessage: async (data) => {
+    try {
+      const response = await API.post('/messages', data);
+      return response.data;
+    } catch (error) {
+      console.error('Error sending message:', error);
+      throw error;
+    }
+  }
+};
+
+export default MessageService;
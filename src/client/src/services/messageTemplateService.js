@@ -0,0 +1,71 @@
+import API from './api';
+
+const MessageTemplateService = {
+  // Templates, plus the events, placeholders and work order statuses they can use
+  getTemplates: async () => {
+    try {
+      const response = await API.get('/message-templates');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching message templates:', error);
+      throw error;
+    }
+  },
+
+  // Create a template, e.g. a status update for another status
+  createTemplate: async (templateData) => {
+    try {
+      const response = await API.post('/message-templates', templateData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating message template:', error);
+      throw error;
+    }
+  },
+
+  // Update a template's text or turn it on/off
+  updateTemplate: async (id, templateData) => {
+    try {
+      const response = await API.patch(`/message-templates/${id}`, templateData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating message template ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Delete a per-status template
+  deleteTemplate: async (id) => {
+    try {
+      const response = await API.delete(`/message-templates/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting message template ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Render a draft with sample data; lists validation errors and blank placeholders
+  previewTemplate: async (templateData) => {
+    try {
+      const response = await API.post('/message-templates/preview', templateData);
+      return response.data;
+    } catch (error) {
+      console.error('Error previewing message template:', error);
+      throw error;
+    }
+  },
+
+  // Send a draft, filled with sample data, to { to } (phone or email)
+  sendTest: async (templateData) => {
+    try {
+      const response = await API.post('/message-templates/test', templateData);
+      return response.data;
+    } catch (error) {
+      console.error('Error sending test message:', error);
+      throw error;
+    }
+  }
+};
+
+export default MessageTemplateService;
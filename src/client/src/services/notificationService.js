@@ -0,0 +1,27 @@
+import API from './api';
+
+const NotificationService = {
+  // Outbox entries, newest first; params: { status, channel, template, customer, workOrder, page }
+  getNotifications: async (params = {}) => {
+    try {
+      const response = await API.get('/notifications', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching notifications:', error);
+      throw error;
+    }
+  },
+
+  // Send a failed notification again
+  retryNotification: async (id) => {
+    try {
+      const response = await API.post(`/notifications/${id}/retry`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error retrying notification ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default NotificationService;
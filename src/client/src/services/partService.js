@@ -144,6 +144,18 @@ const partService = {
     });
   },
 
+  // Record a stock movement (Received, Returned or Adjusted)
+  adjustStock: (id, movementData) => {
+    return api.post(`/parts/${id}/stock`, movementData);
+  },
+
+  // Get the stock movement ledger for a part
+  getStockMovements: (id, limit = 50) => {
+    return api.get(`/parts/${id}/movements`, {
+      params: { limit }
+    });
+  },
+
   // Format part for display
   formatPartForDisplay: (part) => {
     return {
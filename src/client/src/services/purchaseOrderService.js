@@ -0,0 +1,105 @@
+import API from './api';
+
+const PurchaseOrderService = {
+  // Get purchase orders
+  // filters: { status, vendor, workOrder, open }
+  getAllPurchaseOrders: async (filters = {}) => {
+    try {
+      const response = await API.get('/purchase-orders', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching purchase orders:', error);
+      throw error;
+    }
+  },
+
+  // Get work order parts that are not on a purchase order yet, grouped by vendor
+  getUnorderedParts: async () => {
+    try {
+      const response = await API.get('/purchase-orders/unordered-parts');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching unordered parts:', error);
+      throw error;
+    }
+  },
+
+  // Get a single purchase order
+  getPurchaseOrder: async (id) => {
+    try {
+      const response = await API.get(`/purchase-orders/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error fetching purchase order with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Create a draft purchase order
+  createPurchaseOrder: async (purchaseOrderData) => {
+    try {
+      const response = await API.post('/purchase-orders', purchaseOrderData);
+      return response.data;
+    } catch (error) {
+      console.error('Error creating purchase order:', error);
+      throw error;
+    }
+  },
+
+  // Update a purchase order
+  updatePurchaseOrder: async (id, purchaseOrderData) => {
+    try {
+      const response = await API.patch(`/purchase-orders/${id}`, purchaseOrderData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating purchase order with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Mark a draft as ordered with the vendor
+  placeOrder: async (id, orderData = {}) => {
+    try {
+      const response = await API.post(`/purchase-orders/${id}/order`, orderData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error placing purchase order with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Receive a delivery: { items: [{ item, quantity, backordered, expectedDate }], notes }
+  receivePurchaseOrder: async (id, receiptData) => {
+    try {
+      const response = await API.post(`/purchase-orders/${id}/receive`, receiptData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error receiving purchase order with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Cancel an order that has not been received
+  cancelPurchaseOrder: async (id, reason = '') => {
+    try {
+      const response = await API.post(`/purchase-orders/${id}/cancel`, { reason });
+      return response.data;
+    } catch (error) {
+      console.error(`Error cancelling purchase order with ID ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Delete a draft purchase order
+  deletePurchaseOrder: async (id) => {
+    try {
+      const response = await API.delete(`/purchase-orders/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting purchase order with ID ${id}:`, error);
+      throw error;
+    }
+  }
+};
+
+export default PurchaseOrderService;
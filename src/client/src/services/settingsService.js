@@ -0,0 +1,20 @@
+import api from './api';
+
+const SETTINGS_ENDPOINT = '/settings';
+
+// Fetch the shop settings
+export const getSettings = () => {
+  return api.get(SETTINGS_ENDPOINT);
+};
+
+// Update the shop settings (admin only)
+export const updateSettings = (settingsData) => {
+  return api.patch(SETTINGS_ENDPOINT, settingsData);
+};
+
+const settingsService = {
+  getSettings,
+  updateSettings,
+};
+
+export default settingsService;
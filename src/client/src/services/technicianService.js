@@ -32,6 +32,27 @@ export const reactivateTechnician = (id) => {
   return api.patch(`${TECHNICIANS_ENDPOINT}/${id}`, { isActive: true });
 };
 
+// Open booking slots, day by day
+// params: { from, to, duration, step, excludeAppointment } - dates as YYYY-MM-DD, duration/step in minutes
+export const getAvailability = (id, params) => {
+  return api.get(`${TECHNICIANS_ENDPOINT}/${id}/availability`, { params });
+};
+
+// Time off overlapping a date range (params: { technician, from, to })
+export const getTimeOff = (params = {}) => {
+  return api.get(`${TECHNICIANS_ENDPOINT}/time-off`, { params });
+};
+
+// Add time off for a technician
+export const createTimeOff = (id, timeOffData) => {
+  return api.post(`${TECHNICIANS_ENDPOINT}/${id}/time-off`, timeOffData);
+};
+
+// Remove a time off entry
+export const deleteTimeOff = (timeOffId) => {
+  return api.delete(`${TECHNICIANS_ENDPOINT}/time-off/${timeOffId}`);
+};
+
 // If you implement permanent delete on the server:
 // export const permanentlyDeleteTechnician = (id) => {
 //   return api.delete(`${TECHNICIANS_ENDPOINT}/${id}/permanent`);
@@ -44,6 +65,10 @@ const technicianService = {
   updateTechnician,
   deactivateTechnician,
   reactivateTechnician,
+  getAvailability,
+  getTimeOff,
+  createTimeOff,
+  deleteTimeOff,
   // permanentlyDeleteTechnician,
 };
 
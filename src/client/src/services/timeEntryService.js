@@ -0,0 +1,99 @@
+import API from './api';
+
+const TimeEntryService = {
+  // Get time entries, filtered by technician, work order and/or date range
+  getTimeEntries: async (filters = {}) => {
+    try {
+      const response = await API.get('/time-entries', { params: filters });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching time entries:', error);
+      throw error;
+    }
+  },
+
+  // Get a technician's open punch (data.entry is null when clocked out)
+  getClockStatus: async (technicianId) => {
+    try {
+      const response = await API.get('/time-entries/status', { params: { technician: technicianId } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching clock status:', error);
+      throw error;
+    }
+  },
+
+  // Clock in on a work order; pass switch: true to close a punch on another job first
+  clockIn: async ({ technician, workOrder, laborLine, notes, switch: switchJobs = false }) => {
+    try {
+      const response = await API.post('/time-entries/clock-in', {
+        technician,
+        workOrder,
+        laborLine,
+        notes,
+        switch: switchJobs
+      });
+      return response.data;
+    } catch (error) {
+      console.error('Error clocking in:', error);
+      throw error;
+    }
+  },
+
+  // Clock out or pause ('Clock Out' | 'Pause')
+  clockOut: async (technicianId, reason = 'Clock Out', notes) => {
+    try {
+      const response = await API.post('/time-entries/clock-out', { technician: technicianId, reason, notes });
+      return response.data;
+    } catch (error) {
+      console.error('Error clocking out:', error);
+      throw error;
+    }
+  },
+
+  // Correct a punch
+  updateTimeEntry: async (id, entryData) => {
+    try {
+      const response = await API.patch(`/time-entries/${id}`, entryData);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating time entry ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Delete a punch
+  deleteTimeEntry: async (id) => {
+    try {
+      const response = await API.delete(`/time-entries/${id}`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error deleting time entry ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Billed vs. actual hours per labor line on a work order
+  getLaborSummary: async (workOrderId) => {
+    try {
+      const response = await API.get('/time-entries/labor-summary', { params: { workOrder: workOrderId } });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching labor summary:', error);
+      throw error;
+    }
+  },
+
+  // Billed vs. worked hours per technician for a date range
+  getEfficiencyReport: async (params = {}) => {
+    try {
+      const response = await API.get('/time-entries/efficiency', { params });
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching efficiency report:', error);
+      throw error;
+    }
+  }
+};
+
+export default TimeEntryService;
@@ -152,6 +152,18 @@ const VehicleService = {
     }
   },
   
+  // Update a deferred recommendation
+  // data: { status: 'Open' | 'Completed' | 'Dismissed', notes }
+  updateRecommendation: async (id, recommendationId, data) => {
+    try {
+      const response = await API.patch(`/vehicles/${id}/recommendations/${recommendationId}`, data);
+      return response.data;
+    } catch (error) {
+      console.error(`Error updating recommendation ${recommendationId}:`, error);
+      throw error;
+    }
+  },
+  
   // Get mileage at a specific date (estimated if exact date not available)
   getMileageAtDate: async (id, date) => {
     try {
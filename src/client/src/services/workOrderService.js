@@ -2,6 +2,17 @@
 import API from './api';
 
 const WorkOrderService = {
+  // Get the open work orders and upcoming appointments assigned to the logged-in technician
+  getMyWorkOrders: async () => {
+    try {
+      const response = await API.get('/workorders/mine');
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching my work orders:', error);
+      throw error;
+    }
+  },
+
   // Get all work orders
   getAllWorkOrders: async (filters = {}) => {
     try {
@@ -67,9 +78,10 @@ const WorkOrderService = {
   },
 
   // Update work order status
-  updateStatus: async (id, status) => {
+  // options: { note, override } - override lets admins bypass the transition rules
+  updateStatus: async (id, status, options = {}) => {
     try {
-      const response = await API.patch(`/workorders/${id}/status`, { status });
+      const response = await API.patch(`/workorders/${id}/status`, { status, ...options });
       return response.data;
     } catch (error) {
       console.error(`Error updating status for work order with ID ${id}:`, error);
@@ -163,6 +175,39 @@ const WorkOrderService = {
       console.error(`Error splitting work order ${id}:`, error);
       throw error;
     }
+  },
+
+  // Create the customer status page link, or extend the current one
+  createStatusLink: async (id, expiresInDays) => {
+    try {
+      const response = await API.post(`/workorders/${id}/status-link`, { expiresInDays });
+      return response.data;
+    } catch (error) {
+      console.error(`Error creating status link for work order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Turn off the customer status page link
+  revokeStatusLink: async (id) => {
+    try {
+      const response = await API.delete(`/workorders/${id}/status-link`);
+      return response.data;
+    } catch (error) {
+      console.error(`Error revoking status link for work order ${id}:`, error);
+      throw error;
+    }
+  },
+
+  // Public: customer status page by link token
+  getPublicStatus: async (token) => {
+    try {
+      const response = await API.get(`/public/work-orders/${token}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error fetching work order status:', error);
+      throw error;
+    }
   }
 };
 
@@ -37,15 +37,34 @@ export const formatCurrency = (amount, currencyCode = 'USD', locale = 'en-US') =
     return new Intl.DateTimeFormat(locale, { ...defaultOptions, ...options }).format(dateObj);
   };
 
+// Shop timezone used for displaying dates; updated from the shop settings once they load
+let shopTimezone = 'America/New_York';
+
+/**
+ * Set the timezone used by the date formatters
+ * @param {string} timezone - IANA timezone name
+ */
+export const setShopTimezone = (timezone) => {
+  if (timezone && moment.tz.zone(timezone)) {
+    shopTimezone = timezone;
+  }
+};
+
+/**
+ * Get the shop timezone
+ * @returns {string} IANA timezone name
+ */
+export const getShopTimezone = () => shopTimezone;
+
 /**
- * Format a UTC date string or Date object to a specified format in America/New_York timezone.
+ * Format a UTC date string or Date object to a specified format in the shop timezone.
  * @param {string|Date} utcDate - The UTC date to format.
  * @param {string} formatString - The moment.js format string.
- * @returns {string} Formatted date-time string in ET.
+ * @returns {string} Formatted date-time string in shop time.
  */
 export const formatDateTimeToET = (utcDate, formatString = 'MMM D, YYYY, h:mm A') => {
   if (!utcDate) return '';
-  return moment.utc(utcDate).tz('America/New_York').format(formatString);
+  return moment.utc(utcDate).tz(shopTimezone).format(formatString);
 };
   
   /**
@@ -1,6 +1,5 @@
 // src/server/app.js
 const express = require('express');
-const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path'); // Import path module
@@ -12,7 +11,6 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const helmet = require('helmet');
 const mongoSanitize = require('express-mongo-sanitize');
-const { xss } = require('express-xss-sanitizer');
 const cookieParser = require('cookie-parser');
 const compression = require('compression');
 
@@ -33,6 +31,18 @@ const partRoutes = require('./routes/partRoutes'); // Import part routes
 const vinRoutes = require('./routes/vinRoutes'); // Import VIN routes
 const registrationRoutes = require('./routes/registrationRoutes'); // Import registration routes
 const searchRoutes = require('./routes/searchRoutes'); // Import search routes
+const settingsRoutes = require('./routes/settingsRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const estimateRoutes = require('./routes/estimateRoutes');
+const inspectionRoutes = require('./routes/inspectionRoutes');
+const timeEntryRoutes = require('./routes/timeEntryRoutes');
+const bayRoutes = require('./routes/bayRoutes');
+const publicRoutes = require('./routes/publicRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const messageRoutes = require('./routes/messageRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const messageTemplateRoutes = require('./routes/messageTemplateRoutes');
 
 // Initialize Express app
 const app = express();
@@ -43,6 +53,17 @@ app.set('trust proxy', 1);
 // Set security HTTP headers
 app.use(helmet());
 
+// The online booking page can be embedded in the shop's own website (BOOKING_EMBED_ORIGINS, space separated)
+app.use('/book', (req, res, next) => {
+  const allowedOrigins = process.env.BOOKING_EMBED_ORIGINS || '*';
+  res.removeHeader('X-Frame-Options');
+  const csp = res.getHeader('Content-Security-Policy');
+  if (csp) {
+    res.setHeader('Content-Security-Policy', csp.replace(/frame-ancestors [^;]*/, `frame-ancestors ${allowedOrigins}`));
+  }
+  next();
+});
+
 // Development logging
 if (process.env.NODE_ENV === 'development') {
   app.use(morgan('dev'));
@@ -69,7 +90,13 @@ if (process.env.NODE_ENV === 'production') {
 }
 
 // Body parser, reading data from body into req.body
-app.use(express.json({ limit: '10mb' })); // Increased for image uploads
+app.use(express.json({
+  limit: '10mb', // Increased for image uploads
+  // Signed webhooks are verified against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks')) req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' })); // Increased for image uploads
 app.use(cookieParser());
 
@@ -101,6 +128,18 @@ app.use('/api/parts', partRoutes); // Use part routes
 app.use('/api/vin', vinRoutes); // Use VIN routes
 app.use('/api/registration', registrationRoutes); // Use registration routes
 app.use('/api/search', searchRoutes); // Use search routes
+app.use('/api/settings', settingsRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/estimates', estimateRoutes);
+app.use('/api/inspections', inspectionRoutes);
+app.use('/api/time-entries', timeEntryRoutes);
+app.use('/api/bays', bayRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/messages', messageRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/message-templates', messageTemplateRoutes);
+app.use('/api/webhooks', webhookRoutes); // Twilio and SendGrid callbacks (signature checked, no login)
+app.use('/api/public', publicRoutes); // Token-based customer pages (no login)
 
 // Serve static assets in production
 if (process.env.NODE_ENV === 'production') {
@@ -2,16 +2,25 @@ const Appointment = require('../models/Appointment');
 const Customer = require('../models/Customer');
 const Vehicle = require('../models/Vehicle');
 const WorkOrder = require('../models/WorkOrder');
+const ShopSettings = require('../models/ShopSettings');
 const moment = require('moment-timezone');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const twilioService = require('../services/twilioService');
 const emailService = require('../services/emailService');
 
-const AMERICA_NEW_YORK = "America/New_York";
+// Build the error returned when a booking conflicts and was not overridden
+const conflictError = (conflicts) => new AppError(
+  `Scheduling conflict: ${conflicts.map(conflict => conflict.message).join('; ')}. Pick another time or bay, or override the conflict.`,
+  409
+);
+
+// Truthy values the client may send for the override flag
+const isOverride = (value) => value === true || value === 'true';
 
 // Get all appointments
 exports.getAllAppointments = catchAsync(async (req, res, next) => {
+  const timezone = await ShopSettings.getTimezone();
   // Allow filtering by date range, status, technician
   const { startDate, endDate, status, technician } = req.query;
   
@@ -25,10 +34,10 @@ exports.getAllAppointments = catchAsync(async (req, res, next) => {
   if (startDate || endDate) {
     query.startTime = {};
     if (startDate) {
-      query.startTime.$gte = moment.tz(startDate, AMERICA_NEW_YORK).startOf('day').utc().toDate();
+      query.startTime.$gte = moment.tz(startDate, timezone).startOf('day').utc().toDate();
     }
     if (endDate) {
-      query.startTime.$lte = moment.tz(endDate, AMERICA_NEW_YORK).endOf('day').utc().toDate();
+      query.startTime.$lte = moment.tz(endDate, timezone).endOf('day').utc().toDate();
     }
   }
   
@@ -36,6 +45,7 @@ exports.getAllAppointments = catchAsync(async (req, res, next) => {
   .populate('customer', 'name phone email')
   .populate('vehicle', 'year make model')
   .populate('technician', 'name specialization') // Populate technician
+  .populate('bay', 'name type')
   .populate({ path: 'workOrder', select: 'status' }) // Populate workOrder status
   .sort({ startTime: 1 });
   
@@ -54,7 +64,8 @@ exports.getAppointment = catchAsync(async (req, res, next) => {
     .populate('customer', 'name phone email')
     .populate('vehicle', 'year make model vin')
     .populate('workOrder')
-    .populate('technician', 'name specialization'); // Populate technician
+    .populate('technician', 'name specialization') // Populate technician
+    .populate('bay', 'name type');
   
   if (!appointment) {
     return next(new AppError('No appointment found with that ID', 404));
@@ -70,6 +81,7 @@ exports.getAppointment = catchAsync(async (req, res, next) => {
 
 // Create a new appointment
 exports.createAppointment = catchAsync(async (req, res, next) => {
+  const timezone = await ShopSettings.getTimezone();
   // Verify customer exists
   const customer = await Customer.findById(req.body.customer);
   if (!customer) {
@@ -91,24 +103,17 @@ exports.createAppointment = catchAsync(async (req, res, next) => {
     }
   }
   
-  // Check for scheduling conflicts
-  const newStartTime = moment.tz(req.body.startTime, AMERICA_NEW_YORK).utc().toDate();
-  const newEndTime = moment.tz(req.body.endTime, AMERICA_NEW_YORK).utc().toDate();
+  // Check technician and bay availability
+  const newStartTime = moment.tz(req.body.startTime, timezone).utc().toDate();
+  const newEndTime = moment.tz(req.body.endTime, timezone).utc().toDate();
 
-  if (req.body.technician) {
-    const conflicts = await Appointment.checkConflicts(
-      newStartTime,
-      newEndTime,
-      req.body.technician
-    );
-    // if (conflicts.length > 0) {
-    //   return next(
-    //     new AppError('There is a scheduling conflict with another appointment', 400)
-    //   );
-    // }
-    // TODO: Frontend should be updated to warn about conflicts.
-    // For now, backend will allow scheduling despite conflicts.
-    // Optionally, we could add conflict info to the response here.
+  const availability = await Appointment.checkConflicts(newStartTime, newEndTime, {
+    technician: req.body.technician || null,
+    bay: req.body.bay || null,
+    serviceType: req.body.serviceType
+  });
+  if (availability.conflicts.length > 0 && !isOverride(req.body.overrideConflicts)) {
+    return next(conflictError(availability.conflicts));
   }
   
   const appointmentData = { 
@@ -116,6 +121,14 @@ exports.createAppointment = catchAsync(async (req, res, next) => {
     startTime: newStartTime,
     endTime: newEndTime
   };
+  delete appointmentData.overrideConflicts;
+
+  // Use the chosen bay, or the free bay picked for this service type
+  if (availability.bay) {
+    appointmentData.bay = availability.bay._id;
+  } else if (!appointmentData.bay) {
+    delete appointmentData.bay;
+  }
 
   // If vehicle is null or empty string, ensure it's not passed to Mongoose as an empty string
   if (!req.body.vehicle || req.body.vehicle === '') {
@@ -157,11 +170,17 @@ exports.createAppointment = catchAsync(async (req, res, next) => {
       // Update work order status based on current status when scheduling
       if (workOrderToUpdate.status === 'Work Order Created') {
         // New work orders need inspection/diagnosis first
-        workOrderToUpdate.status = 'Inspection/Diag Scheduled'; 
+        workOrderToUpdate.recordStatusChange('Inspection/Diag Scheduled', {
+          user: req.user,
+          note: 'Appointment scheduled'
+        });
         woNeedsSave = true;
       } else if (workOrderToUpdate.status === 'Inspection/Diag Complete' || workOrderToUpdate.status === 'Parts Received') {
         // Work orders that have completed inspection or have parts ready need repair scheduling
-        workOrderToUpdate.status = 'Repair Scheduled';
+        workOrderToUpdate.recordStatusChange('Repair Scheduled', {
+          user: req.user,
+          note: 'Appointment scheduled'
+        });
         woNeedsSave = true;
       }
       if (woNeedsSave) {
@@ -206,6 +225,7 @@ exports.createAppointment = catchAsync(async (req, res, next) => {
     .populate('customer', 'name phone email')
     .populate('vehicle', 'year make model vin') // Added vin
     .populate('technician', 'name specialization')
+    .populate('bay', 'name type')
     .populate({ // Populate workOrder and its relevant fields
       path: 'workOrder',
       populate: [
@@ -225,42 +245,47 @@ exports.createAppointment = catchAsync(async (req, res, next) => {
 
 // Update an appointment
 exports.updateAppointment = catchAsync(async (req, res, next) => {
+  const timezone = await ShopSettings.getTimezone();
   const appointment = await Appointment.findById(req.params.id);
   
   if (!appointment) {
     return next(new AppError('No appointment found with that ID', 404));
   }
   
-  // Check for scheduling conflicts if time or technician is changing
-  if ((req.body.startTime || req.body.endTime || req.body.technician) && 
-      appointment.status !== 'Cancelled' && 
-      appointment.status !== 'Completed') {
-    
+  const updates = { ...req.body };
+  delete updates.overrideConflicts;
+
+  // Check technician and bay availability if the booking is changing
+  const schedulingChanged = ['startTime', 'endTime', 'technician', 'bay', 'serviceType']
+    .some(field => req.body[field] !== undefined);
+  const nextStatus = req.body.status || appointment.status;
+
+  if (schedulingChanged && !Appointment.INACTIVE_STATUSES.includes(nextStatus)) {
     const startTime = req.body.startTime
-      ? moment.tz(req.body.startTime, AMERICA_NEW_YORK).utc().toDate()
+      ? moment.tz(req.body.startTime, timezone).utc().toDate()
       : appointment.startTime;
       
     const endTime = req.body.endTime
-      ? moment.tz(req.body.endTime, AMERICA_NEW_YORK).utc().toDate()
+      ? moment.tz(req.body.endTime, timezone).utc().toDate()
       : appointment.endTime;
       
-    const technician = req.body.technician || appointment.technician;
+    const technician = req.body.technician !== undefined ? req.body.technician : appointment.technician;
+    // An empty bay asks for the first free bay of the right type
+    const bay = req.body.bay !== undefined ? req.body.bay : appointment.bay;
     
-    const conflicts = await Appointment.checkConflicts(
-      startTime,
-      endTime,
-      technician,
-      req.params.id // Exclude this appointment from conflict check
-    );
+    const availability = await Appointment.checkConflicts(startTime, endTime, {
+      technician: technician || null,
+      bay: bay || null,
+      serviceType: req.body.serviceType || appointment.serviceType,
+      excludeId: req.params.id // Exclude this appointment from conflict check
+    });
     
-    // if (conflicts.length > 0) {
-    //   return next(
-    //     new AppError('There is a scheduling conflict with another appointment', 400)
-    //   );
-    // }
-    // TODO: Frontend should be updated to warn about conflicts.
-    // For now, backend will allow scheduling despite conflicts.
-    // Optionally, we could add conflict info to the response here.
+    if (availability.conflicts.length > 0 && !isOverride(req.body.overrideConflicts)) {
+      return next(conflictError(availability.conflicts));
+    }
+    updates.bay = availability.bay ? availability.bay._id : (bay || null);
+  } else if (updates.bay === '') {
+    updates.bay = null;
   }
   
   // If status is changing to 'Completed', check/update related work order
@@ -303,14 +328,15 @@ exports.updateAppointment = catchAsync(async (req, res, next) => {
   
   const updatedAppointment = await Appointment.findByIdAndUpdate(
     req.params.id,
-    req.body,
+    updates,
     {
       new: true,
       runValidators: true
     }
   ).populate('customer', 'name phone email communicationPreference')
    .populate('vehicle', 'year make model')
-   .populate('technician', 'name specialization'); // Populate technician
+   .populate('technician', 'name specialization') // Populate technician
+   .populate('bay', 'name type');
 
   // If technician was changed and there's an associated work order, update it
   if (req.body.technician && updatedAppointment.workOrder) {
@@ -405,7 +431,7 @@ exports.createWorkOrderFromAppointment = catchAsync(async (req, res, next) => {
     );
   }
   
-  const result = await appointment.createWorkOrder();
+  await appointment.createWorkOrder();
   
   // Get the newly created work order
   const workOrder = await WorkOrder.findById(appointment.workOrder);
@@ -421,6 +447,7 @@ exports.createWorkOrderFromAppointment = catchAsync(async (req, res, next) => {
 
 // Get appointments by date range
 exports.getAppointmentsByDateRange = catchAsync(async (req, res, next) => {
+  const timezone = await ShopSettings.getTimezone();
   const { startDate, endDate } = req.params;
   
   if (!startDate || !endDate) {
@@ -429,8 +456,8 @@ exports.getAppointmentsByDateRange = catchAsync(async (req, res, next) => {
     );
   }
   
-  const start = moment.tz(startDate, AMERICA_NEW_YORK).startOf('day').utc().toDate();
-  const end = moment.tz(endDate, AMERICA_NEW_YORK).endOf('day').utc().toDate();
+  const start = moment.tz(startDate, timezone).startOf('day').utc().toDate();
+  const end = moment.tz(endDate, timezone).endOf('day').utc().toDate();
   
   if (!moment(start).isValid() || !moment(end).isValid()) {
     return next(
@@ -444,6 +471,7 @@ exports.getAppointmentsByDateRange = catchAsync(async (req, res, next) => {
   .populate('customer', 'name phone email')
   .populate('vehicle', 'year make model')
   .populate('technician', 'name specialization') // Populate technician
+  .populate('bay', 'name type')
   .populate({ path: 'workOrder', select: 'status' }) // Populate workOrder status
   .sort({ startTime: 1 });
   
@@ -466,37 +494,38 @@ exports.sendAppointmentReminder = catchAsync(async (req, res, next) => {
     return next(new AppError('No appointment found with that ID', 404));
   }
   
+  let sent;
   if (appointment.customer.communicationPreference === 'SMS' && 
       appointment.customer.phone) {
-    await twilioService.sendAppointmentReminder(
+    sent = await twilioService.sendAppointmentReminder(
       appointment,
       appointment.customer,
       appointment.vehicle
     );
-    
-    // Update appointment to mark reminder as sent
-    appointment.reminder.sent = true;
-    appointment.reminder.sentAt = new Date();
-    await appointment.save({ validateBeforeSave: false });
-    
   } else if (appointment.customer.communicationPreference === 'Email' && 
              appointment.customer.email) {
-    await emailService.sendAppointmentConfirmation(
+    sent = await emailService.sendAppointmentConfirmation(
       appointment,
       appointment.customer,
       appointment.vehicle
     );
-    
-    // Update appointment to mark reminder as sent
-    appointment.reminder.sent = true;
-    appointment.reminder.sentAt = new Date();
-    await appointment.save({ validateBeforeSave: false });
   } else {
     return next(
       new AppError('Customer has no valid communication preference set', 400)
     );
   }
   
+  if (!sent) {
+    return next(
+      new AppError(`The ${appointment.customer.communicationPreference === 'SMS' ? 'reminder text' : 'confirmation email'} template is turned off`, 400)
+    );
+  }
+  
+  // Update appointment to mark reminder as sent
+  appointment.reminder.sent = true;
+  appointment.reminder.sentAt = new Date();
+  await appointment.save({ validateBeforeSave: false });
+  
   res.status(200).json({
     status: 'success',
     message: 'Appointment reminder sent successfully',
@@ -508,7 +537,8 @@ exports.sendAppointmentReminder = catchAsync(async (req, res, next) => {
 
 // Check for scheduling conflicts
 exports.checkConflicts = catchAsync(async (req, res, next) => {
-  const { startTime, endTime, technician } = req.body;
+  const timezone = await ShopSettings.getTimezone();
+  const { startTime, endTime, technician, bay, serviceType } = req.body;
   
   if (!startTime || !endTime) {
     return next(
@@ -516,8 +546,8 @@ exports.checkConflicts = catchAsync(async (req, res, next) => {
     );
   }
   
-  const start = moment.tz(startTime, AMERICA_NEW_YORK).utc().toDate();
-  const end = moment.tz(endTime, AMERICA_NEW_YORK).utc().toDate();
+  const start = moment.tz(startTime, timezone).utc().toDate();
+  const end = moment.tz(endTime, timezone).utc().toDate();
   
   if (!moment(start).isValid() || !moment(end).isValid()) {
     return next(
@@ -528,27 +558,30 @@ exports.checkConflicts = catchAsync(async (req, res, next) => {
   // Optional appointmentId to exclude from conflict check (for updates)
   const { appointmentId } = req.query;
   
-  const conflicts = await Appointment.checkConflicts(
-    start,
-    end,
-    technician,
-    appointmentId
-  );
+  const { conflicts, bay: assignedBay, requiredBayType } = await Appointment.checkConflicts(start, end, {
+    technician: technician || null,
+    bay: bay || null,
+    serviceType,
+    excludeId: appointmentId
+  });
   
   res.status(200).json({
     status: 'success',
     results: conflicts.length,
     data: {
       hasConflicts: conflicts.length > 0,
-      conflicts
+      conflicts,
+      bay: assignedBay,
+      requiredBayType
     }
   });
 });
 
 // Get today's appointments
 exports.getTodayAppointments = catchAsync(async (req, res, next) => {
-  const todayStart = moment.tz(AMERICA_NEW_YORK).startOf('day').utc().toDate();
-  const tomorrowStart = moment.tz(AMERICA_NEW_YORK).add(1, 'day').startOf('day').utc().toDate();
+  const timezone = await ShopSettings.getTimezone();
+  const todayStart = moment.tz(timezone).startOf('day').utc().toDate();
+  const tomorrowStart = moment.tz(timezone).add(1, 'day').startOf('day').utc().toDate();
   
   const appointments = await Appointment.find({
     startTime: { $gte: todayStart, $lt: tomorrowStart }
@@ -556,6 +589,7 @@ exports.getTodayAppointments = catchAsync(async (req, res, next) => {
   .populate('customer', 'name phone email')
   .populate('vehicle', 'year make model')
   .populate('technician', 'name specialization') // Populate technician
+  .populate('bay', 'name type')
   .sort({ startTime: 1 });
   
   res.status(200).json({
@@ -580,6 +614,7 @@ exports.getCustomerAppointments = catchAsync(async (req, res, next) => {
   const appointments = await Appointment.find({ customer: customerId })
     .populate('vehicle', 'year make model')
     .populate('technician', 'name specialization') // Populate technician
+    .populate('bay', 'name type')
     .sort({ startTime: -1 });
   
   res.status(200).json({
@@ -604,6 +639,7 @@ exports.getVehicleAppointments = catchAsync(async (req, res, next) => {
   
   const appointments = await Appointment.find({ vehicle: vehicleId })
     .populate('technician', 'name specialization') // Populate technician
+    .populate('bay', 'name type')
     .sort({ startTime: -1 });
   
   res.status(200).json({
@@ -5,6 +5,7 @@ const User = require('../models/User');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const emailService = require('../services/emailService');
+const { can } = require('../utils/permissions');
 
 // Create JWT token
 const signToken = id => {
@@ -43,10 +44,10 @@ const createSendToken = (user, statusCode, res) => {
   });
 };
 
-// Sign up new user
+// Create a staff login (admin only - see authRoutes). The admin stays logged in
+// as themselves; the new user logs in with the password they were given.
 exports.signup = catchAsync(async (req, res, next) => {
-  // Restrict role to prevent creating admin users via signup
-  // This allows creating technicians but not admins
+  // Admin accounts are not created here
   const allowedRoles = ['technician', 'service-writer', 'parts-manager'];
   
   if (req.body.role && !allowedRoles.includes(req.body.role)) {
@@ -61,7 +62,15 @@ exports.signup = catchAsync(async (req, res, next) => {
     role: req.body.role
   });
   
-  createSendToken(newUser, 201, res);
+  // Remove password from output
+  newUser.password = undefined;
+  
+  res.status(201).json({
+    status: 'success',
+    data: {
+      user: newUser
+    }
+  });
 });
 
 // Log in user
@@ -151,6 +160,20 @@ exports.restrictTo = (...roles) => {
   };
 };
 
+// Restrict routes using the role permission matrix
+exports.authorize = (resource, action) => {
+  return (req, res, next) => {
+    // resource/action pairs are defined in utils/permissions.js
+    if (!can(req.user.role, resource, action)) {
+      return next(
+        new AppError('You do not have permission to perform this action', 403)
+      );
+    }
+    
+    next();
+  };
+};
+
 // Forgot password
 exports.forgotPassword = catchAsync(async (req, res, next) => {
   // 1) Get user based on posted email
@@ -174,7 +197,9 @@ exports.forgotPassword = catchAsync(async (req, res, next) => {
     await emailService.sendEmail({
       to: user.email,
       subject: 'Your password reset token (valid for 10 minutes)',
-      text: message
+      text: message,
+      template: 'password-reset',
+      retry: false // The token is cleared if this send fails
     });
     
     res.status(200).json({
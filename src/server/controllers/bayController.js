@@ -0,0 +1,86 @@
+const Bay = require('../models/Bay');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Get all bays (active only unless ?isActive=false or ?all=true)
+exports.getAllBays = catchAsync(async (req, res, next) => {
+  const query = {};
+  if (req.query.all !== 'true') {
+    query.isActive = req.query.isActive !== 'false';
+  }
+
+  const bays = await Bay.find(query).sort({ sortOrder: 1, name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: bays.length,
+    data: {
+      bays,
+      bayTypes: Bay.BAY_TYPES
+    }
+  });
+});
+
+// Get a single bay
+exports.getBay = catchAsync(async (req, res, next) => {
+  const bay = await Bay.findById(req.params.id);
+
+  if (!bay) {
+    return next(new AppError('No bay found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bay
+    }
+  });
+});
+
+// Create a bay
+exports.createBay = catchAsync(async (req, res, next) => {
+  const bay = await Bay.create(req.body);
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      bay
+    }
+  });
+});
+
+// Update a bay
+exports.updateBay = catchAsync(async (req, res, next) => {
+  const bay = await Bay.findByIdAndUpdate(req.params.id, req.body, {
+    new: true,
+    runValidators: true
+  });
+
+  if (!bay) {
+    return next(new AppError('No bay found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      bay
+    }
+  });
+});
+
+// Take a bay out of service (soft delete so past appointments keep their bay)
+exports.deleteBay = catchAsync(async (req, res, next) => {
+  const bay = await Bay.findByIdAndUpdate(req.params.id, { isActive: false }, { new: true });
+
+  if (!bay) {
+    return next(new AppError('No bay found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Bay taken out of service',
+    data: {
+      bay
+    }
+  });
+});
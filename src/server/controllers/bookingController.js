@@ -0,0 +1,315 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const Customer = require('../models/Customer');
+const Vehicle = require('../models/Vehicle');
+const ShopSettings = require('../models/ShopSettings');
+const availabilityService = require('../services/availabilityService');
+const twilioService = require('../services/twilioService');
+const emailService = require('../services/emailService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Most days the slots endpoint returns in one request
+const MAX_SLOT_DAYS = 7;
+
+// Online booking settings, or an error if the shop has not turned booking on
+const getBookingSettings = async () => {
+  const settings = await ShopSettings.getSettings();
+  if (!settings.onlineBooking || !settings.onlineBooking.enabled) {
+    throw new AppError('Online booking is not available. Please call the shop to book.', 404);
+  }
+  return settings;
+};
+
+const findService = (settings, name) => settings.onlineBooking.services.find(service => service.name === name);
+
+// First and last days a customer can book, in shop time
+const getBookingWindow = (settings) => {
+  const earliest = moment.tz(settings.timezone).add(settings.onlineBooking.leadTimeHours, 'hours');
+  const lastDay = moment.tz(settings.timezone).add(settings.onlineBooking.maxDaysAhead, 'days').endOf('day');
+  return { earliest, lastDay };
+};
+
+// 10-digit US number from whatever the customer typed, or null
+const toTenDigits = (phone) => {
+  if (typeof phone !== 'string') return null;
+  const digits = phone.replace(/[^\d]/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) return digits.slice(1);
+  return digits.length === 10 ? digits : null;
+};
+
+const isText = (value) => typeof value === 'string';
+
+const formatPhone = (digits) => `${digits.slice(0, 3)}-${digits.slice(3, 6)}-${digits.slice(6)}`;
+
+// Send the booking confirmation the customer prefers; failures are logged, not fatal
+const sendConfirmation = async (appointment) => {
+  const customer = await Customer.findById(appointment.customer);
+  const vehicle = appointment.vehicle ? await Vehicle.findById(appointment.vehicle) : null;
+  if (!customer) return;
+
+  try {
+    if (customer.communicationPreference === 'SMS' && customer.phone) {
+      await twilioService.sendAppointmentReminder(appointment, customer, vehicle);
+    } else if (customer.communicationPreference === 'Email' && customer.email) {
+      await emailService.sendAppointmentConfirmation(appointment, customer, vehicle);
+    }
+  } catch (err) {
+    console.error('Failed to send booking confirmation:', err);
+  }
+};
+
+// Public: what can be booked online
+// GET /api/public/booking
+exports.getBookingOptions = catchAsync(async (req, res, next) => {
+  const settings = await getBookingSettings();
+  const { earliest, lastDay } = getBookingWindow(settings);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      businessName: settings.businessName,
+      businessPhone: settings.businessPhone,
+      businessLogo: settings.businessLogo,
+      timezone: settings.timezone,
+      instructions: settings.onlineBooking.instructions,
+      services: settings.onlineBooking.services,
+      firstDate: earliest.format('YYYY-MM-DD'),
+      lastDate: lastDay.format('YYYY-MM-DD')
+    }
+  });
+});
+
+// Public: open start times for a service
+// GET /api/public/booking/slots?service=Oil%20Change&from=YYYY-MM-DD&days=7
+exports.getBookingSlots = catchAsync(async (req, res, next) => {
+  const settings = await getBookingSettings();
+  const service = findService(settings, req.query.service);
+  if (!service) {
+    return next(new AppError('Please choose one of the listed services', 400));
+  }
+
+  const { earliest, lastDay } = getBookingWindow(settings);
+  const requested = moment.tz(req.query.from, 'YYYY-MM-DD', true, settings.timezone);
+  const from = requested.isValid() && requested.isAfter(earliest)
+    ? requested.startOf('day')
+    : earliest.clone().startOf('day');
+  const days = Math.min(Math.max(parseInt(req.query.days, 10) || 1, 1), MAX_SLOT_DAYS);
+  const to = moment.min(from.clone().add(days - 1, 'days'), lastDay);
+
+  const availability = from.isAfter(lastDay)
+    ? []
+    : await availabilityService.getShopAvailability({
+      from: from.format('YYYY-MM-DD'),
+      to: to.format('YYYY-MM-DD'),
+      duration: service.duration,
+      serviceType: service.name,
+      earliest: earliest.toDate()
+    });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      service,
+      days: availability
+    }
+  });
+});
+
+// Public: book an appointment. It is created as 'Scheduled' and waits in the staff review queue.
+// POST /api/public/booking
+exports.createBooking = catchAsync(async (req, res, next) => {
+  const settings = await getBookingSettings();
+  const { name, email, concern } = req.body;
+  // Anyone can post here, so check every field is the kind of value the form sends
+  const vehicle = req.body.vehicle === undefined ? {} : req.body.vehicle;
+  if (!vehicle || typeof vehicle !== 'object' || Array.isArray(vehicle)) {
+    return next(new AppError('Please enter your vehicle year, make and model', 400));
+  }
+
+  const service = typeof req.body.service === 'string' && findService(settings, req.body.service);
+  if (!service) {
+    return next(new AppError('Please choose one of the listed services', 400));
+  }
+  if (!isText(name) || !name.trim()) {
+    return next(new AppError('Please enter your name', 400));
+  }
+  const phone = toTenDigits(req.body.phone);
+  if (!phone) {
+    return next(new AppError('Please enter a 10-digit phone number', 400));
+  }
+  if (email !== undefined && email !== null && !isText(email)) {
+    return next(new AppError('Please enter a valid email address', 400));
+  }
+  const year = typeof vehicle.year === 'number' || isText(vehicle.year) ? parseInt(vehicle.year, 10) : NaN;
+  if (!year || year < 1900 || year > new Date().getFullYear() + 1 ||
+    !isText(vehicle.make) || !vehicle.make.trim() || !isText(vehicle.model) || !vehicle.model.trim()) {
+    return next(new AppError('Please enter your vehicle year, make and model', 400));
+  }
+  if (concern !== undefined && concern !== null && !isText(concern)) {
+    return next(new AppError('Please describe the problem in words', 400));
+  }
+  if (concern && concern.length > 1000) {
+    return next(new AppError('Please keep the description under 1000 characters', 400));
+  }
+  if (!isText(req.body.startTime)) {
+    return next(new AppError('Please choose a time', 400));
+  }
+
+  // The start time must still be one of the open slots. This also checks
+  // capacity: pending online bookings hold a technician until staff assign one.
+  const start = moment.tz(req.body.startTime, moment.ISO_8601, true, settings.timezone);
+  if (!start.isValid()) {
+    return next(new AppError('Please choose a time', 400));
+  }
+  const { earliest } = getBookingWindow(settings);
+  const date = start.format('YYYY-MM-DD');
+  const [day] = await availabilityService.getShopAvailability({
+    from: date,
+    to: date,
+    duration: service.duration,
+    serviceType: service.name,
+    earliest: earliest.toDate()
+  });
+  if (!day.slots.includes(start.toISOString())) {
+    return next(new AppError('That time is no longer available. Please choose another.', 409));
+  }
+  const end = start.clone().add(service.duration, 'minutes');
+
+  const availability = await Appointment.checkConflicts(start.toDate(), end.toDate(), { serviceType: service.name });
+  if (availability.conflicts.length > 0) {
+    return next(new AppError('That time is no longer available. Please choose another.', 409));
+  }
+
+  // Match the customer the same way staff look them up; never change an existing record from this form
+  let customer = await Customer.findByPhone(phone);
+  const newCustomer = !customer;
+  if (!customer) {
+    customer = await Customer.create({
+      name: name.trim(),
+      phone: formatPhone(phone),
+      email: email || undefined,
+      notes: 'Added by online booking'
+    });
+  }
+
+  const vehicles = await Vehicle.find({ customer: customer._id });
+  const sameText = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+  let bookedVehicle = vehicles.find(entry =>
+    entry.year === year && sameText(entry.make, vehicle.make) && sameText(entry.model, vehicle.model)
+  );
+  if (!bookedVehicle) {
+    bookedVehicle = await Vehicle.create({
+      customer: customer._id,
+      year,
+      make: vehicle.make,
+      model: vehicle.model
+    });
+    customer.vehicles.push(bookedVehicle._id);
+    await customer.save({ validateBeforeSave: false });
+  }
+
+  const appointment = await Appointment.create({
+    customer: customer._id,
+    vehicle: bookedVehicle._id,
+    serviceType: service.name,
+    startTime: start.toDate(),
+    endTime: end.toDate(),
+    bay: availability.bay ? availability.bay._id : undefined,
+    notes: concern,
+    status: 'Scheduled',
+    onlineBooking: {
+      reviewStatus: 'Pending',
+      submittedAt: new Date(),
+      name: name.trim(),
+      phone: formatPhone(phone),
+      email,
+      vehicleDescription: `${year} ${vehicle.make} ${vehicle.model}`,
+      concern,
+      newCustomer
+    }
+  });
+
+  // Only echo back what the customer entered
+  res.status(201).json({
+    status: 'success',
+    data: {
+      booking: {
+        reference: appointment._id.toString().slice(-6).toUpperCase(),
+        service: service.name,
+        startTime: appointment.startTime,
+        endTime: appointment.endTime
+      }
+    }
+  });
+});
+
+// Online bookings for staff review, soonest first
+// GET /api/appointments/booking-requests?reviewStatus=Pending
+exports.getBookingRequests = catchAsync(async (req, res, next) => {
+  const reviewStatus = req.query.reviewStatus || 'Pending';
+  if (!Appointment.BOOKING_REVIEW_STATUSES.includes(reviewStatus)) {
+    return next(new AppError(`Review status must be one of: ${Appointment.BOOKING_REVIEW_STATUSES.join(', ')}`, 400));
+  }
+
+  const appointments = await Appointment.find({ 'onlineBooking.reviewStatus': reviewStatus })
+    .populate('customer', 'name phone email communicationPreference')
+    .populate('vehicle', 'year make model')
+    .populate('technician', 'name')
+    .populate('bay', 'name type')
+    .sort(reviewStatus === 'Pending' ? { startTime: 1 } : { 'onlineBooking.reviewedAt': -1 })
+    .limit(200);
+
+  res.status(200).json({
+    status: 'success',
+    results: appointments.length,
+    data: {
+      appointments
+    }
+  });
+});
+
+// Approve (confirm) or decline (cancel) an online booking
+// PATCH /api/appointments/:id/review { decision: 'approve' | 'decline', note }
+exports.reviewBooking = catchAsync(async (req, res, next) => {
+  const { decision, note } = req.body;
+  if (!['approve', 'decline'].includes(decision)) {
+    return next(new AppError('Decision must be approve or decline', 400));
+  }
+
+  const appointment = await Appointment.findById(req.params.id);
+  if (!appointment) {
+    return next(new AppError('No appointment found with that ID', 404));
+  }
+  if (!appointment.onlineBooking || appointment.onlineBooking.reviewStatus !== 'Pending') {
+    return next(new AppError('This appointment is not waiting for review', 400));
+  }
+
+  appointment.onlineBooking.reviewStatus = decision === 'approve' ? 'Approved' : 'Declined';
+  appointment.onlineBooking.reviewedBy = req.user.name;
+  appointment.onlineBooking.reviewedAt = new Date();
+  appointment.onlineBooking.reviewNote = note;
+  if (decision === 'approve') {
+    if (appointment.status === 'Scheduled') appointment.status = 'Confirmed';
+  } else {
+    appointment.status = 'Cancelled';
+  }
+  await appointment.save();
+
+  if (decision === 'approve') {
+    await sendConfirmation(appointment);
+  }
+
+  const populated = await Appointment.findById(appointment._id)
+    .populate('customer', 'name phone email communicationPreference')
+    .populate('vehicle', 'year make model')
+    .populate('technician', 'name')
+    .populate('bay', 'name type');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      appointment: populated
+    }
+  });
+});
@@ -68,23 +68,8 @@ exports.updateCustomer = catchAsync(async (req, res, next) => {
 
   // 3. If the new phone number is different from the existing one, check for duplicates
   if (normalizedNewPhone && normalizedNewPhone !== normalizedExistingPhone) {
-    // Create an array of phone number variations to check against
-    const phoneVariations = [phone];
-    // If the incoming phone number contains dashes, also check for the normalized version
-    if (phone.includes('-')) {
-      phoneVariations.push(normalizePhoneNumber(phone));
-    } else { // If it does not contain dashes, also check for the formatted version
-      const formattedPhone = `${phone.slice(0, 3)}-${phone.slice(3, 6)}-${phone.slice(6, 10)}`;
-      if (formattedPhone.length === 12) { // Ensure it's a valid 10-digit number formatted
-        phoneVariations.push(formattedPhone);
-      }
-    }
-
-    // Find a customer whose phone number matches any of the variations, excluding the current customer
-    const duplicateCustomer = await Customer.findOne({
-      _id: { $ne: req.params.id }, // Exclude the current customer
-      phone: { $in: phoneVariations }
-    });
+    // Another customer with the same number, however it was typed
+    const duplicateCustomer = await Customer.findByPhone(phone, { _id: { $ne: req.params.id } });
 
     if (duplicateCustomer) {
       return next(new AppError('A customer with this phone number already exists.', 400));
@@ -185,20 +170,8 @@ exports.checkExistingCustomerByPhone = catchAsync(async (req, res, next) => {
     return next(new AppError('Please provide a phone number', 400));
   }
 
-  // Create an array of phone number variations to check against
-  const phoneVariations = [phone];
-  // If the incoming phone number contains dashes, also check for the normalized version
-  if (phone.includes('-')) {
-    phoneVariations.push(normalizePhoneNumber(phone));
-  } else { // If it does not contain dashes, also check for the formatted version
-    const formattedPhone = `${phone.slice(0, 3)}-${phone.slice(3, 6)}-${phone.slice(6, 10)}`;
-    if (formattedPhone.length === 12) { // Ensure it's a valid 10-digit number formatted
-      phoneVariations.push(formattedPhone);
-    }
-  }
-
-  // Find a customer whose phone number matches any of the variations
-  const customer = await Customer.findOne({ phone: { $in: phoneVariations } });
+  // Find a customer whose phone number matches any of the saved formats
+  const customer = await Customer.findByPhone(phone);
 
   if (!customer) {
     return res.status(200).json({
@@ -0,0 +1,407 @@
+const Estimate = require('../models/Estimate');
+const WorkOrder = require('../models/WorkOrder');
+const Vehicle = require('../models/Vehicle');
+const ShopSettings = require('../models/ShopSettings');
+const emailService = require('../services/emailService');
+const twilioService = require('../services/twilioService');
+const inventoryService = require('../services/inventoryService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+const DEFAULT_EXPIRY_DAYS = 30;
+const MAX_SIGNATURE_LENGTH = 200 * 1024;
+
+const populateEstimate = (query) => query
+  .populate('customer', 'name email phone communicationPreference')
+  .populate('vehicle', 'year make model licensePlate');
+
+// Public link the customer uses to review the estimate
+const getApprovalUrl = (estimate) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}/estimates/approve/${estimate.token}`;
+
+const withApprovalUrl = (estimate) => ({
+  ...estimate.toObject(),
+  approvalUrl: getApprovalUrl(estimate)
+});
+
+// Snapshot the work order's parts and labor as estimate lines
+const buildLines = (workOrder) => [
+  ...workOrder.parts.map(part => ({
+    type: 'Part',
+    sourceId: part._id,
+    description: part.name,
+    partNumber: part.partNumber,
+    quantity: part.quantity,
+    unitPrice: part.price || 0,
+    total: (part.price || 0) * part.quantity
+  })),
+  ...workOrder.labor.map(labor => ({
+    type: 'Labor',
+    sourceId: labor._id,
+    description: labor.description,
+    quantity: labor.hours,
+    unitPrice: labor.rate,
+    total: labor.hours * labor.rate
+  }))
+];
+
+// Normalize decisions sent as { lineId: decision } or [{ line, decision }]
+const parseDecisions = (estimate, decisions) => {
+  const decisionMap = Array.isArray(decisions)
+    ? decisions.reduce((map, entry) => (entry && typeof entry === 'object' ? { ...map, [entry.line]: entry.decision } : map), {})
+    : (decisions && typeof decisions === 'object' ? decisions : {});
+
+  const undecided = estimate.lines.filter(line =>
+    !['Approved', 'Declined'].includes(decisionMap[line._id.toString()])
+  );
+
+  if (undecided.length > 0) {
+    throw new AppError('Please approve or decline every item on the estimate', 400);
+  }
+
+  return decisionMap;
+};
+
+/**
+ * Record the customer's decisions, then take declined lines off the work order
+ * and keep them on the vehicle as deferred recommendations
+ */
+const applyDecisions = async (estimate, decisions, approval, user = null) => {
+  estimate.recordDecisions(parseDecisions(estimate, decisions), approval);
+
+  // Only the first response moves the estimate out of an open status; a second
+  // submit at the same moment (e.g. a double-click) must not decline lines twice
+  const { lines, status, approval: recorded } = estimate.toObject();
+  const result = await Estimate.updateOne(
+    { _id: estimate._id, status: { $in: Estimate.OPEN_STATUSES } },
+    { $set: { lines, status, approval: recorded } }
+  );
+  if (result.matchedCount === 0) {
+    throw new AppError('A response has already been recorded for this estimate', 409);
+  }
+
+  const declinedLines = estimate.lines.filter(line => line.decision === 'Declined');
+  if (declinedLines.length === 0) return estimate;
+
+  const declinedIds = declinedLines
+    .filter(line => line.sourceId)
+    .map(line => line.sourceId.toString());
+
+  const workOrder = await WorkOrder.findById(estimate.workOrder);
+  if (workOrder) {
+    const previousParts = workOrder.parts.map(part => part.toObject());
+
+    workOrder.parts = workOrder.parts.filter(part => !declinedIds.includes(part._id.toString()));
+    workOrder.labor = workOrder.labor.filter(labor => !declinedIds.includes(labor._id.toString()));
+    workOrder.totalEstimate = workOrder.partsCost + workOrder.laborCost;
+    await workOrder.save();
+
+    await inventoryService.syncWorkOrderParts(previousParts, workOrder.parts, {
+      workOrder: workOrder._id,
+      user
+    });
+  }
+
+  if (estimate.vehicle) {
+    await Vehicle.findByIdAndUpdate(estimate.vehicle._id || estimate.vehicle, {
+      $push: {
+        deferredRecommendations: {
+          $each: declinedLines.map(line => ({
+            description: line.description,
+            type: line.type,
+            partNumber: line.partNumber,
+            quantity: line.quantity,
+            estimatedCost: line.total,
+            workOrder: estimate.workOrder,
+            estimate: estimate._id,
+            declinedAt: estimate.approval.submittedAt
+          }))
+        }
+      }
+    });
+  }
+
+  return estimate;
+};
+
+// Get estimates, optionally for one work order
+exports.getEstimates = catchAsync(async (req, res, next) => {
+  const query = {};
+  if (req.query.workOrder) query.workOrder = req.query.workOrder;
+
+  const estimates = await populateEstimate(Estimate.find(query).sort({ createdAt: -1 }));
+
+  res.status(200).json({
+    status: 'success',
+    results: estimates.length,
+    data: {
+      estimates: estimates.map(withApprovalUrl)
+    }
+  });
+});
+
+// Get a single estimate
+exports.getEstimate = catchAsync(async (req, res, next) => {
+  const estimate = await populateEstimate(Estimate.findById(req.params.id));
+
+  if (!estimate) {
+    return next(new AppError('No estimate found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      estimate: withApprovalUrl(estimate)
+    }
+  });
+});
+
+// Create an estimate from a work order's current parts and labor
+// Any earlier estimate still waiting on the customer is superseded
+exports.createEstimate = catchAsync(async (req, res, next) => {
+  const { workOrder: workOrderId, message } = req.body;
+  const expiresInDays = parseInt(req.body.expiresInDays, 10) || DEFAULT_EXPIRY_DAYS;
+
+  const workOrder = await WorkOrder.findById(workOrderId);
+
+  if (!workOrder) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  const lines = buildLines(workOrder);
+  if (lines.length === 0) {
+    return next(new AppError('Add parts or labor to the work order before creating an estimate', 400));
+  }
+
+  const settings = await ShopSettings.getSettings();
+
+  await Estimate.updateMany(
+    { workOrder: workOrder._id, status: { $in: ['Sent', 'Viewed'] } },
+    { status: 'Superseded' }
+  );
+
+  const estimate = await Estimate.create({
+    estimateNumber: await Estimate.generateEstimateNumber(),
+    workOrder: workOrder._id,
+    customer: workOrder.customer,
+    vehicle: workOrder.vehicle,
+    lines,
+    taxRate: settings.defaultTaxRate,
+    message,
+    token: Estimate.generateToken(),
+    expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+    createdBy: req.user._id,
+    createdByName: req.user.name
+  });
+
+  const populated = await populateEstimate(Estimate.findById(estimate._id));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      estimate: withApprovalUrl(populated)
+    }
+  });
+});
+
+// Send the approval link to the customer by email or text
+exports.sendEstimate = catchAsync(async (req, res, next) => {
+  const channel = req.body.channel || 'email';
+
+  const estimate = await populateEstimate(Estimate.findById(req.params.id));
+
+  if (!estimate) {
+    return next(new AppError('No estimate found with that ID', 404));
+  }
+
+  if (!estimate.isOpen) {
+    return next(new AppError('Only estimates waiting on the customer can be sent', 400));
+  }
+
+  const approvalUrl = getApprovalUrl(estimate);
+  const { customer } = estimate;
+
+  if (channel === 'sms') {
+    if (!customer?.phone) {
+      return next(new AppError('The customer has no phone number on file', 400));
+    }
+    const settings = await ShopSettings.getSettings();
+    await twilioService.sendSMS(
+      customer.phone,
+      `Hi ${customer.name}, ${settings.businessName || 'your shop'} has sent estimate ${estimate.estimateNumber}. Review and approve it here: ${approvalUrl}`,
+      {
+        template: 'estimate',
+        customer: customer._id,
+        workOrder: estimate.workOrder?._id || estimate.workOrder,
+        sentBy: req.user.name,
+        retry: false
+      }
+    );
+  } else {
+    const to = req.body.to || customer?.email;
+    if (!to) {
+      return next(new AppError('The customer has no email address on file', 400));
+    }
+    await emailService.sendEstimate(estimate, approvalUrl, { to });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      estimate: withApprovalUrl(estimate)
+    }
+  });
+});
+
+// Record an approval taken in person or over the phone
+exports.recordApproval = catchAsync(async (req, res, next) => {
+  const { decisions, typedName, signature, method } = req.body;
+
+  const estimate = await populateEstimate(Estimate.findById(req.params.id));
+
+  if (!estimate) {
+    return next(new AppError('No estimate found with that ID', 404));
+  }
+
+  if (!Estimate.OPEN_STATUSES.includes(estimate.status)) {
+    return next(new AppError(`This estimate is already ${estimate.status.toLowerCase()}`, 400));
+  }
+
+  if (!['In Person', 'Phone'].includes(method)) {
+    return next(new AppError('Method must be In Person or Phone', 400));
+  }
+
+  if (typeof typedName !== 'string' || !typedName.trim()) {
+    return next(new AppError('Enter the name of the person authorizing the work', 400));
+  }
+
+  await applyDecisions(estimate, decisions, {
+    method,
+    typedName,
+    signature: signature || undefined,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent'),
+    recordedBy: req.user._id,
+    recordedByName: req.user.name
+  }, req.user);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      estimate: withApprovalUrl(estimate)
+    }
+  });
+});
+
+// Customer-facing view of an estimate; leaves out the token and internal fields
+const toPublicEstimate = (estimate, settings) => ({
+  estimateNumber: estimate.estimateNumber,
+  status: estimate.status,
+  isOpen: estimate.isOpen,
+  isExpired: estimate.isExpired,
+  expiresAt: estimate.expiresAt,
+  createdAt: estimate.createdAt,
+  message: estimate.message,
+  taxRate: estimate.taxRate,
+  lines: estimate.lines.map(line => ({
+    _id: line._id,
+    type: line.type,
+    description: line.description,
+    partNumber: line.partNumber,
+    quantity: line.quantity,
+    unitPrice: line.unitPrice,
+    total: line.total,
+    decision: line.decision
+  })),
+  totals: estimate.totals,
+  approvedTotals: estimate.approvedTotals,
+  approval: estimate.approval ? {
+    method: estimate.approval.method,
+    typedName: estimate.approval.typedName,
+    submittedAt: estimate.approval.submittedAt
+  } : null,
+  customer: estimate.customer ? { name: estimate.customer.name } : null,
+  vehicle: estimate.vehicle ? {
+    year: estimate.vehicle.year,
+    make: estimate.vehicle.make,
+    model: estimate.vehicle.model
+  } : null,
+  shop: {
+    name: settings.businessName,
+    phone: settings.businessPhone,
+    email: settings.businessEmail,
+    logo: settings.businessLogo
+  }
+});
+
+// Public: get an estimate by its approval token
+exports.getPublicEstimate = catchAsync(async (req, res, next) => {
+  const estimate = await populateEstimate(Estimate.findOne({ token: req.params.token }));
+
+  if (!estimate || estimate.status === 'Superseded') {
+    return next(new AppError('This estimate link is not valid. Please contact the shop for a new one.', 404));
+  }
+
+  if (estimate.isOpen && !estimate.viewedAt) {
+    // Conditional, so opening the page never overwrites a response submitted meanwhile
+    estimate.viewedAt = new Date();
+    const result = await Estimate.updateOne(
+      { _id: estimate._id, status: 'Sent' },
+      { $set: { status: 'Viewed', viewedAt: estimate.viewedAt } }
+    );
+    if (result.modifiedCount > 0) estimate.status = 'Viewed';
+  }
+
+  const settings = await ShopSettings.getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      estimate: toPublicEstimate(estimate, settings)
+    }
+  });
+});
+
+// Public: customer approves or declines each line and signs
+exports.submitPublicDecision = catchAsync(async (req, res, next) => {
+  const { decisions, typedName, signature } = req.body;
+
+  const estimate = await populateEstimate(Estimate.findOne({ token: req.params.token }));
+
+  if (!estimate || estimate.status === 'Superseded') {
+    return next(new AppError('This estimate link is not valid. Please contact the shop for a new one.', 404));
+  }
+
+  if (estimate.isExpired) {
+    return next(new AppError('This estimate has expired. Please contact the shop for an updated estimate.', 410));
+  }
+
+  if (!estimate.isOpen) {
+    return next(new AppError('A response has already been recorded for this estimate', 400));
+  }
+
+  if (typeof typedName !== 'string' || !typedName.trim()) {
+    return next(new AppError('Please type your full name to authorize the work', 400));
+  }
+
+  if (typeof signature !== 'string' || !signature.startsWith('data:image/png;base64,') || signature.length > MAX_SIGNATURE_LENGTH) {
+    return next(new AppError('Please sign in the signature box', 400));
+  }
+
+  await applyDecisions(estimate, decisions, {
+    method: 'Online',
+    typedName,
+    signature,
+    ipAddress: req.ip,
+    userAgent: req.get('user-agent')
+  });
+
+  const settings = await ShopSettings.getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      estimate: toPublicEstimate(estimate, settings)
+    }
+  });
+});
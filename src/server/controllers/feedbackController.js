@@ -6,7 +6,7 @@ const AppError = require('../utils/appError');
 exports.getAllFeedback = catchAsync(async (req, res, next) => {
   const feedback = await Feedback.find().populate({
     path: 'user',
-    select: 'name email' // Only select name and email from the technician
+    select: 'name email' // Only select name and email from the user
   });
   
   res.status(200).json({
@@ -37,9 +37,12 @@ exports.getFeedback = catchAsync(async (req, res, next) => {
   });
 });
 
-// Create a new feedback entry
+// Create a new feedback entry from the logged-in user
 exports.createFeedback = catchAsync(async (req, res, next) => {
-  const newFeedback = await Feedback.create(req.body);
+  const newFeedback = await Feedback.create({
+    feedbackText: req.body.feedbackText,
+    user: req.user._id
+  });
   
   res.status(201).json({
     status: 'success',
@@ -49,9 +52,11 @@ exports.createFeedback = catchAsync(async (req, res, next) => {
   });
 });
 
-// Update a feedback entry
+// Update a feedback entry (the submitter cannot be changed)
 exports.updateFeedback = catchAsync(async (req, res, next) => {
-  const feedback = await Feedback.findByIdAndUpdate(req.params.id, req.body, {
+  const updates = { ...req.body };
+  delete updates.user;
+  const feedback = await Feedback.findByIdAndUpdate(req.params.id, updates, {
     new: true,
     runValidators: true
   });
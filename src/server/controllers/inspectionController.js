@@ -0,0 +1,445 @@
+const Inspection = require('../models/Inspection');
+const InspectionTemplate = require('../models/InspectionTemplate');
+const WorkOrder = require('../models/WorkOrder');
+const Vehicle = require('../models/Vehicle');
+const Media = require('../models/Media');
+const ShopSettings = require('../models/ShopSettings');
+const storageService = require('../services/storageService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+const PHOTO_FIELDS = 'fileName fileType s3Key storageDriver variants annotations.rendered createdAt';
+
+const populateInspection = (query) => query
+  .populate('items.photos', PHOTO_FIELDS)
+  .populate('vehicle', 'year make model licensePlate vin')
+  .populate('customer', 'name');
+
+// Public link for the customer report
+const getReportUrl = (inspection) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}/inspections/report/${inspection.shareToken}`;
+
+// Short-lived URL for a photo's annotated or resized copy, or the original if it has neither
+const photoUrl = (media, variant) => {
+  const annotated = media.annotations && media.annotations.rendered && media.annotations.rendered[variant];
+  const key = (annotated && annotated.key) || (media.variants && media.variants[variant] && media.variants[variant].key) || media.s3Key;
+  return key ? storageService.getSignedUrl(key, 3600, media.storageDriver) : null;
+};
+
+// Replace photo references with short-lived viewing URLs
+const toPhoto = (media) => ({
+  _id: media._id,
+  fileName: media.fileName,
+  fileType: media.fileType,
+  url: photoUrl(media, 'web'),
+  thumbnailUrl: photoUrl(media, 'thumbnail')
+});
+
+const serializeInspection = (inspection) => {
+  const data = inspection.toObject();
+  data.items = data.items.map(item => ({
+    ...item,
+    photos: (item.photos || []).filter(photo => photo && photo._id).map(toPhoto)
+  }));
+  if (inspection.shareToken) data.reportUrl = getReportUrl(inspection);
+  return data;
+};
+
+// Pick the editable template fields from the request body
+const templateFields = ({ name, description, items, isDefault, active }) => {
+  const fields = { name, description, isDefault, active };
+  if (items) {
+    fields.items = items.map(item => ({
+      name: item.name,
+      category: item.category,
+      measurementType: item.measurementType || 'none',
+      measurementLabels: (item.measurementLabels || []).map(label => String(label).trim()).filter(Boolean),
+      required: item.required !== false
+    }));
+  }
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// Get inspection templates
+exports.getTemplates = catchAsync(async (req, res, next) => {
+  // Make sure the standard template exists before listing
+  await InspectionTemplate.getDefault();
+
+  const query = {};
+  if (req.query.active === 'true') query.active = true;
+
+  const templates = await InspectionTemplate.find(query).sort({ isDefault: -1, name: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      templates,
+      measurementTypes: InspectionTemplate.MEASUREMENT_TYPES
+    }
+  });
+});
+
+// Create an inspection template
+exports.createTemplate = catchAsync(async (req, res, next) => {
+  const template = await InspectionTemplate.create(templateFields(req.body));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      template
+    }
+  });
+});
+
+// Update an inspection template
+// Inspections already started keep their own copy of the items
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+  const template = await InspectionTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(new AppError('No inspection template found with that ID', 404));
+  }
+
+  template.set(templateFields(req.body));
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template
+    }
+  });
+});
+
+// Delete an inspection template
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+  const template = await InspectionTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(new AppError('No inspection template found with that ID', 404));
+  }
+
+  if (template.isDefault) {
+    return next(new AppError('Make another template the default before deleting this one', 400));
+  }
+
+  await template.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Get inspections for a work order or vehicle
+exports.getInspections = catchAsync(async (req, res, next) => {
+  const { workOrder, vehicle, status } = req.query;
+
+  const query = {};
+  if (workOrder) query.workOrder = workOrder;
+  if (vehicle) query.vehicle = vehicle;
+  if (status) query.status = status;
+
+  const inspections = await populateInspection(Inspection.find(query).sort({ createdAt: -1 }));
+
+  res.status(200).json({
+    status: 'success',
+    results: inspections.length,
+    data: {
+      inspections: inspections.map(serializeInspection)
+    }
+  });
+});
+
+// Get a single inspection
+exports.getInspection = catchAsync(async (req, res, next) => {
+  const inspection = await populateInspection(Inspection.findById(req.params.id));
+
+  if (!inspection) {
+    return next(new AppError('No inspection found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inspection: serializeInspection(inspection)
+    }
+  });
+});
+
+// Start an inspection on a work order from a template (the default template if none is given)
+exports.createInspection = catchAsync(async (req, res, next) => {
+  const { workOrder: workOrderId, template: templateId } = req.body;
+
+  const workOrder = await WorkOrder.findById(workOrderId).select('_id vehicle customer');
+
+  if (!workOrder) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  const inProgress = await Inspection.exists({ workOrder: workOrder._id, status: 'In Progress' });
+  if (inProgress) {
+    return next(new AppError('This work order already has an inspection in progress', 400));
+  }
+
+  const template = templateId
+    ? await InspectionTemplate.findOne({ _id: templateId, active: true })
+    : await InspectionTemplate.getDefault();
+
+  if (!template) {
+    return next(new AppError('No active inspection template found with that ID', 404));
+  }
+
+  const inspection = await Inspection.create({
+    workOrder: workOrder._id,
+    vehicle: workOrder.vehicle,
+    customer: workOrder.customer,
+    template: template._id,
+    templateName: template.name,
+    items: Inspection.itemsFromTemplate(template),
+    startedBy: req.user._id,
+    startedByName: req.user.name
+  });
+
+  const populated = await populateInspection(Inspection.findById(inspection._id));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      inspection: serializeInspection(populated)
+    }
+  });
+});
+
+// Record item results, mileage and summary
+// items: [{ _id, status, measurements: [{ label, value }], notes }]
+// An item with readings but no status gets one suggested from the readings
+exports.updateInspection = catchAsync(async (req, res, next) => {
+  const { items = [], mileage, summary } = req.body;
+
+  const inspection = await Inspection.findById(req.params.id);
+
+  if (!inspection) {
+    return next(new AppError('No inspection found with that ID', 404));
+  }
+
+  for (const update of items) {
+    const item = inspection.items.id(update._id);
+    if (!item) {
+      return next(new AppError('Inspection item not found', 404));
+    }
+
+    if (update.status !== undefined && update.status !== null && update.status !== '' &&
+        !Inspection.ITEM_STATUSES.includes(update.status)) {
+      return next(new AppError(`Invalid status for ${item.name}: ${update.status}`, 400));
+    }
+
+    if (Array.isArray(update.measurements)) {
+      item.measurements = item.measurements.map((measurement, index) => {
+        const reading = update.measurements.find(entry => entry.label === measurement.label) || update.measurements[index];
+        const value = reading && reading.value !== '' && reading.value !== null ? Number(reading.value) : undefined;
+        return { label: measurement.label, unit: measurement.unit, value: isNaN(value) ? undefined : value };
+      });
+    }
+
+    if (update.status !== undefined) {
+      item.status = update.status || undefined;
+    } else if (Array.isArray(update.measurements)) {
+      item.status = Inspection.suggestStatus(item.measurementType, item.measurements) || item.status;
+    }
+
+    if (update.notes !== undefined) item.notes = update.notes;
+  }
+
+  if (mileage !== undefined) inspection.mileage = mileage === '' ? undefined : mileage;
+  if (summary !== undefined) inspection.summary = summary;
+
+  await inspection.save();
+
+  const populated = await populateInspection(Inspection.findById(inspection._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inspection: serializeInspection(populated)
+    }
+  });
+});
+
+// Mark an inspection complete once every required item has a status
+// The recorded mileage is added to the vehicle's mileage history
+exports.completeInspection = catchAsync(async (req, res, next) => {
+  const inspection = await Inspection.findById(req.params.id);
+
+  if (!inspection) {
+    return next(new AppError('No inspection found with that ID', 404));
+  }
+
+  if (inspection.status === 'Completed') {
+    return next(new AppError('This inspection is already complete', 400));
+  }
+
+  const unchecked = inspection.uncheckedItems;
+  if (unchecked.length > 0) {
+    return next(new AppError(`Check every required item first: ${unchecked.map(item => item.name).join(', ')}`, 400));
+  }
+
+  inspection.status = 'Completed';
+  inspection.completedAt = new Date();
+  inspection.completedBy = req.user._id;
+  inspection.completedByName = req.user.name;
+  await inspection.save();
+
+  if (inspection.mileage && inspection.vehicle) {
+    const vehicle = await Vehicle.findById(inspection.vehicle);
+    if (vehicle) {
+      vehicle.addMileageRecord(inspection.mileage, new Date(), `Recorded during inspection on work order #${inspection.workOrder.toString().slice(-6)}`);
+      await vehicle.save();
+    }
+  }
+
+  const populated = await populateInspection(Inspection.findById(inspection._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inspection: serializeInspection(populated)
+    }
+  });
+});
+
+// Attach an uploaded photo (Media) to an inspection item
+exports.addItemPhoto = catchAsync(async (req, res, next) => {
+  const inspection = await Inspection.findById(req.params.id);
+
+  if (!inspection) {
+    return next(new AppError('No inspection found with that ID', 404));
+  }
+
+  const item = inspection.items.id(req.params.itemId);
+  if (!item) {
+    return next(new AppError('Inspection item not found', 404));
+  }
+
+  const media = await Media.findById(req.body.media).select('_id workOrder vehicle');
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  // The public report shows these photos, so they must belong to this inspection's
+  // work order, or to its vehicle when the file is not on any work order
+  const sameWorkOrder = media.workOrder && media.workOrder.equals(inspection.workOrder);
+  const sameVehicle = !media.workOrder && media.vehicle && inspection.vehicle && media.vehicle.equals(inspection.vehicle);
+  if (!sameWorkOrder && !sameVehicle) {
+    return next(new AppError('That photo belongs to a different work order or vehicle', 400));
+  }
+
+  if (!item.photos.some(photo => photo.equals(media._id))) {
+    item.photos.push(media._id);
+    await inspection.save();
+  }
+
+  const populated = await populateInspection(Inspection.findById(inspection._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inspection: serializeInspection(populated)
+    }
+  });
+});
+
+// Detach a photo from an inspection item (the media file itself is kept)
+exports.removeItemPhoto = catchAsync(async (req, res, next) => {
+  const inspection = await Inspection.findById(req.params.id);
+
+  if (!inspection) {
+    return next(new AppError('No inspection found with that ID', 404));
+  }
+
+  const item = inspection.items.id(req.params.itemId);
+  if (!item) {
+    return next(new AppError('Inspection item not found', 404));
+  }
+
+  item.photos = item.photos.filter(photo => photo.toString() !== req.params.mediaId);
+  await inspection.save();
+
+  const populated = await populateInspection(Inspection.findById(inspection._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inspection: serializeInspection(populated)
+    }
+  });
+});
+
+// Create (or return) the customer report link for a completed inspection
+exports.shareInspection = catchAsync(async (req, res, next) => {
+  const inspection = await Inspection.findById(req.params.id);
+
+  if (!inspection) {
+    return next(new AppError('No inspection found with that ID', 404));
+  }
+
+  if (inspection.status !== 'Completed') {
+    return next(new AppError('Complete the inspection before sharing it', 400));
+  }
+
+  if (!inspection.shareToken) {
+    inspection.shareToken = Inspection.generateShareToken();
+    await inspection.save();
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      reportUrl: getReportUrl(inspection)
+    }
+  });
+});
+
+// Public: customer report for a shared inspection
+exports.getPublicInspection = catchAsync(async (req, res, next) => {
+  const inspection = await populateInspection(Inspection.findOne({ shareToken: req.params.token }));
+
+  if (!inspection) {
+    return next(new AppError('This inspection report link is not valid. Please contact the shop.', 404));
+  }
+
+  const settings = await ShopSettings.getSettings();
+  const { items, statusCounts } = serializeInspection(inspection);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      inspection: {
+        templateName: inspection.templateName,
+        completedAt: inspection.completedAt,
+        completedByName: inspection.completedByName,
+        mileage: inspection.mileage,
+        summary: inspection.summary,
+        statusCounts,
+        items: items.map(({ _id, name, category, status, measurements, notes, photos }) => ({
+          _id, name, category, status, measurements, notes, photos
+        })),
+        customer: inspection.customer ? { name: inspection.customer.name } : null,
+        vehicle: inspection.vehicle ? {
+          year: inspection.vehicle.year,
+          make: inspection.vehicle.make,
+          model: inspection.vehicle.model,
+          licensePlate: inspection.vehicle.licensePlate
+        } : null,
+        shop: {
+          name: settings.businessName,
+          phone: settings.businessPhone,
+          email: settings.businessEmail,
+          logo: settings.businessLogo
+        }
+      }
+    }
+  });
+});
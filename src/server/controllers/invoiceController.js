@@ -2,10 +2,12 @@ const Invoice = require('../models/Invoice');
 const WorkOrder = require('../models/WorkOrder');
 const Customer = require('../models/Customer');
 const Vehicle = require('../models/Vehicle');
+const ShopSettings = require('../models/ShopSettings');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const { parseLocalDate } = require('../utils/dateUtils');
 const emailService = require('../services/emailService');
+const invoicePdfService = require('../services/invoicePdfService');
 
 // Get all invoices
 exports.getAllInvoices = catchAsync(async (req, res, next) => {
@@ -120,7 +122,10 @@ exports.createInvoice = catchAsync(async (req, res, next) => {
     }
     
     // Update work order status and totalActual
-    workOrder.status = 'Repair Complete - Invoiced';
+    workOrder.recordStatusChange('Repair Complete - Invoiced', {
+      user: req.user,
+      note: `Invoice ${invoiceNumber} created`
+    });
     
     // Calculate totalActual from the work order's parts and labor
     const partsCost = workOrder.parts.reduce((total, part) => {
@@ -157,12 +162,16 @@ exports.createInvoice = catchAsync(async (req, res, next) => {
     }))
   ];
   
+  // Fall back to the shop's billing defaults for anything not provided
+  const settings = await ShopSettings.getSettings();
+  const invoicePaymentTerms = paymentTerms || settings.defaultPaymentTerms;
+  
   // Calculate due date if not provided
   let dueDate = invoiceDueDate ? parseLocalDate(invoiceDueDate) : parseLocalDate(invoiceDate) || new Date();
   
   // Adjust due date based on payment terms if due date not provided
   if (!invoiceDueDate) {
-    switch (paymentTerms) {
+    switch (invoicePaymentTerms) {
       case 'Net 15':
         dueDate.setDate(dueDate.getDate() + 15);
         break;
@@ -186,13 +195,13 @@ exports.createInvoice = catchAsync(async (req, res, next) => {
     dueDate,
     items,
     subtotal,
-    taxRate: taxRate || 0,
+    taxRate: taxRate !== undefined ? taxRate : settings.defaultTaxRate,
     taxAmount: taxAmount || 0,
     total,
     status: 'Issued',
-    paymentTerms: paymentTerms || 'Due on Receipt',
+    paymentTerms: invoicePaymentTerms,
     notes: customerNotes,
-    terms,
+    terms: terms !== undefined ? terms : settings.invoiceTerms,
     createdBy: req.user ? req.user.name : 'System'
   };
   
@@ -260,10 +269,15 @@ exports.deleteInvoice = catchAsync(async (req, res, next) => {
     const workOrder = await WorkOrder.findById(invoice.workOrder);
     
     if (workOrder && workOrder.status === 'Repair Complete - Invoiced') {
-      workOrder.status = workOrder.parts.some(part => !part.received) 
+      const revertedStatus = workOrder.parts.some(part => !part.received) 
         ? 'Parts Ordered' 
         : 'Parts Received';
       
+      workOrder.recordStatusChange(revertedStatus, {
+        user: req.user,
+        note: `Invoice ${invoice.invoiceNumber} deleted`
+      });
+      
       await workOrder.save();
     }
   }
@@ -316,60 +330,74 @@ exports.addPayment = catchAsync(async (req, res, next) => {
 exports.generatePDF = catchAsync(async (req, res, next) => {
   const invoice = await Invoice.findById(req.params.id)
     .populate('customer', 'name phone email address')
-    .populate('vehicle', 'year make model vin')
+    .populate('vehicle', 'year make model vin licensePlate')
     .populate('workOrder');
   
   if (!invoice) {
     return next(new AppError('No invoice found with that ID', 404));
   }
   
-  // In a real implementation, this would generate a PDF
-  // For now, we'll just return the invoice data
-  res.status(200).json({
-    status: 'success',
-    message: 'PDF generation would happen here in production',
-    data: {
-      invoice
-    }
+  const pdf = await invoice.generatePDF();
+  const filename = invoicePdfService.getInvoicePdfFilename(invoice);
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Length': pdf.length,
+    'Content-Disposition': `${disposition}; filename="${filename}"`
   });
+  res.status(200).send(pdf);
 });
 
 // Send invoice via email
 exports.sendInvoiceViaEmail = catchAsync(async (req, res, next) => {
   const invoice = await Invoice.findById(req.params.id)
-    .populate('customer', 'name phone email')
-    .populate('vehicle', 'year make model');
+    .populate('customer', 'name phone email address')
+    .populate('vehicle', 'year make model vin licensePlate')
+    .populate('workOrder');
   
   if (!invoice) {
     return next(new AppError('No invoice found with that ID', 404));
   }
   
-  const { email } = req.body;
+  const { email, message } = req.body;
   
   // If no email provided, use customer's email
-  const recipientEmail = email || invoice.customer.email;
+  const recipientEmail = email || invoice.customer?.email;
   
   if (!recipientEmail) {
     return next(new AppError('Please provide an email address', 400));
   }
   
-  // In a real implementation, this would send an email with the invoice PDF
-  // For now, just update the invoice to mark it as sent
+  const pdf = await invoice.generatePDF();
+  const result = await emailService.sendInvoice(invoice, {
+    to: recipientEmail,
+    pdf,
+    filename: invoicePdfService.getInvoicePdfFilename(invoice),
+    message
+  });
+  
+  invoice.emailSends.push({
+    recipient: recipientEmail,
+    sentAt: new Date(),
+    provider: result.provider,
+    providerMessageId: result.messageId,
+    sentBy: req.user?._id
+  });
+  
+  // The first send issues a draft invoice to the customer
+  if (invoice.status === 'Draft' || invoice.status === '') {
+    invoice.status = 'Issued';
+  }
+  if (req.user) {
+    invoice.updatedBy = req.user.name;
+  }
   
-  // You could implement the email sending like this:
-  /*
-  await emailService.sendInvoice(
-    recipientEmail,
-    invoice,
-    invoice.customer,
-    invoice.vehicle,
-    {} // PDF URL or data
-  );
-  */
+  await invoice.save();
   
   res.status(200).json({
     status: 'success',
-    message: `Invoice would be sent to ${recipientEmail} in production`,
+    message: `Invoice sent to ${recipientEmail}`,
     data: {
       invoice
     }
@@ -0,0 +1,97 @@
+const ScheduledJob = require('../models/ScheduledJob');
+const reminderScheduler = require('../services/reminderScheduler');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// What each tab of the admin view lists
+const VIEWS = {
+  upcoming: { query: { status: { $in: ['Pending', 'Running'] } }, sort: { runAt: 1 } },
+  failed: { query: { status: 'Failed' }, sort: { completedAt: -1 } },
+  recent: { query: { status: { $in: ['Sent', 'Skipped'] } }, sort: { completedAt: -1 } }
+};
+
+const populateAppointment = query => query.populate({
+  path: 'appointment',
+  select: 'serviceType startTime status customer',
+  populate: { path: 'customer', select: 'name phone email communicationPreference' }
+});
+
+// Get scheduled jobs for one view, plus counts and the runner status
+// GET /api/jobs?view=upcoming|failed|recent&type=Appointment%20Reminder
+exports.getJobs = catchAsync(async (req, res, next) => {
+  const viewName = req.query.view || 'upcoming';
+  const view = VIEWS[viewName];
+  if (!view) {
+    return next(new AppError(`View must be one of: ${Object.keys(VIEWS).join(', ')}`, 400));
+  }
+
+  const query = { ...view.query };
+  if (req.query.type) {
+    if (!ScheduledJob.JOB_TYPES.includes(req.query.type)) {
+      return next(new AppError(`Type must be one of: ${ScheduledJob.JOB_TYPES.join(', ')}`, 400));
+    }
+    query.type = req.query.type;
+  }
+
+  const [jobs, pending, failed] = await Promise.all([
+    populateAppointment(ScheduledJob.find(query).sort(view.sort).limit(200)),
+    ScheduledJob.countDocuments({ status: { $in: ['Pending', 'Running'] } }),
+    ScheduledJob.countDocuments({ status: 'Failed' })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: jobs.length,
+    data: {
+      jobs,
+      counts: { upcoming: pending, failed },
+      runner: reminderScheduler.getStatus()
+    }
+  });
+});
+
+// Queue a failed or skipped job to send again on the next run
+// POST /api/jobs/:id/retry
+exports.retryJob = catchAsync(async (req, res, next) => {
+  const job = await ScheduledJob.findOneAndUpdate(
+    { _id: req.params.id, status: { $in: ['Failed', 'Skipped'] } },
+    { $set: { status: 'Pending', runAt: new Date(), attempts: 0, completedAt: null, skipReason: null } },
+    { new: true }
+  );
+
+  if (!job) {
+    return next(new AppError('No failed or skipped job found with that ID', 404));
+  }
+
+  const populated = await populateAppointment(ScheduledJob.findById(job._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      job: populated
+    }
+  });
+});
+
+// Cancel a job that has not been sent yet
+// POST /api/jobs/:id/cancel
+exports.cancelJob = catchAsync(async (req, res, next) => {
+  const job = await ScheduledJob.findOneAndUpdate(
+    { _id: req.params.id, status: 'Pending' },
+    { $set: { status: 'Skipped', completedAt: new Date(), skipReason: `Cancelled by ${req.user.name}` } },
+    { new: true }
+  );
+
+  if (!job) {
+    return next(new AppError('No pending job found with that ID', 404));
+  }
+
+  const populated = await populateAppointment(ScheduledJob.findById(job._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      job: populated
+    }
+  });
+});
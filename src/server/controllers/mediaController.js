@@ -1,54 +1,217 @@
 const Media = require('../models/Media');
-const s3Service = require('../services/s3Service');
+const WorkOrder = require('../models/WorkOrder');
+const Conversation = require('../models/Conversation');
+const storageService = require('../services/storageService');
+const imageService = require('../services/imageService');
 const emailService = require('../services/emailService');
+const twilioService = require('../services/twilioService');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const multer = require('multer');
+const archiver = require('archiver');
+const path = require('path');
+
+// Most files one batch upload can carry
+const MAX_BATCH_FILES = 50;
+
+// The carrier fetches an MMS attachment once, when the text is sent, so its
+// storage URL only needs to outlive the send - not the share link
+const MMS_URL_SECONDS = 15 * 60;
 
 // Configure multer for memory storage
 const storage = multer.memoryStorage();
 const upload = multer({
   storage,
   limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB
+    fileSize: 10 * 1024 * 1024, // 10MB
+    files: MAX_BATCH_FILES
   }
 });
 
 // Multer middleware
 exports.uploadMedia = upload.single('file');
 
-// Upload a file to S3 and create a media record
+// Multer middleware for batch uploads; limit errors are reported as bad requests
+const uploadFiles = upload.array('files', MAX_BATCH_FILES);
+exports.uploadMediaBatch = (req, res, next) => {
+  uploadFiles(req, res, (err) => {
+    if (err instanceof multer.MulterError) {
+      const messages = {
+        LIMIT_FILE_SIZE: 'Each file must be 10MB or smaller',
+        LIMIT_FILE_COUNT: `Upload at most ${MAX_BATCH_FILES} files at a time`,
+        LIMIT_UNEXPECTED_FILE: `Upload at most ${MAX_BATCH_FILES} files at a time, in the "files" field`
+      };
+      return next(new AppError(messages[err.code] || err.message, 400));
+    }
+    next(err);
+  });
+};
+
+// Store an uploaded file. Supported images are rotated upright, stripped of
+// EXIF/GPS data and saved with thumbnail and web-sized copies.
+// Returns the file fields for a media record.
+// Throws a 400 AppError for an image that cannot be read, rather than storing
+// it with its location data still in it.
+const storeUpload = async (file) => {
+  let buffer = file.buffer;
+  const fields = {};
+
+  if (imageService.isProcessable(file.mimetype)) {
+    let processed;
+    try {
+      processed = await imageService.processImage(file.buffer, file.mimetype);
+    } catch (err) {
+      console.error(`Could not process image ${file.originalname}:`, err);
+      throw new AppError(`${file.originalname} could not be read as an image. Check the file and upload it again.`, 400);
+    }
+
+    const { original, variants } = processed;
+    buffer = original.buffer;
+    fields.width = original.width;
+    fields.height = original.height;
+    fields.variants = {};
+
+    const baseName = path.parse(file.originalname).name;
+    for (const [name, variant] of Object.entries(variants)) {
+      const stored = await storageService.putFile(variant.buffer, `${baseName}-${name}.jpg`, variant.mimeType);
+      fields.variants[name] = {
+        key: stored.key,
+        fileType: variant.mimeType,
+        fileSize: variant.buffer.length,
+        width: variant.width,
+        height: variant.height
+      };
+    }
+  }
+
+  const stored = await storageService.putFile(buffer, file.originalname, file.mimetype);
+
+  return {
+    ...fields,
+    fileUrl: stored.fileUrl,
+    s3Key: stored.key,
+    storageDriver: stored.driver,
+    fileName: file.originalname,
+    fileType: file.mimetype,
+    fileSize: buffer.length
+  };
+};
+
+// Signed viewing URL for a media item's thumbnail or web copy, or null for
+// files that are not images. Images without copies use the original.
+const getVariantUrl = (media, name) => {
+  if (!media.fileType || !media.fileType.startsWith('image/') || !media.storageKey) return null;
+  try {
+    return storageService.getSignedUrl(media.getVariantKey(name), 3600, media.storageDriver);
+  } catch (err) {
+    console.error(`Error generating ${name} URL for media ${media._id}:`, err);
+    return null;
+  }
+};
+
+// Media as returned by the API, with short-lived thumbnail and web URLs
+const toMediaResponse = (media) => ({
+  ...media.toObject(),
+  thumbnailUrl: getVariantUrl(media, 'thumbnail'),
+  webUrl: getVariantUrl(media, 'web')
+});
+
+// Upload a file and create a media record
 exports.createMedia = catchAsync(async (req, res, next) => {
   if (!req.file) {
     return next(new AppError('Please upload a file', 400));
   }
   
-  // Upload to S3
-  const uploadResult = await s3Service.uploadFile(
-    req.file.buffer,
-    req.file.originalname,
-    req.file.mimetype
-  );
+  // Save to the configured storage driver
+  const fileFields = await storeUpload(req.file);
   
   // Create media record
   const newMedia = await Media.create({
+    ...fileFields,
     workOrder: req.body.workOrder,
     vehicle: req.body.vehicle,
     customer: req.body.customer,
     type: req.body.type,
-    fileUrl: uploadResult.fileUrl,
-    s3Key: uploadResult.key,
-    fileName: req.file.originalname,
-    fileType: req.file.mimetype,
-    fileSize: req.file.size,
     notes: req.body.notes,
-    uploadedBy: req.body.uploadedBy || 'System'
+    uploadedBy: req.user.name
   });
   
   res.status(201).json({
     status: 'success',
     data: {
-      media: newMedia
+      media: toMediaResponse(newMedia)
+    }
+  });
+});
+
+// Upload several files in one request, each with its own type and notes.
+// Every file is stored on its own, so one bad file does not stop the rest.
+// POST /api/media/upload/batch
+//   files   - the files
+//   details - JSON list of { type, notes } in the same order as the files (optional)
+//   type    - type for files without one in details
+//   workOrder, vehicle, customer - shared by all files
+exports.createMediaBatch = catchAsync(async (req, res, next) => {
+  if (!req.files || req.files.length === 0) {
+    return next(new AppError('Please upload at least one file', 400));
+  }
+
+  let details = [];
+  if (req.body.details) {
+    try {
+      details = JSON.parse(req.body.details);
+    } catch (err) {
+      return next(new AppError('details must be a JSON list with one entry per file', 400));
+    }
+    if (!Array.isArray(details)) {
+      return next(new AppError('details must be a JSON list with one entry per file', 400));
+    }
+  }
+
+  const mediaTypes = Media.schema.path('type').enumValues;
+  const created = [];
+  const failed = [];
+
+  // One file at a time: image processing is CPU-heavy and the files are already in memory
+  for (const [index, file] of req.files.entries()) {
+    const detail = details[index] || {};
+    const type = detail.type || req.body.type;
+
+    if (!mediaTypes.includes(type)) {
+      failed.push({ index, fileName: file.originalname, message: `Type must be one of: ${mediaTypes.join(', ')}` });
+      continue;
+    }
+
+    try {
+      const fileFields = await storeUpload(file);
+      const media = await Media.create({
+        ...fileFields,
+        workOrder: req.body.workOrder,
+        vehicle: req.body.vehicle,
+        customer: req.body.customer,
+        type,
+        notes: detail.notes,
+        uploadedBy: req.user.name
+      });
+      created.push(toMediaResponse(media));
+    } catch (err) {
+      console.error(`Error uploading ${file.originalname}:`, err);
+      let message = 'The file could not be stored';
+      if (err.isOperational) message = err.message;
+      else if (err.name === 'ValidationError') message = Object.values(err.errors).map(el => el.message).join('. ');
+      failed.push({ index, fileName: file.originalname, message });
+    }
+  }
+
+  // 201 when every file was stored, 207 when only some were
+  const allFailed = created.length === 0;
+  res.status(allFailed ? 400 : failed.length ? 207 : 201).json({
+    status: allFailed ? 'fail' : 'success',
+    message: `${created.length} of ${req.files.length} files uploaded`,
+    results: created.length,
+    data: {
+      media: created,
+      failed
     }
   });
 });
@@ -71,7 +234,7 @@ exports.getAllMedia = catchAsync(async (req, res, next) => {
     status: 'success',
     results: media.length,
     data: {
-      media
+      media: media.map(toMediaResponse)
     }
   });
 });
@@ -87,7 +250,107 @@ exports.getMedia = catchAsync(async (req, res, next) => {
   res.status(200).json({
     status: 'success',
     data: {
-      media
+      media: toMediaResponse(media)
+    }
+  });
+});
+
+// Most marks one photo can have
+const MAX_ANNOTATIONS = 50;
+
+// Get a photo's annotations with the plain web-sized copy to draw them on
+// GET /api/media/:id/annotations
+exports.getAnnotations = catchAsync(async (req, res, next) => {
+  const media = await Media.findById(req.params.id);
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  const web = media.variants && media.variants.web;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      annotations: {
+        shapes: media.annotations ? media.annotations.shapes : [],
+        updatedBy: media.annotations && media.annotations.updatedBy,
+        updatedAt: media.annotations && media.annotations.updatedAt
+      },
+      imageUrl: storageService.getSignedUrl(media.getVariantKey('web', { plain: true }), 3600, media.storageDriver),
+      width: web ? web.width : media.width,
+      height: web ? web.height : media.height
+    }
+  });
+});
+
+// Save a photo's annotations and draw them into new thumbnail and web copies.
+// The original is kept as uploaded; an empty list removes the annotations.
+// PUT /api/media/:id/annotations { shapes }
+exports.saveAnnotations = catchAsync(async (req, res, next) => {
+  const { shapes } = req.body;
+
+  if (!Array.isArray(shapes)) {
+    return next(new AppError('Please provide a list of annotation shapes', 400));
+  }
+
+  if (shapes.length > MAX_ANNOTATIONS) {
+    return next(new AppError(`A photo can have at most ${MAX_ANNOTATIONS} annotations`, 400));
+  }
+
+  const media = await Media.findById(req.params.id);
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  if (!imageService.isProcessable(media.fileType)) {
+    return next(new AppError('Only JPEG, PNG, WebP and TIFF photos can be annotated', 400));
+  }
+
+  const { annotations } = media.toObject();
+  const previous = Object.values((annotations && annotations.rendered) || {})
+    .map(variant => variant && variant.key)
+    .filter(Boolean);
+
+  if (shapes.length === 0) {
+    media.annotations = undefined;
+  } else {
+    media.set('annotations.shapes', shapes);
+    await media.validate();
+
+    const original = await storageService.getFileBuffer(media.storageKey, media.storageDriver);
+    const rendered = await imageService.renderAnnotations(original, media.annotations.shapes);
+    const baseName = path.parse(media.fileName).name;
+
+    const stored = {};
+    for (const [name, variant] of Object.entries(rendered)) {
+      const result = await storageService.putFile(variant.buffer, `${baseName}-annotated-${name}.jpg`, variant.mimeType);
+      stored[name] = {
+        key: result.key,
+        fileType: variant.mimeType,
+        fileSize: variant.buffer.length,
+        width: variant.width,
+        height: variant.height
+      };
+    }
+
+    media.set('annotations.rendered', stored);
+    media.set('annotations.updatedBy', req.user.name);
+    media.set('annotations.updatedAt', new Date());
+  }
+
+  await media.save();
+
+  // The earlier drawn copies are no longer used
+  await Promise.all(previous.map(key =>
+    storageService.deleteFile(key, media.storageDriver).catch(err => console.error(`Failed to delete old annotated copy ${key}:`, err))
+  ));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      media: toMediaResponse(media)
     }
   });
 });
@@ -100,8 +363,8 @@ exports.deleteMedia = catchAsync(async (req, res, next) => {
     return next(new AppError('No media found with that ID', 404));
   }
   
-  // Use the stored S3 key or extract from URL as fallback
-  let key = media.s3Key;
+  // Use the stored key or extract from URL as fallback
+  let key = media.storageKey;
   
   if (!key && media.fileUrl) {
     // Fallback: extract key from URL for older records
@@ -122,8 +385,12 @@ exports.deleteMedia = catchAsync(async (req, res, next) => {
   }
   
   try {
-    // Delete from S3
-    await s3Service.deleteFile(key);
+    // Delete from storage, with any resized and annotated copies
+    const { variants, annotations } = media.toObject();
+    const variantKeys = [...Object.values(variants || {}), ...Object.values((annotations && annotations.rendered) || {})]
+      .map(variant => variant && variant.key)
+      .filter(Boolean);
+    await Promise.all([key, ...variantKeys].map(fileKey => storageService.deleteFile(fileKey, media.storageDriver)));
     
     // Delete from database
     await Media.findByIdAndDelete(req.params.id);
@@ -138,6 +405,100 @@ exports.deleteMedia = catchAsync(async (req, res, next) => {
   }
 });
 
+// Compressing photos and PDFs again saves almost nothing
+const isCompressed = (fileType) => /^(image|video|audio)\//.test(fileType) || fileType === 'application/pdf';
+
+// Download every file on a work order as one ZIP, in a folder per media type.
+// Annotated photos are included twice: as uploaded and with the annotations drawn in.
+// GET /api/media/work-orders/:workOrderId/zip
+exports.downloadWorkOrderZip = catchAsync(async (req, res, next) => {
+  const workOrder = await WorkOrder.findById(req.params.workOrderId).select('_id');
+
+  if (!workOrder) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  const media = await Media.find({ workOrder: workOrder._id }).sort({ createdAt: 1 });
+
+  if (media.length === 0) {
+    return next(new AppError('This work order has no files to download', 404));
+  }
+
+  // Give files with the same name in one folder their own names
+  const usedNames = new Set();
+  const entryName = (folder, fileName) => {
+    const { name, ext } = path.parse(String(fileName).replace(/[\\/]+/g, '_'));
+    let candidate = `${folder}/${name}${ext}`;
+    for (let copy = 2; usedNames.has(candidate.toLowerCase()); copy++) {
+      candidate = `${folder}/${name} (${copy})${ext}`;
+    }
+    usedNames.add(candidate.toLowerCase());
+    return candidate;
+  };
+
+  const archive = archiver('zip', { zlib: { level: 6 } });
+  archive.on('warning', err => console.error('ZIP warning:', err));
+  archive.on('error', err => {
+    console.error(`Error building ZIP for work order ${workOrder._id}:`, err);
+    res.destroy(err);
+  });
+
+  // Stop reading files if the download is cancelled or the archive fails
+  let closed = false;
+  const connectionClosed = new Promise(resolve => res.once('close', () => {
+    closed = true;
+    resolve();
+  }));
+
+  res.set({
+    'Content-Type': 'application/zip',
+    'Content-Disposition': `attachment; filename="WorkOrder_${workOrder._id}_Media.zip"`
+  });
+  archive.pipe(res);
+
+  // Read one file at a time and wait until it is written, so large work orders
+  // never sit in memory all at once
+  const addEntry = (buffer, name, date, fileType) => {
+    const written = new Promise(resolve => archive.once('entry', resolve));
+    archive.append(buffer, { name, date, store: isCompressed(fileType) });
+    return Promise.race([written, connectionClosed]);
+  };
+
+  const missing = [];
+  for (const item of media) {
+    if (closed) {
+      archive.abort();
+      return;
+    }
+
+    if (!item.storageKey) {
+      missing.push(item.fileName);
+      continue;
+    }
+
+    const folder = item.type || 'Other';
+    try {
+      const buffer = await storageService.getFileBuffer(item.storageKey, item.storageDriver);
+      await addEntry(buffer, entryName(folder, item.fileName), item.createdAt, item.fileType);
+
+      const annotated = item.annotations && item.annotations.rendered && item.annotations.rendered.web;
+      if (annotated && annotated.key) {
+        const annotatedBuffer = await storageService.getFileBuffer(annotated.key, item.storageDriver);
+        await addEntry(annotatedBuffer, entryName(folder, `${path.parse(item.fileName).name}-annotated.jpg`), item.annotations.updatedAt, annotated.fileType);
+      }
+    } catch (err) {
+      console.error(`Could not add ${item.fileName} to ZIP:`, err);
+      missing.push(item.fileName);
+    }
+  }
+
+  if (missing.length > 0) {
+    archive.append(`These files could not be read from storage:\n${missing.join('\n')}\n`, { name: 'missing-files.txt' });
+  }
+
+  await archive.finalize();
+});
+
 // Get a signed URL for a media item
 exports.getSignedUrl = catchAsync(async (req, res, next) => {
   const media = await Media.findById(req.params.id);
@@ -146,8 +507,8 @@ exports.getSignedUrl = catchAsync(async (req, res, next) => {
     return next(new AppError('No media found with that ID', 404));
   }
   
-  // Use the stored S3 key or extract from URL as fallback
-  let key = media.s3Key;
+  // Use the stored key or extract from URL as fallback
+  let key = media.storageKey;
   
   if (!key && media.fileUrl) {
     // Fallback: extract key from URL for older records
@@ -163,7 +524,7 @@ exports.getSignedUrl = catchAsync(async (req, res, next) => {
   
   // Get a signed URL with error handling
   try {
-    const signedUrl = s3Service.getSignedUrl(key, 3600); // 1 hour expiration
+    const signedUrl = storageService.getSignedUrl(key, 3600, media.storageDriver); // 1 hour expiration
     
     res.status(200).json({
       status: 'success',
@@ -178,74 +539,216 @@ exports.getSignedUrl = catchAsync(async (req, res, next) => {
   }
 });
 
+// Longest a share link can be made to work for
+const MAX_SHARE_HOURS = 30 * 24;
+
+// Read and check the requested link lifetime; returns an AppError if it is out of range
+const getShareHours = (value) => {
+  if (value === undefined || value === null || value === '') return Media.SHARE_LINK_HOURS;
+  const hours = Number(value);
+  if (!Number.isInteger(hours) || hours < 1 || hours > MAX_SHARE_HOURS) {
+    return new AppError(`Link expiry must be between 1 and ${MAX_SHARE_HOURS} hours`, 400);
+  }
+  return hours;
+};
+
+// The customer and vehicle the media belongs to, from the work order when not set on the media
+const getShareContext = async (media) => {
+  await media.populate([
+    { path: 'customer', select: 'name email phone' },
+    { path: 'vehicle', select: 'year make model' }
+  ]);
+  let { customer, vehicle } = media;
+
+  if ((!customer || !vehicle) && media.workOrder) {
+    const workOrder = await WorkOrder.findById(media.workOrder)
+      .select('customer vehicle')
+      .populate('customer', 'name email phone')
+      .populate('vehicle', 'year make model');
+    if (workOrder) {
+      customer = customer || workOrder.customer;
+      vehicle = vehicle || workOrder.vehicle;
+    }
+  }
+
+  return { customer, vehicle };
+};
+
+// Save a new share, then send its link. Saving first means every link a
+// customer holds has a share record that can be revoked; if the send fails
+// the share is taken back off so no link nobody received is left behind.
+const sendShare = async (media, share, send) => {
+  await media.save();
+
+  try {
+    await send();
+  } catch (err) {
+    media.sharedWith.pull(share._id);
+    media.isShared = media.sharedWith.some(entry => !entry.revokedAt);
+    await media.save();
+    throw err;
+  }
+};
+
 // Share media with a customer via email
+// POST /api/media/:id/share { email, expiresInHours }
 exports.shareMediaViaEmail = catchAsync(async (req, res, next) => {
-  const { email } = req.body;
-  
-  if (!email) {
-    return next(new AppError('Please provide an email address', 400));
-  }
-  
+  const hours = getShareHours(req.body.expiresInHours);
+  if (hours instanceof AppError) return next(hours);
+
   const media = await Media.findById(req.params.id);
   
   if (!media) {
     return next(new AppError('No media found with that ID', 404));
   }
   
-  // Use the stored S3 key or extract from URL as fallback
-  let key = media.s3Key;
+  const { customer, vehicle } = await getShareContext(media);
+  const email = (req.body.email || customer?.email || '').trim();
+
+  if (!/^\S+@\S+\.\S+$/.test(email)) {
+    return next(new AppError('Please provide an email address', 400));
+  }
   
-  if (!key && media.fileUrl) {
-    // Fallback: extract key from URL for older records
-    const urlParts = media.fileUrl.split('/');
-    if (urlParts.length > 0) {
-      key = urlParts[urlParts.length - 1];
+  const share = media.addShare({ channel: 'Email', email, sharedBy: req.user.name }, hours);
+  const sharingLink = media.generateSharingLink(share);
+
+  await sendShare(media, share, () =>
+    emailService.shareMedia(media, customer, vehicle, sharingLink, { to: email })
+  );
+  
+  res.status(200).json({
+    status: 'success',
+    message: 'Media shared successfully',
+    data: {
+      media,
+      sharingLink
     }
+  });
+});
+
+// Share media with a customer by text; images are sent as MMS
+// POST /api/media/:id/share-sms { phone, expiresInHours }
+exports.shareMediaViaSMS = catchAsync(async (req, res, next) => {
+  const hours = getShareHours(req.body.expiresInHours);
+  if (hours instanceof AppError) return next(hours);
+
+  const media = await Media.findById(req.params.id);
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
   }
-  
-  if (!key) {
-    return next(new AppError('Media file key is missing', 400));
+
+  const { customer, vehicle } = await getShareContext(media);
+  const phone = Conversation.normalizePhone(req.body.phone || customer?.phone);
+
+  if (!phone) {
+    return next(new AppError('Please provide a 10-digit mobile number', 400));
   }
-  
-  // Get a signed URL with longer expiration (24 hours) and error handling
-  let signedUrl;
+
+  const share = media.addShare({ channel: 'SMS', phone, sharedBy: req.user.name }, hours);
+  const sharingLink = media.generateSharingLink(share);
+
+  // The MMS attachment is fetched by the carrier straight from storage,
+  // so it does not count as a customer view
+  let mediaUrl;
   try {
-    signedUrl = s3Service.getSignedUrl(key, 86400);
+    mediaUrl = storageService.getSignedUrl(media.getVariantKey('web'), MMS_URL_SECONDS, media.storageDriver);
   } catch (err) {
-    console.error('Error generating signed URL for sharing:', err);
-    return next(new AppError('Failed to generate signed URL for sharing', 500));
+    console.error('Error generating signed URL for MMS:', err);
   }
-  
-  // Create a sharingLink object similar to what the model method would return
-  const sharingLink = {
-    url: signedUrl,
-    expiresAt: new Date(Date.now() + 86400 * 1000)
-  };
-  
-  // Update the media record
-  media.isShared = true;
-  media.sharedWith.push({
-    email,
-    sharedAt: new Date()
-  });
-  
-  await media.save();
-  
-  // Send the email
-  // Note: In a real application, you would need to fetch the customer and vehicle details
-  // Here we're just using placeholder data
-  await emailService.shareMedia(
-    media,
-    { name: 'Customer' }, // This should be the actual customer
-    { year: '2023', make: 'Unknown', model: 'Unknown' }, // This should be the actual vehicle
-    sharingLink
+
+  await sendShare(media, share, () =>
+    twilioService.shareMedia(media, customer, vehicle, sharingLink, {
+      to: `+1${phone}`,
+      mediaUrl,
+      sentBy: req.user.name
+    })
   );
-  
+
   res.status(200).json({
     status: 'success',
     message: 'Media shared successfully',
+    data: {
+      media,
+      sharingLink
+    }
+  });
+});
+
+// Turn off one share link
+// DELETE /api/media/:id/shares/:shareId
+exports.revokeShare = catchAsync(async (req, res, next) => {
+  const media = await Media.findById(req.params.id);
+
+  if (!media) {
+    return next(new AppError('No media found with that ID', 404));
+  }
+
+  const share = media.sharedWith.id(req.params.shareId);
+
+  if (!share) {
+    return next(new AppError('No share found with that ID', 404));
+  }
+
+  if (!share.revokedAt) {
+    share.revokedAt = new Date();
+  }
+  // Media stays shared while any link has not been turned off
+  media.isShared = media.sharedWith.some(entry => !entry.revokedAt);
+  await media.save();
+
+  res.status(200).json({
+    status: 'success',
     data: {
       media
     }
   });
 });
+
+// Public: open a shared media file by its link token. Counts the view and
+// redirects to a short-lived storage URL (the web-sized copy for images).
+// GET /api/media/shared/:token
+exports.getSharedMedia = catchAsync(async (req, res, next) => {
+  const claims = Media.verifyShareToken(req.params.token);
+  const media = claims && await Media.findById(claims.mediaId);
+  const share = media && media.sharedWith.id(claims.shareId);
+
+  if (!share) {
+    return next(new AppError('This media link is not valid. Please contact the shop.', 404));
+  }
+
+  if (share.revokedAt || claims.expired) {
+    return next(new AppError('This media link has expired. Please contact the shop for a new one.', 410));
+  }
+
+  await Media.updateOne(
+    { _id: media._id, 'sharedWith._id': share._id },
+    { $set: { 'sharedWith.$.lastViewedAt': new Date() }, $inc: { 'sharedWith.$.viewCount': 1 } }
+  );
+
+  res.redirect(storageService.getSignedUrl(media.getVariantKey('web'), 300, media.storageDriver));
+});
+
+// Public: stream a file kept on this server's disk. Only signed URLs from
+// storageService.getSignedUrl are accepted.
+// GET /api/media/files/:key?expires=&signature=
+exports.getLocalFile = (req, res, next) => {
+  const { key } = req.params;
+
+  if (!storageService.verifyLocalUrl(key, req.query.expires, req.query.signature)) {
+    return next(new AppError('This file link is not valid or has expired', 403));
+  }
+
+  const stream = storageService.getFileStream(key, 'local');
+  stream.on('error', (err) => {
+    if (err.code === 'ENOENT') return next(new AppError('File not found', 404));
+    next(err);
+  });
+  stream.on('open', () => {
+    res.type(path.extname(key) || 'application/octet-stream');
+    res.set('Cache-Control', 'private, max-age=300');
+    // Let the customer pages and the client dev server show images from the API host
+    res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+    stream.pipe(res);
+  });
+};
@@ -0,0 +1,277 @@
+const moment = require('moment-timezone');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Customer = require('../models/Customer');
+const Appointment = require('../models/Appointment');
+const WorkOrder = require('../models/WorkOrder');
+const ShopSettings = require('../models/ShopSettings');
+const twilioService = require('../services/twilioService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Replies that confirm the customer's next appointment ("Reply Y to confirm")
+const CONFIRM_REPLIES = ['y', 'yes', 'confirm', 'confirmed'];
+const MAX_MESSAGE_LENGTH = 1600;
+const THREAD_LIMIT = 200;
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Twilio wants E.164
+const toE164 = phone => `+1${phone}`;
+
+const getThread = (conversationId) => Message.find({ conversation: conversationId })
+  .populate('workOrder', 'status')
+  .sort({ createdAt: -1 })
+  .limit(THREAD_LIMIT)
+  .then(messages => messages.reverse());
+
+/**
+ * Confirm the customer's next upcoming appointment and text them back
+ * @param {Object} customerId - Customer ID
+ * @param {String} phone - Number the reply came from
+ */
+const confirmNextAppointment = async (customerId, phone) => {
+  const appointment = await Appointment.findOne({
+    customer: customerId,
+    status: { $in: ['Scheduled', 'Confirmed'] },
+    startTime: { $gt: new Date() }
+  }).sort({ startTime: 1 });
+  if (!appointment) return;
+
+  const settings = await ShopSettings.getSettings();
+  const when = moment(appointment.startTime).tz(settings.timezone).format('ddd, MMM D [at] h:mm A');
+  const alreadyConfirmed = appointment.status === 'Confirmed';
+
+  if (!alreadyConfirmed) {
+    appointment.status = 'Confirmed';
+    await appointment.save();
+  }
+
+  const body = alreadyConfirmed
+    ? `Thanks! Your appointment on ${when} is already confirmed. - ${settings.businessName}`
+    : `Thanks! Your ${appointment.serviceType} appointment on ${when} is confirmed. See you then. - ${settings.businessName}`;
+
+  try {
+    await twilioService.sendSMS(toE164(phone), body, {
+      template: 'appointment-confirmation',
+      customer: customerId,
+      appointment: appointment._id
+    });
+  } catch (err) {
+    console.error('Failed to send confirmation reply:', err);
+  }
+};
+
+// Reject webhook calls that are not signed by Twilio.
+// Behind a proxy that rewrites the host, set TWILIO_WEBHOOK_BASE_URL to the public URL (e.g. https://crm.example.com)
+exports.validateTwilioRequest = (req, res, next) => {
+  const baseUrl = process.env.TWILIO_WEBHOOK_BASE_URL
+    ? process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/$/, '')
+    : `${req.protocol}://${req.get('host')}`;
+
+  if (!twilioService.validateWebhook(req.get('X-Twilio-Signature'), `${baseUrl}${req.originalUrl}`, req.body)) {
+    return next(new AppError('Invalid Twilio signature', 403));
+  }
+  next();
+};
+
+// Twilio inbound SMS webhook
+// POST /api/webhooks/twilio/sms
+exports.receiveSms = catchAsync(async (req, res, next) => {
+  const { From, To, Body, MessageSid, SmsStatus } = req.body;
+
+  // Twilio retries when we are slow to answer; store each message once
+  const duplicate = MessageSid && await Message.exists({ twilioSid: MessageSid });
+  if (!duplicate) {
+    const mediaUrls = [];
+    for (let i = 0; i < (parseInt(req.body.NumMedia, 10) || 0); i += 1) {
+      if (req.body[`MediaUrl${i}`]) mediaUrls.push(req.body[`MediaUrl${i}`]);
+    }
+
+    const recorded = await Conversation.recordMessage({
+      phone: From,
+      direction: 'Inbound',
+      body: Body,
+      mediaUrls,
+      from: From,
+      to: To,
+      twilioSid: MessageSid,
+      status: SmsStatus || 'received'
+    });
+
+    const reply = (Body || '').trim().replace(/[.!]+$/, '').toLowerCase();
+    if (recorded && recorded.conversation.customer && CONFIRM_REPLIES.includes(reply)) {
+      await confirmNextAppointment(recorded.conversation.customer, recorded.conversation.phone);
+    }
+  }
+
+  res.type('text/xml').status(200).send(EMPTY_TWIML);
+});
+
+// List message threads, newest activity first
+// GET /api/messages/conversations?search=&unread=true&page=1
+exports.getConversations = catchAsync(async (req, res, next) => {
+  const limit = 50;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const query = {};
+
+  if (req.query.unread === 'true') {
+    query.unreadCount = { $gt: 0 };
+  }
+  if (req.query.search) {
+    const search = req.query.search.trim();
+    const digits = search.replace(/[^\d]/g, '');
+    const customers = await Customer.find({ name: { $regex: escapeRegex(search), $options: 'i' } }).select('_id').limit(100);
+    query.$or = [{ customer: { $in: customers.map(customer => customer._id) } }];
+    if (digits.length >= 3) query.$or.push({ phone: { $regex: digits } });
+  }
+
+  const [conversations, total, unread] = await Promise.all([
+    Conversation.find(query)
+      .populate('customer', 'name phone communicationPreference')
+      .sort({ lastMessageAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Conversation.countDocuments(query),
+    Conversation.aggregate([{ $group: { _id: null, total: { $sum: '$unreadCount' } } }])
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: conversations.length,
+    data: {
+      conversations,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      unreadTotal: unread.length ? unread[0].total : 0
+    }
+  });
+});
+
+// Get a thread and its messages
+// GET /api/messages/conversations/:id
+exports.getConversation = catchAsync(async (req, res, next) => {
+  const conversation = await Conversation.findById(req.params.id)
+    .populate('customer', 'name phone email communicationPreference');
+
+  if (!conversation) {
+    return next(new AppError('No conversation found with that ID', 404));
+  }
+
+  const messages = await getThread(conversation._id);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      conversation,
+      messages
+    }
+  });
+});
+
+// Get the thread for a customer's phone number (conversation is null if they have never texted)
+// GET /api/messages/customer/:customerId
+exports.getCustomerConversation = catchAsync(async (req, res, next) => {
+  const customer = await Customer.findById(req.params.customerId);
+
+  if (!customer) {
+    return next(new AppError('No customer found with that ID', 404));
+  }
+
+  const phone = Conversation.normalizePhone(customer.phone);
+  const conversation = phone
+    ? await Conversation.findOne({ phone }).populate('customer', 'name phone email communicationPreference')
+    : null;
+  const messages = conversation ? await getThread(conversation._id) : [];
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      conversation,
+      messages
+    }
+  });
+});
+
+// Mark a thread as read
+// POST /api/messages/conversations/:id/read
+exports.markRead = catchAsync(async (req, res, next) => {
+  const conversation = await Conversation.findByIdAndUpdate(
+    req.params.id,
+    { unreadCount: 0 },
+    { new: true }
+  ).populate('customer', 'name phone email communicationPreference');
+
+  if (!conversation) {
+    return next(new AppError('No conversation found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      conversation
+    }
+  });
+});
+
+// Text a customer from the inbox, customer or work order screen
+// POST /api/messages { conversationId | customerId, workOrderId, body }
+exports.sendMessage = catchAsync(async (req, res, next) => {
+  const { conversationId, customerId, workOrderId } = req.body;
+  const body = (req.body.body || '').trim();
+
+  if (!body) {
+    return next(new AppError('Please enter a message', 400));
+  }
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    return next(new AppError(`Messages can be up to ${MAX_MESSAGE_LENGTH} characters`, 400));
+  }
+
+  let phone;
+  let customer;
+  if (conversationId) {
+    const conversation = await Conversation.findById(conversationId);
+    if (!conversation) {
+      return next(new AppError('No conversation found with that ID', 404));
+    }
+    phone = conversation.phone;
+    customer = conversation.customer;
+  } else {
+    const found = await Customer.findById(customerId);
+    if (!found) {
+      return next(new AppError('No customer found with that ID', 404));
+    }
+    phone = Conversation.normalizePhone(found.phone);
+    customer = found._id;
+  }
+  if (!phone) {
+    return next(new AppError('This customer does not have a valid mobile number', 400));
+  }
+
+  if (workOrderId && !(await WorkOrder.exists({ _id: workOrderId }))) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  const sent = await twilioService.sendSMS(toE164(phone), body, {
+    template: 'staff-reply',
+    customer,
+    sentBy: req.user.name,
+    workOrder: workOrderId || undefined,
+    retry: false // Staff see the error and can send again
+  });
+
+  // Replying means the thread has been read
+  const conversation = await Conversation.findOneAndUpdate({ phone }, { unreadCount: 0 }, { new: true })
+    .populate('customer', 'name phone email communicationPreference');
+  const message = await Message.findOne({ twilioSid: sent.sid }).populate('workOrder', 'status');
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      conversation,
+      message
+    }
+  });
+});
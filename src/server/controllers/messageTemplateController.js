@@ -0,0 +1,173 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const WorkOrder = require('../models/WorkOrder');
+const Conversation = require('../models/Conversation');
+const templateService = require('../services/templateService');
+const twilioService = require('../services/twilioService');
+const emailService = require('../services/emailService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Pick the editable template fields from the request body
+const templateFields = ({ event, channel, status, subject, body, active }) => {
+  const fields = { event, channel, status, subject, body, active };
+  Object.keys(fields).forEach(key => fields[key] === undefined && delete fields[key]);
+  return fields;
+};
+
+// Check a draft template without saving it
+const validateDraft = async (fields) => {
+  try {
+    await new MessageTemplate(fields).validate();
+    return [];
+  } catch (err) {
+    if (!err.errors) throw err;
+    return Object.values(err.errors).map(entry => entry.message);
+  }
+};
+
+// Get message templates, with the events, placeholders and statuses they can use
+// GET /api/message-templates
+exports.getTemplates = catchAsync(async (req, res, next) => {
+  // Make sure the built-in templates exist before listing
+  await MessageTemplate.ensureDefaults();
+
+  const templates = await MessageTemplate.find().sort({ event: 1, channel: 1, status: 1 });
+
+  res.status(200).json({
+    status: 'success',
+    results: templates.length,
+    data: {
+      templates,
+      events: MessageTemplate.TEMPLATE_EVENTS,
+      placeholders: MessageTemplate.PLACEHOLDERS,
+      statuses: WorkOrder.STATUSES
+    }
+  });
+});
+
+// Create a message template, e.g. a status update for another status
+// POST /api/message-templates
+exports.createTemplate = catchAsync(async (req, res, next) => {
+  const fields = templateFields(req.body);
+  const event = MessageTemplate.TEMPLATE_EVENTS[fields.event];
+
+  if (event && await MessageTemplate.exists({ event: fields.event, channel: fields.channel, status: event.perStatus ? fields.status : null })) {
+    return next(new AppError('There is already a template for that message; edit it instead', 400));
+  }
+
+  const template = await MessageTemplate.create({ ...fields, updatedBy: req.user.name });
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      template
+    }
+  });
+});
+
+// Update a message template. Which message it is for cannot change.
+// PATCH /api/message-templates/:id
+exports.updateTemplate = catchAsync(async (req, res, next) => {
+  const template = await MessageTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(new AppError('No message template found with that ID', 404));
+  }
+
+  const { subject, body, active } = req.body;
+  template.set(templateFields({ subject, body, active }));
+  template.updatedBy = req.user.name;
+  await template.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      template
+    }
+  });
+});
+
+// Delete a per-status template; the others can only be turned off
+// DELETE /api/message-templates/:id
+exports.deleteTemplate = catchAsync(async (req, res, next) => {
+  const template = await MessageTemplate.findById(req.params.id);
+
+  if (!template) {
+    return next(new AppError('No message template found with that ID', 404));
+  }
+
+  if (!MessageTemplate.TEMPLATE_EVENTS[template.event].perStatus) {
+    return next(new AppError('Built-in templates cannot be deleted; turn them off instead', 400));
+  }
+
+  await template.deleteOne();
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Render a draft template with sample data
+// POST /api/message-templates/preview { event, channel, status, subject, body }
+exports.previewTemplate = catchAsync(async (req, res, next) => {
+  const fields = templateFields(req.body);
+  const errors = await validateDraft(fields);
+  const records = await templateService.sampleRecords(fields.status);
+  const rendered = templateService.render(fields, await templateService.buildValues(records));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      preview: {
+        subject: rendered.subject,
+        body: rendered.body,
+        html: rendered.html,
+        missing: rendered.missing,
+        errors
+      }
+    }
+  });
+});
+
+// Send a draft template, filled with sample data, to a staff phone or inbox
+// POST /api/message-templates/test { event, channel, status, subject, body, to }
+exports.sendTest = catchAsync(async (req, res, next) => {
+  const fields = templateFields(req.body);
+  const errors = await validateDraft(fields);
+  if (errors.length) {
+    return next(new AppError(errors.join('. '), 400));
+  }
+
+  const records = await templateService.sampleRecords(fields.status);
+  const rendered = templateService.render(fields, await templateService.buildValues(records));
+  if (rendered.missing.length) {
+    return next(new AppError(`No value for ${rendered.missing.map(path => `{{${path}}}`).join(', ')}; check the shop settings`, 400));
+  }
+
+  const options = { template: 'template-test', sentBy: req.user.name, retry: false };
+  if (fields.channel === 'SMS') {
+    const phone = Conversation.normalizePhone(req.body.to);
+    if (!phone) {
+      return next(new AppError('Enter a 10-digit mobile number to send the test to', 400));
+    }
+    await twilioService.sendSMS(`+1${phone}`, rendered.body, options);
+  } else {
+    const to = (req.body.to || '').trim();
+    if (!/^\S+@\S+\.\S+$/.test(to)) {
+      return next(new AppError('Enter an email address to send the test to', 400));
+    }
+    await emailService.sendEmail({
+      ...options,
+      to,
+      subject: `[Test] ${rendered.subject}`,
+      text: rendered.body,
+      html: rendered.html
+    });
+  }
+
+  res.status(200).json({
+    status: 'success',
+    message: 'Test message sent'
+  });
+});
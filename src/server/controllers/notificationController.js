@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+// Reject SendGrid event webhooks that are not signed with the key from
+// SendGrid's Mail Settings > Signed Event Webhook (SENDGRID_WEBHOOK_PUBLIC_KEY)
+exports.validateSendGridRequest = (req, res, next) => {
+  const publicKey = process.env.SENDGRID_WEBHOOK_PUBLIC_KEY;
+  const signature = req.get('X-Twilio-Email-Event-Webhook-Signature');
+  const timestamp = req.get('X-Twilio-Email-Event-Webhook-Timestamp');
+
+  if (!publicKey || !signature || !timestamp || !req.rawBody) {
+    return next(new AppError('Invalid SendGrid signature', 403));
+  }
+
+  try {
+    const key = crypto.createPublicKey({ key: Buffer.from(publicKey, 'base64'), format: 'der', type: 'spki' });
+    const valid = crypto.createVerify('sha256')
+      .update(timestamp + req.rawBody.toString())
+      .verify(key, signature, 'base64');
+    if (!valid) {
+      return next(new AppError('Invalid SendGrid signature', 403));
+    }
+  } catch (err) {
+    return next(new AppError('Invalid SendGrid signature', 403));
+  }
+  next();
+};
+
+// Twilio message status callback
+// POST /api/webhooks/twilio/status
+exports.twilioStatus = catchAsync(async (req, res, next) => {
+  const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body;
+
+  await notificationService.applyDeliveryStatus({
+    provider: 'twilio',
+    providerId: MessageSid,
+    status: MessageStatus,
+    error: ErrorCode ? `Twilio error ${ErrorCode}${ErrorMessage ? `: ${ErrorMessage}` : ''}` : undefined
+  });
+
+  res.type('text/xml').status(200).send(EMPTY_TWIML);
+});
+
+// SendGrid event webhook (a batch of events)
+// POST /api/webhooks/sendgrid/events
+exports.sendGridEvents = catchAsync(async (req, res, next) => {
+  const events = Array.isArray(req.body) ? req.body : [];
+
+  for (const event of events) {
+    // sg_message_id is the X-Message-Id we stored, plus a suffix
+    if (event.sg_message_id) {
+      await notificationService.applyDeliveryStatus({
+        provider: 'sendgrid',
+        providerId: event.sg_message_id.split('.')[0],
+        status: event.event,
+        error: event.reason || event.response
+      });
+    }
+  }
+
+  res.status(200).json({ status: 'success' });
+});
+
+// Outbox entries, newest first
+// GET /api/notifications?status=Failed&channel=SMS&template=status-update&customer=<id>&workOrder=<id>&page=1
+exports.getNotifications = catchAsync(async (req, res, next) => {
+  const limit = 50;
+  const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+  const query = {};
+
+  if (req.query.status) {
+    if (!Notification.NOTIFICATION_STATUSES.includes(req.query.status)) {
+      return next(new AppError(`Status must be one of: ${Notification.NOTIFICATION_STATUSES.join(', ')}`, 400));
+    }
+    query.status = req.query.status;
+  }
+  if (req.query.channel) query.channel = req.query.channel;
+  if (req.query.template) query.template = req.query.template;
+  if (req.query.customer) query.customer = req.query.customer;
+  if (req.query.workOrder) query.workOrder = req.query.workOrder;
+
+  const [notifications, total, counts] = await Promise.all([
+    Notification.find(query)
+      .select('-payload.attachments.content -payload.html')
+      .populate('customer', 'name')
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Notification.countDocuments(query),
+    Notification.aggregate([{ $group: { _id: '$status', count: { $sum: 1 } } }])
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: notifications.length,
+    data: {
+      notifications,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      counts: counts.reduce((all, entry) => ({ ...all, [entry._id]: entry.count }), {}),
+      outbox: notificationService.getStatus()
+    }
+  });
+});
+
+// Send a failed notification again
+// POST /api/notifications/:id/retry
+exports.retryNotification = catchAsync(async (req, res, next) => {
+  const notification = await notificationService.retry(req.params.id);
+
+  if (!notification) {
+    return next(new AppError('No failed notification found with that ID', 404));
+  }
+
+  await notificationService.processQueue();
+  const updated = await Notification.findById(notification._id)
+    .select('-payload.attachments.content -payload.html')
+    .populate('customer', 'name');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      notification: updated
+    }
+  });
+});
@@ -1,4 +1,5 @@
 const Part = require('../models/Part');
+const StockMovement = require('../models/StockMovement');
 const { validationResult } = require('express-validator');
 
 // Get all parts
@@ -13,11 +14,12 @@ const getAllParts = async (req, res) => {
       page = 1,
       limit = 50,
       sortBy = 'name',
-      sortOrder = 'asc'
+      sortOrder = 'asc',
+      lowStock
     } = req.query;
 
     // Build filter object
-    const filter = {};
+    const filter = lowStock === 'true' ? Part.lowStockFilter() : {};
     
     if (category) filter.category = category;
     if (vendor) filter.vendor = new RegExp(vendor, 'i');
@@ -124,12 +126,26 @@ const createPart = async (req, res) => {
       warranty: req.body.warranty || '',
       notes: req.body.notes || '',
       url: req.body.url || '',
+      binLocation: req.body.binLocation || '',
+      minimumQuantity: parseInt(req.body.minimumQuantity) || 0,
+      reorderQuantity: parseInt(req.body.reorderQuantity) || 0,
       isActive: req.body.isActive !== undefined ? req.body.isActive : true
     };
 
     const part = new Part(partData);
     await part.save();
 
+    // Opening stock is recorded in the ledger like any other movement
+    const initialQuantity = parseInt(req.body.quantityOnHand) || 0;
+    if (initialQuantity !== 0) {
+      const stocked = await Part.adjustStock(part._id, initialQuantity, {
+        type: 'Adjusted',
+        reason: 'Initial stock',
+        user: req.user
+      });
+      part.quantityOnHand = stocked.quantityOnHand;
+    }
+
     res.status(201).json({
       success: true,
       message: 'Part created successfully',
@@ -179,8 +195,12 @@ const updatePart = async (req, res) => {
       warranty: req.body.warranty || '',
       notes: req.body.notes || '',
       url: req.body.url || '',
+      binLocation: req.body.binLocation || '',
+      minimumQuantity: parseInt(req.body.minimumQuantity) || 0,
+      reorderQuantity: parseInt(req.body.reorderQuantity) || 0,
       isActive: req.body.isActive !== undefined ? req.body.isActive : true,
       lastUpdated: new Date()
+      // quantityOnHand is not editable here; use POST /api/parts/:id/stock
     };
 
     const part = await Part.findByIdAndUpdate(
@@ -252,6 +272,115 @@ const deletePart = async (req, res) => {
   }
 };
 
+// Record a stock movement (received, returned or adjusted) for a part
+const adjustStock = async (req, res) => {
+  try {
+    const { type, reason } = req.body;
+    const quantity = parseInt(req.body.quantity);
+    const manualTypes = ['Received', 'Returned', 'Adjusted'];
+
+    if (!manualTypes.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Movement type must be one of: ${manualTypes.join(', ')}`
+      });
+    }
+
+    if (isNaN(quantity) || quantity === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be a non-zero whole number'
+      });
+    }
+
+    // Received and returned stock always adds to the shelf; adjustments can go either way
+    if (type !== 'Adjusted' && quantity < 0) {
+      return res.status(400).json({
+        success: false,
+        message: `${type} quantity must be positive`
+      });
+    }
+
+    if (type === 'Adjusted' && (!reason || reason.trim() === '')) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required for stock adjustments'
+      });
+    }
+
+    const part = await Part.adjustStock(req.params.id, quantity, {
+      type,
+      reason,
+      workOrder: req.body.workOrder,
+      user: req.user
+    });
+
+    if (!part) {
+      return res.status(404).json({
+        success: false,
+        message: 'Part not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Stock updated successfully',
+      data: { part }
+    });
+  } catch (error) {
+    console.error('Error adjusting stock:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to adjust stock',
+      error: error.message
+    });
+  }
+};
+
+// Get the stock movement ledger for a part
+const getStockMovements = async (req, res) => {
+  try {
+    const { limit = 50 } = req.query;
+
+    const movements = await StockMovement.find({ part: req.params.id })
+      .populate('workOrder', '_id status serviceRequested')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json({
+      success: true,
+      data: { movements }
+    });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch stock movements',
+      error: error.message
+    });
+  }
+};
+
+// Get active parts at or below their reorder point
+const getLowStockParts = async (req, res) => {
+  try {
+    const parts = await Part.find({ ...Part.lowStockFilter(), isActive: true })
+      .sort({ vendor: 1, name: 1 });
+
+    res.json({
+      success: true,
+      data: { parts }
+    });
+  } catch (error) {
+    console.error('Error fetching low stock parts:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch low stock parts',
+      error: error.message
+    });
+  }
+};
+
 // Search parts
 const searchParts = async (req, res) => {
   try {
@@ -348,5 +477,8 @@ module.exports = {
   searchParts,
   getCategories,
   getVendors,
-  getBrands
+  getBrands,
+  adjustStock,
+  getStockMovements,
+  getLowStockParts
 };
\ No newline at end of file
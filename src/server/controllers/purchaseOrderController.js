@@ -0,0 +1,471 @@
+const PurchaseOrder = require('../models/PurchaseOrder');
+const WorkOrder = require('../models/WorkOrder');
+const Part = require('../models/Part');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Work order statuses whose parts no longer need ordering
+const CLOSED_WORK_ORDER_STATUSES = ['Repair Complete - Invoiced', 'Cancelled'];
+
+const populatePurchaseOrder = (query) => query.populate({
+  path: 'items.workOrder',
+  select: '_id status customer vehicle',
+  populate: [
+    { path: 'customer', select: 'name' },
+    { path: 'vehicle', select: 'year make model' }
+  ]
+});
+
+// Copy purchase order details onto the linked work order part subdocuments
+const linkWorkOrderParts = async (purchaseOrder) => {
+  const linkedItems = purchaseOrder.items.filter(item => item.workOrder && item.workOrderPart);
+
+  await Promise.all(linkedItems.map(item => WorkOrder.updateOne(
+    { _id: item.workOrder, 'parts._id': item.workOrderPart },
+    {
+      $set: {
+        'parts.$.ordered': true,
+        'parts.$.received': item.quantityReceived >= item.quantityOrdered,
+        'parts.$.vendor': purchaseOrder.vendor,
+        'parts.$.purchaseOrderNumber': purchaseOrder.poNumber,
+        'parts.$.purchaseOrder': purchaseOrder._id
+      }
+    }
+  )));
+};
+
+// Clear purchase order details from work order parts (when an order is cancelled or deleted)
+const unlinkWorkOrderParts = async (purchaseOrder) => {
+  const linkedItems = purchaseOrder.items.filter(item => item.workOrder && item.workOrderPart);
+
+  await Promise.all(linkedItems.map(item => WorkOrder.updateOne(
+    { _id: item.workOrder, parts: { $elemMatch: { _id: item.workOrderPart, purchaseOrder: purchaseOrder._id } } },
+    {
+      $set: { 'parts.$.ordered': false, 'parts.$.purchaseOrderNumber': '' },
+      $unset: { 'parts.$.purchaseOrder': '' }
+    }
+  )));
+};
+
+// Work orders whose parts are now all received but are not yet marked 'Parts Received'
+const getPartsReceivedSuggestions = async (workOrderIds) => {
+  if (workOrderIds.length === 0) return [];
+
+  const workOrders = await WorkOrder.find({ _id: { $in: workOrderIds } })
+    .select('_id status parts')
+    .populate('customer', 'name')
+    .populate('vehicle', 'year make model');
+
+  return workOrders
+    .filter(workOrder =>
+      workOrder.parts.length > 0 &&
+      workOrder.parts.every(part => part.received) &&
+      workOrder.status !== 'Parts Received' &&
+      WorkOrder.canTransition(workOrder.status, 'Parts Received')
+    )
+    .map(workOrder => ({
+      workOrder: {
+        _id: workOrder._id,
+        status: workOrder.status,
+        customer: workOrder.customer,
+        vehicle: workOrder.vehicle
+      },
+      suggestedStatus: 'Parts Received'
+    }));
+};
+
+// Build purchase order items from the request body
+// Items either point at a work order part ({ workOrder, workOrderPart }) or are stock/free-form lines
+const buildItems = async (items = [], vendor, purchaseOrderId = null) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('A purchase order needs at least one item', 400);
+  }
+
+  const workOrderIds = [...new Set(items.filter(item => item.workOrder).map(item => item.workOrder.toString()))];
+  const workOrders = await WorkOrder.find({ _id: { $in: workOrderIds } }).select('_id status parts');
+  const workOrdersById = new Map(workOrders.map(workOrder => [workOrder._id.toString(), workOrder]));
+
+  return items.map(item => {
+    if (!item.workOrder) {
+      return {
+        part: item.part || undefined,
+        name: item.name,
+        partNumber: item.partNumber,
+        quantityOrdered: parseInt(item.quantityOrdered, 10),
+        cost: parseFloat(item.cost) || 0,
+        expectedDate: item.expectedDate || undefined
+      };
+    }
+
+    const workOrder = workOrdersById.get(item.workOrder.toString());
+    const workOrderPart = workOrder && workOrder.parts.id(item.workOrderPart);
+
+    if (!workOrderPart) {
+      throw new AppError('Work order part not found. It may have been removed from the work order.', 404);
+    }
+    if (workOrderPart.purchaseOrder && (!purchaseOrderId || !workOrderPart.purchaseOrder.equals(purchaseOrderId))) {
+      throw new AppError(`${workOrderPart.name} is already on purchase order ${workOrderPart.purchaseOrderNumber}`, 400);
+    }
+    if (workOrderPart.vendor && workOrderPart.vendor.toLowerCase() !== vendor.toLowerCase()) {
+      throw new AppError(`${workOrderPart.name} is from ${workOrderPart.vendor}, not ${vendor}`, 400);
+    }
+
+    return {
+      workOrder: workOrder._id,
+      workOrderPart: workOrderPart._id,
+      part: workOrderPart.part,
+      name: workOrderPart.name,
+      partNumber: workOrderPart.partNumber,
+      quantityOrdered: parseInt(item.quantityOrdered, 10) || workOrderPart.quantity,
+      cost: parseFloat(item.cost) || 0,
+      expectedDate: item.expectedDate || undefined
+    };
+  });
+};
+
+// Get all purchase orders
+exports.getAllPurchaseOrders = catchAsync(async (req, res, next) => {
+  const { status, vendor, workOrder, open } = req.query;
+
+  const query = {};
+
+  if (status) query.status = status;
+  if (vendor) query.vendor = vendor;
+  if (workOrder) query['items.workOrder'] = workOrder;
+  if (open === 'true') query.status = { $in: ['Ordered', 'Partially Received'] };
+
+  const purchaseOrders = await populatePurchaseOrder(
+    PurchaseOrder.find(query).sort({ createdAt: -1 })
+  );
+
+  res.status(200).json({
+    status: 'success',
+    results: purchaseOrders.length,
+    data: {
+      purchaseOrders
+    }
+  });
+});
+
+// Get work order parts that still need ordering, grouped by vendor
+exports.getUnorderedParts = catchAsync(async (req, res, next) => {
+  const workOrders = await WorkOrder.find({
+    status: { $nin: CLOSED_WORK_ORDER_STATUSES },
+    parts: { $elemMatch: { ordered: { $ne: true }, received: { $ne: true }, purchaseOrder: { $exists: false } } }
+  })
+    .select('_id status parts customer vehicle')
+    .populate('customer', 'name')
+    .populate('vehicle', 'year make model');
+
+  const vendors = new Map();
+
+  workOrders.forEach(workOrder => {
+    workOrder.parts
+      .filter(part => !part.ordered && !part.received && !part.purchaseOrder)
+      .forEach(part => {
+        const vendor = part.vendor || '';
+        if (!vendors.has(vendor)) vendors.set(vendor, []);
+        vendors.get(vendor).push({
+          workOrder: {
+            _id: workOrder._id,
+            status: workOrder.status,
+            customer: workOrder.customer,
+            vehicle: workOrder.vehicle
+          },
+          workOrderPart: part._id,
+          part: part.part,
+          name: part.name,
+          partNumber: part.partNumber,
+          quantity: part.quantity
+        });
+      });
+  });
+
+  // Parts without a vendor are listed last so someone can assign one
+  const groups = [...vendors.entries()]
+    .map(([vendor, parts]) => ({ vendor, parts }))
+    .sort((a, b) => {
+      if (!a.vendor) return 1;
+      if (!b.vendor) return -1;
+      return a.vendor.localeCompare(b.vendor);
+    });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      vendors: groups
+    }
+  });
+});
+
+// Get a single purchase order
+exports.getPurchaseOrder = catchAsync(async (req, res, next) => {
+  const purchaseOrder = await populatePurchaseOrder(PurchaseOrder.findById(req.params.id));
+
+  if (!purchaseOrder) {
+    return next(new AppError('No purchase order found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      purchaseOrder
+    }
+  });
+});
+
+// Create a purchase order (starts as a Draft)
+exports.createPurchaseOrder = catchAsync(async (req, res, next) => {
+  const { vendor, expectedDate, notes, vendorOrderNumber } = req.body;
+
+  if (!vendor || !vendor.trim()) {
+    return next(new AppError('Please provide a vendor', 400));
+  }
+
+  const items = await buildItems(req.body.items, vendor.trim());
+
+  const purchaseOrder = await PurchaseOrder.create({
+    poNumber: await PurchaseOrder.generatePoNumber(),
+    vendor: vendor.trim(),
+    expectedDate,
+    vendorOrderNumber,
+    notes,
+    items,
+    createdBy: req.user._id,
+    createdByName: req.user.name
+  });
+
+  // Reserve the work order parts so they are not put on a second order
+  await Promise.all(purchaseOrder.items
+    .filter(item => item.workOrder)
+    .map(item => WorkOrder.updateOne(
+      { _id: item.workOrder, 'parts._id': item.workOrderPart },
+      { $set: { 'parts.$.purchaseOrder': purchaseOrder._id, 'parts.$.vendor': purchaseOrder.vendor } }
+    )));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      purchaseOrder: await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id))
+    }
+  });
+});
+
+// Update a purchase order
+// Items can only be replaced while the order is a Draft; after that only dates, notes and backorder flags change
+exports.updatePurchaseOrder = catchAsync(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('No purchase order found with that ID', 404));
+  }
+
+  if (purchaseOrder.status === 'Cancelled') {
+    return next(new AppError('Cancelled purchase orders cannot be changed', 400));
+  }
+
+  ['expectedDate', 'notes', 'vendorOrderNumber'].forEach(field => {
+    if (req.body[field] !== undefined) purchaseOrder[field] = req.body[field] || undefined;
+  });
+
+  if (req.body.items) {
+    if (purchaseOrder.status === 'Draft') {
+      const previousItems = purchaseOrder.items.map(item => item.toObject());
+      purchaseOrder.items = await buildItems(req.body.items, purchaseOrder.vendor, purchaseOrder._id);
+
+      // Release work order parts that were taken off the draft
+      const kept = new Set(purchaseOrder.items.map(item => item.workOrderPart && item.workOrderPart.toString()));
+      await unlinkWorkOrderParts({
+        _id: purchaseOrder._id,
+        items: previousItems.filter(item => item.workOrderPart && !kept.has(item.workOrderPart.toString()))
+      });
+      await Promise.all(purchaseOrder.items
+        .filter(item => item.workOrder)
+        .map(item => WorkOrder.updateOne(
+          { _id: item.workOrder, 'parts._id': item.workOrderPart },
+          { $set: { 'parts.$.purchaseOrder': purchaseOrder._id, 'parts.$.vendor': purchaseOrder.vendor } }
+        )));
+    } else {
+      // Ordered purchase orders only take per-line expected dates and backorder flags
+      req.body.items.forEach(update => {
+        const item = purchaseOrder.items.id(update._id);
+        if (!item) return;
+        if (update.backordered !== undefined) item.backordered = !!update.backordered;
+        if (update.expectedDate !== undefined) item.expectedDate = update.expectedDate || undefined;
+      });
+    }
+  }
+
+  await purchaseOrder.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      purchaseOrder: await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id))
+    }
+  });
+});
+
+// Mark a draft purchase order as placed with the vendor
+exports.placeOrder = catchAsync(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('No purchase order found with that ID', 404));
+  }
+
+  if (purchaseOrder.status !== 'Draft') {
+    return next(new AppError(`Purchase order is already ${purchaseOrder.status.toLowerCase()}`, 400));
+  }
+
+  purchaseOrder.status = 'Ordered';
+  purchaseOrder.orderedAt = new Date();
+  if (req.body.expectedDate) purchaseOrder.expectedDate = req.body.expectedDate;
+  if (req.body.vendorOrderNumber) purchaseOrder.vendorOrderNumber = req.body.vendorOrderNumber;
+
+  await purchaseOrder.save();
+  await linkWorkOrderParts(purchaseOrder);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      purchaseOrder: await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id))
+    }
+  });
+});
+
+// Receive a delivery against a purchase order
+// Body: { items: [{ item, quantity, backordered, expectedDate }], notes }
+exports.receivePurchaseOrder = catchAsync(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('No purchase order found with that ID', 404));
+  }
+
+  if (!['Ordered', 'Partially Received'].includes(purchaseOrder.status)) {
+    return next(new AppError(`Cannot receive a purchase order that is ${purchaseOrder.status.toLowerCase()}`, 400));
+  }
+
+  const lines = Array.isArray(req.body.items) ? req.body.items : [];
+  const received = [];
+
+  for (const line of lines) {
+    const item = purchaseOrder.items.id(line.item);
+
+    if (!item) {
+      return next(new AppError('Purchase order item not found', 404));
+    }
+
+    const quantity = parseInt(line.quantity, 10) || 0;
+
+    if (quantity < 0 || quantity > item.quantityOrdered - item.quantityReceived) {
+      return next(new AppError(
+        `Cannot receive ${quantity} of ${item.name}; ${item.quantityOrdered - item.quantityReceived} outstanding`,
+        400
+      ));
+    }
+
+    if (quantity > 0) {
+      item.quantityReceived += quantity;
+      received.push({ item: item._id, quantity });
+    }
+
+    // Whatever is still outstanding can be flagged as backordered with a new date
+    if (line.backordered !== undefined) item.backordered = !!line.backordered;
+    if (line.expectedDate !== undefined) item.expectedDate = line.expectedDate || undefined;
+    if (item.quantityReceived >= item.quantityOrdered) item.backordered = false;
+  }
+
+  if (received.length === 0 && !lines.some(line => line.backordered !== undefined || line.expectedDate !== undefined)) {
+    return next(new AppError('Enter a quantity received for at least one item', 400));
+  }
+
+  if (received.length > 0) {
+    purchaseOrder.receipts.push({
+      receivedBy: req.user._id,
+      receivedByName: req.user.name,
+      items: received,
+      notes: req.body.notes
+    });
+  }
+
+  purchaseOrder.refreshStatus();
+  await purchaseOrder.save();
+
+  // Catalog parts go into stock as they arrive
+  for (const { item: itemId, quantity } of received) {
+    const item = purchaseOrder.items.id(itemId);
+    if (item.part) {
+      await Part.adjustStock(item.part, quantity, {
+        type: 'Received',
+        reason: `Purchase order ${purchaseOrder.poNumber}`,
+        workOrder: item.workOrder,
+        user: req.user
+      });
+    }
+  }
+
+  await linkWorkOrderParts(purchaseOrder);
+
+  const workOrderIds = [...new Set(purchaseOrder.items
+    .filter(item => item.workOrder)
+    .map(item => item.workOrder.toString()))];
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      purchaseOrder: await populatePurchaseOrder(PurchaseOrder.findById(purchaseOrder._id)),
+      suggestions: await getPartsReceivedSuggestions(workOrderIds)
+    }
+  });
+});
+
+// Cancel a purchase order that has not received anything yet
+exports.cancelPurchaseOrder = catchAsync(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('No purchase order found with that ID', 404));
+  }
+
+  if (purchaseOrder.items.some(item => item.quantityReceived > 0)) {
+    return next(new AppError('Purchase orders with received items cannot be cancelled', 400));
+  }
+
+  purchaseOrder.status = 'Cancelled';
+  if (req.body.reason) {
+    purchaseOrder.notes = [purchaseOrder.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n');
+  }
+
+  await purchaseOrder.save();
+  await unlinkWorkOrderParts(purchaseOrder);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      purchaseOrder
+    }
+  });
+});
+
+// Delete a draft purchase order
+exports.deletePurchaseOrder = catchAsync(async (req, res, next) => {
+  const purchaseOrder = await PurchaseOrder.findById(req.params.id);
+
+  if (!purchaseOrder) {
+    return next(new AppError('No purchase order found with that ID', 404));
+  }
+
+  if (purchaseOrder.status !== 'Draft') {
+    return next(new AppError('Only draft purchase orders can be deleted. Cancel the order instead.', 400));
+  }
+
+  await unlinkWorkOrderParts(purchaseOrder);
+  await PurchaseOrder.findByIdAndDelete(req.params.id);
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
@@ -135,7 +135,7 @@ const globalSearch = catchAsync(async (req, res, next) => {
     }
 
     // If query looks like a phone number, prioritize phone matches
-    const phoneRegex = /[\d\-\(\)\s\+]+/;
+    const phoneRegex = /[\d()\s+-]+/;
     if (phoneRegex.test(query) && query.length > 6) {
       const phoneMatches = await Customer.find({
         phone: { $regex: query.replace(/\D/g, ''), $options: 'i' }
@@ -0,0 +1,64 @@
+const ShopSettings = require('../models/ShopSettings');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+// Fields that can be changed through the settings API
+const EDITABLE_FIELDS = [
+  'businessName',
+  'businessAddressLine1',
+  'businessAddressLine2',
+  'businessPhone',
+  'businessEmail',
+  'businessWebsite',
+  'businessLogo',
+  'defaultLaborRate',
+  'taxRates',
+  'invoiceTerms',
+  'defaultPaymentTerms',
+  'timezone',
+  'businessHours',
+  'holidays',
+  'bayRules',
+  'defaultBayType',
+  'onlineBooking',
+  'reminders'
+];
+
+// Get the shop settings
+exports.getSettings = catchAsync(async (req, res, next) => {
+  const settings = await ShopSettings.getSettings();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      settings
+    }
+  });
+});
+
+// Update the shop settings
+exports.updateSettings = catchAsync(async (req, res, next) => {
+  const settings = await ShopSettings.getSettings();
+
+  const updates = Object.keys(req.body).filter(field => EDITABLE_FIELDS.includes(field));
+  if (updates.length === 0) {
+    return next(new AppError('No valid settings fields provided', 400));
+  }
+
+  updates.forEach(field => {
+    settings.set(field, req.body[field]);
+  });
+
+  if (req.user) {
+    settings.updatedBy = req.user.name;
+  }
+
+  await settings.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      settings
+    }
+  });
+});
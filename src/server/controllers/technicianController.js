@@ -1,9 +1,39 @@
+const moment = require('moment-timezone');
 const Technician = require('../models/Technician');
+const TimeOff = require('../models/TimeOff');
+const User = require('../models/User');
+const ShopSettings = require('../models/ShopSettings');
+const availabilityService = require('../services/availabilityService');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 
+/**
+ * Check that a login can be linked to a technician
+ * @param {String} userId - User ID to link (empty to unlink)
+ * @param {String} technicianId - Technician being saved, if it already exists
+ * @returns {Promise<AppError|null>} Error to return, or null if the link is allowed
+ */
+const checkUserLink = async (userId, technicianId = null) => {
+  if (!userId) return null;
+
+  const user = await User.findById(userId);
+  if (!user) {
+    return new AppError('No user found with that ID', 404);
+  }
+
+  const linked = await Technician.findOne({ user: userId, _id: { $ne: technicianId } });
+  if (linked) {
+    return new AppError(`${user.name} is already linked to technician ${linked.name}`, 400);
+  }
+  return null;
+};
+
 // Create a new technician
 exports.createTechnician = catchAsync(async (req, res, next) => {
+  if (!req.body.user) delete req.body.user;
+  const linkError = await checkUserLink(req.body.user);
+  if (linkError) return next(linkError);
+
   const newTechnician = await Technician.create(req.body);
   res.status(201).json({
     status: 'success',
@@ -18,7 +48,9 @@ exports.getAllTechnicians = catchAsync(async (req, res, next) => {
   // Allow filtering by isActive status, defaults to true
   const query = { isActive: req.query.isActive === 'false' ? false : true };
   
-  const technicians = await Technician.find(query).sort({ name: 1 }); // Sort by name
+  const technicians = await Technician.find(query)
+    .populate('user', 'name email role')
+    .sort({ name: 1 }); // Sort by name
 
   res.status(200).json({
     status: 'success',
@@ -31,7 +63,7 @@ exports.getAllTechnicians = catchAsync(async (req, res, next) => {
 
 // Get a single technician by ID
 exports.getTechnicianById = catchAsync(async (req, res, next) => {
-  const technician = await Technician.findById(req.params.id);
+  const technician = await Technician.findById(req.params.id).populate('user', 'name email role');
 
   if (!technician) {
     return next(new AppError('No technician found with that ID', 404));
@@ -46,11 +78,21 @@ exports.getTechnicianById = catchAsync(async (req, res, next) => {
 });
 
 // Update a technician
+// Send user: null (or '') to unlink the login
 exports.updateTechnician = catchAsync(async (req, res, next) => {
-  const technician = await Technician.findByIdAndUpdate(req.params.id, req.body, {
+  const updates = { ...req.body };
+  if (updates.user === '' || updates.user === null) {
+    delete updates.user;
+    updates.$unset = { user: 1 };
+  } else if (updates.user) {
+    const linkError = await checkUserLink(updates.user, req.params.id);
+    if (linkError) return next(linkError);
+  }
+
+  const technician = await Technician.findByIdAndUpdate(req.params.id, updates, {
     new: true, // Return the modified document rather than the original
     runValidators: true, // Ensure that updates adhere to schema validation
-  });
+  }).populate('user', 'name email role');
 
   if (!technician) {
     return next(new AppError('No technician found with that ID', 404));
@@ -83,6 +125,126 @@ exports.deleteTechnician = catchAsync(async (req, res, next) => {
   });
 });
 
+// Longest range the availability endpoint will compute
+const MAX_AVAILABILITY_DAYS = 31;
+
+// Open booking slots for a technician
+// GET /api/technicians/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&duration=60&step=15&excludeAppointment=
+exports.getAvailability = catchAsync(async (req, res, next) => {
+  const technician = await Technician.findById(req.params.id);
+  if (!technician) {
+    return next(new AppError('No technician found with that ID', 404));
+  }
+
+  const { from, to = from, excludeAppointment } = req.query;
+  const fromDay = moment(from, 'YYYY-MM-DD', true);
+  const toDay = moment(to, 'YYYY-MM-DD', true);
+  if (!fromDay.isValid() || !toDay.isValid()) {
+    return next(new AppError('Please provide from and to dates in YYYY-MM-DD format', 400));
+  }
+  if (toDay.isBefore(fromDay)) {
+    return next(new AppError('The to date must not be before the from date', 400));
+  }
+  if (toDay.diff(fromDay, 'days') >= MAX_AVAILABILITY_DAYS) {
+    return next(new AppError(`Availability can be requested for up to ${MAX_AVAILABILITY_DAYS} days at a time`, 400));
+  }
+
+  const duration = parseInt(req.query.duration, 10) || 60;
+  const step = parseInt(req.query.step, 10) || 15;
+  if (duration < 5 || duration > 24 * 60 || step < 5 || step > 240) {
+    return next(new AppError('Duration must be 5 minutes to 24 hours and step 5 to 240 minutes', 400));
+  }
+
+  const days = await availabilityService.getTechnicianAvailability(technician, {
+    from,
+    to,
+    duration,
+    step,
+    excludeAppointment
+  });
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      technician: { _id: technician._id, name: technician.name },
+      duration,
+      step,
+      days
+    }
+  });
+});
+
+// Get time off for all technicians (or ?technician=) overlapping ?from and ?to (YYYY-MM-DD, shop time)
+exports.getTimeOff = catchAsync(async (req, res, next) => {
+  const timezone = await ShopSettings.getTimezone();
+  const { technician, from, to } = req.query;
+
+  const start = from
+    ? moment.tz(from, timezone).startOf('day')
+    : moment.tz(timezone).startOf('day');
+  const end = to
+    ? moment.tz(to, timezone).endOf('day')
+    : start.clone().add(3, 'months');
+
+  const filter = technician ? { technician } : {};
+  const entries = await TimeOff.findOverlapping(start.toDate(), end.toDate(), filter)
+    .populate('technician', 'name');
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      timeOff: entries,
+      types: TimeOff.TIME_OFF_TYPES
+    }
+  });
+});
+
+// Add time off for a technician
+exports.createTimeOff = catchAsync(async (req, res, next) => {
+  const technician = await Technician.findById(req.params.id);
+  if (!technician) {
+    return next(new AppError('No technician found with that ID', 404));
+  }
+
+  const timezone = await ShopSettings.getTimezone();
+  const { type, reason } = req.body;
+  if (!req.body.start || !req.body.end) {
+    return next(new AppError('Please provide when the time off starts and ends', 400));
+  }
+
+  const entry = await TimeOff.create({
+    technician: technician._id,
+    type,
+    reason,
+    start: moment.tz(req.body.start, timezone).toDate(),
+    end: moment.tz(req.body.end, timezone).toDate(),
+    createdBy: req.user._id,
+    createdByName: req.user.name
+  });
+  await entry.populate('technician', 'name');
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      timeOff: entry
+    }
+  });
+});
+
+// Remove a time off entry
+exports.deleteTimeOff = catchAsync(async (req, res, next) => {
+  const entry = await TimeOff.findByIdAndDelete(req.params.timeOffId);
+  if (!entry) {
+    return next(new AppError('No time off found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
 // To permanently delete a technician (optional, use with caution)
 // exports.permanentlyDeleteTechnician = catchAsync(async (req, res, next) => {
 //   const technician = await Technician.findByIdAndDelete(req.params.id);
@@ -0,0 +1,415 @@
+const moment = require('moment-timezone');
+const TimeEntry = require('../models/TimeEntry');
+const Technician = require('../models/Technician');
+const WorkOrder = require('../models/WorkOrder');
+const ShopSettings = require('../models/ShopSettings');
+const catchAsync = require('../utils/catchAsync');
+const AppError = require('../utils/appError');
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+const populateEntry = (query) => query
+  .populate('technician', 'name')
+  .populate('workOrder', 'status serviceRequested');
+
+/**
+ * Shop-local date range filter on clockIn
+ * @param {String} from - Start date (YYYY-MM-DD), inclusive
+ * @param {String} to - End date (YYYY-MM-DD), inclusive
+ * @returns {Promise<Object|null>} Mongo filter, or null if neither date is given
+ */
+const clockInRange = async (from, to) => {
+  if (!from && !to) return null;
+
+  const timezone = await ShopSettings.getTimezone();
+  const range = {};
+  if (from) range.$gte = moment.tz(from, timezone).startOf('day').utc().toDate();
+  if (to) range.$lte = moment.tz(to, timezone).endOf('day').utc().toDate();
+  return range;
+};
+
+// Check that a labor line belongs to the work order
+const findLaborLine = (workOrder, laborLineId) => {
+  if (!laborLineId) return null;
+  return workOrder.labor.id(laborLineId);
+};
+
+/**
+ * Work out whose clock a request is for
+ * Technicians always punch their own linked profile; office staff may punch anyone
+ * and default to their own profile if they have one
+ * @param {Object} req - Express request
+ * @param {String} requestedId - Technician ID from the request, if any
+ * @returns {Promise<{technicianId: String, error: AppError}>}
+ */
+const resolveTechnician = async (req, requestedId) => {
+  if (requestedId && req.user.role !== 'technician') {
+    return { technicianId: requestedId };
+  }
+
+  const own = await Technician.findForUser(req.user._id);
+  if (!own) {
+    return {
+      error: req.user.role === 'technician'
+        ? new AppError('Your login is not linked to a technician profile. Ask an admin to link it.', 400)
+        : new AppError('Technician is required', 400)
+    };
+  }
+  if (requestedId && requestedId !== own._id.toString()) {
+    return { error: new AppError('Technicians can only punch their own time clock', 403) };
+  }
+  return { technicianId: own._id };
+};
+
+// Duplicate key on the one-open-punch-per-technician index
+const isOpenPunchConflict = (err) => err.code === 11000;
+
+const closeEntry = async (entry, reason, notes) => {
+  entry.clockOut = new Date();
+  entry.endReason = reason;
+  if (notes) entry.notes = entry.notes ? `${entry.notes}\n${notes}` : notes;
+  await entry.save();
+  return entry;
+};
+
+// Get time entries
+exports.getTimeEntries = catchAsync(async (req, res, next) => {
+  const { technician, workOrder, from, to, open } = req.query;
+
+  const query = {};
+  if (technician) query.technician = technician;
+  if (workOrder) query.workOrder = workOrder;
+  if (open === 'true') query.clockOut = null;
+
+  const range = await clockInRange(from, to);
+  if (range) query.clockIn = range;
+
+  const entries = await populateEntry(TimeEntry.find(query).sort({ clockIn: -1 }));
+
+  res.status(200).json({
+    status: 'success',
+    results: entries.length,
+    data: {
+      entries
+    }
+  });
+});
+
+// Get a technician's open punch, if any
+exports.getClockStatus = catchAsync(async (req, res, next) => {
+  const { technicianId, error } = await resolveTechnician(req, req.query.technician);
+  if (error) return next(error);
+
+  const entry = await populateEntry(TimeEntry.findOpen(technicianId));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry
+    }
+  });
+});
+
+// Clock a technician in on a work order (optionally against one of its labor lines)
+// If they are clocked in elsewhere, switch: true closes that punch first
+exports.clockIn = catchAsync(async (req, res, next) => {
+  const { workOrder: workOrderId, laborLine, notes } = req.body;
+
+  const { technicianId, error } = await resolveTechnician(req, req.body.technician);
+  if (error) return next(error);
+
+  const technician = await Technician.findById(technicianId);
+  if (!technician || !technician.isActive) {
+    return next(new AppError('No active technician found with that ID', 404));
+  }
+
+  const workOrder = await WorkOrder.findById(workOrderId).select('labor status');
+  if (!workOrder) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  if (laborLine && !findLaborLine(workOrder, laborLine)) {
+    return next(new AppError('Labor line not found on this work order', 400));
+  }
+
+  const open = await TimeEntry.findOpen(technician._id);
+  if (open) {
+    const sameJob = open.workOrder.equals(workOrder._id) &&
+      String(open.laborLine || '') === String(laborLine || '');
+    if (sameJob) {
+      return next(new AppError(`${technician.name} is already clocked in on this job`, 400));
+    }
+    if (!req.body.switch) {
+      return next(new AppError(
+        `${technician.name} is clocked in on work order #${open.workOrder.toString().slice(-6)}. Switch jobs to clock in here.`,
+        400
+      ));
+    }
+    await closeEntry(open, 'Switch');
+  }
+
+  let entry;
+  try {
+    entry = await TimeEntry.create({
+      technician: technician._id,
+      workOrder: workOrder._id,
+      laborLine: laborLine || undefined,
+      clockIn: new Date(),
+      notes,
+      createdBy: req.user._id,
+      createdByName: req.user.name
+    });
+  } catch (err) {
+    // Another clock-in for this technician got there first
+    if (isOpenPunchConflict(err)) {
+      return next(new AppError(`${technician.name} is already clocked in`, 400));
+    }
+    throw err;
+  }
+
+  const populated = await populateEntry(TimeEntry.findById(entry._id));
+
+  res.status(201).json({
+    status: 'success',
+    data: {
+      entry: populated
+    }
+  });
+});
+
+// Close a technician's open punch; reason is 'Clock Out' (default) or 'Pause'
+exports.clockOut = catchAsync(async (req, res, next) => {
+  const { reason = 'Clock Out', notes } = req.body;
+
+  if (!['Clock Out', 'Pause'].includes(reason)) {
+    return next(new AppError('Reason must be Clock Out or Pause', 400));
+  }
+
+  const { technicianId, error } = await resolveTechnician(req, req.body.technician);
+  if (error) return next(error);
+
+  const open = await TimeEntry.findOpen(technicianId);
+  if (!open) {
+    return next(new AppError('This technician is not clocked in', 400));
+  }
+
+  await closeEntry(open, reason, notes);
+  const populated = await populateEntry(TimeEntry.findById(open._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry: populated
+    }
+  });
+});
+
+// Correct a punch (times, labor line or notes)
+exports.updateTimeEntry = catchAsync(async (req, res, next) => {
+  const entry = await TimeEntry.findById(req.params.id);
+
+  if (!entry) {
+    return next(new AppError('No time entry found with that ID', 404));
+  }
+
+  const { clockIn, clockOut, laborLine, notes } = req.body;
+
+  if (laborLine !== undefined) {
+    if (laborLine) {
+      const workOrder = await WorkOrder.findById(entry.workOrder).select('labor');
+      if (!workOrder || !findLaborLine(workOrder, laborLine)) {
+        return next(new AppError('Labor line not found on this work order', 400));
+      }
+    }
+    entry.laborLine = laborLine || undefined;
+  }
+
+  if (clockIn) entry.clockIn = new Date(clockIn);
+  if (clockOut !== undefined) {
+    if (!clockOut) {
+      const open = await TimeEntry.findOpen(entry.technician);
+      if (open && !open._id.equals(entry._id)) {
+        return next(new AppError('This technician already has an open punch', 400));
+      }
+    }
+    entry.clockOut = clockOut ? new Date(clockOut) : null;
+    if (!clockOut) entry.endReason = undefined;
+    else if (!entry.endReason) entry.endReason = 'Clock Out';
+  }
+  if (notes !== undefined) entry.notes = notes;
+
+  try {
+    await entry.save();
+  } catch (err) {
+    if (isOpenPunchConflict(err)) {
+      return next(new AppError('This technician already has an open punch', 400));
+    }
+    throw err;
+  }
+  const populated = await populateEntry(TimeEntry.findById(entry._id));
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      entry: populated
+    }
+  });
+});
+
+// Delete a punch
+exports.deleteTimeEntry = catchAsync(async (req, res, next) => {
+  const entry = await TimeEntry.findByIdAndDelete(req.params.id);
+
+  if (!entry) {
+    return next(new AppError('No time entry found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// Billed vs. actual hours for each labor line on a work order
+// Time not tied to a line is reported as unassigned
+exports.getLaborSummary = catchAsync(async (req, res, next) => {
+  const workOrder = await WorkOrder.findById(req.query.workOrder).select('labor');
+
+  if (!workOrder) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  const entries = await TimeEntry.find({ workOrder: workOrder._id }).populate('technician', 'name');
+
+  const lines = workOrder.labor.map(line => ({
+    _id: line._id,
+    description: line.description,
+    billedHours: line.hours,
+    actualHours: 0
+  }));
+  let unassignedHours = 0;
+  const byTechnician = {};
+
+  entries.forEach(entry => {
+    const line = entry.laborLine && lines.find(candidate => candidate._id.equals(entry.laborLine));
+    if (line) line.actualHours += entry.hours;
+    else unassignedHours += entry.hours;
+
+    const key = entry.technician ? entry.technician._id.toString() : 'unknown';
+    if (!byTechnician[key]) {
+      byTechnician[key] = { technician: entry.technician ? entry.technician._id : null, name: entry.technician ? entry.technician.name : 'Unknown', hours: 0 };
+    }
+    byTechnician[key].hours += entry.hours;
+  });
+
+  const billedHours = lines.reduce((total, line) => total + line.billedHours, 0);
+  const actualHours = lines.reduce((total, line) => total + line.actualHours, 0) + unassignedHours;
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      lines: lines.map(line => ({ ...line, actualHours: roundHours(line.actualHours) })),
+      unassignedHours: roundHours(unassignedHours),
+      technicians: Object.values(byTechnician).map(entry => ({ ...entry, hours: roundHours(entry.hours) })),
+      totals: {
+        billedHours: roundHours(billedHours),
+        actualHours: roundHours(actualHours)
+      }
+    }
+  });
+});
+
+// Efficiency report: billed (flagged) hours vs. clocked hours per technician
+// Each labor line's billed hours are credited to the technicians who clocked time against it,
+// in proportion to their time. Lines nobody clocked against are shared out the same way across
+// the work order's unassigned time. Only punches that start inside the date range count.
+exports.getEfficiencyReport = catchAsync(async (req, res, next) => {
+  const { from, to, technician } = req.query;
+
+  const query = {};
+  if (technician) query.technician = technician;
+  const range = await clockInRange(from, to);
+  if (range) query.clockIn = range;
+
+  const entries = await TimeEntry.find(query).populate('technician', 'name');
+  const workOrderIds = [...new Set(entries.map(entry => entry.workOrder.toString()))];
+
+  // Totals per bucket (labor line or unassigned) use every punch on the work order,
+  // including other technicians and other dates
+  const [workOrders, allEntries] = await Promise.all([
+    WorkOrder.find({ _id: { $in: workOrderIds } }).select('labor'),
+    TimeEntry.find({ workOrder: { $in: workOrderIds } })
+  ]);
+
+  const billedByBucket = {};
+  const workedByBucket = {};
+  const bucketFor = (entry, workOrder) => {
+    const line = workOrder && entry.laborLine && workOrder.labor.id(entry.laborLine);
+    return `${entry.workOrder}:${line ? line._id : 'unassigned'}`;
+  };
+  const workOrderMap = new Map(workOrders.map(workOrder => [workOrder._id.toString(), workOrder]));
+
+  allEntries.forEach(entry => {
+    const bucket = bucketFor(entry, workOrderMap.get(entry.workOrder.toString()));
+    workedByBucket[bucket] = (workedByBucket[bucket] || 0) + entry.hours;
+  });
+
+  workOrders.forEach(workOrder => {
+    const unassignedKey = `${workOrder._id}:unassigned`;
+    workOrder.labor.forEach(line => {
+      const key = `${workOrder._id}:${line._id}`;
+      if (workedByBucket[key]) billedByBucket[key] = line.hours;
+      else billedByBucket[unassignedKey] = (billedByBucket[unassignedKey] || 0) + line.hours;
+    });
+  });
+
+  const report = {};
+  entries.forEach(entry => {
+    const key = entry.technician ? entry.technician._id.toString() : 'unknown';
+    if (!report[key]) {
+      report[key] = {
+        technician: entry.technician ? entry.technician._id : null,
+        name: entry.technician ? entry.technician.name : 'Unknown',
+        workedHours: 0,
+        billedHours: 0,
+        workOrders: new Set()
+      };
+    }
+
+    const bucket = bucketFor(entry, workOrderMap.get(entry.workOrder.toString()));
+    const share = workedByBucket[bucket] ? entry.hours / workedByBucket[bucket] : 0;
+    report[key].workedHours += entry.hours;
+    report[key].billedHours += (billedByBucket[bucket] || 0) * share;
+    report[key].workOrders.add(entry.workOrder.toString());
+  });
+
+  const efficiency = (billed, worked) => (worked > 0 ? Math.round((billed / worked) * 100) : null);
+
+  const technicians = Object.values(report)
+    .map(row => ({
+      technician: row.technician,
+      name: row.name,
+      workedHours: roundHours(row.workedHours),
+      billedHours: roundHours(row.billedHours),
+      efficiency: efficiency(row.billedHours, row.workedHours),
+      workOrders: row.workOrders.size
+    }))
+    .sort((a, b) => a.name.localeCompare(b.name));
+
+  const workedHours = technicians.reduce((total, row) => total + row.workedHours, 0);
+  const billedHours = technicians.reduce((total, row) => total + row.billedHours, 0);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      from: from || null,
+      to: to || null,
+      technicians,
+      totals: {
+        workedHours: roundHours(workedHours),
+        billedHours: roundHours(billedHours),
+        efficiency: efficiency(billedHours, workedHours)
+      }
+    }
+  });
+});
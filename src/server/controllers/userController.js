@@ -1,6 +1,8 @@
 const User = require('../models/User');
+const Technician = require('../models/Technician');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
+const { permissions } = require('../utils/permissions');
 
 // Filter object to only allow specific fields
 const filterObj = (obj, ...allowedFields) => {
@@ -25,9 +27,35 @@ exports.getAllUsers = catchAsync(async (req, res, next) => {
 });
 
 // Get current user
-exports.getMe = (req, res, next) => {
-  req.params.id = req.user.id;
-  next();
+// Includes the technician profile linked to this login, if any
+exports.getMe = catchAsync(async (req, res, next) => {
+  const technician = await Technician.findForUser(req.user._id).select('name specialization');
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      user: req.user,
+      technician
+    }
+  });
+});
+
+// Get the actions the current user's role may perform on each resource
+exports.getMyPermissions = (req, res, next) => {
+  const allowed = {};
+  Object.keys(permissions).forEach(resource => {
+    allowed[resource] = Object.keys(permissions[resource]).filter(action =>
+      permissions[resource][action].includes(req.user.role)
+    );
+  });
+  
+  res.status(200).json({
+    status: 'success',
+    data: {
+      role: req.user.role,
+      permissions: allowed
+    }
+  });
 };
 
 // Update current user data (not password)
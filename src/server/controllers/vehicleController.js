@@ -269,3 +269,32 @@ exports.getMileageHistory = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// Update a deferred recommendation (mark it completed or dismissed)
+exports.updateRecommendation = catchAsync(async (req, res, next) => {
+  const { status, notes } = req.body;
+
+  const vehicle = await Vehicle.findById(req.params.id);
+
+  if (!vehicle) {
+    return next(new AppError('No vehicle found with that ID', 404));
+  }
+
+  const recommendation = vehicle.deferredRecommendations.id(req.params.recommendationId);
+
+  if (!recommendation) {
+    return next(new AppError('No recommendation found with that ID', 404));
+  }
+
+  if (status) recommendation.status = status;
+  if (notes !== undefined) recommendation.notes = notes;
+
+  await vehicle.save();
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      recommendation
+    }
+  });
+});
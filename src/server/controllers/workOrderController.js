@@ -1,14 +1,112 @@
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 const WorkOrder = require('../models/WorkOrder');
 const Vehicle = require('../models/Vehicle');
 const Customer = require('../models/Customer');
 const Appointment = require('../models/Appointment');
 const WorkOrderNote = require('../models/WorkOrderNote');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const Estimate = require('../models/Estimate');
+const Invoice = require('../models/Invoice');
+const Media = require('../models/Media');
+const Technician = require('../models/Technician');
+const ShopSettings = require('../models/ShopSettings');
 const catchAsync = require('../utils/catchAsync');
 const AppError = require('../utils/appError');
 const { parseLocalDate } = require('../utils/dateUtils');
 const twilioService = require('../services/twilioService');
 const emailService = require('../services/emailService');
+const inventoryService = require('../services/inventoryService');
+const storageService = require('../services/storageService');
+
+// Validate a requested status change against the work order state machine
+// Returns an AppError if the change is not allowed, otherwise null
+const validateStatusChange = (currentStatus, newStatus, { user, override, note }) => {
+  if (!WorkOrder.STATUSES.includes(newStatus)) {
+    return new AppError(`Invalid status: ${newStatus}`, 400);
+  }
+  
+  if (override) {
+    // Only admins may bypass the transition rules, and must say why
+    if (!user || user.role !== 'admin') {
+      return new AppError('Only admins can override status transitions', 403);
+    }
+    if (!note || !note.trim()) {
+      return new AppError('Please provide a note explaining the status override', 400);
+    }
+    return null;
+  }
+  
+  if (!WorkOrder.canTransition(currentStatus, newStatus)) {
+    const allowed = WorkOrder.getAllowedTransitions(currentStatus);
+    return new AppError(
+      `Cannot change status from "${currentStatus}" to "${newStatus}". ` +
+      (allowed.length ? `Allowed next statuses: ${allowed.join(', ')}` : 'No further status changes are allowed'),
+      400
+    );
+  }
+  
+  return null;
+};
+
+// Returned when two status changes race and this one lost
+const STATUS_CONFLICT_MESSAGE = 'The status of this work order was just changed by someone else. Reload it and try again.';
+
+// Statuses that mean work has started on the customer's behalf
+const APPROVAL_REQUIRED_STATUSES = ['Parts Ordered', 'Parts Received', 'Repair Scheduled', 'Repair In Progress'];
+
+// Moving past diagnosis needs an approved estimate on file (admins can override)
+// Returns an AppError if approval is missing, otherwise null
+const checkCustomerApproval = async (workOrder, newStatus, override) => {
+  if (override) return null;
+  if (workOrder.status !== 'Inspection/Diag Complete' || !APPROVAL_REQUIRED_STATUSES.includes(newStatus)) {
+    return null;
+  }
+  if (workOrder.parts.length === 0 && workOrder.labor.length === 0) {
+    return null;
+  }
+
+  const approved = await Estimate.hasApproval(workOrder._id);
+  if (!approved) {
+    return new AppError(
+      `Customer approval is required before moving to "${newStatus}". Send an estimate or record an in-person/phone approval first.`,
+      400
+    );
+  }
+
+  return null;
+};
+
+// Public link the customer uses to follow the work order
+const getStatusUrl = (token) =>
+  `${process.env.CLIENT_URL || 'http://localhost:3000'}/status/${token}`;
+
+// Text or email the customer about a new status, the way they prefer, with a
+// link to the status page. Statuses without an active status-update template
+// send nothing, and a failed send never fails the status change.
+const notifyStatusChange = async (workOrder, customer, vehicle) => {
+  if (!customer) return;
+
+  try {
+    const sendsSMS = customer.communicationPreference === 'SMS' && customer.phone;
+    const sendsEmail = customer.communicationPreference === 'Email' && customer.email;
+    if (!sendsSMS && !sendsEmail) return;
+
+    const statusLink = await WorkOrder.issueStatusLink(workOrder._id);
+    const statusUrl = statusLink ? getStatusUrl(statusLink.token) : undefined;
+
+    if (sendsSMS) {
+      await twilioService.sendStatusUpdate(workOrder, customer, vehicle, { statusUrl });
+    } else {
+      const notes = await WorkOrderNote.find({ workOrder: workOrder._id, isCustomerFacing: true })
+        .sort({ createdAt: -1 })
+        .limit(5);
+      await emailService.sendStatusUpdate(workOrder, customer, vehicle, { notes, statusUrl });
+    }
+  } catch (err) {
+    console.error(`Failed to send ${customer.communicationPreference} status update:`, err);
+  }
+};
 
 // Get all work orders
 exports.getAllWorkOrders = catchAsync(async (req, res, next) => {
@@ -60,6 +158,45 @@ exports.getAllWorkOrders = catchAsync(async (req, res, next) => {
   });
 });
 
+// Get the open work orders and upcoming appointments assigned to the logged-in technician
+exports.getMyWorkOrders = catchAsync(async (req, res, next) => {
+  const technician = await Technician.findForUser(req.user._id);
+
+  if (!technician) {
+    return next(new AppError('Your login is not linked to a technician profile. Ask an admin to link it.', 404));
+  }
+
+  const closedStatuses = ['Repair Complete - Invoiced', 'Cancelled'];
+  const timezone = await ShopSettings.getTimezone();
+  const todayStart = moment.tz(timezone).startOf('day').utc().toDate();
+
+  const [workOrders, appointments] = await Promise.all([
+    WorkOrder.find({ assignedTechnician: technician._id, status: { $nin: closedStatuses } })
+      .populate('customer', 'name phone email')
+      .populate('vehicle', 'year make model vin licensePlate')
+      .populate('assignedTechnician', 'name specialization')
+      .sort({ date: -1 }),
+    Appointment.find({
+      technician: technician._id,
+      startTime: { $gte: todayStart },
+      status: { $nin: ['Cancelled', 'No-Show', 'Completed'] }
+    })
+      .populate('customer', 'name phone')
+      .populate('vehicle', 'year make model licensePlate')
+      .sort({ startTime: 1 })
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    results: workOrders.length,
+    data: {
+      technician,
+      workOrders,
+      appointments
+    }
+  });
+});
+
 // Get a single work order
 exports.getWorkOrder = catchAsync(async (req, res, next) => {
   try {
@@ -91,7 +228,8 @@ exports.getWorkOrder = catchAsync(async (req, res, next) => {
     res.status(200).json({
       status: 'success',
       data: {
-        workOrder
+        workOrder,
+        allowedTransitions: WorkOrder.getAllowedTransitions(workOrder.status)
       }
     });
   } catch (err) {
@@ -167,6 +305,15 @@ exports.createWorkOrder = catchAsync(async (req, res, next) => {
     workOrderData.status = 'Work Order Created';
   }
   
+  // Start the status history with the initial status
+  workOrderData.statusHistory = [{
+    to: workOrderData.status,
+    changedBy: req.user ? req.user._id : undefined,
+    changedByName: req.user ? req.user.name : 'System',
+    changedAt: new Date(),
+    note: 'Work order created'
+  }];
+  
   // Calculate total estimate if parts and labor are provided
   if (!workOrderData.totalEstimate) {
     const partsCost = (workOrderData.parts || []).reduce((total, part) => {
@@ -182,6 +329,12 @@ exports.createWorkOrder = catchAsync(async (req, res, next) => {
   
   const newWorkOrder = await WorkOrder.create(workOrderData);
   
+  // Take any catalog parts out of stock
+  await inventoryService.syncWorkOrderParts([], newWorkOrder.parts, {
+    workOrder: newWorkOrder._id,
+    user: req.user
+  });
+  
   // Create a note from diagnostic notes if provided
   if (workOrderData.diagnosticNotes && workOrderData.diagnosticNotes.trim()) {
     try {
@@ -229,6 +382,50 @@ exports.updateWorkOrder = catchAsync(async (req, res, next) => {
   // Handle services array if provided
   let workOrderData = { ...req.body };
   
+  // Status history is only written through status changes
+  delete workOrderData.statusHistory;
+  const { statusNote, override } = workOrderData;
+  delete workOrderData.statusNote;
+  delete workOrderData.override;
+  
+  // The status the change was checked against; the update only applies if it is still current
+  let previousStatus = null;
+  
+  // Validate status changes against the state machine and record them in the history
+  if (workOrderData.status) {
+    const currentWorkOrder = await WorkOrder.findById(req.params.id).select('status parts labor');
+    
+    if (!currentWorkOrder) {
+      return next(new AppError('No work order found with that ID', 404));
+    }
+    
+    if (currentWorkOrder.status !== workOrderData.status) {
+      const isOverride = override === true || override === 'true';
+      const statusError = validateStatusChange(currentWorkOrder.status, workOrderData.status, {
+        user: req.user,
+        override: isOverride,
+        note: statusNote
+      }) || await checkCustomerApproval(currentWorkOrder, workOrderData.status, isOverride);
+      
+      if (statusError) {
+        return next(statusError);
+      }
+      
+      previousStatus = currentWorkOrder.status;
+      workOrderData.$push = {
+        statusHistory: {
+          from: currentWorkOrder.status,
+          to: workOrderData.status,
+          changedBy: req.user ? req.user._id : undefined,
+          changedByName: req.user ? req.user.name : 'System',
+          changedAt: new Date(),
+          note: statusNote,
+          override: isOverride
+        }
+      };
+    }
+  }
+  
   // Process services array
   if (workOrderData.services) {
     // Ensure services is in the correct format
@@ -327,56 +524,6 @@ exports.updateWorkOrder = catchAsync(async (req, res, next) => {
     }
   }
   
-  // If status is being updated
-  if (workOrderData.status) {
-    const oldWorkOrder = await WorkOrder.findById(req.params.id)
-      .populate('customer')
-      .populate('vehicle');
-      
-    if (oldWorkOrder && oldWorkOrder.status !== workOrderData.status) {
-      // Send notification if status is changing to a notifiable status
-      const notifiableStatuses = [
-        'Inspected/Parts Ordered',
-        'Parts Received',
-        'Repair In Progress',
-        'Repair Complete - Awaiting Payment',
-        'Repair Complete - Invoiced'
-      ];
-      
-      if (notifiableStatuses.includes(workOrderData.status) && 
-          oldWorkOrder.customer && 
-          oldWorkOrder.vehicle) {
-        
-        // Send SMS notification if customer prefers SMS
-        if (oldWorkOrder.customer.communicationPreference === 'SMS' && 
-            oldWorkOrder.customer.phone) {
-          try {
-            await twilioService.sendStatusUpdate(
-              { status: workOrderData.status },
-              oldWorkOrder.customer,
-              oldWorkOrder.vehicle
-            );
-          } catch (err) {
-            console.error('Failed to send SMS notification:', err);
-            // Don't fail the update if notification fails
-          }
-        }
-        
-        // Send email notification if customer prefers Email
-        if (oldWorkOrder.customer.communicationPreference === 'Email' && 
-            oldWorkOrder.customer.email) {
-          try {
-            // This would require implementing a specific email template for status updates
-            // await emailService.sendStatusUpdate(...);
-          } catch (err) {
-            console.error('Failed to send email notification:', err);
-            // Don't fail the update if notification fails
-          }
-        }
-      }
-    }
-  }
-  
   const oldWorkOrder = await WorkOrder.findById(req.params.id); // Get current state for comparison
 
   // If an appointmentId is present and has a technician, ensure workOrder.assignedTechnician is synced
@@ -386,29 +533,18 @@ exports.updateWorkOrder = catchAsync(async (req, res, next) => {
     if (appointment && appointment.technician) {
       workOrderData.assignedTechnician = appointment.technician._id;
     }
-  } else if (workOrderData.hasOwnProperty('appointmentId') && workOrderData.appointmentId === null) {
+  } else if (Object.prototype.hasOwnProperty.call(workOrderData, 'appointmentId') && workOrderData.appointmentId === null) {
     // If appointmentId is explicitly set to null, consider unassigning the technician
     // or leaving it as is, depending on desired logic. For now, we'll let assignedTechnician be managed separately if no appointment.
   }
 
-  // If status is changing to "Parts Received", mark all parts as received
-  if (workOrderData.status === 'Parts Received') {
-    const currentWorkOrder = await WorkOrder.findById(req.params.id);
-    if (currentWorkOrder && currentWorkOrder.status !== 'Parts Received') {
-      // Only auto-mark parts if status is actually changing to Parts Received
-      if (currentWorkOrder.parts && currentWorkOrder.parts.length > 0) {
-        workOrderData.parts = currentWorkOrder.parts.map(part => ({
-          ...part.toObject(),
-          received: true
-        }));
-      }
-    }
-  }
-
-  const updatedWorkOrderPopulated = await WorkOrder.findByIdAndUpdate(req.params.id, workOrderData, {
+  // A status change only applies while the work order still has the status it was checked
+  // against, so two changes at once cannot both get past the state machine
+  const filter = previousStatus ? { _id: req.params.id, status: previousStatus } : { _id: req.params.id };
+  const updatedWorkOrderPopulated = await WorkOrder.findOneAndUpdate(filter, workOrderData, {
     new: true,
     runValidators: true
-  }).populate('customer', 'name phone email')
+  }).populate('customer', 'name phone email communicationPreference') // Plus how to notify
     .populate('vehicle', 'year make model vin licensePlate')
     .populate('assignedTechnician', '_id name specialization') // _id first
     .populate({
@@ -421,9 +557,25 @@ exports.updateWorkOrder = catchAsync(async (req, res, next) => {
       });
 
   if (!updatedWorkOrderPopulated) {
+    if (previousStatus && await WorkOrder.exists({ _id: req.params.id })) {
+      return next(new AppError(STATUS_CONFLICT_MESSAGE, 409));
+    }
     return next(new AppError('No work order found with that ID', 404));
   }
   
+  // Tell the customer only once the new status is saved
+  if (previousStatus) {
+    await notifyStatusChange(updatedWorkOrderPopulated, updatedWorkOrderPopulated.customer, updatedWorkOrderPopulated.vehicle);
+  }
+  
+  // Keep inventory in step with catalog parts added, changed or removed
+  if (workOrderData.parts && oldWorkOrder) {
+    await inventoryService.syncWorkOrderParts(oldWorkOrder.parts, updatedWorkOrderPopulated.parts, {
+      workOrder: updatedWorkOrderPopulated._id,
+      user: req.user
+    });
+  }
+  
   // Sync assignedTechnician if appointmentId and its technician exist
   // This logic is now moved before the update to ensure workOrderData contains the correct technician
   // if (updatedWorkOrderPopulated.appointmentId && updatedWorkOrderPopulated.appointmentId.technician) {
@@ -444,6 +596,9 @@ exports.updateWorkOrder = catchAsync(async (req, res, next) => {
   });
 });
 
+// Statuses where the repair is done and its parts have left the shelf for good
+const PARTS_INSTALLED_STATUSES = ['Repair Complete - Awaiting Payment', 'Repair Complete - Invoiced'];
+
 // Delete a work order
 exports.deleteWorkOrder = catchAsync(async (req, res, next) => {
   const workOrder = await WorkOrder.findById(req.params.id);
@@ -460,6 +615,15 @@ exports.deleteWorkOrder = catchAsync(async (req, res, next) => {
   
   await WorkOrder.findByIdAndDelete(req.params.id);
   
+  // Return catalog parts on the deleted work order to stock, unless the repair
+  // is finished and the parts are already in the customer's vehicle
+  if (!PARTS_INSTALLED_STATUSES.includes(workOrder.status)) {
+    await inventoryService.syncWorkOrderParts(workOrder.parts, [], {
+      workOrder: workOrder._id,
+      user: req.user
+    });
+  }
+  
   res.status(204).json({
     status: 'success',
     data: null
@@ -468,7 +632,8 @@ exports.deleteWorkOrder = catchAsync(async (req, res, next) => {
 
 // Update work order status
 exports.updateStatus = catchAsync(async (req, res, next) => {
-  const { status } = req.body;
+  const { status, note } = req.body;
+  const override = req.body.override === true || req.body.override === 'true';
   
   if (!status) {
     return next(new AppError('Please provide a status', 400));
@@ -480,16 +645,27 @@ exports.updateStatus = catchAsync(async (req, res, next) => {
     return next(new AppError('No work order found with that ID', 404));
   }
   
-  // Update the status
-  workOrder.status = status;
-  
-  // If the status is "Parts Received", mark all parts as received
-  if (status === 'Parts Received') {
-    workOrder.parts.forEach(part => {
-      part.received = true;
-    });
+  const statusChanged = workOrder.status !== status;
+  if (statusChanged) {
+    const statusError = validateStatusChange(workOrder.status, status, {
+      user: req.user,
+      override,
+      note
+    }) || await checkCustomerApproval(workOrder, status, override);
+    
+    if (statusError) {
+      return next(statusError);
+    }
   }
   
+  // Update the status and record who changed it
+  const previousStatus = workOrder.status;
+  workOrder.recordStatusChange(status, {
+    user: req.user,
+    note,
+    override
+  });
+  
   // If the status is "Invoiced", set the totalActual
   if (status === 'Repair Complete - Invoiced') {
     // Calculate total from parts and labor
@@ -504,11 +680,20 @@ exports.updateStatus = catchAsync(async (req, res, next) => {
     workOrder.totalActual = partsCost + laborCost;
   }
   
-  await workOrder.save();
+  // Only save over the status that was checked, in case someone changed it meanwhile
+  if (statusChanged) workOrder.$where = { status: previousStatus };
+  try {
+    await workOrder.save();
+  } catch (err) {
+    if (err.name === 'DocumentNotFoundError') {
+      return next(new AppError(STATUS_CONFLICT_MESSAGE, 409));
+    }
+    throw err;
+  }
   
   // Get populated work order
   const populatedWorkOrder = await WorkOrder.findById(req.params.id)
-    .populate('customer', 'name phone email') // Match getWorkOrder population
+    .populate('customer', 'name phone email communicationPreference') // Match getWorkOrder population, plus how to notify
     .populate('vehicle', 'year make model vin licensePlate') // Match getWorkOrder population
     .populate('assignedTechnician', '_id name specialization') // Match getWorkOrder population
     .populate({
@@ -520,33 +705,15 @@ exports.updateStatus = catchAsync(async (req, res, next) => {
       }
     });
   
-  // Send notification if customer has communication preference set
-  if (populatedWorkOrder.customer && 
-      populatedWorkOrder.customer.communicationPreference !== 'None') {
-    
-    // For SMS notification
-    if (populatedWorkOrder.customer.communicationPreference === 'SMS' && 
-        populatedWorkOrder.customer.phone) {
-      try {
-        await twilioService.sendStatusUpdate(
-          populatedWorkOrder,
-          populatedWorkOrder.customer,
-          populatedWorkOrder.vehicle
-        );
-      } catch (err) {
-        console.error('Failed to send SMS notification:', err);
-        // Don't fail the update if notification fails
-      }
-    }
-    
-    // For Email notification
-    // This would require implementing a specific email template for status updates
+  if (statusChanged) {
+    await notifyStatusChange(populatedWorkOrder, populatedWorkOrder.customer, populatedWorkOrder.vehicle);
   }
   
   res.status(200).json({
     status: 'success',
     data: {
-      workOrder: populatedWorkOrder
+      workOrder: populatedWorkOrder,
+      allowedTransitions: WorkOrder.getAllowedTransitions(populatedWorkOrder.status)
     }
   });
 });
@@ -561,6 +728,7 @@ exports.addPart = catchAsync(async (req, res, next) => {
   
   // Add the part
   workOrder.parts.push(req.body);
+  const addedPart = workOrder.parts[workOrder.parts.length - 1];
   
   // Recalculate total estimate
   const partsCost = workOrder.parts.reduce((total, part) => {
@@ -575,6 +743,12 @@ exports.addPart = catchAsync(async (req, res, next) => {
   
   await workOrder.save();
   
+  // Parts taken from the catalog come out of stock
+  await inventoryService.syncWorkOrderParts([], [addedPart], {
+    workOrder: workOrder._id,
+    user: req.user
+  });
+  
   // Re-fetch and populate fully to ensure client receives consistent data
   const populatedWorkOrderAfterAdd = await WorkOrder.findById(req.params.id)
     .populate('customer', 'name phone email')
@@ -858,10 +1032,19 @@ exports.splitWorkOrder = catchAsync(async (req, res, next) => {
     assignedTechnician: originalWorkOrder.assignedTechnician ? originalWorkOrder.assignedTechnician._id : null,
     date: new Date(),
     priority: originalWorkOrder.priority,
-    status: 'Created',
+    status: 'Work Order Created',
+    statusHistory: [{
+      to: 'Work Order Created',
+      changedBy: req.user ? req.user._id : undefined,
+      changedByName: req.user ? req.user.name : 'System',
+      changedAt: new Date(),
+      note: `Split from work order ${originalWorkOrder._id.toString().slice(-6)}`
+    }],
     serviceRequested: newWorkOrderTitle || `Split from WO ${originalWorkOrder._id.toString().slice(-6)}`,
     diagnosticNotes: `Split from work order ${originalWorkOrder._id.toString().slice(-6)} on ${new Date().toLocaleDateString()}`,
     parts: partsToMoveItems.map(part => ({
+      _id: part._id, // Keep the id so purchase order lines still point at this part
+      part: part.part,
       name: part.name,
       partNumber: part.partNumber,
       quantity: part.quantity,
@@ -869,7 +1052,8 @@ exports.splitWorkOrder = catchAsync(async (req, res, next) => {
       ordered: part.ordered,
       received: part.received,
       vendor: part.vendor,
-      purchaseOrderNumber: part.purchaseOrderNumber
+      purchaseOrderNumber: part.purchaseOrderNumber,
+      purchaseOrder: part.purchaseOrder
     })),
     labor: laborToMoveItems.map(labor => ({
       description: labor.description,
@@ -912,6 +1096,16 @@ exports.splitWorkOrder = catchAsync(async (req, res, next) => {
     newWorkOrder.save()
   ]);
 
+  // Purchase order lines for the moved parts now belong to the new work order
+  const movedPartIds = partsToMoveItems.map(part => part._id);
+  if (movedPartIds.length > 0) {
+    await PurchaseOrder.updateMany(
+      { 'items.workOrderPart': { $in: movedPartIds } },
+      { $set: { 'items.$[item].workOrder': newWorkOrder._id } },
+      { arrayFilters: [{ 'item.workOrderPart': { $in: movedPartIds } }] }
+    );
+  }
+
   // Populate the new work order for response
   await newWorkOrder.populate([
     { path: 'customer', select: 'name phone email' },
@@ -927,3 +1121,153 @@ exports.splitWorkOrder = catchAsync(async (req, res, next) => {
     }
   });
 });
+
+// Create a status page link for the customer, or extend the current one
+// POST /api/workorders/:id/status-link { expiresInDays }
+exports.createStatusLink = catchAsync(async (req, res, next) => {
+  const days = req.body.expiresInDays === undefined ? WorkOrder.STATUS_LINK_DAYS : Number(req.body.expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > 365) {
+    return next(new AppError('Link expiry must be between 1 and 365 days', 400));
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Invalid work order ID format', 400));
+  }
+
+  const statusLink = await WorkOrder.issueStatusLink(req.params.id, days);
+
+  if (!statusLink) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      statusLink,
+      url: getStatusUrl(statusLink.token)
+    }
+  });
+});
+
+// Turn off the customer's status page link; the next one gets a new token
+// DELETE /api/workorders/:id/status-link
+exports.revokeStatusLink = catchAsync(async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next(new AppError('Invalid work order ID format', 400));
+  }
+
+  const workOrder = await WorkOrder.findByIdAndUpdate(
+    req.params.id,
+    { $unset: { statusLink: 1 } },
+    { new: true }
+  );
+
+  if (!workOrder) {
+    return next(new AppError('No work order found with that ID', 404));
+  }
+
+  res.status(204).json({
+    status: 'success',
+    data: null
+  });
+});
+
+// A short-lived link to one of a shared file's copies, or null if one can't be made
+const getPublicMediaUrl = (media, variant) => {
+  if (!media.storageKey) return null;
+  try {
+    return storageService.getSignedUrl(media.getVariantKey(variant), 3600, media.storageDriver);
+  } catch (err) {
+    console.error(`Error generating ${variant} URL for media ${media._id}:`, err);
+    return null;
+  }
+};
+
+// Public: customer's view of a work order by its status link token
+// GET /api/public/work-orders/:token
+exports.getPublicWorkOrder = catchAsync(async (req, res, next) => {
+  const workOrder = await WorkOrder.findOne({ 'statusLink.token': req.params.token })
+    .populate('customer', 'name')
+    .populate('vehicle', 'year make model licensePlate');
+
+  if (!workOrder) {
+    return next(new AppError('This status link is not valid. Please contact the shop for a new one.', 404));
+  }
+
+  if (workOrder.statusLink.expiresAt < new Date()) {
+    return next(new AppError('This status link has expired. Please contact the shop for a new one.', 410));
+  }
+
+  await WorkOrder.updateOne(
+    { _id: workOrder._id },
+    { $set: { 'statusLink.lastViewedAt': new Date() }, $inc: { 'statusLink.viewCount': 1 } }
+  );
+
+  const [notes, media, estimate, invoice, settings] = await Promise.all([
+    WorkOrderNote.find({ workOrder: workOrder._id, isCustomerFacing: true }).sort({ createdAt: -1 }),
+    // Only media with a share link that has not expired or been turned off
+    Media.find({
+      workOrder: workOrder._id,
+      sharedWith: { $elemMatch: { revokedAt: null, expiresAt: { $gt: new Date() } } }
+    }).sort({ createdAt: -1 }),
+    Estimate.findOne({ workOrder: workOrder._id, status: { $ne: 'Superseded' } }).sort({ createdAt: -1 }),
+    Invoice.findOne({ workOrder: workOrder._id, status: { $nin: ['', 'Draft', 'Cancelled'] } }).sort({ createdAt: -1 }),
+    ShopSettings.getSettings()
+  ]);
+
+  res.status(200).json({
+    status: 'success',
+    data: {
+      workOrder: {
+        status: workOrder.status,
+        date: workOrder.date,
+        services: workOrder.services.map(service => service.description),
+        statusHistory: workOrder.statusHistory.map(entry => ({ status: entry.to, changedAt: entry.changedAt })),
+        customer: workOrder.customer ? { name: workOrder.customer.name } : null,
+        vehicle: workOrder.vehicle ? {
+          year: workOrder.vehicle.year,
+          make: workOrder.vehicle.make,
+          model: workOrder.vehicle.model,
+          licensePlate: workOrder.vehicle.licensePlate
+        } : null,
+        notes: notes.map(note => ({ _id: note._id, content: note.content, createdAt: note.createdAt })),
+        media: media.map(item => ({
+          _id: item._id,
+          type: item.type,
+          fileName: item.fileName,
+          fileType: item.fileType,
+          notes: item.notes,
+          createdAt: item.createdAt,
+          url: getPublicMediaUrl(item, 'web'),
+          thumbnailUrl: getPublicMediaUrl(item, 'thumbnail')
+        })),
+        estimate: estimate ? {
+          estimateNumber: estimate.estimateNumber,
+          status: estimate.status,
+          total: estimate.totals.total,
+          createdAt: estimate.createdAt,
+          // Open estimates can still be approved from their own link
+          approvalUrl: estimate.isOpen && !estimate.isExpired
+            ? `${process.env.CLIENT_URL || 'http://localhost:3000'}/estimates/approve/${estimate.token}`
+            : null
+        } : null,
+        invoice: invoice ? {
+          invoiceNumber: invoice.invoiceNumber,
+          status: invoice.status,
+          invoiceDate: invoice.invoiceDate,
+          dueDate: invoice.dueDate,
+          total: invoice.total,
+          amountPaid: invoice.amountPaid,
+          amountDue: invoice.amountDue
+        } : null,
+        expiresAt: workOrder.statusLink.expiresAt,
+        shop: {
+          name: settings.businessName,
+          phone: settings.businessPhone,
+          email: settings.businessEmail,
+          logo: settings.businessLogo
+        }
+      }
+    }
+  });
+});
@@ -50,9 +50,8 @@ const createWorkOrderNote = async (req, res) => {
       });
     }
 
-    // For now, we'll use a default user ID since auth isn't fully implemented
-    // TODO: Replace with actual authenticated user ID when auth is implemented
-    const createdBy = req.user?.id || '507f1f77bcf86cd799439011'; // Placeholder ObjectId
+    // Notes are attributed to the logged-in user (a technician's linked login)
+    const createdBy = req.user._id;
 
     const note = new WorkOrderNote({
       workOrder: workOrderId,
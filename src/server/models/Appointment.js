@@ -1,6 +1,8 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const BOOKING_REVIEW_STATUSES = ['Pending', 'Approved', 'Declined'];
+
 const AppointmentSchema = new Schema(
   {
     customer: {
@@ -31,6 +33,10 @@ const AppointmentSchema = new Schema(
       ref: 'Technician',
       // required: false // A technician might not be assigned immediately
     },
+    bay: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Bay'
+    },
     notes: {
       type: String,
       trim: true
@@ -57,6 +63,24 @@ const AppointmentSchema = new Schema(
         default: false
       },
       sentAt: Date
+    },
+    // Set when the customer booked on the public booking page; staff review it before confirming
+    onlineBooking: {
+      reviewStatus: {
+        type: String,
+        enum: BOOKING_REVIEW_STATUSES
+      },
+      submittedAt: Date,
+      // What the customer entered, kept as-is for staff to compare with the matched records
+      name: { type: String, trim: true },
+      phone: { type: String, trim: true },
+      email: { type: String, trim: true },
+      vehicleDescription: { type: String, trim: true },
+      concern: { type: String, trim: true },
+      newCustomer: Boolean,
+      reviewedBy: { type: String, trim: true },
+      reviewedAt: Date,
+      reviewNote: { type: String, trim: true }
     }
   },
   {
@@ -69,6 +93,8 @@ AppointmentSchema.index({ startTime: 1, endTime: 1 });
 AppointmentSchema.index({ customer: 1 });
 AppointmentSchema.index({ vehicle: 1 });
 AppointmentSchema.index({ status: 1 });
+AppointmentSchema.index({ bay: 1, startTime: 1 });
+AppointmentSchema.index({ 'onlineBooking.reviewStatus': 1, startTime: 1 }, { sparse: true });
 // Technician index might need to be re-evaluated or removed if not frequently queried directly
 // AppointmentSchema.index({ technician: 1 }); 
 
@@ -77,38 +103,108 @@ AppointmentSchema.virtual('durationHours').get(function() {
   return (this.endTime - this.startTime) / (1000 * 60 * 60);
 });
 
-// Method to check for appointment conflicts
-AppointmentSchema.statics.checkConflicts = async function(startTime, endTime, technician, excludeId = null) {
+// Appointments in these statuses no longer hold a technician or bay
+const INACTIVE_STATUSES = ['Cancelled', 'Completed', 'No-Show'];
+
+/**
+ * Find active appointments that overlap a time window
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @param {Object} filter - Extra query conditions (technician, bay, ...)
+ * @param {String} excludeId - Appointment to leave out (the one being edited)
+ * @returns {Promise<Array>} Overlapping appointments
+ */
+AppointmentSchema.statics.findOverlapping = function(startTime, endTime, filter = {}, excludeId = null) {
   const query = {
-    $or: [
-      // Case 1: New appointment starts during an existing one
-      { 
-        startTime: { $lte: startTime },
-        endTime: { $gt: startTime }
-      },
-      // Case 2: New appointment ends during an existing one
-      {
-        startTime: { $lt: endTime },
-        endTime: { $gte: endTime }
-      },
-      // Case 3: New appointment contains an existing one
-      {
-        startTime: { $gte: startTime },
-        endTime: { $lte: endTime }
-      }
-    ],
-    status: { $nin: ['Cancelled', 'Completed', 'No-Show'] }
+    ...filter,
+    startTime: { $lt: endTime },
+    endTime: { $gt: startTime },
+    status: { $nin: INACTIVE_STATUSES }
   };
-  
-  if (technician) {
-    query.technician = technician;
-  }
-  
+
   if (excludeId) {
     query._id = { $ne: excludeId };
   }
-  
-  return await this.find(query);
+
+  return this.find(query)
+    .populate('customer', 'name')
+    .populate('technician', 'name')
+    .populate('bay', 'name type')
+    .sort({ startTime: 1 });
+};
+
+/**
+ * Check technician and bay availability for an appointment.
+ * The technician must be on shift, not on time off, and not already booked.
+ * When no bay is given, the first free bay of the type the service needs is
+ * suggested; if every bay of that type is booked, that is a conflict.
+ * Shops with no bays of the needed type are not limited.
+ * @param {Date} startTime - Appointment start
+ * @param {Date} endTime - Appointment end
+ * @param {Object} options - { technician, bay, serviceType, excludeId }
+ * @returns {Promise<Object>} { conflicts: [{ type, message, appointment }], bay, requiredBayType }
+ */
+AppointmentSchema.statics.checkConflicts = async function(startTime, endTime, options = {}) {
+  const Bay = mongoose.model('Bay');
+  const { technician, bay, serviceType, excludeId = null } = options;
+  const conflicts = [];
+
+  if (technician) {
+    // Outside their shift, on time off or on a shop holiday
+    const technicianDoc = await mongoose.model('Technician').findById(technician);
+    const unavailableReason = technicianDoc && await technicianDoc.getUnavailableReason(startTime, endTime);
+    if (unavailableReason) {
+      conflicts.push({ type: 'technician', message: unavailableReason });
+    }
+
+    const booked = await this.findOverlapping(startTime, endTime, { technician }, excludeId);
+    booked.forEach(appointment => conflicts.push({
+      type: 'technician',
+      message: `${appointment.technician?.name || 'Technician'} is already booked for ${appointment.serviceType}${appointment.customer ? ` (${appointment.customer.name})` : ''}`,
+      appointment
+    }));
+  }
+
+  const requiredBayType = serviceType ? await Bay.requiredTypeFor(serviceType) : null;
+  let assignedBay = null;
+
+  if (bay) {
+    assignedBay = await Bay.findById(bay);
+    if (!assignedBay || !assignedBay.isActive) {
+      conflicts.push({ type: 'bay', message: 'The selected bay is not in service' });
+      assignedBay = null;
+    } else {
+      if (requiredBayType && assignedBay.type !== requiredBayType) {
+        conflicts.push({
+          type: 'bay',
+          message: `${serviceType} needs a ${requiredBayType} bay, but ${assignedBay.name} is a ${assignedBay.type} bay`
+        });
+      }
+      const booked = await this.findOverlapping(startTime, endTime, { bay: assignedBay._id }, excludeId);
+      booked.forEach(appointment => conflicts.push({
+        type: 'bay',
+        message: `${assignedBay.name} is already booked for ${appointment.serviceType}${appointment.customer ? ` (${appointment.customer.name})` : ''}`,
+        appointment
+      }));
+    }
+  } else if (requiredBayType) {
+    const bays = await Bay.find({ type: requiredBayType, isActive: true }).sort({ sortOrder: 1, name: 1 });
+    if (bays.length > 0) {
+      const booked = await this.findOverlapping(
+        startTime,
+        endTime,
+        { bay: { $in: bays.map(entry => entry._id) } },
+        excludeId
+      );
+      const busyBays = new Set(booked.map(appointment => appointment.bay._id.toString()));
+      assignedBay = bays.find(entry => !busyBays.has(entry._id.toString())) || null;
+      if (!assignedBay) {
+        conflicts.push({ type: 'bay', message: `Every ${requiredBayType} bay is booked at this time` });
+      }
+    }
+  }
+
+  return { conflicts, bay: assignedBay, requiredBayType };
 };
 
 // Method to create a work order from an appointment
@@ -127,7 +223,13 @@ AppointmentSchema.methods.createWorkOrder = async function() {
   // For backward compatibility, also set serviceRequested
   newWorkOrder.serviceRequested = this.serviceType; 
   
-  newWorkOrder.status = 'Scheduled'; // Default status for WO created from an appointment
+  newWorkOrder.status = 'Inspection/Diag Scheduled'; // Default status for WO created from an appointment
+  newWorkOrder.statusHistory = [{
+    to: newWorkOrder.status,
+    changedByName: 'System',
+    changedAt: new Date(),
+    note: 'Work order created from appointment'
+  }];
   newWorkOrder.appointmentId = this._id; // Link this appointment to the work order
 
   if (this.technician) {
@@ -143,6 +245,9 @@ AppointmentSchema.methods.createWorkOrder = async function() {
   return this.save(); // Save the appointment instance itself
 };
 
+AppointmentSchema.statics.INACTIVE_STATUSES = INACTIVE_STATUSES;
+AppointmentSchema.statics.BOOKING_REVIEW_STATUSES = BOOKING_REVIEW_STATUSES;
+
 const Appointment = mongoose.model('Appointment', AppointmentSchema);
 
 module.exports = Appointment;
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const BAY_TYPES = ['Lift', 'Alignment Rack', 'Diagnostic Bay', 'General'];
+
+// A service bay or piece of equipment that an appointment occupies
+const BaySchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Bay name is required'],
+      unique: true,
+      trim: true
+    },
+    type: {
+      type: String,
+      enum: BAY_TYPES,
+      required: true,
+      default: 'Lift'
+    },
+    sortOrder: {
+      type: Number,
+      default: 0
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    isActive: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+/**
+ * Work out which bay type a service needs from the shop's bay rules.
+ * The first rule whose keyword appears in the service type wins;
+ * otherwise the shop's default bay type is used.
+ * @param {String} serviceType - Appointment service type
+ * @returns {Promise<String|null>} Bay type, or null if no bay is needed
+ */
+BaySchema.statics.requiredTypeFor = async function(serviceType) {
+  const ShopSettings = mongoose.model('ShopSettings');
+  const settings = await ShopSettings.getSettings();
+  const service = (serviceType || '').toLowerCase();
+
+  const rule = (settings.bayRules || []).find(entry =>
+    entry.keyword && service.includes(entry.keyword.toLowerCase())
+  );
+  if (rule) return rule.bayType;
+  return settings.defaultBayType || null;
+};
+
+BaySchema.statics.BAY_TYPES = BAY_TYPES;
+
+const Bay = mongoose.model('Bay', BaySchema);
+
+module.exports = Bay;
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const Message = require('./Message');
+
+/**
+ * 10-digit US number from any phone format (+13155550123, 315-555-0123, ...), or null
+ * @param {String} phone - Phone number
+ * @returns {String|null} Digits only
+ */
+const normalizePhone = (phone) => {
+  const digits = (phone || '').replace(/[^\d]/g, '');
+  if (digits.length === 11 && digits.startsWith('1')) return digits.slice(1);
+  return digits.length === 10 ? digits : null;
+};
+
+// A text message thread with one phone number. Threads are keyed by the
+// normalized number so texts to and from a customer always land together.
+const ConversationSchema = new Schema(
+  {
+    phone: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    lastMessageAt: Date,
+    lastMessagePreview: {
+      type: String,
+      trim: true
+    },
+    lastDirection: {
+      type: String,
+      enum: ['Inbound', 'Outbound']
+    },
+    unreadCount: { // Inbound messages no one has opened yet
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+ConversationSchema.index({ lastMessageAt: -1 });
+ConversationSchema.index({ customer: 1 });
+
+/**
+ * Add a message to the thread for its phone number, creating the thread if needed
+ * @param {Object} data - { phone, direction, body, mediaUrls, from, to, twilioSid, status, sentBy, workOrder, customer }
+ * @returns {Promise<Object>} { conversation, message }
+ */
+ConversationSchema.statics.recordMessage = async function(data) {
+  const phone = normalizePhone(data.phone);
+  if (!phone) return null;
+
+  const Customer = mongoose.model('Customer');
+
+  let conversation = await this.findOne({ phone });
+  if (!conversation) {
+    const customer = data.customer || await Customer.findByPhone(phone);
+    try {
+      conversation = await this.create({ phone, customer: customer ? customer._id : undefined });
+    } catch (err) {
+      // The first message from this number arrived twice at once
+      if (err.code !== 11000) throw err;
+      conversation = await this.findOne({ phone });
+    }
+  } else if (!conversation.customer) {
+    // The number was added to a customer after the thread started
+    const customer = data.customer || await Customer.findByPhone(phone);
+    if (customer) conversation.customer = customer._id;
+  }
+
+  const inbound = data.direction === 'Inbound';
+  const message = await Message.create({
+    conversation: conversation._id,
+    customer: conversation.customer,
+    workOrder: data.workOrder,
+    direction: data.direction,
+    body: data.body,
+    mediaUrls: data.mediaUrls,
+    from: data.from,
+    to: data.to,
+    twilioSid: data.twilioSid,
+    status: data.status,
+    sentBy: data.sentBy
+  });
+
+  conversation.lastMessageAt = message.createdAt;
+  conversation.lastMessagePreview = (data.body || (data.mediaUrls && data.mediaUrls.length ? '[Picture]' : '')).slice(0, 160);
+  conversation.lastDirection = data.direction;
+  await conversation.save();
+
+  if (inbound) {
+    // Counted in the database so texts arriving together are all counted
+    await this.updateOne({ _id: conversation._id }, { $inc: { unreadCount: 1 } });
+    conversation.unreadCount += 1;
+  }
+
+  return { conversation, message };
+};
+
+ConversationSchema.statics.normalizePhone = normalizePhone;
+
+const Conversation = mongoose.model('Conversation', ConversationSchema);
+
+module.exports = Conversation;
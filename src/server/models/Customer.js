@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const Conversation = require('./Conversation');
 
 const CustomerSchema = new Schema(
   {
@@ -64,6 +65,22 @@ CustomerSchema.methods.getMostRecentVehicle = async function() {
     .sort({ createdAt: -1 });
 };
 
+/**
+ * Find a customer by phone number, however it was typed when saved
+ * (5551234567, 555-123-4567, (555) 123-4567, +1 555 123 4567, ...)
+ * @param {String} phone - Phone number as entered
+ * @param {Object} [filter] - Other conditions the customer must match
+ * @returns {Promise<Object|null>} Matching customer
+ */
+CustomerSchema.statics.findByPhone = function(phone, filter = {}) {
+  const digits = Conversation.normalizePhone(phone);
+  if (!digits) return this.findOne({ ...filter, phone });
+
+  // The same ten digits with anything but digits around them, and an optional leading 1
+  const pattern = new RegExp(`^\\D*(1\\D*)?${digits.split('').join('\\D*')}\\D*$`);
+  return this.findOne({ ...filter, phone: pattern });
+};
+
 const Customer = mongoose.model('Customer', CustomerSchema);
 
 module.exports = Customer;
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const STATUSES = ['Sent', 'Viewed', 'Approved', 'Partially Approved', 'Declined', 'Superseded'];
+// Statuses in which the customer has not responded yet
+const OPEN_STATUSES = ['Sent', 'Viewed'];
+const DECISIONS = ['Pending', 'Approved', 'Declined'];
+const APPROVAL_METHODS = ['Online', 'In Person', 'Phone'];
+
+// Sub-schemas
+const EstimateLineSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['Part', 'Labor'],
+    required: true
+  },
+  sourceId: { // _id of the part or labor subdocument on the work order
+    type: mongoose.Schema.Types.ObjectId
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  partNumber: {
+    type: String,
+    trim: true
+  },
+  quantity: { // Quantity for parts, hours for labor
+    type: Number,
+    required: true,
+    min: 0
+  },
+  unitPrice: { // Price for parts, rate for labor
+    type: Number,
+    required: true,
+    min: 0
+  },
+  total: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  decision: {
+    type: String,
+    enum: DECISIONS,
+    default: 'Pending'
+  }
+});
+
+// The customer's authorization, captured once when they submit their decisions
+const ApprovalSchema = new Schema({
+  method: {
+    type: String,
+    enum: APPROVAL_METHODS,
+    default: 'Online'
+  },
+  typedName: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  signature: { // PNG data URL of the drawn signature
+    type: String
+  },
+  ipAddress: {
+    type: String,
+    trim: true
+  },
+  userAgent: {
+    type: String,
+    trim: true
+  },
+  approvedTotal: {
+    type: Number,
+    min: 0
+  },
+  recordedBy: { // Staff member who recorded an in-person or phone approval
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  recordedByName: {
+    type: String,
+    trim: true
+  },
+  submittedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Main Estimate Schema - a snapshot of a work order's parts and labor sent for approval
+const EstimateSchema = new Schema(
+  {
+    estimateNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder',
+      required: true
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+      required: true
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'Sent'
+    },
+    lines: [EstimateLineSchema],
+    taxRate: {
+      type: Number,
+      min: 0,
+      default: 0
+    },
+    message: { // Note to the customer shown on the approval page
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    token: { // Secret for the public approval link
+      type: String,
+      required: true,
+      unique: true
+    },
+    expiresAt: {
+      type: Date,
+      required: true
+    },
+    viewedAt: {
+      type: Date
+    },
+    approval: ApprovalSchema,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdByName: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for faster queries
+EstimateSchema.index({ workOrder: 1, createdAt: -1 });
+
+const sumLines = (lines, taxRate) => {
+  const subtotal = lines.reduce((total, line) => total + line.total, 0);
+  const tax = Math.round(subtotal * taxRate) / 100;
+  return { subtotal, tax, total: subtotal + tax };
+};
+
+// Virtuals for the estimate totals (all lines) and the approved totals
+EstimateSchema.virtual('totals').get(function() {
+  return sumLines(this.lines || [], this.taxRate);
+});
+
+EstimateSchema.virtual('approvedTotals').get(function() {
+  return sumLines((this.lines || []).filter(line => line.decision === 'Approved'), this.taxRate);
+});
+
+EstimateSchema.virtual('isExpired').get(function() {
+  return !this.approval && this.expiresAt < new Date();
+});
+
+// Whether the customer can still respond through the approval link
+EstimateSchema.virtual('isOpen').get(function() {
+  return OPEN_STATUSES.includes(this.status) && !this.isExpired;
+});
+
+/**
+ * Record the customer's line decisions and authorization (does not save)
+ * @param {Object} decisions - Map of line _id to 'Approved' or 'Declined'
+ * @param {Object} approval - typedName, signature, method, ipAddress, userAgent, recordedBy, recordedByName
+ * @returns {Object} The estimate
+ */
+EstimateSchema.methods.recordDecisions = function(decisions, approval) {
+  this.lines.forEach(line => {
+    line.decision = decisions[line._id.toString()] === 'Approved' ? 'Approved' : 'Declined';
+  });
+
+  const approvedCount = this.lines.filter(line => line.decision === 'Approved').length;
+  if (approvedCount === this.lines.length) {
+    this.status = 'Approved';
+  } else if (approvedCount === 0) {
+    this.status = 'Declined';
+  } else {
+    this.status = 'Partially Approved';
+  }
+
+  this.approval = {
+    ...approval,
+    approvedTotal: this.approvedTotals.total,
+    submittedAt: new Date()
+  };
+
+  return this;
+};
+
+/**
+ * Generate the next estimate number (EST-1001, EST-1002, ...)
+ * @returns {Promise<String>} Estimate number
+ */
+EstimateSchema.statics.generateEstimateNumber = async function() {
+  const latest = await this.findOne({ estimateNumber: /^EST-\d+$/ })
+    .sort({ createdAt: -1 })
+    .select('estimateNumber');
+  const lastNumber = latest ? parseInt(latest.estimateNumber.replace('EST-', ''), 10) : 1000;
+  return `EST-${lastNumber + 1}`;
+};
+
+// Random secret for the public approval link
+EstimateSchema.statics.generateToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+/**
+ * Check whether the customer has approved work on a work order
+ * @param {String} workOrderId - Work order ID
+ * @returns {Promise<Boolean>} True if an estimate was approved in full or in part
+ */
+EstimateSchema.statics.hasApproval = async function(workOrderId) {
+  const approved = await this.exists({
+    workOrder: workOrderId,
+    status: { $in: ['Approved', 'Partially Approved'] }
+  });
+  return !!approved;
+};
+
+EstimateSchema.statics.STATUSES = STATUSES;
+EstimateSchema.statics.OPEN_STATUSES = OPEN_STATUSES;
+EstimateSchema.statics.APPROVAL_METHODS = APPROVAL_METHODS;
+
+const Estimate = mongoose.model('Estimate', EstimateSchema);
+
+module.exports = Estimate;
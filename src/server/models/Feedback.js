@@ -1,10 +1,10 @@
 const mongoose = require('mongoose');
 
 const feedbackSchema = new mongoose.Schema({
-  user: {
+  user: { // Login that submitted the feedback
     type: mongoose.Schema.ObjectId,
-    ref: 'Technician',
-    required: [true, 'Feedback must belong to a technician.'],
+    ref: 'User',
+    required: [true, 'Feedback must belong to a user.'],
   },
   feedbackText: {
     type: String,
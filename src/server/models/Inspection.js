@@ -0,0 +1,196 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const InspectionTemplate = require('./InspectionTemplate');
+const Schema = mongoose.Schema;
+
+const ITEM_STATUSES = ['good', 'attention', 'urgent'];
+
+// Sub-schemas
+const MeasurementSchema = new Schema({
+  label: {
+    type: String,
+    trim: true
+  },
+  value: {
+    type: Number,
+    min: 0
+  },
+  unit: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const InspectionItemSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true
+  },
+  status: { // Not set until the item has been checked
+    type: String,
+    enum: ITEM_STATUSES
+  },
+  measurementType: {
+    type: String,
+    enum: Object.keys(InspectionTemplate.MEASUREMENT_TYPES),
+    default: 'none'
+  },
+  measurements: [MeasurementSchema],
+  notes: {
+    type: String,
+    trim: true
+  },
+  photos: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Media'
+  }],
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Main Inspection Schema - a digital vehicle inspection (DVI) filled in from a template
+const InspectionSchema = new Schema(
+  {
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder',
+      required: true
+    },
+    vehicle: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Vehicle'
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    template: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'InspectionTemplate'
+    },
+    templateName: {
+      type: String,
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: ['In Progress', 'Completed'],
+      default: 'In Progress'
+    },
+    items: [InspectionItemSchema],
+    mileage: {
+      type: Number,
+      min: 0
+    },
+    summary: { // Overall comments shown on the customer report
+      type: String,
+      trim: true
+    },
+    shareToken: { // Secret for the customer report link, created when first shared
+      type: String,
+      unique: true,
+      sparse: true
+    },
+    startedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    startedByName: {
+      type: String,
+      trim: true
+    },
+    completedAt: {
+      type: Date
+    },
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    completedByName: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for faster queries
+InspectionSchema.index({ workOrder: 1 });
+InspectionSchema.index({ vehicle: 1, createdAt: -1 });
+
+// Virtual for the number of items in each status
+InspectionSchema.virtual('statusCounts').get(function() {
+  return (this.items || []).reduce((counts, item) => {
+    if (item.status) counts[item.status] += 1;
+    return counts;
+  }, { good: 0, attention: 0, urgent: 0 });
+});
+
+// Required items that have not been checked yet
+InspectionSchema.virtual('uncheckedItems').get(function() {
+  return (this.items || []).filter(item => item.required && !item.status);
+});
+
+/**
+ * Suggest an item status from its measurements - the lowest reading decides
+ * @param {String} measurementType - Key of InspectionTemplate.MEASUREMENT_TYPES
+ * @param {Array} measurements - Measurements with numeric values
+ * @returns {String|null} Suggested status, or null if there is nothing to go on
+ */
+InspectionSchema.statics.suggestStatus = function(measurementType, measurements = []) {
+  const thresholds = InspectionTemplate.MEASUREMENT_TYPES[measurementType];
+  const values = measurements
+    .map(measurement => measurement.value)
+    .filter(value => typeof value === 'number' && !isNaN(value));
+
+  if (!thresholds || thresholds.urgentAt === undefined || values.length === 0) return null;
+
+  const lowest = Math.min(...values);
+  if (lowest <= thresholds.urgentAt) return 'urgent';
+  if (lowest <= thresholds.attentionAt) return 'attention';
+  return 'good';
+};
+
+/**
+ * Build inspection items from a template
+ * @param {Object} template - InspectionTemplate document
+ * @returns {Array} Inspection items
+ */
+InspectionSchema.statics.itemsFromTemplate = function(template) {
+  return template.items.map(item => {
+    const { unit } = InspectionTemplate.MEASUREMENT_TYPES[item.measurementType] || {};
+    const labels = item.measurementType === 'none'
+      ? []
+      : (item.measurementLabels.length > 0 ? item.measurementLabels : ['']);
+
+    return {
+      name: item.name,
+      category: item.category,
+      measurementType: item.measurementType,
+      measurements: labels.map(label => ({ label, unit })),
+      required: item.required
+    };
+  });
+};
+
+// Random secret for the customer report link
+InspectionSchema.statics.generateShareToken = function() {
+  return crypto.randomBytes(24).toString('hex');
+};
+
+InspectionSchema.statics.ITEM_STATUSES = ITEM_STATUSES;
+
+const Inspection = mongoose.model('Inspection', InspectionSchema);
+
+module.exports = Inspection;
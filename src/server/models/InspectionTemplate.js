@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Measurements an inspection item can record, with the unit and the readings
+// at or below which the item is flagged
+const MEASUREMENT_TYPES = {
+  none: { label: 'None', unit: '' },
+  treadDepth: { label: 'Tread Depth', unit: '/32"', urgentAt: 3, attentionAt: 5 },
+  padThickness: { label: 'Pad Thickness', unit: 'mm', urgentAt: 3, attentionAt: 5 }
+};
+
+// The checklist that technicians used before inspections were configurable
+const DEFAULT_ITEMS = [
+  { name: 'Engine Oil', category: 'Fluids' },
+  { name: 'Engine Coolant', category: 'Fluids' },
+  { name: 'Brake Fluid Level', category: 'Fluids' },
+  { name: 'Front Brakes', category: 'Brakes', measurementType: 'padThickness', measurementLabels: ['Left', 'Right'] },
+  { name: 'Rear Brakes', category: 'Brakes', measurementType: 'padThickness', measurementLabels: ['Left', 'Right'] },
+  { name: 'Front Tires', category: 'Tires', measurementType: 'treadDepth', measurementLabels: ['Left', 'Right'] },
+  { name: 'Rear Tires', category: 'Tires', measurementType: 'treadDepth', measurementLabels: ['Left', 'Right'] }
+];
+
+const TemplateItemSchema = new Schema({
+  name: {
+    type: String,
+    required: [true, 'Item name is required'],
+    trim: true
+  },
+  category: {
+    type: String,
+    trim: true,
+    default: 'General'
+  },
+  measurementType: {
+    type: String,
+    enum: Object.keys(MEASUREMENT_TYPES),
+    default: 'none'
+  },
+  measurementLabels: { // One reading per label, e.g. Left/Right
+    type: [String],
+    default: []
+  },
+  required: {
+    type: Boolean,
+    default: true
+  }
+});
+
+const InspectionTemplateSchema = new Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Template name is required'],
+      trim: true
+    },
+    description: {
+      type: String,
+      trim: true
+    },
+    items: {
+      type: [TemplateItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A template needs at least one item'
+      }
+    },
+    isDefault: {
+      type: Boolean,
+      default: false
+    },
+    active: {
+      type: Boolean,
+      default: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Only one template can be the default
+InspectionTemplateSchema.pre('save', async function(next) {
+  if (this.isDefault && this.isModified('isDefault')) {
+    await this.constructor.updateMany({ _id: { $ne: this._id } }, { isDefault: false });
+  }
+  next();
+});
+
+/**
+ * Get the default template, creating the standard checklist on first use
+ * @returns {Promise<Object>} InspectionTemplate document
+ */
+InspectionTemplateSchema.statics.getDefault = async function() {
+  const template = await this.findOne({ isDefault: true, active: true }) ||
+    await this.findOne({ active: true }).sort({ createdAt: 1 });
+  if (template) return template;
+
+  return this.create({
+    name: 'Standard Inspection',
+    description: 'Fluids, brakes and tires',
+    items: DEFAULT_ITEMS,
+    isDefault: true
+  });
+};
+
+InspectionTemplateSchema.statics.MEASUREMENT_TYPES = MEASUREMENT_TYPES;
+
+const InspectionTemplate = mongoose.model('InspectionTemplate', InspectionTemplateSchema);
+
+module.exports = InspectionTemplate;
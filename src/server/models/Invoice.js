@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const invoicePdfService = require('../services/invoicePdfService');
 const Schema = mongoose.Schema;
 
 // Sub-schemas
@@ -60,6 +61,25 @@ const InvoiceItemSchema = new Schema({
   }
 });
 
+// Record of each time the invoice was emailed
+const EmailSendSchema = new Schema({
+  recipient: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  sentAt: {
+    type: Date,
+    default: Date.now
+  },
+  provider: String,
+  providerMessageId: String,
+  sentBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+});
+
 // Main Invoice Schema
 const InvoiceSchema = new Schema(
   {
@@ -121,6 +141,7 @@ const InvoiceSchema = new Schema(
       default: 'Due on Receipt'
     },
     payments: [PaymentSchema],
+    emailSends: [EmailSendSchema],
     notes: {
       type: String,
       trim: true
@@ -187,10 +208,9 @@ InvoiceSchema.methods.addPayment = async function(paymentData) {
   return this.save();
 };
 
-// Method to generate a PDF of the invoice (stub for now)
-InvoiceSchema.methods.generatePDF = async function() {
-  // In a real implementation, this would use a PDF generation library
-  return { url: `/api/invoices/${this._id}/pdf` };
+// Method to render the invoice as a PDF (customer, vehicle and workOrder should be populated)
+InvoiceSchema.methods.generatePDF = async function(options = {}) {
+  return invoicePdfService.generateInvoicePdf(this, options);
 };
 
 // Method to calculate line item totals
@@ -1,6 +1,69 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const SHARE_LINK_HOURS = 72;
+
+// Share links are signed with their own secret when set, otherwise the JWT secret
+const shareSecret = () => process.env.MEDIA_SHARE_SECRET || process.env.JWT_SECRET;
+
+const signSharePayload = (payload) =>
+  crypto.createHmac('sha256', shareSecret()).update(payload).digest('base64url');
+
+// A resized copy of an image, stored next to the original
+const VariantSchema = new Schema({
+  key: String, // Storage key, with the same driver as the original
+  fileType: String,
+  fileSize: Number,
+  width: Number,
+  height: Number
+}, { _id: false });
+
+const ANNOTATION_TYPES = ['arrow', 'circle', 'text', 'blur'];
+
+// One mark drawn on a photo. Positions and sizes are fractions (0 to 1) of the
+// image width and height, so they fit any copy of the image.
+//   arrow       - from x, y to the head at x2, y2
+//   circle/blur - bounding box x, y, width, height
+//   text        - text starting at x with its baseline at y
+const fraction = { type: Number, min: 0, max: 1 };
+const AnnotationShapeSchema = new Schema({
+  type: {
+    type: String,
+    enum: ANNOTATION_TYPES,
+    required: true
+  },
+  x: { ...fraction, required: true },
+  y: { ...fraction, required: true },
+  x2: fraction,
+  y2: fraction,
+  width: fraction,
+  height: fraction,
+  text: {
+    type: String,
+    trim: true,
+    maxlength: [200, 'Annotation text can be at most 200 characters']
+  },
+  color: {
+    type: String,
+    match: [/^#[0-9a-fA-F]{6}$/, 'Annotation color must be a hex color like #ff0000'],
+    default: '#ff0000'
+  }
+}, { _id: false });
+
+AnnotationShapeSchema.pre('validate', function(next) {
+  if (this.type === 'arrow' && (this.x2 === undefined || this.y2 === undefined)) {
+    this.invalidate('x2', 'Arrows need an end point');
+  }
+  if ((this.type === 'circle' || this.type === 'blur') && !(this.width > 0 && this.height > 0)) {
+    this.invalidate('width', `A ${this.type} needs a width and height`);
+  }
+  if (this.type === 'text' && !this.text) {
+    this.invalidate('text', 'Text annotations need some text');
+  }
+  next();
+});
+
 const MediaSchema = new Schema(
   {
     workOrder: {
@@ -24,9 +87,15 @@ const MediaSchema = new Schema(
       type: String,
       required: true
     },
-    s3Key: {
+    s3Key: { // Storage key; the field name predates drivers other than S3
       type: String,
-      required: true
+      required: true,
+      alias: 'storageKey'
+    },
+    storageDriver: { // Storage driver the file was saved with (see services/storageDrivers.js)
+      type: String,
+      enum: ['s3', 'local'],
+      default: 's3'
     },
     fileName: {
       type: String,
@@ -40,6 +109,21 @@ const MediaSchema = new Schema(
       type: Number,
       required: true
     },
+    width: Number, // Images only
+    height: Number,
+    variants: { // Images only; see services/imageService.js
+      thumbnail: VariantSchema,
+      web: VariantSchema
+    },
+    annotations: { // Marks drawn on an image; the original file is never changed
+      shapes: [AnnotationShapeSchema],
+      rendered: { // The image with the marks drawn in, shared in place of the plain copies
+        thumbnail: VariantSchema,
+        web: VariantSchema
+      },
+      updatedBy: String,
+      updatedAt: Date
+    },
     notes: {
       type: String,
       trim: true
@@ -48,12 +132,26 @@ const MediaSchema = new Schema(
       type: Boolean,
       default: false
     },
-    sharedWith: [{
+    sharedWith: [{ // One entry per link sent; the signed token in the link names the entry
+      channel: {
+        type: String,
+        enum: ['Email', 'SMS'],
+        default: 'Email'
+      },
       email: String,
+      phone: String,
+      sharedBy: String,
       sharedAt: {
         type: Date,
         default: Date.now
-      }
+      },
+      expiresAt: Date,
+      revokedAt: Date,
+      viewCount: {
+        type: Number,
+        default: 0
+      },
+      lastViewedAt: Date
     }],
     uploadedBy: {
       type: String,
@@ -72,40 +170,80 @@ MediaSchema.index({ customer: 1 });
 MediaSchema.index({ type: 1 });
 MediaSchema.index({ createdAt: 1 });
 
-// Generate a public sharing link
-MediaSchema.methods.generateSharingLink = function(expirationHours = 24) {
-  // This would be implemented with your chosen authentication method
-  // For demonstration purposes only
-  const expirationTime = new Date();
-  expirationTime.setHours(expirationTime.getHours() + expirationHours);
-  
+/**
+ * Storage key of a resized copy: the annotated copy when there is one, then
+ * the plain copy, then the original for files without copies
+ * @param {String} name - thumbnail or web
+ * @param {Object} options - { plain: true } to skip the annotated copy
+ * @returns {String} Storage key
+ */
+MediaSchema.methods.getVariantKey = function(name, options = {}) {
+  const annotated = !options.plain && this.annotations && this.annotations.rendered && this.annotations.rendered[name];
+  if (annotated && annotated.key) return annotated.key;
+
+  const variant = this.variants && this.variants[name];
+  return variant && variant.key ? variant.key : this.storageKey;
+};
+
+/**
+ * Record a new share of this media item. Call save() afterwards.
+ * @param {Object} recipient - { channel, email, phone, sharedBy }
+ * @param {Number} expirationHours - Hours the link works for
+ * @returns {Object} The new sharedWith entry
+ */
+MediaSchema.methods.addShare = function({ channel = 'Email', email, phone, sharedBy }, expirationHours = SHARE_LINK_HOURS) {
+  this.isShared = true;
+  this.sharedWith.push({
+    channel,
+    email,
+    phone,
+    sharedBy,
+    sharedAt: new Date(),
+    expiresAt: new Date(Date.now() + expirationHours * 60 * 60 * 1000)
+  });
+  return this.sharedWith[this.sharedWith.length - 1];
+};
+
+/**
+ * Build the public link for one share: <API_URL>/api/media/shared/<token>.
+ * The token carries the media, share and expiry, signed with HMAC-SHA256.
+ * @param {Object} share - A sharedWith entry
+ * @returns {Object} { url, expiresAt }
+ */
+MediaSchema.methods.generateSharingLink = function(share) {
+  const payload = Buffer.from(
+    [this._id, share._id, Math.floor(share.expiresAt.getTime() / 1000)].join('.')
+  ).toString('base64url');
+  const apiUrl = process.env.API_URL || process.env.CLIENT_URL || 'http://localhost:5000';
+
   return {
-    url: `${process.env.API_URL}/media/shared/${this._id}`,
-    expiresAt: expirationTime
+    url: `${apiUrl.replace(/\/$/, '')}/api/media/shared/${payload}.${signSharePayload(payload)}`,
+    expiresAt: share.expiresAt
   };
 };
 
-// Method to share media with a customer via email
-MediaSchema.methods.shareViaEmail = async function(email) {
-  this.isShared = true;
-  
-  // Check if already shared with this email
-  const alreadyShared = this.sharedWith.some(share => share.email === email);
-  
-  if (!alreadyShared) {
-    this.sharedWith.push({
-      email,
-      sharedAt: new Date()
-    });
-  }
-  
-  // Here you would implement the email sending logic
-  // For example:
-  // await sendMediaSharingEmail(email, this.generateSharingLink());
-  
-  return this.save();
+/**
+ * Check a share link token's signature and expiry
+ * @param {String} token - From the share link
+ * @returns {Object|null} { mediaId, shareId, expired }, or null if the token was not issued here
+ */
+MediaSchema.statics.verifyShareToken = function(token) {
+  const [payload, signature] = String(token || '').split('.');
+  if (!payload || !signature) return null;
+
+  const expected = Buffer.from(signSharePayload(payload));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+
+  const [mediaId, shareId, expiresAt] = Buffer.from(payload, 'base64url').toString().split('.');
+  if (!mongoose.Types.ObjectId.isValid(mediaId) || !mongoose.Types.ObjectId.isValid(shareId)) return null;
+
+  return { mediaId, shareId, expired: Number(expiresAt) * 1000 < Date.now() };
 };
 
+MediaSchema.statics.SHARE_LINK_HOURS = SHARE_LINK_HOURS;
+MediaSchema.statics.ANNOTATION_TYPES = ANNOTATION_TYPES;
+
 const Media = mongoose.model('Media', MediaSchema);
 
 module.exports = Media;
\ No newline at end of file
@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const MESSAGE_DIRECTIONS = ['Inbound', 'Outbound'];
+
+// One text message in a Conversation, sent by the shop or received from the customer
+const MessageSchema = new Schema(
+  {
+    conversation: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Conversation',
+      required: true
+    },
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    workOrder: { // Set when staff reply from a work order
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder'
+    },
+    direction: {
+      type: String,
+      enum: MESSAGE_DIRECTIONS,
+      required: true
+    },
+    body: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    mediaUrls: [String],
+    from: String,
+    to: String,
+    twilioSid: String,
+    status: { // Twilio message status, e.g. queued, sent, received
+      type: String,
+      trim: true
+    },
+    sentBy: { // Name of the staff member who replied; empty for automatic messages
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+MessageSchema.index({ conversation: 1, createdAt: 1 });
+MessageSchema.index({ twilioSid: 1 }, { sparse: true });
+
+MessageSchema.statics.MESSAGE_DIRECTIONS = MESSAGE_DIRECTIONS;
+
+const Message = mongoose.model('Message', MessageSchema);
+
+module.exports = Message;
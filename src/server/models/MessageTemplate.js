@@ -0,0 +1,294 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const MESSAGE_CHANNELS = ['SMS', 'Email'];
+
+// Values a template can use. Each belongs to one record (customer, vehicle, ...),
+// and an event only offers the records it is sent with.
+const PLACEHOLDERS = {
+  'customer.name': 'Customer name',
+  'customer.firstName': 'Customer first name',
+  'customer.phone': 'Customer phone',
+  'customer.email': 'Customer email',
+  'vehicle.displayName': 'Year, make and model ("vehicle" if none on file)',
+  'vehicle.year': 'Vehicle year',
+  'vehicle.make': 'Vehicle make',
+  'vehicle.model': 'Vehicle model',
+  'vehicle.licensePlate': 'License plate',
+  'workOrder.status': 'Work order status',
+  'workOrder.total': 'Work order total, e.g. $412.50',
+  'appointment.startTime': 'Appointment date and time, e.g. Mon, Oct 19 at 9:00 AM',
+  'appointment.date': 'Appointment date',
+  'appointment.time': 'Appointment start time',
+  'appointment.endTime': 'Appointment end time',
+  'appointment.serviceType': 'Appointment service',
+  'statusLink.url': 'Link to the customer\'s work order status page',
+  'shop.name': 'Business name',
+  'shop.phone': 'Business phone',
+  'shop.email': 'Business email'
+};
+
+// Messages the shop sends automatically. Templates are only looked up for the
+// channels the sending code supports; status updates have one template per status.
+const TEMPLATE_EVENTS = {
+  'appointment-confirmation': {
+    label: 'Appointment Confirmation',
+    channels: ['Email'],
+    records: ['customer', 'vehicle', 'appointment', 'shop']
+  },
+  'appointment-reminder': {
+    label: 'Appointment Reminder',
+    channels: ['SMS', 'Email'],
+    records: ['customer', 'vehicle', 'appointment', 'shop']
+  },
+  'appointment-follow-up': {
+    label: 'Post-Visit Follow-Up',
+    channels: ['SMS', 'Email'],
+    records: ['customer', 'vehicle', 'appointment', 'shop']
+  },
+  'status-update': {
+    label: 'Work Order Status Update',
+    channels: ['SMS', 'Email'],
+    records: ['customer', 'vehicle', 'workOrder', 'statusLink', 'shop'],
+    perStatus: true
+  },
+  completion: {
+    label: 'Ready for Pickup',
+    channels: ['SMS'],
+    records: ['customer', 'vehicle', 'workOrder', 'shop']
+  }
+};
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+let defaultsReady = false;
+
+const NOTIFIED_STATUSES = ['Parts Ordered', 'Parts Received', 'Repair In Progress', 'Repair Complete - Awaiting Payment', 'Repair Complete - Invoiced'];
+
+const STATUS_UPDATE_EMAIL = [
+  'Hello {{customer.name}},',
+  '',
+  'The status of your {{vehicle.displayName}} has been updated to: {{workOrder.status}}.',
+  '',
+  'If you have any questions, reply to this email or call us at {{shop.phone}}.'
+].join('\n');
+
+const STATUS_UPDATE_SMS = 'Hi {{customer.name}}, the status of your {{vehicle.displayName}} has been updated to: {{workOrder.status}}. Details: {{statusLink.url}}';
+
+// The messages that were hardcoded before templates were editable
+const DEFAULT_TEMPLATES = [
+  {
+    event: 'appointment-confirmation',
+    channel: 'Email',
+    subject: 'Appointment Confirmation - {{appointment.date}} at {{appointment.time}}',
+    body: [
+      'Hello {{customer.name}},',
+      '',
+      'This email confirms your appointment details:',
+      'Date: {{appointment.date}}',
+      'Time: {{appointment.time}} - {{appointment.endTime}}',
+      'Vehicle: {{vehicle.displayName}}',
+      'Service: {{appointment.serviceType}}',
+      '',
+      'If you need to reschedule or have any questions, please call us.',
+      '',
+      'Thank you for your business!'
+    ].join('\n')
+  },
+  {
+    event: 'appointment-reminder',
+    channel: 'SMS',
+    body: 'Hi {{customer.name}}, this is a reminder about your appointment for your {{vehicle.displayName}} on {{appointment.date}} at {{appointment.time}}. Reply Y to confirm or call us to reschedule.'
+  },
+  {
+    event: 'appointment-reminder',
+    channel: 'Email',
+    subject: 'Appointment Reminder - {{appointment.date}} at {{appointment.time}}',
+    body: [
+      'Hello {{customer.name}},',
+      '',
+      'This is a reminder of your upcoming appointment:',
+      'Date: {{appointment.date}}',
+      'Time: {{appointment.time}}',
+      'Vehicle: {{vehicle.displayName}}',
+      'Service: {{appointment.serviceType}}',
+      '',
+      'If you need to reschedule, please call us at {{shop.phone}}.',
+      '',
+      '{{shop.name}}'
+    ].join('\n')
+  },
+  {
+    event: 'appointment-follow-up',
+    channel: 'SMS',
+    body: 'Hi {{customer.name}}, thanks for bringing your {{vehicle.displayName}} to {{shop.name}}. How is everything running? Reply here or call us at {{shop.phone}} with any questions.'
+  },
+  {
+    event: 'appointment-follow-up',
+    channel: 'Email',
+    subject: 'How is your {{vehicle.displayName}} running?',
+    body: [
+      'Hello {{customer.name}},',
+      '',
+      'Thank you for bringing your {{vehicle.displayName}} in for {{appointment.serviceType}}.',
+      '',
+      "We hope everything is running well. If anything doesn't seem right, or you have any questions about the work, just reply to this email or call us at {{shop.phone}}.",
+      '',
+      'Thank you for your business!'
+    ].join('\n')
+  },
+  // Status updates used to go out for these statuses only
+  ...NOTIFIED_STATUSES.map(status => ({ event: 'status-update', channel: 'SMS', status, body: STATUS_UPDATE_SMS })),
+  // The email adds the vehicle, status, customer-facing notes and status link below this text
+  ...NOTIFIED_STATUSES.map(status => ({
+    event: 'status-update',
+    channel: 'Email',
+    status,
+    subject: 'Update on your {{vehicle.displayName}}: {{workOrder.status}}',
+    body: STATUS_UPDATE_EMAIL
+  })),
+  {
+    event: 'completion',
+    channel: 'SMS',
+    body: 'Hi {{customer.name}}, your {{vehicle.displayName}} is ready for pickup! Total: {{workOrder.total}}. See attached invoice for details.'
+  }
+];
+
+/**
+ * List the placeholder paths used in some template text, in order of appearance
+ * @param {String} text - Template text
+ * @returns {Array<String>} Unique paths, e.g. ['customer.name']
+ */
+const findPlaceholders = (text) => {
+  const paths = [];
+  for (const match of String(text || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!paths.includes(match[1])) paths.push(match[1]);
+  }
+  return paths;
+};
+
+const MessageTemplateSchema = new Schema(
+  {
+    event: {
+      type: String,
+      enum: Object.keys(TEMPLATE_EVENTS),
+      required: [true, 'Template event is required']
+    },
+    channel: {
+      type: String,
+      enum: MESSAGE_CHANNELS,
+      required: [true, 'Template channel is required']
+    },
+    status: { // Work order status, for per-status events only
+      type: String,
+      default: null
+    },
+    subject: { // Email only
+      type: String,
+      trim: true
+    },
+    body: {
+      type: String,
+      required: [true, 'Message text is required'],
+      trim: true
+    },
+    active: {
+      type: Boolean,
+      default: true
+    },
+    updatedBy: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+MessageTemplateSchema.index({ event: 1, channel: 1, status: 1 }, { unique: true });
+
+MessageTemplateSchema.pre('validate', function(next) {
+  const event = TEMPLATE_EVENTS[this.event];
+  if (!event) return next();
+
+  if (!event.channels.includes(this.channel)) {
+    this.invalidate('channel', `${event.label} messages can only be sent by ${event.channels.join(' or ')}`);
+  }
+
+  if (event.perStatus) {
+    if (!mongoose.model('WorkOrder').STATUSES.includes(this.status)) {
+      this.invalidate('status', 'Choose the work order status this template is for');
+    }
+  } else {
+    this.status = null;
+  }
+
+  if (this.channel === 'Email' && !this.subject) {
+    this.invalidate('subject', 'Email templates need a subject');
+  }
+  if (this.channel === 'SMS') {
+    this.subject = undefined;
+  }
+
+  // Every placeholder has to be one this event can fill in
+  const paths = findPlaceholders(`${this.subject || ''}\n${this.body || ''}`);
+  const unknown = paths.filter(path => !PLACEHOLDERS[path]);
+  const unavailable = paths.filter(path => PLACEHOLDERS[path] && !event.records.includes(path.split('.')[0]));
+  if (unknown.length) {
+    this.invalidate('body', `Unknown placeholder${unknown.length > 1 ? 's' : ''}: ${unknown.map(path => `{{${path}}}`).join(', ')}`);
+  } else if (unavailable.length) {
+    this.invalidate('body', `${unavailable.map(path => `{{${path}}}`).join(', ')} cannot be used in ${event.label} messages`);
+  }
+
+  next();
+});
+
+/**
+ * Create the built-in templates for any event and channel that has none yet
+ * @returns {Promise<void>}
+ */
+MessageTemplateSchema.statics.ensureDefaults = async function() {
+  if (defaultsReady) return;
+
+  const existing = await this.find().select('event channel');
+  const missing = DEFAULT_TEMPLATES.filter(template =>
+    !existing.some(entry => entry.event === template.event && entry.channel === template.channel)
+  );
+
+  try {
+    if (missing.length) await this.insertMany(missing, { ordered: false });
+  } catch (err) {
+    // Another request seeded the same templates first
+    if (err.code !== 11000 && !(err.writeErrors || []).every(writeError => writeError.code === 11000)) {
+      throw err;
+    }
+  }
+  defaultsReady = true;
+};
+
+/**
+ * Find the active template for an event
+ * @param {String} event - e.g. status-update
+ * @param {String} channel - SMS or Email
+ * @param {String} status - Work order status, for per-status events
+ * @returns {Promise<Object|null>} MessageTemplate, or null if the message is turned off
+ */
+MessageTemplateSchema.statics.findActive = async function(event, channel, status) {
+  await this.ensureDefaults();
+  return this.findOne({
+    event,
+    channel,
+    status: TEMPLATE_EVENTS[event] && TEMPLATE_EVENTS[event].perStatus ? status : null,
+    active: true
+  });
+};
+
+MessageTemplateSchema.statics.MESSAGE_CHANNELS = MESSAGE_CHANNELS;
+MessageTemplateSchema.statics.PLACEHOLDERS = PLACEHOLDERS;
+MessageTemplateSchema.statics.TEMPLATE_EVENTS = TEMPLATE_EVENTS;
+MessageTemplateSchema.statics.findPlaceholders = findPlaceholders;
+
+const MessageTemplate = mongoose.model('MessageTemplate', MessageTemplateSchema);
+
+module.exports = MessageTemplate;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const NOTIFICATION_CHANNELS = ['SMS', 'Email'];
+const NOTIFICATION_STATUSES = ['Queued', 'Sending', 'Sent', 'Delivered', 'Failed'];
+
+const AttachmentSchema = new Schema(
+  {
+    filename: String,
+    contentType: String,
+    content: Buffer
+  },
+  { _id: false }
+);
+
+// Outbox entry for one SMS or email. Everything the shop sends goes through
+// here, so failed sends are retried and delivery receipts have somewhere to land.
+const NotificationSchema = new Schema(
+  {
+    channel: {
+      type: String,
+      enum: NOTIFICATION_CHANNELS,
+      required: true
+    },
+    template: { // What kind of message, e.g. appointment-reminder, status-update, invoice
+      type: String,
+      trim: true,
+      default: 'custom'
+    },
+    recipient: { // Phone number or email address
+      type: String,
+      required: true,
+      trim: true
+    },
+    payload: {
+      body: String, // SMS text
+      mediaUrls: [String],
+      subject: String,
+      text: String,
+      html: String,
+      attachments: [AttachmentSchema]
+    },
+    status: {
+      type: String,
+      enum: NOTIFICATION_STATUSES,
+      default: 'Queued'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    maxAttempts: {
+      type: Number,
+      default: 4
+    },
+    nextAttemptAt: Date,
+    lockedAt: Date,
+    provider: String, // twilio, sendgrid, smtp, file or console
+    providerId: String, // Message SID / SendGrid message id
+    providerStatus: String, // Last status the provider reported
+    lastError: {
+      type: String,
+      trim: true
+    },
+    sentAt: Date,
+    deliveredAt: Date,
+    // What the message is about
+    customer: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer'
+    },
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder'
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment'
+    },
+    sentBy: { // Staff member who sent it; empty for automatic messages
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+NotificationSchema.index({ status: 1, nextAttemptAt: 1 });
+NotificationSchema.index({ provider: 1, providerId: 1 });
+NotificationSchema.index({ customer: 1, createdAt: -1 });
+NotificationSchema.index({ workOrder: 1, createdAt: -1 });
+NotificationSchema.index({ createdAt: -1 });
+
+NotificationSchema.statics.NOTIFICATION_CHANNELS = NOTIFICATION_CHANNELS;
+NotificationSchema.statics.NOTIFICATION_STATUSES = NOTIFICATION_STATUSES;
+
+const Notification = mongoose.model('Notification', NotificationSchema);
+
+module.exports = Notification;
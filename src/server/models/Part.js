@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const StockMovement = require('./StockMovement');
 const Schema = mongoose.Schema;
 
 const PartSchema = new Schema({
@@ -88,6 +89,26 @@ const PartSchema = new Schema({
       message: 'Please enter a valid URL'
     }
   },
+  // Inventory
+  quantityOnHand: {
+    type: Number,
+    default: 0
+  },
+  binLocation: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  minimumQuantity: { // Reorder point
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  reorderQuantity: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -115,6 +136,11 @@ PartSchema.virtual('markup').get(function() {
   return (this.price - this.cost).toFixed(2);
 });
 
+// Virtual for low stock (only parts with a reorder point are tracked)
+PartSchema.virtual('isLowStock').get(function() {
+  return this.minimumQuantity > 0 && this.quantityOnHand <= this.minimumQuantity;
+});
+
 // Index for search functionality
 PartSchema.index({ 
   name: 'text', 
@@ -162,4 +188,46 @@ PartSchema.statics.searchParts = function(query) {
   });
 };
 
+// Query filter matching parts at or below their reorder point
+PartSchema.statics.lowStockFilter = function() {
+  return {
+    minimumQuantity: { $gt: 0 },
+    $expr: { $lte: ['$quantityOnHand', '$minimumQuantity'] }
+  };
+};
+
+/**
+ * Change a part's stock on hand and record the movement in the ledger
+ * @param {String} partId - Catalog part ID
+ * @param {Number} quantity - Signed change in stock (negative when stock leaves the shelf)
+ * @param {Object} details - Movement details
+ * @param {String} details.type - StockMovement type (Received, Used, Returned, Adjusted)
+ * @param {String} details.reason - Optional reason
+ * @param {String} details.workOrder - Related work order ID
+ * @param {Object} details.user - User making the change
+ * @returns {Promise<Object>} Updated part, or null if the part doesn't exist
+ */
+PartSchema.statics.adjustStock = async function(partId, quantity, details = {}) {
+  const part = await this.findByIdAndUpdate(
+    partId,
+    { $inc: { quantityOnHand: quantity }, lastUpdated: new Date() },
+    { new: true }
+  );
+
+  if (!part) return null;
+
+  await StockMovement.create({
+    part: part._id,
+    type: details.type,
+    quantity,
+    quantityAfter: part.quantityOnHand,
+    reason: details.reason,
+    workOrder: details.workOrder,
+    performedBy: details.user?._id,
+    performedByName: details.user?.name
+  });
+
+  return part;
+};
+
 module.exports = mongoose.model('Part', PartSchema);
\ No newline at end of file
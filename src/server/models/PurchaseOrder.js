@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const STATUSES = ['Draft', 'Ordered', 'Partially Received', 'Received', 'Cancelled'];
+
+// Sub-schemas
+const PurchaseOrderItemSchema = new Schema({
+  workOrder: { // Work order the part was ordered for (empty for stock orders)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkOrder'
+  },
+  workOrderPart: { // _id of the part subdocument on the work order
+    type: mongoose.Schema.Types.ObjectId
+  },
+  part: { // Catalog part, when the line restocks inventory
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  partNumber: {
+    type: String,
+    trim: true
+  },
+  quantityOrdered: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  quantityReceived: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  cost: {
+    type: Number,
+    min: 0,
+    default: 0
+  },
+  backordered: {
+    type: Boolean,
+    default: false
+  },
+  expectedDate: { // Overrides the order's expected date, e.g. for backorders
+    type: Date
+  }
+}, {
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
+});
+
+PurchaseOrderItemSchema.virtual('quantityOutstanding').get(function() {
+  return Math.max(this.quantityOrdered - this.quantityReceived, 0);
+});
+
+// One receiving event; a purchase order can be received in several deliveries
+const ReceiptSchema = new Schema({
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  receivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  receivedByName: {
+    type: String,
+    trim: true
+  },
+  items: [{
+    _id: false,
+    item: { type: mongoose.Schema.Types.ObjectId, required: true },
+    quantity: { type: Number, required: true, min: 1 }
+  }],
+  notes: {
+    type: String,
+    trim: true
+  }
+});
+
+// Main PurchaseOrder Schema - one order to one vendor
+const PurchaseOrderSchema = new Schema(
+  {
+    poNumber: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true
+    },
+    vendor: {
+      type: String,
+      required: [true, 'Vendor is required'],
+      trim: true
+    },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: 'Draft'
+    },
+    items: {
+      type: [PurchaseOrderItemSchema],
+      validate: {
+        validator: items => items.length > 0,
+        message: 'A purchase order needs at least one item'
+      }
+    },
+    vendorOrderNumber: { // Confirmation or order number from the vendor
+      type: String,
+      trim: true
+    },
+    orderedAt: {
+      type: Date
+    },
+    expectedDate: {
+      type: Date
+    },
+    receivedAt: {
+      type: Date
+    },
+    receipts: [ReceiptSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdByName: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for faster queries
+PurchaseOrderSchema.index({ vendor: 1 });
+PurchaseOrderSchema.index({ status: 1 });
+PurchaseOrderSchema.index({ 'items.workOrder': 1 });
+
+// Virtual for the order total at cost
+PurchaseOrderSchema.virtual('total').get(function() {
+  return (this.items || []).reduce((total, item) => total + (item.cost * item.quantityOrdered), 0);
+});
+
+// Virtual for items still waiting on a delivery
+PurchaseOrderSchema.virtual('hasBackorders').get(function() {
+  return (this.items || []).some(item => item.backordered && item.quantityReceived < item.quantityOrdered);
+});
+
+// Set status from the received quantities (leaves Draft and Cancelled orders alone)
+PurchaseOrderSchema.methods.refreshStatus = function() {
+  if (this.status === 'Draft' || this.status === 'Cancelled') return this;
+
+  const received = this.items.filter(item => item.quantityReceived >= item.quantityOrdered).length;
+  const started = this.items.some(item => item.quantityReceived > 0);
+
+  if (received === this.items.length) {
+    this.status = 'Received';
+    this.receivedAt = this.receivedAt || new Date();
+  } else {
+    this.status = started ? 'Partially Received' : 'Ordered';
+    this.receivedAt = undefined;
+  }
+
+  return this;
+};
+
+/**
+ * Generate the next purchase order number (PO-1001, PO-1002, ...)
+ * @returns {Promise<String>} Purchase order number
+ */
+PurchaseOrderSchema.statics.generatePoNumber = async function() {
+  const latest = await this.findOne({ poNumber: /^PO-\d+$/ })
+    .sort({ createdAt: -1 })
+    .select('poNumber');
+  const lastNumber = latest ? parseInt(latest.poNumber.replace('PO-', ''), 10) : 1000;
+  return `PO-${lastNumber + 1}`;
+};
+
+PurchaseOrderSchema.statics.STATUSES = STATUSES;
+
+const PurchaseOrder = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
+
+module.exports = PurchaseOrder;
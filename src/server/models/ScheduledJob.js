@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JOB_TYPES = ['Appointment Reminder', 'Appointment Follow-Up'];
+const JOB_STATUSES = ['Pending', 'Running', 'Sent', 'Skipped', 'Failed'];
+
+// A message the background job runner sends at a set time.
+// `key` is unique per appointment, message and appointment time, so planning
+// the same job twice (or after a restart) never creates a second copy.
+const ScheduledJobSchema = new Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    type: {
+      type: String,
+      enum: JOB_TYPES,
+      required: true
+    },
+    label: { // e.g. "24h before", "3 days after"
+      type: String,
+      trim: true
+    },
+    appointment: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Appointment',
+      required: true
+    },
+    offsetHours: { // Reminders only; the job is dropped if this offset is removed from settings
+      type: Number
+    },
+    appointmentTime: { // Start time the job was planned for; a reschedule makes the job stale
+      type: Date
+    },
+    runAt: {
+      type: Date,
+      required: true
+    },
+    status: {
+      type: String,
+      enum: JOB_STATUSES,
+      default: 'Pending'
+    },
+    attempts: {
+      type: Number,
+      default: 0
+    },
+    lockedAt: Date,
+    completedAt: Date,
+    channel: { // SMS or Email, once sent
+      type: String,
+      trim: true
+    },
+    lastError: {
+      type: String,
+      trim: true
+    },
+    skipReason: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+ScheduledJobSchema.index({ status: 1, runAt: 1 });
+ScheduledJobSchema.index({ appointment: 1 });
+
+ScheduledJobSchema.statics.JOB_TYPES = JOB_TYPES;
+ScheduledJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+const ScheduledJob = mongoose.model('ScheduledJob', ScheduledJobSchema);
+
+module.exports = ScheduledJob;
@@ -0,0 +1,331 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const { BAY_TYPES } = require('./Bay');
+const Schema = mongoose.Schema;
+
+const DAYS_OF_WEEK = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const PAYMENT_TERMS = ['Due on Receipt', 'Net 15', 'Net 30', 'Net 60'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Sub-schemas
+const TaxRateSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+});
+
+const BusinessHoursSchema = new Schema({
+  day: {
+    type: Number, // 0 = Sunday ... 6 = Saturday
+    required: true,
+    min: 0,
+    max: 6
+  },
+  open: {
+    type: String,
+    match: [TIME_PATTERN, 'Opening time must be in HH:mm format']
+  },
+  close: {
+    type: String,
+    match: [TIME_PATTERN, 'Closing time must be in HH:mm format']
+  },
+  closed: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+// A day the whole shop is closed
+const HolidaySchema = new Schema({
+  date: { // Shop-local YYYY-MM-DD
+    type: String,
+    required: true,
+    match: [DATE_PATTERN, 'Holiday date must be in YYYY-MM-DD format']
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  }
+}, { _id: false });
+
+// Maps service types to the kind of bay they need, e.g. "alignment" -> Alignment Rack
+const BayRuleSchema = new Schema({
+  keyword: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  bayType: {
+    type: String,
+    enum: BAY_TYPES,
+    required: true
+  }
+}, { _id: false });
+
+// A service customers can book online, with how long to block out for it
+const BookableServiceSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  duration: { // Minutes
+    type: Number,
+    required: true,
+    min: 15,
+    max: 8 * 60
+  },
+  description: {
+    type: String,
+    trim: true
+  }
+}, { _id: false });
+
+const defaultBookableServices = () => [
+  { name: 'Oil Change', duration: 30, description: 'Oil and filter change with a quick visual check' },
+  { name: 'Tire Rotation', duration: 30 },
+  { name: 'Brake Inspection', duration: 60 },
+  { name: 'Check Engine Light Diagnosis', duration: 60 },
+  { name: 'Four Wheel Alignment', duration: 60 },
+  { name: 'General Repair', duration: 120, description: 'Tell us what is going on and we will take a look' }
+];
+
+const defaultBusinessHours = () => DAYS_OF_WEEK.map((name, day) => ({
+  day,
+  open: '08:00',
+  close: day === 6 ? '12:00' : '17:00',
+  closed: day === 0
+}));
+
+// Shop-wide settings. A single document holds the configuration for the shop.
+const ShopSettingsSchema = new Schema(
+  {
+    // Business identity (printed on invoices and customer messages)
+    businessName: {
+      type: String,
+      trim: true,
+      default: 'Phoenix Automotive Group, Inc.'
+    },
+    businessAddressLine1: {
+      type: String,
+      trim: true,
+      default: '201 Ford St'
+    },
+    businessAddressLine2: {
+      type: String,
+      trim: true,
+      default: 'Newark NY 14513'
+    },
+    businessPhone: {
+      type: String,
+      trim: true,
+      default: '315-830-0008'
+    },
+    businessEmail: {
+      type: String,
+      trim: true,
+      default: 'phxautosalvage@gmail.com'
+    },
+    businessWebsite: {
+      type: String,
+      trim: true,
+      default: 'www.phxautogroup.com'
+    },
+    businessLogo: {
+      type: String,
+      trim: true,
+      default: '/phxLogo.svg'
+    },
+    // Billing defaults
+    defaultLaborRate: {
+      type: Number,
+      min: 0,
+      default: 75
+    },
+    taxRates: {
+      type: [TaxRateSchema],
+      default: () => [{ name: 'Sales Tax', rate: 8, isDefault: true }]
+    },
+    invoiceTerms: {
+      type: String,
+      trim: true,
+      default: 'All services and repairs are guaranteed for 90 days or 3,000 miles, whichever comes first. Payment is due upon receipt unless other arrangements are made.'
+    },
+    defaultPaymentTerms: {
+      type: String,
+      enum: PAYMENT_TERMS,
+      default: 'Due on Receipt'
+    },
+    // Scheduling
+    timezone: {
+      type: String,
+      default: 'America/New_York',
+      validate: {
+        validator: value => !!moment.tz.zone(value),
+        message: props => `${props.value} is not a valid timezone`
+      }
+    },
+    businessHours: {
+      type: [BusinessHoursSchema],
+      default: defaultBusinessHours
+    },
+    holidays: {
+      type: [HolidaySchema],
+      default: []
+    },
+    // Bay scheduling: the first matching rule decides the bay type, else defaultBayType ('' = no bay needed)
+    bayRules: {
+      type: [BayRuleSchema],
+      default: () => [
+        { keyword: 'alignment', bayType: 'Alignment Rack' },
+        { keyword: 'diag', bayType: 'Diagnostic Bay' }
+      ]
+    },
+    defaultBayType: {
+      type: String,
+      enum: [...BAY_TYPES, ''],
+      default: 'Lift'
+    },
+    // Public booking page
+    onlineBooking: {
+      enabled: {
+        type: Boolean,
+        default: false
+      },
+      services: {
+        type: [BookableServiceSchema],
+        default: defaultBookableServices
+      },
+      leadTimeHours: { // Earliest a customer can book, counted from now
+        type: Number,
+        min: 0,
+        max: 7 * 24,
+        default: 2
+      },
+      maxDaysAhead: {
+        type: Number,
+        min: 1,
+        max: 90,
+        default: 30
+      },
+      instructions: {
+        type: String,
+        trim: true,
+        maxlength: 500
+      }
+    },
+    // Automatic reminders and follow-ups sent by the job runner
+    reminders: {
+      enabled: {
+        type: Boolean,
+        default: true
+      },
+      offsetsHours: { // Hours before the appointment, one reminder each
+        type: [{ type: Number, min: 1, max: 7 * 24 }],
+        default: () => [24, 2],
+        validate: {
+          validator: value => value.length <= 3,
+          message: 'No more than 3 reminders per appointment'
+        }
+      },
+      followUpEnabled: {
+        type: Boolean,
+        default: true
+      },
+      followUpDays: { // Days after the appointment is completed
+        type: Number,
+        min: 1,
+        max: 60,
+        default: 3
+      }
+    },
+    updatedBy: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Virtual for the default tax rate percentage
+ShopSettingsSchema.virtual('defaultTaxRate').get(function() {
+  const taxRate = this.taxRates.find(rate => rate.isDefault) || this.taxRates[0];
+  return taxRate ? taxRate.rate : 0;
+});
+
+// Only one tax rate can be the default
+ShopSettingsSchema.pre('validate', function(next) {
+  const defaults = this.taxRates.filter(rate => rate.isDefault);
+  if (this.taxRates.length > 0 && defaults.length === 0) {
+    this.taxRates[0].isDefault = true;
+  } else if (defaults.length > 1) {
+    this.invalidate('taxRates', 'Only one tax rate can be marked as the default');
+  }
+  next();
+});
+
+// Cached copy of the settings document; cleared whenever settings are saved
+let cachedSettings = null;
+
+ShopSettingsSchema.post('save', function() {
+  cachedSettings = null;
+});
+
+/**
+ * Find the holiday on a shop-local day
+ * @param {String} date - Day in YYYY-MM-DD format
+ * @returns {Object|undefined} Holiday entry, if the shop is closed that day
+ */
+ShopSettingsSchema.methods.getHoliday = function(date) {
+  return (this.holidays || []).find(holiday => holiday.date === date);
+};
+
+/**
+ * Get the shop settings, creating the document with defaults on first use
+ * @returns {Promise<Object>} ShopSettings document
+ */
+ShopSettingsSchema.statics.getSettings = async function() {
+  if (cachedSettings) return cachedSettings;
+
+  let settings = await this.findOne();
+  if (!settings) {
+    settings = await this.create({});
+  }
+
+  cachedSettings = settings;
+  return settings;
+};
+
+/**
+ * Get the shop timezone (IANA name)
+ * @returns {Promise<String>} Timezone
+ */
+ShopSettingsSchema.statics.getTimezone = async function() {
+  const settings = await this.getSettings();
+  return settings.timezone;
+};
+
+ShopSettingsSchema.statics.DAYS_OF_WEEK = DAYS_OF_WEEK;
+ShopSettingsSchema.statics.PAYMENT_TERMS = PAYMENT_TERMS;
+
+const ShopSettings = mongoose.model('ShopSettings', ShopSettingsSchema);
+
+module.exports = ShopSettings;
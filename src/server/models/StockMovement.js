@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const MOVEMENT_TYPES = ['Received', 'Used', 'Returned', 'Adjusted'];
+
+// Ledger entry for every change to a catalog part's stock on hand
+const StockMovementSchema = new Schema(
+  {
+    part: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Part',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: MOVEMENT_TYPES,
+      required: true
+    },
+    quantity: { // Signed change: positive adds stock, negative removes it
+      type: Number,
+      required: true
+    },
+    quantityAfter: { // Stock on hand after this movement
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder'
+    },
+    performedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    performedByName: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+StockMovementSchema.index({ part: 1, createdAt: -1 });
+StockMovementSchema.index({ workOrder: 1 });
+
+StockMovementSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+const StockMovement = mongoose.model('StockMovement', StockMovementSchema);
+
+module.exports = StockMovement;
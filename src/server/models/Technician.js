@@ -1,4 +1,33 @@
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+// One working block in the weekly schedule, in shop time
+const shiftSchema = new mongoose.Schema({
+  day: { // 0 = Sunday ... 6 = Saturday
+    type: Number,
+    required: true,
+    min: 0,
+    max: 6,
+  },
+  start: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Shift start must be in HH:mm format'],
+  },
+  end: {
+    type: String,
+    required: true,
+    match: [TIME_PATTERN, 'Shift end must be in HH:mm format'],
+    validate: {
+      validator: function(value) {
+        return !this.start || value > this.start;
+      },
+      message: 'Shift end must be after its start',
+    },
+  },
+}, { _id: false });
 
 const technicianSchema = new mongoose.Schema({
   name: {
@@ -37,11 +66,87 @@ const technicianSchema = new mongoose.Schema({
     type: String,
     trim: true,
   },
+  user: { // Login account for this technician (their notes, feedback and time clock punches)
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    unique: true,
+    sparse: true,
+  },
+  shifts: { // Weekly schedule; when empty the technician works the shop's business hours
+    type: [shiftSchema],
+    default: [],
+  },
 }, { timestamps: true });
 
 // Index for searching by name (optional, improves query performance)
 technicianSchema.index({ name: 'text' });
 
+// Find the technician profile linked to a login, if any
+technicianSchema.statics.findForUser = function(userId) {
+  return this.findOne({ user: userId, isActive: true });
+};
+
+/**
+ * Working windows on a shop-local day, before time off and appointments
+ * @param {String} date - Day in YYYY-MM-DD format
+ * @param {Object} settings - ShopSettings document
+ * @returns {Array} [{ start, end }] as moments in the shop timezone (empty on days off and holidays)
+ */
+technicianSchema.methods.getShiftWindows = function(date, settings) {
+  if (settings.getHoliday(date)) return [];
+
+  const timezone = settings.timezone;
+  const dayOfWeek = moment.tz(date, 'YYYY-MM-DD', timezone).day();
+  let blocks;
+
+  if (this.shifts && this.shifts.length > 0) {
+    blocks = this.shifts.filter(shift => shift.day === dayOfWeek);
+  } else {
+    const hours = settings.businessHours.find(entry => entry.day === dayOfWeek);
+    blocks = hours && !hours.closed && hours.open && hours.close
+      ? [{ start: hours.open, end: hours.close }]
+      : [];
+  }
+
+  return blocks
+    .map(block => ({
+      start: moment.tz(`${date} ${block.start}`, 'YYYY-MM-DD HH:mm', timezone),
+      end: moment.tz(`${date} ${block.end}`, 'YYYY-MM-DD HH:mm', timezone),
+    }))
+    .sort((a, b) => a.start - b.start);
+};
+
+/**
+ * Explain why the technician can't work a time range, ignoring other appointments
+ * @param {Date} startTime - Range start
+ * @param {Date} endTime - Range end
+ * @returns {Promise<String|null>} Reason, or null if the range is inside a shift and not during time off
+ */
+technicianSchema.methods.getUnavailableReason = async function(startTime, endTime) {
+  const settings = await mongoose.model('ShopSettings').getSettings();
+  const start = moment.tz(startTime, settings.timezone);
+  const end = moment.tz(endTime, settings.timezone);
+  const date = start.format('YYYY-MM-DD');
+
+  const holiday = settings.getHoliday(date);
+  if (holiday) {
+    return `The shop is closed for ${holiday.name}`;
+  }
+
+  const timeOff = await mongoose.model('TimeOff').findOverlapping(startTime, endTime, { technician: this._id });
+  if (timeOff.length > 0) {
+    return `${this.name} is off (${timeOff[0].reason || timeOff[0].type})`;
+  }
+
+  const insideShift = this.getShiftWindows(date, settings)
+    .some(window => !start.isBefore(window.start) && !end.isAfter(window.end));
+  if (!insideShift) {
+    return `${this.name} is not scheduled to work then`;
+  }
+
+  return null;
+};
+
 const Technician = mongoose.model('Technician', technicianSchema);
 
 module.exports = Technician;
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Why a punch was closed
+const END_REASONS = ['Clock Out', 'Pause', 'Switch'];
+
+// One clock-in/clock-out punch by a technician on a work order
+// An entry with no clockOut is the technician's open punch - the unique index below
+// keeps it to one per technician
+const TimeEntrySchema = new Schema(
+  {
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Technician',
+      required: true
+    },
+    workOrder: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'WorkOrder',
+      required: true
+    },
+    laborLine: { // _id of the work order labor line this time counts against
+      type: mongoose.Schema.Types.ObjectId
+    },
+    clockIn: {
+      type: Date,
+      required: true
+    },
+    clockOut: { // Stored as null while open so the open-punch index can match it
+      type: Date,
+      default: null,
+      validate: {
+        validator: function(value) {
+          return !value || value >= this.clockIn;
+        },
+        message: 'Clock-out cannot be before clock-in'
+      }
+    },
+    endReason: {
+      type: String,
+      enum: END_REASONS
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 500
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdByName: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true,
+    toJSON: { virtuals: true },
+    toObject: { virtuals: true }
+  }
+);
+
+// Indexes for faster queries
+TimeEntrySchema.index({ technician: 1, clockIn: -1 });
+TimeEntrySchema.index({ workOrder: 1 });
+TimeEntrySchema.index({ technician: 1, clockOut: 1 });
+// At most one open punch per technician, even when two clock-ins race
+TimeEntrySchema.index(
+  { technician: 1 },
+  { unique: true, partialFilterExpression: { clockOut: { $type: 'null' } } }
+);
+
+// Hours worked on this punch; an open punch counts up to now
+TimeEntrySchema.virtual('hours').get(function() {
+  const end = this.clockOut || new Date();
+  return Math.max(0, (end - this.clockIn) / 3600000);
+});
+
+TimeEntrySchema.virtual('isOpen').get(function() {
+  return !this.clockOut;
+});
+
+/**
+ * Get a technician's open punch
+ * @param {String} technicianId - Technician ID
+ * @returns {Promise<Object|null>} The open TimeEntry, if any
+ */
+TimeEntrySchema.statics.findOpen = function(technicianId) {
+  return this.findOne({ technician: technicianId, clockOut: null });
+};
+
+TimeEntrySchema.statics.END_REASONS = END_REASONS;
+
+const TimeEntry = mongoose.model('TimeEntry', TimeEntrySchema);
+
+module.exports = TimeEntry;
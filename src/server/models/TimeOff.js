@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TIME_OFF_TYPES = ['Vacation', 'Sick', 'Personal', 'Training', 'Other'];
+
+// A block of time a technician can't be booked (vacation, sick day, appointment, ...)
+const TimeOffSchema = new Schema(
+  {
+    technician: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Technician',
+      required: true
+    },
+    type: {
+      type: String,
+      enum: TIME_OFF_TYPES,
+      default: 'Vacation'
+    },
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true,
+      validate: {
+        validator: function(value) {
+          return !this.start || value > this.start;
+        },
+        message: 'Time off must end after it starts'
+      }
+    },
+    reason: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    createdByName: {
+      type: String,
+      trim: true
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+TimeOffSchema.index({ technician: 1, start: 1 });
+
+/**
+ * Find time off that overlaps a range
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @param {Object} filter - Extra query conditions, e.g. { technician }
+ * @returns {Promise<Array>} Matching entries, earliest first
+ */
+TimeOffSchema.statics.findOverlapping = function(start, end, filter = {}) {
+  return this.find({ ...filter, start: { $lt: end }, end: { $gt: start } }).sort({ start: 1 });
+};
+
+TimeOffSchema.statics.TIME_OFF_TYPES = TIME_OFF_TYPES;
+
+const TimeOff = mongoose.model('TimeOff', TimeOffSchema);
+
+module.exports = TimeOff;
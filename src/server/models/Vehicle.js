@@ -24,6 +24,53 @@ const MileageRecordSchema = new Schema({
   }
 }, { _id: true, timestamps: true });
 
+// Work the customer declined on an estimate, kept so it can be recommended again
+const DeferredRecommendationSchema = new Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['Part', 'Labor'],
+    default: 'Part'
+  },
+  partNumber: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    min: 0
+  },
+  estimatedCost: {
+    type: Number,
+    min: 0
+  },
+  workOrder: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WorkOrder'
+  },
+  estimate: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Estimate'
+  },
+  declinedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['Open', 'Completed', 'Dismissed'],
+    default: 'Open'
+  },
+  notes: {
+    type: String,
+    trim: true
+  }
+}, { timestamps: true });
+
 const VehicleSchema = new Schema(
   {
     customer: {
@@ -70,6 +117,7 @@ const VehicleSchema = new Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'WorkOrder'
     }],
+    deferredRecommendations: [DeferredRecommendationSchema],
     notes: {
       type: String,
       trim: true
@@ -1,8 +1,16 @@
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+// How long a customer status link works after it is issued or last sent
+const STATUS_LINK_DAYS = 30;
+
 // Sub-schemas
 const PartSchema = new Schema({
+  part: { // Catalog part, when taken from inventory
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Part'
+  },
   name: {
     type: String,
     required: true,
@@ -38,6 +46,10 @@ const PartSchema = new Schema({
   purchaseOrderNumber: { // Or orderNumber
     type: String,
     trim: true
+  },
+  purchaseOrder: { // Set when the part is ordered through a purchase order
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder'
   }
 });
 
@@ -83,6 +95,39 @@ const MediaSchema = new Schema({
   }
 });
 
+// Status history entry - one per status change
+const StatusHistorySchema = new Schema({
+  from: {
+    type: String,
+    trim: true
+  },
+  to: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  changedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  changedByName: { // Kept alongside the ref so history survives user removal
+    type: String,
+    trim: true
+  },
+  changedAt: {
+    type: Date,
+    default: Date.now
+  },
+  note: {
+    type: String,
+    trim: true
+  },
+  override: { // True when an admin bypassed the transition rules
+    type: Boolean,
+    default: false
+  }
+});
+
 // Service Schema (new addition)
 const ServiceSchema = new Schema({
   description: {
@@ -92,6 +137,96 @@ const ServiceSchema = new Schema({
   }
 });
 
+// All work order statuses, in workflow order
+const STATUSES = [
+  'Work Order Created',
+  'Inspection/Diag Scheduled',
+  'Inspection In Progress',
+  'Inspection/Diag Complete',
+  'Parts Ordered',
+  'Parts Received',
+  'Repair Scheduled',
+  'Repair In Progress',
+  'Repair Complete - Awaiting Payment',
+  'Repair Complete - Invoiced',
+  'On Hold',
+  'Cancelled'
+];
+
+// Allowed status transitions (from -> [to])
+// Anything not listed here requires an admin override
+const STATUS_TRANSITIONS = {
+  'Work Order Created': [
+    'Inspection/Diag Scheduled',
+    'Inspection In Progress',
+    'Inspection/Diag Complete',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Inspection/Diag Scheduled': [
+    'Work Order Created',
+    'Inspection In Progress',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Inspection In Progress': [
+    'Inspection/Diag Complete',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Inspection/Diag Complete': [
+    'Parts Ordered',
+    'Parts Received',
+    'Repair Scheduled',
+    'Repair In Progress',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Parts Ordered': [
+    'Parts Received',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Parts Received': [
+    'Parts Ordered',
+    'Repair Scheduled',
+    'Repair In Progress',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Repair Scheduled': [
+    'Parts Received',
+    'Repair In Progress',
+    'On Hold',
+    'Cancelled'
+  ],
+  'Repair In Progress': [
+    'Parts Ordered',
+    'Repair Complete - Awaiting Payment',
+    'Repair Complete - Invoiced',
+    'On Hold'
+  ],
+  'Repair Complete - Awaiting Payment': [
+    'Repair In Progress',
+    'Repair Complete - Invoiced'
+  ],
+  'Repair Complete - Invoiced': [],
+  'On Hold': [
+    'Work Order Created',
+    'Inspection/Diag Scheduled',
+    'Inspection In Progress',
+    'Inspection/Diag Complete',
+    'Parts Ordered',
+    'Parts Received',
+    'Repair Scheduled',
+    'Repair In Progress',
+    'Cancelled'
+  ],
+  'Cancelled': [
+    'Work Order Created'
+  ]
+};
+
 // Main WorkOrder Schema
 const WorkOrderSchema = new Schema(
   {
@@ -120,22 +255,10 @@ const WorkOrderSchema = new Schema(
     },
     status: {
       type: String,
-      enum: [
-        'Work Order Created',
-        'Inspection/Diag Scheduled', 
-        'Inspection In Progress', 
-        'Inspection/Diag Complete',
-        'Parts Ordered',
-        'Parts Received',
-        'Repair Scheduled',
-        'Repair In Progress',
-        'Repair Complete - Awaiting Payment',
-        'Repair Complete - Invoiced',
-        'On Hold',
-        'Cancelled'
-      ],
+      enum: STATUSES,
       default: 'Work Order Created'
     },
+    statusHistory: [StatusHistorySchema],
     // Replace single serviceRequested with services array
     services: [ServiceSchema],
     // Keep serviceRequested for backward compatibility
@@ -171,6 +294,13 @@ const WorkOrderSchema = new Schema(
     skipDiagnostics: {
       type: Boolean,
       default: false
+    },
+    statusLink: { // Public status page link for the customer
+      token: String, // Secret in the link; removed when the link is revoked
+      issuedAt: Date,
+      expiresAt: Date,
+      lastViewedAt: Date,
+      viewCount: Number
     }
   },
   {
@@ -183,6 +313,7 @@ WorkOrderSchema.index({ vehicle: 1 });
 WorkOrderSchema.index({ customer: 1 });
 WorkOrderSchema.index({ status: 1 });
 WorkOrderSchema.index({ date: 1 });
+WorkOrderSchema.index({ 'statusLink.token': 1 }, { unique: true, sparse: true });
 
 // Virtual for parts cost calculation
 WorkOrderSchema.virtual('partsCost').get(function() {
@@ -219,12 +350,69 @@ WorkOrderSchema.pre('save', function(next) {
   next();
 });
 
-// Method to update status and track status history
-WorkOrderSchema.methods.updateStatus = function(newStatus, notes = '') {
+/**
+ * Make sure a work order has a working status link, good for STATUS_LINK_DAYS from now.
+ * A current link keeps its token and gets a later expiry; otherwise a new token is issued.
+ * @param {String} id - Work order ID
+ * @param {Number} days - Days the link should work for
+ * @returns {Promise<Object|null>} The statusLink, or null if the work order does not exist
+ */
+WorkOrderSchema.statics.issueStatusLink = async function(id, days = STATUS_LINK_DAYS) {
+  const workOrder = await this.findById(id).select('statusLink');
+  if (!workOrder) return null;
+
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+  const current = workOrder.statusLink;
+  const update = current && current.token && current.expiresAt > now
+    ? { 'statusLink.expiresAt': expiresAt }
+    : { statusLink: { token: crypto.randomBytes(24).toString('hex'), issuedAt: now, expiresAt, viewCount: 0 } };
+
+  const updated = await this.findByIdAndUpdate(id, { $set: update }, { new: true }).select('statusLink');
+  return updated.statusLink;
+};
+
+WorkOrderSchema.statics.STATUS_LINK_DAYS = STATUS_LINK_DAYS;
+
+// Expose the status list and transition graph
+WorkOrderSchema.statics.STATUSES = STATUSES;
+WorkOrderSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+// Get the statuses a work order can move to from its current status
+WorkOrderSchema.statics.getAllowedTransitions = function(fromStatus) {
+  // Legacy statuses (e.g. 'Created', 'Scheduled') are not in the graph - allow moving to any status
+  if (!STATUS_TRANSITIONS[fromStatus]) {
+    return STATUSES.filter(status => status !== fromStatus);
+  }
+  return STATUS_TRANSITIONS[fromStatus];
+};
+
+// Check if a status transition is allowed by the state machine
+WorkOrderSchema.statics.canTransition = function(fromStatus, toStatus) {
+  return this.getAllowedTransitions(fromStatus).includes(toStatus);
+};
+
+// Method to set a new status and record it in the status history (does not save)
+WorkOrderSchema.methods.recordStatusChange = function(newStatus, { user = null, note = '', override = false } = {}) {
+  if (this.status === newStatus) return this;
+  
+  this.statusHistory.push({
+    from: this.status,
+    to: newStatus,
+    changedBy: user ? user._id : undefined,
+    changedByName: user ? user.name : 'System',
+    changedAt: new Date(),
+    note,
+    override
+  });
   this.status = newStatus;
   
-  // You could add status history tracking here if needed
-  // this.statusHistory.push({ status: newStatus, date: new Date(), notes });
+  return this;
+};
+
+// Method to update status and track status history
+WorkOrderSchema.methods.updateStatus = function(newStatus, notes = '', user = null) {
+  this.recordStatusChange(newStatus, { user, note: notes });
   
   return this.save();
 };
@@ -1,38 +1,48 @@
 const express = require('express');
 const appointmentController = require('../controllers/appointmentController');
+const bookingController = require('../controllers/bookingController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Get appointments for today
-router.get('/today', appointmentController.getTodayAppointments);
+router.get('/today', authController.authorize('appointments', 'read'), appointmentController.getTodayAppointments);
 
 // Get appointments by date range
-router.get('/date-range/:startDate/:endDate', appointmentController.getAppointmentsByDateRange);
+router.get('/date-range/:startDate/:endDate', authController.authorize('appointments', 'read'), appointmentController.getAppointmentsByDateRange);
 
 // Check for scheduling conflicts
-router.post('/check-conflicts', appointmentController.checkConflicts);
+router.post('/check-conflicts', authController.authorize('appointments', 'read'), appointmentController.checkConflicts);
+
+// Online booking review queue
+router.get('/booking-requests', authController.authorize('appointments', 'read'), bookingController.getBookingRequests);
+router.patch('/:id/review', authController.authorize('appointments', 'update'), bookingController.reviewBooking);
 
 // Send appointment reminder
-router.post('/:id/send-reminder', appointmentController.sendAppointmentReminder);
+router.post('/:id/send-reminder', authController.authorize('appointments', 'update'), appointmentController.sendAppointmentReminder);
 
 // Create work order from appointment
-router.post('/:id/create-work-order', appointmentController.createWorkOrderFromAppointment);
+router.post('/:id/create-work-order', authController.authorize('workOrders', 'create'), appointmentController.createWorkOrderFromAppointment);
 
 // Get appointments by customer
-router.get('/customer/:customerId', appointmentController.getCustomerAppointments);
+router.get('/customer/:customerId', authController.authorize('appointments', 'read'), appointmentController.getCustomerAppointments);
 
 // Get appointments by vehicle
-router.get('/vehicle/:vehicleId', appointmentController.getVehicleAppointments);
+router.get('/vehicle/:vehicleId', authController.authorize('appointments', 'read'), appointmentController.getVehicleAppointments);
 
 // Basic CRUD routes
 router
   .route('/')
-  .get(appointmentController.getAllAppointments)
-  .post(appointmentController.createAppointment);
+  .get(authController.authorize('appointments', 'read'), appointmentController.getAllAppointments)
+  .post(authController.authorize('appointments', 'create'), appointmentController.createAppointment);
 
 router
   .route('/:id')
-  .get(appointmentController.getAppointment)
-  .patch(appointmentController.updateAppointment)
-  .delete(appointmentController.deleteAppointment);
+  .get(authController.authorize('appointments', 'read'), appointmentController.getAppointment)
+  .patch(authController.authorize('appointments', 'update'), appointmentController.updateAppointment)
+  .delete(authController.authorize('appointments', 'delete'), appointmentController.deleteAppointment);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
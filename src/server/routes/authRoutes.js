@@ -4,7 +4,6 @@ const userController = require('../controllers/userController');
 const router = express.Router();
 
 // Auth routes
-router.post('/signup', authController.signup);
 router.post('/login', authController.login);
 router.get('/logout', authController.logout);
 router.post('/forgotPassword', authController.forgotPassword);
@@ -13,8 +12,12 @@ router.patch('/resetPassword/:token', authController.resetPassword);
 // Protected routes (require authentication)
 router.use(authController.protect);
 
+// Staff accounts are created by an admin; there is no public sign-up
+router.post('/signup', authController.authorize('users', 'create'), authController.signup);
+
 router.patch('/updateMyPassword', authController.updatePassword);
-router.get('/me', userController.getMe, userController.getUser);
+router.get('/me', userController.getMe);
+router.get('/me/permissions', userController.getMyPermissions);
 router.patch('/updateMe', userController.updateMe);
 router.delete('/deleteMe', userController.deleteMe);
 
@@ -0,0 +1,21 @@
+const express = require('express');
+const bayController = require('../controllers/bayController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(authController.authorize('bays', 'read'), bayController.getAllBays)
+  .post(authController.authorize('bays', 'create'), bayController.createBay);
+
+router
+  .route('/:id')
+  .get(authController.authorize('bays', 'read'), bayController.getBay)
+  .patch(authController.authorize('bays', 'update'), bayController.updateBay)
+  .delete(authController.authorize('bays', 'delete'), bayController.deleteBay); // Soft delete
+
+module.exports = router;
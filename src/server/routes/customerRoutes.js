@@ -1,26 +1,31 @@
 const express = require('express');
 const customerController = require('../controllers/customerController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Search customers
-router.get('/search', customerController.searchCustomers);
+router.get('/search', authController.authorize('customers', 'read'), customerController.searchCustomers);
 
 // Check if customer exists by phone
-router.get('/check-phone', customerController.checkExistingCustomerByPhone);
+router.get('/check-phone', authController.authorize('customers', 'read'), customerController.checkExistingCustomerByPhone);
 
 // Get customer vehicles
-router.get('/:id/vehicles', customerController.getCustomerVehicles);
+router.get('/:id/vehicles', authController.authorize('customers', 'read'), customerController.getCustomerVehicles);
 
 // Basic CRUD routes
 router
   .route('/')
-  .get(customerController.getAllCustomers)
-  .post(customerController.createCustomer);
+  .get(authController.authorize('customers', 'read'), customerController.getAllCustomers)
+  .post(authController.authorize('customers', 'create'), customerController.createCustomer);
 
 router
   .route('/:id')
-  .get(customerController.getCustomer)
-  .patch(customerController.updateCustomer)
-  .delete(customerController.deleteCustomer);
+  .get(authController.authorize('customers', 'read'), customerController.getCustomer)
+  .patch(authController.authorize('customers', 'update'), customerController.updateCustomer)
+  .delete(authController.authorize('customers', 'delete'), customerController.deleteCustomer);
 
 module.exports = router;
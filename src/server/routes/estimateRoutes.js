@@ -0,0 +1,24 @@
+const express = require('express');
+const estimateController = require('../controllers/estimateController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+// Send the approval link to the customer
+router.post('/:id/send', authController.authorize('estimates', 'update'), estimateController.sendEstimate);
+
+// Record an in-person or phone approval
+router.post('/:id/approval', authController.authorize('estimates', 'update'), estimateController.recordApproval);
+
+// Basic routes
+router
+  .route('/')
+  .get(authController.authorize('estimates', 'read'), estimateController.getEstimates)
+  .post(authController.authorize('estimates', 'create'), estimateController.createEstimate);
+
+router.get('/:id', authController.authorize('estimates', 'read'), estimateController.getEstimate);
+
+module.exports = router;
@@ -1,18 +1,23 @@
 const express = require('express');
 const feedbackController = require('../controllers/feedbackController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 router
   .route('/')
-  .get(feedbackController.getAllFeedback)
-  .post(feedbackController.createFeedback);
+  .get(authController.authorize('feedback', 'read'), feedbackController.getAllFeedback)
+  .post(authController.authorize('feedback', 'create'), feedbackController.createFeedback);
 
 router
   .route('/:id')
-  .get(feedbackController.getFeedback)
-  .patch(feedbackController.updateFeedback)
-  .delete(feedbackController.deleteFeedback);
+  .get(authController.authorize('feedback', 'read'), feedbackController.getFeedback)
+  .patch(authController.authorize('feedback', 'update'), feedbackController.updateFeedback)
+  .delete(authController.authorize('feedback', 'delete'), feedbackController.deleteFeedback);
 
-router.patch('/:id/archive', feedbackController.archiveFeedback);
+router.patch('/:id/archive', authController.authorize('feedback', 'update'), feedbackController.archiveFeedback);
 
 module.exports = router;
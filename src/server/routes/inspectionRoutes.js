@@ -0,0 +1,42 @@
+const express = require('express');
+const inspectionController = require('../controllers/inspectionController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+// Inspection templates
+router
+  .route('/templates')
+  .get(authController.authorize('inspectionTemplates', 'read'), inspectionController.getTemplates)
+  .post(authController.authorize('inspectionTemplates', 'create'), inspectionController.createTemplate);
+
+router
+  .route('/templates/:id')
+  .patch(authController.authorize('inspectionTemplates', 'update'), inspectionController.updateTemplate)
+  .delete(authController.authorize('inspectionTemplates', 'delete'), inspectionController.deleteTemplate);
+
+// Mark an inspection complete
+router.post('/:id/complete', authController.authorize('inspections', 'update'), inspectionController.completeInspection);
+
+// Create the customer report link
+router.post('/:id/share', authController.authorize('inspections', 'update'), inspectionController.shareInspection);
+
+// Item photos
+router.post('/:id/items/:itemId/photos', authController.authorize('inspections', 'update'), inspectionController.addItemPhoto);
+router.delete('/:id/items/:itemId/photos/:mediaId', authController.authorize('inspections', 'update'), inspectionController.removeItemPhoto);
+
+// Basic routes
+router
+  .route('/')
+  .get(authController.authorize('inspections', 'read'), inspectionController.getInspections)
+  .post(authController.authorize('inspections', 'create'), inspectionController.createInspection);
+
+router
+  .route('/:id')
+  .get(authController.authorize('inspections', 'read'), inspectionController.getInspection)
+  .patch(authController.authorize('inspections', 'update'), inspectionController.updateInspection);
+
+module.exports = router;
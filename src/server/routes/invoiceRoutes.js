@@ -1,35 +1,40 @@
 const express = require('express');
 const invoiceController = require('../controllers/invoiceController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Get invoice count (for generating invoice numbers)
-router.get('/count', invoiceController.getInvoicesCount);
+router.get('/count', authController.authorize('invoices', 'read'), invoiceController.getInvoicesCount);
 
 // Generate PDF from invoice
-router.get('/:id/pdf', invoiceController.generatePDF);
+router.get('/:id/pdf', authController.authorize('invoices', 'read'), invoiceController.generatePDF);
 
 // Mark invoice as paid
-router.patch('/:id/pay', invoiceController.markAsPaid);
+router.patch('/:id/pay', authController.authorize('invoices', 'update'), invoiceController.markAsPaid);
 
 // Add payment to invoice
-router.post('/:id/payment', invoiceController.addPayment);
+router.post('/:id/payment', authController.authorize('invoices', 'update'), invoiceController.addPayment);
 
 // Send invoice via email
-router.post('/:id/send', invoiceController.sendInvoiceViaEmail);
+router.post('/:id/send', authController.authorize('invoices', 'update'), invoiceController.sendInvoiceViaEmail);
 
 // Update invoice status
-router.patch('/:id/status', invoiceController.updateInvoiceStatus);
+router.patch('/:id/status', authController.authorize('invoices', 'update'), invoiceController.updateInvoiceStatus);
 
 // Basic CRUD routes
 router
   .route('/')
-  .get(invoiceController.getAllInvoices)
-  .post(invoiceController.createInvoice);
+  .get(authController.authorize('invoices', 'read'), invoiceController.getAllInvoices)
+  .post(authController.authorize('invoices', 'create'), invoiceController.createInvoice);
 
 router
   .route('/:id')
-  .get(invoiceController.getInvoice)
-  .patch(invoiceController.updateInvoice)
-  .delete(invoiceController.deleteInvoice);
+  .get(authController.authorize('invoices', 'read'), invoiceController.getInvoice)
+  .patch(authController.authorize('invoices', 'update'), invoiceController.updateInvoice)
+  .delete(authController.authorize('invoices', 'delete'), invoiceController.deleteInvoice);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+const express = require('express');
+const jobController = require('../controllers/jobController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.get('/', authController.authorize('jobs', 'read'), jobController.getJobs);
+router.post('/:id/retry', authController.authorize('jobs', 'update'), jobController.retryJob);
+router.post('/:id/cancel', authController.authorize('jobs', 'update'), jobController.cancelJob);
+
+module.exports = router;
@@ -1,28 +1,63 @@
 const express = require('express');
 const mediaController = require('../controllers/mediaController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Public share links - no login; access is granted by the signed token in the link
+router.get('/shared/:token', mediaController.getSharedMedia);
+
+// Files kept on local disk - no login; access is granted by the signed URL
+router.get('/files/:key', mediaController.getLocalFile);
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Upload media
 router.post(
   '/upload',
+  authController.authorize('media', 'create'),
   mediaController.uploadMedia,
   mediaController.createMedia
 );
 
+// Upload several files at once, each with its own type
+router.post(
+  '/upload/batch',
+  authController.authorize('media', 'create'),
+  mediaController.uploadMediaBatch,
+  mediaController.createMediaBatch
+);
+
+// Download all of a work order's files as a ZIP
+router.get('/work-orders/:workOrderId/zip', authController.authorize('media', 'read'), mediaController.downloadWorkOrderZip);
+
 // Get signed URL for media
-router.get('/:id/signed-url', mediaController.getSignedUrl);
+router.get('/:id/signed-url', authController.authorize('media', 'read'), mediaController.getSignedUrl);
+
+// Photo annotations
+router
+  .route('/:id/annotations')
+  .get(authController.authorize('media', 'read'), mediaController.getAnnotations)
+  .put(authController.authorize('media', 'update'), mediaController.saveAnnotations);
 
 // Share media via email
-router.post('/:id/share', mediaController.shareMediaViaEmail);
+router.post('/:id/share', authController.authorize('media', 'update'), mediaController.shareMediaViaEmail);
+
+// Share media via SMS/MMS
+router.post('/:id/share-sms', authController.authorize('media', 'update'), mediaController.shareMediaViaSMS);
+
+// Turn off a share link
+router.delete('/:id/shares/:shareId', authController.authorize('media', 'update'), mediaController.revokeShare);
 
 // Basic CRUD routes
 router
   .route('/')
-  .get(mediaController.getAllMedia);
+  .get(authController.authorize('media', 'read'), mediaController.getAllMedia);
 
 router
   .route('/:id')
-  .get(mediaController.getMedia)
-  .delete(mediaController.deleteMedia);
+  .get(authController.authorize('media', 'read'), mediaController.getMedia)
+  .delete(authController.authorize('media', 'delete'), mediaController.deleteMedia);
 
 module.exports = router;
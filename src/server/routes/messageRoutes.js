@@ -0,0 +1,16 @@
+const express = require('express');
+const messageController = require('../controllers/messageController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.post('/', authController.authorize('messages', 'create'), messageController.sendMessage);
+router.get('/conversations', authController.authorize('messages', 'read'), messageController.getConversations);
+router.get('/conversations/:id', authController.authorize('messages', 'read'), messageController.getConversation);
+router.post('/conversations/:id/read', authController.authorize('messages', 'read'), messageController.markRead);
+router.get('/customer/:customerId', authController.authorize('messages', 'read'), messageController.getCustomerConversation);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+const express = require('express');
+const messageTemplateController = require('../controllers/messageTemplateController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(authController.authorize('messageTemplates', 'read'), messageTemplateController.getTemplates)
+  .post(authController.authorize('messageTemplates', 'create'), messageTemplateController.createTemplate);
+
+router.post('/preview', authController.authorize('messageTemplates', 'read'), messageTemplateController.previewTemplate);
+router.post('/test', authController.authorize('messageTemplates', 'update'), messageTemplateController.sendTest);
+
+router
+  .route('/:id')
+  .patch(authController.authorize('messageTemplates', 'update'), messageTemplateController.updateTemplate)
+  .delete(authController.authorize('messageTemplates', 'delete'), messageTemplateController.deleteTemplate);
+
+module.exports = router;
@@ -0,0 +1,13 @@
+const express = require('express');
+const notificationController = require('../controllers/notificationController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router.get('/', authController.authorize('notifications', 'read'), notificationController.getNotifications);
+router.post('/:id/retry', authController.authorize('notifications', 'update'), notificationController.retryNotification);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const partController = require('../controllers/partController');
+const authController = require('../controllers/authController');
 
 // Validation middleware
 const partValidation = [
@@ -71,21 +72,40 @@ const partValidation = [
     .isURL({ require_protocol: true })
     .withMessage('Please enter a valid URL (including http:// or https://)')
     .trim(),
+  body('binLocation')
+    .optional()
+    .isLength({ max: 50 })
+    .withMessage('Bin location cannot exceed 50 characters')
+    .trim(),
+  body('minimumQuantity')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0 })
+    .withMessage('Minimum quantity must be a whole number of 0 or more'),
+  body('reorderQuantity')
+    .optional({ checkFalsy: true })
+    .isInt({ min: 0 })
+    .withMessage('Reorder quantity must be a whole number of 0 or more'),
   body('isActive')
     .optional()
     .isBoolean()
     .withMessage('isActive must be a boolean')
 ];
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Routes
-router.get('/', partController.getAllParts);
-router.get('/search', partController.searchParts);
-router.get('/categories', partController.getCategories);
-router.get('/vendors', partController.getVendors);
-router.get('/brands', partController.getBrands);
-router.get('/:id', partController.getPartById);
-router.post('/', partValidation, partController.createPart);
-router.put('/:id', partValidation, partController.updatePart);
-router.delete('/:id', partController.deletePart);
+router.get('/', authController.authorize('parts', 'read'), partController.getAllParts);
+router.get('/search', authController.authorize('parts', 'read'), partController.searchParts);
+router.get('/categories', authController.authorize('parts', 'read'), partController.getCategories);
+router.get('/vendors', authController.authorize('parts', 'read'), partController.getVendors);
+router.get('/brands', authController.authorize('parts', 'read'), partController.getBrands);
+router.get('/low-stock', authController.authorize('parts', 'read'), partController.getLowStockParts);
+router.get('/:id', authController.authorize('parts', 'read'), partController.getPartById);
+router.get('/:id/movements', authController.authorize('parts', 'read'), partController.getStockMovements);
+router.post('/:id/stock', authController.authorize('parts', 'update'), partController.adjustStock);
+router.post('/', authController.authorize('parts', 'create'), partValidation, partController.createPart);
+router.put('/:id', authController.authorize('parts', 'update'), partValidation, partController.updatePart);
+router.delete('/:id', authController.authorize('parts', 'delete'), partController.deletePart);
 
 module.exports = router;
\ No newline at end of file
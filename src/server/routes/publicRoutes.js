@@ -0,0 +1,41 @@
+const express = require('express');
+const rateLimit = require('express-rate-limit');
+const bookingController = require('../controllers/bookingController');
+const estimateController = require('../controllers/estimateController');
+const inspectionController = require('../controllers/inspectionController');
+const workOrderController = require('../controllers/workOrderController');
+
+// Customer-facing routes - no login; access is granted by the token in the link
+const router = express.Router();
+
+// Estimate approval page
+router.get('/estimates/:token', estimateController.getPublicEstimate);
+router.post('/estimates/:token/decision', estimateController.submitPublicDecision);
+
+// Inspection report
+router.get('/inspections/:token', inspectionController.getPublicInspection);
+
+// Work order status page
+router.get('/work-orders/:token', workOrderController.getPublicWorkOrder);
+
+// Online booking - open to anyone, so limited per IP on top of the global API limit
+const bookingLimiter = rateLimit({
+  max: 60,
+  windowMs: 15 * 60 * 1000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { status: 'fail', message: 'Too many requests. Please try again in a few minutes.' }
+});
+const bookingSubmitLimiter = rateLimit({
+  max: 5,
+  windowMs: 60 * 60 * 1000,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { status: 'fail', message: 'Too many bookings from this connection. Please call the shop to book.' }
+});
+
+router.get('/booking', bookingLimiter, bookingController.getBookingOptions);
+router.get('/booking/slots', bookingLimiter, bookingController.getBookingSlots);
+router.post('/booking', bookingSubmitLimiter, bookingController.createBooking);
+
+module.exports = router;
@@ -0,0 +1,34 @@
+const express = require('express');
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+// Work order parts that have not been put on a purchase order yet
+router.get('/unordered-parts', authController.authorize('purchaseOrders', 'read'), purchaseOrderController.getUnorderedParts);
+
+// Place a draft order with the vendor
+router.post('/:id/order', authController.authorize('purchaseOrders', 'update'), purchaseOrderController.placeOrder);
+
+// Receive a full or partial delivery
+router.post('/:id/receive', authController.authorize('purchaseOrders', 'update'), purchaseOrderController.receivePurchaseOrder);
+
+// Cancel an order that has not been received
+router.post('/:id/cancel', authController.authorize('purchaseOrders', 'update'), purchaseOrderController.cancelPurchaseOrder);
+
+// Basic CRUD routes
+router
+  .route('/')
+  .get(authController.authorize('purchaseOrders', 'read'), purchaseOrderController.getAllPurchaseOrders)
+  .post(authController.authorize('purchaseOrders', 'create'), purchaseOrderController.createPurchaseOrder);
+
+router
+  .route('/:id')
+  .get(authController.authorize('purchaseOrders', 'read'), purchaseOrderController.getPurchaseOrder)
+  .patch(authController.authorize('purchaseOrders', 'update'), purchaseOrderController.updatePurchaseOrder)
+  .delete(authController.authorize('purchaseOrders', 'delete'), purchaseOrderController.deletePurchaseOrder);
+
+module.exports = router;
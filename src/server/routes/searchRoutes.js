@@ -1,8 +1,13 @@
 const express = require('express');
 const searchController = require('../controllers/searchController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Global search endpoint
-router.get('/global', searchController.globalSearch);
+router.get('/global', authController.authorize('search', 'read'), searchController.globalSearch);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -0,0 +1,16 @@
+const express = require('express');
+const settingsController = require('../controllers/settingsController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+router
+  .route('/')
+  .get(authController.authorize('settings', 'read'), settingsController.getSettings)
+  .patch(authController.authorize('settings', 'update'), settingsController.updateSettings)
+  .put(authController.authorize('settings', 'update'), settingsController.updateSettings);
+
+module.exports = router;
@@ -1,24 +1,31 @@
 const express = require('express');
 const technicianController = require('../controllers/technicianController');
-const authController = require('../controllers/authController'); // Assuming you have auth middleware
+const authController = require('../controllers/authController');
 
 const router = express.Router();
 
-// Protect all routes after this middleware (if needed, adjust as per your auth strategy)
-// router.use(authController.protect); 
-// router.use(authController.restrictTo('admin', 'manager')); // Example: Restrict to certain roles
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+// Time off (vacation, sick days, ...)
+router.get('/time-off', authController.authorize('timeOff', 'read'), technicianController.getTimeOff);
+router.delete('/time-off/:timeOffId', authController.authorize('timeOff', 'delete'), technicianController.deleteTimeOff);
+router.post('/:id/time-off', authController.authorize('timeOff', 'create'), technicianController.createTimeOff);
+
+// Open booking slots
+router.get('/:id/availability', authController.authorize('appointments', 'read'), technicianController.getAvailability);
 
 router
   .route('/')
-  .get(technicianController.getAllTechnicians)
-  .post(technicianController.createTechnician);
+  .get(authController.authorize('technicians', 'read'), technicianController.getAllTechnicians)
+  .post(authController.authorize('technicians', 'create'), technicianController.createTechnician);
 
 router
   .route('/:id')
-  .get(technicianController.getTechnicianById)
-  .patch(technicianController.updateTechnician) // Using PATCH for partial updates, PUT for full replacement
-  .put(technicianController.updateTechnician)   // Alias for PATCH
-  .delete(technicianController.deleteTechnician); // Soft delete
+  .get(authController.authorize('technicians', 'read'), technicianController.getTechnicianById)
+  .patch(authController.authorize('technicians', 'update'), technicianController.updateTechnician) // Using PATCH for partial updates, PUT for full replacement
+  .put(authController.authorize('technicians', 'update'), technicianController.updateTechnician)   // Alias for PATCH
+  .delete(authController.authorize('technicians', 'delete'), technicianController.deleteTechnician); // Soft delete
 
 // Example for a permanent delete route (if you decide to implement it)
 // router.delete('/:id/permanent', technicianController.permanentlyDeleteTechnician);
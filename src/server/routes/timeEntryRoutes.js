@@ -0,0 +1,30 @@
+const express = require('express');
+const timeEntryController = require('../controllers/timeEntryController');
+const authController = require('../controllers/authController');
+
+const router = express.Router();
+
+// Protect all routes after this middleware
+router.use(authController.protect);
+
+// A technician's open punch
+router.get('/status', authController.authorize('timeEntries', 'read'), timeEntryController.getClockStatus);
+
+// Billed vs. actual hours per labor line on a work order
+router.get('/labor-summary', authController.authorize('timeEntries', 'read'), timeEntryController.getLaborSummary);
+
+// Billed vs. worked hours per technician
+router.get('/efficiency', authController.authorize('timeEntries', 'report'), timeEntryController.getEfficiencyReport);
+
+// Punch in (or switch jobs) and out (or pause)
+router.post('/clock-in', authController.authorize('timeEntries', 'create'), timeEntryController.clockIn);
+router.post('/clock-out', authController.authorize('timeEntries', 'create'), timeEntryController.clockOut);
+
+router.get('/', authController.authorize('timeEntries', 'read'), timeEntryController.getTimeEntries);
+
+router
+  .route('/:id')
+  .patch(authController.authorize('timeEntries', 'update'), timeEntryController.updateTimeEntry)
+  .delete(authController.authorize('timeEntries', 'delete'), timeEntryController.deleteTimeEntry);
+
+module.exports = router;
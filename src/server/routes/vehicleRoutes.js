@@ -1,32 +1,40 @@
 const express = require('express');
 const vehicleController = require('../controllers/vehicleController');
+const authController = require('../controllers/authController');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Search vehicles
-router.get('/search', vehicleController.searchVehicles);
+router.get('/search', authController.authorize('vehicles', 'read'), vehicleController.searchVehicles);
 
 // Get vehicle service history
-router.get('/:id/service-history', vehicleController.getVehicleServiceHistory);
+router.get('/:id/service-history', authController.authorize('vehicles', 'read'), vehicleController.getVehicleServiceHistory);
 
 // Get vehicle mileage history
-router.get('/:id/mileage-history', vehicleController.getMileageHistory);
+router.get('/:id/mileage-history', authController.authorize('vehicles', 'read'), vehicleController.getMileageHistory);
 
 // Add mileage record
-router.post('/:id/mileage', vehicleController.addMileageRecord);
+router.post('/:id/mileage', authController.authorize('vehicles', 'update'), vehicleController.addMileageRecord);
 
 // Get estimated mileage at a specific date
-router.get('/:id/mileage-at-date', vehicleController.getMileageAtDate);
+router.get('/:id/mileage-at-date', authController.authorize('vehicles', 'read'), vehicleController.getMileageAtDate);
+
+// Update a deferred recommendation
+router.patch('/:id/recommendations/:recommendationId', authController.authorize('vehicles', 'update'), vehicleController.updateRecommendation);
 
 // Basic CRUD routes
 router
   .route('/')
-  .get(vehicleController.getAllVehicles)
-  .post(vehicleController.createVehicle);
+  .get(authController.authorize('vehicles', 'read'), vehicleController.getAllVehicles)
+  .post(authController.authorize('vehicles', 'create'), vehicleController.createVehicle);
 
 router
   .route('/:id')
-  .get(vehicleController.getVehicle)
-  .patch(vehicleController.updateVehicle)
-  .delete(vehicleController.deleteVehicle);
+  .get(authController.authorize('vehicles', 'read'), vehicleController.getVehicle)
+  .patch(authController.authorize('vehicles', 'update'), vehicleController.updateVehicle)
+  .delete(authController.authorize('vehicles', 'delete'), vehicleController.deleteVehicle);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
@@ -1,8 +1,12 @@
 const express = require('express');
+const authController = require('../controllers/authController');
 const router = express.Router();
 
+// Apply authentication middleware to all routes
+router.use(authController.protect);
+
 // VIN decode route - proxy to NHTSA API
-router.get('/decode/:vin', async (req, res) => {
+router.get('/decode/:vin', authController.authorize('vin', 'read'), async (req, res) => {
   try {
     const { vin } = req.params;
     
@@ -0,0 +1,12 @@
+const express = require('express');
+const messageController = require('../controllers/messageController');
+const notificationController = require('../controllers/notificationController');
+
+const router = express.Router();
+
+// Called by Twilio and SendGrid, not by users; every request must carry a valid provider signature
+router.post('/twilio/sms', messageController.validateTwilioRequest, messageController.receiveSms);
+router.post('/twilio/status', messageController.validateTwilioRequest, notificationController.twilioStatus);
+router.post('/sendgrid/events', notificationController.validateSendGridRequest, notificationController.sendGridEvents);
+
+module.exports = router;
@@ -7,23 +7,25 @@ const {
   deleteWorkOrderNote,
   getCustomerFacingNotes
 } = require('../controllers/workOrderNotesController');
+const authController = require('../controllers/authController');
 
 // Routes for work order notes
 // These will be mounted under /api/workorders/:workOrderId/notes
+// The parent work order router has already run authController.protect
 
 // GET /api/workorders/:workOrderId/notes - Get all notes for a work order (with optional customerFacing filter)
-router.get('/', getWorkOrderNotes);
+router.get('/', authController.authorize('workOrders', 'read'), getWorkOrderNotes);
 
 // POST /api/workorders/:workOrderId/notes - Create a new note for a work order
-router.post('/', createWorkOrderNote);
+router.post('/', authController.authorize('workOrders', 'update'), createWorkOrderNote);
 
 // GET /api/workorders/:workOrderId/notes/customer-facing - Get only customer-facing notes (for invoices)
-router.get('/customer-facing', getCustomerFacingNotes);
+router.get('/customer-facing', authController.authorize('workOrders', 'read'), getCustomerFacingNotes);
 
 // PUT /api/workorders/:workOrderId/notes/:noteId - Update a specific note
-router.put('/:noteId', updateWorkOrderNote);
+router.put('/:noteId', authController.authorize('workOrders', 'update'), updateWorkOrderNote);
 
 // DELETE /api/workorders/:workOrderId/notes/:noteId - Delete a specific note
-router.delete('/:noteId', deleteWorkOrderNote);
+router.delete('/:noteId', authController.authorize('workOrders', 'update'), deleteWorkOrderNote);
 
 module.exports = router;
\ No newline at end of file
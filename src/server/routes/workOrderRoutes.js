@@ -1,48 +1,62 @@
 const express = require('express');
 const workOrderController = require('../controllers/workOrderController');
+const authController = require('../controllers/authController');
 const workOrderNotesRoutes = require('./workOrderNotesRoutes');
+
 const router = express.Router();
 
+// Protect all routes after this middleware
+router.use(authController.protect);
+
 // Search work orders
-router.get('/search', workOrderController.searchWorkOrders);
+router.get('/search', authController.authorize('workOrders', 'read'), workOrderController.searchWorkOrders);
 
 // Get work orders awaiting scheduling (Parts Received with no future appointments)
-router.get('/awaiting-scheduling', workOrderController.getWorkOrdersAwaitingScheduling);
+router.get('/awaiting-scheduling', authController.authorize('workOrders', 'read'), workOrderController.getWorkOrdersAwaitingScheduling);
 
 // Get all work orders that need scheduling (for appointments page)
-router.get('/needing-scheduling', workOrderController.getWorkOrdersNeedingScheduling);
+router.get('/needing-scheduling', authController.authorize('workOrders', 'read'), workOrderController.getWorkOrdersNeedingScheduling);
 
 // Get work orders by status
-router.get('/status/:status', workOrderController.getWorkOrdersByStatus);
+router.get('/status/:status', authController.authorize('workOrders', 'read'), workOrderController.getWorkOrdersByStatus);
 
 // Update work order status
-router.patch('/:id/status', workOrderController.updateStatus);
+router.patch('/:id/status', authController.authorize('workOrders', 'update'), workOrderController.updateStatus);
 
 // Add part to work order
-router.post('/:id/parts', workOrderController.addPart);
+router.post('/:id/parts', authController.authorize('workOrders', 'update'), workOrderController.addPart);
 
 // Add labor to work order
-router.post('/:id/labor', workOrderController.addLabor);
+router.post('/:id/labor', authController.authorize('workOrders', 'update'), workOrderController.addLabor);
 
 // Generate invoice
-router.get('/:id/invoice', workOrderController.generateInvoice);
+router.get('/:id/invoice', authController.authorize('invoices', 'create'), workOrderController.generateInvoice);
+
+// Customer status page link
+router
+  .route('/:id/status-link')
+  .post(authController.authorize('workOrders', 'share'), workOrderController.createStatusLink)
+  .delete(authController.authorize('workOrders', 'share'), workOrderController.revokeStatusLink);
 
 // Split work order
-router.post('/:id/split', workOrderController.splitWorkOrder);
+router.post('/:id/split', authController.authorize('workOrders', 'create'), workOrderController.splitWorkOrder);
 
 // Work order notes routes - mount under /:workOrderId/notes
 router.use('/:workOrderId/notes', workOrderNotesRoutes);
 
+// Work orders and appointments assigned to the logged-in technician
+router.get('/mine', authController.authorize('workOrders', 'read'), workOrderController.getMyWorkOrders);
+
 // Basic CRUD routes
 router
   .route('/')
-  .get(workOrderController.getAllWorkOrders)
-  .post(workOrderController.createWorkOrder);
+  .get(authController.authorize('workOrders', 'read'), workOrderController.getAllWorkOrders)
+  .post(authController.authorize('workOrders', 'create'), workOrderController.createWorkOrder);
 
 router
   .route('/:id')
-  .get(workOrderController.getWorkOrder)
-  .patch(workOrderController.updateWorkOrder)
-  .delete(workOrderController.deleteWorkOrder);
+  .get(authController.authorize('workOrders', 'read'), workOrderController.getWorkOrder)
+  .patch(authController.authorize('workOrders', 'update'), workOrderController.updateWorkOrder)
+  .delete(authController.authorize('workOrders', 'delete'), workOrderController.deleteWorkOrder);
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
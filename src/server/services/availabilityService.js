@@ -0,0 +1,169 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const Technician = require('../models/Technician');
+const Bay = require('../models/Bay');
+const TimeOff = require('../models/TimeOff');
+const ShopSettings = require('../models/ShopSettings');
+
+/**
+ * Remove busy ranges from a list of free windows
+ * @param {Array} windows - [{ start, end }] moments
+ * @param {Array} busy - [{ start, end }] moments
+ * @returns {Array} What is left of the windows
+ */
+const subtractBusy = (windows, busy) => busy.reduce((free, range) => free.flatMap(window => {
+  if (!range.start.isBefore(window.end) || !range.end.isAfter(window.start)) return [window];
+
+  const pieces = [];
+  if (range.start.isAfter(window.start)) pieces.push({ start: window.start, end: range.start });
+  if (range.end.isBefore(window.end)) pieces.push({ start: range.end, end: window.end });
+  return pieces;
+}), windows);
+
+/**
+ * Start times, every `step` minutes, at which an appointment of `duration` minutes fits in a window
+ * @param {Object} window - { start, end } moments
+ * @param {Number} duration - Appointment length in minutes
+ * @param {Number} step - Minutes between start times
+ * @param {Object} now - Current time; earlier slots are skipped
+ * @returns {Array} Slot start moments
+ */
+const slotsInWindow = (window, duration, step, now) => {
+  const slot = moment.max(window.start, now).clone().seconds(0).milliseconds(0);
+  if (slot.isBefore(window.start) || slot.isBefore(now)) slot.add(1, 'minute');
+  const offset = slot.minutes() % step;
+  if (offset) slot.add(step - offset, 'minutes');
+
+  const slots = [];
+  while (!slot.clone().add(duration, 'minutes').isAfter(window.end)) {
+    slots.push(slot.clone());
+    slot.add(step, 'minutes');
+  }
+  return slots;
+};
+
+const toRange = ({ start, end }) => ({ start: start.toISOString(), end: end.toISOString() });
+
+/**
+ * Open booking slots for a technician, day by day.
+ * A day's working windows come from the technician's shifts (or the shop's
+ * business hours), minus shop holidays, time off and active appointments.
+ * @param {Object} technician - Technician document
+ * @param {Object} options
+ * @param {String} options.from - First day, YYYY-MM-DD in shop time
+ * @param {String} options.to - Last day, YYYY-MM-DD in shop time
+ * @param {Number} options.duration - Appointment length in minutes
+ * @param {Number} options.step - Minutes between slot start times
+ * @param {String} options.excludeAppointment - Appointment being rescheduled, not counted as busy
+ * @returns {Promise<Array>} [{ date, unavailableReason, shifts, windows, slots }]
+ */
+exports.getTechnicianAvailability = async (technician, { from, to, duration = 60, step = 15, excludeAppointment = null }) => {
+  const settings = await ShopSettings.getSettings();
+  const timezone = settings.timezone;
+  const rangeStart = moment.tz(from, 'YYYY-MM-DD', timezone).startOf('day');
+  const rangeEnd = moment.tz(to, 'YYYY-MM-DD', timezone).endOf('day');
+  const now = moment.tz(timezone);
+
+  const [timeOffEntries, appointments] = await Promise.all([
+    TimeOff.findOverlapping(rangeStart.toDate(), rangeEnd.toDate(), { technician: technician._id }),
+    Appointment.findOverlapping(rangeStart.toDate(), rangeEnd.toDate(), { technician: technician._id }, excludeAppointment)
+  ]);
+  const toMoments = (start, end) => ({ start: moment.tz(start, timezone), end: moment.tz(end, timezone) });
+  const timeOff = timeOffEntries.map(entry => ({ ...toMoments(entry.start, entry.end), label: entry.reason || entry.type }));
+  const booked = appointments.map(appointment => toMoments(appointment.startTime, appointment.endTime));
+
+  const days = [];
+  for (const day = rangeStart.clone(); !day.isAfter(rangeEnd); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    const shifts = technician.getShiftWindows(date, settings);
+    const working = subtractBusy(shifts, timeOff);
+    const windows = subtractBusy(working, booked).filter(window => window.end.isAfter(now));
+
+    let unavailableReason = null;
+    const holiday = settings.getHoliday(date);
+    if (holiday) {
+      unavailableReason = `Shop closed: ${holiday.name}`;
+    } else if (shifts.length === 0) {
+      unavailableReason = 'Not scheduled';
+    } else if (working.length === 0) {
+      const entry = timeOff.find(range => range.start.isBefore(shifts[shifts.length - 1].end) && range.end.isAfter(shifts[0].start));
+      unavailableReason = `Time off${entry ? `: ${entry.label}` : ''}`;
+    }
+
+    days.push({
+      date,
+      unavailableReason,
+      shifts: shifts.map(toRange),
+      windows: windows.map(window => toRange({ start: moment.max(window.start, now), end: window.end })),
+      slots: windows.flatMap(window => slotsInWindow(window, duration, step, now)).map(slot => slot.toISOString())
+    });
+  }
+
+  return days;
+};
+
+/**
+ * Open booking slots for the whole shop, day by day.
+ * A start time is open when more active technicians are free for the whole
+ * appointment than there are unassigned appointments (such as pending online
+ * bookings) at that time, and, if the service needs a bay type the shop has,
+ * one of those bays is free too. Used by the public booking page, where no
+ * technician is chosen.
+ * @param {Object} options
+ * @param {String} options.from - First day, YYYY-MM-DD in shop time
+ * @param {String} options.to - Last day, YYYY-MM-DD in shop time
+ * @param {Number} options.duration - Appointment length in minutes
+ * @param {String} options.serviceType - Service, used to find the bay type it needs
+ * @param {Number} options.step - Minutes between slot start times
+ * @param {Date} options.earliest - No slots before this time
+ * @returns {Promise<Array>} [{ date, slots }]
+ */
+exports.getShopAvailability = async ({ from, to, duration, serviceType, step = 15, earliest = new Date() }) => {
+  const technicians = await Technician.find({ isActive: true });
+  const technicianDays = await Promise.all(technicians.map(technician =>
+    exports.getTechnicianAvailability(technician, { from, to, duration, step })
+  ));
+
+  // Bays of the type this service needs, each with its booked ranges
+  const timezone = await ShopSettings.getTimezone();
+  const rangeStart = moment.tz(from, 'YYYY-MM-DD', timezone).startOf('day');
+  const rangeEnd = moment.tz(to, 'YYYY-MM-DD', timezone).endOf('day');
+  const requiredBayType = await Bay.requiredTypeFor(serviceType);
+  const bays = requiredBayType ? await Bay.find({ type: requiredBayType, isActive: true }) : [];
+  const bayBookings = bays.length > 0
+    ? await Appointment.findOverlapping(rangeStart.toDate(), rangeEnd.toDate(), { bay: { $in: bays.map(bay => bay._id) } })
+    : [];
+  const bayIsFree = (bay, start, end) => !bayBookings.some(appointment =>
+    appointment.bay._id.equals(bay._id) && appointment.startTime < end && appointment.endTime > start
+  );
+
+  // Appointments with no technician yet still need one of the free technicians
+  const unassigned = await Appointment.findOverlapping(rangeStart.toDate(), rangeEnd.toDate(), { technician: null });
+  const unassignedCount = (start, end) => unassigned.filter(appointment =>
+    appointment.startTime < end && appointment.endTime > start
+  ).length;
+
+  const days = [];
+  for (const day = rangeStart.clone(); !day.isAfter(rangeEnd); day.add(1, 'day')) {
+    const date = day.format('YYYY-MM-DD');
+    // Number of technicians free at each start time
+    const freeTechnicians = new Map();
+    technicianDays.forEach(techDays => {
+      (techDays.find(entry => entry.date === date) || { slots: [] }).slots.forEach(slot => {
+        freeTechnicians.set(slot, (freeTechnicians.get(slot) || 0) + 1);
+      });
+    });
+
+    const slots = [...freeTechnicians.keys()].sort().filter(slot => {
+      const start = new Date(slot);
+      const end = new Date(start.getTime() + duration * 60 * 1000);
+      if (start < earliest) return false;
+      if (freeTechnicians.get(slot) <= unassignedCount(start, end)) return false;
+      return bays.length === 0 || bays.some(bay => bayIsFree(bay, start, end));
+    });
+
+    days.push({ date, slots });
+  }
+
+  return days;
+};
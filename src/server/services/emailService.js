@@ -1,34 +1,61 @@
-const sgMail = require('@sendgrid/mail');
-const AppError = require('../utils/appError');
+const ShopSettings = require('../models/ShopSettings');
+const notificationService = require('./notificationService');
+const templateService = require('./templateService');
 
-// Initialize SendGrid
-sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+/**
+ * Replace the email transport, e.g. with a file sink in tests
+ * @param {Object} customTransport - Object with a send(message) method
+ */
+exports.setTransport = (customTransport) => {
+  notificationService.setEmailTransport(customTransport);
+};
 
-const fromEmail = process.env.EMAIL_FROM;
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' })
+    .format(parseFloat(amount) || 0);
 
 /**
- * Send an email
+ * Send an email through the notification outbox
  * @param {Object} options - Email options
  * @param {String} options.to - Recipient email
  * @param {String} options.subject - Email subject
  * @param {String} options.text - Plain text content
  * @param {String} options.html - HTML content
- * @returns {Promise} Send result
+ * @param {Array} options.attachments - Attachments ({ filename, content: Buffer, contentType })
+ * @param {String} options.template - Kind of message for the outbox (optional)
+ * @param {Boolean} options.retry - false when the sender sees failures and can resend (optional)
+ * @returns {Promise<Object>} Send result with provider and messageId (empty while waiting for a retry)
  */
 exports.sendEmail = async (options) => {
-  const msg = {
+  const notification = await notificationService.queue({
+    channel: 'Email',
+    template: options.template,
     to: options.to,
-    from: fromEmail,
-    subject: options.subject,
-    text: options.text,
-    html: options.html || options.text
+    payload: {
+      subject: options.subject,
+      text: options.text,
+      html: options.html || options.text,
+      attachments: options.attachments || []
+    },
+    customer: options.customer,
+    workOrder: options.workOrder,
+    appointment: options.appointment,
+    sentBy: options.sentBy,
+    retry: options.retry
+  });
+
+  return {
+    provider: notification.provider,
+    messageId: notification.providerId,
+    notification
   };
-  
-  try {
-    return await sgMail.send(msg);
-  } catch (error) {
-    throw new AppError(`Failed to send email: ${error.message}`, 500);
-  }
 };
 
 /**
@@ -36,118 +63,298 @@ exports.sendEmail = async (options) => {
  * @param {Object} appointment - Appointment object
  * @param {Object} customer - Customer object
  * @param {Object} vehicle - Vehicle object
- * @returns {Promise} Send result
+ * @returns {Promise<Object|null>} Send result, or null if the confirmation email is turned off
  */
 exports.sendAppointmentConfirmation = async (appointment, customer, vehicle) => {
-  const date = new Date(appointment.startTime).toLocaleDateString();
-  const startTime = new Date(appointment.startTime).toLocaleTimeString([], { 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
-  const endTime = new Date(appointment.endTime).toLocaleTimeString([], { 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
-  
-  const subject = `Appointment Confirmation - ${date} at ${startTime}`;
-  
-  const html = `
-    <h2>Appointment Confirmation</h2>
-    <p>Hello ${customer.name},</p>
-    <p>This email confirms your appointment details:</p>
-    <ul>
-      <li><strong>Date:</strong> ${date}</li>
-      <li><strong>Time:</strong> ${startTime} - ${endTime}</li>
-      <li><strong>Vehicle:</strong> ${vehicle.year} ${vehicle.make} ${vehicle.model}</li>
-      <li><strong>Service:</strong> ${appointment.serviceType}</li>
-    </ul>
-    <p>If you need to reschedule or have any questions, please call us.</p>
-    <p>Thank you for your business!</p>
-  `;
+  const message = await templateService.renderEvent('appointment-confirmation', 'Email', { appointment, customer, vehicle });
+  if (!message) return null;
   
   return exports.sendEmail({
     to: customer.email,
-    subject,
-    html
+    template: 'appointment-confirmation',
+    customer: customer._id,
+    appointment: appointment._id,
+    subject: message.subject,
+    text: message.body,
+    html: message.html
   });
 };
 
 /**
- * Send work order invoice
- * @param {Object} workOrder - Work order object
- * @param {Object} customer - Customer object
- * @param {Object} vehicle - Vehicle object
- * @param {String} invoiceUrl - URL to the invoice PDF
- * @returns {Promise} Send result
+ * Send an invoice with its PDF attached
+ * @param {Object} invoice - Invoice with customer and vehicle populated
+ * @param {Object} options - Send options
+ * @param {String} options.to - Recipient email (defaults to the customer's email)
+ * @param {Buffer} options.pdf - Rendered invoice PDF
+ * @param {String} options.filename - Attachment file name
+ * @param {String} options.message - Optional personal message added to the email body
+ * @returns {Promise<Object>} Send result with provider and messageId
  */
-exports.sendInvoice = async (workOrder, customer, vehicle, invoiceUrl) => {
-  const subject = `Invoice for ${vehicle.year} ${vehicle.make} ${vehicle.model}`;
-  
-  // Calculate totals
-  const partsCost = workOrder.parts.reduce((total, part) => {
-    return total + (part.price * part.quantity);
-  }, 0);
+exports.sendInvoice = async (invoice, options = {}) => {
+  const { customer, vehicle } = invoice;
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'your vehicle';
+  const settings = await ShopSettings.getSettings();
+  const businessName = settings.businessName || 'our shop';
+  const amountPaid = (invoice.payments || []).reduce((total, payment) => total + payment.amount, 0);
+  const amountDue = invoice.total - amountPaid;
+  const dueDate = invoice.dueDate ? new Date(invoice.dueDate).toLocaleDateString('en-US', { timeZone: settings.timezone }) : null;
   
-  const laborCost = workOrder.labor.reduce((total, labor) => {
-    return total + (labor.hours * labor.rate);
-  }, 0);
+  const subject = `Invoice ${invoice.invoiceNumber} for ${vehicleLabel}`;
   
   const html = `
-    <h2>Invoice</h2>
-    <p>Hello ${customer.name},</p>
-    <p>Here is your invoice for the recent service on your ${vehicle.year} ${vehicle.make} ${vehicle.model}:</p>
-    <h3>Service Details</h3>
-    <p><strong>Service Performed:</strong> ${workOrder.serviceRequested}</p>
+    <h2>Invoice ${escapeHtml(invoice.invoiceNumber)}</h2>
+    <p>Hello ${escapeHtml(customer?.name || 'there')},</p>
+    <p>Thank you for choosing ${escapeHtml(businessName)}. Your invoice for the recent service on your ${escapeHtml(vehicleLabel)} is attached.</p>
+    ${options.message ? `<p>${escapeHtml(options.message)}</p>` : ''}
     <h3>Summary</h3>
     <ul>
-      <li><strong>Parts:</strong> $${partsCost.toFixed(2)}</li>
-      <li><strong>Labor:</strong> $${laborCost.toFixed(2)}</li>
-      <li><strong>Total:</strong> $${workOrder.totalActual.toFixed(2)}</li>
+      <li><strong>Invoice #:</strong> ${escapeHtml(invoice.invoiceNumber)}</li>
+      <li><strong>Total:</strong> ${formatCurrency(invoice.total)}</li>
+      ${amountPaid > 0 ? `<li><strong>Paid:</strong> ${formatCurrency(amountPaid)}</li>` : ''}
+      <li><strong>Amount Due:</strong> ${formatCurrency(amountDue)}</li>
+      ${dueDate ? `<li><strong>Due Date:</strong> ${dueDate}</li>` : ''}
+      <li><strong>Payment Terms:</strong> ${escapeHtml(invoice.paymentTerms)}</li>
     </ul>
-    <p>For a detailed breakdown, please see the attached invoice or visit our customer portal.</p>
+    <p>If you have any questions about this invoice, please reply to this email or give us a call.</p>
     <p>Thank you for your business!</p>
   `;
   
+  const text = [
+    `Hello ${customer?.name || 'there'},`,
+    '',
+    `Thank you for choosing ${businessName}. Your invoice for the recent service on your ${vehicleLabel} is attached.`,
+    options.message ? `\n${options.message}` : null,
+    '',
+    `Invoice #: ${invoice.invoiceNumber}`,
+    `Total: ${formatCurrency(invoice.total)}`,
+    `Amount Due: ${formatCurrency(amountDue)}`,
+    dueDate ? `Due Date: ${dueDate}` : null,
+    '',
+    'Thank you for your business!'
+  ].filter(line => line !== null).join('\n');
+  
   return exports.sendEmail({
-    to: customer.email,
+    to: options.to || customer?.email,
+    template: 'invoice',
+    customer: customer?._id,
+    workOrder: invoice.workOrder?._id || invoice.workOrder,
+    retry: false, // Staff see the error and can send again
     subject,
+    text,
     html,
     attachments: [
       {
-        content: invoiceUrl,
-        filename: `Invoice_${workOrder._id}.pdf`,
-        type: 'application/pdf',
-        disposition: 'attachment'
+        content: options.pdf,
+        filename: options.filename || `Invoice_${invoice.invoiceNumber}.pdf`,
+        contentType: 'application/pdf'
       }
     ]
   });
 };
 
+/**
+ * Send an estimate approval request email
+ * @param {Object} estimate - Estimate with populated customer and vehicle
+ * @param {String} approvalUrl - Public approval page URL
+ * @param {Object} options - Send options
+ * @param {String} options.to - Recipient email (defaults to the customer's email)
+ * @returns {Promise<Object>} Send result
+ */
+exports.sendEstimate = async (estimate, approvalUrl, options = {}) => {
+  const { customer, vehicle } = estimate;
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'your vehicle';
+  const settings = await ShopSettings.getSettings();
+  const businessName = settings.businessName || 'our shop';
+  const expires = new Date(estimate.expiresAt).toLocaleDateString('en-US', { timeZone: settings.timezone });
+
+  const subject = `Estimate ${estimate.estimateNumber} for ${vehicleLabel}`;
+
+  const html = `
+    <h2>Estimate ${escapeHtml(estimate.estimateNumber)}</h2>
+    <p>Hello ${escapeHtml(customer?.name || 'there')},</p>
+    <p>${escapeHtml(businessName)} has prepared an estimate for your ${escapeHtml(vehicleLabel)}.</p>
+    ${estimate.message ? `<p>${escapeHtml(estimate.message)}</p>` : ''}
+    <p><strong>Estimate total:</strong> ${formatCurrency(estimate.totals.total)}</p>
+    <p>You can review each item and approve or decline it here:</p>
+    <p><a href="${approvalUrl}">Review and approve your estimate</a></p>
+    <p>This link expires on ${expires}. Please reply to this email or give us a call with any questions.</p>
+  `;
+
+  const text = [
+    `Hello ${customer?.name || 'there'},`,
+    '',
+    `${businessName} has prepared an estimate for your ${vehicleLabel}.`,
+    estimate.message ? `\n${estimate.message}` : null,
+    '',
+    `Estimate total: ${formatCurrency(estimate.totals.total)}`,
+    '',
+    `Review each item and approve or decline it here: ${approvalUrl}`,
+    `This link expires on ${expires}.`
+  ].filter(line => line !== null).join('\n');
+
+  return exports.sendEmail({
+    to: options.to || customer?.email,
+    template: 'estimate',
+    customer: customer?._id,
+    workOrder: estimate.workOrder?._id || estimate.workOrder,
+    retry: false, // Staff see the error and can send again
+    subject,
+    text,
+    html
+  });
+};
+
+/**
+ * Send appointment reminder email
+ * @param {Object} appointment - Appointment object
+ * @param {Object} customer - Customer object
+ * @param {Object} vehicle - Vehicle object (optional)
+ * @returns {Promise<Object|null>} Send result, or null if the reminder email is turned off
+ */
+exports.sendAppointmentReminder = async (appointment, customer, vehicle) => {
+  const message = await templateService.renderEvent('appointment-reminder', 'Email', { appointment, customer, vehicle });
+  if (!message) return null;
+
+  return exports.sendEmail({
+    to: customer.email,
+    template: 'appointment-reminder',
+    customer: customer._id,
+    appointment: appointment._id,
+    subject: message.subject,
+    text: message.body,
+    html: message.html
+  });
+};
+
+/**
+ * Send post-visit follow-up email
+ * @param {Object} appointment - Completed appointment
+ * @param {Object} customer - Customer object
+ * @param {Object} vehicle - Vehicle object (optional)
+ * @returns {Promise<Object|null>} Send result, or null if the follow-up email is turned off
+ */
+exports.sendFollowUp = async (appointment, customer, vehicle) => {
+  const message = await templateService.renderEvent('appointment-follow-up', 'Email', { appointment, customer, vehicle });
+  if (!message) return null;
+
+  return exports.sendEmail({
+    to: customer.email,
+    template: 'appointment-follow-up',
+    customer: customer._id,
+    appointment: appointment._id,
+    subject: message.subject,
+    text: message.body,
+    html: message.html
+  });
+};
+
+/**
+ * Send a work order status update email, if the new status has an active template
+ * @param {Object} workOrder - Work order object (status is the new status)
+ * @param {Object} customer - Customer object
+ * @param {Object} vehicle - Vehicle object (optional)
+ * @param {Object} options - Extra details for the email
+ * @param {Array} options.notes - Customer-facing work order notes, newest first
+ * @param {String} options.statusUrl - Link to the customer's work order status page
+ * @returns {Promise<Object|null>} Send result, or null if this status is not emailed
+ */
+exports.sendStatusUpdate = async (workOrder, customer, vehicle, options = {}) => {
+  const message = await templateService.renderEvent('status-update', 'Email', { workOrder, customer, vehicle, statusUrl: options.statusUrl });
+  if (!message) return null;
+
+  const settings = await ShopSettings.getSettings();
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : null;
+  const notes = (options.notes || []).map(note => ({
+    date: new Date(note.createdAt).toLocaleDateString('en-US', { timeZone: settings.timezone }),
+    content: note.content
+  }));
+
+  const html = `
+    ${message.html}
+    <ul>
+      ${vehicleLabel ? `<li><strong>Vehicle:</strong> ${escapeHtml(vehicleLabel)}</li>` : ''}
+      <li><strong>Status:</strong> ${escapeHtml(workOrder.status)}</li>
+    </ul>
+    ${notes.length ? `
+    <h3>Notes from ${escapeHtml(settings.businessName || 'the shop')}</h3>
+    <ul>
+      ${notes.map(note => `<li><strong>${note.date}:</strong> ${escapeHtml(note.content)}</li>`).join('\n      ')}
+    </ul>` : ''}
+    ${options.statusUrl ? `<p><a href="${options.statusUrl}">View the status of your work order</a></p>` : ''}
+  `;
+
+  const text = [
+    message.body,
+    '',
+    vehicleLabel ? `Vehicle: ${vehicleLabel}` : null,
+    `Status: ${workOrder.status}`,
+    notes.length ? '' : null,
+    notes.length ? 'Notes:' : null,
+    ...notes.map(note => `${note.date}: ${note.content}`),
+    options.statusUrl ? `\nView the status of your work order: ${options.statusUrl}` : null
+  ].filter(line => line !== null).join('\n');
+
+  return exports.sendEmail({
+    to: customer.email,
+    template: 'status-update',
+    customer: customer._id,
+    workOrder: workOrder._id,
+    subject: message.subject,
+    text,
+    html
+  });
+};
+
 /**
  * Send media sharing email
  * @param {Object} media - Media object
- * @param {Object} customer - Customer object
- * @param {Object} vehicle - Vehicle object
- * @param {String} sharingLink - Temporary sharing link
- * @returns {Promise} Send result
+ * @param {Object} customer - Customer object (optional)
+ * @param {Object} vehicle - Vehicle object (optional)
+ * @param {Object} sharingLink - { url, expiresAt } from media.generateSharingLink
+ * @param {Object} options - Send options
+ * @param {String} options.to - Recipient email (defaults to the customer's email)
+ * @returns {Promise<Object>} Send result
  */
-exports.shareMedia = async (media, customer, vehicle, sharingLink) => {
-  const subject = `Media Shared - ${vehicle.year} ${vehicle.make} ${vehicle.model}`;
-  
+exports.shareMedia = async (media, customer, vehicle, sharingLink, options = {}) => {
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'vehicle';
+  const settings = await ShopSettings.getSettings();
+  const expires = new Date(sharingLink.expiresAt).toLocaleString('en-US', {
+    timeZone: settings.timezone,
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  });
+
+  const subject = `Media Shared - ${vehicleLabel}`;
+
   const html = `
     <h2>Media Shared</h2>
-    <p>Hello ${customer.name},</p>
-    <p>We've shared some media related to your ${vehicle.year} ${vehicle.make} ${vehicle.model}.</p>
-    <p><strong>Description:</strong> ${media.type} - ${media.notes || 'No additional notes'}</p>
+    <p>Hello ${escapeHtml(customer?.name || 'there')},</p>
+    <p>We've shared some media related to your ${escapeHtml(vehicleLabel)}.</p>
+    <p><strong>Description:</strong> ${escapeHtml(media.type)} - ${escapeHtml(media.notes || 'No additional notes')}</p>
     <p>You can view this media by clicking the link below:</p>
     <p><a href="${sharingLink.url}">View Media</a></p>
-    <p><strong>Note:</strong> This link will expire in 24 hours.</p>
+    <p><strong>Note:</strong> This link expires on ${expires}.</p>
     <p>If you have any questions, please don't hesitate to contact us.</p>
   `;
-  
+
+  const text = [
+    `Hello ${customer?.name || 'there'},`,
+    '',
+    `We've shared some media related to your ${vehicleLabel}.`,
+    `Description: ${media.type} - ${media.notes || 'No additional notes'}`,
+    '',
+    `View it here: ${sharingLink.url}`,
+    `This link expires on ${expires}.`
+  ].join('\n');
+
   return exports.sendEmail({
-    to: customer.email,
+    to: options.to || customer?.email,
+    template: 'media-share',
+    customer: customer?._id,
+    workOrder: media.workOrder?._id || media.workOrder,
+    retry: false, // Staff see the error and can send again
     subject,
+    text,
     html
   });
 };
@@ -0,0 +1,152 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Email transports
+ * Each transport exposes send(message) and resolves to { provider, messageId }.
+ * A message has: to, from, subject, text, html and optional attachments
+ * ({ filename, content: Buffer, contentType }).
+ *
+ * Select a transport with EMAIL_TRANSPORT:
+ *   sendgrid - SendGrid API (SENDGRID_API_KEY)
+ *   smtp     - Any SMTP server, e.g. a local MailHog/Mailpit (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+ *   file     - Writes each message to EMAIL_FILE_DIR as JSON for development and tests
+ *   console  - Prints each message's recipient and subject to the server log
+ */
+
+const sendgridTransport = () => {
+  const sgMail = require('@sendgrid/mail');
+  sgMail.setApiKey(process.env.SENDGRID_API_KEY);
+
+  return {
+    name: 'sendgrid',
+    send: async (message) => {
+      const [response] = await sgMail.send({
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: (message.attachments || []).map(attachment => ({
+          content: Buffer.from(attachment.content).toString('base64'),
+          filename: attachment.filename,
+          type: attachment.contentType,
+          disposition: 'attachment'
+        }))
+      });
+
+      return {
+        provider: 'sendgrid',
+        messageId: response?.headers?.['x-message-id'] || null
+      };
+    }
+  };
+};
+
+const smtpTransport = () => {
+  const nodemailer = require('nodemailer');
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST || 'localhost',
+    port: parseInt(process.env.SMTP_PORT, 10) || 1025,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined
+  });
+
+  return {
+    name: 'smtp',
+    send: async (message) => {
+      const info = await transporter.sendMail({
+        to: message.to,
+        from: message.from,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+        attachments: (message.attachments || []).map(attachment => ({
+          filename: attachment.filename,
+          content: attachment.content,
+          contentType: attachment.contentType
+        }))
+      });
+
+      return {
+        provider: 'smtp',
+        messageId: info.messageId
+      };
+    }
+  };
+};
+
+const fileTransport = () => {
+  const directory = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/emails');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${uuidv4()}`;
+      await fs.mkdir(directory, { recursive: true });
+
+      // Attachments are written next to the message so they can be opened directly
+      const attachments = await Promise.all((message.attachments || []).map(async (attachment) => {
+        const fileName = `${messageId}-${attachment.filename}`;
+        await fs.writeFile(path.join(directory, fileName), attachment.content);
+        return {
+          filename: attachment.filename,
+          contentType: attachment.contentType,
+          size: attachment.content.length,
+          path: fileName
+        };
+      }));
+
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify({ ...message, attachments, messageId, sentAt: new Date() }, null, 2)
+      );
+
+      return {
+        provider: 'file',
+        messageId
+      };
+    }
+  };
+};
+
+const consoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    const messageId = `${Date.now()}-${uuidv4()}`;
+    const attachments = (message.attachments || []).map(attachment => attachment.filename);
+    console.log(`[email] to ${message.to}: ${message.subject}${attachments.length ? ` [attachments: ${attachments.join(', ')}]` : ''}`);
+
+    return {
+      provider: 'console',
+      messageId
+    };
+  }
+});
+
+const transports = {
+  sendgrid: sendgridTransport,
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport
+};
+
+/**
+ * Create the configured email transport
+ * Defaults to SendGrid when an API key is configured, otherwise the file sink.
+ * @param {String} name - Transport name (defaults to EMAIL_TRANSPORT)
+ * @returns {Object} Transport with a send(message) method
+ */
+exports.createTransport = (name = process.env.EMAIL_TRANSPORT) => {
+  const transportName = name || (process.env.SENDGRID_API_KEY ? 'sendgrid' : 'file');
+  const factory = transports[transportName];
+
+  if (!factory) {
+    throw new Error(`Unknown email transport "${transportName}". Use one of: ${Object.keys(transports).join(', ')}`);
+  }
+
+  return factory();
+};
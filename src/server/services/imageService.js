@@ -0,0 +1,159 @@
+const sharp = require('sharp');
+
+// Photos are rotated upright and stripped of EXIF (including GPS location)
+// before they are stored. Each also gets smaller JPEG copies for the app and
+// for customers: a thumbnail for lists and a web-sized version for viewing.
+
+const VARIANTS = {
+  thumbnail: { size: 320, quality: 70 },
+  web: { size: 1600, quality: 80 }
+};
+
+// Formats sharp can read and write without extra codecs. Others (GIF, HEIC, PDF...) are stored as uploaded.
+const PROCESSABLE_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/tiff'];
+
+/**
+ * Whether uploads of this type are processed
+ * @param {String} mimeType - File MIME type
+ * @returns {Boolean} True for supported image types
+ */
+exports.isProcessable = (mimeType) => PROCESSABLE_TYPES.includes(mimeType);
+
+// Re-encode in the upload's own format so the original keeps its quality
+const encodeOriginal = (image, mimeType) => {
+  switch (mimeType) {
+    case 'image/png':
+      return image.png();
+    case 'image/webp':
+      return image.webp({ quality: 90 });
+    case 'image/tiff':
+      return image.tiff();
+    default:
+      return image.jpeg({ quality: 90, mozjpeg: true });
+  }
+};
+
+/**
+ * Prepare an uploaded image for storage
+ * @param {Buffer} buffer - Uploaded file data
+ * @param {String} mimeType - File MIME type (see isProcessable)
+ * @returns {Promise<Object>} { original, variants } where original is { buffer, width, height }
+ *   and variants maps thumbnail/web to { buffer, mimeType, width, height }
+ */
+exports.processImage = async (buffer, mimeType) => {
+  // rotate() with no angle applies the EXIF orientation; sharp drops the
+  // remaining metadata on output, and the color profile is kept
+  const upright = sharp(buffer).rotate().keepIccProfile();
+
+  const original = await encodeOriginal(upright.clone(), mimeType).toBuffer({ resolveWithObject: true });
+
+  const variants = {};
+  for (const [name, { size, quality }] of Object.entries(VARIANTS)) {
+    const { data, info } = await upright
+      .clone()
+      .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+      .flatten({ background: '#ffffff' }) // JPEG has no transparency
+      .jpeg({ quality, mozjpeg: true })
+      .toBuffer({ resolveWithObject: true });
+
+    variants[name] = { buffer: data, mimeType: 'image/jpeg', width: info.width, height: info.height };
+  }
+
+  return {
+    original: { buffer: original.data, width: original.info.width, height: original.info.height },
+    variants
+  };
+};
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+// Line width and text size scale with the image so annotations look the same at any size.
+// The annotation editor in the client uses the same proportions.
+const annotationScale = (width) => ({
+  stroke: Math.max(3, Math.round(width * 0.006)),
+  fontSize: Math.max(14, Math.round(width * 0.035))
+});
+
+// Arrows, circles and text as one SVG the size of the image
+const annotationSvg = (shapes, width, height) => {
+  const { stroke, fontSize } = annotationScale(width);
+  const px = (value, size) => Math.round(value * size);
+
+  const elements = shapes.map(shape => {
+    const color = escapeXml(shape.color || '#ff0000');
+    if (shape.type === 'arrow') {
+      const x1 = px(shape.x, width);
+      const y1 = px(shape.y, height);
+      const x2 = px(shape.x2, width);
+      const y2 = px(shape.y2, height);
+      const angle = Math.atan2(y2 - y1, x2 - x1);
+      const head = stroke * 5;
+      const wing = (offset) => `${Math.round(x2 - head * Math.cos(angle + offset))},${Math.round(y2 - head * Math.sin(angle + offset))}`;
+      return `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${color}" stroke-width="${stroke}" stroke-linecap="round"/>` +
+        `<polygon points="${x2},${y2} ${wing(0.45)} ${wing(-0.45)}" fill="${color}"/>`;
+    }
+    if (shape.type === 'circle') {
+      const rx = px(shape.width, width) / 2;
+      const ry = px(shape.height, height) / 2;
+      return `<ellipse cx="${px(shape.x, width) + rx}" cy="${px(shape.y, height) + ry}" rx="${rx}" ry="${ry}" fill="none" stroke="${color}" stroke-width="${stroke}"/>`;
+    }
+    if (shape.type === 'text') {
+      // Dark outline keeps light text readable on any background
+      return `<text x="${px(shape.x, width)}" y="${px(shape.y, height)}" font-family="sans-serif" font-weight="bold" font-size="${fontSize}" ` +
+        `fill="${color}" stroke="#000000" stroke-width="${Math.max(1, Math.round(fontSize / 12))}" paint-order="stroke">${escapeXml(shape.text)}</text>`;
+    }
+    return '';
+  });
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">${elements.join('')}</svg>`);
+};
+
+/**
+ * Draw annotations onto an image. Blurred areas are applied first, then
+ * arrows, circles and text on top.
+ * @param {Buffer} buffer - The stored original image
+ * @param {Array} shapes - Annotation shapes with coordinates from 0 to 1 (see models/Media.js)
+ * @returns {Promise<Object>} Map of thumbnail/web to { buffer, mimeType, width, height }
+ */
+exports.renderAnnotations = async (buffer, shapes) => {
+  const { size, quality } = VARIANTS.web;
+  const { data: base, info } = await sharp(buffer)
+    .rotate()
+    .resize(size, size, { fit: 'inside', withoutEnlargement: true })
+    .flatten({ background: '#ffffff' })
+    .toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+
+  const layers = [];
+  for (const shape of shapes.filter(entry => entry.type === 'blur')) {
+    const left = Math.min(width - 1, Math.round(shape.x * width));
+    const top = Math.min(height - 1, Math.round(shape.y * height));
+    const region = {
+      left,
+      top,
+      width: Math.max(1, Math.min(width - left, Math.round(shape.width * width))),
+      height: Math.max(1, Math.min(height - top, Math.round(shape.height * height)))
+    };
+    const blurred = await sharp(base).extract(region).blur(Math.max(8, Math.round(width * 0.015))).toBuffer();
+    layers.push({ input: blurred, left: region.left, top: region.top });
+  }
+  layers.push({ input: annotationSvg(shapes, width, height), left: 0, top: 0 });
+
+  const annotated = await sharp(base).composite(layers).jpeg({ quality, mozjpeg: true }).toBuffer();
+  const thumbnail = await sharp(annotated)
+    .resize(VARIANTS.thumbnail.size, VARIANTS.thumbnail.size, { fit: 'inside' })
+    .jpeg({ quality: VARIANTS.thumbnail.quality, mozjpeg: true })
+    .toBuffer({ resolveWithObject: true });
+
+  return {
+    web: { buffer: annotated, mimeType: 'image/jpeg', width, height },
+    thumbnail: { buffer: thumbnail.data, mimeType: 'image/jpeg', width: thumbnail.info.width, height: thumbnail.info.height }
+  };
+};
+
+exports.VARIANT_NAMES = Object.keys(VARIANTS);
@@ -0,0 +1,47 @@
+const Part = require('../models/Part');
+
+/**
+ * Total quantity per catalog part for a list of work order parts.
+ * Custom parts (no catalog link) are ignored.
+ */
+const quantitiesByCatalogPart = (parts = []) => {
+  return parts.reduce((totals, part) => {
+    if (!part.part) return totals;
+    const partId = (part.part._id || part.part).toString();
+    totals[partId] = (totals[partId] || 0) + (Number(part.quantity) || 0);
+    return totals;
+  }, {});
+};
+
+/**
+ * Update stock on hand after a work order's parts change.
+ * Catalog parts added to the work order (or with a higher quantity) are taken
+ * out of stock as "Used"; parts removed or reduced go back on the shelf as "Returned".
+ * @param {Array} previousParts - Work order parts before the change
+ * @param {Array} nextParts - Work order parts after the change
+ * @param {Object} options - Movement details
+ * @param {String} options.workOrder - Work order ID
+ * @param {Object} options.user - User making the change
+ * @returns {Promise<Array>} Updated catalog parts
+ */
+exports.syncWorkOrderParts = async (previousParts, nextParts, { workOrder, user } = {}) => {
+  const before = quantitiesByCatalogPart(previousParts);
+  const after = quantitiesByCatalogPart(nextParts);
+  const partIds = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const updatedParts = [];
+
+  for (const partId of partIds) {
+    const used = (after[partId] || 0) - (before[partId] || 0);
+    if (used === 0) continue;
+
+    const updated = await Part.adjustStock(partId, -used, {
+      type: used > 0 ? 'Used' : 'Returned',
+      reason: used > 0 ? 'Used on work order' : 'Removed from work order',
+      workOrder,
+      user
+    });
+    if (updated) updatedParts.push(updated);
+  }
+
+  return updatedParts;
+};
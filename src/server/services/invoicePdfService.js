@@ -0,0 +1,416 @@
+const { jsPDF } = require('jspdf');
+const moment = require('moment-timezone');
+const WorkOrderNote = require('../models/WorkOrderNote');
+const ShopSettings = require('../models/ShopSettings');
+
+// Page geometry in points (US Letter)
+const PAGE = {
+  width: 612,
+  height: 792,
+  margin: 40
+};
+const CONTENT_WIDTH = PAGE.width - PAGE.margin * 2;
+const LINE_HEIGHT = 13;
+const GRAY_TEXT = [75, 85, 99];
+const BORDER = [209, 213, 219];
+const HEADER_FILL = [243, 244, 246];
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' })
+    .format(parseFloat(amount) || 0);
+
+const formatDate = (date, timezone, format = 'MM/DD/YYYY') =>
+  (date ? moment(date).tz(timezone).format(format) : 'N/A');
+
+/**
+ * Split invoice line items into the parts and labor rows shown on the invoice.
+ * Falls back to legacy parts/labor arrays for invoices created before line items.
+ */
+const getLineItems = (invoice) => {
+  const items = invoice.items || [];
+
+  if (items.length > 0) {
+    return {
+      parts: items.filter(item => item.type === 'Part').map(item => ({
+        name: item.description,
+        partNumber: item.partNumber || '',
+        quantity: item.quantity,
+        price: item.unitPrice,
+        total: item.total
+      })),
+      labor: items.filter(item => item.type === 'Labor').map(item => ({
+        description: item.description,
+        hours: item.quantity,
+        rate: item.unitPrice,
+        total: item.total
+      }))
+    };
+  }
+
+  return {
+    parts: invoice.parts || [],
+    labor: invoice.labor || []
+  };
+};
+
+/**
+ * Small layout helper that tracks the cursor and starts a new page when needed
+ */
+class InvoiceLayout {
+  constructor(business) {
+    this.doc = new jsPDF({ unit: 'pt', format: 'letter' });
+    this.business = business;
+    this.timezone = business.timezone || 'America/New_York';
+    this.y = PAGE.margin;
+  }
+
+  ensureSpace(height) {
+    if (this.y + height > PAGE.height - PAGE.margin - 30) {
+      this.doc.addPage();
+      this.y = PAGE.margin;
+    }
+  }
+
+  setFont(size, style = 'normal', color = [17, 24, 39]) {
+    this.doc.setFont('helvetica', style);
+    this.doc.setFontSize(size);
+    this.doc.setTextColor(...color);
+  }
+
+  sectionTitle(title) {
+    this.ensureSpace(LINE_HEIGHT * 3);
+    this.setFont(11, 'bold', GRAY_TEXT);
+    this.doc.text(title, PAGE.margin, this.y);
+    this.y += 6;
+  }
+
+  /**
+   * Draw a block of text, wrapping the content to the box width
+   */
+  textBlock(text, { fill } = {}) {
+    this.setFont(9);
+    const lines = this.doc.splitTextToSize(String(text), CONTENT_WIDTH - 16);
+    lines.forEach(line => {
+      // Long notes continue onto the next page
+      this.ensureSpace(LINE_HEIGHT);
+      if (fill) {
+        this.doc.setFillColor(...fill);
+        this.doc.rect(PAGE.margin, this.y, CONTENT_WIDTH, LINE_HEIGHT, 'F');
+      }
+      this.doc.text(line, PAGE.margin + 8, this.y + 10);
+      this.y += LINE_HEIGHT;
+    });
+    this.doc.setDrawColor(...BORDER);
+    this.doc.line(PAGE.margin, this.y + 4, PAGE.margin + CONTENT_WIDTH, this.y + 4);
+    this.y += 18;
+  }
+
+  /**
+   * Draw a bordered table. Columns: { header, width, align, value(row) }
+   */
+  table(columns, rows) {
+    const rowHeight = 18;
+    const drawHeader = () => {
+      let x = PAGE.margin;
+      this.doc.setFillColor(...HEADER_FILL);
+      this.doc.setDrawColor(...BORDER);
+      this.setFont(9, 'bold');
+      columns.forEach(column => {
+        this.doc.rect(x, this.y, column.width, rowHeight, 'FD');
+        this.cellText(column.header, x, column);
+        x += column.width;
+      });
+      this.y += rowHeight;
+    };
+
+    this.ensureSpace(rowHeight * 2);
+    drawHeader();
+
+    rows.forEach(row => {
+      const cells = columns.map(column =>
+        this.doc.splitTextToSize(String(column.value(row) ?? ''), column.width - 8)
+      );
+      const height = Math.max(rowHeight, Math.max(...cells.map(c => c.length)) * 11 + 7);
+
+      if (this.y + height > PAGE.height - PAGE.margin - 30) {
+        this.doc.addPage();
+        this.y = PAGE.margin;
+        drawHeader();
+      }
+
+      let x = PAGE.margin;
+      this.setFont(9);
+      this.doc.setDrawColor(...BORDER);
+      columns.forEach((column, index) => {
+        this.doc.rect(x, this.y, column.width, height);
+        this.cellText(cells[index], x, column);
+        x += column.width;
+      });
+      this.y += height;
+    });
+
+    this.y += 16;
+  }
+
+  cellText(text, x, column) {
+    if (column.align === 'right') {
+      this.doc.text(text, x + column.width - 4, this.y + 12, { align: 'right' });
+    } else {
+      this.doc.text(text, x + 4, this.y + 12);
+    }
+  }
+
+  footer() {
+    const { businessName, businessPhone, businessWebsite } = this.business;
+    const pageCount = this.doc.getNumberOfPages();
+
+    for (let page = 1; page <= pageCount; page++) {
+      this.doc.setPage(page);
+      const footerY = PAGE.height - PAGE.margin;
+      this.doc.setDrawColor(...BORDER);
+      this.doc.line(PAGE.margin, footerY - 22, PAGE.width - PAGE.margin, footerY - 22);
+      this.setFont(8, 'normal', GRAY_TEXT);
+      this.doc.text('Thank you for your business!', PAGE.width / 2, footerY - 10, { align: 'center' });
+      this.doc.text(
+        [businessName, businessPhone, businessWebsite].filter(Boolean).join(' | '),
+        PAGE.width / 2,
+        footerY,
+        { align: 'center' }
+      );
+      if (pageCount > 1) {
+        this.doc.text(`Page ${page} of ${pageCount}`, PAGE.width - PAGE.margin, footerY, { align: 'right' });
+      }
+    }
+  }
+}
+
+const drawHeader = (layout, invoice) => {
+  const { doc, business } = layout;
+  const top = layout.y;
+
+  layout.setFont(16, 'bold');
+  doc.text(business.businessName, PAGE.margin, top + 12);
+
+  layout.setFont(9);
+  const businessLines = [
+    business.businessAddressLine1,
+    business.businessAddressLine2,
+    business.businessPhone,
+    business.businessEmail,
+    business.businessWebsite
+  ].filter(Boolean);
+  businessLines.forEach((line, index) => {
+    doc.text(line, PAGE.margin, top + 30 + index * 12);
+  });
+
+  const right = PAGE.width - PAGE.margin;
+  layout.setFont(24, 'bold', [31, 41, 55]);
+  doc.text('INVOICE', right, top + 18, { align: 'right' });
+  layout.setFont(10);
+  doc.text(`Invoice #: ${invoice.invoiceNumber}`, right, top + 36, { align: 'right' });
+  doc.text(`Date: ${formatDate(invoice.invoiceDate, layout.timezone)}`, right, top + 50, { align: 'right' });
+  if (invoice.dueDate) {
+    doc.text(`Due: ${formatDate(invoice.dueDate, layout.timezone)}`, right, top + 64, { align: 'right' });
+  }
+
+  layout.y = top + 30 + businessLines.length * 12 + 12;
+};
+
+const drawCustomerAndVehicle = (layout, invoice) => {
+  const { doc } = layout;
+  const { customer, vehicle, workOrder } = invoice;
+  const boxWidth = (CONTENT_WIDTH - 12) / 2;
+  const address = customer?.address;
+
+  const customerLines = [
+    { text: customer?.name || 'N/A', bold: true },
+    address?.street && { text: address.street },
+    address?.city && address?.state && address?.zip && { text: `${address.city}, ${address.state} ${address.zip}` },
+    { text: customer?.phone || 'N/A' },
+    customer?.email && { text: customer.email }
+  ].filter(Boolean);
+
+  const vehicleLines = [
+    { text: `Vehicle: ${vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'N/A'}` },
+    { text: `VIN: ${vehicle?.vin || 'N/A'}` },
+    { text: `License: ${vehicle?.licensePlate || 'N/A'}` },
+    workOrder?.vehicleMileage && { text: `Mileage: ${workOrder.vehicleMileage}` }
+  ].filter(Boolean);
+
+  const boxHeight = Math.max(customerLines.length, vehicleLines.length) * 12 + 34;
+  const drawBox = (x, title, lines) => {
+    doc.setDrawColor(...BORDER);
+    doc.roundedRect(x, layout.y, boxWidth, boxHeight, 4, 4);
+    layout.setFont(10, 'bold', GRAY_TEXT);
+    doc.text(title, x + 8, layout.y + 16);
+    lines.forEach((line, index) => {
+      layout.setFont(9, line.bold ? 'bold' : 'normal');
+      doc.text(doc.splitTextToSize(line.text, boxWidth - 16)[0], x + 8, layout.y + 32 + index * 12);
+    });
+  };
+
+  drawBox(PAGE.margin, 'Customer Information:', customerLines);
+  drawBox(PAGE.margin + boxWidth + 12, 'Vehicle Information:', vehicleLines);
+  layout.y += boxHeight + 20;
+};
+
+const drawTotals = (layout, invoice, parts, labor) => {
+  const { doc } = layout;
+  const calculatedSubtotal = [...parts, ...labor]
+    .reduce((sum, item) => sum + (parseFloat(item.total) || 0), 0);
+  const taxRate = invoice.taxRate || 0;
+  const subtotal = invoice.subtotal !== undefined ? invoice.subtotal : calculatedSubtotal;
+  const taxAmount = invoice.taxAmount !== undefined ? invoice.taxAmount : subtotal * (taxRate / 100);
+  const total = invoice.total !== undefined ? invoice.total : subtotal + taxAmount;
+  const payments = invoice.payments || [];
+  const amountPaid = payments.reduce((sum, payment) => sum + (payment.amount || 0), 0);
+
+  const rows = [
+    ['Subtotal:', formatCurrency(subtotal)],
+    [`Tax (${taxRate}%):`, formatCurrency(taxAmount)]
+  ];
+
+  layout.ensureSpace(rows.length * 16 + 60 + payments.length * 14);
+
+  const left = PAGE.width - PAGE.margin - 200;
+  const right = PAGE.width - PAGE.margin;
+
+  layout.setFont(10);
+  rows.forEach(([label, value]) => {
+    doc.text(label, left, layout.y + 10);
+    doc.text(value, right, layout.y + 10, { align: 'right' });
+    layout.y += 16;
+  });
+
+  doc.setDrawColor(55, 65, 81);
+  doc.setLineWidth(1.5);
+  doc.line(left, layout.y, right, layout.y);
+  layout.setFont(13, 'bold');
+  doc.text('TOTAL:', left, layout.y + 15);
+  doc.text(formatCurrency(total), right, layout.y + 15, { align: 'right' });
+  layout.y += 21;
+  doc.line(left, layout.y, right, layout.y);
+  doc.setLineWidth(0.5);
+  layout.y += 6;
+
+  if (payments.length > 0) {
+    layout.setFont(9, 'normal', GRAY_TEXT);
+    payments.forEach(payment => {
+      const label = `Payment ${formatDate(payment.date, layout.timezone)} (${payment.method || 'Other'}):`;
+      doc.text(label, left, layout.y + 10);
+      doc.text(`-${formatCurrency(payment.amount)}`, right, layout.y + 10, { align: 'right' });
+      layout.y += 14;
+    });
+    layout.setFont(11, 'bold');
+    doc.text('Amount Due:', left, layout.y + 12);
+    doc.text(formatCurrency(total - amountPaid), right, layout.y + 12, { align: 'right' });
+    layout.y += 18;
+  }
+
+  layout.y += 16;
+};
+
+/**
+ * Render an invoice as a PDF document
+ * Layout follows the on-screen InvoiceDisplay component: business header,
+ * customer/vehicle blocks, parts and labor tables, totals, notes, terms and footer.
+ * @param {Object} invoice - Invoice document with customer, vehicle and workOrder populated
+ * @param {Object} options - Rendering options
+ * @param {Array} options.customerFacingNotes - Work order notes to print (fetched when omitted)
+ * @param {Object} options.business - Business details and timezone (defaults to the shop settings)
+ * @returns {Promise<Buffer>} PDF file contents
+ */
+exports.generateInvoicePdf = async (invoice, options = {}) => {
+  const business = options.business || await ShopSettings.getSettings();
+  let customerFacingNotes = options.customerFacingNotes;
+
+  const workOrderId = invoice.workOrder?._id || invoice.workOrder;
+  if (!customerFacingNotes && workOrderId) {
+    customerFacingNotes = await WorkOrderNote.find({
+      workOrder: workOrderId,
+      isCustomerFacing: true
+    }).sort({ createdAt: -1 });
+  }
+
+  const layout = new InvoiceLayout(business);
+  layout.doc.setProperties({
+    title: `Invoice ${invoice.invoiceNumber}`,
+    subject: `Invoice for ${invoice.customer?.name || 'customer'}`,
+    author: business.businessName,
+    creator: business.businessName
+  });
+
+  drawHeader(layout, invoice);
+  drawCustomerAndVehicle(layout, invoice);
+
+  const { parts, labor } = getLineItems(invoice);
+
+  if (parts.length > 0) {
+    layout.sectionTitle('Parts:');
+    layout.table([
+      { header: 'Description', width: 206, value: part => part.name || part.description },
+      { header: 'Part #', width: 100, value: part => part.partNumber },
+      { header: 'Qty', width: 50, align: 'right', value: part => part.quantity },
+      { header: 'Unit Price', width: 88, align: 'right', value: part => formatCurrency(part.price) },
+      { header: 'Total', width: 88, align: 'right', value: part => formatCurrency(part.total) }
+    ], parts);
+  }
+
+  if (labor.length > 0) {
+    layout.sectionTitle('Labor:');
+    layout.table([
+      { header: 'Description', width: 306, value: item => item.description },
+      { header: 'Hours', width: 50, align: 'right', value: item => item.hours },
+      { header: 'Rate', width: 88, align: 'right', value: item => formatCurrency(item.rate) },
+      { header: 'Total', width: 88, align: 'right', value: item => formatCurrency(item.total) }
+    ], labor);
+  }
+
+  drawTotals(layout, invoice, parts, labor);
+
+  if (customerFacingNotes && customerFacingNotes.length > 0) {
+    layout.sectionTitle('Work Order Notes:');
+    layout.textBlock(
+      customerFacingNotes
+        .map(note => `${formatDate(note.createdAt, layout.timezone, 'MMM D, YYYY')}\n${note.content}`)
+        .join('\n\n'),
+      { fill: [249, 250, 251] }
+    );
+  }
+
+  const notes = invoice.notes || invoice.customerNotes;
+  if (notes) {
+    layout.sectionTitle('Notes:');
+    layout.textBlock(notes, { fill: [249, 250, 251] });
+  }
+
+  if (invoice.terms) {
+    layout.sectionTitle('Terms & Conditions:');
+    layout.textBlock(invoice.terms);
+  }
+
+  if (invoice.status) {
+    layout.ensureSpace(LINE_HEIGHT * 3);
+    layout.setFont(10, 'bold', GRAY_TEXT);
+    layout.doc.text('Payment Status:', PAGE.margin, layout.y);
+    layout.setFont(10, 'normal', invoice.status === 'Paid' ? [22, 163, 74] : [17, 24, 39]);
+    layout.doc.text(invoice.status === 'Issued' ? 'Payment Due' : invoice.status, PAGE.margin + 90, layout.y);
+    if (invoice.paymentTerms) {
+      layout.setFont(9, 'normal', GRAY_TEXT);
+      layout.doc.text(`Payment Terms: ${invoice.paymentTerms}`, PAGE.margin, layout.y + 14);
+    }
+    layout.y += 30;
+  }
+
+  layout.footer();
+
+  return Buffer.from(layout.doc.output('arraybuffer'));
+};
+
+/**
+ * File name used when downloading or attaching an invoice PDF
+ * @param {Object} invoice - Invoice document
+ * @returns {String} File name
+ */
+exports.getInvoicePdfFilename = (invoice) =>
+  `Invoice_${String(invoice.invoiceNumber || invoice._id).replace(/[^\w.-]+/g, '_')}.pdf`;
@@ -0,0 +1,298 @@
+const moment = require('moment-timezone');
+const Notification = require('../models/Notification');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const AppError = require('../utils/appError');
+const { createProvider } = require('./smsProviders');
+const { createTransport } = require('./emailTransports');
+
+// Notification outbox. Every SMS and email is saved as a Notification and
+// sent right away; if the provider fails it is retried with backoff by the
+// outbox worker, and provider delivery receipts update it afterwards.
+
+const RETRY_DELAY_MINUTES = [1, 5, 30]; // Wait before the 2nd, 3rd and 4th attempt
+const STALE_LOCK_MINUTES = 10;
+const BATCH_SIZE = 50;
+const DEFAULT_INTERVAL_MS = 30 * 1000;
+
+// Provider statuses that end a message's life
+const DELIVERED_STATUSES = ['delivered'];
+const FAILED_STATUSES = ['undelivered', 'failed', 'bounce', 'dropped'];
+
+let smsProvider;
+let emailTransport;
+let timer = null;
+let ticking = false;
+let lastRunAt = null;
+
+const getSmsProvider = () => {
+  if (!smsProvider) {
+    smsProvider = createProvider();
+  }
+  return smsProvider;
+};
+
+const getEmailTransport = () => {
+  if (!emailTransport) {
+    emailTransport = createTransport();
+  }
+  return emailTransport;
+};
+
+/**
+ * Replace the SMS provider, e.g. with the file sink in tests
+ * @param {Object} provider - Object with a send(message) method
+ */
+exports.setSmsProvider = (provider) => {
+  smsProvider = provider;
+};
+
+/**
+ * Replace the email transport, e.g. with the file sink in tests
+ * @param {Object} transport - Object with a send(message) method
+ */
+exports.setEmailTransport = (transport) => {
+  emailTransport = transport;
+};
+
+// Twilio can only post delivery receipts to a public URL
+const getStatusCallbackUrl = () => (process.env.TWILIO_WEBHOOK_BASE_URL
+  ? `${process.env.TWILIO_WEBHOOK_BASE_URL.replace(/\/$/, '')}/api/webhooks/twilio/status`
+  : undefined);
+
+const sendWithProvider = (notification) => {
+  const { payload } = notification;
+
+  if (notification.channel === 'SMS') {
+    return getSmsProvider().send({
+      to: notification.recipient,
+      body: payload.body,
+      mediaUrls: payload.mediaUrls,
+      statusCallback: getStatusCallbackUrl()
+    });
+  }
+
+  return getEmailTransport().send({
+    to: notification.recipient,
+    from: process.env.EMAIL_FROM,
+    subject: payload.subject,
+    text: payload.text,
+    html: payload.html || payload.text,
+    attachments: (payload.attachments || []).map(attachment => ({
+      filename: attachment.filename,
+      content: attachment.content,
+      contentType: attachment.contentType
+    }))
+  });
+};
+
+// Keep a copy of every text in the customer's message thread.
+// A logging failure must never fail the send itself.
+const recordOutbound = async (notification) => {
+  try {
+    await Conversation.recordMessage({
+      phone: notification.recipient,
+      direction: 'Outbound',
+      body: notification.payload.body,
+      mediaUrls: notification.payload.mediaUrls,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: notification.recipient,
+      twilioSid: notification.providerId,
+      status: notification.providerStatus,
+      sentBy: notification.sentBy,
+      workOrder: notification.workOrder
+    });
+  } catch (error) {
+    console.error('Failed to record outbound SMS:', error);
+  }
+};
+
+/**
+ * Make one attempt at a claimed notification and record the outcome
+ * @param {Object} notification - Notification document, status Sending with attempts already counted
+ * @returns {Promise<Object>} The updated notification
+ */
+const deliver = async (notification) => {
+  try {
+    const result = await sendWithProvider(notification);
+    notification.set({
+      status: 'Sent',
+      provider: result.provider,
+      providerId: result.messageId,
+      providerStatus: result.status,
+      sentAt: new Date(),
+      lockedAt: null,
+      nextAttemptAt: null,
+      lastError: null
+    });
+    await notification.save();
+
+    if (notification.channel === 'SMS') {
+      await recordOutbound(notification);
+    }
+  } catch (error) {
+    const retry = notification.attempts < notification.maxAttempts;
+    const delay = RETRY_DELAY_MINUTES[notification.attempts - 1] || RETRY_DELAY_MINUTES[RETRY_DELAY_MINUTES.length - 1];
+    notification.set({
+      status: retry ? 'Queued' : 'Failed',
+      lastError: error.message || String(error),
+      lockedAt: null,
+      nextAttemptAt: retry ? moment().add(delay, 'minutes').toDate() : null
+    });
+    await notification.save();
+    console.error(`Failed to send ${notification.channel} notification ${notification._id}:`, error.message);
+  }
+
+  return notification;
+};
+
+/**
+ * Add a message to the outbox and make the first attempt straight away
+ * @param {Object} data - Notification fields
+ * @param {String} data.channel - SMS or Email
+ * @param {String} data.template - Kind of message, e.g. status-update
+ * @param {String} data.to - Phone number or email address
+ * @param {Object} data.payload - { body, mediaUrls } for SMS; { subject, text, html, attachments } for email
+ * @param {String} data.customer - Related customer ID (optional; also workOrder, appointment)
+ * @param {String} data.sentBy - Staff member's name (optional)
+ * @param {Boolean} data.retry - false when the sender sees the error and can send again themselves
+ * @returns {Promise<Object>} Notification, Sent or Queued for retry
+ * @throws {AppError} If the message failed and will not be retried
+ */
+exports.queue = async (data) => {
+  if (!data.to) {
+    throw new AppError(`No ${data.channel === 'SMS' ? 'phone number' : 'email address'} to send to`, 400);
+  }
+
+  const notification = await Notification.create({
+    channel: data.channel,
+    template: data.template,
+    recipient: data.to,
+    payload: data.payload,
+    customer: data.customer,
+    workOrder: data.workOrder,
+    appointment: data.appointment,
+    sentBy: data.sentBy,
+    maxAttempts: data.retry === false ? 1 : undefined,
+    // Claimed from the start so the worker leaves it alone during the first attempt
+    status: 'Sending',
+    attempts: 1,
+    lockedAt: new Date()
+  });
+
+  await deliver(notification);
+
+  if (notification.status === 'Failed') {
+    throw new AppError(`Failed to send ${data.channel === 'SMS' ? 'SMS' : 'email'}: ${notification.lastError}`, 500);
+  }
+
+  return notification;
+};
+
+/**
+ * Claim and retry notifications whose backoff has passed
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of notifications attempted
+ */
+exports.processQueue = async (now = new Date()) => {
+  // A send interrupted by a crash may have gone out; fail it rather than risk a duplicate
+  await Notification.updateMany(
+    { status: 'Sending', lockedAt: { $lt: moment(now).subtract(STALE_LOCK_MINUTES, 'minutes').toDate() } },
+    { $set: { status: 'Failed', lockedAt: null, lastError: 'Interrupted while sending; retry it if the customer did not get the message' } }
+  );
+
+  let processed = 0;
+  while (processed < BATCH_SIZE) {
+    const notification = await Notification.findOneAndUpdate(
+      { status: 'Queued', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'Sending', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { nextAttemptAt: 1 }, new: true }
+    );
+    if (!notification) break;
+
+    await deliver(notification);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Queue a failed notification for another full round of attempts
+ * @param {String} id - Notification ID
+ * @returns {Promise<Object|null>} Notification, or null if it is not Failed
+ */
+exports.retry = (id) => Notification.findOneAndUpdate(
+  { _id: id, status: 'Failed' },
+  { $set: { status: 'Queued', attempts: 0, maxAttempts: RETRY_DELAY_MINUTES.length + 1, nextAttemptAt: new Date() } },
+  { new: true }
+);
+
+/**
+ * Apply a delivery receipt from a provider
+ * @param {Object} receipt - { provider, providerId, status, error }
+ * @returns {Promise<Object|null>} Updated notification, or null if it is not ours
+ */
+exports.applyDeliveryStatus = async ({ provider, providerId, status, error }) => {
+  const notification = await Notification.findOne({ provider, providerId });
+  if (!notification) return null;
+
+  const providerStatus = (status || '').toLowerCase();
+  notification.providerStatus = providerStatus;
+  if (DELIVERED_STATUSES.includes(providerStatus)) {
+    notification.status = 'Delivered';
+    notification.deliveredAt = new Date();
+  } else if (FAILED_STATUSES.includes(providerStatus)) {
+    notification.status = 'Failed';
+    notification.lastError = error || `Provider reported ${providerStatus}`;
+  }
+  await notification.save();
+
+  if (notification.channel === 'SMS') {
+    await Message.updateOne({ twilioSid: providerId }, { $set: { status: providerStatus } });
+  }
+
+  return notification;
+};
+
+const runOnce = async () => {
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    await exports.processQueue();
+  } catch (err) {
+    console.error('Notification outbox error:', err);
+  } finally {
+    lastRunAt = new Date();
+    ticking = false;
+  }
+};
+
+/**
+ * Start the outbox worker. DISABLE_JOB_RUNNER=true turns it off along with the reminder scheduler.
+ */
+exports.start = () => {
+  if (timer || process.env.DISABLE_JOB_RUNNER === 'true') return;
+
+  timer = setInterval(runOnce, DEFAULT_INTERVAL_MS);
+  timer.unref();
+  runOnce();
+};
+
+exports.stop = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Worker state and active providers for the admin view
+ * @returns {Object} { running, lastRunAt, smsProvider, emailProvider }
+ */
+exports.getStatus = () => ({
+  running: !!timer,
+  lastRunAt,
+  smsProvider: getSmsProvider().name,
+  emailProvider: getEmailTransport().name
+});
@@ -0,0 +1,316 @@
+const moment = require('moment-timezone');
+const ScheduledJob = require('../models/ScheduledJob');
+const Appointment = require('../models/Appointment');
+const ShopSettings = require('../models/ShopSettings');
+const twilioService = require('./twilioService');
+const emailService = require('./emailService');
+
+// Background job runner for appointment reminders and post-visit follow-ups.
+// Each tick plans jobs for upcoming and recently completed appointments, then
+// sends whatever is due. Jobs live in MongoDB with a unique key, and a job is
+// claimed atomically before it is sent, so restarts (or a second server
+// process) never send the same message twice.
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+const BATCH_SIZE = 50; // Most jobs sent per tick
+const MAX_ATTEMPTS = 3;
+const RETRY_DELAY_MINUTES = [5, 30]; // Wait before the 2nd and 3rd attempt
+const STALE_LOCK_MINUTES = 10;
+const FOLLOW_UP_GRACE_DAYS = 1; // Follow-ups that came due longer ago than this are not planned
+const UPCOMING_STATUSES = ['Scheduled', 'Confirmed'];
+
+let timer = null;
+let intervalMs = DEFAULT_INTERVAL_MS;
+let ticking = false;
+let lastRunAt = null;
+let lastError = null;
+
+const formatOffset = (hours) => (hours % 24 === 0 ? `${hours / 24}d before` : `${hours}h before`);
+
+/**
+ * Insert any jobs that are missing. Existing jobs are left alone.
+ * @param {Array} jobs - ScheduledJob fields, each with a unique key
+ */
+const insertMissing = async (jobs) => {
+  if (jobs.length === 0) return;
+
+  try {
+    await ScheduledJob.bulkWrite(jobs.map(job => ({
+      updateOne: {
+        filter: { key: job.key },
+        update: { $setOnInsert: job },
+        upsert: true
+      }
+    })), { ordered: false });
+  } catch (err) {
+    // Another process planned the same job first
+    if (err.code !== 11000) throw err;
+  }
+};
+
+/**
+ * Plan reminder and follow-up jobs from the current appointments and settings
+ * @param {Date} now - Current time
+ */
+const planJobs = async (now = new Date()) => {
+  const settings = await ShopSettings.getSettings();
+  const reminders = settings.reminders || {};
+  const jobs = [];
+
+  const offsets = reminders.enabled ? (reminders.offsetsHours || []) : [];
+  if (offsets.length > 0) {
+    const horizon = moment(now).add(Math.max(...offsets), 'hours').toDate();
+    const appointments = await Appointment.find({
+      status: { $in: UPCOMING_STATUSES },
+      startTime: { $gt: now, $lte: horizon }
+    }).select('startTime createdAt');
+
+    appointments.forEach(appointment => {
+      offsets.forEach(offset => {
+        const runAt = moment(appointment.startTime).subtract(offset, 'hours').toDate();
+        // Booked after this reminder would have gone out
+        if (runAt < appointment.createdAt) return;
+
+        jobs.push({
+          key: `reminder:${appointment._id}:${offset}h:${appointment.startTime.toISOString()}`,
+          type: 'Appointment Reminder',
+          label: formatOffset(offset),
+          appointment: appointment._id,
+          offsetHours: offset,
+          appointmentTime: appointment.startTime,
+          runAt
+        });
+      });
+    });
+  }
+
+  if (reminders.followUpEnabled) {
+    const days = reminders.followUpDays;
+    const appointments = await Appointment.find({
+      status: 'Completed',
+      'followUp.sent': { $ne: true },
+      endTime: { $gte: moment(now).subtract(days + FOLLOW_UP_GRACE_DAYS, 'days').toDate() }
+    }).select('endTime');
+
+    appointments.forEach(appointment => {
+      jobs.push({
+        key: `follow-up:${appointment._id}`,
+        type: 'Appointment Follow-Up',
+        label: `${days} day${days === 1 ? '' : 's'} after`,
+        appointment: appointment._id,
+        appointmentTime: appointment.endTime,
+        runAt: moment(appointment.endTime).add(days, 'days').toDate()
+      });
+    });
+  }
+
+  await insertMissing(jobs);
+};
+
+/**
+ * Why a due job should not be sent, if anything
+ * @param {Object} job - ScheduledJob document
+ * @param {Object} appointment - Appointment with customer populated, or null
+ * @param {Object} settings - Shop settings
+ * @param {Date} now - Current time
+ * @returns {String|null} Skip reason
+ */
+const getSkipReason = (job, appointment, settings, now) => {
+  const reminders = settings.reminders || {};
+
+  if (!appointment) return 'Appointment was deleted';
+  if (!appointment.customer) return 'Customer was deleted';
+
+  if (job.type === 'Appointment Reminder') {
+    if (!reminders.enabled || !(reminders.offsetsHours || []).includes(job.offsetHours)) {
+      return 'Reminder is no longer configured';
+    }
+    if (!UPCOMING_STATUSES.includes(appointment.status)) return `Appointment is ${appointment.status}`;
+    if (appointment.startTime.getTime() !== job.appointmentTime.getTime()) return 'Appointment was rescheduled';
+    if (appointment.startTime <= now) return 'Appointment has already started';
+    // An earlier reminder went out late, or staff sent one by hand
+    if (appointment.reminder && appointment.reminder.sentAt >= job.runAt) return 'A reminder was already sent';
+  } else {
+    if (!reminders.followUpEnabled) return 'Follow-ups are turned off';
+    if (appointment.status !== 'Completed') return `Appointment is ${appointment.status}`;
+    if (appointment.followUp && appointment.followUp.sent) return 'Follow-up was already sent';
+  }
+
+  return null;
+};
+
+/**
+ * Channel to use for a customer, following their communication preference
+ * @param {Object} customer - Customer document
+ * @returns {Object} { channel } or { skipReason }
+ */
+const getChannel = (customer) => {
+  const preference = customer.communicationPreference;
+  if (preference === 'SMS') {
+    return customer.phone ? { channel: 'SMS' } : { skipReason: 'Prefers SMS but has no phone number' };
+  }
+  if (preference === 'Email') {
+    return customer.email ? { channel: 'Email' } : { skipReason: 'Prefers email but has no email address' };
+  }
+  return { skipReason: `Customer prefers ${preference === 'None' ? 'no messages' : preference}` };
+};
+
+const finishJob = (job, status, fields = {}) => ScheduledJob.updateOne(
+  { _id: job._id },
+  { $set: { status, completedAt: new Date(), lockedAt: null, ...fields } }
+);
+
+/**
+ * Send one claimed job, then record the outcome
+ * @param {Object} job - ScheduledJob document, already marked Running
+ * @param {Object} settings - Shop settings
+ * @param {Date} now - Current time
+ */
+const runJob = async (job, settings, now) => {
+  const appointment = await Appointment.findById(job.appointment)
+    .populate('customer')
+    .populate('vehicle');
+
+  const skipReason = getSkipReason(job, appointment, settings, now);
+  if (skipReason) {
+    await finishJob(job, 'Skipped', { skipReason });
+    return;
+  }
+
+  const { channel, skipReason: channelSkipReason } = getChannel(appointment.customer);
+  if (!channel) {
+    await finishJob(job, 'Skipped', { skipReason: channelSkipReason });
+    return;
+  }
+
+  const isReminder = job.type === 'Appointment Reminder';
+  let sent;
+  try {
+    const { customer, vehicle } = appointment;
+    if (channel === 'SMS') {
+      sent = await (isReminder
+        ? twilioService.sendAppointmentReminder(appointment, customer, vehicle)
+        : twilioService.sendFollowUp(appointment, customer, vehicle));
+    } else {
+      sent = await (isReminder
+        ? emailService.sendAppointmentReminder(appointment, customer, vehicle)
+        : emailService.sendFollowUp(appointment, customer, vehicle));
+    }
+  } catch (err) {
+    const message = err.message || String(err);
+    if (job.attempts < MAX_ATTEMPTS) {
+      const delay = RETRY_DELAY_MINUTES[job.attempts - 1] || RETRY_DELAY_MINUTES[RETRY_DELAY_MINUTES.length - 1];
+      await ScheduledJob.updateOne(
+        { _id: job._id },
+        { $set: { status: 'Pending', lockedAt: null, lastError: message, runAt: moment(now).add(delay, 'minutes').toDate() } }
+      );
+    } else {
+      await finishJob(job, 'Failed', { lastError: message });
+    }
+    return;
+  }
+
+  // The template for this message is turned off
+  if (!sent) {
+    await finishJob(job, 'Skipped', { skipReason: `${channel === 'SMS' ? 'Text' : 'Email'} template is turned off` });
+    return;
+  }
+
+  await finishJob(job, 'Sent', { channel });
+  await Appointment.updateOne(
+    { _id: appointment._id },
+    { $set: isReminder ? { reminder: { sent: true, sentAt: new Date() } } : { followUp: { sent: true, sentAt: new Date() } } }
+  );
+};
+
+/**
+ * Claim and send due jobs, oldest first
+ * @param {Date} now - Current time
+ * @returns {Promise<Number>} Number of jobs processed
+ */
+const runDueJobs = async (now = new Date()) => {
+  // A job left Running by a crash may or may not have been sent; fail it rather than risk a duplicate
+  await ScheduledJob.updateMany(
+    { status: 'Running', lockedAt: { $lt: moment(now).subtract(STALE_LOCK_MINUTES, 'minutes').toDate() } },
+    { $set: { status: 'Failed', lockedAt: null, completedAt: now, lastError: 'Interrupted while sending; retry it if the customer did not get the message' } }
+  );
+
+  const settings = await ShopSettings.getSettings();
+  let processed = 0;
+
+  while (processed < BATCH_SIZE) {
+    const job = await ScheduledJob.findOneAndUpdate(
+      { status: 'Pending', runAt: { $lte: now } },
+      { $set: { status: 'Running', lockedAt: new Date() }, $inc: { attempts: 1 } },
+      { sort: { runAt: 1 }, new: true }
+    );
+    if (!job) break;
+
+    await runJob(job, settings, now);
+    processed += 1;
+  }
+
+  return processed;
+};
+
+/**
+ * Plan and send once. Overlapping calls are ignored.
+ * @returns {Promise<Number>} Number of jobs processed
+ */
+const runOnce = async () => {
+  if (ticking) return 0;
+  ticking = true;
+
+  try {
+    const now = new Date();
+    await planJobs(now);
+    const processed = await runDueJobs(now);
+    lastError = null;
+    return processed;
+  } catch (err) {
+    lastError = err.message;
+    console.error('Job runner error:', err);
+    return 0;
+  } finally {
+    lastRunAt = new Date();
+    ticking = false;
+  }
+};
+
+/**
+ * Start the runner. Set DISABLE_JOB_RUNNER=true to turn it off, e.g. on extra API instances.
+ */
+const start = () => {
+  if (timer || process.env.DISABLE_JOB_RUNNER === 'true') return;
+
+  intervalMs = parseInt(process.env.JOB_RUNNER_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+  timer = setInterval(runOnce, intervalMs);
+  timer.unref();
+  runOnce();
+  console.log(`Job runner started (every ${intervalMs / 1000}s)`);
+};
+
+const stop = () => {
+  if (!timer) return;
+  clearInterval(timer);
+  timer = null;
+};
+
+/**
+ * Runner state for the admin view
+ * @returns {Object} { running, intervalMs, lastRunAt, lastError }
+ */
+const getStatus = () => ({
+  running: !!timer,
+  intervalMs,
+  lastRunAt,
+  lastError
+});
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+  getStatus,
+  MAX_ATTEMPTS
+};
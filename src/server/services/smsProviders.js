@@ -0,0 +1,99 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * SMS providers
+ * Each provider exposes send(message) and resolves to { provider, messageId, status }.
+ * A message has: to, body, optional mediaUrls and an optional statusCallback URL
+ * for delivery receipts.
+ *
+ * Select a provider with SMS_PROVIDER:
+ *   twilio  - Twilio API (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER)
+ *   file    - Writes each message to SMS_FILE_DIR as JSON for development and tests
+ *   console - Prints each message to the server log
+ */
+
+const twilioProvider = () => {
+  const twilio = require('twilio');
+  const client = twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN);
+
+  return {
+    name: 'twilio',
+    send: async (message) => {
+      const sent = await client.messages.create({
+        body: message.body,
+        from: process.env.TWILIO_PHONE_NUMBER,
+        to: message.to,
+        mediaUrl: message.mediaUrls && message.mediaUrls.length ? message.mediaUrls : undefined,
+        statusCallback: message.statusCallback
+      });
+
+      return {
+        provider: 'twilio',
+        messageId: sent.sid,
+        status: sent.status
+      };
+    }
+  };
+};
+
+const fileProvider = () => {
+  const directory = path.resolve(process.env.SMS_FILE_DIR || 'tmp/sms');
+
+  return {
+    name: 'file',
+    send: async (message) => {
+      const messageId = `${Date.now()}-${uuidv4()}`;
+      await fs.mkdir(directory, { recursive: true });
+      await fs.writeFile(
+        path.join(directory, `${messageId}.json`),
+        JSON.stringify({ ...message, messageId, sentAt: new Date() }, null, 2)
+      );
+
+      return {
+        provider: 'file',
+        messageId,
+        status: 'sent'
+      };
+    }
+  };
+};
+
+const consoleProvider = () => ({
+  name: 'console',
+  send: async (message) => {
+    const messageId = `${Date.now()}-${uuidv4()}`;
+    const media = message.mediaUrls && message.mediaUrls.length ? ` [media: ${message.mediaUrls.join(', ')}]` : '';
+    console.log(`[sms] to ${message.to}: ${message.body}${media}`);
+
+    return {
+      provider: 'console',
+      messageId,
+      status: 'sent'
+    };
+  }
+});
+
+const providers = {
+  twilio: twilioProvider,
+  file: fileProvider,
+  console: consoleProvider
+};
+
+/**
+ * Create the configured SMS provider
+ * Defaults to Twilio when an account SID is configured, otherwise the file sink.
+ * @param {String} name - Provider name (defaults to SMS_PROVIDER)
+ * @returns {Object} Provider with a send(message) method
+ */
+exports.createProvider = (name = process.env.SMS_PROVIDER) => {
+  const providerName = name || (process.env.TWILIO_ACCOUNT_SID ? 'twilio' : 'file');
+  const factory = providers[providerName];
+
+  if (!factory) {
+    throw new Error(`Unknown SMS provider "${providerName}". Use one of: ${Object.keys(providers).join(', ')}`);
+  }
+
+  return factory();
+};
@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const fsPromises = require('fs/promises');
+const path = require('path');
+
+/**
+ * Storage drivers
+ * Each driver stores files by key and exposes:
+ *   put(key, buffer, mimeType)   - resolves to { key, fileUrl }
+ *   getStream(key)               - readable stream of the file
+ *   getSignedUrl(key, expiresIn) - URL that works without login for expiresIn seconds
+ *   delete(key)                  - resolves once the file is gone (missing files are ignored)
+ *
+ * Select a driver with STORAGE_DRIVER:
+ *   s3    - Amazon S3 (AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY, AWS_REGION, S3_BUCKET_NAME)
+ *   local - Files on this server's disk under STORAGE_LOCAL_DIR, served from /api/media/files
+ *           with signed URLs; for a single-box install, development and tests
+ */
+
+const s3Driver = () => {
+  const AWS = require('aws-sdk');
+  const bucketName = process.env.S3_BUCKET_NAME;
+  const s3 = new AWS.S3({
+    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
+    region: process.env.AWS_REGION
+  });
+
+  const requireBucket = () => {
+    if (!bucketName) {
+      throw new Error('S3 storage is not configured. Set S3_BUCKET_NAME or use STORAGE_DRIVER=local.');
+    }
+  };
+
+  // Older records stored URL-encoded keys
+  const objectParams = (key) => ({ Bucket: bucketName, Key: decodeURIComponent(key) });
+
+  return {
+    name: 's3',
+    put: async (key, buffer, mimeType) => {
+      requireBucket();
+      const result = await s3.upload({
+        Bucket: bucketName,
+        Key: key,
+        Body: buffer,
+        ContentType: mimeType,
+        ACL: 'private'
+      }).promise();
+
+      return { key: result.Key, fileUrl: result.Location };
+    },
+    getStream: (key) => {
+      requireBucket();
+      return s3.getObject(objectParams(key)).createReadStream();
+    },
+    getSignedUrl: (key, expiresIn) => {
+      requireBucket();
+      return s3.getSignedUrl('getObject', { ...objectParams(key), Expires: expiresIn });
+    },
+    delete: async (key) => {
+      requireBucket();
+      await s3.deleteObject(objectParams(key)).promise();
+    }
+  };
+};
+
+// Signs local file URLs with their own secret when set, otherwise the JWT secret
+const signLocalUrl = (key, expires) =>
+  crypto
+    .createHmac('sha256', process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET)
+    .update(`${key}:${expires}`)
+    .digest('base64url');
+
+const localDriver = () => {
+  const directory = path.resolve(process.env.STORAGE_LOCAL_DIR || 'uploads');
+  const baseUrl = (process.env.API_URL || process.env.CLIENT_URL || 'http://localhost:5000').replace(/\/$/, '');
+
+  // Keys are flat file names; anything that could leave the directory is refused
+  const resolveKey = (key) => {
+    if (!key || key !== path.basename(key) || key.startsWith('.')) {
+      throw new Error(`Invalid storage key "${key}"`);
+    }
+    return path.join(directory, key);
+  };
+
+  const fileUrl = (key) => `${baseUrl}/api/media/files/${encodeURIComponent(key)}`;
+
+  return {
+    name: 'local',
+    put: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fsPromises.mkdir(directory, { recursive: true });
+      await fsPromises.writeFile(filePath, buffer);
+
+      return { key, fileUrl: fileUrl(key) };
+    },
+    getStream: (key) => fs.createReadStream(resolveKey(key)),
+    getSignedUrl: (key, expiresIn) => {
+      resolveKey(key);
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      return `${fileUrl(key)}?expires=${expires}&signature=${signLocalUrl(key, expires)}`;
+    },
+    delete: async (key) => {
+      try {
+        await fsPromises.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    },
+    /**
+     * Check a signed local file URL
+     * @param {String} key - Storage key from the URL
+     * @param {String} expires - Unix time from the URL
+     * @param {String} signature - Signature from the URL
+     * @returns {Boolean} True if the URL was signed here and has not expired
+     */
+    verifySignedUrl: (key, expires, signature) => {
+      if (!expires || !signature || Number(expires) * 1000 < Date.now()) return false;
+      const expected = Buffer.from(signLocalUrl(key, expires));
+      const given = Buffer.from(String(signature));
+      return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+    }
+  };
+};
+
+const drivers = {
+  s3: s3Driver,
+  local: localDriver
+};
+
+/**
+ * Create a storage driver
+ * Defaults to S3 when a bucket is configured, otherwise local disk.
+ * @param {String} name - Driver name (defaults to STORAGE_DRIVER)
+ * @returns {Object} Driver with put, getStream, getSignedUrl and delete
+ */
+exports.createDriver = (name = process.env.STORAGE_DRIVER) => {
+  const driverName = name || (process.env.S3_BUCKET_NAME ? 's3' : 'local');
+  const factory = drivers[driverName];
+
+  if (!factory) {
+    throw new Error(`Unknown storage driver "${driverName}". Use one of: ${Object.keys(drivers).join(', ')}`);
+  }
+
+  return factory();
+};
+
+exports.DRIVER_NAMES = Object.keys(drivers);
@@ -0,0 +1,106 @@
+const { v4: uuidv4 } = require('uuid');
+const { createDriver, DRIVER_NAMES } = require('./storageDrivers');
+
+// Files are stored with the driver configured at upload time. Each media record
+// keeps that driver's name, so switching STORAGE_DRIVER leaves older files readable.
+
+const drivers = {};
+
+/**
+ * Get a storage driver, created on first use
+ * @param {String} name - Driver name (defaults to the configured driver)
+ * @returns {Object} Storage driver
+ */
+const getDriver = (name) => {
+  const key = name || 'default';
+  if (!drivers[key]) {
+    drivers[key] = createDriver(name);
+  }
+  return drivers[key];
+};
+
+/**
+ * Name of the driver new uploads go to
+ * @returns {String} e.g. s3 or local
+ */
+exports.getDefaultDriverName = () => getDriver().name;
+
+/**
+ * Replace a driver, e.g. with an in-memory store in tests
+ * @param {Object} customDriver - Object with name, put, getStream, getSignedUrl and delete
+ */
+exports.setDriver = (customDriver) => {
+  drivers.default = customDriver;
+  drivers[customDriver.name] = customDriver;
+};
+
+/**
+ * Store a new file under a unique key
+ * @param {Buffer} fileBuffer - The file data
+ * @param {String} fileName - Original file name
+ * @param {String} mimeType - File MIME type
+ * @returns {Promise<Object>} { key, fileUrl, driver }
+ */
+exports.putFile = async (fileBuffer, fileName, mimeType) => {
+  const driver = getDriver();
+  // Prefix a UUID to prevent conflicts; keep the name readable but path-safe
+  const key = `${uuidv4()}-${String(fileName).replace(/[^\w.-]+/g, '_')}`;
+  const result = await driver.put(key, fileBuffer, mimeType);
+
+  return { ...result, driver: driver.name };
+};
+
+/**
+ * Read a stored file
+ * @param {String} key - Storage key
+ * @param {String} driverName - Driver the file was stored with (defaults to the configured driver)
+ * @returns {Stream} Readable stream
+ */
+exports.getFileStream = (key, driverName) => getDriver(driverName).getStream(key);
+
+/**
+ * Read a whole stored file into memory
+ * @param {String} key - Storage key
+ * @param {String} driverName - Driver the file was stored with (defaults to the configured driver)
+ * @returns {Promise<Buffer>} File data
+ */
+exports.getFileBuffer = (key, driverName) => new Promise((resolve, reject) => {
+  const chunks = [];
+  exports.getFileStream(key, driverName)
+    .on('data', chunk => chunks.push(chunk))
+    .on('error', reject)
+    .on('end', () => resolve(Buffer.concat(chunks)));
+});
+
+/**
+ * Generate a signed URL for temporary access to a private file
+ * @param {String} key - Storage key
+ * @param {Number} expiresIn - URL expiration time in seconds (default: 3600 seconds = 1 hour)
+ * @param {String} driverName - Driver the file was stored with (defaults to the configured driver)
+ * @returns {String} Signed URL
+ */
+exports.getSignedUrl = (key, expiresIn = 3600, driverName) => {
+  if (!key) {
+    throw new Error('A storage key is required to generate a signed URL');
+  }
+  return getDriver(driverName).getSignedUrl(key, expiresIn);
+};
+
+/**
+ * Delete a stored file
+ * @param {String} key - Storage key
+ * @param {String} driverName - Driver the file was stored with (defaults to the configured driver)
+ * @returns {Promise<void>}
+ */
+exports.deleteFile = (key, driverName) => getDriver(driverName).delete(key);
+
+/**
+ * Check a signed URL for a file on local disk
+ * @param {String} key - Storage key
+ * @param {String} expires - Unix time from the URL
+ * @param {String} signature - Signature from the URL
+ * @returns {Boolean} True if the URL is valid
+ */
+exports.verifyLocalUrl = (key, expires, signature) => getDriver('local').verifySignedUrl(key, expires, signature);
+
+exports.DRIVER_NAMES = DRIVER_NAMES;
@@ -0,0 +1,166 @@
+const moment = require('moment-timezone');
+const MessageTemplate = require('../models/MessageTemplate');
+const ShopSettings = require('../models/ShopSettings');
+const AppError = require('../utils/appError');
+
+// Fills in message templates. Sending refuses to go out with a placeholder
+// left blank; previews list the blanks instead.
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(amount || 0);
+
+// "2018 Honda Civic", or a generic word for appointments booked without a vehicle
+const describeVehicle = (vehicle) => {
+  if (!vehicle) return 'vehicle';
+  return [vehicle.year, vehicle.make, vehicle.model].filter(Boolean).join(' ') || 'vehicle';
+};
+
+/**
+ * Flatten the records a message is about into placeholder values
+ * @param {Object} records - { customer, vehicle, workOrder, appointment, statusUrl } (each optional)
+ * @returns {Promise<Object>} Map of placeholder path to value
+ */
+exports.buildValues = async ({ customer, vehicle, workOrder, appointment, statusUrl } = {}) => {
+  const settings = await ShopSettings.getSettings();
+  const values = {
+    'shop.name': settings.businessName,
+    'shop.phone': settings.businessPhone,
+    'shop.email': settings.businessEmail,
+    'vehicle.displayName': describeVehicle(vehicle)
+  };
+
+  if (customer) {
+    Object.assign(values, {
+      'customer.name': customer.name,
+      'customer.firstName': (customer.name || '').trim().split(/\s+/)[0],
+      'customer.phone': customer.phone,
+      'customer.email': customer.email
+    });
+  }
+  if (vehicle) {
+    Object.assign(values, {
+      'vehicle.year': vehicle.year,
+      'vehicle.make': vehicle.make,
+      'vehicle.model': vehicle.model,
+      'vehicle.licensePlate': vehicle.licensePlate
+    });
+  }
+  if (workOrder) {
+    const total = workOrder.totalActual || workOrder.totalEstimate;
+    Object.assign(values, {
+      'workOrder.status': workOrder.status,
+      'workOrder.total': total ? formatCurrency(total) : undefined
+    });
+  }
+  if (statusUrl) {
+    values['statusLink.url'] = statusUrl;
+  }
+  if (appointment) {
+    const start = moment(appointment.startTime).tz(settings.timezone);
+    Object.assign(values, {
+      'appointment.startTime': start.format('ddd, MMM D [at] h:mm A'),
+      'appointment.date': start.format('M/D/YYYY'),
+      'appointment.time': start.format('h:mm A'),
+      'appointment.endTime': appointment.endTime ? moment(appointment.endTime).tz(settings.timezone).format('h:mm A') : undefined,
+      'appointment.serviceType': appointment.serviceType
+    });
+  }
+
+  return values;
+};
+
+/**
+ * Fill in one piece of template text
+ * @param {String} text - Template text with {{placeholders}}
+ * @param {Object} values - From buildValues
+ * @returns {Object} { text, missing } where missing lists placeholders with no value
+ */
+exports.fill = (text, values) => {
+  const missing = [];
+  const filled = String(text || '').replace(PLACEHOLDER_PATTERN, (match, path) => {
+    const value = values[path];
+    if (value === undefined || value === null || value === '') {
+      if (!missing.includes(path)) missing.push(path);
+      return match;
+    }
+    return String(value);
+  });
+  return { text: filled, missing };
+};
+
+// Plain text body as simple HTML: blank lines separate paragraphs
+const toHtml = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .map(paragraph => paragraph.trim())
+  .filter(Boolean)
+  .map(paragraph => `<p>${paragraph.split('\n').map(escapeHtml).join('<br>')}</p>`)
+  .join('\n');
+
+/**
+ * Render a template against placeholder values
+ * @param {Object} template - { channel, subject, body }
+ * @param {Object} values - From buildValues
+ * @returns {Object} { subject, body, html, missing }
+ */
+exports.render = (template, values) => {
+  const subject = template.channel === 'Email' ? exports.fill(template.subject, values) : null;
+  const body = exports.fill(template.body, values);
+  const missing = [...new Set([...(subject ? subject.missing : []), ...body.missing])];
+
+  return {
+    subject: subject ? subject.text : undefined,
+    body: body.text,
+    html: template.channel === 'Email' ? toHtml(body.text) : undefined,
+    missing
+  };
+};
+
+/**
+ * Render the active template for an automatic message
+ * @param {String} event - e.g. appointment-reminder
+ * @param {String} channel - SMS or Email
+ * @param {Object} records - { customer, vehicle, workOrder, appointment, statusUrl }
+ * @returns {Promise<Object|null>} { subject, body, html }, or null if no active template
+ * @throws {AppError} If a placeholder has no value for these records
+ */
+exports.renderEvent = async (event, channel, records) => {
+  const template = await MessageTemplate.findActive(event, channel, records.workOrder && records.workOrder.status);
+  if (!template) return null;
+
+  const rendered = exports.render(template, await exports.buildValues(records));
+  if (rendered.missing.length) {
+    const label = MessageTemplate.TEMPLATE_EVENTS[event].label;
+    throw new AppError(
+      `The ${label} ${channel === 'SMS' ? 'text' : 'email'} was not sent: no value for ${rendered.missing.map(path => `{{${path}}}`).join(', ')}`,
+      400
+    );
+  }
+
+  return rendered;
+};
+
+/**
+ * Made-up records for previews and test sends
+ * @param {String} status - Work order status to show (optional)
+ * @returns {Promise<Object>} { customer, vehicle, workOrder, appointment, statusUrl }
+ */
+exports.sampleRecords = async (status) => {
+  const timeZone = await ShopSettings.getTimezone();
+  const start = moment.tz(timeZone).add(1, 'day').startOf('day').hour(9);
+  return {
+    customer: { name: 'Jane Smith', phone: '555-123-4567', email: 'jane.smith@example.com' },
+    vehicle: { year: 2019, make: 'Toyota', model: 'Camry', licensePlate: 'ABC1234' },
+    workOrder: { status: status || 'Repair In Progress', totalActual: 412.5 },
+    appointment: { startTime: start.toDate(), endTime: start.clone().add(1, 'hour').toDate(), serviceType: 'Oil Change' },
+    statusUrl: `${process.env.CLIENT_URL || 'http://localhost:3000'}/status/${'0'.repeat(48)}`
+  };
+};
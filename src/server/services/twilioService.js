@@ -1,62 +1,63 @@
 const twilio = require('twilio');
-const AppError = require('../utils/appError');
+const ShopSettings = require('../models/ShopSettings');
+const notificationService = require('./notificationService');
+const templateService = require('./templateService');
 
-// Initialize Twilio client
-const client = twilio(
-  process.env.TWILIO_ACCOUNT_SID,
-  process.env.TWILIO_AUTH_TOKEN
-);
+// Same shape the Twilio API used to return; `sid` is empty while a send waits for a retry
+const toSendResult = (notification) => ({
+  sid: notification.providerId,
+  status: notification.status,
+  dateCreated: notification.sentAt || notification.createdAt,
+  notification
+});
 
-const fromNumber = process.env.TWILIO_PHONE_NUMBER;
+/**
+ * Check that a webhook request really came from Twilio
+ * @param {String} signature - X-Twilio-Signature header
+ * @param {String} url - Full URL Twilio posted to
+ * @param {Object} params - POST parameters
+ * @returns {Boolean} True if the signature matches
+ */
+exports.validateWebhook = (signature, url, params) => {
+  if (!signature || !process.env.TWILIO_AUTH_TOKEN) return false;
+  return twilio.validateRequest(process.env.TWILIO_AUTH_TOKEN, signature, url, params);
+};
 
 /**
- * Send an SMS message
+ * Send an SMS message through the notification outbox
  * @param {String} to - Recipient phone number
  * @param {String} body - Message content
+ * @param {Object} options - { template, customer, workOrder, appointment, sentBy, retry } (optional)
  * @returns {Promise<Object>} Message details
  */
-exports.sendSMS = async (to, body) => {
-  try {
-    const message = await client.messages.create({
-      body,
-      from: fromNumber,
-      to
-    });
-    
-    return {
-      sid: message.sid,
-      status: message.status,
-      dateCreated: message.dateCreated
-    };
-  } catch (error) {
-    throw new AppError(`Failed to send SMS: ${error.message}`, 500);
-  }
+exports.sendSMS = async (to, body, options = {}) => {
+  const notification = await notificationService.queue({
+    ...options,
+    channel: 'SMS',
+    to,
+    payload: { body }
+  });
+
+  return toSendResult(notification);
 };
 
 /**
- * Send an MMS message with media
+ * Send an MMS message with media through the notification outbox
  * @param {String} to - Recipient phone number
  * @param {String} body - Message content
  * @param {String} mediaUrl - URL to the media file
+ * @param {Object} options - { template, customer, workOrder, appointment, sentBy, retry } (optional)
  * @returns {Promise<Object>} Message details
  */
-exports.sendMMS = async (to, body, mediaUrl) => {
-  try {
-    const message = await client.messages.create({
-      body,
-      from: fromNumber,
-      to,
-      mediaUrl: [mediaUrl]
-    });
-    
-    return {
-      sid: message.sid,
-      status: message.status,
-      dateCreated: message.dateCreated
-    };
-  } catch (error) {
-    throw new AppError(`Failed to send MMS: ${error.message}`, 500);
-  }
+exports.sendMMS = async (to, body, mediaUrl, options = {}) => {
+  const notification = await notificationService.queue({
+    ...options,
+    channel: 'SMS',
+    to,
+    payload: { body, mediaUrls: [mediaUrl] }
+  });
+
+  return toSendResult(notification);
 };
 
 /**
@@ -64,31 +65,54 @@ exports.sendMMS = async (to, body, mediaUrl) => {
  * @param {Object} appointment - Appointment object
  * @param {Object} customer - Customer object
  * @param {Object} vehicle - Vehicle object
- * @returns {Promise<Object>} Message details
+ * @returns {Promise<Object|null>} Message details, or null if the reminder text is turned off
  */
 exports.sendAppointmentReminder = async (appointment, customer, vehicle) => {
-  const date = new Date(appointment.startTime).toLocaleDateString();
-  const time = new Date(appointment.startTime).toLocaleTimeString([], { 
-    hour: '2-digit', 
-    minute: '2-digit' 
-  });
+  const message = await templateService.renderEvent('appointment-reminder', 'SMS', { appointment, customer, vehicle });
+  if (!message) return null;
   
-  const body = `Hi ${customer.name}, this is a reminder about your appointment for your ${vehicle.year} ${vehicle.make} ${vehicle.model} on ${date} at ${time}. Reply Y to confirm or call us to reschedule.`;
-  
-  return exports.sendSMS(customer.phone, body);
+  return exports.sendSMS(customer.phone, message.body, {
+    template: 'appointment-reminder',
+    customer: customer._id,
+    appointment: appointment._id
+  });
 };
 
 /**
- * Send work order status update
- * @param {Object} workOrder - Work order object
+ * Send a post-visit follow-up
+ * @param {Object} appointment - Completed appointment
+ * @param {Object} customer - Customer object
+ * @param {Object} vehicle - Vehicle object (optional)
+ * @returns {Promise<Object|null>} Message details, or null if the follow-up text is turned off
+ */
+exports.sendFollowUp = async (appointment, customer, vehicle) => {
+  const message = await templateService.renderEvent('appointment-follow-up', 'SMS', { appointment, customer, vehicle });
+  if (!message) return null;
+
+  return exports.sendSMS(customer.phone, message.body, {
+    template: 'appointment-follow-up',
+    customer: customer._id,
+    appointment: appointment._id
+  });
+};
+
+/**
+ * Send work order status update, if the new status has an active template
+ * @param {Object} workOrder - Work order object (status is the new status)
  * @param {Object} customer - Customer object
  * @param {Object} vehicle - Vehicle object
- * @returns {Promise<Object>} Message details
+ * @param {Object} options - { statusUrl } link to the customer's status page
+ * @returns {Promise<Object|null>} Message details, or null if this status is not texted
  */
-exports.sendStatusUpdate = async (workOrder, customer, vehicle) => {
-  const body = `Hi ${customer.name}, the status of your ${vehicle.year} ${vehicle.make} ${vehicle.model} has been updated to: ${workOrder.status}. Call us for more details.`;
+exports.sendStatusUpdate = async (workOrder, customer, vehicle, options = {}) => {
+  const message = await templateService.renderEvent('status-update', 'SMS', { workOrder, customer, vehicle, statusUrl: options.statusUrl });
+  if (!message) return null;
   
-  return exports.sendSMS(customer.phone, body);
+  return exports.sendSMS(customer.phone, message.body, {
+    template: 'status-update',
+    customer: customer._id,
+    workOrder: workOrder._id
+  });
 };
 
 /**
@@ -97,10 +121,50 @@ exports.sendStatusUpdate = async (workOrder, customer, vehicle) => {
  * @param {Object} customer - Customer object
  * @param {Object} vehicle - Vehicle object
  * @param {String} invoiceUrl - URL to the invoice PDF
- * @returns {Promise<Object>} Message details
+ * @returns {Promise<Object|null>} Message details, or null if the pickup text is turned off
  */
 exports.sendCompletionNotification = async (workOrder, customer, vehicle, invoiceUrl) => {
-  const body = `Hi ${customer.name}, your ${vehicle.year} ${vehicle.make} ${vehicle.model} is ready for pickup! Total: $${workOrder.totalActual.toFixed(2)}. See attached invoice for details.`;
+  const message = await templateService.renderEvent('completion', 'SMS', { workOrder, customer, vehicle });
+  if (!message) return null;
   
-  return exports.sendMMS(customer.phone, body, invoiceUrl);
+  return exports.sendMMS(customer.phone, message.body, invoiceUrl, {
+    template: 'completion',
+    customer: customer._id,
+    workOrder: workOrder._id
+  });
+};
+
+/**
+ * Text a media share link. Images are attached as MMS as well.
+ * @param {Object} media - Media object
+ * @param {Object} customer - Customer object (optional)
+ * @param {Object} vehicle - Vehicle object (optional)
+ * @param {Object} sharingLink - { url, expiresAt } from media.generateSharingLink
+ * @param {Object} options - { to, mediaUrl, sentBy } where mediaUrl is a direct file URL for the MMS attachment
+ * @returns {Promise<Object>} Message details
+ */
+exports.shareMedia = async (media, customer, vehicle, sharingLink, options = {}) => {
+  const vehicleLabel = vehicle ? `${vehicle.year} ${vehicle.make} ${vehicle.model}` : 'vehicle';
+  const timeZone = await ShopSettings.getTimezone();
+  const expires = new Date(sharingLink.expiresAt).toLocaleString('en-US', {
+    timeZone,
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit'
+  });
+
+  const body = `Hi ${customer?.name || 'there'}, here is a ${media.type} file for your ${vehicleLabel}: ${sharingLink.url} (link expires ${expires})`;
+  const sendOptions = {
+    template: 'media-share',
+    customer: customer?._id,
+    workOrder: media.workOrder?._id || media.workOrder,
+    sentBy: options.sentBy,
+    retry: false // Staff see the error and can send again
+  };
+
+  if (options.mediaUrl && media.fileType.startsWith('image/')) {
+    return exports.sendMMS(options.to, body, options.mediaUrl, sendOptions);
+  }
+  return exports.sendSMS(options.to, body, sendOptions);
 };
@@ -0,0 +1,206 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const Bay = require('../models/Bay');
+const Customer = require('../models/Customer');
+const ShopSettings = require('../models/ShopSettings');
+const Technician = require('../models/Technician');
+const TimeOff = require('../models/TimeOff');
+const appointmentController = require('../controllers/appointmentController');
+const { runHandler, queryResult } = require('./helpers');
+
+// Monday 2 March 2026, shop time (America/New_York)
+const at = (time) => new Date(`2026-03-02T${time}:00-05:00`);
+
+// Whether a stored appointment passes one condition of a findOverlapping query
+const matchesCondition = (value, condition) => {
+  if (condition && condition.$in) return condition.$in.some(id => String(id) === String(value));
+  if (condition && condition.$nin) return !condition.$nin.includes(value);
+  if (condition && condition.$ne) return String(value) !== String(condition.$ne);
+  if (condition && condition.$lt) return value < condition.$lt;
+  if (condition && condition.$gt) return value > condition.$gt;
+  return String(value) === String(condition);
+};
+const idOf = (value) => (value && value._id ? value._id : value);
+
+describe('appointment conflicts', () => {
+  let settings;
+  let booked;
+  let technician;
+  let lift1;
+  let lift2;
+  let alignmentRack;
+
+  const book = (start, end, fields) => {
+    const appointment = {
+      _id: new mongoose.Types.ObjectId(),
+      startTime: at(start),
+      endTime: at(end),
+      status: 'Scheduled',
+      serviceType: 'Oil change',
+      customer: { name: 'Pat Driver' },
+      ...fields
+    };
+    booked.push(appointment);
+    return appointment;
+  };
+
+  const check = (start, end, options) => Appointment.checkConflicts(at(start), at(end), options);
+
+  beforeEach(() => {
+    settings = new ShopSettings({
+      timezone: 'America/New_York',
+      bayRules: [{ keyword: 'alignment', bayType: 'Alignment Rack' }],
+      defaultBayType: 'Lift'
+    });
+    booked = [];
+    technician = new Technician({ name: 'Sam Wrench', shifts: [{ day: 1, start: '08:00', end: '17:00' }] });
+    lift1 = new Bay({ name: 'Lift 1', type: 'Lift', sortOrder: 1 });
+    lift2 = new Bay({ name: 'Lift 2', type: 'Lift', sortOrder: 2 });
+    alignmentRack = new Bay({ name: 'Rack', type: 'Alignment Rack', sortOrder: 3 });
+    const bays = [lift1, lift2, alignmentRack];
+
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(TimeOff, 'findOverlapping').mockResolvedValue([]);
+    jest.spyOn(Technician, 'findById').mockImplementation(async (id) => (technician._id.equals(id) ? technician : null));
+    jest.spyOn(Bay, 'findById').mockImplementation(async (id) => bays.find(bay => bay._id.equals(id)) || null);
+    jest.spyOn(Bay, 'find').mockImplementation((query) => queryResult(
+      bays.filter(bay => bay.type === query.type && bay.isActive)
+    ));
+    jest.spyOn(Appointment, 'find').mockImplementation((query) => queryResult(
+      booked.filter(appointment => Object.entries(query).every(([field, condition]) =>
+        matchesCondition(idOf(appointment[field]), condition)
+      ))
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('technicians', () => {
+    it('finds an overlapping booking for the same technician', async () => {
+      book('10:00', '11:00', { technician: { _id: technician._id, name: 'Sam Wrench' } });
+
+      const { conflicts } = await check('10:30', '11:30', { technician: technician._id });
+
+      expect(conflicts).toEqual([expect.objectContaining({
+        type: 'technician',
+        message: 'Sam Wrench is already booked for Oil change (Pat Driver)'
+      })]);
+    });
+
+    it('allows back-to-back bookings and other technicians\' work', async () => {
+      book('10:00', '11:00', { technician: { _id: technician._id, name: 'Sam Wrench' } });
+      book('11:00', '12:00', { technician: { _id: new mongoose.Types.ObjectId(), name: 'Lee Bolt' } });
+
+      const { conflicts } = await check('11:00', '12:00', { technician: technician._id });
+
+      expect(conflicts).toEqual([]);
+    });
+
+    it('ignores cancelled bookings and the appointment being moved', async () => {
+      const moving = book('10:00', '11:00', { technician: { _id: technician._id, name: 'Sam Wrench' } });
+      book('10:00', '11:00', { technician: { _id: technician._id, name: 'Sam Wrench' }, status: 'Cancelled' });
+
+      const { conflicts } = await check('10:30', '11:30', { technician: technician._id, excludeId: moving._id });
+
+      expect(conflicts).toEqual([]);
+    });
+
+    it('reports a time outside their shift', async () => {
+      const { conflicts } = await check('16:30', '17:30', { technician: technician._id });
+
+      expect(conflicts).toEqual([{ type: 'technician', message: 'Sam Wrench is not scheduled to work then' }]);
+    });
+  });
+
+  describe('bays', () => {
+    it('finds an overlapping booking in the chosen bay', async () => {
+      book('09:00', '10:30', { bay: { _id: lift1._id, name: 'Lift 1', type: 'Lift' }, serviceType: 'Brakes' });
+
+      const { conflicts, bay } = await check('10:00', '11:00', { bay: lift1._id, serviceType: 'Tire rotation' });
+
+      expect(bay).toBe(lift1);
+      expect(conflicts).toEqual([expect.objectContaining({
+        type: 'bay',
+        message: 'Lift 1 is already booked for Brakes (Pat Driver)'
+      })]);
+    });
+
+    it('reports a bay of the wrong type for the service', async () => {
+      const { conflicts, requiredBayType } = await check('10:00', '11:00', { bay: lift1._id, serviceType: 'Wheel alignment' });
+
+      expect(requiredBayType).toBe('Alignment Rack');
+      expect(conflicts).toEqual([{ type: 'bay', message: 'Wheel alignment needs a Alignment Rack bay, but Lift 1 is a Lift bay' }]);
+    });
+
+    it('reports a bay that is out of service', async () => {
+      lift1.isActive = false;
+
+      const { conflicts, bay } = await check('10:00', '11:00', { bay: lift1._id });
+
+      expect(bay).toBeNull();
+      expect(conflicts).toEqual([{ type: 'bay', message: 'The selected bay is not in service' }]);
+    });
+
+    it('picks the first free bay of the type the service needs', async () => {
+      book('10:00', '11:00', { bay: { _id: lift1._id, name: 'Lift 1', type: 'Lift' } });
+
+      const { conflicts, bay } = await check('10:00', '11:00', { serviceType: 'Tire rotation' });
+
+      expect(conflicts).toEqual([]);
+      expect(bay).toBe(lift2);
+    });
+
+    it('reports when every bay of that type is booked', async () => {
+      book('10:00', '11:00', { bay: { _id: alignmentRack._id, name: 'Rack', type: 'Alignment Rack' } });
+
+      const { conflicts, bay } = await check('10:30', '11:30', { serviceType: 'Alignment check' });
+
+      expect(bay).toBeNull();
+      expect(conflicts).toEqual([{ type: 'bay', message: 'Every Alignment Rack bay is booked at this time' }]);
+    });
+  });
+
+  describe('booking', () => {
+    let customer;
+
+    const create = (body) => runHandler(appointmentController.createAppointment, {
+      body: {
+        customer: customer._id,
+        serviceType: 'Tire rotation',
+        technician: technician._id,
+        startTime: '2026-03-02T10:00:00',
+        endTime: '2026-03-02T11:00:00',
+        ...body
+      },
+      user: { name: 'Writer' }
+    });
+
+    beforeEach(() => {
+      // No confirmation message, to keep this about the booking itself
+      customer = new Customer({ name: 'Pat Driver', phone: '5551234567', communicationPreference: 'None' });
+      jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+      jest.spyOn(Appointment, 'create').mockImplementation(async (data) => new Appointment(data));
+      jest.spyOn(Appointment, 'findById').mockImplementation((id) => queryResult(new Appointment({ _id: id })));
+      book('10:30', '11:30', { technician: { _id: technician._id, name: 'Sam Wrench' } });
+    });
+
+    it('refuses a conflicting booking with 409', async () => {
+      const result = await create();
+
+      expect(result.error.statusCode).toBe(409);
+      expect(result.error.message).toMatch(/^Scheduling conflict: Sam Wrench is already booked/);
+      expect(Appointment.create).not.toHaveBeenCalled();
+    });
+
+    it('books it anyway when the conflict is overridden', async () => {
+      const result = await create({ overrideConflicts: 'true' });
+
+      expect(result.statusCode).toBe(201);
+      const [data] = Appointment.create.mock.calls[0];
+      expect(data.overrideConflicts).toBeUndefined();
+      expect(data.bay).toEqual(lift1._id);
+    });
+  });
+});
@@ -0,0 +1,84 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const express = require('express');
+const request = require('supertest');
+const User = require('../models/User');
+const authRoutes = require('../routes/authRoutes');
+
+// Just the user routes, mounted the way app.js mounts them
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.cookies = {};
+  next();
+});
+app.use('/api/users', authRoutes);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ message: err.message });
+});
+
+describe('creating staff logins', () => {
+  const newStaff = {
+    name: 'Sam Other',
+    email: 'sam@example.com',
+    password: 'password123',
+    passwordConfirm: 'password123',
+    role: 'service-writer'
+  };
+
+  const loginAs = (role) => {
+    const user = new User({ _id: new mongoose.Types.ObjectId(), name: `A ${role}`, email: `${role}@example.com`, role });
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    return `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`;
+  };
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+    jest.spyOn(User, 'create').mockImplementation(async (data) => new User(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a sign-up without a login', async () => {
+    const res = await request(app).post('/api/users/signup').send(newStaff);
+
+    expect(res.status).toBe(401);
+    expect(res.body.token).toBeUndefined();
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses a sign-up from staff who are not admins', async () => {
+    const res = await request(app)
+      .post('/api/users/signup')
+      .set('Authorization', loginAs('service-writer'))
+      .send({ ...newStaff, role: 'technician' });
+
+    expect(res.status).toBe(403);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+
+  it('lets an admin create a login without signing in as it', async () => {
+    const res = await request(app)
+      .post('/api/users/signup')
+      .set('Authorization', loginAs('admin'))
+      .send(newStaff);
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.user).toMatchObject({ name: 'Sam Other', role: 'service-writer' });
+    expect(res.body.data.user.password).toBeUndefined();
+    expect(res.body.token).toBeUndefined();
+    expect(res.headers['set-cookie']).toBeUndefined();
+  });
+
+  it('does not let an admin create another admin here', async () => {
+    const res = await request(app)
+      .post('/api/users/signup')
+      .set('Authorization', loginAs('admin'))
+      .send({ ...newStaff, role: 'admin' });
+
+    expect(res.status).toBe(400);
+    expect(User.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,154 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const ShopSettings = require('../models/ShopSettings');
+const Technician = require('../models/Technician');
+const TimeOff = require('../models/TimeOff');
+const availabilityService = require('../services/availabilityService');
+const technicianController = require('../controllers/technicianController');
+const { runHandler } = require('./helpers');
+
+// Shop time is America/New_York (UTC-5 in early March)
+const at = (date, time) => new Date(`${date}T${time}:00-05:00`);
+const slotTimes = (day) => day.slots.map(slot => new Date(slot).toLocaleTimeString('en-GB', {
+  timeZone: 'America/New_York', hour: '2-digit', minute: '2-digit'
+}));
+
+describe('technician availability', () => {
+  let settings;
+  let technician;
+  let timeOff;
+  let appointments;
+
+  const availability = (from, to = from, options = {}) =>
+    availabilityService.getTechnicianAvailability(technician, { from, to, duration: 60, step: 30, ...options });
+
+  beforeEach(() => {
+    // Sunday afternoon, before the week being booked
+    jest.useFakeTimers({ now: at('2026-03-01', '12:00') });
+
+    settings = new ShopSettings({ timezone: 'America/New_York', holidays: [] });
+    technician = new Technician({
+      _id: new mongoose.Types.ObjectId(),
+      name: 'Sam Wrench',
+      shifts: [
+        { day: 1, start: '08:00', end: '12:00' },
+        { day: 1, start: '13:00', end: '16:00' },
+        { day: 2, start: '08:00', end: '12:00' },
+        { day: 3, start: '08:00', end: '12:00' }
+      ]
+    });
+    timeOff = [];
+    appointments = [];
+
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(TimeOff, 'findOverlapping').mockImplementation(async () => timeOff);
+    jest.spyOn(Appointment, 'findOverlapping').mockImplementation(async (start, end, filter, excludeId) =>
+      appointments.filter(appointment => !excludeId || !appointment._id.equals(excludeId))
+    );
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('offers slots inside each shift, leaving out the lunch break', async () => {
+    const [monday] = await availability('2026-03-02');
+
+    expect(monday.unavailableReason).toBeNull();
+    expect(monday.shifts).toHaveLength(2);
+    expect(slotTimes(monday)).toEqual([
+      '08:00', '08:30', '09:00', '09:30', '10:00', '10:30', '11:00',
+      '13:00', '13:30', '14:00', '14:30', '15:00'
+    ]);
+  });
+
+  it('leaves out booked appointments, except the one being moved', async () => {
+    const booked = { _id: new mongoose.Types.ObjectId(), startTime: at('2026-03-02', '09:00'), endTime: at('2026-03-02', '10:30') };
+    appointments.push(booked);
+
+    const [monday] = await availability('2026-03-02');
+    const [rescheduling] = await availability('2026-03-02', '2026-03-02', { excludeAppointment: booked._id });
+
+    expect(slotTimes(monday).slice(0, 4)).toEqual(['08:00', '10:30', '11:00', '13:00']);
+    expect(slotTimes(rescheduling)).toContain('09:00');
+  });
+
+  it('leaves out part-day time off', async () => {
+    timeOff.push({ start: at('2026-03-02', '08:00'), end: at('2026-03-02', '10:00'), type: 'Personal', reason: 'Dentist' });
+
+    const [monday] = await availability('2026-03-02');
+
+    expect(monday.unavailableReason).toBeNull();
+    expect(slotTimes(monday)[0]).toBe('10:00');
+  });
+
+  it('has no slots on a day off and says why', async () => {
+    timeOff.push({ start: at('2026-03-03', '00:00'), end: at('2026-03-04', '00:00'), type: 'Vacation' });
+
+    const [tuesday] = await availability('2026-03-03');
+
+    expect(tuesday.slots).toEqual([]);
+    expect(tuesday.unavailableReason).toBe('Time off: Vacation');
+  });
+
+  it('has no slots on a shop holiday', async () => {
+    settings.holidays.push({ date: '2026-03-04', name: 'Stocktake' });
+
+    const [wednesday] = await availability('2026-03-04');
+
+    expect(wednesday.shifts).toEqual([]);
+    expect(wednesday.slots).toEqual([]);
+    expect(wednesday.unavailableReason).toBe('Shop closed: Stocktake');
+  });
+
+  it('has no slots on days without a shift', async () => {
+    const days = await availability('2026-03-05', '2026-03-06');
+
+    expect(days.map(day => [day.date, day.unavailableReason, day.slots.length])).toEqual([
+      ['2026-03-05', 'Not scheduled', 0],
+      ['2026-03-06', 'Not scheduled', 0]
+    ]);
+  });
+
+  it('uses the shop hours for technicians without shifts', async () => {
+    technician.shifts = [];
+    settings.businessHours = [{ day: 4, open: '09:00', close: '11:00' }];
+
+    const [thursday] = await availability('2026-03-05');
+
+    expect(slotTimes(thursday)).toEqual(['09:00', '09:30', '10:00']);
+  });
+
+  it('does not offer times that have already passed', async () => {
+    jest.setSystemTime(at('2026-03-02', '10:10'));
+
+    const [monday] = await availability('2026-03-02');
+
+    expect(slotTimes(monday).slice(0, 2)).toEqual(['10:30', '11:00']);
+  });
+
+  describe('asking for it', () => {
+    const ask = (query) => runHandler(technicianController.getAvailability, {
+      params: { id: technician._id.toString() },
+      query
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Technician, 'findById').mockResolvedValue(technician);
+    });
+
+    it('answers with each day in the range', async () => {
+      const result = await ask({ from: '2026-03-02', to: '2026-03-04', duration: '90' });
+
+      expect(result.statusCode).toBe(200);
+      expect(result.body.data.duration).toBe(90);
+      expect(result.body.data.days.map(day => day.date)).toEqual(['2026-03-02', '2026-03-03', '2026-03-04']);
+    });
+
+    it('refuses dates in another format or in the wrong order', async () => {
+      expect((await ask({ from: '03/02/2026' })).error.statusCode).toBe(400);
+      expect((await ask({ from: '2026-03-04', to: '2026-03-02' })).error.statusCode).toBe(400);
+    });
+  });
+});
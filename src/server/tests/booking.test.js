@@ -0,0 +1,141 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const Bay = require('../models/Bay');
+const Customer = require('../models/Customer');
+const ShopSettings = require('../models/ShopSettings');
+const Technician = require('../models/Technician');
+const TimeOff = require('../models/TimeOff');
+const Vehicle = require('../models/Vehicle');
+const availabilityService = require('../services/availabilityService');
+const bookingController = require('../controllers/bookingController');
+const { runHandler, queryResult } = require('./helpers');
+
+const TIMEZONE = 'America/New_York';
+
+describe('online booking capacity', () => {
+  let appointments;
+  let technicians;
+  let date;
+
+  const slotAt = (time) => moment.tz(`${date} ${time}`, 'YYYY-MM-DD HH:mm', TIMEZONE).toISOString();
+
+  const book = (overrides = {}) => runHandler(bookingController.createBooking, {
+    body: {
+      service: 'Oil Change',
+      name: 'Pat Driver',
+      phone: '555-123-4567',
+      vehicle: { year: 2018, make: 'Honda', model: 'Civic' },
+      startTime: slotAt('10:00'),
+      ...overrides
+    }
+  });
+
+  beforeEach(() => {
+    appointments = [];
+    technicians = [new Technician({ name: 'Alex' })];
+    date = moment.tz(TIMEZONE).add(2, 'days').format('YYYY-MM-DD');
+
+    const settings = new ShopSettings({
+      timezone: TIMEZONE,
+      businessHours: [0, 1, 2, 3, 4, 5, 6].map(day => ({ day, open: '08:00', close: '17:00' })),
+      onlineBooking: {
+        enabled: true,
+        leadTimeHours: 0,
+        services: [{ name: 'Oil Change', duration: 60 }]
+      }
+    });
+
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(Technician, 'find').mockImplementation(async () => technicians);
+    jest.spyOn(TimeOff, 'findOverlapping').mockResolvedValue([]);
+    // No bays set up, so bays never limit a booking
+    jest.spyOn(Bay, 'find').mockImplementation(() => queryResult([]));
+
+    jest.spyOn(Appointment, 'findOverlapping').mockImplementation(async (start, end, filter = {}) =>
+      appointments.filter(appointment => {
+        if (!(appointment.startTime < end && appointment.endTime > start)) return false;
+        if (!('technician' in filter)) return true;
+        return filter.technician === null
+          ? !appointment.technician
+          : String(appointment.technician) === String(filter.technician._id || filter.technician);
+      })
+    );
+    jest.spyOn(Appointment, 'create').mockImplementation(async (data) => {
+      const appointment = new Appointment(data);
+      appointments.push(appointment);
+      return appointment;
+    });
+
+    jest.spyOn(Customer, 'findByPhone').mockResolvedValue(null);
+    jest.spyOn(Customer, 'create').mockImplementation(async (data) => {
+      const customer = new Customer(data);
+      customer.save = jest.fn();
+      return customer;
+    });
+    jest.spyOn(Vehicle, 'find').mockResolvedValue([]);
+    jest.spyOn(Vehicle, 'create').mockImplementation(async (data) => new Vehicle(data));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('does not accept the same slot twice with one technician', async () => {
+    const first = await book();
+    expect(first.statusCode).toBe(201);
+    expect(appointments).toHaveLength(1);
+    expect(appointments[0].technician).toBeUndefined();
+
+    const second = await book({ phone: '555-987-6543', name: 'Sam Other' });
+    expect(second.error).toBeDefined();
+    expect(second.error.statusCode).toBe(409);
+    expect(appointments).toHaveLength(1);
+  });
+
+  it('accepts one booking per free technician', async () => {
+    technicians = [new Technician({ name: 'Alex' }), new Technician({ name: 'Jordan' })];
+
+    expect((await book()).statusCode).toBe(201);
+    expect((await book({ phone: '555-987-6543' })).statusCode).toBe(201);
+    const third = await book({ phone: '555-222-3333' });
+
+    expect(third.error.statusCode).toBe(409);
+    expect(appointments).toHaveLength(2);
+  });
+
+  it('removes overlapping start times once a booking is pending', async () => {
+    await book();
+
+    const [day] = await availabilityService.getShopAvailability({
+      from: date,
+      to: date,
+      duration: 60,
+      serviceType: 'Oil Change',
+      earliest: new Date()
+    });
+
+    expect(day.slots).not.toContain(slotAt('10:00'));
+    expect(day.slots).not.toContain(slotAt('10:45'));
+    expect(day.slots).not.toContain(slotAt('09:15'));
+    expect(day.slots).toContain(slotAt('09:00'));
+    expect(day.slots).toContain(slotAt('11:00'));
+  });
+
+  it.each([
+    ['a name that is not text', { name: 1 }],
+    ['a phone number sent as a number', { phone: 5551234567 }],
+    ['a vehicle that is not an object', { vehicle: 'Honda Civic' }],
+    ['a vehicle make that is not text', { vehicle: { year: 2018, make: 5, model: 'Civic' } }],
+    ['a vehicle model that is not text', { vehicle: { year: 2018, make: 'Honda', model: ['Civic'] } }],
+    ['a concern that is not text', { concern: { text: 'noise' } }],
+    ['an email that is not text', { email: ['a@example.com'] }],
+    ['a start time that is not text', { startTime: 12345 }],
+    ['a service that is not text', { service: ['Oil Change'] }]
+  ])('rejects %s with a 400', async (label, overrides) => {
+    const result = await book(overrides);
+
+    expect(result.error).toBeDefined();
+    expect(result.error.statusCode).toBe(400);
+    expect(appointments).toHaveLength(0);
+  });
+});
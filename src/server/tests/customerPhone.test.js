@@ -0,0 +1,127 @@
+const mongoose = require('mongoose');
+const Conversation = require('../models/Conversation');
+const Customer = require('../models/Customer');
+const Message = require('../models/Message');
+const customerController = require('../controllers/customerController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('customer phone numbers', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('finding a customer by phone', () => {
+    let saved;
+
+    // Customers whose phone matches the query, the way MongoDB would match it
+    const matches = (filter) => saved.filter(phone =>
+      filter.phone instanceof RegExp ? filter.phone.test(phone) : filter.phone === phone
+    );
+
+    beforeEach(() => {
+      saved = [];
+      jest.spyOn(Customer, 'findOne').mockImplementation((filter) => queryResult(matches(filter)[0] || null));
+    });
+
+    it('matches the number however it was typed', async () => {
+      saved = ['5551234567', '555-123-4567', '(555) 123-4567', '+1 555.123.4567', '1-555-123-4567'];
+
+      for (const typed of ['555-123-4567', '(555) 123 4567', '+15551234567']) {
+        const filter = Customer.findOne.mock.calls.length;
+        await Customer.findByPhone(typed);
+        expect(matches(Customer.findOne.mock.calls[filter][0])).toEqual(saved);
+      }
+    });
+
+    it('does not match a different number', async () => {
+      saved = ['555-123-4568', '555-123-45670', '2555-123-4567'];
+
+      expect(await Customer.findByPhone('5551234567')).toBeNull();
+    });
+
+    it('looks up a number it cannot read as typed', async () => {
+      saved = ['123-4567'];
+
+      expect(await Customer.findByPhone('123-4567')).toBe('123-4567');
+    });
+  });
+
+  describe('changing a customer\'s phone', () => {
+    const existing = new Customer({ _id: new mongoose.Types.ObjectId(), name: 'Pat Driver', phone: '555-123-4567' });
+
+    const update = (phone) => runHandler(customerController.updateCustomer, {
+      params: { id: existing._id.toString() },
+      body: { phone }
+    });
+
+    beforeEach(() => {
+      jest.spyOn(Customer, 'findById').mockResolvedValue(existing);
+      jest.spyOn(Customer, 'findByIdAndUpdate').mockImplementation(async (id, body) => new Customer({ ...existing.toObject(), ...body }));
+    });
+
+    it('refuses a number another customer has in a different format', async () => {
+      jest.spyOn(Customer, 'findOne').mockImplementation((filter) =>
+        queryResult(filter.phone.test('(555) 987-6543') ? new Customer({ name: 'Sam Other' }) : null)
+      );
+
+      const result = await update('555.987.6543');
+
+      expect(result.error.statusCode).toBe(400);
+      expect(Customer.findOne.mock.calls[0][0]._id).toEqual({ $ne: existing._id.toString() });
+      expect(Customer.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it('saves a number no one else has', async () => {
+      jest.spyOn(Customer, 'findOne').mockImplementation(() => queryResult(null));
+
+      const result = await update('555-987-6543');
+
+      expect(result.statusCode).toBe(200);
+      expect(result.body.data.customer.phone).toBe('555-987-6543');
+    });
+  });
+
+  describe('counting unread texts', () => {
+    let conversation;
+    let savedCount;
+
+    const receive = () => Conversation.recordMessage({
+      phone: '+15551234567',
+      direction: 'Inbound',
+      body: 'Is my car ready?'
+    });
+
+    beforeEach(() => {
+      conversation = Conversation.hydrate({ _id: new mongoose.Types.ObjectId(), phone: '5551234567', customer: new mongoose.Types.ObjectId(), unreadCount: 2 });
+      jest.spyOn(Conversation, 'findOne').mockImplementation(() => queryResult(conversation));
+      jest.spyOn(Conversation, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+      savedCount = null;
+      jest.spyOn(conversation, 'save').mockImplementation(async () => {
+        if (conversation.isModified('unreadCount')) savedCount = conversation.unreadCount;
+        return conversation;
+      });
+      jest.spyOn(Message, 'create').mockImplementation(async (data) => new Message(data));
+    });
+
+    it('adds to the count in the database instead of saving a new total', async () => {
+      await receive();
+
+      expect(Conversation.updateOne).toHaveBeenCalledWith({ _id: conversation._id }, { $inc: { unreadCount: 1 } });
+      expect(conversation.save).toHaveBeenCalled();
+      expect(savedCount).toBeNull();
+      expect(conversation.unreadCount).toBe(3);
+    });
+
+    it('counts every text when two arrive at once', async () => {
+      await Promise.all([receive(), receive()]);
+
+      expect(Conversation.updateOne).toHaveBeenCalledTimes(2);
+    });
+
+    it('does not count texts the shop sends', async () => {
+      await Conversation.recordMessage({ phone: '5551234567', direction: 'Outbound', body: 'Yes, it is ready' });
+
+      expect(Conversation.updateOne).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const Estimate = require('../models/Estimate');
+const ShopSettings = require('../models/ShopSettings');
+const Vehicle = require('../models/Vehicle');
+const WorkOrder = require('../models/WorkOrder');
+const estimateController = require('../controllers/estimateController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('public estimate decision', () => {
+  let stored;
+
+  const lineId = new mongoose.Types.ObjectId();
+
+  const submit = (body = {}) => runHandler(estimateController.submitPublicDecision, {
+    params: { token: 'approval-token' },
+    body: {
+      decisions: { [lineId]: 'Declined' },
+      typedName: 'Pat Driver',
+      signature: 'data:image/png;base64,iVBORw0KGgo=',
+      ...body
+    },
+    ip: '127.0.0.1',
+    get: () => 'jest'
+  });
+
+  beforeEach(() => {
+    stored = {
+      _id: new mongoose.Types.ObjectId(),
+      workOrder: new mongoose.Types.ObjectId(),
+      customer: new mongoose.Types.ObjectId(),
+      vehicle: new mongoose.Types.ObjectId(),
+      estimateNumber: 'EST-1001',
+      token: 'approval-token',
+      status: 'Sent',
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      lines: [{ _id: lineId, type: 'Part', description: 'Brake pads', quantity: 1, unitPrice: 80, total: 80 }]
+    };
+
+    // Every request loads its own copy, as two requests to the server would
+    jest.spyOn(Estimate, 'findOne').mockImplementation(() => queryResult(new Estimate(stored)));
+    jest.spyOn(Estimate, 'updateOne').mockImplementation(async (filter, update) => {
+      const matches = filter.status.$in ? filter.status.$in.includes(stored.status) : filter.status === stored.status;
+      if (!matches) return { matchedCount: 0, modifiedCount: 0 };
+      Object.assign(stored, update.$set);
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+    jest.spyOn(WorkOrder, 'findById').mockResolvedValue(null);
+    jest.spyOn(Vehicle, 'findByIdAndUpdate').mockResolvedValue(null);
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(new ShopSettings());
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('records the response once when it is submitted twice at the same time', async () => {
+    const results = await Promise.all([submit(), submit()]);
+
+    const succeeded = results.filter(result => result.statusCode === 200);
+    const rejected = results.filter(result => result.error);
+    expect(succeeded).toHaveLength(1);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].error.statusCode).toBe(409);
+
+    expect(stored.status).toBe('Declined');
+    expect(Vehicle.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it('refuses a second response after the first is recorded', async () => {
+    await submit();
+    const second = await submit();
+
+    expect(second.error.statusCode).toBe(400);
+    expect(Vehicle.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+  });
+
+  it.each([
+    ['a number', 42],
+    ['an object', { first: 'Pat' }],
+    ['a list', ['Pat']]
+  ])('rejects a typed name that is %s with a 400', async (label, typedName) => {
+    const result = await submit({ typedName });
+
+    expect(result.error.statusCode).toBe(400);
+    expect(Estimate.updateOne).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Run an Express handler (usually wrapped in catchAsync) with a fake request
+ * and response, and wait for it to answer or call next
+ * @param {Function} handler - The route handler
+ * @param {Object} req - Request fields the handler reads (body, params, query, user...)
+ * @returns {Promise<Object>} { statusCode, body } when it responded (with headers when it sent a file),
+ * { statusCode, redirect } when it redirected, or { error } when it called next
+ */
+exports.runHandler = (handler, req = {}) => new Promise((resolve) => {
+  const res = {
+    statusCode: 200,
+    headers: {},
+    set(headers) {
+      Object.assign(this.headers, headers);
+      return this;
+    },
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      resolve({ statusCode: this.statusCode, body });
+      return this;
+    },
+    send(body) {
+      resolve({ statusCode: this.statusCode, headers: this.headers, body });
+      return this;
+    },
+    redirect(url) {
+      resolve({ statusCode: 302, redirect: url });
+    }
+  };
+
+  handler({ body: {}, params: {}, query: {}, ...req }, res, (error) => resolve({ error }));
+});
+
+/**
+ * A mocked Mongoose query result that can be awaited or chained
+ * @param {*} value - What the query resolves to
+ * @returns {Promise} Promise with sort, select, populate and lean returning itself
+ */
+exports.queryResult = (value) => {
+  const query = Promise.resolve(value);
+  ['sort', 'select', 'populate', 'lean', 'limit'].forEach(method => {
+    query[method] = () => query;
+  });
+  return query;
+};
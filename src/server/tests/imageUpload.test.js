@@ -0,0 +1,195 @@
+const sharp = require('sharp');
+const Media = require('../models/Media');
+const imageService = require('../services/imageService');
+const storageService = require('../services/storageService');
+const mediaController = require('../controllers/mediaController');
+const { runHandler } = require('./helpers');
+
+// A 60x30 photo taken with the camera turned (EXIF orientation 6) and a GPS position
+const cameraPhoto = () => sharp({
+  create: { width: 60, height: 30, channels: 3, background: '#3366cc' }
+})
+  .jpeg()
+  .withExif({
+    IFD0: { Make: 'PhoneCam' },
+    IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '43/1 2/1 0/1', GPSLongitudeRef: 'W', GPSLongitude: '76/1 8/1 0/1' }
+  })
+  .withMetadata({ orientation: 6 })
+  .toBuffer();
+
+describe('photo uploads', () => {
+  describe('preparing an image', () => {
+    it('turns the photo upright and drops its EXIF and GPS data', async () => {
+      const upload = await cameraPhoto();
+      expect(await sharp(upload).metadata()).toMatchObject({ width: 60, height: 30, orientation: 6 });
+      expect((await sharp(upload).metadata()).exif.toString('latin1')).toContain('PhoneCam');
+
+      const { original } = await imageService.processImage(upload, 'image/jpeg');
+      const stored = await sharp(original.buffer).metadata();
+
+      expect([original.width, original.height]).toEqual([30, 60]);
+      expect([stored.width, stored.height]).toEqual([30, 60]);
+      expect(stored.format).toBe('jpeg');
+      expect(stored.exif).toBeUndefined();
+      expect(stored.orientation).toBeUndefined();
+    });
+
+    it('makes upright JPEG thumbnail and web copies without metadata', async () => {
+      const { variants } = await imageService.processImage(await cameraPhoto(), 'image/jpeg');
+
+      expect(Object.keys(variants)).toEqual(['thumbnail', 'web']);
+      for (const variant of Object.values(variants)) {
+        const info = await sharp(variant.buffer).metadata();
+        expect(variant.mimeType).toBe('image/jpeg');
+        expect(info.format).toBe('jpeg');
+        expect(info.exif).toBeUndefined();
+        // Small photos are not enlarged
+        expect([variant.width, variant.height]).toEqual([30, 60]);
+      }
+    });
+
+    it('keeps PNG uploads as PNG', async () => {
+      const png = await sharp({ create: { width: 10, height: 10, channels: 4, background: '#ff000080' } }).png().toBuffer();
+
+      const { original } = await imageService.processImage(png, 'image/png');
+
+      expect((await sharp(original.buffer).metadata()).format).toBe('png');
+    });
+  });
+
+  describe('uploading', () => {
+    let stored;
+
+    const upload = (file, body = {}) => runHandler(mediaController.createMedia, {
+      file,
+      body: { type: 'Diagnostic', ...body },
+      user: { name: 'Alex' }
+    });
+
+    beforeEach(() => {
+      stored = [];
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(storageService, 'putFile').mockImplementation(async (buffer, fileName, mimeType) => {
+        stored.push({ buffer, fileName, mimeType });
+        return { key: `key-${fileName}`, fileUrl: `https://files.test/${fileName}`, driver: 'local' };
+      });
+      jest.spyOn(storageService, 'getSignedUrl').mockImplementation((key) => `https://files.test/${key}`);
+      jest.spyOn(Media, 'create').mockImplementation(async (data) => new Media(data));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('stores the cleaned photo and its copies, never the upload itself', async () => {
+      const photo = await cameraPhoto();
+
+      const result = await upload({ buffer: photo, originalname: 'brakes.jpg', mimetype: 'image/jpeg' });
+
+      expect(result.statusCode).toBe(201);
+      expect(stored.map(file => file.fileName)).toEqual(['brakes-thumbnail.jpg', 'brakes-web.jpg', 'brakes.jpg']);
+      for (const file of stored) {
+        expect(file.buffer.equals(photo)).toBe(false);
+        expect((await sharp(file.buffer).metadata()).exif).toBeUndefined();
+      }
+      expect(result.body.data.media).toMatchObject({ width: 30, height: 60 });
+    });
+
+    it('rejects an image that cannot be read instead of storing it as uploaded', async () => {
+      const result = await upload({
+        buffer: Buffer.from('not really a jpeg'),
+        originalname: 'broken.jpg',
+        mimetype: 'image/jpeg'
+      });
+
+      expect(result.error.statusCode).toBe(400);
+      expect(result.error.message).toMatch(/broken\.jpg could not be read/);
+      expect(stored).toHaveLength(0);
+      expect(Media.create).not.toHaveBeenCalled();
+    });
+
+    it('records the logged-in user as the uploader', async () => {
+      const pdf = Buffer.from('%PDF-1.4 estimate');
+
+      const result = await upload({ buffer: pdf, originalname: 'estimate.pdf', mimetype: 'application/pdf' }, { uploadedBy: 'Someone Else' });
+
+      expect(result.body.data.media.uploadedBy).toBe('Alex');
+    });
+
+    it('stores files that are not processed as uploaded', async () => {
+      const pdf = Buffer.from('%PDF-1.4 estimate');
+
+      const result = await upload({ buffer: pdf, originalname: 'estimate.pdf', mimetype: 'application/pdf' });
+
+      expect(result.statusCode).toBe(201);
+      expect(stored).toHaveLength(1);
+      expect(stored[0].buffer).toBe(pdf);
+    });
+  });
+
+  describe('uploading several files', () => {
+    let stored;
+
+    const uploadBatch = (files, body = {}) => runHandler(mediaController.createMediaBatch, {
+      files,
+      body: { type: 'Diagnostic', ...body },
+      user: { name: 'Alex' }
+    });
+
+    const pdf = (name) => ({ buffer: Buffer.from('%PDF-1.4'), originalname: name, mimetype: 'application/pdf' });
+    const brokenJpeg = (name) => ({ buffer: Buffer.from('not really a jpeg'), originalname: name, mimetype: 'image/jpeg' });
+
+    beforeEach(() => {
+      stored = [];
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      jest.spyOn(storageService, 'putFile').mockImplementation(async (buffer, fileName) => {
+        stored.push(fileName);
+        return { key: `key-${fileName}`, fileUrl: `https://files.test/${fileName}`, driver: 'local' };
+      });
+      jest.spyOn(storageService, 'getSignedUrl').mockImplementation((key) => `https://files.test/${key}`);
+      jest.spyOn(Media, 'create').mockImplementation(async (data) => new Media(data));
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('stores the good files and lists the ones that failed', async () => {
+      const result = await uploadBatch(
+        [pdf('estimate.pdf'), brokenJpeg('broken.jpg'), pdf('receipt.pdf')],
+        { details: JSON.stringify([{}, {}, { type: 'Not A Type' }]) }
+      );
+
+      expect(result.statusCode).toBe(207);
+      expect(result.body.message).toBe('1 of 3 files uploaded');
+      expect(result.body.data.media.map(item => item.fileName)).toEqual(['estimate.pdf']);
+      expect(result.body.data.failed).toEqual([
+        { index: 1, fileName: 'broken.jpg', message: expect.stringMatching(/broken\.jpg could not be read/) },
+        { index: 2, fileName: 'receipt.pdf', message: expect.stringMatching(/^Type must be one of/) }
+      ]);
+      expect(stored).toEqual(['estimate.pdf']);
+    });
+
+    it('answers 400 when no file could be stored', async () => {
+      const result = await uploadBatch([brokenJpeg('broken.jpg')]);
+
+      expect(result.statusCode).toBe(400);
+      expect(result.body.status).toBe('fail');
+      expect(result.body.data.failed).toHaveLength(1);
+      expect(Media.create).not.toHaveBeenCalled();
+    });
+
+    it('gives each file its own type and notes', async () => {
+      const result = await uploadBatch(
+        [pdf('before.pdf'), pdf('after.pdf')],
+        { details: JSON.stringify([{ type: 'Pre-Inspection', notes: 'Before' }, { notes: 'After' }]) }
+      );
+
+      expect(result.statusCode).toBe(201);
+      expect(result.body.data.media).toEqual([
+        expect.objectContaining({ type: 'Pre-Inspection', notes: 'Before', uploadedBy: 'Alex' }),
+        expect.objectContaining({ type: 'Diagnostic', notes: 'After', uploadedBy: 'Alex' })
+      ]);
+    });
+  });
+});
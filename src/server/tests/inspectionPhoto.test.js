@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+const Inspection = require('../models/Inspection');
+const Media = require('../models/Media');
+const inspectionController = require('../controllers/inspectionController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('adding a photo to an inspection item', () => {
+  let inspection;
+  let media;
+
+  const addPhoto = () => runHandler(inspectionController.addItemPhoto, {
+    params: { id: inspection._id.toString(), itemId: inspection.items[0]._id.toString() },
+    body: { media: media._id.toString() }
+  });
+
+  beforeEach(() => {
+    inspection = new Inspection({
+      workOrder: new mongoose.Types.ObjectId(),
+      vehicle: new mongoose.Types.ObjectId(),
+      items: [{ name: 'Brake pads' }]
+    });
+    inspection.save = jest.fn().mockResolvedValue(inspection);
+    media = new Media({ _id: new mongoose.Types.ObjectId() });
+
+    jest.spyOn(Inspection, 'findById').mockImplementation(() => queryResult(inspection));
+    jest.spyOn(Media, 'findById').mockImplementation(() => queryResult(media));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('accepts a photo from the same work order', async () => {
+    media.workOrder = inspection.workOrder;
+
+    const result = await addPhoto();
+
+    expect(result.statusCode).toBe(200);
+    expect(inspection.items[0].photos.map(String)).toEqual([media._id.toString()]);
+  });
+
+  it('accepts a photo of the same vehicle that is not on a work order', async () => {
+    media.vehicle = inspection.vehicle;
+
+    const result = await addPhoto();
+
+    expect(result.statusCode).toBe(200);
+    expect(inspection.save).toHaveBeenCalled();
+  });
+
+  it('rejects a photo from another work order', async () => {
+    media.workOrder = new mongoose.Types.ObjectId();
+    media.vehicle = inspection.vehicle;
+
+    const result = await addPhoto();
+
+    expect(result.error.statusCode).toBe(400);
+    expect(inspection.save).not.toHaveBeenCalled();
+  });
+
+  it('rejects a photo of another vehicle', async () => {
+    media.vehicle = new mongoose.Types.ObjectId();
+
+    const result = await addPhoto();
+
+    expect(result.error.statusCode).toBe(400);
+    expect(inspection.items[0].photos).toHaveLength(0);
+  });
+});
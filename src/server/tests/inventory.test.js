@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Part = require('../models/Part');
+const StockMovement = require('../models/StockMovement');
+const Vehicle = require('../models/Vehicle');
+const WorkOrder = require('../models/WorkOrder');
+const inventoryService = require('../services/inventoryService');
+const workOrderController = require('../controllers/workOrderController');
+const { runHandler } = require('./helpers');
+
+describe('work order stock movements', () => {
+  let stock;
+  let movements;
+
+  const brakePads = new mongoose.Types.ObjectId();
+  const oilFilter = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Service Writer' };
+
+  beforeEach(() => {
+    stock = { [brakePads]: 10, [oilFilter]: 5 };
+    movements = [];
+
+    jest.spyOn(Part, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      if (!(id in stock)) return null;
+      stock[id] += update.$inc.quantityOnHand;
+      return new Part({ _id: id, name: 'Part', quantityOnHand: stock[id] });
+    });
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (data) => {
+      movements.push(data);
+      return data;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('syncing work order parts', () => {
+    it('takes added catalog parts out of stock as Used', async () => {
+      await inventoryService.syncWorkOrderParts([], [
+        { part: brakePads, quantity: 2 },
+        { part: brakePads, quantity: 1 },
+        { name: 'Shop supplies', quantity: 4 }
+      ], { workOrder: 'wo-1', user });
+
+      expect(stock[brakePads]).toBe(7);
+      expect(movements).toEqual([expect.objectContaining({
+        part: brakePads,
+        type: 'Used',
+        quantity: -3,
+        quantityAfter: 7,
+        workOrder: 'wo-1',
+        performedByName: 'Service Writer'
+      })]);
+    });
+
+    it('returns removed and reduced parts to stock', async () => {
+      await inventoryService.syncWorkOrderParts(
+        [{ part: brakePads, quantity: 4 }, { part: oilFilter, quantity: 1 }],
+        [{ part: brakePads, quantity: 1 }],
+        { workOrder: 'wo-1', user }
+      );
+
+      expect(stock[brakePads]).toBe(13);
+      expect(stock[oilFilter]).toBe(6);
+      expect(movements.map(movement => [movement.type, movement.quantity])).toEqual([
+        ['Returned', 3],
+        ['Returned', 1]
+      ]);
+    });
+
+    it('records nothing when quantities are unchanged', async () => {
+      const parts = [{ part: brakePads, quantity: 2 }];
+
+      await inventoryService.syncWorkOrderParts(parts, [{ part: { _id: brakePads }, quantity: 2 }]);
+
+      expect(movements).toHaveLength(0);
+      expect(stock[brakePads]).toBe(10);
+    });
+  });
+
+  describe('deleting a work order', () => {
+    let workOrder;
+
+    const deleteWorkOrder = () => runHandler(workOrderController.deleteWorkOrder, {
+      params: { id: workOrder._id.toString() },
+      user
+    });
+
+    beforeEach(() => {
+      workOrder = new WorkOrder({
+        _id: new mongoose.Types.ObjectId(),
+        parts: [{ part: brakePads, name: 'Brake pads', quantity: 2, price: 40 }]
+      });
+
+      jest.spyOn(WorkOrder, 'findById').mockImplementation(async () => workOrder);
+      jest.spyOn(WorkOrder, 'findByIdAndDelete').mockResolvedValue(workOrder);
+      jest.spyOn(Vehicle, 'findByIdAndUpdate').mockResolvedValue(null);
+    });
+
+    it('returns the parts of an unfinished work order to stock', async () => {
+      workOrder.status = 'Repair In Progress';
+
+      const result = await deleteWorkOrder();
+
+      expect(result.statusCode).toBe(204);
+      expect(stock[brakePads]).toBe(12);
+      expect(movements).toEqual([expect.objectContaining({ type: 'Returned', quantity: 2 })]);
+    });
+
+    it.each([
+      'Repair Complete - Awaiting Payment',
+      'Repair Complete - Invoiced'
+    ])('leaves stock alone when the work order is %s', async (status) => {
+      workOrder.status = status;
+
+      const result = await deleteWorkOrder();
+
+      expect(result.statusCode).toBe(204);
+      expect(stock[brakePads]).toBe(10);
+      expect(movements).toHaveLength(0);
+    });
+  });
+});
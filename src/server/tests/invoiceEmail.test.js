@@ -0,0 +1,150 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const Notification = require('../models/Notification');
+const ShopSettings = require('../models/ShopSettings');
+const Vehicle = require('../models/Vehicle');
+const emailService = require('../services/emailService');
+const emailTransports = require('../services/emailTransports');
+const invoiceController = require('../controllers/invoiceController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('emailing invoices', () => {
+  let invoice;
+  let transport;
+
+  const send = (body = {}) => runHandler(invoiceController.sendInvoiceViaEmail, {
+    params: { id: invoice._id.toString() },
+    body,
+    user: { _id: new mongoose.Types.ObjectId(), name: 'Writer' }
+  });
+
+  beforeEach(() => {
+    invoice = new Invoice({
+      invoiceNumber: 'INV-1001',
+      invoiceDate: new Date('2026-03-02T15:00:00Z'),
+      items: [{ type: 'Labor', description: 'Diagnosis', quantity: 1, unitPrice: 120, total: 120 }],
+      subtotal: 120,
+      total: 120,
+      status: 'Draft',
+      paymentTerms: 'Due on Receipt'
+    });
+    invoice.customer = new Customer({ name: 'Pat <Driver>', phone: '555-123-4567', email: 'pat@example.com' });
+    invoice.vehicle = new Vehicle({ customer: invoice.customer._id, year: 2018, make: 'Honda', model: 'Civic' });
+
+    transport = { name: 'test', send: jest.fn().mockResolvedValue({ provider: 'test', messageId: 'message-1' }) };
+    emailService.setTransport(transport);
+
+    jest.spyOn(Invoice, 'findById').mockImplementation(() => queryResult(invoice));
+    jest.spyOn(invoice, 'save').mockResolvedValue(invoice);
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(new ShopSettings({ businessName: 'Test & Sons Garage' }));
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => {
+      const notification = new Notification(data);
+      notification.save = jest.fn().mockResolvedValue(notification);
+      return notification;
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('sends the invoice PDF to the customer', async () => {
+    const result = await send();
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.message).toBe('Invoice sent to pat@example.com');
+
+    const [message] = transport.send.mock.calls[0];
+    expect(message.to).toBe('pat@example.com');
+    expect(message.subject).toBe('Invoice INV-1001 for 2018 Honda Civic');
+    expect(message.attachments).toEqual([
+      { filename: 'Invoice_INV-1001.pdf', contentType: 'application/pdf', content: expect.any(Buffer) }
+    ]);
+    expect(message.attachments[0].content.toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(message.html).toContain('Pat &lt;Driver&gt;');
+    expect(message.html).toContain('Test &amp; Sons Garage');
+  });
+
+  it('records the send and issues a draft invoice', async () => {
+    await send({ email: 'accounts@example.com', message: 'Thanks again' });
+
+    expect(invoice.emailSends).toHaveLength(1);
+    expect(invoice.emailSends[0]).toMatchObject({
+      recipient: 'accounts@example.com',
+      provider: 'test',
+      providerMessageId: 'message-1'
+    });
+    expect(invoice.emailSends[0].sentAt).toBeInstanceOf(Date);
+    expect(invoice.status).toBe('Issued');
+    expect(invoice.updatedBy).toBe('Writer');
+    expect(transport.send.mock.calls[0][0].text).toContain('Thanks again');
+  });
+
+  it('keeps the status of an invoice that was already issued', async () => {
+    invoice.status = 'Partial';
+    invoice.emailSends.push({ recipient: 'pat@example.com', sentAt: new Date(), provider: 'test', providerMessageId: 'message-0' });
+
+    await send();
+
+    expect(invoice.status).toBe('Partial');
+    expect(invoice.emailSends.map(entry => entry.providerMessageId)).toEqual(['message-0', 'message-1']);
+  });
+
+  it('needs an email address', async () => {
+    invoice.customer.email = undefined;
+
+    const result = await send();
+
+    expect(result.error.statusCode).toBe(400);
+    expect(transport.send).not.toHaveBeenCalled();
+  });
+
+  it('reports a failed send without recording it', async () => {
+    transport.send.mockRejectedValue(new Error('Mailbox unavailable'));
+
+    const result = await send();
+
+    expect(result.error.statusCode).toBe(500);
+    expect(result.error.message).toMatch(/Mailbox unavailable/);
+    expect(invoice.emailSends).toHaveLength(0);
+    expect(invoice.status).toBe('Draft');
+    expect(invoice.save).not.toHaveBeenCalled();
+  });
+
+  describe('the file sink', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'emails-'));
+      process.env.EMAIL_FILE_DIR = directory;
+    });
+
+    afterEach(async () => {
+      delete process.env.EMAIL_FILE_DIR;
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    it('writes each message and its attachments to disk', async () => {
+      const sink = emailTransports.createTransport('file');
+      const pdf = Buffer.from('%PDF-1.3 invoice');
+
+      const { provider, messageId } = await sink.send({
+        to: 'pat@example.com',
+        subject: 'Invoice INV-1001',
+        text: 'Attached',
+        attachments: [{ filename: 'Invoice_INV-1001.pdf', content: pdf, contentType: 'application/pdf' }]
+      });
+
+      expect(provider).toBe('file');
+      const saved = JSON.parse(await fs.readFile(path.join(directory, `${messageId}.json`), 'utf8'));
+      expect(saved).toMatchObject({ to: 'pat@example.com', subject: 'Invoice INV-1001', messageId });
+      expect(saved.attachments[0]).toMatchObject({ filename: 'Invoice_INV-1001.pdf', size: pdf.length });
+      expect(await fs.readFile(path.join(directory, saved.attachments[0].path))).toEqual(pdf);
+    });
+  });
+});
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const ShopSettings = require('../models/ShopSettings');
+const Vehicle = require('../models/Vehicle');
+const WorkOrderNote = require('../models/WorkOrderNote');
+const invoicePdfService = require('../services/invoicePdfService');
+const invoiceController = require('../controllers/invoiceController');
+const { runHandler, queryResult } = require('./helpers');
+
+const ISSUED = new Date('2026-03-02T15:00:00Z');
+
+// Every line of text drawn on the PDF, in order
+const pdfText = (pdf) => [...pdf.toString('latin1').matchAll(/\(((?:\\.|[^\\)])*)\) Tj/g)]
+  .map(([, text]) => text.replace(/\\(.)/g, '$1'));
+
+const buildInvoice = (fields = {}) => {
+  const invoice = new Invoice({
+    invoiceNumber: 'INV-1001',
+    invoiceDate: ISSUED,
+    dueDate: new Date('2026-04-01T15:00:00Z'),
+    items: [
+      { type: 'Part', description: 'Front brake pads', partNumber: 'BP-220', quantity: 2, unitPrice: 40, total: 80 },
+      { type: 'Labor', description: 'Replace front pads', quantity: 1.5, unitPrice: 100, total: 150 }
+    ],
+    subtotal: 230,
+    taxRate: 8,
+    taxAmount: 18.4,
+    total: 248.4,
+    payments: [{ amount: 100, method: 'Cash', date: ISSUED }],
+    status: 'Partial',
+    paymentTerms: 'Net 30',
+    terms: 'Parts are guaranteed for 90 days.',
+    ...fields
+  });
+  invoice.customer = new Customer({
+    name: 'Pat Driver',
+    phone: '555-123-4567',
+    email: 'pat@example.com',
+    address: { street: '12 Main St', city: 'Newark', state: 'NY', zip: '14513' }
+  });
+  invoice.vehicle = new Vehicle({ customer: invoice.customer._id, year: 2018, make: 'Honda', model: 'Civic', vin: '2HGFC2F59JH000001', licensePlate: 'ABC1234' });
+  return invoice;
+};
+
+describe('invoice PDFs', () => {
+  const business = new ShopSettings({ businessName: 'Test Garage', businessPhone: '555-000-1111', timezone: 'America/New_York' });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('draws the invoice as selectable text', async () => {
+    const pdf = await invoicePdfService.generateInvoicePdf(buildInvoice(), { business, customerFacingNotes: [] });
+    const text = pdfText(pdf);
+
+    expect(pdf.toString('latin1', 0, 5)).toBe('%PDF-');
+    expect(text).toEqual(expect.arrayContaining([
+      'Test Garage',
+      'Invoice #: INV-1001',
+      'Date: 03/02/2026',
+      'Due: 04/01/2026',
+      'Pat Driver',
+      'Newark, NY 14513',
+      'Vehicle: 2018 Honda Civic',
+      'VIN: 2HGFC2F59JH000001',
+      'Front brake pads',
+      'BP-220',
+      'Replace front pads',
+      'Tax (8%):',
+      '$18.40',
+      '$248.40',
+      'Payment 03/02/2026 (Cash):',
+      '-$100.00',
+      '$148.40',
+      'Parts are guaranteed for 90 days.',
+      'Payment Terms: Net 30',
+      'Test Garage | 555-000-1111 | www.phxautogroup.com'
+    ]));
+    expect(text.indexOf('Amount Due:')).toBe(text.indexOf('$148.40') - 1);
+  });
+
+  it('shows dates in the shop timezone', async () => {
+    const lateEvening = new Date('2026-03-03T03:00:00Z');
+    const invoice = buildInvoice({ invoiceDate: lateEvening, dueDate: undefined });
+
+    const eastern = pdfText(await invoicePdfService.generateInvoicePdf(invoice, { business, customerFacingNotes: [] }));
+    const london = pdfText(await invoicePdfService.generateInvoicePdf(invoice, {
+      business: new ShopSettings({ timezone: 'Europe/London' }),
+      customerFacingNotes: []
+    }));
+
+    expect(eastern).toContain('Date: 03/02/2026');
+    expect(london).toContain('Date: 03/03/2026');
+  });
+
+  it('prints the work order\'s customer-facing notes and the shop settings by default', async () => {
+    const workOrderId = new mongoose.Types.ObjectId();
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(business);
+    jest.spyOn(WorkOrderNote, 'find').mockImplementation(() => queryResult([
+      new WorkOrderNote({ workOrder: workOrderId, content: 'Rear pads at 4mm, check next visit', isCustomerFacing: true, createdAt: ISSUED })
+    ]));
+
+    const text = pdfText(await invoicePdfService.generateInvoicePdf(buildInvoice({ workOrder: workOrderId })));
+
+    expect(WorkOrderNote.find).toHaveBeenCalledWith({ workOrder: workOrderId, isCustomerFacing: true });
+    expect(text).toEqual(expect.arrayContaining(['Work Order Notes:', 'Rear pads at 4mm, check next visit', 'Test Garage']));
+  });
+
+  it('continues long invoices on more pages with the table header repeated', async () => {
+    const items = Array.from({ length: 60 }, (_, index) => ({
+      type: 'Part', description: `Part ${index + 1}`, quantity: 1, unitPrice: 1, total: 1
+    }));
+
+    const text = pdfText(await invoicePdfService.generateInvoicePdf(buildInvoice({ items }), { business, customerFacingNotes: [] }));
+
+    const pages = text.filter(line => /^Page \d+ of \d+$/.test(line));
+    expect(text).toContain('Part 60');
+    expect(pages.length).toBeGreaterThan(1);
+    expect(pages).toEqual(pages.map((_, index) => `Page ${index + 1} of ${pages.length}`));
+    expect(text.filter(line => line === 'Part #')).toHaveLength(2);
+  });
+
+  describe('downloading', () => {
+    let invoice;
+
+    const download = (query = {}) => runHandler(invoiceController.generatePDF, {
+      params: { id: invoice._id.toString() },
+      query
+    });
+
+    beforeEach(() => {
+      invoice = buildInvoice({ invoiceNumber: 'INV 1001/A' });
+      jest.spyOn(Invoice, 'findById').mockImplementation(() => queryResult(invoice));
+      jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(business);
+    });
+
+    it('sends the PDF to open in the browser', async () => {
+      const result = await download();
+
+      expect(result.statusCode).toBe(200);
+      expect(result.headers).toEqual({
+        'Content-Type': 'application/pdf',
+        'Content-Length': result.body.length,
+        'Content-Disposition': 'inline; filename="Invoice_INV_1001_A.pdf"'
+      });
+      expect(pdfText(result.body)).toContain('Invoice #: INV 1001/A');
+    });
+
+    it('sends the PDF as a download when asked', async () => {
+      const result = await download({ download: 'true' });
+
+      expect(result.headers['Content-Disposition']).toBe('attachment; filename="Invoice_INV_1001_A.pdf"');
+    });
+
+    it('answers 404 for an unknown invoice', async () => {
+      Invoice.findById.mockImplementation(() => queryResult(null));
+
+      const result = await download();
+
+      expect(result.error.statusCode).toBe(404);
+    });
+  });
+});
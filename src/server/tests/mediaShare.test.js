@@ -0,0 +1,188 @@
+const mongoose = require('mongoose');
+const Media = require('../models/Media');
+const mediaController = require('../controllers/mediaController');
+const storageService = require('../services/storageService');
+const twilioService = require('../services/twilioService');
+const { runHandler, queryResult } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+const tokenFrom = (link) => link.url.split('/api/media/shared/')[1];
+
+describe('media share links', () => {
+  let media;
+
+  const openLink = (token) => runHandler(mediaController.getSharedMedia, { params: { token } });
+
+  beforeEach(() => {
+    process.env.MEDIA_SHARE_SECRET = 'test-share-secret';
+    media = new Media({
+      _id: new mongoose.Types.ObjectId(),
+      type: 'Diagnostic',
+      fileName: 'brakes.jpg',
+      fileType: 'image/jpeg',
+      fileSize: 1024,
+      storageKey: 'media/brakes.jpg',
+      storageDriver: 'local',
+      uploadedBy: 'Alex'
+    });
+    media.save = jest.fn().mockResolvedValue(media);
+
+    jest.spyOn(Media, 'findById').mockImplementation(() => queryResult(media));
+    jest.spyOn(Media, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(storageService, 'getSignedUrl').mockImplementation((key) => `https://files.test/${key}`);
+  });
+
+  afterEach(() => {
+    delete process.env.MEDIA_SHARE_SECRET;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  describe('signing and checking tokens', () => {
+    it('signs a token that names the media and the share', () => {
+      const share = media.addShare({ channel: 'SMS', phone: '5551234567', sharedBy: 'Alex' }, 24);
+      const claims = Media.verifyShareToken(tokenFrom(media.generateSharingLink(share)));
+
+      expect(media.isShared).toBe(true);
+      expect(claims).toEqual({ mediaId: media._id.toString(), shareId: share._id.toString(), expired: false });
+    });
+
+    it('refuses a token whose signature does not match', () => {
+      const token = tokenFrom(media.generateSharingLink(media.addShare({ email: 'pat@example.com' })));
+      const [payload, signature] = token.split('.');
+      const otherMedia = Buffer.from(
+        Buffer.from(payload, 'base64url').toString().replace(media._id.toString(), new mongoose.Types.ObjectId().toString())
+      ).toString('base64url');
+
+      expect(Media.verifyShareToken(`${otherMedia}.${signature}`)).toBeNull();
+      expect(Media.verifyShareToken(`${payload}.${signature.slice(0, -2)}`)).toBeNull();
+      expect(Media.verifyShareToken('not-a-token')).toBeNull();
+    });
+
+    it('refuses tokens signed with another secret', () => {
+      const token = tokenFrom(media.generateSharingLink(media.addShare({ email: 'pat@example.com' })));
+      process.env.MEDIA_SHARE_SECRET = 'another-secret';
+
+      expect(Media.verifyShareToken(token)).toBeNull();
+    });
+
+    it('reports a token as expired once its time has passed', () => {
+      jest.useFakeTimers({ now: new Date('2026-03-02T15:00:00Z') });
+      const token = tokenFrom(media.generateSharingLink(media.addShare({ email: 'pat@example.com' }, 2)));
+
+      jest.setSystemTime(Date.now() + HOUR);
+      expect(Media.verifyShareToken(token).expired).toBe(false);
+
+      jest.setSystemTime(Date.now() + 2 * HOUR);
+      expect(Media.verifyShareToken(token).expired).toBe(true);
+    });
+  });
+
+  describe('sending a link by text', () => {
+    let order;
+
+    const shareBySMS = () => runHandler(mediaController.shareMediaViaSMS, {
+      params: { id: media._id.toString() },
+      body: { phone: '555-123-4567', expiresInHours: 72 },
+      user: { name: 'Alex' }
+    });
+
+    beforeEach(() => {
+      order = [];
+      media.populate = jest.fn().mockResolvedValue(media);
+      media.save.mockImplementation(async () => {
+        order.push(`save:${media.sharedWith.length}`);
+        return media;
+      });
+      jest.spyOn(twilioService, 'shareMedia').mockImplementation(async () => {
+        order.push('send');
+      });
+    });
+
+    it('attaches the photo with a storage URL that only lasts for the send', async () => {
+      const result = await shareBySMS();
+
+      expect(result.statusCode).toBe(200);
+      expect(storageService.getSignedUrl).toHaveBeenCalledWith('media/brakes.jpg', 15 * 60, 'local');
+      expect(twilioService.shareMedia.mock.calls[0][4]).toMatchObject({
+        to: '+15551234567',
+        mediaUrl: 'https://files.test/media/brakes.jpg'
+      });
+    });
+
+    it('saves the share before the text goes out', async () => {
+      await shareBySMS();
+
+      expect(order).toEqual(['save:1', 'send']);
+    });
+
+    it('takes the share back off when the text fails', async () => {
+      twilioService.shareMedia.mockRejectedValue(Object.assign(new Error('Failed to send SMS'), { statusCode: 500 }));
+
+      const result = await shareBySMS();
+
+      expect(result.error.statusCode).toBe(500);
+      expect(order).toEqual(['save:1', 'save:0']);
+      expect(media.isShared).toBe(false);
+    });
+  });
+
+  describe('opening a link', () => {
+    it('counts the view and sends the customer to the file', async () => {
+      const share = media.addShare({ email: 'pat@example.com' });
+
+      const result = await openLink(tokenFrom(media.generateSharingLink(share)));
+
+      expect(result.statusCode).toBe(302);
+      expect(result.redirect).toBe('https://files.test/media/brakes.jpg');
+      expect(Media.updateOne).toHaveBeenCalledWith(
+        { _id: media._id, 'sharedWith._id': share._id },
+        expect.objectContaining({ $inc: { 'sharedWith.$.viewCount': 1 } })
+      );
+    });
+
+    it('answers 410 for an expired link', async () => {
+      const share = media.addShare({ email: 'pat@example.com' }, 1);
+      share.expiresAt = new Date(Date.now() - HOUR);
+
+      const result = await openLink(tokenFrom(media.generateSharingLink(share)));
+
+      expect(result.error.statusCode).toBe(410);
+      expect(Media.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('answers 404 for a forged link', async () => {
+      const result = await openLink('eyJmYWtlIjp0cnVlfQ.forged');
+
+      expect(result.error.statusCode).toBe(404);
+    });
+
+    it('answers 410 once the link is turned off', async () => {
+      const share = media.addShare({ email: 'pat@example.com' });
+      const token = tokenFrom(media.generateSharingLink(share));
+
+      const revoked = await runHandler(mediaController.revokeShare, {
+        params: { id: media._id.toString(), shareId: share._id.toString() }
+      });
+      expect(revoked.statusCode).toBe(200);
+      expect(share.revokedAt).toBeInstanceOf(Date);
+      expect(media.isShared).toBe(false);
+
+      const result = await openLink(token);
+      expect(result.error.statusCode).toBe(410);
+    });
+
+    it('keeps the media shared while another link is still on', async () => {
+      const first = media.addShare({ email: 'pat@example.com' });
+      const second = media.addShare({ channel: 'SMS', phone: '5551234567' });
+
+      await runHandler(mediaController.revokeShare, {
+        params: { id: media._id.toString(), shareId: first._id.toString() }
+      });
+
+      expect(media.isShared).toBe(true);
+      expect((await openLink(tokenFrom(media.generateSharingLink(second)))).statusCode).toBe(302);
+    });
+  });
+});
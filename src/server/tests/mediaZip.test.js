@@ -0,0 +1,135 @@
+const zlib = require('zlib');
+const mongoose = require('mongoose');
+const express = require('express');
+const request = require('supertest');
+const Media = require('../models/Media');
+const WorkOrder = require('../models/WorkOrder');
+const storageService = require('../services/storageService');
+const mediaController = require('../controllers/mediaController');
+const { queryResult } = require('./helpers');
+
+// Just the download, without the login in front of it
+const app = express();
+app.get('/api/media/work-orders/:workOrderId/zip', mediaController.downloadWorkOrderZip);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ message: err.message });
+});
+
+// Name and contents of every file in a ZIP, read from its central directory
+const readZip = (zip) => {
+  const files = {};
+  const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  let offset = zip.readUInt32LE(end + 16);
+  for (let count = zip.readUInt16LE(end + 10); count > 0; count--) {
+    const method = zip.readUInt16LE(offset + 10);
+    const size = zip.readUInt32LE(offset + 20);
+    const nameLength = zip.readUInt16LE(offset + 28);
+    const local = zip.readUInt32LE(offset + 42);
+    const name = zip.toString('utf8', offset + 46, offset + 46 + nameLength);
+    const start = local + 30 + zip.readUInt16LE(local + 26) + zip.readUInt16LE(local + 28);
+    const data = zip.subarray(start, start + size);
+    files[name] = (method === 8 ? zlib.inflateRawSync(data) : data).toString();
+    offset += 46 + nameLength + zip.readUInt16LE(offset + 30) + zip.readUInt16LE(offset + 32);
+  }
+  return files;
+};
+
+const download = (workOrderId) => request(app)
+  .get(`/api/media/work-orders/${workOrderId}/zip`)
+  .buffer(true)
+  .parse((res, callback) => {
+    const chunks = [];
+    res.on('data', chunk => chunks.push(chunk));
+    res.on('end', () => callback(null, Buffer.concat(chunks)));
+  });
+
+describe('downloading a work order as a ZIP', () => {
+  let workOrder;
+  let media;
+  let files;
+
+  const addMedia = (fields) => {
+    media.push(new Media({
+      workOrder: workOrder._id,
+      fileType: 'application/pdf',
+      uploadedBy: 'Alex',
+      storageDriver: 'local',
+      ...fields
+    }));
+  };
+
+  beforeEach(() => {
+    workOrder = { _id: new mongoose.Types.ObjectId() };
+    media = [];
+    files = {};
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(WorkOrder, 'findById').mockImplementation(() => queryResult(workOrder));
+    jest.spyOn(Media, 'find').mockImplementation(() => queryResult(media));
+    jest.spyOn(storageService, 'getFileBuffer').mockImplementation(async (key) => {
+      if (!(key in files)) throw new Error(`No file ${key}`);
+      return Buffer.from(files[key]);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('puts each file in a folder for its type and renames duplicates', async () => {
+    addMedia({ type: 'Diagnostic', fileName: 'scan.pdf', storageKey: 'a-scan.pdf' });
+    addMedia({ type: 'Diagnostic', fileName: 'scan.pdf', storageKey: 'b-scan.pdf' });
+    addMedia({ type: 'Parts Receipt', fileName: 'receipt.pdf', storageKey: 'c-receipt.pdf' });
+    Object.assign(files, { 'a-scan.pdf': 'first scan', 'b-scan.pdf': 'second scan', 'c-receipt.pdf': 'receipt' });
+
+    const res = await download(workOrder._id);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('application/zip');
+    expect(res.headers['content-disposition']).toBe(`attachment; filename="WorkOrder_${workOrder._id}_Media.zip"`);
+    expect(readZip(res.body)).toEqual({
+      'Diagnostic/scan.pdf': 'first scan',
+      'Diagnostic/scan (2).pdf': 'second scan',
+      'Parts Receipt/receipt.pdf': 'receipt'
+    });
+  });
+
+  it('adds the annotated copy of a photo next to the original', async () => {
+    addMedia({
+      type: 'Diagnostic',
+      fileName: 'rotor.jpg',
+      fileType: 'image/jpeg',
+      storageKey: 'rotor.jpg',
+      annotations: { rendered: { web: { key: 'rotor-annotated-web.jpg', fileType: 'image/jpeg' } } }
+    });
+    Object.assign(files, { 'rotor.jpg': 'plain photo', 'rotor-annotated-web.jpg': 'marked photo' });
+
+    const res = await download(workOrder._id);
+
+    expect(readZip(res.body)).toEqual({
+      'Diagnostic/rotor.jpg': 'plain photo',
+      'Diagnostic/rotor-annotated.jpg': 'marked photo'
+    });
+  });
+
+  it('lists files that could not be read instead of failing the download', async () => {
+    addMedia({ type: 'Diagnostic', fileName: 'scan.pdf', storageKey: 'scan.pdf' });
+    addMedia({ type: 'Diagnostic', fileName: 'lost.pdf', storageKey: 'lost.pdf' });
+    files['scan.pdf'] = 'scan';
+
+    const res = await download(workOrder._id);
+
+    expect(res.status).toBe(200);
+    expect(readZip(res.body)).toEqual({
+      'Diagnostic/scan.pdf': 'scan',
+      'missing-files.txt': 'These files could not be read from storage:\nlost.pdf\n'
+    });
+  });
+
+  it('answers 404 for a work order without files', async () => {
+    const res = await download(workOrder._id);
+
+    expect(res.status).toBe(404);
+    expect(storageService.getFileBuffer).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,123 @@
+const MessageTemplate = require('../models/MessageTemplate');
+const ShopSettings = require('../models/ShopSettings');
+const templateService = require('../services/templateService');
+const twilioService = require('../services/twilioService');
+
+describe('message templates', () => {
+  let templates;
+  let customer;
+  let vehicle;
+  let appointment;
+
+  beforeEach(() => {
+    templates = [
+      new MessageTemplate({
+        event: 'appointment-reminder',
+        channel: 'SMS',
+        body: 'Hi {{customer.firstName}}, see you {{appointment.startTime}} for your {{vehicle.displayName}}. - {{shop.name}}'
+      }),
+      new MessageTemplate({
+        event: 'appointment-reminder',
+        channel: 'Email',
+        subject: 'Reminder: {{appointment.serviceType}} on {{appointment.date}}',
+        body: 'Hello {{customer.name}},\n\nWe will see you at {{appointment.time}}.\nCall {{shop.phone}} to change it.'
+      }),
+      new MessageTemplate({
+        event: 'status-update',
+        channel: 'SMS',
+        status: 'Parts Ordered',
+        body: 'Parts are on order for your {{vehicle.displayName}}.'
+      })
+    ];
+    customer = { name: 'Pat Driver', phone: '5551234567', email: 'pat@example.com' };
+    vehicle = { year: 2018, make: 'Honda', model: 'Civic' };
+    appointment = { startTime: new Date('2026-03-03T14:00:00Z'), endTime: new Date('2026-03-03T15:00:00Z'), serviceType: 'Oil Change' };
+
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(new ShopSettings({
+      businessName: 'Main Street Auto',
+      businessPhone: '555-000-1111',
+      timezone: 'America/New_York'
+    }));
+    jest.spyOn(MessageTemplate, 'findActive').mockImplementation(async (event, channel, status) =>
+      templates.find(template => template.event === event && template.channel === channel &&
+        template.active && (template.status || null) === (template.event === 'status-update' ? status : null)) || null
+    );
+    jest.spyOn(twilioService, 'sendSMS').mockResolvedValue({ sid: 'SM123' });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('fills in the active template for the records it is sent with', async () => {
+    const message = await templateService.renderEvent('appointment-reminder', 'SMS', { customer, vehicle, appointment });
+
+    expect(message.body).toBe('Hi Pat, see you Tue, Mar 3 at 9:00 AM for your 2018 Honda Civic. - Main Street Auto');
+    expect(message.subject).toBeUndefined();
+    expect(message.html).toBeUndefined();
+  });
+
+  it('fills in the subject and turns the body into escaped HTML for email', async () => {
+    customer.name = 'Pat <Driver>';
+
+    const message = await templateService.renderEvent('appointment-reminder', 'Email', { customer, vehicle, appointment });
+
+    expect(message.subject).toBe('Reminder: Oil Change on 3/3/2026');
+    expect(message.html).toBe('<p>Hello Pat &lt;Driver&gt;,</p>\n<p>We will see you at 9:00 AM.<br>Call 555-000-1111 to change it.</p>');
+  });
+
+  it('refuses to render with a placeholder left blank', async () => {
+    delete customer.name;
+    appointment.serviceType = '';
+
+    await expect(templateService.renderEvent('appointment-reminder', 'Email', { customer, vehicle, appointment }))
+      .rejects.toMatchObject({
+        statusCode: 400,
+        message: 'The Appointment Reminder email was not sent: no value for {{appointment.serviceType}}, {{customer.name}}'
+      });
+  });
+
+  it('does not send a text with a placeholder left blank', async () => {
+    delete customer.name;
+
+    await expect(twilioService.sendAppointmentReminder(appointment, customer, vehicle)).rejects.toThrow(/was not sent: no value for \{\{customer.firstName\}\}/);
+    expect(twilioService.sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('sends nothing when the template is turned off', async () => {
+    templates[0].active = false;
+
+    const sent = await twilioService.sendAppointmentReminder(appointment, customer, vehicle);
+
+    expect(sent).toBeNull();
+    expect(twilioService.sendSMS).not.toHaveBeenCalled();
+  });
+
+  it('uses the template for the work order\'s status', async () => {
+    const partsOrdered = await templateService.renderEvent('status-update', 'SMS', { customer, vehicle, workOrder: { status: 'Parts Ordered' } });
+    const inProgress = await templateService.renderEvent('status-update', 'SMS', { customer, vehicle, workOrder: { status: 'Repair In Progress' } });
+
+    expect(partsOrdered.body).toBe('Parts are on order for your 2018 Honda Civic.');
+    expect(inProgress).toBeNull();
+  });
+
+  it('lists blank placeholders in a preview instead of refusing', async () => {
+    const values = await templateService.buildValues({ customer });
+
+    const preview = templateService.render(templates[0], values);
+
+    expect(preview.body).toBe('Hi Pat, see you {{appointment.startTime}} for your vehicle. - Main Street Auto');
+    expect(preview.missing).toEqual(['appointment.startTime']);
+  });
+
+  it('has a sample value for every placeholder', async () => {
+    jest.spyOn(ShopSettings, 'getTimezone').mockResolvedValue('America/New_York');
+    const settings = await ShopSettings.getSettings();
+    settings.businessEmail = 'service@example.com';
+
+    const values = await templateService.buildValues(await templateService.sampleRecords());
+
+    const blank = Object.keys(MessageTemplate.PLACEHOLDERS).filter(path => !values[path]);
+    expect(blank).toEqual([]);
+  });
+});
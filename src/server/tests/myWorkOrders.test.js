@@ -0,0 +1,134 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const express = require('express');
+const request = require('supertest');
+const Appointment = require('../models/Appointment');
+const ShopSettings = require('../models/ShopSettings');
+const Technician = require('../models/Technician');
+const User = require('../models/User');
+const WorkOrder = require('../models/WorkOrder');
+const workOrderRoutes = require('../routes/workOrderRoutes');
+const { queryResult } = require('./helpers');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Just the work order routes, mounted the way app.js mounts them
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.cookies = {};
+  next();
+});
+app.use('/api/workorders', workOrderRoutes);
+app.use((err, req, res, next) => {
+  res.status(err.statusCode || 500).json({ message: err.message });
+});
+
+// Whether a stored value passes a { $nin } or { $gte } condition, or equals the value asked for
+const matches = (value, condition) => {
+  if (condition && condition.$nin) return !condition.$nin.includes(value);
+  if (condition && condition.$gte) return value >= condition.$gte;
+  return String(value) === String(condition);
+};
+const filterBy = (records, query) => records.filter(record =>
+  Object.entries(query).every(([field, condition]) => matches(record[field], condition))
+);
+
+describe('a technician\'s own work', () => {
+  let user;
+  let technician;
+  let otherTechnician;
+  let workOrders;
+  let appointments;
+
+  const getMine = () => request(app)
+    .get('/api/workorders/mine')
+    .set('Authorization', `Bearer ${jwt.sign({ id: user._id }, process.env.JWT_SECRET)}`);
+
+  beforeEach(() => {
+    process.env.JWT_SECRET = 'test-jwt-secret';
+    user = new User({ _id: new mongoose.Types.ObjectId(), name: 'Tech Login', email: 'tech@example.com', role: 'technician' });
+    technician = new Technician({ _id: new mongoose.Types.ObjectId(), name: 'Sam Wrench', user: user._id });
+    otherTechnician = new Technician({ _id: new mongoose.Types.ObjectId(), name: 'Lee Bolt' });
+
+    const workOrder = (status, assignedTechnician) => ({ _id: new mongoose.Types.ObjectId(), status, assignedTechnician });
+    workOrders = [
+      workOrder('In Progress', technician._id),
+      workOrder('Parts Ordered', technician._id),
+      workOrder('Repair Complete - Invoiced', technician._id),
+      workOrder('Cancelled', technician._id),
+      workOrder('In Progress', otherTechnician._id)
+    ];
+
+    const appointment = (daysFromNow, status, tech) => ({
+      _id: new mongoose.Types.ObjectId(),
+      startTime: new Date(Date.now() + daysFromNow * DAY),
+      status,
+      technician: tech._id
+    });
+    appointments = [
+      appointment(1, 'Scheduled', technician),
+      appointment(2, 'Confirmed', technician),
+      appointment(-2, 'Scheduled', technician),
+      appointment(1, 'Cancelled', technician),
+      appointment(1, 'Scheduled', otherTechnician)
+    ];
+
+    jest.spyOn(User, 'findById').mockResolvedValue(user);
+    jest.spyOn(ShopSettings, 'getTimezone').mockResolvedValue('America/New_York');
+    jest.spyOn(Technician, 'findOne').mockImplementation(async (query) =>
+      [technician, otherTechnician].find(tech => tech.user && tech.user.equals(query.user) && query.isActive) || null
+    );
+    jest.spyOn(WorkOrder, 'find').mockImplementation((query) => queryResult(filterBy(workOrders, query)));
+    jest.spyOn(Appointment, 'find').mockImplementation((query) => queryResult(filterBy(appointments, query)));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lists only their open work orders', async () => {
+    const res = await getMine();
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.technician.name).toBe('Sam Wrench');
+    expect(res.body.data.workOrders.map(workOrder => workOrder._id)).toEqual(
+      [workOrders[0]._id, workOrders[1]._id].map(String)
+    );
+  });
+
+  it('lists only their upcoming appointments', async () => {
+    const res = await getMine();
+
+    expect(res.body.data.appointments.map(appointment => appointment._id)).toEqual(
+      [appointments[0]._id, appointments[1]._id].map(String)
+    );
+  });
+
+  it('explains when the login is not linked to a technician', async () => {
+    technician.user = undefined;
+
+    const res = await getMine();
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toMatch(/not linked to a technician profile/);
+    expect(WorkOrder.find).not.toHaveBeenCalled();
+  });
+
+  it('ignores a technician profile that is no longer active', async () => {
+    Technician.findOne.mockResolvedValue(null);
+
+    const res = await getMine();
+
+    expect(res.status).toBe(404);
+    expect(Technician.findOne).toHaveBeenCalledWith({ user: user._id, isActive: true });
+  });
+
+  it('is not mistaken for a work order ID', async () => {
+    const findById = jest.spyOn(WorkOrder, 'findById');
+
+    await getMine();
+
+    expect(findById).not.toHaveBeenCalled();
+  });
+});
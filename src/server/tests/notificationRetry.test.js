@@ -0,0 +1,106 @@
+const Notification = require('../models/Notification');
+const notificationService = require('../services/notificationService');
+
+const MINUTE = 60 * 1000;
+const START = new Date('2026-03-02T15:00:00Z');
+
+describe('notification retry backoff', () => {
+  let outbox;
+  let transport;
+
+  const sendEmail = (data = {}) => notificationService.queue({
+    channel: 'Email',
+    template: 'invoice',
+    to: 'pat@example.com',
+    payload: { subject: 'Your invoice', text: 'Thanks for your business' },
+    ...data
+  });
+
+  // Move the clock on and let the worker pick up whatever is due
+  const runWorkerAt = (minutesLater) => {
+    jest.setSystemTime(new Date(START.getTime() + minutesLater * MINUTE));
+    return notificationService.processQueue(new Date());
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: START });
+    outbox = [];
+    transport = { name: 'test', send: jest.fn().mockRejectedValue(new Error('Provider unavailable')) };
+    notificationService.setEmailTransport(transport);
+
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Notification, 'create').mockImplementation(async (data) => {
+      const notification = new Notification(data);
+      notification.save = jest.fn().mockResolvedValue(notification);
+      outbox.push(notification);
+      return notification;
+    });
+    jest.spyOn(Notification, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    // Claims the next due notification the way the worker's query does
+    jest.spyOn(Notification, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const notification = outbox.find(item =>
+        item.status === filter.status && item.nextAttemptAt <= filter.nextAttemptAt.$lte
+      );
+      if (!notification) return null;
+      notification.set(update.$set);
+      notification.attempts += update.$inc.attempts;
+      return notification;
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('queues a failed send for a retry one minute later', async () => {
+    const notification = await sendEmail();
+
+    expect(notification.status).toBe('Queued');
+    expect(notification.attempts).toBe(1);
+    expect(notification.lastError).toBe('Provider unavailable');
+    expect(notification.nextAttemptAt - START).toBe(MINUTE);
+  });
+
+  it('waits 1, 5 and 30 minutes between attempts, then gives up', async () => {
+    const notification = await sendEmail();
+
+    expect(await runWorkerAt(0.5)).toBe(0);
+
+    expect(await runWorkerAt(1)).toBe(1);
+    expect(notification.attempts).toBe(2);
+    expect(notification.nextAttemptAt - Date.now()).toBe(5 * MINUTE);
+
+    expect(await runWorkerAt(4)).toBe(0);
+    expect(await runWorkerAt(6)).toBe(1);
+    expect(notification.attempts).toBe(3);
+    expect(notification.nextAttemptAt - Date.now()).toBe(30 * MINUTE);
+
+    expect(await runWorkerAt(36)).toBe(1);
+    expect(notification.attempts).toBe(4);
+    expect(notification.status).toBe('Failed');
+    expect(notification.nextAttemptAt).toBeNull();
+
+    expect(await runWorkerAt(600)).toBe(0);
+    expect(transport.send).toHaveBeenCalledTimes(4);
+  });
+
+  it('marks a retried send as sent once the provider accepts it', async () => {
+    const notification = await sendEmail();
+    transport.send.mockResolvedValue({ provider: 'test', messageId: 'msg-1', status: 'queued' });
+
+    await runWorkerAt(1);
+
+    expect(notification.status).toBe('Sent');
+    expect(notification.providerId).toBe('msg-1');
+    expect(notification.nextAttemptAt).toBeNull();
+  });
+
+  it('fails at once when the sender asked not to retry', async () => {
+    await expect(sendEmail({ retry: false })).rejects.toMatchObject({ statusCode: 500 });
+
+    expect(outbox[0].status).toBe('Failed');
+    expect(outbox[0].nextAttemptAt).toBeNull();
+    expect(transport.send).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+const Estimate = require('../models/Estimate');
+const Invoice = require('../models/Invoice');
+const Media = require('../models/Media');
+const ShopSettings = require('../models/ShopSettings');
+const WorkOrder = require('../models/WorkOrder');
+const WorkOrderNote = require('../models/WorkOrderNote');
+const storageService = require('../services/storageService');
+const workOrderController = require('../controllers/workOrderController');
+const { runHandler, queryResult } = require('./helpers');
+
+const HOUR = 60 * 60 * 1000;
+
+// The parts of a sharedWith $elemMatch the status page asks for
+const matchesShare = (share, match) =>
+  (!('revokedAt' in match) || (share.revokedAt || null) === match.revokedAt) &&
+  (!match.expiresAt || share.expiresAt > match.expiresAt.$gt);
+
+describe('customer status page media', () => {
+  let workOrder;
+  let media;
+
+  const addMedia = (fileName, share) => {
+    const item = new Media({ workOrder: workOrder._id, fileName });
+    if (share) item.sharedWith.push(share);
+    item.isShared = Boolean(share);
+    media.push(item);
+  };
+
+  beforeEach(() => {
+    workOrder = new WorkOrder({
+      _id: new mongoose.Types.ObjectId(),
+      statusLink: { token: 'status-token', expiresAt: new Date(Date.now() + HOUR) }
+    });
+    media = [];
+
+    jest.spyOn(WorkOrder, 'findOne').mockImplementation(() => queryResult(workOrder));
+    jest.spyOn(WorkOrder, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+    jest.spyOn(WorkOrderNote, 'find').mockImplementation(() => queryResult([]));
+    jest.spyOn(Estimate, 'findOne').mockImplementation(() => queryResult(null));
+    jest.spyOn(Invoice, 'findOne').mockImplementation(() => queryResult(null));
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(new ShopSettings());
+    jest.spyOn(Media, 'find').mockImplementation((filter) => queryResult(
+      media.filter(item => {
+        if (!item.workOrder.equals(filter.workOrder)) return false;
+        if ('isShared' in filter && item.isShared !== filter.isShared) return false;
+        const match = filter.sharedWith && filter.sharedWith.$elemMatch;
+        return !match || item.sharedWith.some(share => matchesShare(share, match));
+      })
+    ));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('shows only media with a live share link', async () => {
+    addMedia('live.jpg', { expiresAt: new Date(Date.now() + HOUR) });
+    addMedia('expired.jpg', { expiresAt: new Date(Date.now() - HOUR) });
+    addMedia('revoked.jpg', { expiresAt: new Date(Date.now() + HOUR), revokedAt: new Date() });
+    addMedia('never-shared.jpg');
+
+    const result = await runHandler(workOrderController.getPublicWorkOrder, {
+      params: { token: 'status-token' }
+    });
+
+    expect(result.statusCode).toBe(200);
+    expect(result.body.data.workOrder.media.map(item => item.fileName)).toEqual(['live.jpg']);
+  });
+
+  it('still shows the page when a file link cannot be made', async () => {
+    addMedia('lost.jpg', { expiresAt: new Date(Date.now() + HOUR) });
+    addMedia('fine.jpg', { expiresAt: new Date(Date.now() + HOUR) });
+    media.forEach(item => {
+      item.storageKey = `work-orders/${item.fileName}`;
+      item.storageDriver = 'local';
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(storageService, 'getSignedUrl').mockImplementation((key) => {
+      if (key.startsWith('work-orders/lost')) throw new Error('No storage driver');
+      return `https://files.test/${key}`;
+    });
+
+    const result = await runHandler(workOrderController.getPublicWorkOrder, {
+      params: { token: 'status-token' }
+    });
+
+    expect(result.statusCode).toBe(200);
+    const [lost, fine] = result.body.data.workOrder.media;
+    expect(lost).toMatchObject({ fileName: 'lost.jpg', url: null, thumbnailUrl: null });
+    expect(fine.url).toMatch(/^https:\/\/files\.test\/work-orders\/fine/);
+  });
+});
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+const Part = require('../models/Part');
+const PurchaseOrder = require('../models/PurchaseOrder');
+const StockMovement = require('../models/StockMovement');
+const WorkOrder = require('../models/WorkOrder');
+const purchaseOrderController = require('../controllers/purchaseOrderController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('receiving purchase orders', () => {
+  let purchaseOrder;
+  let stock;
+  let movements;
+  let workOrders;
+
+  const brakePads = new mongoose.Types.ObjectId();
+  const user = { _id: new mongoose.Types.ObjectId(), name: 'Parts Manager' };
+
+  const receive = (items, notes) => runHandler(purchaseOrderController.receivePurchaseOrder, {
+    params: { id: purchaseOrder._id.toString() },
+    body: { items, notes },
+    user
+  });
+
+  const line = (index) => purchaseOrder.items[index];
+
+  beforeEach(() => {
+    const workOrderId = new mongoose.Types.ObjectId();
+    workOrders = [new WorkOrder({ _id: workOrderId, status: 'Parts Ordered', parts: [{ name: 'Rotor', quantity: 2, ordered: true }] })];
+
+    purchaseOrder = new PurchaseOrder({
+      poNumber: 'PO-1001',
+      vendor: 'Parts Plus',
+      status: 'Ordered',
+      items: [
+        { part: brakePads, name: 'Brake pads', quantityOrdered: 4, cost: 30 },
+        { workOrder: workOrderId, workOrderPart: workOrders[0].parts[0]._id, name: 'Rotor', quantityOrdered: 2, cost: 60 }
+      ]
+    });
+    stock = { [brakePads]: 1 };
+    movements = [];
+
+    jest.spyOn(PurchaseOrder, 'findById').mockImplementation(() => queryResult(purchaseOrder));
+    jest.spyOn(purchaseOrder, 'save').mockResolvedValue(purchaseOrder);
+    jest.spyOn(Part, 'findByIdAndUpdate').mockImplementation(async (id, update) => {
+      stock[id] += update.$inc.quantityOnHand;
+      return new Part({ _id: id, name: 'Brake pads', quantityOnHand: stock[id] });
+    });
+    jest.spyOn(StockMovement, 'create').mockImplementation(async (data) => {
+      movements.push(data);
+      return data;
+    });
+    jest.spyOn(WorkOrder, 'updateOne').mockImplementation(async (filter, update) => {
+      const part = workOrders[0].parts.id(filter['parts._id']);
+      if (part) part.received = update.$set['parts.$.received'];
+      return { modifiedCount: 1 };
+    });
+    jest.spyOn(WorkOrder, 'find').mockImplementation(() => queryResult(workOrders));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('puts a partial delivery into stock and leaves the rest outstanding', async () => {
+    const result = await receive([{ item: line(0)._id, quantity: 3 }], 'Box 1 of 2');
+
+    expect(result.statusCode).toBe(200);
+    expect(purchaseOrder.status).toBe('Partially Received');
+    expect(line(0).quantityOutstanding).toBe(1);
+    expect(stock[brakePads]).toBe(4);
+    expect(movements).toEqual([expect.objectContaining({
+      part: brakePads,
+      type: 'Received',
+      quantity: 3,
+      quantityAfter: 4,
+      reason: 'Purchase order PO-1001',
+      performedByName: 'Parts Manager'
+    })]);
+    expect(purchaseOrder.receipts).toHaveLength(1);
+    expect(purchaseOrder.receipts[0]).toMatchObject({ receivedByName: 'Parts Manager', notes: 'Box 1 of 2' });
+  });
+
+  it('adds one stock movement per delivery', async () => {
+    await receive([{ item: line(0)._id, quantity: 1 }]);
+    await receive([{ item: line(0)._id, quantity: 3 }]);
+
+    expect(stock[brakePads]).toBe(5);
+    expect(movements.map(movement => [movement.quantity, movement.quantityAfter])).toEqual([[1, 2], [3, 5]]);
+    expect(purchaseOrder.receipts).toHaveLength(2);
+  });
+
+  it('refuses more than is outstanding without touching stock', async () => {
+    await receive([{ item: line(0)._id, quantity: 3 }]);
+
+    const result = await receive([{ item: line(0)._id, quantity: 2 }]);
+
+    expect(result.error.statusCode).toBe(400);
+    expect(result.error.message).toBe('Cannot receive 2 of Brake pads; 1 outstanding');
+    expect(stock[brakePads]).toBe(4);
+    expect(movements).toHaveLength(1);
+  });
+
+  it('flags what is left as backordered with a new date', async () => {
+    const result = await receive([
+      { item: line(0)._id, quantity: 2, backordered: true, expectedDate: '2026-03-20' }
+    ]);
+
+    expect(result.statusCode).toBe(200);
+    expect(line(0).backordered).toBe(true);
+    expect(line(0).expectedDate).toEqual(new Date('2026-03-20'));
+  });
+
+  it('can mark a backorder without receiving anything', async () => {
+    const result = await receive([{ item: line(1)._id, quantity: 0, backordered: true }]);
+
+    expect(result.statusCode).toBe(200);
+    expect(line(1).backordered).toBe(true);
+    expect(purchaseOrder.status).toBe('Ordered');
+    expect(purchaseOrder.receipts).toHaveLength(0);
+    expect(movements).toHaveLength(0);
+  });
+
+  it('clears the backorder once the line arrives in full', async () => {
+    line(0).backordered = true;
+
+    await receive([{ item: line(0)._id, quantity: 4 }]);
+
+    expect(line(0).backordered).toBe(false);
+  });
+
+  it('marks work order parts received and suggests the next status', async () => {
+    const result = await receive([
+      { item: line(0)._id, quantity: 4 },
+      { item: line(1)._id, quantity: 2 }
+    ]);
+
+    expect(purchaseOrder.status).toBe('Received');
+    expect(purchaseOrder.receivedAt).toBeInstanceOf(Date);
+    expect(workOrders[0].parts[0].received).toBe(true);
+    // Parts for a work order are not catalog stock
+    expect(movements).toHaveLength(1);
+    expect(result.body.data.suggestions).toEqual([
+      expect.objectContaining({ suggestedStatus: 'Parts Received' })
+    ]);
+  });
+
+  it('needs a quantity or a backorder change', async () => {
+    const result = await receive([{ item: line(0)._id, quantity: 0 }]);
+
+    expect(result.error.statusCode).toBe(400);
+    expect(purchaseOrder.save).not.toHaveBeenCalled();
+  });
+
+  it('does not receive a draft order', async () => {
+    purchaseOrder.status = 'Draft';
+
+    const result = await receive([{ item: line(0)._id, quantity: 1 }]);
+
+    expect(result.error.statusCode).toBe(400);
+    expect(stock[brakePads]).toBe(1);
+  });
+});
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const ScheduledJob = require('../models/ScheduledJob');
+const ShopSettings = require('../models/ShopSettings');
+const twilioService = require('../services/twilioService');
+const reminderScheduler = require('../services/reminderScheduler');
+const { queryResult } = require('./helpers');
+
+const at = (time) => new Date(`2026-03-${time}:00Z`);
+
+describe('appointment reminder jobs', () => {
+  let jobs;
+  let appointment;
+
+  // Move the clock on and let the runner plan and send whatever is due
+  const tickAt = (time) => {
+    jest.setSystemTime(at(time));
+    return reminderScheduler.runOnce();
+  };
+  const jobSummary = () => jobs.map(job => [job.key.split(':').slice(2).join(':'), job.status, job.skipReason]);
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: at('02T12:00') });
+    jobs = [];
+    appointment = {
+      _id: new mongoose.Types.ObjectId(),
+      status: 'Scheduled',
+      startTime: at('03T13:00'),
+      createdAt: at('01T09:00'),
+      customer: { name: 'Pat Driver', phone: '5551234567', communicationPreference: 'SMS' }
+    };
+
+    const settings = new ShopSettings({ reminders: { enabled: true, offsetsHours: [24, 2], followUpEnabled: false } });
+    jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(settings);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(twilioService, 'sendAppointmentReminder').mockResolvedValue({ sid: 'SM123' });
+
+    jest.spyOn(Appointment, 'find').mockImplementation((query) => queryResult(
+      [appointment].filter(item => query.status.$in.includes(item.status) &&
+        item.startTime > query.startTime.$gt && item.startTime <= query.startTime.$lte)
+    ));
+    jest.spyOn(Appointment, 'findById').mockImplementation((id) => queryResult(appointment._id.equals(id) ? appointment : null));
+    jest.spyOn(Appointment, 'updateOne').mockImplementation(async (filter, update) => {
+      Object.assign(appointment, update.$set);
+      return { modifiedCount: 1 };
+    });
+
+    // Upserts by key, the way the unique index keeps jobs from doubling up
+    jest.spyOn(ScheduledJob, 'bulkWrite').mockImplementation(async (operations) => {
+      operations.forEach(({ updateOne }) => {
+        if (!jobs.some(job => job.key === updateOne.filter.key)) jobs.push(new ScheduledJob(updateOne.update.$setOnInsert));
+      });
+    });
+    jest.spyOn(ScheduledJob, 'updateMany').mockResolvedValue({ modifiedCount: 0 });
+    // Claims the next due job the way the runner's query does
+    jest.spyOn(ScheduledJob, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      const job = jobs
+        .filter(item => item.status === filter.status && item.runAt <= filter.runAt.$lte)
+        .sort((a, b) => a.runAt - b.runAt)[0];
+      if (!job) return null;
+      job.set(update.$set);
+      job.attempts += update.$inc.attempts;
+      return job;
+    });
+    jest.spyOn(ScheduledJob, 'updateOne').mockImplementation(async (filter, update) => {
+      jobs.find(job => job._id.equals(filter._id)).set(update.$set);
+      return { modifiedCount: 1 };
+    });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  it('plans one job per reminder, keyed by the appointment time', async () => {
+    await tickAt('02T14:00');
+
+    expect(jobs.map(job => job.key)).toEqual([
+      `reminder:${appointment._id}:24h:2026-03-03T13:00:00.000Z`,
+      `reminder:${appointment._id}:2h:2026-03-03T13:00:00.000Z`
+    ]);
+    expect(jobs.map(job => [job.label, job.runAt])).toEqual([
+      ['1d before', at('02T13:00')],
+      ['2h before', at('03T11:00')]
+    ]);
+  });
+
+  it('sends each reminder once however often it runs', async () => {
+    await tickAt('02T14:00');
+    await tickAt('02T14:01');
+    await tickAt('02T14:02');
+
+    expect(jobs).toHaveLength(2);
+    expect(jobSummary()).toEqual([
+      ['24h:2026-03-03T13:00:00.000Z', 'Sent', undefined],
+      ['2h:2026-03-03T13:00:00.000Z', 'Pending', undefined]
+    ]);
+    expect(jobs[0].channel).toBe('SMS');
+    expect(twilioService.sendAppointmentReminder).toHaveBeenCalledTimes(1);
+    expect(appointment.reminder.sent).toBe(true);
+  });
+
+  it('carries on when another server planned the same jobs first', async () => {
+    ScheduledJob.bulkWrite.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    await tickAt('02T14:00');
+
+    expect(reminderScheduler.getStatus().lastError).toBeNull();
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it('skips a reminder planned for the old time once the appointment moves', async () => {
+    await tickAt('02T14:00');
+    appointment.startTime = at('03T12:00');
+
+    await tickAt('03T11:00');
+
+    expect(jobSummary()).toEqual([
+      ['24h:2026-03-03T13:00:00.000Z', 'Sent', undefined],
+      ['2h:2026-03-03T13:00:00.000Z', 'Skipped', 'Appointment was rescheduled'],
+      ['24h:2026-03-03T12:00:00.000Z', 'Skipped', 'A reminder was already sent'],
+      ['2h:2026-03-03T12:00:00.000Z', 'Sent', undefined]
+    ]);
+    expect(twilioService.sendAppointmentReminder).toHaveBeenCalledTimes(2);
+  });
+
+  it('skips reminders for a cancelled appointment', async () => {
+    await tickAt('02T14:00');
+    appointment.status = 'Cancelled';
+
+    await tickAt('03T11:00');
+
+    expect(jobSummary()[1]).toEqual(['2h:2026-03-03T13:00:00.000Z', 'Skipped', 'Appointment is Cancelled']);
+    expect(twilioService.sendAppointmentReminder).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries a failed send and gives up after the last attempt', async () => {
+    twilioService.sendAppointmentReminder.mockRejectedValue(new Error('Provider unavailable'));
+
+    await tickAt('02T14:00');
+    expect(jobs[0]).toMatchObject({ status: 'Pending', attempts: 1, lastError: 'Provider unavailable', runAt: at('02T14:05') });
+
+    await tickAt('02T14:05');
+    expect(jobs[0]).toMatchObject({ status: 'Pending', attempts: 2, runAt: at('02T14:35') });
+
+    await tickAt('02T14:35');
+    expect(jobs[0]).toMatchObject({ status: 'Failed', attempts: reminderScheduler.MAX_ATTEMPTS });
+    expect(appointment.reminder).toBeUndefined();
+  });
+});
@@ -0,0 +1,165 @@
+const Appointment = require('../models/Appointment');
+const Customer = require('../models/Customer');
+const Invoice = require('../models/Invoice');
+const ShopSettings = require('../models/ShopSettings');
+const Vehicle = require('../models/Vehicle');
+const settingsController = require('../controllers/settingsController');
+const invoiceController = require('../controllers/invoiceController');
+const appointmentController = require('../controllers/appointmentController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('shop settings', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Runs first: later tests find the settings already loaded
+  it('creates the settings with defaults on first use and then reuses them', async () => {
+    jest.spyOn(ShopSettings, 'findOne').mockResolvedValue(null);
+    jest.spyOn(ShopSettings, 'create').mockImplementation(async (data) => new ShopSettings(data));
+
+    const settings = await ShopSettings.getSettings();
+
+    expect(ShopSettings.create).toHaveBeenCalledWith({});
+    expect(settings).toMatchObject({ defaultTaxRate: 8, defaultPaymentTerms: 'Due on Receipt', timezone: 'America/New_York' });
+    expect(await ShopSettings.getSettings()).toBe(settings);
+    expect(ShopSettings.findOne).toHaveBeenCalledTimes(1);
+  });
+
+  describe('validating', () => {
+    it('makes the first tax rate the default when none is marked', async () => {
+      const settings = new ShopSettings({ taxRates: [{ name: 'State', rate: 4 }, { name: 'County', rate: 3 }] });
+
+      await settings.validate();
+
+      expect(settings.taxRates[0].isDefault).toBe(true);
+      expect(settings.defaultTaxRate).toBe(4);
+    });
+
+    it('refuses two default tax rates', async () => {
+      const settings = new ShopSettings({
+        taxRates: [{ name: 'State', rate: 4, isDefault: true }, { name: 'County', rate: 3, isDefault: true }]
+      });
+
+      await expect(settings.validate()).rejects.toThrow(/Only one tax rate can be marked as the default/);
+    });
+
+    it('refuses a timezone that does not exist', async () => {
+      await expect(new ShopSettings({ timezone: 'Mars/Olympus' }).validate()).rejects.toThrow(/not a valid timezone/);
+    });
+  });
+
+  describe('updating', () => {
+    let settings;
+
+    const update = (body) => runHandler(settingsController.updateSettings, {
+      body,
+      user: { name: 'Admin' }
+    });
+
+    beforeEach(() => {
+      settings = new ShopSettings();
+      jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(settings);
+      jest.spyOn(settings, 'save').mockResolvedValue(settings);
+    });
+
+    it('changes only the fields admins may edit', async () => {
+      const result = await update({ businessName: 'New Name Garage', defaultLaborRate: 110, _id: 'other-id', createdAt: '2020-01-01' });
+
+      expect(result.statusCode).toBe(200);
+      expect(settings).toMatchObject({ businessName: 'New Name Garage', defaultLaborRate: 110, updatedBy: 'Admin' });
+      expect(settings._id.toString()).not.toBe('other-id');
+      expect(settings.createdAt).toBeUndefined();
+    });
+
+    it('refuses an update with nothing it can change', async () => {
+      const result = await update({ _id: 'other-id' });
+
+      expect(result.error.statusCode).toBe(400);
+      expect(settings.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('used by the rest of the shop', () => {
+    let settings;
+
+    beforeEach(() => {
+      settings = new ShopSettings({
+        taxRates: [{ name: 'Sales Tax', rate: 7.25, isDefault: true }],
+        invoiceTerms: 'Guaranteed for 12 months.',
+        defaultPaymentTerms: 'Net 30',
+        timezone: 'America/Los_Angeles'
+      });
+      jest.spyOn(ShopSettings, 'getSettings').mockResolvedValue(settings);
+    });
+
+    it('fills in new invoices from the billing defaults', async () => {
+      const customer = new Customer({ name: 'Pat Driver', phone: '5551234567' });
+      const vehicle = new Vehicle({ customer: customer._id, year: 2018, make: 'Honda', model: 'Civic' });
+      jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+      jest.spyOn(Vehicle, 'findById').mockResolvedValue(vehicle);
+      jest.spyOn(Invoice, 'create').mockImplementation(async (data) => data);
+
+      const result = await runHandler(invoiceController.createInvoice, {
+        body: {
+          invoiceNumber: 'INV-1001',
+          customerId: customer._id,
+          vehicleId: vehicle._id,
+          invoiceDate: '2026-03-02',
+          parts: [],
+          labor: [{ description: 'Diagnosis', hours: 1, rate: 120 }],
+          subtotal: 120,
+          total: 128.7
+        },
+        user: { name: 'Writer' }
+      });
+
+      expect(result.statusCode).toBe(201);
+      expect(result.body.data.invoice).toMatchObject({
+        taxRate: 7.25,
+        terms: 'Guaranteed for 12 months.',
+        paymentTerms: 'Net 30'
+      });
+      expect(result.body.data.invoice.dueDate.getDate()).toBe(1);
+      expect(result.body.data.invoice.dueDate.getMonth()).toBe(3);
+    });
+
+    it('keeps what the invoice was given', async () => {
+      const customer = new Customer({ name: 'Pat Driver', phone: '5551234567' });
+      const vehicle = new Vehicle({ customer: customer._id, year: 2018, make: 'Honda', model: 'Civic' });
+      jest.spyOn(Customer, 'findById').mockResolvedValue(customer);
+      jest.spyOn(Vehicle, 'findById').mockResolvedValue(vehicle);
+      jest.spyOn(Invoice, 'create').mockImplementation(async (data) => data);
+
+      const result = await runHandler(invoiceController.createInvoice, {
+        body: {
+          invoiceNumber: 'INV-1002',
+          customerId: customer._id,
+          vehicleId: vehicle._id,
+          paymentTerms: 'Due on Receipt',
+          taxRate: 0,
+          terms: '',
+          parts: [],
+          labor: []
+        }
+      });
+
+      expect(result.body.data.invoice).toMatchObject({ taxRate: 0, terms: '', paymentTerms: 'Due on Receipt' });
+    });
+
+    it('reads appointment days in the shop timezone', async () => {
+      jest.spyOn(Appointment, 'find').mockImplementation(() => queryResult([]));
+
+      await runHandler(appointmentController.getAllAppointments, {
+        query: { startDate: '2026-03-02', endDate: '2026-03-02' }
+      });
+
+      expect(Appointment.find).toHaveBeenCalledWith({
+        startTime: {
+          $gte: new Date('2026-03-02T08:00:00.000Z'),
+          $lte: new Date('2026-03-03T07:59:59.999Z')
+        }
+      });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Technician = require('../models/Technician');
+const TimeEntry = require('../models/TimeEntry');
+const WorkOrder = require('../models/WorkOrder');
+const timeEntryController = require('../controllers/timeEntryController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('clocking in', () => {
+  let technician;
+  let workOrder;
+  let entries;
+
+  const clockIn = () => runHandler(timeEntryController.clockIn, {
+    body: { technician: technician._id.toString(), workOrder: workOrder._id.toString() },
+    user: { _id: new mongoose.Types.ObjectId(), name: 'Service Writer', role: 'admin' }
+  });
+
+  beforeEach(() => {
+    technician = new Technician({ name: 'Alex' });
+    workOrder = new WorkOrder({ _id: new mongoose.Types.ObjectId() });
+    entries = [];
+
+    jest.spyOn(Technician, 'findById').mockResolvedValue(technician);
+    jest.spyOn(WorkOrder, 'findById').mockImplementation(() => queryResult(workOrder));
+    // Both requests look before either has saved, as two taps at once would
+    jest.spyOn(TimeEntry, 'findOne').mockImplementation(() => queryResult(null));
+    jest.spyOn(TimeEntry, 'findById').mockImplementation((id) =>
+      queryResult(entries.find(entry => entry._id.equals(id)))
+    );
+    // Stands in for the unique index on open punches
+    jest.spyOn(TimeEntry, 'create').mockImplementation(async (data) => {
+      const entry = new TimeEntry(data);
+      if (entries.some(other => other.technician.equals(entry.technician) && other.clockOut === null)) {
+        throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+      }
+      entries.push(entry);
+      return entry;
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('stores a new punch as open', async () => {
+    const result = await clockIn();
+
+    expect(result.statusCode).toBe(201);
+    expect(entries[0].clockOut).toBeNull();
+    expect(entries[0].isOpen).toBe(true);
+  });
+
+  it('opens one punch when the technician clocks in twice at the same time', async () => {
+    const results = await Promise.all([clockIn(), clockIn()]);
+
+    expect(results.filter(result => result.statusCode === 201)).toHaveLength(1);
+    const rejected = results.filter(result => result.error);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].error.statusCode).toBe(400);
+    expect(entries).toHaveLength(1);
+  });
+
+  it('indexes open punches so each technician has at most one', () => {
+    const openIndex = TimeEntry.schema.indexes().find(([fields, options]) =>
+      options.unique && options.partialFilterExpression
+    );
+
+    expect(openIndex[0]).toEqual({ technician: 1 });
+    expect(openIndex[1].partialFilterExpression).toEqual({ clockOut: { $type: 'null' } });
+  });
+});
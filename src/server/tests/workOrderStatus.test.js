@@ -0,0 +1,192 @@
+const mongoose = require('mongoose');
+const Customer = require('../models/Customer');
+const Estimate = require('../models/Estimate');
+const WorkOrder = require('../models/WorkOrder');
+const twilioService = require('../services/twilioService');
+const workOrderController = require('../controllers/workOrderController');
+const { runHandler, queryResult } = require('./helpers');
+
+describe('work order status transitions', () => {
+  describe('the transition rules', () => {
+    it('allows the next step in the workflow', () => {
+      expect(WorkOrder.canTransition('Work Order Created', 'Inspection In Progress')).toBe(true);
+      expect(WorkOrder.canTransition('Repair In Progress', 'Repair Complete - Invoiced')).toBe(true);
+    });
+
+    it('refuses skipping ahead or leaving an invoiced work order', () => {
+      expect(WorkOrder.canTransition('Work Order Created', 'Repair Complete - Invoiced')).toBe(false);
+      expect(WorkOrder.getAllowedTransitions('Repair Complete - Invoiced')).toEqual([]);
+    });
+
+    it('lets legacy statuses move to any status', () => {
+      expect(WorkOrder.getAllowedTransitions('Scheduled')).toEqual(WorkOrder.STATUSES);
+    });
+  });
+
+  describe('changing the status', () => {
+    let workOrder;
+
+    const admin = { _id: new mongoose.Types.ObjectId(), name: 'Admin', role: 'admin' };
+    const serviceWriter = { _id: new mongoose.Types.ObjectId(), name: 'Writer', role: 'service-writer' };
+
+    const changeStatus = (body, user = serviceWriter) => runHandler(workOrderController.updateStatus, {
+      params: { id: workOrder._id.toString() },
+      body,
+      user
+    });
+
+    beforeEach(() => {
+      workOrder = new WorkOrder({ _id: new mongoose.Types.ObjectId(), status: 'Work Order Created' });
+      workOrder.save = jest.fn().mockResolvedValue(workOrder);
+
+      jest.spyOn(WorkOrder, 'findById').mockImplementation(() => queryResult(workOrder));
+      jest.spyOn(Estimate, 'hasApproval').mockResolvedValue(false);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('records an allowed change in the status history', async () => {
+      const result = await changeStatus({ status: 'Inspection In Progress', note: 'Car is on the lift' });
+
+      expect(result.statusCode).toBe(200);
+      expect(workOrder.status).toBe('Inspection In Progress');
+      expect(workOrder.statusHistory).toHaveLength(1);
+      expect(workOrder.statusHistory[0]).toMatchObject({
+        from: 'Work Order Created',
+        to: 'Inspection In Progress',
+        changedByName: 'Writer',
+        note: 'Car is on the lift',
+        override: false
+      });
+      expect(result.body.data.allowedTransitions).toEqual(WorkOrder.getAllowedTransitions('Inspection In Progress'));
+    });
+
+    it('rejects a change the workflow does not allow', async () => {
+      const result = await changeStatus({ status: 'Repair Complete - Invoiced' });
+
+      expect(result.error.statusCode).toBe(400);
+      expect(workOrder.status).toBe('Work Order Created');
+      expect(workOrder.save).not.toHaveBeenCalled();
+    });
+
+    it('rejects a status that does not exist', async () => {
+      const result = await changeStatus({ status: 'Teleported' });
+
+      expect(result.error.statusCode).toBe(400);
+    });
+
+    it('lets only admins override the rules', async () => {
+      const result = await changeStatus({ status: 'Repair Complete - Invoiced', override: true, note: 'Paid in cash' });
+
+      expect(result.error.statusCode).toBe(403);
+      expect(workOrder.save).not.toHaveBeenCalled();
+    });
+
+    it('needs a note to override', async () => {
+      const result = await changeStatus({ status: 'Repair Complete - Invoiced', override: true }, admin);
+
+      expect(result.error.statusCode).toBe(400);
+    });
+
+    it('records an admin override with its note', async () => {
+      const result = await changeStatus({ status: 'Repair Complete - Invoiced', override: 'true', note: 'Paid in cash' }, admin);
+
+      expect(result.statusCode).toBe(200);
+      expect(workOrder.status).toBe('Repair Complete - Invoiced');
+      expect(workOrder.statusHistory[0]).toMatchObject({ override: true, note: 'Paid in cash', changedByName: 'Admin' });
+    });
+
+    it('answers 409 when someone else changed the status first', async () => {
+      workOrder.save.mockRejectedValue(new mongoose.Error.DocumentNotFoundError({ _id: workOrder._id }));
+
+      const result = await changeStatus({ status: 'Inspection In Progress' });
+
+      expect(workOrder.$where).toEqual({ status: 'Work Order Created' });
+      expect(result.error.statusCode).toBe(409);
+    });
+
+    it('needs customer approval before starting work after diagnosis', async () => {
+      workOrder.status = 'Inspection/Diag Complete';
+      workOrder.parts.push({ name: 'Brake pads', quantity: 1, price: 80 });
+
+      const refused = await changeStatus({ status: 'Repair In Progress' });
+      expect(refused.error.statusCode).toBe(400);
+
+      Estimate.hasApproval.mockResolvedValue(true);
+      const approved = await changeStatus({ status: 'Repair In Progress' });
+      expect(approved.statusCode).toBe(200);
+      expect(workOrder.status).toBe('Repair In Progress');
+    });
+  });
+
+  describe('changing the status while editing the work order', () => {
+    let stored;
+    let customer;
+
+    const edit = (body) => runHandler(workOrderController.updateWorkOrder, {
+      params: { id: stored._id.toString() },
+      body,
+      user: { _id: new mongoose.Types.ObjectId(), name: 'Writer', role: 'service-writer' }
+    });
+
+    beforeEach(() => {
+      customer = new Customer({ name: 'Pat Driver', phone: '5551234567', communicationPreference: 'SMS' });
+      stored = { _id: new mongoose.Types.ObjectId(), status: 'Work Order Created', totalEstimate: 250 };
+
+      // Every read gets its own copy, as two requests to the server would
+      jest.spyOn(WorkOrder, 'findById').mockImplementation(() => queryResult(new WorkOrder(stored)));
+      jest.spyOn(WorkOrder, 'exists').mockImplementation(async () => ({ _id: stored._id }));
+      jest.spyOn(WorkOrder, 'findOneAndUpdate').mockImplementation((filter, update) => {
+        if (filter.status && filter.status !== stored.status) return queryResult(null);
+        Object.assign(stored, { status: update.status });
+        const updated = new WorkOrder(stored);
+        updated.customer = customer;
+        return queryResult(updated);
+      });
+      jest.spyOn(WorkOrder, 'issueStatusLink').mockResolvedValue({ token: 'status-token' });
+      jest.spyOn(twilioService, 'sendStatusUpdate').mockResolvedValue({});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('applies only one of two changes made at the same time', async () => {
+      const results = await Promise.all([
+        edit({ status: 'Inspection In Progress' }),
+        edit({ status: 'Cancelled' })
+      ]);
+
+      expect(results.filter(result => result.statusCode === 200)).toHaveLength(1);
+      const rejected = results.filter(result => result.error);
+      expect(rejected).toHaveLength(1);
+      expect(rejected[0].error.statusCode).toBe(409);
+      expect(twilioService.sendStatusUpdate).toHaveBeenCalledTimes(1);
+    });
+
+    it('tells the customer about the saved work order', async () => {
+      await edit({ status: 'Inspection In Progress' });
+
+      const [notified, to] = twilioService.sendStatusUpdate.mock.calls[0];
+      expect(notified.status).toBe('Inspection In Progress');
+      expect(notified.totalEstimate).toBe(250);
+      expect(to).toBe(customer);
+    });
+
+    it('does not tell the customer when the change is not saved', async () => {
+      WorkOrder.findOneAndUpdate.mockImplementation(() => {
+        const failed = Promise.reject(new mongoose.Error.ValidationError());
+        failed.populate = () => failed;
+        return failed;
+      });
+
+      const result = await edit({ status: 'Inspection In Progress' });
+
+      expect(result.error).toBeDefined();
+      expect(twilioService.sendStatusUpdate).not.toHaveBeenCalled();
+      expect(WorkOrder.issueStatusLink).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Role-based permission matrix
+ * Maps each API resource to the roles allowed to perform each action on it.
+ * Roles come from the User.role enum: admin, technician, service-writer, parts-manager.
+ * The client reads the current role's slice via GET /api/users/me/permissions
+ */
+const ALL_ROLES = ['admin', 'technician', 'service-writer', 'parts-manager'];
+const OFFICE = ['admin', 'service-writer'];
+
+const permissions = {
+  customers: {
+    read: ALL_ROLES,
+    create: OFFICE,
+    update: OFFICE,
+    delete: ['admin']
+  },
+  vehicles: {
+    read: ALL_ROLES,
+    create: OFFICE,
+    update: ['admin', 'service-writer', 'technician'], // Technicians record mileage
+    delete: ['admin']
+  },
+  workOrders: {
+    read: ALL_ROLES,
+    create: OFFICE,
+    update: ALL_ROLES, // Techs update status/labor, parts managers update parts
+    delete: ['admin'],
+    share: OFFICE // Customer status page links
+  },
+  appointments: {
+    read: ALL_ROLES,
+    create: OFFICE,
+    update: OFFICE,
+    delete: OFFICE
+  },
+  invoices: {
+    read: ['admin', 'service-writer', 'technician'],
+    create: OFFICE,
+    update: OFFICE,
+    delete: ['admin']
+  },
+  estimates: {
+    read: ALL_ROLES,
+    create: OFFICE,
+    update: OFFICE // Sending and recording in-person/phone approvals
+  },
+  inspections: {
+    read: ALL_ROLES,
+    create: ['admin', 'technician', 'service-writer'],
+    update: ['admin', 'technician', 'service-writer']
+  },
+  inspectionTemplates: {
+    read: ALL_ROLES,
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin']
+  },
+  media: {
+    read: ALL_ROLES,
+    create: ALL_ROLES,
+    update: ALL_ROLES,
+    delete: OFFICE
+  },
+  parts: {
+    read: ALL_ROLES,
+    create: ['admin', 'parts-manager'],
+    update: ['admin', 'parts-manager'],
+    delete: ['admin', 'parts-manager']
+  },
+  purchaseOrders: {
+    read: ALL_ROLES,
+    create: ['admin', 'parts-manager', 'service-writer'],
+    update: ['admin', 'parts-manager', 'service-writer'], // Receiving happens at the front counter too
+    delete: ['admin', 'parts-manager']
+  },
+  bays: {
+    read: ALL_ROLES,
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin']
+  },
+  technicians: {
+    read: ALL_ROLES,
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin']
+  },
+  timeOff: {
+    read: ALL_ROLES,
+    create: OFFICE,
+    delete: OFFICE
+  },
+  timeEntries: {
+    read: ALL_ROLES,
+    create: ['admin', 'technician', 'service-writer'], // Clock in/out
+    update: OFFICE, // Corrections
+    delete: ['admin'],
+    report: OFFICE // Efficiency report
+  },
+  feedback: {
+    read: ['admin'],
+    create: ALL_ROLES,
+    update: ['admin'],
+    delete: ['admin']
+  },
+  search: {
+    read: ALL_ROLES
+  },
+  vin: {
+    read: ALL_ROLES
+  },
+  registration: {
+    create: OFFICE
+  },
+  settings: {
+    read: ALL_ROLES,
+    update: ['admin']
+  },
+  messages: {
+    read: OFFICE,
+    create: OFFICE
+  },
+  notifications: {
+    read: OFFICE,
+    update: ['admin'] // Retry
+  },
+  messageTemplates: {
+    read: OFFICE,
+    create: ['admin'],
+    update: ['admin'], // Includes test sends
+    delete: ['admin']
+  },
+  jobs: {
+    read: OFFICE,
+    update: ['admin'] // Retry or cancel
+  },
+  users: {
+    read: ['admin'],
+    create: ['admin'],
+    update: ['admin'],
+    delete: ['admin']
+  }
+};
+
+/**
+ * Check whether a role may perform an action on a resource
+ * @param {String} role - User role
+ * @param {String} resource - Resource key in the permission matrix
+ * @param {String} action - read, create, update, delete, or a resource-specific action such as report
+ * @returns {Boolean} True if the role is allowed
+ */
+const can = (role, resource, action) => {
+  const rules = permissions[resource];
+  if (!rules || !rules[action]) return false;
+  return rules[action].includes(role);
+};
+
+module.exports = {
+  ALL_ROLES,
+  permissions,
+  can
+};